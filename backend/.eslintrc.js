@@ -35,6 +35,15 @@ module.exports = {
     'no-process-exit': 'error',
     'handle-callback-err': 'error',
   },
+  overrides: [
+    {
+      // Migration scripts are run from the command line and exit with their result
+      files: ['scripts/**/*.js', 'migrations/**/*.js'],
+      rules: {
+        'no-process-exit': 'off',
+      },
+    },
+  ],
   globals: {
     process: 'readonly',
     global: 'readonly',
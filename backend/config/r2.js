@@ -232,6 +232,52 @@ class R2Service {
     }
   }
 
+  /**
+   * Upload a private document to R2. Documents are stored as uploaded and are
+   * only served back through authenticated routes, so no public URL is returned.
+   */
+  async uploadDocument(file, options = {}) {
+    try {
+      if (!this.isConfigured()) {
+        throw new Error('R2 service is not properly configured. Please check environment variables.');
+      }
+
+      if (!file || !file.buffer) {
+        throw new Error('No file provided');
+      }
+
+      const key = this.generateFileName(file.originalname, options.prefix || 'documents');
+
+      await this.client.send(new PutObjectCommand({
+        Bucket: this.bucketName,
+        Key: key,
+        Body: file.buffer,
+        ContentType: file.mimetype,
+        CacheControl: 'private, no-store',
+        Metadata: {
+          originalName: file.originalname,
+          uploadedAt: new Date().toISOString(),
+        },
+      }));
+
+      logger.info(`Document uploaded successfully: ${key}`);
+      return { key, contentType: file.mimetype, size: file.buffer.length };
+    } catch (error) {
+      logger.error('Error uploading document to R2:', error);
+      throw new Error(`Upload failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get an object from R2 for streaming back to the client
+   */
+  async getObject(key) {
+    return this.client.send(new GetObjectCommand({
+      Bucket: this.bucketName,
+      Key: key,
+    }));
+  }
+
   /**
    * Upload multiple images
    */
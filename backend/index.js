@@ -44,6 +44,31 @@ const addDeliveryFieldsToOrders = require('./scripts/addDeliveryFieldsToOrders')
 const addStripeConnectToStores = require('./scripts/addStripeConnectToStores');
 const addPasswordResetFields = require('./scripts/addPasswordResetFields');
 const createFailedTransfersTable = require('./scripts/createFailedTransfersTable');
+const addProductSearchIndexes = require('./scripts/addProductSearchIndexes');
+const createProductVariantsTable = require('./scripts/createProductVariantsTable');
+const createProductReviewsTable = require('./scripts/createProductReviewsTable');
+const createPromotionsTables = require('./scripts/createPromotionsTables');
+const createCommissionRulesTable = require('./scripts/createCommissionRulesTable');
+const createStripeWebhookEventsTable = require('./scripts/createStripeWebhookEventsTable');
+const createStockReservationsTable = require('./scripts/createStockReservationsTable');
+const createWishlistsTables = require('./scripts/createWishlistsTables');
+const createProductViewsTable = require('./scripts/createProductViewsTable');
+const addStoreSettingsFields = require('./scripts/addStoreSettingsFields');
+const addDriverVerificationFields = require('./scripts/addDriverVerificationFields');
+const createDriverOffersTable = require('./scripts/createDriverOffersTable');
+const createDeliveryBatchesTable = require('./scripts/createDeliveryBatchesTable');
+const addProofOfDeliveryFields = require('./scripts/addProofOfDeliveryFields');
+const addDriverLocationTimestamp = require('./scripts/addDriverLocationTimestamp');
+const createDriverEarningsTables = require('./scripts/createDriverEarningsTables');
+const createDeliveryRatingsTable = require('./scripts/createDeliveryRatingsTable');
+const createDeliveryPricingTables = require('./scripts/createDeliveryPricingTables');
+const createTaxTables = require('./scripts/createTaxTables');
+const addCurrencyFields = require('./scripts/addCurrencyFields');
+const createCustomerAddressesTable = require('./scripts/createCustomerAddressesTable');
+const addStripeCustomerToCustomers = require('./scripts/addStripeCustomerToCustomers');
+const { startReservationSweeper } = require('./utils/reservationSweeper');
+const { startOfferSweeper } = require('./utils/dispatch');
+const { getGeocoder } = require('./utils/geocoding');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -222,6 +247,22 @@ app.use('/api/stripe-connect', stripeConnectRoutes);
 const refundRoutes = require('./routes/refunds');
 app.use('/api/refunds', refundRoutes);
 
+// Review moderation and store reply routes
+const reviewRoutes = require('./routes/reviews');
+app.use('/api/reviews', reviewRoutes);
+
+// Promotion and promo code management routes
+const promotionRoutes = require('./routes/promotions');
+app.use('/api/promotions', promotionRoutes);
+
+// Customer wishlist and saved-for-later routes
+const wishlistRoutes = require('./routes/wishlist');
+app.use('/api/wishlist', wishlistRoutes);
+
+// Supported currencies and exchange rates for price display
+const currencyRoutes = require('./routes/currency');
+app.use('/api/currency', currencyRoutes);
+
 // Global error handler
 app.use((err, req, res, next) => {
   logger.error('Unhandled error:', {
@@ -270,6 +311,28 @@ const startServer = async () => {
     await addStripeConnectToStores();
     await addPasswordResetFields();
     await createFailedTransfersTable();
+    await addProductSearchIndexes();
+    await createProductVariantsTable();
+    await createProductReviewsTable();
+    await createPromotionsTables();
+    await createCommissionRulesTable();
+    await createStripeWebhookEventsTable();
+    await createStockReservationsTable();
+    await createWishlistsTables();
+    await createProductViewsTable();
+    await addStoreSettingsFields();
+    await addDriverVerificationFields();
+    await createDriverOffersTable();
+    await createDeliveryBatchesTable();
+    await addProofOfDeliveryFields();
+    await addDriverLocationTimestamp();
+    await createDriverEarningsTables();
+    await createDeliveryRatingsTable();
+    await createDeliveryPricingTables();
+    await createTaxTables();
+    await addCurrencyFields();
+    await createCustomerAddressesTable();
+    await addStripeCustomerToCustomers();
     logger.info('Database tables initialized');
 
     // Check R2 configuration
@@ -281,15 +344,26 @@ const startServer = async () => {
       logger.warn('⚠️ Cloudflare R2 storage not configured - image uploads will fail');
     }
 
+    // Checkout and dispatch geocode addresses; a missing or unknown provider fails startup here
+    logger.info(`📍 Geocoding with the ${getGeocoder().name} provider`);
+
     // Start server
     const server = app.listen(PORT, () => {
       logger.info(`🚀 Afrozy Market API running on port ${PORT} in ${process.env.NODE_ENV} mode`);
       logger.info(`📍 Health check available at http://localhost:${PORT}/health`);
     });
 
+    // Release stock held by checkouts that were never paid
+    const reservationSweeper = startReservationSweeper();
+
+    // Move delivery offers that drivers didn't answer in time on to the next driver
+    const offerSweeper = startOfferSweeper();
+
     // Graceful shutdown handling
     const gracefulShutdown = async (signal) => {
       logger.info(`Received ${signal}. Starting graceful shutdown...`);
+      clearInterval(reservationSweeper);
+      clearInterval(offerSweeper);
       server.close(async () => {
         logger.info('HTTP server closed');
         try {
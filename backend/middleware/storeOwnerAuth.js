@@ -0,0 +1,63 @@
+const { pool } = require('../config/database');
+
+/**
+ * Store owner authentication middleware shared by the store owner routes
+ */
+
+/**
+ * Session-based authentication middleware for store owners.
+ * Sets req.user with the owner's storeId and their store row (Stripe Connect fields included).
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function authenticateStoreOwner(req, res, next) {
+  // Check session authentication
+  if (!req.session || !req.session.userId || !req.session.userType) {
+    return res.status(401).json({
+      success: false,
+      message: 'Store owner authentication required. Please log in.',
+    });
+  }
+
+  // Verify user is a store owner
+  if (req.session.userType !== 'store_owner') {
+    return res.status(403).json({
+      success: false,
+      message: 'Store owner access required',
+    });
+  }
+
+  // Set up user object from session
+  req.user = {
+    userId: req.session.userId,
+    userType: req.session.userType,
+    email: req.session.email,
+  };
+
+  // Get store ID for this store owner
+  pool.query('SELECT id, stripe_connect_account_id, stripe_account_status FROM stores WHERE owner_id = $1', [req.user.userId])
+    .then(result => {
+      if (result.rows.length === 0) {
+        return res.status(403).json({
+          success: false,
+          message: 'No store found for this user',
+        });
+      }
+
+      req.user.store = result.rows[0];
+      req.user.storeId = result.rows[0].id;
+      next();
+    })
+    .catch(error => {
+      console.error('Error verifying store owner:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Authentication error',
+      });
+    });
+}
+
+module.exports = {
+  authenticateStoreOwner,
+};
@@ -25,10 +25,30 @@ const upload = multer({
   }
 });
 
+// File filter for verification documents, which may also be scanned PDFs
+const documentFileFilter = (req, file, cb) => {
+  const allowedMimes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'application/pdf'];
+
+  if (allowedMimes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Invalid file type. Only JPEG, PNG, WebP images and PDF documents are allowed.'), false);
+  }
+};
+
+const documentUpload = multer({
+  storage: storage,
+  fileFilter: documentFileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+    files: 1,
+  },
+});
+
 // Middleware for single image upload
-const uploadSingle = (fieldName = 'image') => {
+const uploadSingle = (fieldName = 'image', uploader = upload) => {
   return (req, res, next) => {
-    const singleUpload = upload.single(fieldName);
+    const singleUpload = uploader.single(fieldName);
     
     singleUpload(req, res, (err) => {
       if (err instanceof multer.MulterError) {
@@ -113,6 +133,9 @@ const uploadMultiple = (fieldName = 'images', maxCount = 10) => {
   };
 };
 
+// Middleware for a single image or PDF document upload
+const uploadDocument = (fieldName = 'document') => uploadSingle(fieldName, documentUpload);
+
 // Middleware to check if file was uploaded
 const requireFile = (req, res, next) => {
   if (!req.file && !req.files) {
@@ -139,6 +162,7 @@ module.exports = {
   upload,
   uploadSingle,
   uploadMultiple,
+  uploadDocument,
   requireFile,
   validateOptionalFile
 };
\ No newline at end of file
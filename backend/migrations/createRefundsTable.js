@@ -69,6 +69,7 @@ async function createRefundsTable() {
       CREATE INDEX IF NOT EXISTS idx_refunds_order_id ON refunds(order_id);
       CREATE INDEX IF NOT EXISTS idx_refunds_user_id ON refunds(user_id);
       CREATE INDEX IF NOT EXISTS idx_refunds_status ON refunds(status);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_refunds_stripe_refund_id ON refunds(stripe_refund_id) WHERE stripe_refund_id IS NOT NULL;
       CREATE INDEX IF NOT EXISTS idx_refunds_created_at ON refunds(created_at);
       CREATE INDEX IF NOT EXISTS idx_refund_items_refund_id ON refund_items(refund_id);
     `);
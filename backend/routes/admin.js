@@ -1,6 +1,31 @@
 const express = require('express');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const { pool } = require('../config/database');
 const { authenticateAdmin } = require('./auth');
+const { findExistingTransfer, createStoreTransfer } = require('../utils/storeTransfers');
+const { notifyWishlistWatchers } = require('../utils/wishlistAlerts');
+const { releaseDriverOffers, reassignDriverOrders } = require('../utils/dispatch');
+const { parseTimeRange, resolveBucket, percentChange, paidOrderSql } = require('../utils/analytics');
+const { getUserSessions, destroyUserSessions } = require('../utils/sessionUtils');
+const { createPasswordResetToken, sendPasswordResetEmail } = require('../utils/passwordReset');
+const { createNotification } = require('./notifications');
+const {
+  MANUAL_ENTRY_TYPES,
+  getPayRates,
+  addEarningsEntry,
+  getPayoutPeriod,
+  createPayouts,
+  sendPayout,
+  getStatement,
+  formatPayout,
+  formatEarningsEntry,
+} = require('../utils/driverEarnings');
+const { formatDeliveryRule, validateDeliveryRuleInput, parseWeightKg } = require('../utils/deliveryPricing');
+const { validateJurisdictionInput } = require('../utils/tax');
+const emailService = require('../utils/emailService');
+const r2Service = require('../config/r2');
 const router = express.Router();
 
 // GET all products for admin
@@ -39,11 +64,19 @@ router.post('/products', authenticateAdmin, async (req, res) => {
       });
     }
 
+    const weightKg = parseWeightKg(req.body.weight_kg);
+    if (Number.isNaN(weightKg)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Weight must be a number of kilograms, zero or more',
+      });
+    }
+
     const result = await pool.query(`
-      INSERT INTO products (name, description, price, category, image_url, stock_quantity)
-      VALUES ($1, $2, $3, $4, $5, $6)
+      INSERT INTO products (name, description, price, category, image_url, stock_quantity, weight_kg)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
       RETURNING *
-    `, [name, description, price, category, image_url, stock_quantity]);
+    `, [name, description, price, category, image_url, stock_quantity, weightKg]);
 
     res.status(201).json({
       success: true,
@@ -73,13 +106,23 @@ router.put('/products/:id', authenticateAdmin, async (req, res) => {
       });
     }
 
+    const weightKg = parseWeightKg(req.body.weight_kg);
+    if (Number.isNaN(weightKg)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Weight must be a number of kilograms, zero or more',
+      });
+    }
+
+    const previous = await pool.query('SELECT price, stock_quantity FROM products WHERE id = $1', [id]);
+
     const result = await pool.query(`
       UPDATE products 
       SET name = $1, description = $2, price = $3, category = $4, 
-          image_url = $5, stock_quantity = $6, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $7
+          image_url = $5, stock_quantity = $6, weight_kg = $7, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $8
       RETURNING *
-    `, [name, description, price, category, image_url, stock_quantity, id]);
+    `, [name, description, price, category, image_url, stock_quantity, weightKg, id]);
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -88,6 +131,8 @@ router.put('/products/:id', authenticateAdmin, async (req, res) => {
       });
     }
 
+    await notifyWishlistWatchers(previous.rows[0], result.rows[0]);
+
     res.json({
       success: true,
       data: result.rows[0],
@@ -374,150 +419,2689 @@ router.get('/analytics/categories', authenticateAdmin, async (req, res) => {
   }
 });
 
-// === STORE MANAGEMENT ENDPOINTS ===
+// === MARKETPLACE ANALYTICS ENDPOINTS ===
+// All accept ?timeRange=7days|30days|90days|1year (default 30days)
 
-// GET all stores for admin
-router.get('/stores', authenticateAdmin, async (req, res) => {
+// Revenue, order count, commission and refunds for paid orders created in [startDate, endDate)
+async function getOrderSummary(startDate, endDate) {
+  const result = await pool.query(`
+    SELECT
+      COUNT(*) as total_orders,
+      COALESCE(SUM(o.total_amount), 0) as total_revenue,
+      COALESCE(SUM(o.platform_fee_amount), 0) as commission_earned,
+      COUNT(*) FILTER (WHERE r.refunded_amount > 0) as refunded_orders,
+      COALESCE(SUM(r.refunded_amount), 0) as refunded_amount
+    FROM orders o
+    LEFT JOIN (
+      SELECT order_id, SUM(refund_amount) as refunded_amount
+      FROM refunds
+      WHERE status = 'completed'
+      GROUP BY order_id
+    ) r ON r.order_id = o.id
+    WHERE o.created_at >= $1 AND o.created_at < $2 AND ${paidOrderSql('o')}
+  `, [startDate, endDate]);
+
+  const row = result.rows[0];
+  const totalOrders = parseInt(row.total_orders);
+  const totalRevenue = parseFloat(row.total_revenue);
+  const refundedOrders = parseInt(row.refunded_orders);
+
+  return {
+    totalOrders,
+    totalRevenue,
+    averageOrderValue: totalOrders > 0 ? Math.round((totalRevenue / totalOrders) * 100) / 100 : 0,
+    commissionEarned: parseFloat(row.commission_earned),
+    refundedOrders,
+    refundedAmount: parseFloat(row.refunded_amount),
+    refundRate: totalOrders > 0 ? Math.round((refundedOrders / totalOrders) * 1000) / 10 : 0,
+  };
+}
+
+// GET /api/admin/analytics/overview - KPIs for the range with the previous range for comparison
+router.get('/analytics/overview', authenticateAdmin, async (req, res) => {
+  try {
+    const range = parseTimeRange(req.query.timeRange);
+
+    const current = await getOrderSummary(range.startDate, range.endDate);
+    const previous = await getOrderSummary(range.previousStartDate, range.startDate);
+
+    const changes = {};
+    for (const key of ['totalRevenue', 'totalOrders', 'averageOrderValue', 'commissionEarned', 'refundRate']) {
+      changes[key] = percentChange(current[key], previous[key]);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        timeRange: range.timeRange,
+        ...current,
+        previous,
+        changes,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching analytics overview:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch analytics overview',
+    });
+  }
+});
+
+// GET /api/admin/analytics/revenue - Revenue and orders per day, week or month (?bucket=)
+router.get('/analytics/revenue', authenticateAdmin, async (req, res) => {
   try {
+    const range = parseTimeRange(req.query.timeRange);
+    const bucket = resolveBucket(req.query.bucket, range.days);
+
+    // Every bucket in the range is returned, including those without orders
     const result = await pool.query(`
-      SELECT 
-        s.*,
-        u.full_name as owner_name,
-        u.email as owner_email,
-        u.phone as owner_phone
-      FROM stores s
-      JOIN store_owners u ON s.owner_id = u.id
-      ORDER BY s.created_at DESC
-    `);
-    
-    // Parse the categories JSON field
-    const stores = result.rows.map(store => ({
-      ...store,
-      categories: typeof store.categories === 'string' ? JSON.parse(store.categories) : store.categories
-    }));
+      WITH periods AS (
+        SELECT generate_series(
+          date_trunc($3, $1::timestamp),
+          date_trunc($3, $2::timestamp),
+          ('1 ' || $3)::interval
+        ) as period
+      )
+      SELECT
+        periods.period,
+        COALESCE(SUM(o.total_amount), 0) as revenue,
+        COUNT(o.id) as orders
+      FROM periods
+      LEFT JOIN orders o
+        ON date_trunc($3, o.created_at) = periods.period
+        AND o.created_at >= $1 AND o.created_at < $2
+        AND ${paidOrderSql('o')}
+      GROUP BY periods.period
+      ORDER BY periods.period
+    `, [range.startDate, range.endDate, bucket]);
 
     res.json({
       success: true,
-      data: stores
+      data: {
+        timeRange: range.timeRange,
+        bucket,
+        series: result.rows.map(row => ({
+          period: row.period,
+          revenue: parseFloat(row.revenue),
+          orders: parseInt(row.orders),
+        })),
+      },
     });
   } catch (error) {
-    console.error('Error fetching stores for admin:', error.message);
+    console.error('Error fetching revenue analytics:', error.message);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch stores'
+      message: 'Failed to fetch revenue analytics',
     });
   }
 });
 
-// PUT update store status
-router.put('/stores/:id/status', authenticateAdmin, async (req, res) => {
+// GET /api/admin/analytics/orders-by-status - Order counts per status (all statuses, not just paid)
+router.get('/analytics/orders-by-status', authenticateAdmin, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { status } = req.body;
-    
-    // Validate status
-    const validStatuses = ['pending', 'approved', 'suspended'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid status. Must be pending, approved, or suspended'
-      });
+    const range = parseTimeRange(req.query.timeRange);
+
+    const result = await pool.query(`
+      SELECT status, COUNT(*) as count, COALESCE(SUM(total_amount), 0) as total_amount
+      FROM orders
+      WHERE created_at >= $1 AND created_at < $2
+      GROUP BY status
+      ORDER BY count DESC
+    `, [range.startDate, range.endDate]);
+
+    res.json({
+      success: true,
+      data: result.rows.map(row => ({
+        status: row.status,
+        count: parseInt(row.count),
+        totalAmount: parseFloat(row.total_amount),
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching order status analytics:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch order status analytics',
+    });
+  }
+});
+
+// GET /api/admin/analytics/customers - New vs returning customers among those who ordered in the range
+router.get('/analytics/customers', authenticateAdmin, async (req, res) => {
+  try {
+    const range = parseTimeRange(req.query.timeRange);
+
+    // A customer is new if their first paid order falls inside the range
+    const result = await pool.query(`
+      WITH first_orders AS (
+        SELECT o.user_id, MIN(o.created_at) as first_order_at
+        FROM orders o
+        WHERE o.user_id IS NOT NULL AND ${paidOrderSql('o')}
+        GROUP BY o.user_id
+      ),
+      range_customers AS (
+        SELECT DISTINCT o.user_id
+        FROM orders o
+        WHERE o.user_id IS NOT NULL AND o.created_at >= $1 AND o.created_at < $2 AND ${paidOrderSql('o')}
+      )
+      SELECT
+        COUNT(*) FILTER (WHERE f.first_order_at >= $1) as new_customers,
+        COUNT(*) FILTER (WHERE f.first_order_at < $1) as returning_customers,
+        (
+          SELECT COUNT(*) FROM orders o
+          WHERE o.user_id IS NULL AND o.created_at >= $1 AND o.created_at < $2 AND ${paidOrderSql('o')}
+        ) as guest_orders,
+        (SELECT COUNT(*) FROM customers WHERE created_at >= $1 AND created_at < $2) as signups
+      FROM range_customers rc
+      JOIN first_orders f ON f.user_id = rc.user_id
+    `, [range.startDate, range.endDate]);
+
+    const row = result.rows[0];
+    const newCustomers = parseInt(row.new_customers);
+    const returningCustomers = parseInt(row.returning_customers);
+    const totalCustomers = newCustomers + returningCustomers;
+
+    res.json({
+      success: true,
+      data: {
+        newCustomers,
+        returningCustomers,
+        returningRate: totalCustomers > 0 ? Math.round((returningCustomers / totalCustomers) * 1000) / 10 : 0,
+        guestOrders: parseInt(row.guest_orders),
+        signups: parseInt(row.signups),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching customer analytics:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch customer analytics',
+    });
+  }
+});
+
+// GET /api/admin/analytics/top-stores - Stores ranked by item revenue (?limit=, default 10)
+router.get('/analytics/top-stores', authenticateAdmin, async (req, res) => {
+  try {
+    const range = parseTimeRange(req.query.timeRange);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+    const result = await pool.query(`
+      SELECT
+        s.id,
+        s.store_name,
+        COUNT(DISTINCT o.id) as orders,
+        SUM(oi.quantity) as units_sold,
+        SUM(oi.price) as revenue
+      FROM order_items oi
+      JOIN orders o ON oi.order_id = o.id
+      JOIN products p ON oi.product_id = p.id
+      JOIN stores s ON p.store_id = s.id
+      WHERE o.created_at >= $1 AND o.created_at < $2 AND ${paidOrderSql('o')}
+      GROUP BY s.id, s.store_name
+      ORDER BY revenue DESC
+      LIMIT $3
+    `, [range.startDate, range.endDate, limit]);
+
+    res.json({
+      success: true,
+      data: result.rows.map(row => ({
+        id: row.id,
+        storeName: row.store_name,
+        orders: parseInt(row.orders),
+        unitsSold: parseInt(row.units_sold),
+        revenue: parseFloat(row.revenue),
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching top stores:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch top stores',
+    });
+  }
+});
+
+// GET /api/admin/analytics/top-products - Products ranked by item revenue (?limit=, default 10)
+router.get('/analytics/top-products', authenticateAdmin, async (req, res) => {
+  try {
+    const range = parseTimeRange(req.query.timeRange);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+    const result = await pool.query(`
+      SELECT
+        p.id,
+        p.name,
+        p.category,
+        s.store_name,
+        SUM(oi.quantity) as units_sold,
+        SUM(oi.price) as revenue
+      FROM order_items oi
+      JOIN orders o ON oi.order_id = o.id
+      JOIN products p ON oi.product_id = p.id
+      LEFT JOIN stores s ON p.store_id = s.id
+      WHERE o.created_at >= $1 AND o.created_at < $2 AND ${paidOrderSql('o')}
+      GROUP BY p.id, p.name, p.category, s.store_name
+      ORDER BY revenue DESC
+      LIMIT $3
+    `, [range.startDate, range.endDate, limit]);
+
+    res.json({
+      success: true,
+      data: result.rows.map(row => ({
+        id: row.id,
+        name: row.name,
+        category: row.category,
+        storeName: row.store_name,
+        unitsSold: parseInt(row.units_sold),
+        revenue: parseFloat(row.revenue),
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching top products:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch top products',
+    });
+  }
+});
+
+// === USER MANAGEMENT ENDPOINTS ===
+
+// Account types an admin can manage. Drivers keep availability in `status`, so a
+// suspended driver is parked on 'inactive' and reactivated to 'offline'.
+const USER_TYPES = {
+  customer: { table: 'customers', activeStatus: 'active', suspendedStatus: 'suspended' },
+  store_owner: { table: 'store_owners', activeStatus: 'active', suspendedStatus: 'suspended' },
+  admin: { table: 'admins', activeStatus: 'active', suspendedStatus: 'suspended' },
+  driver: { table: 'drivers', activeStatus: 'offline', suspendedStatus: 'inactive' },
+};
+
+// One row shape across every account table; account_status folds driver availability into active/suspended
+const ALL_USERS_SQL = `
+  SELECT id, 'customer' AS user_type, username, email, full_name, phone, status,
+         status AS account_status, created_at, last_login
+  FROM customers
+  UNION ALL
+  SELECT id, 'store_owner' AS user_type, username, email, full_name, phone, status,
+         status AS account_status, created_at, last_login
+  FROM store_owners
+  UNION ALL
+  SELECT id, 'admin' AS user_type, username, email, full_name, phone, status,
+         status AS account_status, created_at, last_login
+  FROM admins
+  UNION ALL
+  SELECT id, 'driver' AS user_type, driver_id AS username, email, full_name, phone, status,
+         CASE WHEN status = 'inactive' THEN 'suspended' ELSE 'active' END AS account_status,
+         created_at, NULL::timestamp AS last_login
+  FROM drivers
+`;
+
+// Resolve :type/:id route params, answering 400 for anything we don't manage
+function resolveUserParams(req, res) {
+  const config = USER_TYPES[req.params.type];
+  const userId = parseInt(req.params.id);
+
+  if (!config || !Number.isInteger(userId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid user type or ID',
+    });
+    return null;
+  }
+
+  return { userType: req.params.type, userId, config };
+}
+
+// Admins can lock out anyone but themselves
+function isOwnAccount(req, userType, userId) {
+  return userType === 'admin' && parseInt(req.user.userId) === userId;
+}
+
+// Tell a driver about a review decision in-app and by email. Best effort: the decision is
+// already saved, so a failed notification is logged rather than failing the request
+async function notifyDriverDecision(driver, decision, reason = null) {
+  const titles = {
+    approved: 'Driver account approved',
+    rejected: 'Driver verification unsuccessful',
+    suspended: 'Driver account suspended',
+  };
+  const messages = {
+    approved: 'Your account has been verified. You can now go online and accept deliveries.',
+    rejected: `We could not verify your account: ${reason}. Please upload updated documents.`,
+    suspended: `Your account has been suspended: ${reason}.`,
+  };
+
+  try {
+    await createNotification(driver.id, 'driver', titles[decision], messages[decision], 'account', '/driver');
+    await emailService.sendDriverVerificationUpdate(driver.email, driver.full_name, { decision, reason });
+  } catch (error) {
+    console.error(`Error notifying driver ${driver.id} of ${decision} decision:`, error.message);
+  }
+}
+
+// Reasons are shown to the driver, so rejecting or suspending needs one
+function requireReason(req, res) {
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+  if (!reason) {
+    res.status(400).json({
+      success: false,
+      message: 'A reason is required',
+    });
+    return null;
+  }
+  if (reason.length > 500) {
+    res.status(400).json({
+      success: false,
+      message: 'Reason must be 500 characters or fewer',
+    });
+    return null;
+  }
+  return reason;
+}
+
+// Suspend a driver: lock them out, withdraw their open offers and hand their active orders
+// to other drivers, then tell them why. Returns null if there is no such driver
+async function suspendDriver(driverId, reason) {
+  const result = await pool.query(`
+    UPDATE drivers
+    SET status = 'inactive', suspension_reason = $1, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $2
+    RETURNING id, email, full_name, status, suspension_reason
+  `, [reason, driverId]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const driver = result.rows[0];
+  const sessionsRevoked = await destroyUserSessions(String(driver.id), 'driver');
+  const offersReleased = await releaseDriverOffers(driver.id);
+  const reassignedOrders = await reassignDriverOrders(driver.id);
+  await notifyDriverDecision(driver, 'suspended', reason);
+
+  return { ...driver, sessionsRevoked, offersReleased, reassignedOrders };
+}
+
+// GET users across all account types (?type, ?status=active|suspended, ?q search)
+router.get('/users', authenticateAdmin, async (req, res) => {
+  try {
+    const { type, status, q, page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const params = [];
+
+    if (type && USER_TYPES[type]) {
+      params.push(type);
+      conditions.push(`u.user_type = $${params.length}`);
+    }
+
+    if (status) {
+      params.push(status);
+      conditions.push(`u.account_status = $${params.length}`);
+    }
+
+    if (q && q.trim()) {
+      params.push(`%${q.trim()}%`);
+      conditions.push(`(u.email ILIKE $${params.length} OR u.full_name ILIKE $${params.length} OR u.username ILIKE $${params.length})`);
     }
 
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
     const result = await pool.query(`
-      UPDATE stores 
-      SET status = $1, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $2
-      RETURNING *
-    `, [status, id]);
+      SELECT u.* FROM (${ALL_USERS_SQL}) u
+      ${whereClause}
+      ORDER BY u.created_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    const countResult = await pool.query(`
+      SELECT COUNT(*) as total FROM (${ALL_USERS_SQL}) u ${whereClause}
+    `, params);
+
+    const summaryResult = await pool.query(`
+      SELECT u.user_type, COUNT(*) as total,
+             COUNT(*) FILTER (WHERE u.account_status = 'suspended') as suspended
+      FROM (${ALL_USERS_SQL}) u
+      GROUP BY u.user_type
+    `);
+
+    const total = parseInt(countResult.rows[0].total);
+
+    res.json({
+      success: true,
+      data: result.rows,
+      summary: summaryResult.rows.reduce((summary, row) => {
+        summary[row.user_type] = {
+          total: parseInt(row.total),
+          suspended: parseInt(row.suspended),
+        };
+        return summary;
+      }, {}),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching users:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch users',
+    });
+  }
+});
+
+// GET a single user's profile
+router.get('/users/:type/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const target = resolveUserParams(req, res);
+    if (!target) {
+      return;
+    }
+
+    const result = await pool.query(
+      `SELECT u.* FROM (${ALL_USERS_SQL}) u WHERE u.user_type = $1 AND u.id = $2`,
+      [target.userType, target.userId],
+    );
 
     if (result.rows.length === 0) {
       return res.status(404).json({
         success: false,
-        message: 'Store not found'
+        message: 'User not found',
       });
     }
 
+    const user = result.rows[0];
+
+    if (target.userType === 'store_owner') {
+      const storeResult = await pool.query(
+        'SELECT id, store_name, status, created_at FROM stores WHERE owner_id = $1',
+        [target.userId],
+      );
+      user.stores = storeResult.rows;
+    }
+
+    if (target.userType === 'driver') {
+      const driverResult = await pool.query(
+        'SELECT license_number, vehicle_type, vehicle_plate, is_verified, rating FROM drivers WHERE id = $1',
+        [target.userId],
+      );
+      Object.assign(user, driverResult.rows[0]);
+    }
+
     res.json({
       success: true,
-      data: result.rows[0],
-      message: `Store status updated to ${status}`
+      data: user,
     });
   } catch (error) {
-    console.error('Error updating store status:', error.message);
+    console.error('Error fetching user:', error.message);
     res.status(500).json({
       success: false,
-      message: 'Failed to update store status'
+      message: 'Failed to fetch user',
     });
   }
 });
 
-// GET store details by ID
-router.get('/stores/:id', authenticateAdmin, async (req, res) => {
+// GET orders tied to a user: placed (customer), sold (store owner) or delivered (driver)
+router.get('/users/:type/:id/orders', authenticateAdmin, async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    const result = await pool.query(`
-      SELECT 
-        s.*,
-        u.full_name as owner_name,
-        u.email as owner_email,
-        u.phone as owner_phone,
-        u.address as owner_address
-      FROM stores s
-      JOIN store_owners u ON s.owner_id = u.id
-      WHERE s.id = $1
-    `, [id]);
+    const target = resolveUserParams(req, res);
+    if (!target) {
+      return;
+    }
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Store not found'
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    let whereClause;
+    if (target.userType === 'customer') {
+      whereClause = 'o.user_id = $1';
+    } else if (target.userType === 'store_owner') {
+      whereClause = `o.id IN (
+        SELECT oi.order_id FROM order_items oi
+        JOIN products p ON oi.product_id = p.id
+        JOIN stores s ON p.store_id = s.id
+        WHERE s.owner_id = $1
+      )`;
+    } else if (target.userType === 'driver') {
+      whereClause = 'o.driver_id = $1';
+    } else {
+      return res.json({
+        success: true,
+        data: [],
+        pagination: { page: parseInt(page), limit: parseInt(limit), total: 0, pages: 0 },
       });
     }
 
-    // Parse the categories JSON field
-    const store = {
-      ...result.rows[0],
-      categories: typeof result.rows[0].categories === 'string' 
-        ? JSON.parse(result.rows[0].categories) 
-        : result.rows[0].categories
-    };
+    const result = await pool.query(`
+      SELECT o.id, o.total_amount, o.status, o.delivery_name as customer_name, o.delivery_email as customer_email, o.created_at
+      FROM orders o
+      WHERE ${whereClause}
+      ORDER BY o.created_at DESC
+      LIMIT $2 OFFSET $3
+    `, [target.userId, limit, offset]);
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) as total FROM orders o WHERE ${whereClause}`,
+      [target.userId],
+    );
+
+    const total = parseInt(countResult.rows[0].total);
 
     res.json({
       success: true,
-      data: store
+      data: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
     });
   } catch (error) {
-    console.error('Error fetching store details:', error.message);
+    console.error('Error fetching user orders:', error.message);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch store details'
+      message: 'Failed to fetch user orders',
     });
   }
 });
 
-// GET store statistics for admin dashboard
-router.get('/stores/stats', authenticateAdmin, async (req, res) => {
+// GET a user's active sessions (session IDs are masked)
+router.get('/users/:type/:id/sessions', authenticateAdmin, async (req, res) => {
   try {
-    const stats = await pool.query(`
-      SELECT 
-        COUNT(*) as total_stores,
-        COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_stores,
-        COUNT(CASE WHEN status = 'approved' THEN 1 END) as approved_stores,
-        COUNT(CASE WHEN status = 'suspended' THEN 1 END) as suspended_stores
-      FROM stores
-    `);
+    const target = resolveUserParams(req, res);
+    if (!target) {
+      return;
+    }
+
+    const sessions = await getUserSessions(String(target.userId), target.userType);
 
     res.json({
       success: true,
-      data: stats.rows[0]
+      data: sessions.map(session => ({
+        sessionId: `${session.sessionId.slice(0, 8)}…`,
+        loginTime: session.sessionData.loginTime || null,
+        expiresAt: session.expiresAt,
+      })),
     });
   } catch (error) {
-    console.error('Error fetching store statistics:', error.message);
+    console.error('Error fetching user sessions:', error.message);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch store statistics'
+      message: 'Failed to fetch user sessions',
+    });
+  }
+});
+
+// POST suspend a user; their sessions are revoked so the lockout is immediate.
+// Drivers are told why they were suspended, so suspending a driver needs a reason.
+router.post('/users/:type/:id/suspend', authenticateAdmin, async (req, res) => {
+  try {
+    const target = resolveUserParams(req, res);
+    if (!target) {
+      return;
+    }
+
+    if (isOwnAccount(req, target.userType, target.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot suspend your own account',
+      });
+    }
+
+    const isDriver = target.userType === 'driver';
+    const reason = isDriver ? requireReason(req, res) : null;
+    if (isDriver && !reason) {
+      return;
+    }
+
+    if (isDriver) {
+      const driver = await suspendDriver(target.userId, reason);
+      if (!driver) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found',
+        });
+      }
+
+      return res.json({
+        success: true,
+        data: driver,
+        message: 'User suspended',
+      });
+    }
+
+    const result = await pool.query(
+      `UPDATE ${target.config.table} SET status = $1 WHERE id = $2 RETURNING id, email, status`,
+      [target.config.suspendedStatus, target.userId],
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const sessionsRevoked = await destroyUserSessions(String(target.userId), target.userType);
+
+    res.json({
+      success: true,
+      data: { ...result.rows[0], sessionsRevoked },
+      message: 'User suspended',
+    });
+  } catch (error) {
+    console.error('Error suspending user:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to suspend user',
+    });
+  }
+});
+
+// POST reactivate a suspended user
+router.post('/users/:type/:id/reactivate', authenticateAdmin, async (req, res) => {
+  try {
+    const target = resolveUserParams(req, res);
+    if (!target) {
+      return;
+    }
+
+    // A reactivated driver's suspension reason no longer applies
+    const clearReason = target.userType === 'driver' ? ', suspension_reason = NULL' : '';
+    const result = await pool.query(
+      `UPDATE ${target.config.table} SET status = $1${clearReason} WHERE id = $2 AND status = $3 RETURNING id, email, status`,
+      [target.config.activeStatus, target.userId, target.config.suspendedStatus],
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Suspended user not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.rows[0],
+      message: 'User reactivated',
+    });
+  } catch (error) {
+    console.error('Error reactivating user:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reactivate user',
+    });
+  }
+});
+
+// POST force a password reset: the current password stops working, sessions are
+// revoked and a reset link is sent to the account's email
+router.post('/users/:type/:id/force-password-reset', authenticateAdmin, async (req, res) => {
+  try {
+    const target = resolveUserParams(req, res);
+    if (!target) {
+      return;
+    }
+
+    if (isOwnAccount(req, target.userType, target.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use the change password form for your own account',
+      });
+    }
+
+    const unusablePassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+    const result = await pool.query(
+      `UPDATE ${target.config.table} SET password_hash = $1 WHERE id = $2 RETURNING email, full_name`,
+      [unusablePassword, target.userId],
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const { email, full_name: fullName } = result.rows[0];
+
+    const tokenResult = await createPasswordResetToken(email, target.userType);
+
+    if (!tokenResult.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Error creating reset token',
+      });
+    }
+
+    const emailResult = await sendPasswordResetEmail(email, tokenResult.token, fullName);
+    const sessionsRevoked = await destroyUserSessions(String(target.userId), target.userType);
+
+    res.json({
+      success: true,
+      data: {
+        sessionsRevoked,
+        ...(process.env.NODE_ENV === 'development' && emailResult.resetUrl && {
+          devResetUrl: emailResult.resetUrl, // Only in development
+        }),
+      },
+      message: `Password reset link sent to ${email}`,
+    });
+  } catch (error) {
+    console.error('Error forcing password reset:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to force password reset',
+    });
+  }
+});
+
+// DELETE revoke all of a user's sessions
+router.delete('/users/:type/:id/sessions', authenticateAdmin, async (req, res) => {
+  try {
+    const target = resolveUserParams(req, res);
+    if (!target) {
+      return;
+    }
+
+    const sessionsRevoked = await destroyUserSessions(String(target.userId), target.userType);
+
+    res.json({
+      success: true,
+      data: { sessionsRevoked },
+      message: `${sessionsRevoked} session(s) revoked`,
+    });
+  } catch (error) {
+    console.error('Error revoking user sessions:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke sessions',
+    });
+  }
+});
+
+// Stream a private R2 object (driver documents, delivery proofs) back to an admin
+async function sendPrivateObject(res, key, { contentType, filename }) {
+  const object = await r2Service.getObject(key);
+
+  res.setHeader('Content-Type', contentType || object.ContentType || 'application/octet-stream');
+  res.setHeader('Cache-Control', 'private, no-store');
+  res.setHeader('Content-Disposition', `inline; filename="${filename.replace(/"/g, '')}"`);
+
+  if (typeof object.Body.pipe === 'function') {
+    object.Body.pipe(res);
+  } else {
+    res.send(Buffer.from(await object.Body.transformToByteArray()));
+  }
+}
+
+const isMissingObject = error => error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404;
+
+// === DRIVER VERIFICATION ENDPOINTS ===
+
+const VERIFICATION_STATUSES = ['pending', 'approved', 'rejected'];
+
+const DRIVER_DETAIL_COLUMNS = `
+  d.id, d.driver_id, d.full_name, d.email, d.phone, d.license_number, d.vehicle_type,
+  d.vehicle_plate, d.status, d.is_verified, d.verification_status, d.rejection_reason,
+  d.suspension_reason, d.verified_at, d.rating, d.rating_count, d.total_deliveries, d.created_at,
+  a.full_name AS verified_by_name
+`;
+
+// GET drivers for review (?verification=pending|approved|rejected|all, ?q search)
+router.get('/drivers', authenticateAdmin, async (req, res) => {
+  try {
+    const { verification = 'pending', q, page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const params = [];
+
+    if (VERIFICATION_STATUSES.includes(verification)) {
+      params.push(verification);
+      conditions.push(`d.verification_status = $${params.length}`);
+    }
+
+    if (q && q.trim()) {
+      params.push(`%${q.trim()}%`);
+      conditions.push(`(d.full_name ILIKE $${params.length} OR d.email ILIKE $${params.length} OR d.driver_id ILIKE $${params.length} OR d.license_number ILIKE $${params.length} OR d.vehicle_plate ILIKE $${params.length})`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    // Oldest first so the review queue is worked in the order drivers signed up
+    const result = await pool.query(`
+      SELECT ${DRIVER_DETAIL_COLUMNS},
+             (SELECT COUNT(*) FROM driver_documents dd WHERE dd.driver_id = d.id) as document_count
+      FROM drivers d
+      LEFT JOIN admins a ON a.id = d.verified_by
+      ${whereClause}
+      ORDER BY d.created_at ASC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    const countResult = await pool.query(`
+      SELECT COUNT(*) as total FROM drivers d ${whereClause}
+    `, params);
+
+    const summaryResult = await pool.query(`
+      SELECT verification_status, COUNT(*) as total
+      FROM drivers
+      GROUP BY verification_status
+    `);
+
+    const total = parseInt(countResult.rows[0].total);
+
+    res.json({
+      success: true,
+      data: result.rows.map(driver => ({ ...driver, document_count: parseInt(driver.document_count) })),
+      summary: summaryResult.rows.reduce((summary, row) => {
+        summary[row.verification_status] = parseInt(row.total);
+        return summary;
+      }, { pending: 0, approved: 0, rejected: 0 }),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching drivers for verification:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch drivers',
+    });
+  }
+});
+
+// GET a driver's licence, vehicle details and uploaded documents
+router.get('/drivers/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const driverResult = await pool.query(`
+      SELECT ${DRIVER_DETAIL_COLUMNS}
+      FROM drivers d
+      LEFT JOIN admins a ON a.id = d.verified_by
+      WHERE d.id = $1
+    `, [id]);
+
+    if (driverResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver not found',
+      });
+    }
+
+    const documentsResult = await pool.query(`
+      SELECT id, document_type, original_name, content_type, uploaded_at
+      FROM driver_documents
+      WHERE driver_id = $1
+      ORDER BY uploaded_at DESC
+    `, [id]);
+
+    const flagsResult = await pool.query(
+      'SELECT COUNT(*) as total FROM delivery_ratings WHERE driver_id = $1 AND review_status = \'open\'',
+      [id],
+    );
+
+    res.json({
+      success: true,
+      data: {
+        ...driverResult.rows[0],
+        open_rating_flags: parseInt(flagsResult.rows[0].total),
+        documents: documentsResult.rows,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching driver details:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch driver details',
+    });
+  }
+});
+
+// GET stream a driver document from private storage
+router.get('/drivers/:id/documents/:documentId', authenticateAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT storage_key, original_name, content_type FROM driver_documents WHERE id = $1 AND driver_id = $2',
+      [req.params.documentId, req.params.id],
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found',
+      });
+    }
+
+    const document = result.rows[0];
+    await sendPrivateObject(res, document.storage_key, {
+      contentType: document.content_type,
+      filename: document.original_name,
+    });
+  } catch (error) {
+    console.error('Error streaming driver document:', error.message);
+    if (isMissingObject(error)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found',
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load document',
+    });
+  }
+});
+
+// POST approve a driver so they can go online and be assigned orders
+router.post('/drivers/:id/approve', authenticateAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      UPDATE drivers
+      SET verification_status = 'approved', is_verified = true, rejection_reason = NULL,
+          verified_at = CURRENT_TIMESTAMP, verified_by = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING id, email, full_name, verification_status, is_verified, verified_at
+    `, [req.user.userId, req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver not found',
+      });
+    }
+
+    await notifyDriverDecision(result.rows[0], 'approved');
+
+    res.json({
+      success: true,
+      data: result.rows[0],
+      message: 'Driver approved',
+    });
+  } catch (error) {
+    console.error('Error approving driver:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve driver',
+    });
+  }
+});
+
+// POST reject a driver's verification; they stay offline until they upload new documents
+router.post('/drivers/:id/reject', authenticateAdmin, async (req, res) => {
+  try {
+    const reason = requireReason(req, res);
+    if (!reason) {
+      return;
+    }
+
+    const result = await pool.query(`
+      UPDATE drivers
+      SET verification_status = 'rejected', is_verified = false, rejection_reason = $1,
+          status = CASE WHEN status = 'inactive' THEN status ELSE 'offline' END,
+          verified_at = NULL, verified_by = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $3
+      RETURNING id, email, full_name, verification_status, is_verified, rejection_reason
+    `, [reason, req.user.userId, req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver not found',
+      });
+    }
+
+    await notifyDriverDecision(result.rows[0], 'rejected', reason);
+
+    res.json({
+      success: true,
+      data: result.rows[0],
+      message: 'Driver rejected',
+    });
+  } catch (error) {
+    console.error('Error rejecting driver:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reject driver',
+    });
+  }
+});
+
+// POST suspend a driver with a reason; they are locked out and their work goes to other drivers
+router.post('/drivers/:id/suspend', authenticateAdmin, async (req, res) => {
+  try {
+    const reason = requireReason(req, res);
+    if (!reason) {
+      return;
+    }
+
+    const driver = await suspendDriver(req.params.id, reason);
+    if (!driver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: driver,
+      message: 'Driver suspended',
+    });
+  } catch (error) {
+    console.error('Error suspending driver:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to suspend driver',
+    });
+  }
+});
+
+// === DELIVERY PROOF ENDPOINTS ===
+
+// GET proof of delivery for an order: PIN handover, driver and captured photos/signatures
+router.get('/orders/:id/delivery-proof', authenticateAdmin, async (req, res) => {
+  try {
+    const orderResult = await pool.query(`
+      SELECT o.id, o.status, o.delivered_at, o.delivery_pin IS NOT NULL AS pin_required,
+             o.delivery_pin_verified_at, o.delivery_pin_failed_attempts,
+             d.id AS driver_id, d.driver_id AS driver_code, d.full_name AS driver_name
+      FROM orders o
+      LEFT JOIN drivers d ON o.driver_id = d.id
+      WHERE o.id = $1
+    `, [req.params.id]);
+
+    if (orderResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    const order = orderResult.rows[0];
+
+    const proofsResult = await pool.query(`
+      SELECT id, proof_type, content_type, created_at
+      FROM delivery_proofs
+      WHERE order_id = $1
+      ORDER BY created_at ASC
+    `, [order.id]);
+
+    res.json({
+      success: true,
+      data: {
+        orderId: order.id,
+        status: order.status,
+        deliveredAt: order.delivered_at,
+        pinRequired: order.pin_required,
+        pinVerifiedAt: order.delivery_pin_verified_at,
+        pinFailedAttempts: order.delivery_pin_failed_attempts,
+        driver: order.driver_id
+          ? { id: order.driver_id, driverId: order.driver_code, fullName: order.driver_name }
+          : null,
+        proofs: proofsResult.rows.map(proof => ({
+          id: proof.id,
+          type: proof.proof_type,
+          contentType: proof.content_type,
+          createdAt: proof.created_at,
+        })),
+      },
+    });
+
+  } catch (error) {
+    console.error('Error fetching delivery proof:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch delivery proof',
+    });
+  }
+});
+
+// GET stream a delivery photo or signature
+router.get('/orders/:id/delivery-proof/:proofId', authenticateAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, proof_type, storage_key, content_type FROM delivery_proofs WHERE id = $1 AND order_id = $2',
+      [req.params.proofId, req.params.id],
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proof not found',
+      });
+    }
+
+    const proof = result.rows[0];
+    await sendPrivateObject(res, proof.storage_key, {
+      contentType: proof.content_type,
+      filename: `order-${req.params.id}-${proof.proof_type}-${proof.id}`,
+    });
+  } catch (error) {
+    console.error('Error streaming delivery proof:', error.message);
+    if (isMissingObject(error)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proof not found',
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load proof',
+    });
+  }
+});
+
+// === DRIVER EARNINGS ENDPOINTS ===
+
+// Pay rates are dollar amounts, zero or more
+function parsePayRate(value) {
+  const rate = parseFloat(value);
+  return isNaN(rate) || rate < 0 || rate > 1000 ? null : Math.round(rate * 100) / 100;
+}
+
+// GET the delivery pay rates
+router.get('/driver-pay-rates', authenticateAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getPayRates(),
+    });
+  } catch (error) {
+    console.error('Error fetching driver pay rates:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch driver pay rates',
+    });
+  }
+});
+
+// PUT update the delivery pay rates; only deliveries completed afterwards use them
+router.put('/driver-pay-rates', authenticateAdmin, async (req, res) => {
+  try {
+    const baseFee = parsePayRate(req.body.baseFee);
+    const perKmRate = parsePayRate(req.body.perKmRate);
+
+    if (baseFee === null || perKmRate === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Base fee and per-km rate must be amounts of zero or more',
+      });
+    }
+
+    await pool.query(`
+      INSERT INTO driver_pay_rates (id, base_fee, per_km_rate, updated_at)
+      VALUES (1, $1, $2, CURRENT_TIMESTAMP)
+      ON CONFLICT (id) DO UPDATE
+      SET base_fee = EXCLUDED.base_fee, per_km_rate = EXCLUDED.per_km_rate, updated_at = CURRENT_TIMESTAMP
+    `, [baseFee, perKmRate]);
+
+    res.json({
+      success: true,
+      data: await getPayRates(),
+      message: 'Driver pay rates updated',
+    });
+  } catch (error) {
+    console.error('Error updating driver pay rates:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update driver pay rates',
+    });
+  }
+});
+
+// POST add a tip, bonus or adjustment to a driver's earnings
+router.post('/drivers/:id/earnings', authenticateAdmin, async (req, res) => {
+  try {
+    const { entryType, orderId } = req.body;
+    const amount = Math.round(parseFloat(req.body.amount) * 100) / 100;
+    const description = typeof req.body.description === 'string' ? req.body.description.trim() : '';
+
+    if (!MANUAL_ENTRY_TYPES.includes(entryType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Entry type must be one of: ${MANUAL_ENTRY_TYPES.join(', ')}`,
+      });
+    }
+
+    // Only adjustments can take money back
+    if (isNaN(amount) || amount === 0 || (entryType !== 'adjustment' && amount < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: entryType === 'adjustment' ? 'Amount must not be zero' : 'Amount must be greater than zero',
+      });
+    }
+
+    if (entryType === 'adjustment' && !description) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please describe the reason for the adjustment',
+      });
+    }
+
+    const driverResult = await pool.query('SELECT id FROM drivers WHERE id = $1', [req.params.id]);
+    if (driverResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver not found',
+      });
+    }
+
+    if (orderId) {
+      const orderResult = await pool.query(
+        'SELECT id FROM orders WHERE id = $1 AND driver_id = $2',
+        [orderId, req.params.id],
+      );
+      if (orderResult.rows.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Order was not delivered by this driver',
+        });
+      }
+    }
+
+    const entry = await addEarningsEntry(pool, {
+      driverId: driverResult.rows[0].id,
+      orderId: orderId || null,
+      entryType,
+      amount,
+      description: description || null,
+      createdBy: req.user.userId,
+    });
+
+    await createNotification(
+      entry.driver_id,
+      'driver',
+      amount > 0 ? `You received a ${entryType}` : 'Earnings adjusted',
+      `${amount > 0 ? '+' : '-'}$${Math.abs(amount).toFixed(2)}${description ? `: ${description}` : ''}`,
+      'account',
+      '/driver',
+    );
+
+    res.status(201).json({
+      success: true,
+      data: formatEarningsEntry(entry),
+      message: 'Earnings entry added',
+    });
+  } catch (error) {
+    console.error('Error adding driver earnings entry:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add earnings entry',
+    });
+  }
+});
+
+// GET driver payouts (?status=pending|paid|failed|all) with the balance not yet on a statement
+router.get('/driver-payouts', authenticateAdmin, async (req, res) => {
+  try {
+    const { status = 'all', page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const statusFilter = ['pending', 'paid', 'failed'].includes(status) ? status : null;
+
+    const result = await pool.query(`
+      SELECT p.*, p.period_start::text AS start_date, p.period_end::text AS end_date,
+             d.full_name AS driver_name, d.driver_id AS driver_code
+      FROM driver_payouts p
+      JOIN drivers d ON p.driver_id = d.id
+      WHERE $3::text IS NULL OR p.status = $3
+      ORDER BY p.period_end DESC, p.id DESC
+      LIMIT $1 OFFSET $2
+    `, [limit, offset, statusFilter]);
+
+    const countResult = await pool.query(
+      'SELECT COUNT(*) as total FROM driver_payouts WHERE $1::text IS NULL OR status = $1',
+      [statusFilter],
+    );
+
+    const summaryResult = await pool.query(`
+      SELECT
+        (SELECT COALESCE(SUM(amount), 0) FROM driver_earnings WHERE payout_id IS NULL) as unpaid_amount,
+        (SELECT COUNT(*) FROM driver_payouts WHERE status = 'failed') as failed_count
+    `);
+
+    const total = parseInt(countResult.rows[0].total);
+
+    res.json({
+      success: true,
+      data: result.rows.map(formatPayout),
+      summary: {
+        unpaidAmount: parseFloat(summaryResult.rows[0].unpaid_amount),
+        failedCount: parseInt(summaryResult.rows[0].failed_count),
+        nextPeriod: getPayoutPeriod(),
+      },
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching driver payouts:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch driver payouts',
+    });
+  }
+});
+
+// POST create statements for the last complete week and pay them out
+// Running it again for the same week only picks up drivers without a statement yet
+router.post('/driver-payouts/run', authenticateAdmin, async (req, res) => {
+  const period = getPayoutPeriod();
+  const client = await pool.connect();
+
+  try {
+    const payoutIds = await createPayouts(client, period);
+
+    const results = [];
+    for (const payoutId of payoutIds) {
+      results.push(await sendPayout(client, stripe, payoutId));
+    }
+
+    const paid = results.filter(result => result.status === 'paid').length;
+    const failed = results.filter(result => result.status === 'failed').length;
+
+    res.json({
+      success: true,
+      data: {
+        period,
+        created: payoutIds.length,
+        paid,
+        failed,
+      },
+      message: payoutIds.length === 0
+        ? `No unpaid earnings up to ${period.periodEnd}`
+        : `${payoutIds.length} statement${payoutIds.length === 1 ? '' : 's'} created, ${paid} paid${failed > 0 ? `, ${failed} failed` : ''}`,
+    });
+  } catch (error) {
+    console.error('Error running driver payouts:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run driver payouts',
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// GET a payout statement with its ledger entries
+router.get('/driver-payouts/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const statement = await getStatement(pool, req.params.id);
+
+    if (!statement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: statement,
+    });
+  } catch (error) {
+    console.error('Error fetching driver payout:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch driver payout',
+    });
+  }
+});
+
+// POST retry a pending or failed payout
+router.post('/driver-payouts/:id/retry', authenticateAdmin, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const result = await sendPayout(client, stripe, req.params.id);
+
+    if (result.status === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout not found',
+      });
+    }
+
+    if (result.status === 'already_paid') {
+      return res.status(409).json({
+        success: false,
+        message: 'This payout has already been paid',
+      });
+    }
+
+    if (result.status === 'failed') {
+      return res.status(502).json({
+        success: false,
+        message: `Payout failed: ${result.error}`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.payout,
+      message: 'Payout sent successfully',
+    });
+  } catch (error) {
+    console.error('Error retrying driver payout:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retry payout',
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// === DRIVER RATINGS ENDPOINTS ===
+
+const RATING_REVIEW_STATUSES = ['open', 'resolved'];
+
+// GET customer ratings of drivers (?status=open|resolved|all, ?driverId)
+// Open ratings are the ones flagged for review; all includes unflagged ratings
+router.get('/driver-ratings', authenticateAdmin, async (req, res) => {
+  try {
+    const { status = 'open', driverId, page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const params = [];
+
+    if (RATING_REVIEW_STATUSES.includes(status)) {
+      params.push(status);
+      conditions.push(`r.review_status = $${params.length}`);
+    }
+
+    if (driverId) {
+      params.push(driverId);
+      conditions.push(`r.driver_id = $${params.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const result = await pool.query(`
+      SELECT r.id, r.order_id, r.driver_id, r.rating, r.feedback, r.flag_reason, r.review_status,
+             r.review_note, r.reviewed_at, r.created_at,
+             o.order_number, d.full_name as driver_name, d.driver_id as driver_code,
+             d.rating as driver_rating, d.rating_count as driver_rating_count,
+             c.full_name as customer_name, a.full_name as reviewed_by_name
+      FROM delivery_ratings r
+      JOIN orders o ON o.id = r.order_id
+      JOIN drivers d ON d.id = r.driver_id
+      JOIN customers c ON c.id = r.customer_id
+      LEFT JOIN admins a ON a.id = r.reviewed_by
+      ${whereClause}
+      ORDER BY r.created_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    const countResult = await pool.query(`
+      SELECT COUNT(*) as total FROM delivery_ratings r ${whereClause}
+    `, params);
+
+    const summaryResult = await pool.query(`
+      SELECT COUNT(*) as open_count FROM delivery_ratings WHERE review_status = 'open'
+    `);
+
+    const total = parseInt(countResult.rows[0].total);
+
+    res.json({
+      success: true,
+      data: result.rows.map(rating => ({
+        ...rating,
+        driver_rating: parseFloat(rating.driver_rating),
+      })),
+      summary: {
+        openCount: parseInt(summaryResult.rows[0].open_count),
+      },
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching driver ratings:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch driver ratings',
+    });
+  }
+});
+
+// PUT resolve a flagged rating, with a note on what was done about it
+router.put('/driver-ratings/:id/review', authenticateAdmin, async (req, res) => {
+  try {
+    const note = typeof req.body.note === 'string' ? req.body.note.trim() : '';
+
+    if (note.length > 500) {
+      return res.status(400).json({
+        success: false,
+        message: 'Note must be 500 characters or fewer',
+      });
+    }
+
+    const result = await pool.query(`
+      UPDATE delivery_ratings
+      SET review_status = 'resolved', review_note = $1, reviewed_by = $2, reviewed_at = CURRENT_TIMESTAMP
+      WHERE id = $3 AND review_status = 'open'
+      RETURNING id, review_status, review_note, reviewed_at
+    `, [note || null, req.user.userId, req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Flagged rating not found or already resolved',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.rows[0],
+      message: 'Rating review resolved',
+    });
+  } catch (error) {
+    console.error('Error resolving driver rating review:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve rating review',
+    });
+  }
+});
+
+// === STORE MANAGEMENT ENDPOINTS ===
+
+// GET all stores for admin
+router.get('/stores', authenticateAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT 
+        s.*,
+        u.full_name as owner_name,
+        u.email as owner_email,
+        u.phone as owner_phone
+      FROM stores s
+      JOIN store_owners u ON s.owner_id = u.id
+      ORDER BY s.created_at DESC
+    `);
+    
+    // Parse the categories JSON field
+    const stores = result.rows.map(store => ({
+      ...store,
+      categories: typeof store.categories === 'string' ? JSON.parse(store.categories) : store.categories
+    }));
+
+    res.json({
+      success: true,
+      data: stores
+    });
+  } catch (error) {
+    console.error('Error fetching stores for admin:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch stores'
+    });
+  }
+});
+
+// PUT update store status
+router.put('/stores/:id/status', authenticateAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.body;
+    
+    // Validate status
+    const validStatuses = ['pending', 'approved', 'suspended'];
+    if (!validStatuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status. Must be pending, approved, or suspended'
+      });
+    }
+
+    const result = await pool.query(`
+      UPDATE stores 
+      SET status = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING *
+    `, [status, id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.rows[0],
+      message: `Store status updated to ${status}`
+    });
+  } catch (error) {
+    console.error('Error updating store status:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update store status'
+    });
+  }
+});
+
+// GET store details by ID
+router.get('/stores/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const result = await pool.query(`
+      SELECT 
+        s.*,
+        u.full_name as owner_name,
+        u.email as owner_email,
+        u.phone as owner_phone,
+        u.address as owner_address
+      FROM stores s
+      JOIN store_owners u ON s.owner_id = u.id
+      WHERE s.id = $1
+    `, [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found'
+      });
+    }
+
+    // Parse the categories JSON field
+    const store = {
+      ...result.rows[0],
+      categories: typeof result.rows[0].categories === 'string' 
+        ? JSON.parse(result.rows[0].categories) 
+        : result.rows[0].categories
+    };
+
+    res.json({
+      success: true,
+      data: store
+    });
+  } catch (error) {
+    console.error('Error fetching store details:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch store details'
+    });
+  }
+});
+
+// GET store statistics for admin dashboard
+router.get('/stores/stats', authenticateAdmin, async (req, res) => {
+  try {
+    const stats = await pool.query(`
+      SELECT 
+        COUNT(*) as total_stores,
+        COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_stores,
+        COUNT(CASE WHEN status = 'approved' THEN 1 END) as approved_stores,
+        COUNT(CASE WHEN status = 'suspended' THEN 1 END) as suspended_stores
+      FROM stores
+    `);
+
+    res.json({
+      success: true,
+      data: stats.rows[0]
+    });
+  } catch (error) {
+    console.error('Error fetching store statistics:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch store statistics'
+    });
+  }
+});
+
+// === COMMISSION RULE ENDPOINTS ===
+
+// Commission rates are percentages between 0 and 100
+function parseRatePercent(value) {
+  const rate = parseFloat(value);
+  return isNaN(rate) || rate < 0 || rate > 100 ? null : Math.round(rate * 100) / 100;
+}
+
+// GET commission rules (default, per-store and per-category overrides)
+router.get('/commission-rules', authenticateAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT cr.*, s.store_name
+      FROM commission_rules cr
+      LEFT JOIN stores s ON cr.store_id = s.id
+      ORDER BY cr.scope, s.store_name, cr.category
+    `);
+
+    const defaultRule = result.rows.find(rule => rule.scope === 'default');
+
+    res.json({
+      success: true,
+      data: {
+        defaultRate: defaultRule ? parseFloat(defaultRule.rate_percent) : null,
+        storeRules: result.rows.filter(rule => rule.scope === 'store'),
+        categoryRules: result.rows.filter(rule => rule.scope === 'category'),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching commission rules:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch commission rules',
+    });
+  }
+});
+
+// PUT update the default commission rate
+router.put('/commission-rules/default', authenticateAdmin, async (req, res) => {
+  try {
+    const ratePercent = parseRatePercent(req.body.ratePercent);
+
+    if (ratePercent === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Commission rate must be between 0 and 100',
+      });
+    }
+
+    const updateResult = await pool.query(`
+      UPDATE commission_rules
+      SET rate_percent = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE scope = 'default'
+      RETURNING *
+    `, [ratePercent]);
+
+    const result = updateResult.rows.length > 0
+      ? updateResult
+      : await pool.query(
+        'INSERT INTO commission_rules (scope, rate_percent) VALUES (\'default\', $1) RETURNING *',
+        [ratePercent],
+      );
+
+    res.json({
+      success: true,
+      data: result.rows[0],
+      message: 'Default commission rate updated',
+    });
+  } catch (error) {
+    console.error('Error updating default commission rate:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update default commission rate',
+    });
+  }
+});
+
+// POST create a per-store or per-category commission override
+router.post('/commission-rules', authenticateAdmin, async (req, res) => {
+  try {
+    const { scope, storeId, category } = req.body;
+    const ratePercent = parseRatePercent(req.body.ratePercent);
+
+    if (!['store', 'category'].includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scope must be store or category',
+      });
+    }
+
+    if (ratePercent === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Commission rate must be between 0 and 100',
+      });
+    }
+
+    if (scope === 'store' && !storeId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Store is required for a store override',
+      });
+    }
+
+    if (scope === 'category' && (!category || !category.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category is required for a category override',
+      });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO commission_rules (scope, store_id, category, rate_percent)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `, [scope, scope === 'store' ? storeId : null, scope === 'category' ? category.trim() : null, ratePercent]);
+
+    res.status(201).json({
+      success: true,
+      data: result.rows[0],
+      message: 'Commission override created',
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'An override already exists for this store or category',
+      });
+    }
+    if (error.code === '23503') {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found',
+      });
+    }
+    console.error('Error creating commission rule:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create commission override',
+    });
+  }
+});
+
+// PUT update the rate of a commission override
+router.put('/commission-rules/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const ratePercent = parseRatePercent(req.body.ratePercent);
+
+    if (ratePercent === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Commission rate must be between 0 and 100',
+      });
+    }
+
+    const result = await pool.query(`
+      UPDATE commission_rules
+      SET rate_percent = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2 AND scope <> 'default'
+      RETURNING *
+    `, [ratePercent, req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Commission override not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.rows[0],
+      message: 'Commission override updated',
+    });
+  } catch (error) {
+    console.error('Error updating commission rule:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update commission override',
+    });
+  }
+});
+
+// DELETE remove a commission override (the default rule cannot be removed)
+router.delete('/commission-rules/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM commission_rules WHERE id = $1 AND scope <> \'default\' RETURNING id',
+      [req.params.id],
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Commission override not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Commission override removed',
+    });
+  } catch (error) {
+    console.error('Error deleting commission rule:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove commission override',
+    });
+  }
+});
+
+// === DELIVERY PRICING ENDPOINTS ===
+
+// GET delivery pricing (default rule and per-store overrides)
+router.get('/delivery-pricing', authenticateAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT dpr.*, s.store_name
+      FROM delivery_pricing_rules dpr
+      LEFT JOIN stores s ON dpr.store_id = s.id
+      ORDER BY dpr.scope, s.store_name
+    `);
+
+    const defaultRule = result.rows.find(rule => rule.scope === 'default');
+
+    res.json({
+      success: true,
+      data: {
+        defaultRule: defaultRule ? formatDeliveryRule(defaultRule) : null,
+        storeRules: result.rows.filter(rule => rule.scope === 'store').map(formatDeliveryRule),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching delivery pricing:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch delivery pricing',
+    });
+  }
+});
+
+// PUT update the default delivery pricing
+router.put('/delivery-pricing/default', authenticateAdmin, async (req, res) => {
+  try {
+    const { errors, rule } = validateDeliveryRuleInput(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors[0],
+        errors,
+      });
+    }
+
+    const values = [rule.flat_fee, JSON.stringify(rule.distance_bands), rule.per_kg_fee, rule.included_weight_kg, rule.free_delivery_threshold];
+
+    const updateResult = await pool.query(`
+      UPDATE delivery_pricing_rules
+      SET flat_fee = $1, distance_bands = $2, per_kg_fee = $3, included_weight_kg = $4,
+          free_delivery_threshold = $5, updated_at = CURRENT_TIMESTAMP
+      WHERE scope = 'default'
+      RETURNING *
+    `, values);
+
+    const result = updateResult.rows.length > 0
+      ? updateResult
+      : await pool.query(`
+        INSERT INTO delivery_pricing_rules (scope, flat_fee, distance_bands, per_kg_fee, included_weight_kg, free_delivery_threshold)
+        VALUES ('default', $1, $2, $3, $4, $5)
+        RETURNING *
+      `, values);
+
+    res.json({
+      success: true,
+      data: formatDeliveryRule(result.rows[0]),
+      message: 'Default delivery pricing updated',
+    });
+  } catch (error) {
+    console.error('Error updating default delivery pricing:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update default delivery pricing',
+    });
+  }
+});
+
+// POST create a per-store delivery pricing override
+router.post('/delivery-pricing', authenticateAdmin, async (req, res) => {
+  try {
+    const { storeId } = req.body;
+    const { errors, rule } = validateDeliveryRuleInput(req.body);
+
+    if (!storeId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Store is required for a store override',
+      });
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors[0],
+        errors,
+      });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO delivery_pricing_rules (scope, store_id, flat_fee, distance_bands, per_kg_fee, included_weight_kg, free_delivery_threshold)
+      VALUES ('store', $1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [storeId, rule.flat_fee, JSON.stringify(rule.distance_bands), rule.per_kg_fee, rule.included_weight_kg, rule.free_delivery_threshold]);
+
+    res.status(201).json({
+      success: true,
+      data: formatDeliveryRule(result.rows[0]),
+      message: 'Delivery pricing override created',
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'An override already exists for this store',
+      });
+    }
+    if (error.code === '23503') {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found',
+      });
+    }
+    console.error('Error creating delivery pricing rule:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create delivery pricing override',
+    });
+  }
+});
+
+// PUT update a per-store delivery pricing override
+router.put('/delivery-pricing/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const { errors, rule } = validateDeliveryRuleInput(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors[0],
+        errors,
+      });
+    }
+
+    const result = await pool.query(`
+      UPDATE delivery_pricing_rules
+      SET flat_fee = $1, distance_bands = $2, per_kg_fee = $3, included_weight_kg = $4,
+          free_delivery_threshold = $5, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $6 AND scope <> 'default'
+      RETURNING *
+    `, [rule.flat_fee, JSON.stringify(rule.distance_bands), rule.per_kg_fee, rule.included_weight_kg, rule.free_delivery_threshold, req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery pricing override not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatDeliveryRule(result.rows[0]),
+      message: 'Delivery pricing override updated',
+    });
+  } catch (error) {
+    console.error('Error updating delivery pricing rule:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update delivery pricing override',
+    });
+  }
+});
+
+// DELETE remove a delivery pricing override (the default rule cannot be removed)
+router.delete('/delivery-pricing/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM delivery_pricing_rules WHERE id = $1 AND scope <> \'default\' RETURNING id',
+      [req.params.id],
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery pricing override not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Delivery pricing override removed',
+    });
+  } catch (error) {
+    console.error('Error deleting delivery pricing rule:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove delivery pricing override',
+    });
+  }
+});
+
+// === TAX ENDPOINTS ===
+
+const REPORT_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Tax report period from startDate/endDate (YYYY-MM-DD, both inclusive); defaults to this month so far
+function parseTaxReportPeriod(query) {
+  const now = new Date();
+  const startDate = query.startDate || new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString().slice(0, 10);
+  const endDate = query.endDate || now.toISOString().slice(0, 10);
+
+  if (!REPORT_DATE_PATTERN.test(startDate) || !REPORT_DATE_PATTERN.test(endDate) || endDate < startDate) {
+    return null;
+  }
+
+  const endExclusive = new Date(`${endDate}T00:00:00Z`);
+  endExclusive.setUTCDate(endExclusive.getUTCDate() + 1);
+
+  return { startDate, endDate, start: new Date(`${startDate}T00:00:00Z`), end: endExclusive };
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// GET tax jurisdictions
+router.get('/tax-jurisdictions', authenticateAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT * FROM tax_jurisdictions
+      ORDER BY state, zip_prefix NULLS FIRST, name
+    `);
+
+    res.json({
+      success: true,
+      data: result.rows,
+    });
+  } catch (error) {
+    console.error('Error fetching tax jurisdictions:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tax jurisdictions',
+    });
+  }
+});
+
+// POST create a tax jurisdiction
+router.post('/tax-jurisdictions', authenticateAdmin, async (req, res) => {
+  try {
+    const { errors, jurisdiction } = validateJurisdictionInput(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors[0],
+        errors,
+      });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO tax_jurisdictions (name, state, zip_prefix, rate_percent, exempt_categories, taxes_delivery, is_active)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [
+      jurisdiction.name,
+      jurisdiction.state,
+      jurisdiction.zip_prefix,
+      jurisdiction.rate_percent,
+      jurisdiction.exempt_categories,
+      jurisdiction.taxes_delivery,
+      jurisdiction.is_active,
+    ]);
+
+    res.status(201).json({
+      success: true,
+      data: result.rows[0],
+      message: 'Tax jurisdiction created',
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'A jurisdiction with this name already exists for this state and ZIP prefix',
+      });
+    }
+    console.error('Error creating tax jurisdiction:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create tax jurisdiction',
+    });
+  }
+});
+
+// PUT update a tax jurisdiction (orders already placed keep the tax lines they were charged)
+router.put('/tax-jurisdictions/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const { errors, jurisdiction } = validateJurisdictionInput(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors[0],
+        errors,
+      });
+    }
+
+    const result = await pool.query(`
+      UPDATE tax_jurisdictions
+      SET name = $1, state = $2, zip_prefix = $3, rate_percent = $4, exempt_categories = $5,
+          taxes_delivery = $6, is_active = $7, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $8
+      RETURNING *
+    `, [
+      jurisdiction.name,
+      jurisdiction.state,
+      jurisdiction.zip_prefix,
+      jurisdiction.rate_percent,
+      jurisdiction.exempt_categories,
+      jurisdiction.taxes_delivery,
+      jurisdiction.is_active,
+      req.params.id,
+    ]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax jurisdiction not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.rows[0],
+      message: 'Tax jurisdiction updated',
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'A jurisdiction with this name already exists for this state and ZIP prefix',
+      });
+    }
+    console.error('Error updating tax jurisdiction:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update tax jurisdiction',
+    });
+  }
+});
+
+// DELETE remove a tax jurisdiction; the tax lines of past orders are kept
+router.delete('/tax-jurisdictions/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM tax_jurisdictions WHERE id = $1 RETURNING id', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax jurisdiction not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tax jurisdiction removed',
+    });
+  } catch (error) {
+    console.error('Error deleting tax jurisdiction:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove tax jurisdiction',
+    });
+  }
+});
+
+// GET tax collected per jurisdiction on paid orders; ?format=csv downloads it for filing
+router.get('/tax-report', authenticateAdmin, async (req, res) => {
+  try {
+    const period = parseTaxReportPeriod(req.query);
+
+    if (!period) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start and end dates must be YYYY-MM-DD with the end on or after the start',
+      });
+    }
+
+    const result = await pool.query(`
+      SELECT
+        otl.jurisdiction_name,
+        otl.state,
+        otl.zip_prefix,
+        otl.rate_percent,
+        otl.prices_include_tax,
+        COUNT(DISTINCT otl.order_id) as order_count,
+        SUM(otl.taxable_amount) as taxable_amount,
+        SUM(otl.tax_amount) as tax_amount
+      FROM order_tax_lines otl
+      JOIN orders o ON otl.order_id = o.id
+      WHERE o.created_at >= $1 AND o.created_at < $2 AND ${paidOrderSql('o')}
+      GROUP BY otl.jurisdiction_name, otl.state, otl.zip_prefix, otl.rate_percent, otl.prices_include_tax
+      ORDER BY otl.state, otl.zip_prefix NULLS FIRST, otl.jurisdiction_name, otl.rate_percent
+    `, [period.start, period.end]);
+
+    const rows = result.rows.map(row => ({
+      jurisdiction: row.jurisdiction_name,
+      state: row.state,
+      zipPrefix: row.zip_prefix,
+      ratePercent: parseFloat(row.rate_percent),
+      pricesIncludeTax: row.prices_include_tax,
+      orderCount: parseInt(row.order_count),
+      taxableAmount: parseFloat(row.taxable_amount),
+      taxAmount: parseFloat(row.tax_amount),
+    }));
+
+    if (req.query.format === 'csv') {
+      const header = ['Jurisdiction', 'State', 'ZIP Prefix', 'Rate (%)', 'Prices Include Tax', 'Orders', 'Taxable Amount', 'Tax Collected'];
+      const lines = rows.map(row => [
+        row.jurisdiction,
+        row.state,
+        row.zipPrefix,
+        row.ratePercent,
+        row.pricesIncludeTax ? 'yes' : 'no',
+        row.orderCount,
+        row.taxableAmount.toFixed(2),
+        row.taxAmount.toFixed(2),
+      ].map(csvCell).join(','));
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="tax-report-${period.startDate}-to-${period.endDate}.csv"`);
+      return res.send([header.join(','), ...lines].join('\n'));
+    }
+
+    res.json({
+      success: true,
+      data: rows,
+      summary: {
+        startDate: period.startDate,
+        endDate: period.endDate,
+        taxAmount: Math.round(rows.reduce((total, row) => total + row.taxAmount, 0) * 100) / 100,
+      },
+    });
+  } catch (error) {
+    console.error('Error generating tax report:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate tax report',
+    });
+  }
+});
+
+// === FAILED TRANSFER ENDPOINTS ===
+
+// GET failed Stripe Connect transfers (?status=unresolved|resolved|all)
+router.get('/failed-transfers', authenticateAdmin, async (req, res) => {
+  try {
+    const { status = 'unresolved', page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    let whereClause = '';
+    if (status === 'unresolved') {
+      whereClause = 'WHERE ft.resolved = false';
+    } else if (status === 'resolved') {
+      whereClause = 'WHERE ft.resolved = true';
+    }
+
+    const result = await pool.query(`
+      SELECT ft.*, o.total_amount as order_total, o.status as order_status
+      FROM failed_transfers ft
+      LEFT JOIN orders o ON ft.order_id = o.id
+      ${whereClause}
+      ORDER BY ft.created_at DESC
+      LIMIT $1 OFFSET $2
+    `, [limit, offset]);
+
+    const countResult = await pool.query(`
+      SELECT COUNT(*) as total FROM failed_transfers ft ${whereClause}
+    `);
+
+    // Transfers can be owed in different currencies, so the total is given per currency
+    const summaryResult = await pool.query(`
+      SELECT currency, COUNT(*) as unresolved_count, COALESCE(SUM(amount_cents), 0) as unresolved_amount_cents
+      FROM failed_transfers
+      WHERE resolved = false
+      GROUP BY currency
+      ORDER BY currency
+    `);
+
+    const total = parseInt(countResult.rows[0].total);
+
+    res.json({
+      success: true,
+      data: result.rows,
+      summary: {
+        unresolvedCount: summaryResult.rows.reduce((count, row) => count + parseInt(row.unresolved_count), 0),
+        unresolvedAmounts: summaryResult.rows.map(row => ({
+          currency: row.currency,
+          amountCents: parseInt(row.unresolved_amount_cents),
+        })),
+      },
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching failed transfers:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch failed transfers',
+    });
+  }
+});
+
+// GET a failed transfer with its order and the store's current payout account
+router.get('/failed-transfers/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT ft.*,
+             o.total_amount as order_total, o.status as order_status, o.notes as order_notes,
+             o.delivery_name as customer_name, o.delivery_email as customer_email,
+             o.created_at as order_created_at,
+             s.stripe_connect_account_id as current_stripe_account_id,
+             s.stripe_account_status
+      FROM failed_transfers ft
+      LEFT JOIN orders o ON ft.order_id = o.id
+      LEFT JOIN stores s ON ft.store_id = s.id
+      WHERE ft.id = $1
+    `, [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Failed transfer not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.rows[0],
+    });
+  } catch (error) {
+    console.error('Error fetching failed transfer:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch failed transfer',
+    });
+  }
+});
+
+// POST retry a failed transfer
+// Stripe is called outside any transaction. Each retry is a new attempt with its own idempotency
+// key (the checkout attempt's key would replay its failure); the transfer group is searched first
+// so a store that was paid after all isn't paid twice.
+router.post('/failed-transfers/:id/retry', authenticateAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT ft.*, s.stripe_connect_account_id as current_stripe_account_id, s.stripe_account_status
+      FROM failed_transfers ft
+      LEFT JOIN stores s ON ft.store_id = s.id
+      WHERE ft.id = $1
+    `, [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Failed transfer not found',
+      });
+    }
+
+    const failedTransfer = result.rows[0];
+
+    if (failedTransfer.resolved) {
+      return res.status(409).json({
+        success: false,
+        message: 'This transfer has already been resolved',
+      });
+    }
+
+    // Pay whichever account the store has connected now, in case it was fixed since the failure
+    const destination = failedTransfer.current_stripe_account_id || failedTransfer.stripe_account_id;
+    if (!destination) {
+      return res.status(400).json({
+        success: false,
+        message: 'Store has no connected Stripe account',
+      });
+    }
+
+    let transfer = await findExistingTransfer(stripe, failedTransfer.order_id, failedTransfer.store_id);
+    const alreadyTransferred = Boolean(transfer);
+
+    if (!transfer) {
+      try {
+        transfer = await createStoreTransfer(stripe, {
+          orderId: failedTransfer.order_id,
+          storeId: failedTransfer.store_id,
+          destination,
+          amountCents: failedTransfer.amount_cents,
+          currency: failedTransfer.currency,
+          metadata: {
+            storeName: failedTransfer.store_name,
+            failedTransferId: failedTransfer.id.toString(),
+          },
+          attempt: failedTransfer.retry_count + 2,
+        });
+      } catch (transferError) {
+        await pool.query(`
+          UPDATE failed_transfers
+          SET retry_count = retry_count + 1, last_retry_at = NOW(), error_message = $1, updated_at = NOW()
+          WHERE id = $2
+        `, [transferError.message, failedTransfer.id]);
+
+        console.error(`❌ Retry failed for transfer ${failedTransfer.id}:`, transferError.message);
+        return res.status(502).json({
+          success: false,
+          message: `Transfer retry failed: ${transferError.message}`,
+        });
+      }
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      // Only the first retry to finish records the transfer; a concurrent one got the same transfer
+      const updateResult = await client.query(`
+        UPDATE failed_transfers
+        SET resolved = true, resolved_at = NOW(), resolved_by = $1,
+            retry_count = retry_count + $2, last_retry_at = NOW(),
+            stripe_transfer_id = $3, stripe_account_id = $4,
+            resolution_note = $5, updated_at = NOW()
+        WHERE id = $6 AND resolved = false
+        RETURNING *
+      `, [
+        req.user.userId,
+        alreadyTransferred ? 0 : 1,
+        transfer.id,
+        destination,
+        alreadyTransferred ? 'Transfer already existed in Stripe' : 'Retried successfully',
+        failedTransfer.id,
+      ]);
+
+      if (updateResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          message: 'This transfer has already been resolved',
+        });
+      }
+
+      await client.query(`
+        UPDATE orders
+        SET notes = COALESCE(notes || E'\n', '') || $1
+        WHERE id = $2
+      `, [`✅ Transfer to ${failedTransfer.store_name} completed (${transfer.id})`, failedTransfer.order_id]);
+
+      await client.query('COMMIT');
+
+      res.json({
+        success: true,
+        data: updateResult.rows[0],
+        message: alreadyTransferred
+          ? 'Store had already been paid for this order; marked as resolved'
+          : 'Transfer completed successfully',
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('Error retrying failed transfer:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retry transfer',
+    });
+  }
+});
+
+// PUT mark a failed transfer resolved without retrying (e.g. paid out manually)
+router.put('/failed-transfers/:id/resolve', authenticateAdmin, async (req, res) => {
+  try {
+    const { note } = req.body;
+
+    if (!note || !note.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A resolution note is required',
+      });
+    }
+
+    const result = await pool.query(`
+      UPDATE failed_transfers
+      SET resolved = true, resolved_at = NOW(), resolved_by = $1,
+          resolution_note = $2, updated_at = NOW()
+      WHERE id = $3 AND resolved = false
+      RETURNING *
+    `, [req.user.userId, note.trim(), req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unresolved failed transfer not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.rows[0],
+      message: 'Transfer marked as resolved',
+    });
+  } catch (error) {
+    console.error('Error resolving failed transfer:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve transfer',
     });
   }
 });
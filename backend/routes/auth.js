@@ -21,6 +21,12 @@ const {
   isEmailVerified
 } = require('../utils/verificationCode');
 const emailService = require('../utils/emailService');
+const {
+  MAX_ADDRESSES,
+  validateAddressInput,
+  formatAddress,
+  getAddressKey,
+} = require('../utils/addressBook');
 
 const router = express.Router();
 
@@ -671,6 +677,293 @@ router.put('/change-password', authenticateSession(), async (req, res) => {
   }
 });
 
+// Address book. Only customers check out with a delivery address, so these are customer-only
+const ADDRESS_SELECT = `
+  SELECT id, label, full_name, phone, address, city, state, zip_code, country, delivery_instructions, is_default
+  FROM customer_addresses
+`;
+
+// GET /api/auth/addresses - Saved addresses, default first
+router.get('/addresses', authenticateSession('customer'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `${ADDRESS_SELECT} WHERE customer_id = $1 ORDER BY is_default DESC, updated_at DESC`,
+      [req.user.userId],
+    );
+
+    res.json({
+      success: true,
+      data: {
+        addresses: result.rows.map(formatAddress),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching addresses:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+// GET /api/auth/addresses/suggestions - Addresses from orders placed as a guest before registering,
+// matched by the guest session merged at login or the (verified) account email, that aren't saved yet
+router.get('/addresses/suggestions', authenticateSession('customer'), async (req, res) => {
+  try {
+    const guestSessionId = req.session.guestSessionId || null;
+
+    const [ordersResult, savedResult] = await Promise.all([
+      pool.query(`
+        SELECT delivery_name, delivery_phone, delivery_address, delivery_city, delivery_state,
+               delivery_zip, delivery_country, delivery_instructions
+        FROM orders
+        WHERE user_id IS NULL
+          AND delivery_address IS NOT NULL
+          AND (session_id = $1 OR LOWER(delivery_email) = LOWER($2))
+        ORDER BY created_at DESC
+        LIMIT 20
+      `, [guestSessionId, req.user.email]),
+      pool.query('SELECT address, city, zip_code FROM customer_addresses WHERE customer_id = $1', [req.user.userId]),
+    ]);
+
+    const seen = new Set(savedResult.rows.map(row => getAddressKey({ address: row.address, city: row.city, zipCode: row.zip_code })));
+    const suggestions = [];
+    for (const order of ordersResult.rows) {
+      const address = {
+        fullName: order.delivery_name,
+        phone: order.delivery_phone,
+        address: order.delivery_address,
+        city: order.delivery_city,
+        state: order.delivery_state,
+        zipCode: order.delivery_zip,
+        country: order.delivery_country,
+        deliveryInstructions: order.delivery_instructions,
+      };
+      const key = getAddressKey(address);
+      if (!seen.has(key)) {
+        seen.add(key);
+        suggestions.push(address);
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        suggestions: suggestions.slice(0, 5),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching address suggestions:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+});
+
+// POST /api/auth/addresses - Save an address. The first one saved becomes the default
+router.post('/addresses', authenticateSession('customer'), async (req, res) => {
+  const { errors, address } = validateAddressInput(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: errors[0],
+      errors,
+    });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    const customerId = req.user.userId;
+
+    await client.query('BEGIN');
+
+    // Lock the customer's rows so concurrent saves agree on the count and the default
+    const existing = await client.query(
+      'SELECT id FROM customer_addresses WHERE customer_id = $1 FOR UPDATE',
+      [customerId],
+    );
+
+    if (existing.rows.length >= MAX_ADDRESSES) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: `You can save up to ${MAX_ADDRESSES} addresses`,
+      });
+    }
+
+    const isDefault = address.isDefault || existing.rows.length === 0;
+    if (isDefault) {
+      await client.query('UPDATE customer_addresses SET is_default = false WHERE customer_id = $1 AND is_default', [customerId]);
+    }
+
+    const result = await client.query(`
+      INSERT INTO customer_addresses (
+        customer_id, label, full_name, phone, address, city, state, zip_code, country, delivery_instructions, is_default
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING *
+    `, [
+      customerId,
+      address.label,
+      address.fullName,
+      address.phone,
+      address.address,
+      address.city,
+      address.state,
+      address.zipCode,
+      address.country,
+      address.deliveryInstructions,
+      isDefault,
+    ]);
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      success: true,
+      message: 'Address saved',
+      data: {
+        address: formatAddress(result.rows[0]),
+      },
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error saving address:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// PUT /api/auth/addresses/:id - Update an address; isDefault: true makes it the default
+router.put('/addresses/:id', authenticateSession('customer'), async (req, res) => {
+  const { errors, address } = validateAddressInput(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: errors[0],
+      errors,
+    });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    const customerId = req.user.userId;
+
+    await client.query('BEGIN');
+
+    if (address.isDefault) {
+      await client.query(
+        'UPDATE customer_addresses SET is_default = false WHERE customer_id = $1 AND is_default AND id != $2',
+        [customerId, req.params.id],
+      );
+    }
+
+    // A default address stays the default until another one is chosen
+    const result = await client.query(`
+      UPDATE customer_addresses
+      SET label = $1, full_name = $2, phone = $3, address = $4, city = $5, state = $6,
+          zip_code = $7, country = $8, delivery_instructions = $9,
+          is_default = is_default OR $10, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $11 AND customer_id = $12
+      RETURNING *
+    `, [
+      address.label,
+      address.fullName,
+      address.phone,
+      address.address,
+      address.city,
+      address.state,
+      address.zipCode,
+      address.country,
+      address.deliveryInstructions,
+      address.isDefault,
+      req.params.id,
+      customerId,
+    ]);
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found',
+      });
+    }
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Address updated',
+      data: {
+        address: formatAddress(result.rows[0]),
+      },
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error updating address:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// DELETE /api/auth/addresses/:id - Remove an address; the most recently updated remaining one takes over as default
+router.delete('/addresses/:id', authenticateSession('customer'), async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const customerId = req.user.userId;
+
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      'DELETE FROM customer_addresses WHERE id = $1 AND customer_id = $2 RETURNING is_default',
+      [req.params.id, customerId],
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found',
+      });
+    }
+
+    if (result.rows[0].is_default) {
+      await client.query(`
+        UPDATE customer_addresses SET is_default = true
+        WHERE id = (
+          SELECT id FROM customer_addresses WHERE customer_id = $1 ORDER BY updated_at DESC LIMIT 1
+        )
+      `, [customerId]);
+    }
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Address removed',
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error deleting address:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  } finally {
+    client.release();
+  }
+});
+
 // POST /api/auth/admin/login - Admin login
 router.post('/admin/login', async (req, res) => {
   try {
@@ -1173,7 +1466,8 @@ router.post('/reset-password', async (req, res) => {
     const tableMap = {
       'customer': 'customers',
       'store_owner': 'store_owners',
-      'admin': 'admins'
+      'admin': 'admins',
+      'driver': 'drivers',
     };
 
     const tableName = tableMap[verifyResult.userType];
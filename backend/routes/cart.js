@@ -1,6 +1,8 @@
 const express = require('express');
 const { pool } = require('../config/database');
 const { authenticateSession } = require('./auth');
+const { availableProductStockSql, availableVariantStockSql } = require('../utils/stockReservations');
+const { PLATFORM_CURRENCY, getRatesFor, convertAmount } = require('../utils/exchangeRates');
 
 const router = express.Router();
 
@@ -34,6 +36,87 @@ const extractUserOrSession = (req, res, next) => {
   }
 };
 
+// Resolve the product (and variant, if any) a cart line refers to along with its available stock
+async function resolveCartProduct(productId, variantId) {
+  const productCheck = await pool.query(`
+    SELECT p.id, ${availableProductStockSql('p')} AS stock_quantity,
+           (SELECT COUNT(*)::int FROM product_variants v WHERE v.product_id = p.id AND v.is_active = true) AS variant_count
+    FROM products p
+    WHERE p.id = $1
+  `, [productId]);
+
+  if (productCheck.rows.length === 0) {
+    return { status: 404, message: 'Product not found' };
+  }
+
+  const product = productCheck.rows[0];
+
+  if (!variantId) {
+    if (product.variant_count > 0) {
+      return { status: 400, message: 'Please select a product option' };
+    }
+    return { variantId: null, stockQuantity: product.stock_quantity };
+  }
+
+  const variantCheck = await pool.query(
+    `SELECT v.id, ${availableVariantStockSql('v')} AS stock_quantity FROM product_variants v WHERE v.id = $1 AND v.product_id = $2 AND v.is_active = true`,
+    [variantId, productId],
+  );
+
+  if (variantCheck.rows.length === 0) {
+    return { status: 404, message: 'Product option not found' };
+  }
+
+  return { variantId: variantCheck.rows[0].id, stockQuantity: variantCheck.rows[0].stock_quantity };
+}
+
+// Add a product (or variant) to a user's or guest session's cart, merging with an existing line.
+// Returns { status, message } when the item can't be added, otherwise { cartItemId, newQuantity }.
+async function addToCart({ userId, sessionId }, productId, variantId, quantity) {
+  // Check if product (and selected variant) exists and has stock
+  const product = await resolveCartProduct(productId, variantId);
+
+  if (product.status) {
+    return product;
+  }
+
+  if (product.stockQuantity < quantity) {
+    return { status: 400, message: 'Insufficient stock available' };
+  }
+
+  let query;
+  let params;
+
+  if (userId) {
+    // Add/update cart for authenticated user
+    query = `
+      INSERT INTO cart_items (user_id, product_id, variant_id, quantity)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (user_id, product_id, (COALESCE(variant_id, 0)))
+      DO UPDATE SET quantity = cart_items.quantity + $4, updated_at = CURRENT_TIMESTAMP
+      RETURNING id, quantity
+    `;
+    params = [userId, productId, product.variantId, quantity];
+  } else {
+    // Add/update cart for guest session
+    query = `
+      INSERT INTO cart_items (session_id, product_id, variant_id, quantity)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (session_id, product_id, (COALESCE(variant_id, 0)))
+      DO UPDATE SET quantity = cart_items.quantity + $4, updated_at = CURRENT_TIMESTAMP
+      RETURNING id, quantity
+    `;
+    params = [sessionId, productId, product.variantId, quantity];
+  }
+
+  const result = await pool.query(query, params);
+
+  return {
+    cartItemId: result.rows[0].id,
+    newQuantity: result.rows[0].quantity,
+  };
+}
+
 // GET /api/cart - Get cart items for user or session
 router.get('/', extractUserOrSession, async (req, res) => {
   try {
@@ -43,10 +126,16 @@ router.get('/', extractUserOrSession, async (req, res) => {
     if (req.isAuthenticated) {
       // Get cart for authenticated user
       query = `
-        SELECT ci.id, ci.product_id, ci.quantity, ci.added_at, ci.updated_at,
-               p.name, p.price, p.image_url, p.stock_quantity
+        SELECT ci.id, ci.product_id, ci.variant_id, ci.quantity, ci.added_at, ci.updated_at,
+               p.name, v.sku, v.options AS variant_options,
+               COALESCE(v.price, p.price) AS price,
+               COALESCE(s.base_currency, '${PLATFORM_CURRENCY}') AS currency,
+               COALESCE(v.image_url, p.image_url) AS image_url,
+               CASE WHEN v.id IS NOT NULL THEN ${availableVariantStockSql('v')} ELSE ${availableProductStockSql('p')} END AS stock_quantity
         FROM cart_items ci
         JOIN products p ON ci.product_id = p.id
+        LEFT JOIN product_variants v ON ci.variant_id = v.id
+        LEFT JOIN stores s ON p.store_id = s.id
         WHERE ci.user_id = $1
         ORDER BY ci.added_at DESC
       `;
@@ -54,10 +143,16 @@ router.get('/', extractUserOrSession, async (req, res) => {
     } else {
       // Get cart for guest session
       query = `
-        SELECT ci.id, ci.product_id, ci.quantity, ci.added_at, ci.updated_at,
-               p.name, p.price, p.image_url, p.stock_quantity
+        SELECT ci.id, ci.product_id, ci.variant_id, ci.quantity, ci.added_at, ci.updated_at,
+               p.name, v.sku, v.options AS variant_options,
+               COALESCE(v.price, p.price) AS price,
+               COALESCE(s.base_currency, '${PLATFORM_CURRENCY}') AS currency,
+               COALESCE(v.image_url, p.image_url) AS image_url,
+               CASE WHEN v.id IS NOT NULL THEN ${availableVariantStockSql('v')} ELSE ${availableProductStockSql('p')} END AS stock_quantity
         FROM cart_items ci
         JOIN products p ON ci.product_id = p.id
+        LEFT JOIN product_variants v ON ci.variant_id = v.id
+        LEFT JOIN stores s ON p.store_id = s.id
         WHERE ci.session_id = $1
         ORDER BY ci.added_at DESC
       `;
@@ -66,15 +161,17 @@ router.get('/', extractUserOrSession, async (req, res) => {
 
     const result = await pool.query(query, params);
 
-    // Calculate total
+    // Calculate total in the platform currency; items are priced in their store's currency
     const items = result.rows;
-    const total = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+    const rates = await getRatesFor(items.map(item => item.currency));
+    const total = items.reduce((sum, item) => sum + convertAmount(item.price * item.quantity, item.currency, PLATFORM_CURRENCY, rates), 0);
 
     res.json({
       success: true,
       data: {
         items,
         total: parseFloat(total.toFixed(2)),
+        currency: PLATFORM_CURRENCY,
         itemCount: items.reduce((sum, item) => sum + item.quantity, 0)
       }
     });
@@ -91,7 +188,7 @@ router.get('/', extractUserOrSession, async (req, res) => {
 // POST /api/cart/add - Add item to cart
 router.post('/add', extractUserOrSession, async (req, res) => {
   try {
-    const { productId, quantity = 1 } = req.body;
+    const { productId, variantId = null, quantity = 1 } = req.body;
 
     if (!productId || quantity < 1) {
       return res.status(400).json({
@@ -100,60 +197,23 @@ router.post('/add', extractUserOrSession, async (req, res) => {
       });
     }
 
-    // Check if product exists and has stock
-    const productCheck = await pool.query(
-      'SELECT id, stock_quantity FROM products WHERE id = $1',
-      [productId]
+    const result = await addToCart(
+      req.isAuthenticated ? { userId: req.user.userId } : { sessionId: req.sessionId },
+      productId,
+      variantId,
+      quantity,
     );
 
-    if (productCheck.rows.length === 0) {
-      return res.status(404).json({
+    if (result.status) {
+      return res.status(result.status).json({
         success: false,
-        message: 'Product not found'
+        message: result.message,
       });
     }
 
-    const product = productCheck.rows[0];
-    if (product.stock_quantity < quantity) {
-      return res.status(400).json({
-        success: false,
-        message: 'Insufficient stock available'
-      });
-    }
-
-    let query;
-    let params;
-
-    if (req.isAuthenticated) {
-      // Add/update cart for authenticated user
-      query = `
-        INSERT INTO cart_items (user_id, product_id, quantity)
-        VALUES ($1, $2, $3)
-        ON CONFLICT (user_id, product_id)
-        DO UPDATE SET quantity = cart_items.quantity + $3, updated_at = CURRENT_TIMESTAMP
-        RETURNING id, quantity
-      `;
-      params = [req.user.userId, productId, quantity];
-    } else {
-      // Add/update cart for guest session
-      query = `
-        INSERT INTO cart_items (session_id, product_id, quantity)
-        VALUES ($1, $2, $3)
-        ON CONFLICT (session_id, product_id)
-        DO UPDATE SET quantity = cart_items.quantity + $3, updated_at = CURRENT_TIMESTAMP
-        RETURNING id, quantity
-      `;
-      params = [req.sessionId, productId, quantity];
-    }
-
-    const result = await pool.query(query, params);
-
     res.json({
       success: true,
-      data: {
-        cartItemId: result.rows[0].id,
-        newQuantity: result.rows[0].quantity
-      },
+      data: result,
       message: 'Item added to cart successfully'
     });
 
@@ -169,7 +229,7 @@ router.post('/add', extractUserOrSession, async (req, res) => {
 // PUT /api/cart/update - Update cart item quantity
 router.put('/update', extractUserOrSession, async (req, res) => {
   try {
-    const { productId, quantity } = req.body;
+    const { productId, variantId = null, quantity } = req.body;
 
     if (!productId || quantity < 0) {
       return res.status(400).json({
@@ -180,23 +240,20 @@ router.put('/update', extractUserOrSession, async (req, res) => {
 
     // If quantity is 0, remove the item
     if (quantity === 0) {
-      return removeCartItem(req, res, productId);
+      return removeCartItem(req, res, productId, variantId);
     }
 
     // Check stock availability
-    const productCheck = await pool.query(
-      'SELECT stock_quantity FROM products WHERE id = $1',
-      [productId]
-    );
+    const product = await resolveCartProduct(productId, variantId);
 
-    if (productCheck.rows.length === 0) {
-      return res.status(404).json({
+    if (product.status) {
+      return res.status(product.status).json({
         success: false,
-        message: 'Product not found'
+        message: product.message,
       });
     }
 
-    if (productCheck.rows[0].stock_quantity < quantity) {
+    if (product.stockQuantity < quantity) {
       return res.status(400).json({
         success: false,
         message: 'Insufficient stock available'
@@ -210,18 +267,18 @@ router.put('/update', extractUserOrSession, async (req, res) => {
       query = `
         UPDATE cart_items 
         SET quantity = $1, updated_at = CURRENT_TIMESTAMP
-        WHERE user_id = $2 AND product_id = $3
+        WHERE user_id = $2 AND product_id = $3 AND variant_id IS NOT DISTINCT FROM $4
         RETURNING id, quantity
       `;
-      params = [quantity, req.user.userId, productId];
+      params = [quantity, req.user.userId, productId, product.variantId];
     } else {
       query = `
         UPDATE cart_items 
         SET quantity = $1, updated_at = CURRENT_TIMESTAMP
-        WHERE session_id = $2 AND product_id = $3
+        WHERE session_id = $2 AND product_id = $3 AND variant_id IS NOT DISTINCT FROM $4
         RETURNING id, quantity
       `;
-      params = [quantity, req.sessionId, productId];
+      params = [quantity, req.sessionId, productId, product.variantId];
     }
 
     const result = await pool.query(query, params);
@@ -251,24 +308,24 @@ router.put('/update', extractUserOrSession, async (req, res) => {
   }
 });
 
-// DELETE /api/cart/remove - Remove item from cart
+// DELETE /api/cart/remove - Remove item from cart (?variantId= selects a specific variant line)
 router.delete('/remove/:productId', extractUserOrSession, async (req, res) => {
   const { productId } = req.params;
-  return removeCartItem(req, res, productId);
+  return removeCartItem(req, res, productId, req.query.variantId || null);
 });
 
 // Helper function to remove cart item
-async function removeCartItem(req, res, productId) {
+async function removeCartItem(req, res, productId, variantId = null) {
   try {
     let query;
     let params;
 
     if (req.isAuthenticated) {
-      query = 'DELETE FROM cart_items WHERE user_id = $1 AND product_id = $2 RETURNING id';
-      params = [req.user.userId, productId];
+      query = 'DELETE FROM cart_items WHERE user_id = $1 AND product_id = $2 AND variant_id IS NOT DISTINCT FROM $3 RETURNING id';
+      params = [req.user.userId, productId, variantId];
     } else {
-      query = 'DELETE FROM cart_items WHERE session_id = $1 AND product_id = $2 RETURNING id';
-      params = [req.sessionId, productId];
+      query = 'DELETE FROM cart_items WHERE session_id = $1 AND product_id = $2 AND variant_id IS NOT DISTINCT FROM $3 RETURNING id';
+      params = [req.sessionId, productId, variantId];
     }
 
     const result = await pool.query(query, params);
@@ -343,18 +400,18 @@ router.post('/merge', authenticateSession(), async (req, res) => {
 
       // Get guest cart items
       const guestItems = await client.query(
-        'SELECT product_id, quantity FROM cart_items WHERE session_id = $1',
+        'SELECT product_id, variant_id, quantity FROM cart_items WHERE session_id = $1',
         [sessionId]
       );
 
       // Merge each guest item with user cart
       for (const item of guestItems.rows) {
         await client.query(`
-          INSERT INTO cart_items (user_id, product_id, quantity)
-          VALUES ($1, $2, $3)
-          ON CONFLICT (user_id, product_id)
-          DO UPDATE SET quantity = cart_items.quantity + $3, updated_at = CURRENT_TIMESTAMP
-        `, [req.user.userId, item.product_id, item.quantity]);
+          INSERT INTO cart_items (user_id, product_id, variant_id, quantity)
+          VALUES ($1, $2, $3, $4)
+          ON CONFLICT (user_id, product_id, (COALESCE(variant_id, 0)))
+          DO UPDATE SET quantity = cart_items.quantity + $4, updated_at = CURRENT_TIMESTAMP
+        `, [req.user.userId, item.product_id, item.variant_id, item.quantity]);
       }
 
       // Delete guest cart items
@@ -362,6 +419,9 @@ router.post('/merge', authenticateSession(), async (req, res) => {
 
       await client.query('COMMIT');
 
+      // Remembered so the address book can offer the addresses of orders placed as this guest
+      req.session.guestSessionId = sessionId;
+
       res.json({
         success: true,
         message: 'Cart merged successfully',
@@ -418,4 +478,5 @@ router.get('/count', extractUserOrSession, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.addToCart = addToCart;
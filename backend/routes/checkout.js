@@ -3,7 +3,27 @@ const router = express.Router();
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const { pool } = require('../config/database');
 const { authenticateSession } = require('./auth');
-const emailService = require('../utils/emailService');
+const { applyPromotion, recordRedemption } = require('../utils/promotions');
+const { resolveCommission, getTotalPlatformFee } = require('../utils/commission');
+const { completeOrderPayment } = require('../utils/orderCompletion');
+const { availableProductStockSql, availableVariantStockSql, reserveStock } = require('../utils/stockReservations');
+const { checkStoreOrderRules } = require('../utils/storeSettings');
+const { generateDeliveryPin } = require('../utils/deliveryProof');
+const { geocodeAddress } = require('../utils/geocoding');
+const { quoteDelivery, getStoreFundedDelivery } = require('../utils/deliveryPricing');
+const { quoteTax, recordTaxLines, getStoreIncludedTax } = require('../utils/tax');
+const { getSavedCardParams, listSavedCards, removeSavedCard } = require('../utils/stripeCustomers');
+const {
+  PLATFORM_CURRENCY,
+  normalizeCurrency,
+  roundMoney,
+  toMinorUnits,
+  getRatesFor,
+  getExchangeRate,
+  convertAmount,
+  formatMoney,
+  getMinimumCharge,
+} = require('../utils/exchangeRates');
 
 // Middleware to extract user ID or session ID
 const extractUserOrSession = (req, res, next) => {
@@ -29,10 +49,84 @@ const extractUserOrSession = (req, res, next) => {
   }
 };
 
+// Load the shopper's cart with effective (variant-aware) price and available stock.
+// Prices are converted into the platform currency so promos, fees and tax all work in one currency;
+// the price in the store's own currency is kept as store_price
+async function getCheckoutCartItems(db, req) {
+  const byUser = req.isAuthenticated && req.userId;
+  const result = await db.query(`
+    SELECT ci.*, p.name, p.store_id, p.category, p.weight_kg, v.sku, v.options AS variant_options,
+           COALESCE(v.price, p.price) AS price,
+           COALESCE(s.base_currency, '${PLATFORM_CURRENCY}') AS price_currency,
+           COALESCE(v.image_url, p.image_url) AS image_url,
+           CASE WHEN v.id IS NOT NULL THEN ${availableVariantStockSql('v')} ELSE ${availableProductStockSql('p')} END AS stock_quantity
+    FROM cart_items ci
+    JOIN products p ON ci.product_id = p.id
+    LEFT JOIN product_variants v ON ci.variant_id = v.id
+    LEFT JOIN stores s ON p.store_id = s.id
+    WHERE ${byUser ? 'ci.user_id' : 'ci.session_id'} = $1
+  `, [byUser ? req.userId : req.sessionId]);
+
+  const rates = await getRatesFor(result.rows.map(item => item.price_currency));
+
+  return result.rows.map(item => ({
+    ...item,
+    store_price: item.price,
+    price: item.price_currency === PLATFORM_CURRENCY
+      ? item.price
+      : roundMoney(convertAmount(parseFloat(item.price), item.price_currency, PLATFORM_CURRENCY, rates), PLATFORM_CURRENCY),
+  }));
+}
+
+// The currency the customer pays in: null when an unsupported one was asked for
+function getPaymentCurrency(body) {
+  return body.currency === undefined || body.currency === null || body.currency === ''
+    ? PLATFORM_CURRENCY
+    : normalizeCurrency(body.currency);
+}
+
+// What the customer is charged for a total in the platform currency, plus the rates to keep with the order
+async function getChargeAmount(totalAmount, currency, cartItems) {
+  const currencies = [...new Set([PLATFORM_CURRENCY, currency, ...cartItems.map(item => item.price_currency)])];
+  const rates = await getRatesFor(currencies);
+  const fxRate = getExchangeRate(rates, PLATFORM_CURRENCY, currency);
+
+  return {
+    currency,
+    fxRate,
+    chargedAmount: roundMoney(totalAmount * fxRate, currency),
+    fxRates: Object.fromEntries(currencies.map(code => [code, getExchangeRate(rates, PLATFORM_CURRENCY, code)])),
+  };
+}
+
+// Lock the cart's product rows so concurrent checkouts can't reserve the same stock
+async function lockCartProducts(db, req) {
+  const byUser = req.isAuthenticated && req.userId;
+  await db.query(`
+    SELECT p.id FROM products p
+    JOIN cart_items ci ON ci.product_id = p.id
+    WHERE ${byUser ? 'ci.user_id' : 'ci.session_id'} = $1
+    ORDER BY p.id
+    FOR UPDATE OF p
+  `, [byUser ? req.userId : req.sessionId]);
+}
+
+// Locate the delivery address once per checkout; null when it can't be found
+function locateDeliveryAddress(deliveryInfo) {
+  return geocodeAddress({
+    address: deliveryInfo.address,
+    city: deliveryInfo.city,
+    state: deliveryInfo.state,
+    zipCode: deliveryInfo.zipCode,
+    country: deliveryInfo.country,
+  });
+}
+
 // Create a payment intent for checkout
 router.post('/create-payment-intent', extractUserOrSession, async (req, res) => {
   try {
-    const { amount, currency = 'usd', metadata = {} } = req.body;
+    const { amount, metadata = {} } = req.body;
+    const currency = getPaymentCurrency(req.body);
 
     if (!amount || amount <= 0) {
       return res.status(400).json({
@@ -41,10 +135,19 @@ router.post('/create-payment-intent', extractUserOrSession, async (req, res) =>
       });
     }
 
+    if (!currency) {
+      return res.status(400).json({
+        success: false,
+        message: 'Currency is not supported',
+      });
+    }
+
     // Create payment intent
+    const savedCardParams = await getSavedCardParams(req.session);
     const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(amount * 100), // Convert to cents
-      currency,
+      amount: toMinorUnits(amount, currency),
+      currency: currency.toLowerCase(),
+      ...savedCardParams,
       metadata: {
         userId: req.session?.userId || 'guest',
         sessionId: req.sessionId || '',
@@ -70,12 +173,157 @@ router.post('/create-payment-intent', extractUserOrSession, async (req, res) =>
   }
 });
 
-// Process checkout with cart items
+// Preview a promo code against the current cart
+router.post('/apply-promo', extractUserOrSession, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Promo code is required',
+      });
+    }
+
+    const cartItems = await getCheckoutCartItems(pool, req);
+
+    if (cartItems.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cart is empty',
+      });
+    }
+
+    const applied = await applyPromotion(pool, code, cartItems, { customerId: req.userId || null });
+
+    if (!applied.success) {
+      return res.status(400).json({
+        success: false,
+        message: applied.message,
+      });
+    }
+
+    const subtotal = cartItems.reduce((total, item) => total + (parseFloat(item.price) * item.quantity), 0);
+
+    res.json({
+      success: true,
+      data: {
+        code: applied.promotion.code,
+        description: applied.promotion.description,
+        discountType: applied.promotion.discount_type,
+        discountAmount: applied.discountAmount,
+        freeDelivery: applied.freeDelivery,
+        subtotal: Math.round(subtotal * 100) / 100,
+        total: Math.round((subtotal - applied.discountAmount) * 100) / 100,
+      },
+    });
+  } catch (error) {
+    console.error('Error applying promo code:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to apply promo code',
+    });
+  }
+});
+
+// Quote the delivery fee for the current cart and address before payment
+router.post('/delivery-quote', extractUserOrSession, async (req, res) => {
+  try {
+    const { deliveryInfo, promoCode } = req.body;
+    const currency = getPaymentCurrency(req.body);
+
+    if (!currency) {
+      return res.status(400).json({
+        success: false,
+        message: 'Currency is not supported',
+      });
+    }
+
+    if (!deliveryInfo || !['address', 'city', 'zipCode'].every(field => deliveryInfo[field] && deliveryInfo[field].trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Address, city and ZIP code are required for a delivery quote',
+      });
+    }
+
+    const cartItems = await getCheckoutCartItems(pool, req);
+
+    if (cartItems.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cart is empty',
+      });
+    }
+
+    const itemsByStore = cartItems.filter(item => item.store_id !== null).reduce((acc, item) => {
+      acc[item.store_id] = acc[item.store_id] || [];
+      acc[item.store_id].push(item);
+      return acc;
+    }, {});
+
+    const storeRuleError = await checkStoreOrderRules(pool, itemsByStore, deliveryInfo);
+    if (storeRuleError) {
+      return res.status(400).json({
+        success: false,
+        message: storeRuleError,
+      });
+    }
+
+    // An invalid code is reported by /apply-promo; the quote just goes ahead without it
+    let appliedPromotion = null;
+    if (promoCode) {
+      const applied = await applyPromotion(pool, promoCode, cartItems, { customerId: req.userId || null });
+      appliedPromotion = applied.success ? applied : null;
+    }
+
+    const destination = await locateDeliveryAddress(deliveryInfo);
+    const { deliveryFee, breakdown } = await quoteDelivery(pool, cartItems, { destination, promotion: appliedPromotion });
+    const tax = await quoteTax(pool, cartItems, { deliveryInfo, promotion: appliedPromotion, deliveryBreakdown: breakdown });
+
+    const subtotal = cartItems.reduce((total, item) => total + (parseFloat(item.price) * item.quantity), 0);
+    const discountAmount = appliedPromotion ? appliedPromotion.discountAmount : 0;
+    const totalAmount = Math.round((subtotal - discountAmount + deliveryFee + tax.addedTax) * 100) / 100;
+    const charge = await getChargeAmount(totalAmount, currency, cartItems);
+
+    res.json({
+      success: true,
+      data: {
+        subtotal: Math.round(subtotal * 100) / 100,
+        discountAmount,
+        deliveryFee,
+        taxAmount: tax.taxAmount,
+        taxIncluded: tax.includedTax,
+        taxLines: tax.lines,
+        totalAmount,
+        currency: charge.currency,
+        fxRate: charge.fxRate,
+        chargedAmount: charge.chargedAmount,
+        deliveries: Object.values(breakdown),
+      },
+    });
+  } catch (error) {
+    console.error('Error quoting delivery:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to quote delivery',
+    });
+  }
+});
+
 router.post('/process', extractUserOrSession, async (req, res) => {
   const client = await pool.connect();
+  let paymentIntent;
   
   try {
-    const { deliveryInfo } = req.body;
+    const { deliveryInfo, promoCode } = req.body;
+    const currency = getPaymentCurrency(req.body);
+
+    if (!currency) {
+      return res.status(400).json({
+        success: false,
+        message: 'Currency is not supported',
+      });
+    }
     
     // Validate delivery information
     if (!deliveryInfo) {
@@ -95,30 +343,15 @@ router.post('/process', extractUserOrSession, async (req, res) => {
       }
     }
 
+    // Looked up before the transaction so a slow geocoder doesn't hold the cart locks
+    const destination = await locateDeliveryAddress(deliveryInfo);
+
     await client.query('BEGIN');
-    
-    // Get cart items
-    let cartQuery, cartParams;
-    if (req.isAuthenticated && req.userId) {
-      cartQuery = `
-        SELECT ci.*, p.name, p.price, p.stock_quantity, p.image_url, p.store_id
-        FROM cart_items ci
-        JOIN products p ON ci.product_id = p.id
-        WHERE ci.user_id = $1
-      `;
-      cartParams = [req.userId];
-    } else {
-      cartQuery = `
-        SELECT ci.*, p.name, p.price, p.stock_quantity, p.image_url, p.store_id
-        FROM cart_items ci
-        JOIN products p ON ci.product_id = p.id
-        WHERE ci.session_id = $1
-      `;
-      cartParams = [req.sessionId];
-    }
 
-    const cartResult = await client.query(cartQuery, cartParams);
-    const cartItems = cartResult.rows;
+    await lockCartProducts(client, req);
+
+    // Get cart items
+    const cartItems = await getCheckoutCartItems(client, req);
 
     if (cartItems.length === 0) {
       await client.query('ROLLBACK');
@@ -128,13 +361,14 @@ router.post('/process', extractUserOrSession, async (req, res) => {
       });
     }
 
-    // Check stock availability
+    // Check stock availability (per variant when one is selected)
     for (const item of cartItems) {
       if (item.quantity > item.stock_quantity) {
         await client.query('ROLLBACK');
+        const itemName = item.sku ? `${item.name} (${Object.values(item.variant_options).join(' / ')})` : item.name;
         return res.status(400).json({
           success: false,
-          message: `Insufficient stock for ${item.name}. Available: ${item.stock_quantity}, Requested: ${item.quantity}`
+          message: `Insufficient stock for ${itemName}. Available: ${item.stock_quantity}, Requested: ${item.quantity}`,
         });
       }
     }
@@ -152,22 +386,101 @@ router.post('/process', extractUserOrSession, async (req, res) => {
       return acc;
     }, {});
 
-    // Calculate total amount
-    const totalAmount = cartItems.reduce((total, item) => {
+    // Each store's opening hours, delivery zones and minimum order value
+    const storeRuleError = await checkStoreOrderRules(client, itemsByStore, deliveryInfo);
+    if (storeRuleError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: storeRuleError,
+      });
+    }
+
+    // Calculate subtotal before any discount
+    const subtotal = cartItems.reduce((total, item) => {
       return total + (parseFloat(item.price) * item.quantity);
     }, 0);
 
+    // Apply promo code. Platform codes are funded by the platform; store codes by that store only
+    let appliedPromotion = null;
+    if (promoCode) {
+      appliedPromotion = await applyPromotion(client, promoCode, cartItems, { customerId: req.userId || null });
+      if (!appliedPromotion.success) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          success: false,
+          message: appliedPromotion.message,
+        });
+      }
+    }
+
+    const discountAmount = appliedPromotion ? appliedPromotion.discountAmount : 0;
+    const platformDiscount = appliedPromotion && appliedPromotion.fundedBy === 'platform' ? discountAmount : 0;
+    const storeDiscounts = appliedPromotion && appliedPromotion.fundedBy === 'store'
+      ? { [appliedPromotion.storeId]: discountAmount }
+      : {};
+
+    // Delivery is run by the platform's drivers, so the fee the customer pays goes to the platform
+    const { deliveryFee, breakdown: deliveryBreakdown } = await quoteDelivery(client, cartItems, {
+      destination,
+      promotion: appliedPromotion,
+    });
+
+    // Tax is collected and remitted by the platform. Tax inside tax-inclusive prices is already in the subtotal
+    const tax = await quoteTax(client, cartItems, {
+      deliveryInfo,
+      promotion: appliedPromotion,
+      deliveryBreakdown,
+    });
+
+    const totalAmount = Math.round((subtotal - discountAmount + deliveryFee + tax.addedTax) * 100) / 100;
+
+    // The customer pays in their chosen currency; every amount above and on the order stays in the platform currency
+    const charge = await getChargeAmount(totalAmount, currency, cartItems);
+    const chargedAmountMinor = toMinorUnits(charge.chargedAmount, currency);
+
+    // Stripe's minimum applies to what is charged, in the currency it is charged in
+    const minimumCharge = getMinimumCharge(currency, charge.fxRate);
+    if (chargedAmountMinor < toMinorUnits(minimumCharge, currency)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: `Order total after discount must be at least ${formatMoney(minimumCharge, currency)}`,
+      });
+    }
+    const currencyMetadata = {
+      currency,
+      fxRate: charge.fxRate.toString(),
+      chargedAmount: chargedAmountMinor.toString(),
+    };
+
+    // Stripe metadata: per-store discounts in cents, read back by /confirm for transfer math
+    const promotionMetadata = appliedPromotion ? {
+      promoCode: appliedPromotion.promotion.code,
+      discountAmount: Math.round(discountAmount * 100).toString(),
+      discountFundedBy: appliedPromotion.fundedBy,
+      storeDiscounts: JSON.stringify(Object.fromEntries(
+        Object.entries(storeDiscounts).map(([storeId, amount]) => [storeId, Math.round(amount * 100)]),
+      )),
+    } : {};
+
     // Calculate platform products amount (no commission)
     const platformAmount = platformItems.reduce((total, item) => {
       return total + (parseFloat(item.price) * item.quantity);
     }, 0);
 
-    // Calculate store products amount (10% commission)
+    // Calculate store products amount (commission per the commission rules)
     const storeAmount = storeItems.reduce((total, item) => {
       return total + (parseFloat(item.price) * item.quantity);
     }, 0);
 
-    let paymentIntent;
+    // Platform fee per store, recorded on the order and reused by /confirm for transfers
+    const commissionBreakdown = await resolveCommission(client, storeItems, storeDiscounts);
+    const platformFeeAmount = getTotalPlatformFee(commissionBreakdown);
+
+    // Signed-in customers pay as their Stripe Customer, so the card is saved for their next order
+    const savedCardParams = await getSavedCardParams(req.session);
+
     let isMultiVendor = false;
     let storeIds = [];
 
@@ -197,15 +510,17 @@ router.post('/process', extractUserOrSession, async (req, res) => {
         });
       }
 
-      // If cart has BOTH platform and store items OR multiple stores
-      if (platformItems.length > 0 || storeIds.length > 1) {
+      // If cart has BOTH platform and store items OR multiple stores, or the platform is funding a discount
+      // (a destination charge would take the platform discount out of the store's share)
+      if (platformItems.length > 0 || storeIds.length > 1 || platformDiscount > 0) {
         // Complex scenario: Direct charge to platform account, then transfer to stores
         isMultiVendor = true;
 
         // Create direct charge to platform account
         paymentIntent = await stripe.paymentIntents.create({
-          amount: Math.round(totalAmount * 100), // Convert to cents
-          currency: 'usd',
+          amount: chargedAmountMinor,
+          currency: currency.toLowerCase(),
+          ...savedCardParams,
           metadata: {
             userId: req.userId || 'guest',
             sessionId: req.sessionId || '',
@@ -217,20 +532,35 @@ router.post('/process', extractUserOrSession, async (req, res) => {
             platformAmount: Math.round(platformAmount * 100).toString(),
             storeAmount: Math.round(storeAmount * 100).toString(),
             hasPlatformItems: platformItems.length > 0 ? 'true' : 'false',
-            hasStoreItems: storeItems.length > 0 ? 'true' : 'false'
+            hasStoreItems: storeItems.length > 0 ? 'true' : 'false',
+            deliveryFee: Math.round(deliveryFee * 100).toString(),
+            taxAmount: Math.round(tax.taxAmount * 100).toString(),
+            ...currencyMetadata,
+            ...promotionMetadata,
           },
           payment_method_types: ['card'],
         });
       } else {
         // Simple scenario: Single store, no platform items
-        // Use destination charge with 10% application fee
+        // Use destination charge with the store's commission, the delivery fee and the tax as the application fee.
+        // A delivery the store gave away with its own code is still paid for, out of the store's share.
+        // The fee is converted at the charge's rate; Stripe pays the rest out in the store's account currency
         const primaryStore = stores[0];
-        const applicationFeePercent = 0.10; // 10% platform commission
-        const applicationFeeAmount = Math.round(storeAmount * applicationFeePercent * 100);
+        const applicationFeeAmount = Math.min(
+          toMinorUnits((
+            commissionBreakdown[primaryStore.id].feeAmount +
+            deliveryFee +
+            getStoreFundedDelivery(deliveryBreakdown, primaryStore.id) +
+            tax.addedTax +
+            getStoreIncludedTax(tax.breakdown, primaryStore.id)
+          ) * charge.fxRate, currency),
+          chargedAmountMinor,
+        );
 
         paymentIntent = await stripe.paymentIntents.create({
-          amount: Math.round(totalAmount * 100), // Convert to cents
-          currency: 'usd',
+          amount: chargedAmountMinor,
+          currency: currency.toLowerCase(),
+          ...savedCardParams,
           application_fee_amount: applicationFeeAmount,
           transfer_data: {
             destination: primaryStore.stripe_connect_account_id,
@@ -245,7 +575,12 @@ router.post('/process', extractUserOrSession, async (req, res) => {
             multiVendor: 'false',
             storeId: primaryStore.id.toString(),
             storeName: primaryStore.store_name,
-            platformFee: applicationFeeAmount.toString()
+            platformFee: applicationFeeAmount.toString(),
+            platformFeePercent: commissionBreakdown[primaryStore.id].ratePercent.toString(),
+            deliveryFee: Math.round(deliveryFee * 100).toString(),
+            taxAmount: Math.round(tax.taxAmount * 100).toString(),
+            ...currencyMetadata,
+            ...promotionMetadata,
           },
           payment_method_types: ['card'],
         });
@@ -253,8 +588,9 @@ router.post('/process', extractUserOrSession, async (req, res) => {
     } else {
       // Only platform items - direct charge to platform account, no commission
       paymentIntent = await stripe.paymentIntents.create({
-        amount: Math.round(totalAmount * 100), // Convert to cents
-        currency: 'usd',
+        amount: chargedAmountMinor,
+        currency: currency.toLowerCase(),
+        ...savedCardParams,
         metadata: {
           userId: req.userId || 'guest',
           sessionId: req.sessionId || '',
@@ -262,7 +598,11 @@ router.post('/process', extractUserOrSession, async (req, res) => {
           customerName: deliveryInfo.fullName,
           customerEmail: deliveryInfo.email,
           platformOnly: 'true',
-          platformAmount: Math.round(platformAmount * 100).toString()
+          platformAmount: Math.round(platformAmount * 100).toString(),
+          deliveryFee: Math.round(deliveryFee * 100).toString(),
+          taxAmount: Math.round(tax.taxAmount * 100).toString(),
+          ...currencyMetadata,
+          ...promotionMetadata,
         },
         payment_method_types: ['card'],
       });
@@ -276,8 +616,12 @@ router.post('/process', extractUserOrSession, async (req, res) => {
         delivery_name, delivery_email, delivery_phone, 
         delivery_address, delivery_city, delivery_state, 
         delivery_zip, delivery_country, delivery_instructions,
+        subtotal, discount_amount, promotion_id, promo_code,
+        platform_fee_amount, commission_breakdown, delivery_pin,
+        delivery_fee, delivery_fee_breakdown, delivery_lat, delivery_lng,
+        tax_amount, tax_breakdown, currency, fx_rate, charged_amount, fx_rates,
         created_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, NOW())
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30, $31, $32, $33, $34, NOW())
       RETURNING id, created_at
     `;
 
@@ -298,19 +642,59 @@ router.post('/process', extractUserOrSession, async (req, res) => {
       deliveryInfo.state,
       deliveryInfo.zipCode,
       deliveryInfo.country || 'United States',
-      deliveryInfo.deliveryInstructions || null
+      deliveryInfo.deliveryInstructions || null,
+      subtotal,
+      discountAmount,
+      appliedPromotion ? appliedPromotion.promotion.id : null,
+      appliedPromotion ? appliedPromotion.promotion.code : null,
+      platformFeeAmount,
+      JSON.stringify(commissionBreakdown),
+      // Sent with the confirmation email; the driver needs it to complete the delivery
+      deliveryInfo.requireDeliveryPin ? generateDeliveryPin() : null,
+      deliveryFee,
+      JSON.stringify(deliveryBreakdown),
+      // Saves dispatch geocoding the address again
+      destination ? destination.latitude : null,
+      destination ? destination.longitude : null,
+      tax.taxAmount,
+      JSON.stringify(tax.breakdown),
+      currency,
+      charge.fxRate,
+      charge.chargedAmount,
+      JSON.stringify(charge.fxRates),
     ]);
 
     const orderId = orderResult.rows[0].id;
 
-    // Update stock quantities
+    await recordTaxLines(client, orderId, tax.lines);
+
+    if (appliedPromotion) {
+      await recordRedemption(client, appliedPromotion, orderId, {
+        customerId: req.userId || null,
+        sessionId: req.sessionId || null,
+      });
+    }
+
+    // Record order line items, snapshotting the variant SKU and options
     for (const item of cartItems) {
-      await client.query(
-        'UPDATE products SET stock_quantity = stock_quantity - $1 WHERE id = $2',
-        [item.quantity, item.product_id]
-      );
+      await client.query(`
+        INSERT INTO order_items (order_id, product_id, quantity, price, price_per_item, variant_id, sku, variant_options)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      `, [
+        orderId,
+        item.product_id,
+        item.quantity,
+        parseFloat(item.price) * item.quantity,
+        item.price,
+        item.variant_id || null,
+        item.sku || null,
+        item.variant_options ? JSON.stringify(item.variant_options) : null,
+      ]);
     }
 
+    // Hold the stock until payment succeeds; the reservation sweeper releases it if it never does
+    const reservationExpiresAt = await reserveStock(client, orderId, cartItems);
+
     await client.query('COMMIT');
 
     res.json({
@@ -319,13 +703,29 @@ router.post('/process', extractUserOrSession, async (req, res) => {
         clientSecret: paymentIntent.client_secret,
         paymentIntentId: paymentIntent.id,
         orderId,
+        subtotal,
+        discountAmount,
+        deliveryFee,
+        taxAmount: tax.taxAmount,
+        taxIncluded: tax.includedTax,
+        promoCode: appliedPromotion ? appliedPromotion.promotion.code : null,
         totalAmount,
+        currency,
+        fxRate: charge.fxRate,
+        chargedAmount: charge.chargedAmount,
+        reservationExpiresAt,
         items: cartItems
       }
     });
 
   } catch (error) {
     await client.query('ROLLBACK');
+    // The order it was created for was rolled back, so nothing else would ever cancel it
+    if (paymentIntent) {
+      await stripe.paymentIntents.cancel(paymentIntent.id, { cancellation_reason: 'abandoned' }).catch(cancelError => {
+        console.error(`Error cancelling PaymentIntent ${paymentIntent.id}:`, cancelError.message);
+      });
+    }
     console.error('Error processing checkout:', error);
     console.error('Error stack:', error.stack);
     console.error('Error details:', {
@@ -345,9 +745,8 @@ router.post('/process', extractUserOrSession, async (req, res) => {
 });
 
 // Confirm payment and complete order
+// The payment_intent.succeeded webhook runs the same completion, so whichever arrives first does the work
 router.post('/confirm', extractUserOrSession, async (req, res) => {
-  const client = await pool.connect();
-  
   try {
     const { paymentIntentId } = req.body;
 
@@ -358,241 +757,11 @@ router.post('/confirm', extractUserOrSession, async (req, res) => {
       });
     }
 
-    await client.query('BEGIN');
-
     // Retrieve payment intent from Stripe
     const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
 
-    if (paymentIntent.status === 'succeeded') {
-      // Get order details first
-      const getOrderQuery = `
-        SELECT id, user_id, session_id, items
-        FROM orders 
-        WHERE payment_intent_id = $1
-      `;
-      
-      const orderResult = await client.query(getOrderQuery, [paymentIntentId]);
-      
-      if (orderResult.rows.length > 0) {
-        const order = orderResult.rows[0];
-        const orderItems = JSON.parse(order.items);
-        
-        // Handle transfers based on payment type
-        const isMultiVendor = paymentIntent.metadata?.multiVendor === 'true';
-        const platformOnly = paymentIntent.metadata?.platformOnly === 'true';
-
-        // Skip transfers for platform-only orders (no commission, no stores involved)
-        if (!platformOnly && paymentIntent.metadata?.storeIds) {
-          const storeIds = paymentIntent.metadata.storeIds.split(',').filter(id => id);
-
-          if (storeIds.length > 0) {
-            // Group items by store and calculate amounts
-            const itemsByStore = orderItems.reduce((acc, item) => {
-              // Skip platform items (store_id is null)
-              if (item.store_id) {
-                if (!acc[item.store_id]) {
-                  acc[item.store_id] = [];
-                }
-                acc[item.store_id].push(item);
-              }
-              return acc;
-            }, {});
-
-            // Get store Stripe accounts
-            const storeQuery = `
-              SELECT id, stripe_connect_account_id, store_name
-              FROM stores
-              WHERE id = ANY($1) AND stripe_connect_account_id IS NOT NULL
-            `;
-            const storeResult = await client.query(storeQuery, [storeIds]);
-            const stores = storeResult.rows;
-
-            const failedTransfers = [];
-            const platformFeePercent = 0.10; // 10% platform commission
-
-            // If multi-vendor (platform items + store items OR multiple stores)
-            // Create transfers to ALL stores with 10% platform commission
-            if (isMultiVendor) {
-              for (const store of stores) {
-                const storeItems = itemsByStore[store.id];
-                if (storeItems && storeItems.length > 0) {
-                  const storeAmount = storeItems.reduce((total, item) => {
-                    return total + (parseFloat(item.price) * item.quantity);
-                  }, 0);
-
-                  // Transfer 90% to store (10% stays with platform)
-                  const transferAmount = Math.round(storeAmount * (1 - platformFeePercent) * 100);
-
-                  // Retry logic for failed transfers
-                  let transferSuccess = false;
-                  let lastError = null;
-                  const maxRetries = 3;
-
-                  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-                    try {
-                      await stripe.transfers.create({
-                        amount: transferAmount,
-                        currency: 'usd',
-                        destination: store.stripe_connect_account_id,
-                        metadata: {
-                          orderId: order.id.toString(),
-                          storeId: store.id.toString(),
-                          storeName: store.store_name,
-                          platformFeePercent: '10',
-                          storeItemsAmount: Math.round(storeAmount * 100).toString()
-                        },
-                      });
-
-                      console.log(`✅ Transfer created for store ${store.store_name}: $${transferAmount / 100} (90% of $${storeAmount})`);
-                      transferSuccess = true;
-                      break; // Success, exit retry loop
-                    } catch (transferError) {
-                      lastError = transferError;
-                      console.error(`❌ Transfer attempt ${attempt}/${maxRetries} failed for store ${store.store_name}:`, transferError.message);
-
-                      if (attempt < maxRetries) {
-                        // Wait before retry (exponential backoff)
-                        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
-                      }
-                    }
-                  }
-
-                  // If all retries failed, log for manual review
-                  if (!transferSuccess) {
-                    failedTransfers.push({
-                      storeId: store.id,
-                      storeName: store.store_name,
-                      amount: transferAmount,
-                      accountId: store.stripe_connect_account_id,
-                      error: lastError.message
-                    });
-
-                    // Store failed transfer in database for admin review
-                    try {
-                      await client.query(`
-                        INSERT INTO failed_transfers
-                        (order_id, store_id, store_name, amount_cents, stripe_account_id, error_message, created_at)
-                        VALUES ($1, $2, $3, $4, $5, $6, NOW())
-                      `, [
-                        order.id,
-                        store.id,
-                        store.store_name,
-                        transferAmount,
-                        store.stripe_connect_account_id,
-                        lastError.message
-                      ]);
-                      console.warn(`⚠️  Failed transfer logged for admin review: Order ${order.id}, Store ${store.store_name}`);
-                    } catch (logError) {
-                      // If failed_transfers table doesn't exist, just log to console
-                      console.error('Could not log failed transfer to database:', logError.message);
-                      console.error('CRITICAL: Manual transfer needed for:', {
-                        orderId: order.id,
-                        storeId: store.id,
-                        storeName: store.store_name,
-                        amount: transferAmount / 100,
-                        accountId: store.stripe_connect_account_id
-                      });
-                    }
-                  }
-                }
-              }
-            }
-            // If single store with destination charge, platform fee is already handled by Stripe
-            // No manual transfers needed as the 10% fee was set in application_fee_amount
-
-            // If there were failed transfers, add note to order
-            if (failedTransfers.length > 0) {
-              await client.query(`
-                UPDATE orders
-                SET notes = COALESCE(notes || E'\n', '') || $1
-                WHERE id = $2
-              `, [
-                `⚠️ ${failedTransfers.length} transfer(s) failed and require manual processing`,
-                order.id
-              ]);
-            }
-          }
-        }
-
-        // Update order status
-        const updateOrderQuery = `
-          UPDATE orders 
-          SET status = 'completed', updated_at = NOW()
-          WHERE payment_intent_id = $1
-        `;
-        
-        await client.query(updateOrderQuery, [paymentIntentId]);
-        
-        // Clear cart
-        if (order.user_id) {
-          await client.query('DELETE FROM cart_items WHERE user_id = $1', [order.user_id]);
-        } else if (order.session_id) {
-          await client.query('DELETE FROM cart_items WHERE session_id = $1', [order.session_id]);
-        }
-
-        await client.query('COMMIT');
-
-        // Send order confirmation email
-        try {
-          // Get order items with product names
-          const orderItemsQuery = `
-            SELECT oi.product_id, oi.quantity, oi.price, p.name
-            FROM order_items oi
-            JOIN products p ON oi.product_id = p.id
-            WHERE oi.order_id = $1
-          `;
-          const orderItemsResult = await client.query(orderItemsQuery, [order.id]);
-
-          const emailOrderDetails = {
-            orderId: order.id,
-            orderDate: order.created_at,
-            totalAmount: parseFloat(order.total_amount),
-            items: orderItemsResult.rows.map(item => ({
-              name: item.name,
-              quantity: item.quantity,
-              price: parseFloat(item.price)
-            })),
-            deliveryName: order.delivery_name,
-            deliveryEmail: order.delivery_email,
-            deliveryPhone: order.delivery_phone,
-            deliveryAddress: order.delivery_address,
-            deliveryCity: order.delivery_city,
-            deliveryState: order.delivery_state,
-            deliveryZip: order.delivery_zip,
-            deliveryCountry: order.delivery_country
-          };
-
-          await emailService.sendOrderConfirmation(
-            order.delivery_email,
-            order.delivery_name,
-            emailOrderDetails
-          );
-
-          console.log(`✅ Order confirmation email sent for order #${order.id}`);
-        } catch (emailError) {
-          // Don't fail the request if email fails
-          console.error('Failed to send order confirmation email:', emailError.message);
-        }
-
-        res.json({
-          success: true,
-          message: 'Payment confirmed and order completed',
-          data: {
-            orderId: order.id,
-            paymentStatus: paymentIntent.status,
-            multiVendor: isMultiVendor
-          }
-        });
-      } else {
-        await client.query('ROLLBACK');
-        res.status(404).json({
-          success: false,
-          message: 'Order not found'
-        });
-      }
-    } else {
-      await client.query('ROLLBACK');
-      res.status(400).json({
+    if (paymentIntent.status !== 'succeeded') {
+      return res.status(400).json({
         success: false,
         message: 'Payment not successful',
         data: {
@@ -601,16 +770,34 @@ router.post('/confirm', extractUserOrSession, async (req, res) => {
       });
     }
 
+    const result = await completeOrderPayment(paymentIntent);
+
+    if (result.status === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.status === 'needs_review'
+        ? 'Payment confirmed; the order had been cancelled and will be reviewed'
+        : 'Payment confirmed and order completed',
+      data: {
+        orderId: result.order.id,
+        paymentStatus: paymentIntent.status,
+        multiVendor: paymentIntent.metadata?.multiVendor === 'true',
+      },
+    });
+
   } catch (error) {
-    await client.query('ROLLBACK');
     console.error('Error confirming payment:', error);
     res.status(500).json({
       success: false,
       message: 'Failed to confirm payment',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
-  } finally {
-    client.release();
   }
 });
 
@@ -677,4 +864,49 @@ router.get('/session/:paymentIntentId', extractUserOrSession, async (req, res) =
   }
 });
 
+// Cards a signed-in customer saved on earlier checkouts, listed at checkout and managed from account settings
+router.get('/payment-methods', authenticateSession('customer'), async (req, res) => {
+  try {
+    const cards = await listSavedCards(req.user.userId);
+
+    res.json({
+      success: true,
+      data: {
+        paymentMethods: cards,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching saved cards:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load saved cards',
+    });
+  }
+});
+
+// Remove a saved card
+router.delete('/payment-methods/:id', authenticateSession('customer'), async (req, res) => {
+  try {
+    const removed = await removeSavedCard(req.user.userId, req.params.id);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved card not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Card removed',
+    });
+  } catch (error) {
+    console.error('Error removing saved card:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove the card',
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,29 @@
+const express = require('express');
+const { PLATFORM_CURRENCY, SUPPORTED_CURRENCIES, getRates } = require('../utils/exchangeRates');
+
+const router = express.Router();
+
+// GET /api/currency/rates - Supported currencies and their rates against the platform currency
+router.get('/rates', async (req, res) => {
+  try {
+    const { rates, fetchedAt } = await getRates();
+
+    res.json({
+      success: true,
+      data: {
+        base: PLATFORM_CURRENCY,
+        currencies: SUPPORTED_CURRENCIES.filter(currency => rates[currency]),
+        rates,
+        fetchedAt,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching exchange rates:', error.message);
+    res.status(503).json({
+      success: false,
+      message: 'Exchange rates are unavailable right now',
+    });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,26 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const { pool } = require('../config/database');
+const r2Service = require('../config/r2');
+const { uploadSingle, uploadDocument, requireFile } = require('../middleware/upload');
+const { ACTIVE_DELIVERY_STATUSES, DECLINE_REASONS, acceptOffer, declineOffer, releaseDriverOffers } = require('../utils/dispatch');
+const { completeStop } = require('../utils/batching');
+const { publishOrderTracking, publishDriverLocation } = require('../utils/orderTracking');
+const { PROOF_TYPES, PIN_LOCKOUT_MINUTES, verifyDeliveryPin } = require('../utils/deliveryProof');
+const {
+  recordDeliveryEarnings,
+  getEarningsSummary,
+  getStatement,
+  formatPayout,
+  formatEarningsEntry,
+} = require('../utils/driverEarnings');
+const { RATING_WINDOW, formatDeliveryRating } = require('../utils/driverRatings');
 
 const router = express.Router();
 
+const DOCUMENT_TYPES = ['drivers_license', 'vehicle_registration', 'insurance', 'identity'];
+
 // Validation helper functions
 const validateEmail = (email) => {
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -15,8 +32,9 @@ const validatePhone = (phone) => {
   return phoneRegex.test(phone.replace(/[\s\-\(\)]/g, ''));
 };
 
-// Middleware to authenticate driver session
-function authenticateDriver(req, res, next) {
+// Middleware to authenticate driver session. The driver's status is read on every request,
+// so a suspension locks them out even if destroying their sessions missed one
+async function authenticateDriver(req, res, next) {
   if (!req.session || !req.session.userId || !req.session.userType) {
     return res.status(401).json({
       success: false,
@@ -32,13 +50,34 @@ function authenticateDriver(req, res, next) {
     });
   }
 
-  req.driver = {
-    driverId: req.session.userId,
-    email: req.session.email,
-    userType: req.session.userType,
-    driverCode: req.session.driverCode
-  };
-  next();
+  try {
+    const result = await pool.query('SELECT status FROM drivers WHERE id = $1', [req.session.userId]);
+    const driver = result.rows[0];
+
+    // A driver's status tracks availability, so only 'inactive' means suspended
+    if (!driver || driver.status === 'inactive') {
+      req.session.destroy();
+      return res.status(403).json({
+        success: false,
+        message: 'Driver account is not active. Session cleared.',
+      });
+    }
+
+    req.driver = {
+      driverId: req.session.userId,
+      email: req.session.email,
+      userType: req.session.userType,
+      driverCode: req.session.driverCode,
+      status: driver.status,
+    };
+    next();
+  } catch (error) {
+    console.error('Driver authentication error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Authentication error. Please log in again.',
+    });
+  }
 }
 
 // POST /api/drivers/register - Driver registration
@@ -179,7 +218,8 @@ router.post('/login', async (req, res) => {
     // Find driver by email
     const driverQuery = `
       SELECT id, driver_id, full_name, email, phone, password_hash, license_number, 
-             vehicle_type, vehicle_plate, status, is_verified, rating, total_deliveries, created_at
+             vehicle_type, vehicle_plate, status, is_verified, verification_status, rejection_reason,
+             rating, total_deliveries, created_at
       FROM drivers 
       WHERE email = $1
     `;
@@ -195,11 +235,11 @@ router.post('/login', async (req, res) => {
 
     const driver = result.rows[0];
 
-    // Check if driver is verified
-    if (!driver.is_verified) {
+    // Suspended by an admin
+    if (driver.status === 'inactive') {
       return res.status(403).json({
         success: false,
-        message: 'Your account is pending verification. Please contact support.'
+        message: 'Your account has been suspended. Please contact support.',
       });
     }
 
@@ -213,10 +253,11 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Update status to online and last login
+    // Unverified drivers can sign in to upload documents but stay offline until approved
+    const status = driver.is_verified ? 'online' : 'offline';
     await pool.query(
       'UPDATE drivers SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-      ['online', driver.id]
+      [status, driver.id],
     );
 
     // Create session
@@ -241,8 +282,10 @@ router.post('/login', async (req, res) => {
           licenseNumber: driver.license_number,
           vehicleType: driver.vehicle_type,
           vehiclePlate: driver.vehicle_plate,
-          status: 'online',
+          status,
           isVerified: driver.is_verified,
+          verificationStatus: driver.verification_status,
+          rejectionReason: driver.rejection_reason,
           rating: parseFloat(driver.rating),
           totalDeliveries: driver.total_deliveries,
           createdAt: driver.created_at
@@ -271,6 +314,9 @@ router.post('/logout', authenticateDriver, async (req, res) => {
       ['offline', driverId]
     );
 
+    // Pass any open delivery offers on to other drivers
+    await releaseDriverOffers(driverId);
+
     // Destroy session
     req.session.destroy((err) => {
       if (err) {
@@ -311,11 +357,34 @@ router.put('/status', authenticateDriver, async (req, res) => {
       });
     }
 
-    await pool.query(
-      'UPDATE drivers SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-      [status, driverId]
+    if (status !== 'offline') {
+      const driverResult = await pool.query('SELECT is_verified FROM drivers WHERE id = $1', [driverId]);
+      if (driverResult.rows.length === 0 || !driverResult.rows[0].is_verified) {
+        return res.status(403).json({
+          success: false,
+          message: 'Your account must be verified before you can go online',
+        });
+      }
+    }
+
+    // A driver suspended since their session was checked stays suspended
+    const updateResult = await pool.query(
+      'UPDATE drivers SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 AND status <> \'inactive\' RETURNING id',
+      [status, driverId],
     );
 
+    if (updateResult.rows.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Driver account is not active',
+      });
+    }
+
+    // Drivers who step away don't hold on to delivery offers
+    if (status !== 'online') {
+      await releaseDriverOffers(driverId);
+    }
+
     res.json({
       success: true,
       message: 'Status updated successfully',
@@ -345,10 +414,15 @@ router.put('/location', authenticateDriver, async (req, res) => {
     }
 
     await pool.query(
-      'UPDATE drivers SET current_location_lat = $1, current_location_lng = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
+      `UPDATE drivers
+       SET current_location_lat = $1, current_location_lng = $2,
+           location_updated_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3`,
       [latitude, longitude, driverId]
     );
 
+    publishDriverLocation(driverId);
+
     res.json({
       success: true,
       message: 'Location updated successfully'
@@ -370,8 +444,8 @@ router.get('/profile', authenticateDriver, async (req, res) => {
 
     const driverQuery = `
       SELECT id, driver_id, full_name, email, phone, license_number, 
-             vehicle_type, vehicle_plate, status, is_verified, rating, 
-             total_deliveries, current_location_lat, current_location_lng, created_at
+             vehicle_type, vehicle_plate, status, is_verified, verification_status, rejection_reason,
+             rating, total_deliveries, current_location_lat, current_location_lng, created_at
       FROM drivers 
       WHERE id = $1
     `;
@@ -401,6 +475,8 @@ router.get('/profile', authenticateDriver, async (req, res) => {
           vehiclePlate: driver.vehicle_plate,
           status: driver.status,
           isVerified: driver.is_verified,
+          verificationStatus: driver.verification_status,
+          rejectionReason: driver.rejection_reason,
           rating: parseFloat(driver.rating),
           totalDeliveries: driver.total_deliveries,
           currentLocation: driver.current_location_lat && driver.current_location_lng ? {
@@ -428,12 +504,17 @@ router.get('/orders', authenticateDriver, async (req, res) => {
     const { status, page = 1, limit = 10 } = req.query;
 
     let query = `
-      SELECT o.id, o.order_number, o.status, o.total, o.shipping_address, 
+      SELECT o.id, o.order_number, o.status, COALESCE(o.total, o.total_amount) as total,
+             COALESCE(o.shipping_address,
+               CONCAT_WS(', ', o.delivery_address, o.delivery_city, o.delivery_state, o.delivery_zip)) as shipping_address,
              o.assigned_at, o.picked_up_at, o.delivered_at, o.estimated_delivery,
-             u.full_name as customer_name, u.phone as customer_phone,
+             COALESCE(u.full_name, o.delivery_name) as customer_name,
+             COALESCE(u.phone, o.delivery_phone) as customer_phone,
+             o.delivery_pin IS NOT NULL as requires_pin,
+             (SELECT COUNT(*) FROM delivery_proofs dp WHERE dp.order_id = o.id) as proof_count,
              COUNT(oi.id) as item_count
       FROM orders o
-      JOIN customers u ON o.user_id = u.id
+      LEFT JOIN customers u ON o.user_id = u.id
       LEFT JOIN order_items oi ON o.id = oi.order_id
       WHERE o.driver_id = $1
     `;
@@ -477,6 +558,8 @@ router.get('/orders', authenticateDriver, async (req, res) => {
           pickedUpAt: order.picked_up_at,
           deliveredAt: order.delivered_at,
           estimatedDelivery: order.estimated_delivery,
+          requiresPin: order.requires_pin,
+          proofCount: parseInt(order.proof_count),
           items: itemsResult.rows.map(item => ({
             id: item.id,
             productName: item.product_name,
@@ -508,7 +591,7 @@ router.put('/orders/:id/status', authenticateDriver, async (req, res) => {
   try {
     const driverId = req.driver.driverId;
     const orderId = req.params.id;
-    const { status } = req.body;
+    const { status, pin } = req.body;
 
     const validStatuses = ['picked_up', 'in_transit', 'delivered'];
     if (!validStatuses.includes(status)) {
@@ -518,38 +601,77 @@ router.put('/orders/:id/status', authenticateDriver, async (req, res) => {
       });
     }
 
-    // Check if order is assigned to this driver
-    const orderCheck = await pool.query(
-      'SELECT id, status FROM orders WHERE id = $1 AND driver_id = $2',
-      [orderId, driverId]
-    );
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
 
-    if (orderCheck.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Order not found or not assigned to you'
-      });
-    }
+      // Lock the order so the transition and PIN check can't race another request for it
+      const orderCheck = await client.query(
+        'SELECT id, status FROM orders WHERE id = $1 AND driver_id = $2 FOR UPDATE',
+        [orderId, driverId],
+      );
 
-    const currentStatus = orderCheck.rows[0].status;
+      if (orderCheck.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found or not assigned to you',
+        });
+      }
 
-    // Validate status transition
-    const validTransitions = {
-      'assigned': ['picked_up'],
-      'picked_up': ['in_transit'],
-      'in_transit': ['delivered']
-    };
+      const currentStatus = orderCheck.rows[0].status;
 
-    if (!validTransitions[currentStatus] || !validTransitions[currentStatus].includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: `Cannot transition from ${currentStatus} to ${status}`
-      });
-    }
+      // Validate status transition
+      const validTransitions = {
+        'assigned': ['picked_up'],
+        'picked_up': ['in_transit'],
+        'in_transit': ['delivered'],
+      };
 
-    const client = await pool.connect();
-    try {
-      await client.query('BEGIN');
+      if (!validTransitions[currentStatus] || !validTransitions[currentStatus].includes(status)) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          success: false,
+          message: `Cannot transition from ${currentStatus} to ${status}`,
+        });
+      }
+
+      // Orders placed with a delivery PIN can only be handed over once the customer gives it.
+      // A wrong PIN is committed on its own so the attempt counts even though the status doesn't change.
+      let handoverNote = null;
+      if (status === 'delivered') {
+        const pinCheck = await verifyDeliveryPin(orderId, pin, client);
+
+        if (pinCheck.status === 'missing') {
+          await client.query('ROLLBACK');
+          return res.status(400).json({
+            success: false,
+            message: 'This order needs the customer\'s delivery PIN',
+          });
+        }
+
+        if (pinCheck.status === 'incorrect') {
+          await client.query('COMMIT');
+          return res.status(400).json({
+            success: false,
+            message: pinCheck.attemptsLeft > 0
+              ? `Incorrect delivery PIN. ${pinCheck.attemptsLeft} attempt${pinCheck.attemptsLeft === 1 ? '' : 's'} left`
+              : `Incorrect delivery PIN. Try again in ${PIN_LOCKOUT_MINUTES} minutes`,
+          });
+        }
+
+        if (pinCheck.status === 'locked') {
+          await client.query('ROLLBACK');
+          return res.status(429).json({
+            success: false,
+            message: `Too many incorrect PINs. Try again in ${PIN_LOCKOUT_MINUTES} minutes`,
+          });
+        }
+
+        if (pinCheck.status === 'verified') {
+          handoverNote = 'Handover confirmed with delivery PIN';
+        }
+      }
 
       // Update order status and timestamp
       const updateQuery = `
@@ -561,23 +683,36 @@ router.put('/orders/:id/status', authenticateDriver, async (req, res) => {
 
       // Create delivery tracking entry
       await client.query(
-        `INSERT INTO delivery_tracking (order_id, driver_id, status, timestamp)
-         VALUES ($1, $2, $3, CURRENT_TIMESTAMP)`,
-        [orderId, driverId, status]
+        `INSERT INTO delivery_tracking (order_id, driver_id, status, notes, timestamp)
+         VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)`,
+        [orderId, driverId, status, handoverNote],
       );
 
-      // If delivered, update driver stats and set status back to online
+      // Tick off the matching stop on the driver's route
+      if (status === 'picked_up' || status === 'delivered') {
+        await completeStop(client, orderId, status === 'picked_up' ? 'pickup' : 'dropoff');
+      }
+
+      // If delivered, update driver stats, credit the delivery pay and set status back to online
+      // once the last order of their batch is delivered
       if (status === 'delivered') {
         await client.query(
           `UPDATE drivers 
-           SET total_deliveries = total_deliveries + 1, status = 'online'
-           WHERE id = $1`,
-          [driverId]
+           SET total_deliveries = total_deliveries + 1,
+               status = CASE WHEN EXISTS (
+                 SELECT 1 FROM orders
+                 WHERE driver_id = $1 AND id <> $2 AND status = ANY($3)
+               ) THEN status ELSE 'online' END
+           WHERE id = $1 AND status <> 'inactive'`,
+          [driverId, orderId, ACTIVE_DELIVERY_STATUSES],
         );
+        await recordDeliveryEarnings(client, orderId, driverId);
       }
 
       await client.query('COMMIT');
 
+      publishOrderTracking(orderId);
+
       res.json({
         success: true,
         message: `Order status updated to ${status}`,
@@ -600,28 +735,80 @@ router.put('/orders/:id/status', authenticateDriver, async (req, res) => {
   }
 });
 
+// POST /api/drivers/orders/:id/proof - Attach a handover photo or signature to an order
+router.post('/orders/:id/proof', authenticateDriver, uploadSingle('file'), requireFile, async (req, res) => {
+  try {
+    const driverId = req.driver.driverId;
+    const orderId = req.params.id;
+    const { proofType } = req.body;
+
+    if (!PROOF_TYPES.includes(proofType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Proof type must be one of: ${PROOF_TYPES.join(', ')}`,
+      });
+    }
+
+    const orderCheck = await pool.query(
+      'SELECT id, status FROM orders WHERE id = $1 AND driver_id = $2',
+      [orderId, driverId],
+    );
+
+    if (orderCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found or not assigned to you',
+      });
+    }
+
+    if (!['picked_up', 'in_transit', 'delivered'].includes(orderCheck.rows[0].status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Proof can only be added once the order has been picked up',
+      });
+    }
+
+    if (!r2Service.isConfigured()) {
+      return res.status(500).json({
+        success: false,
+        message: 'Proof storage is not configured',
+      });
+    }
+
+    const upload = await r2Service.uploadDocument(req.file, { prefix: 'delivery-proofs' });
+
+    const result = await pool.query(`
+      INSERT INTO delivery_proofs (order_id, driver_id, proof_type, storage_key, content_type, file_size)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id, proof_type, created_at
+    `, [orderId, driverId, proofType, upload.key, upload.contentType, upload.size]);
+
+    res.status(201).json({
+      success: true,
+      message: proofType === 'photo' ? 'Delivery photo saved' : 'Signature saved',
+      data: {
+        id: result.rows[0].id,
+        type: result.rows[0].proof_type,
+        createdAt: result.rows[0].created_at,
+      },
+    });
+
+  } catch (error) {
+    console.error('Error uploading delivery proof:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload delivery proof',
+    });
+  }
+});
+
 // GET /api/drivers/stats - Get driver statistics
 router.get('/stats', authenticateDriver, async (req, res) => {
   try {
     const driverId = req.driver.driverId;
-    const { range = 'week' } = req.query;
-
-    let dateFilter = '';
-    switch (range) {
-      case 'today':
-        dateFilter = "AND delivered_at >= CURRENT_DATE";
-        break;
-      case 'week':
-        dateFilter = "AND delivered_at >= CURRENT_DATE - INTERVAL '7 days'";
-        break;
-      case 'month':
-        dateFilter = "AND delivered_at >= CURRENT_DATE - INTERVAL '30 days'";
-        break;
-      default:
-        dateFilter = '';
-    }
-
-    // Get delivery counts
+
+    // Counts and earnings come back for today, the week, the month and all time at once;
+    // the dashboard picks the range to show
     const deliveryStats = await pool.query(`
       SELECT 
         COUNT(*) FILTER (WHERE delivered_at >= CURRENT_DATE) as completed_today,
@@ -632,16 +819,7 @@ router.get('/stats', authenticateDriver, async (req, res) => {
       WHERE driver_id = $1 AND status = 'delivered'
     `, [driverId]);
 
-    // Get earnings (mock calculation - 10% of order total)
-    const earningsStats = await pool.query(`
-      SELECT 
-        COALESCE(SUM(total * 0.1) FILTER (WHERE delivered_at >= CURRENT_DATE), 0) as earnings_today,
-        COALESCE(SUM(total * 0.1) FILTER (WHERE delivered_at >= CURRENT_DATE - INTERVAL '7 days'), 0) as earnings_this_week,
-        COALESCE(SUM(total * 0.1) FILTER (WHERE delivered_at >= CURRENT_DATE - INTERVAL '30 days'), 0) as earnings_this_month,
-        COALESCE(SUM(total * 0.1), 0) as total_earnings
-      FROM orders 
-      WHERE driver_id = $1 AND status = 'delivered'
-    `, [driverId]);
+    const earnings = await getEarningsSummary(pool, driverId);
 
     // Get status breakdown
     const statusBreakdown = await pool.query(`
@@ -653,9 +831,13 @@ router.get('/stats', authenticateDriver, async (req, res) => {
 
     // Get recent deliveries
     const recentDeliveries = await pool.query(`
-      SELECT o.id, o.order_number, o.total, o.delivered_at, u.full_name as customer_name
+      SELECT o.id, o.order_number, COALESCE(o.total_amount, o.total) as total, o.delivered_at, u.full_name as customer_name,
+             (SELECT COALESCE(SUM(e.amount), 0) FROM driver_earnings e
+              WHERE e.order_id = o.id AND e.driver_id = o.driver_id) as earnings,
+             r.rating
       FROM orders o
       JOIN customers u ON o.user_id = u.id
+      LEFT JOIN delivery_ratings r ON r.order_id = o.id AND r.driver_id = o.driver_id
       WHERE o.driver_id = $1 AND o.status = 'delivered'
       ORDER BY o.delivered_at DESC
       LIMIT 10
@@ -663,12 +845,20 @@ router.get('/stats', authenticateDriver, async (req, res) => {
 
     // Get driver rating
     const driverInfo = await pool.query(
-      'SELECT rating FROM drivers WHERE id = $1',
+      'SELECT rating, rating_count FROM drivers WHERE id = $1',
       [driverId]
     );
 
+    // Latest written feedback, without the customer's name
+    const recentFeedback = await pool.query(`
+      SELECT id, order_id, rating, feedback, created_at
+      FROM delivery_ratings
+      WHERE driver_id = $1 AND feedback IS NOT NULL AND feedback <> ''
+      ORDER BY created_at DESC
+      LIMIT 5
+    `, [driverId]);
+
     const stats = deliveryStats.rows[0];
-    const earnings = earningsStats.rows[0];
     const breakdown = {};
     
     // Initialize breakdown with zeros
@@ -689,18 +879,23 @@ router.get('/stats', authenticateDriver, async (req, res) => {
         completedThisWeek: parseInt(stats.completed_this_week),
         completedThisMonth: parseInt(stats.completed_this_month),
         averageRating: parseFloat(driverInfo.rows[0]?.rating || 5.0),
-        totalEarnings: parseFloat(earnings.total_earnings),
-        earningsToday: parseFloat(earnings.earnings_today),
-        earningsThisWeek: parseFloat(earnings.earnings_this_week),
-        earningsThisMonth: parseFloat(earnings.earnings_this_month),
+        ratingCount: driverInfo.rows[0]?.rating_count || 0,
+        ratingWindow: RATING_WINDOW,
+        recentFeedback: recentFeedback.rows.map(formatDeliveryRating),
+        totalEarnings: earnings.total,
+        earningsToday: earnings.today,
+        earningsThisWeek: earnings.week,
+        earningsThisMonth: earnings.month,
+        unpaidEarnings: earnings.unpaid,
         deliveryStatusBreakdown: breakdown,
         recentDeliveries: recentDeliveries.rows.map(delivery => ({
           id: delivery.id,
           orderNumber: delivery.order_number,
           customerName: delivery.customer_name,
           total: parseFloat(delivery.total),
+          earnings: parseFloat(delivery.earnings),
+          rating: delivery.rating,
           deliveredAt: delivery.delivered_at,
-          rating: 5 // Mock rating
         }))
       }
     });
@@ -775,6 +970,619 @@ router.put('/profile', authenticateDriver, async (req, res) => {
   }
 });
 
+// GET /api/drivers/offers - Delivery offers waiting for this driver's answer
+router.get('/offers', authenticateDriver, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT f.id, f.order_id, f.distance_km, f.offered_at, f.expires_at,
+             s.store_name, s.store_address,
+             COALESCE(o.total, o.total_amount) as total,
+             COALESCE(o.shipping_address,
+               CONCAT_WS(', ', o.delivery_address, o.delivery_city, o.delivery_state, o.delivery_zip)) as delivery_address,
+             (SELECT COALESCE(SUM(oi.quantity), 0) FROM order_items oi WHERE oi.order_id = o.id) as item_count,
+             EXISTS (SELECT 1 FROM delivery_batches b
+                     WHERE b.driver_id = f.driver_id AND b.status = 'active') as joins_batch
+      FROM driver_offers f
+      JOIN orders o ON f.order_id = o.id
+      LEFT JOIN stores s ON f.store_id = s.id
+      WHERE f.driver_id = $1 AND f.status = 'offered' AND f.expires_at > NOW()
+      ORDER BY f.expires_at ASC
+    `, [req.driver.driverId]);
+
+    res.json({
+      success: true,
+      data: {
+        offers: result.rows.map(offer => ({
+          id: offer.id,
+          orderId: offer.order_id,
+          storeName: offer.store_name,
+          pickupAddress: offer.store_address,
+          deliveryAddress: offer.delivery_address,
+          distanceKm: offer.distance_km === null ? null : parseFloat(offer.distance_km),
+          total: parseFloat(offer.total),
+          itemCount: parseInt(offer.item_count),
+          joinsBatch: offer.joins_batch,
+          offeredAt: offer.offered_at,
+          expiresAt: offer.expires_at,
+        })),
+      },
+    });
+
+  } catch (error) {
+    console.error('Error fetching driver offers:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch offers',
+    });
+  }
+});
+
+// POST /api/drivers/offers/:id/accept - Accept a delivery offer
+router.post('/offers/:id/accept', authenticateDriver, async (req, res) => {
+  try {
+    const result = await acceptOffer(req.driver.driverId, req.params.id);
+
+    if (result.status === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        message: 'Offer not found',
+      });
+    }
+
+    if (result.status !== 'accepted') {
+      return res.status(409).json({
+        success: false,
+        message: result.status === 'taken'
+          ? 'This order is no longer available'
+          : 'This offer has expired',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Order #${result.offer.order_id} assigned to you`,
+      data: { orderId: result.offer.order_id },
+    });
+
+  } catch (error) {
+    console.error('Error accepting offer:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept offer',
+    });
+  }
+});
+
+// POST /api/drivers/offers/:id/decline - Decline a delivery offer
+router.post('/offers/:id/decline', authenticateDriver, async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const note = typeof req.body.note === 'string' ? req.body.note.trim() : '';
+
+    if (!DECLINE_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `Please choose a reason. Valid reasons: ${DECLINE_REASONS.join(', ')}`,
+      });
+    }
+
+    if (reason === 'other' && !note) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please tell us why you are declining',
+      });
+    }
+
+    if (note.length > 500) {
+      return res.status(400).json({
+        success: false,
+        message: 'Note must be 500 characters or less',
+      });
+    }
+
+    const result = await declineOffer(req.driver.driverId, req.params.id, { reason, note });
+
+    if (result.status === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        message: 'Offer not found or already answered',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Offer declined',
+    });
+
+  } catch (error) {
+    console.error('Error declining offer:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to decline offer',
+    });
+  }
+});
+
+// GET /api/drivers/route - Ordered stop list for the driver's current batch
+router.get('/route', authenticateDriver, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT b.id as batch_id, b.created_at as batch_created_at,
+             bs.id, bs.order_id, bs.stop_type, bs.sequence, bs.status, bs.address,
+             bs.latitude, bs.longitude, bs.completed_at,
+             o.order_number, o.status as order_status, o.delivery_pin IS NOT NULL as requires_pin, s.store_name,
+             COALESCE(u.full_name, o.delivery_name) as customer_name,
+             COALESCE(u.phone, o.delivery_phone) as customer_phone
+      FROM delivery_batches b
+      JOIN delivery_batch_stops bs ON bs.batch_id = b.id
+      JOIN orders o ON bs.order_id = o.id
+      LEFT JOIN stores s ON bs.store_id = s.id
+      LEFT JOIN customers u ON o.user_id = u.id
+      WHERE b.driver_id = $1 AND b.status = 'active'
+        AND bs.status <> 'cancelled' AND o.status NOT IN ('cancelled', 'refunded')
+      ORDER BY bs.sequence ASC, bs.id ASC
+    `, [req.driver.driverId]);
+
+    if (result.rows.length === 0) {
+      return res.json({
+        success: true,
+        data: { batch: null },
+      });
+    }
+
+    const stops = result.rows.map(stop => ({
+      id: stop.id,
+      sequence: stop.sequence,
+      type: stop.stop_type,
+      status: stop.status,
+      orderId: stop.order_id,
+      orderNumber: stop.order_number,
+      orderStatus: stop.order_status,
+      requiresPin: stop.requires_pin,
+      name: stop.stop_type === 'pickup' ? stop.store_name : stop.customer_name,
+      phone: stop.stop_type === 'pickup' ? null : stop.customer_phone,
+      address: stop.address,
+      latitude: stop.latitude === null ? null : parseFloat(stop.latitude),
+      longitude: stop.longitude === null ? null : parseFloat(stop.longitude),
+      completedAt: stop.completed_at,
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        batch: {
+          id: result.rows[0].batch_id,
+          createdAt: result.rows[0].batch_created_at,
+          orderCount: new Set(stops.map(stop => stop.orderId)).size,
+          nextStopId: (stops.find(stop => stop.status === 'pending') || {}).id || null,
+          stops,
+        },
+      },
+    });
+
+  } catch (error) {
+    console.error('Error fetching driver route:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch route',
+    });
+  }
+});
+
+// GET /api/drivers/documents - List the driver's verification documents
+router.get('/documents', authenticateDriver, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT id, document_type, original_name, content_type, uploaded_at
+      FROM driver_documents
+      WHERE driver_id = $1
+      ORDER BY uploaded_at DESC
+    `, [req.driver.driverId]);
+
+    res.json({
+      success: true,
+      data: result.rows,
+    });
+
+  } catch (error) {
+    console.error('Error fetching driver documents:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch documents',
+    });
+  }
+});
+
+// POST /api/drivers/documents - Upload a verification document
+router.post('/documents', authenticateDriver, uploadDocument('document'), requireFile, async (req, res) => {
+  try {
+    const driverId = req.driver.driverId;
+    const { documentType } = req.body;
+
+    if (!DOCUMENT_TYPES.includes(documentType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Document type must be one of: ${DOCUMENT_TYPES.join(', ')}`,
+      });
+    }
+
+    if (!r2Service.isConfigured()) {
+      return res.status(500).json({
+        success: false,
+        message: 'Document storage is not configured',
+      });
+    }
+
+    const upload = await r2Service.uploadDocument(req.file, { prefix: 'driver-documents' });
+
+    const result = await pool.query(`
+      INSERT INTO driver_documents (driver_id, document_type, storage_key, original_name, content_type)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING id, document_type, original_name, content_type, uploaded_at
+    `, [driverId, documentType, upload.key, req.file.originalname, upload.contentType]);
+
+    // New documents after a rejection put the driver back in the review queue
+    await pool.query(`
+      UPDATE drivers
+      SET verification_status = 'pending', rejection_reason = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND verification_status = 'rejected'
+    `, [driverId]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Document uploaded successfully',
+      data: result.rows[0],
+    });
+
+  } catch (error) {
+    console.error('Error uploading driver document:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload document',
+    });
+  }
+});
+
+// GET /api/drivers/earnings - Earnings summary and ledger entries, newest first
+router.get('/earnings', authenticateDriver, async (req, res) => {
+  try {
+    const driverId = req.driver.driverId;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const offset = (page - 1) * limit;
+
+    const [summary, entriesResult, countResult] = await Promise.all([
+      getEarningsSummary(pool, driverId),
+      pool.query(`
+        SELECT e.*, o.order_number
+        FROM driver_earnings e
+        LEFT JOIN orders o ON e.order_id = o.id
+        WHERE e.driver_id = $1
+        ORDER BY e.created_at DESC, e.id DESC
+        LIMIT $2 OFFSET $3
+      `, [driverId, limit, offset]),
+      pool.query('SELECT COUNT(*) AS total FROM driver_earnings WHERE driver_id = $1', [driverId]),
+    ]);
+
+    const total = parseInt(countResult.rows[0].total);
+
+    res.json({
+      success: true,
+      data: {
+        summary,
+        entries: entriesResult.rows.map(formatEarningsEntry),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      },
+    });
+
+  } catch (error) {
+    console.error('Error fetching driver earnings:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch earnings',
+    });
+  }
+});
+
+// GET /api/drivers/payouts - Payout statements, most recent period first
+router.get('/payouts', authenticateDriver, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT p.*, p.period_start::text AS start_date, p.period_end::text AS end_date
+      FROM driver_payouts p
+      WHERE p.driver_id = $1
+      ORDER BY p.period_end DESC, p.id DESC
+    `, [req.driver.driverId]);
+
+    res.json({
+      success: true,
+      data: {
+        payouts: result.rows.map(formatPayout),
+      },
+    });
+
+  } catch (error) {
+    console.error('Error fetching driver payouts:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payouts',
+    });
+  }
+});
+
+// GET /api/drivers/payouts/:id - Statement for one payout period
+router.get('/payouts/:id', authenticateDriver, async (req, res) => {
+  try {
+    const statement = await getStatement(pool, req.params.id, req.driver.driverId);
+
+    if (!statement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Statement not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: statement,
+    });
+
+  } catch (error) {
+    console.error('Error fetching payout statement:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch statement',
+    });
+  }
+});
+
+// Drivers come back to the earnings section of their dashboard after Stripe onboarding
+const driverOnboardingUrls = () => ({
+  refresh_url: `${process.env.CLIENT_URL}/driver?tab=earnings&refresh=true`,
+  return_url: `${process.env.CLIENT_URL}/driver?tab=earnings&success=true`,
+});
+
+// POST /api/drivers/stripe-connect/create-account - Create a Stripe Connect Express account for payouts
+router.post('/stripe-connect/create-account', authenticateDriver, async (req, res) => {
+  try {
+    const driverId = req.driver.driverId;
+
+    const driverResult = await pool.query(
+      'SELECT id, driver_id, full_name, email, phone, stripe_connect_account_id FROM drivers WHERE id = $1',
+      [driverId],
+    );
+    const driver = driverResult.rows[0];
+
+    if (driver.stripe_connect_account_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a payout account',
+      });
+    }
+
+    const account = await stripe.accounts.create({
+      type: 'express',
+      country: 'US',
+      email: driver.email,
+      capabilities: {
+        card_payments: { requested: true },
+        transfers: { requested: true },
+      },
+      business_type: 'individual',
+      individual: {
+        email: driver.email,
+        first_name: driver.full_name?.split(' ')[0] || '',
+        last_name: driver.full_name?.split(' ').slice(1).join(' ') || '',
+        phone: driver.phone || '',
+      },
+      business_profile: {
+        product_description: 'Delivery driver on the Afrozy marketplace',
+        support_email: driver.email,
+      },
+      metadata: {
+        driver_id: driver.id.toString(),
+        driver_code: driver.driver_id,
+      },
+    });
+
+    const accountLink = await stripe.accountLinks.create({
+      account: account.id,
+      ...driverOnboardingUrls(),
+      type: 'account_onboarding',
+    });
+
+    await pool.query(`
+      UPDATE drivers
+      SET stripe_connect_account_id = $1,
+          stripe_account_status = 'pending',
+          stripe_onboarding_url = $2,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $3
+    `, [account.id, accountLink.url, driverId]);
+
+    res.json({
+      success: true,
+      message: 'Payout account created successfully',
+      data: {
+        accountId: account.id,
+        onboardingUrl: accountLink.url,
+      },
+    });
+
+  } catch (error) {
+    console.error('Error creating driver Stripe Connect account:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create payout account',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+// GET /api/drivers/stripe-connect/account-status - Payout account status, refreshed from Stripe
+router.get('/stripe-connect/account-status', authenticateDriver, async (req, res) => {
+  try {
+    const driverId = req.driver.driverId;
+
+    const driverResult = await pool.query(
+      'SELECT stripe_connect_account_id FROM drivers WHERE id = $1',
+      [driverId],
+    );
+    const accountId = driverResult.rows[0]?.stripe_connect_account_id;
+
+    if (!accountId) {
+      return res.json({
+        success: true,
+        data: {
+          connected: false,
+          status: 'not_connected',
+          message: 'No payout account found',
+        },
+      });
+    }
+
+    const account = await stripe.accounts.retrieve(accountId);
+
+    let accountStatus = 'pending';
+    if (account.charges_enabled && account.payouts_enabled) {
+      accountStatus = 'connected';
+    } else if (account.requirements && account.requirements.disabled_reason) {
+      accountStatus = 'restricted';
+    }
+
+    await pool.query(`
+      UPDATE drivers
+      SET stripe_details_submitted = $1,
+          stripe_payouts_enabled = $2,
+          stripe_account_status = $3,
+          stripe_connected_at = CASE
+            WHEN $3 = 'connected' AND stripe_connected_at IS NULL
+            THEN CURRENT_TIMESTAMP
+            ELSE stripe_connected_at
+          END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4
+    `, [account.details_submitted, account.payouts_enabled, accountStatus, driverId]);
+
+    res.json({
+      success: true,
+      data: {
+        connected: true,
+        accountId: account.id,
+        status: accountStatus,
+        detailsSubmitted: account.details_submitted,
+        payoutsEnabled: account.payouts_enabled,
+        requirements: account.requirements,
+      },
+    });
+
+  } catch (error) {
+    console.error('Error retrieving driver Stripe Connect account status:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve payout account status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+// POST /api/drivers/stripe-connect/create-onboarding-link - Resume Stripe onboarding
+router.post('/stripe-connect/create-onboarding-link', authenticateDriver, async (req, res) => {
+  try {
+    const driverId = req.driver.driverId;
+
+    const driverResult = await pool.query(
+      'SELECT stripe_connect_account_id FROM drivers WHERE id = $1',
+      [driverId],
+    );
+    const accountId = driverResult.rows[0]?.stripe_connect_account_id;
+
+    if (!accountId) {
+      return res.status(400).json({
+        success: false,
+        message: 'No payout account found',
+      });
+    }
+
+    const accountLink = await stripe.accountLinks.create({
+      account: accountId,
+      ...driverOnboardingUrls(),
+      type: 'account_onboarding',
+    });
+
+    await pool.query(`
+      UPDATE drivers
+      SET stripe_onboarding_url = $1,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+    `, [accountLink.url, driverId]);
+
+    res.json({
+      success: true,
+      message: 'New onboarding link created',
+      data: {
+        onboardingUrl: accountLink.url,
+      },
+    });
+
+  } catch (error) {
+    console.error('Error creating driver onboarding link:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create onboarding link',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+// POST /api/drivers/stripe-connect/create-login-link - Open the Stripe Express dashboard
+router.post('/stripe-connect/create-login-link', authenticateDriver, async (req, res) => {
+  try {
+    const driverResult = await pool.query(
+      'SELECT stripe_connect_account_id, stripe_account_status FROM drivers WHERE id = $1',
+      [req.driver.driverId],
+    );
+    const driver = driverResult.rows[0];
+
+    if (!driver?.stripe_connect_account_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'No payout account found',
+      });
+    }
+
+    if (driver.stripe_account_status !== 'connected') {
+      return res.status(400).json({
+        success: false,
+        message: 'Account must be fully onboarded to access dashboard',
+      });
+    }
+
+    const loginLink = await stripe.accounts.createLoginLink(driver.stripe_connect_account_id);
+
+    res.json({
+      success: true,
+      message: 'Dashboard login link created',
+      data: {
+        loginUrl: loginLink.url,
+      },
+    });
+
+  } catch (error) {
+    console.error('Error creating driver dashboard login link:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create dashboard login link',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
 // Export the authenticateDriver middleware for use in other routes
 router.authenticateDriver = authenticateDriver;
 
@@ -251,6 +251,14 @@ router.get('/proxy/:folder/:filename', async (req, res) => {
       });
     }
 
+    // Driver verification documents and delivery proofs are private and only served through the admin routes
+    if (folder === 'driver-documents' || folder === 'delivery-proofs') {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found',
+      });
+    }
+
     // Log the request for debugging
     logger.info(`Image proxy request: ${key}`);
 
@@ -338,25 +346,27 @@ router.post('/store-logo',
     try {
       const file = req.file;
       const storeId = req.body.storeId;
+      // The same endpoint handles store banners (kind=banner in the form data)
+      const isBanner = req.body.kind === 'banner';
 
-      // Specific options for store logos (square format)
-      const options = {
-        width: 300,
-        height: 300,
-        quality: 95
-      };
+      // Specific options for store logos (square format) and banners (wide format)
+      const options = isBanner
+        ? { width: 1200, height: 400, quality: 90 }
+        : { width: 300, height: 300, quality: 95 };
+      const folder = isBanner ? 'banner' : 'logo';
 
       const imageUrls = await r2Service.uploadImage(file, {
         ...options,
-        prefix: storeId ? `stores/${storeId}/logo` : 'stores/logos'
+        prefix: storeId ? `stores/${storeId}/${folder}` : `stores/${folder}s`,
       });
 
-      logger.info(`Store logo uploaded by user ${req.user.userId}: ${file.originalname}`);
+      logger.info(`Store ${folder} uploaded by user ${req.user.userId}: ${file.originalname}`);
 
       res.json({
         success: true,
-        message: 'Store logo uploaded successfully',
+        message: `Store ${folder} uploaded successfully`,
         data: {
+          imageUrl: imageUrls.url,
           logoUrl: imageUrls.url,
           thumbnailUrl: imageUrls.url, 
           allUrls: imageUrls,
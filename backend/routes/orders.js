@@ -3,6 +3,15 @@ const { pool } = require('../config/database');
 const { authenticateSession, authenticateAdmin } = require('./auth');
 const { createNotification } = require('./notifications');
 const emailService = require('../utils/emailService');
+const { dispatchOrder } = require('../utils/dispatch');
+const { getOrderTracking, subscribeToOrder, publishOrderTracking } = require('../utils/orderTracking');
+const { MAX_FEEDBACK_LENGTH, rateDelivery, formatDeliveryRating } = require('../utils/driverRatings');
+const { formatTaxLine } = require('../utils/tax');
+const { PLATFORM_CURRENCY } = require('../utils/exchangeRates');
+const { isSessionActive } = require('../utils/sessionUtils');
+
+// Comment line sent on open tracking streams so proxies don't close them as idle
+const TRACKING_HEARTBEAT_MS = 25 * 1000;
 
 const router = express.Router();
 
@@ -263,6 +272,8 @@ router.put('/admin/:id/status', authenticateAdmin, async (req, res) => {
       }
     }
 
+    publishOrderTracking(order.id);
+
     res.json({
       success: true,
       message: 'Order status updated successfully',
@@ -282,56 +293,6 @@ router.put('/admin/:id/status', authenticateAdmin, async (req, res) => {
   }
 });
 
-// Driver assignment logic
-async function assignOrderToDriver(client, orderId) {
-  try {
-    // Find an available online driver
-    const availableDriverQuery = `
-      SELECT id FROM drivers 
-      WHERE status = 'online' AND is_verified = true
-      ORDER BY (total_deliveries / COALESCE(NULLIF(rating, 0), 1)) ASC, total_deliveries ASC
-      LIMIT 1
-    `;
-    
-    const driverResult = await client.query(availableDriverQuery);
-    
-    if (driverResult.rows.length > 0) {
-      const driverId = driverResult.rows[0].id;
-      
-      // Assign driver to order and update status
-      await client.query(
-        `UPDATE orders 
-         SET driver_id = $1, status = 'assigned', assigned_at = CURRENT_TIMESTAMP,
-             estimated_delivery = CURRENT_TIMESTAMP + INTERVAL '2 hours'
-         WHERE id = $2`,
-        [driverId, orderId]
-      );
-      
-      // Update driver status to busy
-      await client.query(
-        'UPDATE drivers SET status = $1 WHERE id = $2',
-        ['busy', driverId]
-      );
-      
-      // Create delivery tracking entry
-      await client.query(
-        `INSERT INTO delivery_tracking (order_id, driver_id, status, timestamp)
-         VALUES ($1, $2, 'assigned', CURRENT_TIMESTAMP)`,
-        [orderId, driverId]
-      );
-      
-      console.log(`Order ${orderId} assigned to driver ${driverId}`);
-      return driverId;
-    } else {
-      console.log(`No available drivers for order ${orderId}`);
-      return null;
-    }
-  } catch (error) {
-    console.error('Error assigning order to driver:', error);
-    return null;
-  }
-}
-
 // GET user orders
 router.get('/', authenticateSession(), async (req, res) => {
   try {
@@ -417,7 +378,8 @@ router.get('/:id', authenticateSession(), async (req, res) => {
     // Get order details
     const orderQuery = `
       SELECT id, order_number, status, total, shipping_address, payment_method, 
-             created_at, estimated_delivery, tracking_number
+             created_at, estimated_delivery, tracking_number, driver_id, delivery_fee,
+             subtotal, discount_amount, tax_amount, currency, fx_rate, charged_amount
       FROM orders 
       WHERE id = $1 AND user_id = $2
     `;
@@ -435,7 +397,7 @@ router.get('/:id', authenticateSession(), async (req, res) => {
 
     // Get order items
     const itemsQuery = `
-      SELECT oi.id, oi.quantity, oi.price, p.name, p.image_url
+      SELECT oi.id, oi.quantity, oi.price, oi.sku, oi.variant_options, p.name, p.image_url
       FROM order_items oi
       JOIN products p ON oi.product_id = p.id
       WHERE oi.order_id = $1
@@ -443,6 +405,17 @@ router.get('/:id', authenticateSession(), async (req, res) => {
 
     const itemsResult = await pool.query(itemsQuery, [orderId]);
 
+    const ratingResult = await pool.query(
+      'SELECT id, order_id, rating, feedback, created_at FROM delivery_ratings WHERE order_id = $1',
+      [orderId],
+    );
+    const deliveryRating = ratingResult.rows.length > 0 ? formatDeliveryRating(ratingResult.rows[0]) : null;
+
+    const taxLinesResult = await pool.query(
+      'SELECT * FROM order_tax_lines WHERE order_id = $1 ORDER BY id',
+      [orderId],
+    );
+
     res.json({
       success: true,
       data: {
@@ -450,17 +423,29 @@ router.get('/:id', authenticateSession(), async (req, res) => {
         orderNumber: order.order_number,
         status: order.status,
         total: parseFloat(order.total),
+        subtotal: order.subtotal !== null ? parseFloat(order.subtotal) : null,
+        discountAmount: parseFloat(order.discount_amount || 0),
+        deliveryFee: parseFloat(order.delivery_fee || 0),
+        taxAmount: parseFloat(order.tax_amount || 0),
+        taxLines: taxLinesResult.rows.map(formatTaxLine),
+        currency: order.currency || PLATFORM_CURRENCY,
+        fxRate: parseFloat(order.fx_rate || 1),
+        chargedAmount: order.charged_amount !== null && order.charged_amount !== undefined ? parseFloat(order.charged_amount) : null,
         shippingAddress: order.shipping_address,
         paymentMethod: order.payment_method,
         orderDate: order.created_at,
         estimatedDelivery: order.estimated_delivery,
         trackingNumber: order.tracking_number,
+        deliveryRating,
+        canRateDelivery: !deliveryRating && order.status === 'delivered' && !!order.driver_id,
         items: itemsResult.rows.map(item => ({
           id: item.id,
           productName: item.name,
           quantity: item.quantity,
           price: parseFloat(item.price),
-          imageUrl: item.image_url
+          imageUrl: item.image_url,
+          sku: item.sku,
+          variantOptions: item.variant_options,
         }))
       }
     });
@@ -474,6 +459,99 @@ router.get('/:id', authenticateSession(), async (req, res) => {
   }
 });
 
+// GET order delivery tracking: status timeline, driver and live position
+router.get('/:id/tracking', authenticateSession(), async (req, res) => {
+  try {
+    const tracking = await getOrderTracking(req.params.id, req.user.userId);
+
+    if (!tracking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: tracking,
+    });
+
+  } catch (error) {
+    console.error('Error fetching order tracking:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch order tracking',
+    });
+  }
+});
+
+// GET order delivery tracking as a Server-Sent Events stream
+router.get('/:id/tracking/stream', authenticateSession(), async (req, res) => {
+  try {
+    const tracking = await getOrderTracking(req.params.id, req.user.userId);
+
+    if (!tracking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    // compression() buffers writes until flushed
+    const write = (chunk) => {
+      res.write(chunk);
+      if (res.flush) {
+        res.flush();
+      }
+    };
+    // Published snapshots are shared by everyone watching the order, so the
+    // customer's PIN from their own snapshot is added per connection
+    const send = (snapshot) => write(`event: tracking\ndata: ${JSON.stringify({ ...snapshot, deliveryPin: tracking.deliveryPin })}\n\n`);
+
+    send(tracking);
+    const unsubscribe = subscribeToOrder(tracking.orderId, send);
+
+    // The stream outlives the request that authenticated it, so the session is checked again on
+    // every heartbeat; logging out or being suspended ends the stream
+    const heartbeat = setInterval(async () => {
+      const sessionActive = await isSessionActive(req.sessionID);
+      if (res.writableEnded || res.destroyed) {
+        return;
+      }
+      if (!sessionActive) {
+        closeStream();
+        return res.end();
+      }
+      write(': keep-alive\n\n');
+    }, TRACKING_HEARTBEAT_MS);
+
+    const closeStream = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    };
+
+    req.on('close', closeStream);
+
+  } catch (error) {
+    console.error('Error opening order tracking stream:', error.message);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to open order tracking',
+    });
+  }
+});
+
 // Middleware to authenticate users (optional for guest checkout)
 function authenticateUser(req, res, next) {
   // Check for session-based authentication
@@ -571,16 +649,21 @@ router.post('/', authenticateUser, async (req, res) => {
         );
       }
 
-      // Auto-assign to available driver if user is authenticated
+      // Clear user's cart if authenticated
       if (req.user) {
-        await assignOrderToDriver(client, order.id);
-        
-        // Clear user's cart if authenticated
         await client.query('DELETE FROM cart_items WHERE user_id = $1', [req.user.userId]);
       }
 
       await client.query('COMMIT');
 
+      // Offer the order to the nearest available driver if user is authenticated.
+      // Runs after the commit and without holding up the response; a failure leaves the order for the offer sweeper
+      if (req.user) {
+        dispatchOrder(order.id).catch(error => {
+          console.error(`Error dispatching order ${order.id}:`, error.message);
+        });
+      }
+
       // Create notification only for authenticated users
       if (req.user) {
         await client.query(
@@ -624,6 +707,73 @@ router.post('/', authenticateUser, async (req, res) => {
   }
 });
 
+// POST rate the delivery of a delivered order
+router.post('/:id/rating', authenticateSession('customer'), async (req, res) => {
+  const rating = Number(req.body.rating);
+  const feedback = typeof req.body.feedback === 'string' ? req.body.feedback.trim() : '';
+
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    return res.status(400).json({
+      success: false,
+      message: 'Rating must be a whole number from 1 to 5',
+    });
+  }
+
+  if (feedback.length > MAX_FEEDBACK_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Feedback must be ${MAX_FEEDBACK_LENGTH} characters or fewer`,
+    });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    const result = await rateDelivery(client, {
+      orderId: req.params.id,
+      customerId: req.user.userId,
+      rating,
+      feedback,
+    });
+
+    if (result.status === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    if (result.status === 'not_delivered') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only delivered orders can be rated',
+      });
+    }
+
+    if (result.status === 'already_rated') {
+      return res.status(409).json({
+        success: false,
+        message: 'This delivery has already been rated',
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: formatDeliveryRating(result.rating),
+      message: 'Thanks for rating your delivery',
+    });
+
+  } catch (error) {
+    console.error('Error rating delivery:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rate delivery',
+    });
+  } finally {
+    client.release();
+  }
+});
+
 // PUT cancel order
 router.put('/:id/cancel', authenticateSession(), async (req, res) => {
   try {
@@ -660,6 +810,8 @@ router.put('/:id/cancel', authenticateSession(), async (req, res) => {
       ]
     );
 
+    publishOrderTracking(order.id);
+
     res.json({
       success: true,
       message: 'Order cancelled successfully'
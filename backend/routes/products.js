@@ -1,29 +1,157 @@
 const express = require('express');
 const { pool } = require('../config/database');
+const { getVariantsByProduct } = require('../utils/productVariants');
+const { availableProductStockSql } = require('../utils/stockReservations');
+const { PLATFORM_CURRENCY, getRates, normalizeCurrency } = require('../utils/exchangeRates');
+const { authenticateSession } = require('./auth');
 const router = express.Router();
 
+// Full-text document for a product; keep in sync with idx_products_search
+const SEARCH_DOCUMENT = 'to_tsvector(\'english\', COALESCE(p.name, \'\') || \' \' || COALESCE(p.description, \'\'))';
+
+// Allowed sort options for the product listing
+const SORT_OPTIONS = {
+  rating: 'p.average_rating DESC, p.review_count DESC, p.id ASC',
+  newest: 'p.created_at DESC, p.id DESC',
+  oldest: 'p.created_at ASC, p.id ASC',
+  price_asc: 'platform_price ASC, p.id ASC',
+  price_desc: 'platform_price DESC, p.id DESC',
+  name_asc: 'p.name ASC, p.id ASC',
+  name_desc: 'p.name DESC, p.id DESC',
+};
+
+const DEFAULT_LIMIT = 24;
+const MAX_LIMIT = 100;
+
+// Product price converted to the platform currency, so stores priced in different currencies
+// filter and sort together. Rates are inlined rather than bound: their keys are SUPPORTED_CURRENCIES
+// codes and their values numbers from getRates.
+function platformPriceSql(rates) {
+  const cases = Object.entries(rates)
+    .map(([currency, rate]) => `WHEN '${currency}' THEN ${Number(rate)}`)
+    .join(' ');
+  return `(p.price / CASE COALESCE(s.base_currency, '${PLATFORM_CURRENCY}') ${cases} ELSE 1 END)`;
+}
+
+// Build WHERE conditions and parameters from the listing query string.
+// minPrice and maxPrice are in ?currency= (the shopper's display currency), defaulting to the platform currency.
+function buildProductFilters(query, rates) {
+  const conditions = [];
+  const params = [];
+
+  const search = (query.q || query.search || '').trim();
+  if (search) {
+    params.push(search);
+    conditions.push(`${SEARCH_DOCUMENT} @@ plainto_tsquery('english', $${params.length})`);
+  }
+
+  if (query.category && query.category !== 'all') {
+    // ?category=a,b and ?category=a&category=b both select several categories
+    const categories = [].concat(query.category).join(',').split(',').map(c => c.trim()).filter(Boolean);
+    params.push(categories);
+    conditions.push(`p.category = ANY($${params.length})`);
+  }
+
+  if (query.storeId) {
+    const storeId = parseInt(query.storeId);
+    if (!isNaN(storeId)) {
+      params.push(storeId);
+      conditions.push(`p.store_id = $${params.length}`);
+    }
+  }
+
+  const platformPrice = platformPriceSql(rates);
+  const filterCurrency = normalizeCurrency(query.currency) || PLATFORM_CURRENCY;
+  const filterRate = rates[filterCurrency] || 1;
+
+  const minPrice = parseFloat(query.minPrice);
+  if (!isNaN(minPrice)) {
+    params.push(minPrice / filterRate);
+    conditions.push(`${platformPrice} >= $${params.length}`);
+  }
+
+  const maxPrice = parseFloat(query.maxPrice);
+  if (!isNaN(maxPrice)) {
+    params.push(maxPrice / filterRate);
+    conditions.push(`${platformPrice} <= $${params.length}`);
+  }
+
+  if (query.inStock === 'true') {
+    conditions.push(`${availableProductStockSql('p')} > 0`);
+  }
+
+  return { conditions, params, search, platformPrice };
+}
+
+// Price filters and sorts compare across store currencies; other listings don't need rates
+function needsExchangeRates(query) {
+  return ['minPrice', 'maxPrice'].some(key => !isNaN(parseFloat(query[key]))) ||
+    ['price_asc', 'price_desc'].includes(query.sort);
+}
+
 // GET all products with store information
+// Supports ?q=, category, storeId, minPrice, maxPrice, currency, inStock, sort, page and limit
 router.get('/', async (req, res) => {
   try {
-    console.log('Attempting to fetch products...');
+    const rates = needsExchangeRates(req.query) ? (await getRates()).rates : { [PLATFORM_CURRENCY]: 1 };
+    const { conditions, params, search, platformPrice } = buildProductFilters(req.query, rates);
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const offset = (page - 1) * limit;
+
+    // Relevance only makes sense with a search term, otherwise fall back to newest
+    let sort = req.query.sort || (search ? 'relevance' : 'newest');
+    let orderBy;
+    if (sort === 'relevance' && search) {
+      orderBy = `ts_rank(${SEARCH_DOCUMENT}, plainto_tsquery('english', $1)) DESC, p.created_at DESC`;
+    } else {
+      sort = SORT_OPTIONS[sort] ? sort : 'newest';
+      orderBy = SORT_OPTIONS[sort];
+    }
+
+    const countResult = await pool.query(`
+      SELECT COUNT(*) as total
+      FROM products p
+      LEFT JOIN stores s ON p.store_id = s.id
+      ${whereClause}
+    `, params);
+    const total = parseInt(countResult.rows[0].total);
+    const pages = Math.ceil(total / limit);
+
     const result = await pool.query(`
       SELECT
         p.*,
+        ${availableProductStockSql('p')} AS available_quantity,
         s.store_name,
         s.store_description,
-        s.store_address
+        s.store_address,
+        COALESCE(s.base_currency, '${PLATFORM_CURRENCY}') AS currency,
+        ${platformPrice} AS platform_price,
+        (SELECT COUNT(*)::int FROM product_variants v WHERE v.product_id = p.id AND v.is_active = true) AS variant_count
       FROM products p
       LEFT JOIN stores s ON p.store_id = s.id
-      ORDER BY p.created_at DESC
-    `);
-    console.log(`Found ${result.rows.length} products`);
+      ${whereClause}
+      ORDER BY ${orderBy}
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
     res.json({
       success: true,
-      data: result.rows
+      data: result.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages,
+        hasNextPage: page < pages,
+        hasPreviousPage: page > 1,
+      },
+      sort,
     });
   } catch (error) {
     console.error('Error fetching products:', error.message);
-    console.error('Full error:', error);
     res.status(500).json({
       success: false,
       message: 'Failed to fetch products',
@@ -32,6 +160,23 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Record a shopper's product page view for store analytics (store owners and admins aren't counted).
+// Fire-and-forget: a failed insert never fails the page.
+function recordProductView(req, productId) {
+  const userType = req.session && req.session.userType;
+  if (userType && userType !== 'customer') {
+    return;
+  }
+
+  const customerId = userType === 'customer' ? req.session.userId : null;
+  const viewerKey = customerId ? `customer:${customerId}` : `session:${req.sessionID}`;
+
+  pool.query(
+    'INSERT INTO product_views (product_id, customer_id, viewer_key) VALUES ($1, $2, $3)',
+    [productId, customerId, viewerKey],
+  ).catch(error => console.error('Error recording product view:', error.message));
+}
+
 // GET product by ID with store information
 router.get('/:id', async (req, res) => {
   try {
@@ -39,9 +184,11 @@ router.get('/:id', async (req, res) => {
     const result = await pool.query(`
       SELECT
         p.*,
+        ${availableProductStockSql('p')} AS available_quantity,
         s.store_name,
         s.store_description,
-        s.store_address
+        s.store_address,
+        COALESCE(s.base_currency, '${PLATFORM_CURRENCY}') AS currency
       FROM products p
       LEFT JOIN stores s ON p.store_id = s.id
       WHERE p.id = $1
@@ -54,9 +201,16 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    recordProductView(req, result.rows[0].id);
+
+    const variantsByProduct = await getVariantsByProduct([result.rows[0].id], { activeOnly: true });
+
     res.json({
       success: true,
-      data: result.rows[0]
+      data: {
+        ...result.rows[0],
+        variants: variantsByProduct[result.rows[0].id] || [],
+      },
     });
   } catch (error) {
     console.error('Error fetching product:', error.message);
@@ -74,9 +228,11 @@ router.get('/category/:category', async (req, res) => {
     const result = await pool.query(`
       SELECT
         p.*,
+        ${availableProductStockSql('p')} AS available_quantity,
         s.store_name,
         s.store_description,
-        s.store_address
+        s.store_address,
+        COALESCE(s.base_currency, '${PLATFORM_CURRENCY}') AS currency
       FROM products p
       LEFT JOIN stores s ON p.store_id = s.id
       WHERE p.category = $1
@@ -96,4 +252,202 @@ router.get('/category/:category', async (req, res) => {
   }
 });
 
+// Allowed sort options for a product's reviews
+const REVIEW_SORT_OPTIONS = {
+  newest: 'r.created_at DESC',
+  highest: 'r.rating DESC, r.created_at DESC',
+  lowest: 'r.rating ASC, r.created_at DESC',
+};
+
+// Most recent delivered order in which the customer bought the product, if any
+async function findDeliveredPurchase(customerId, productId) {
+  const result = await pool.query(`
+    SELECT o.id
+    FROM orders o
+    JOIN order_items oi ON oi.order_id = o.id
+    WHERE o.user_id = $1 AND oi.product_id = $2 AND o.status = 'delivered'
+    ORDER BY o.updated_at DESC
+    LIMIT 1
+  `, [customerId, productId]);
+
+  return result.rows[0] || null;
+}
+
+// GET /api/products/:id/reviews - Approved reviews with rating summary
+router.get('/:id/reviews', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const offset = (page - 1) * limit;
+    const orderBy = REVIEW_SORT_OPTIONS[req.query.sort] || REVIEW_SORT_OPTIONS.newest;
+
+    const summaryResult = await pool.query(`
+      SELECT p.average_rating, p.review_count,
+             COUNT(*) FILTER (WHERE r.rating = 5) as five,
+             COUNT(*) FILTER (WHERE r.rating = 4) as four,
+             COUNT(*) FILTER (WHERE r.rating = 3) as three,
+             COUNT(*) FILTER (WHERE r.rating = 2) as two,
+             COUNT(*) FILTER (WHERE r.rating = 1) as one
+      FROM products p
+      LEFT JOIN product_reviews r ON r.product_id = p.id AND r.status = 'approved'
+      WHERE p.id = $1
+      GROUP BY p.id
+    `, [id]);
+
+    if (summaryResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found',
+      });
+    }
+
+    const summary = summaryResult.rows[0];
+
+    const result = await pool.query(`
+      SELECT r.id, r.rating, r.title, r.body, r.store_reply, r.store_replied_at, r.created_at,
+             c.full_name as reviewer_name
+      FROM product_reviews r
+      JOIN customers c ON r.customer_id = c.id
+      WHERE r.product_id = $1 AND r.status = 'approved'
+      ORDER BY ${orderBy}
+      LIMIT $2 OFFSET $3
+    `, [id, limit, offset]);
+
+    const total = parseInt(summary.review_count) || 0;
+
+    res.json({
+      success: true,
+      data: {
+        reviews: result.rows,
+        summary: {
+          averageRating: parseFloat(summary.average_rating) || 0,
+          reviewCount: total,
+          distribution: {
+            5: parseInt(summary.five),
+            4: parseInt(summary.four),
+            3: parseInt(summary.three),
+            2: parseInt(summary.two),
+            1: parseInt(summary.one),
+          },
+        },
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching product reviews:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reviews',
+    });
+  }
+});
+
+// GET /api/products/:id/reviews/eligibility - Whether the logged-in customer can review this product
+router.get('/:id/reviews/eligibility', authenticateSession('customer'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await pool.query(
+      'SELECT id, rating, title, body, status, created_at FROM product_reviews WHERE product_id = $1 AND customer_id = $2',
+      [id, req.user.userId],
+    );
+
+    if (existing.rows.length > 0) {
+      return res.json({
+        success: true,
+        data: { canReview: false, reason: 'already_reviewed', review: existing.rows[0] },
+      });
+    }
+
+    const purchase = await findDeliveredPurchase(req.user.userId, id);
+
+    res.json({
+      success: true,
+      data: {
+        canReview: !!purchase,
+        reason: purchase ? null : 'not_delivered',
+        review: null,
+      },
+    });
+  } catch (error) {
+    console.error('Error checking review eligibility:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check review eligibility',
+    });
+  }
+});
+
+// POST /api/products/:id/reviews - Submit a review (requires a delivered order containing the product)
+router.post('/:id/reviews', authenticateSession('customer'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const rating = parseInt(req.body.rating);
+    const title = typeof req.body.title === 'string' ? req.body.title.trim() : '';
+    const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rating must be a whole number from 1 to 5',
+      });
+    }
+
+    if (body.length < 10 || body.length > 2000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Review text must be between 10 and 2000 characters',
+      });
+    }
+
+    if (title.length > 150) {
+      return res.status(400).json({
+        success: false,
+        message: 'Review title must be 150 characters or fewer',
+      });
+    }
+
+    const purchase = await findDeliveredPurchase(req.user.userId, id);
+
+    if (!purchase) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only review products from your delivered orders',
+      });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO product_reviews (product_id, customer_id, order_id, rating, title, body)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (product_id, customer_id) DO NOTHING
+      RETURNING *
+    `, [id, req.user.userId, purchase.id, rating, title || null, body]);
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reviewed this product',
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: result.rows[0],
+      message: 'Thanks! Your review will appear once it has been approved.',
+    });
+  } catch (error) {
+    console.error('Error submitting review:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit review',
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,232 @@
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../config/database');
+const { authenticateStoreOwner } = require('../middleware/storeOwnerAuth');
+const { authenticateAdmin } = require('./auth');
+const { validatePromotionInput } = require('../utils/promotions');
+
+const PROMOTION_COLUMNS = [
+  'code', 'description', 'discount_type', 'discount_value', 'max_discount', 'min_spend',
+  'usage_limit', 'per_customer_limit', 'starts_at', 'expires_at', 'is_active',
+];
+
+// List promotions with redemption totals; storeId null = platform promotions
+async function listPromotions(storeId) {
+  const result = await pool.query(`
+    SELECT p.*, s.store_name,
+           COALESCE(r.total_discount, 0) as total_discount
+    FROM promotions p
+    LEFT JOIN stores s ON p.store_id = s.id
+    LEFT JOIN (
+      SELECT promotion_id, SUM(discount_amount) as total_discount
+      FROM promotion_redemptions
+      WHERE redeemed_at IS NOT NULL
+      GROUP BY promotion_id
+    ) r ON r.promotion_id = p.id
+    WHERE ${storeId ? 'p.store_id = $1' : 'p.store_id IS NULL'}
+    ORDER BY p.created_at DESC
+  `, storeId ? [storeId] : []);
+
+  return result.rows;
+}
+
+async function createPromotion(req, res, storeId) {
+  const { errors, promotion } = validatePromotionInput(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: errors.join(', '),
+    });
+  }
+
+  try {
+    const values = PROMOTION_COLUMNS.map(column => promotion[column]);
+    const result = await pool.query(`
+      INSERT INTO promotions (${PROMOTION_COLUMNS.join(', ')}, store_id, created_by_type, created_by_id)
+      VALUES (${PROMOTION_COLUMNS.map((_, index) => `$${index + 1}`).join(', ')}, $12, $13, $14)
+      RETURNING *
+    `, [...values, storeId, req.user.userType === 'admin' ? 'admin' : 'store_owner', req.user.userId]);
+
+    res.status(201).json({
+      success: true,
+      data: result.rows[0],
+      message: 'Promotion created successfully',
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'A promotion with this code already exists',
+      });
+    }
+    console.error('Error creating promotion:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create promotion',
+    });
+  }
+}
+
+async function updatePromotion(req, res, storeId) {
+  const { errors, promotion } = validatePromotionInput(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: errors.join(', '),
+    });
+  }
+
+  try {
+    const values = PROMOTION_COLUMNS.map(column => promotion[column]);
+    const result = await pool.query(`
+      UPDATE promotions
+      SET ${PROMOTION_COLUMNS.map((column, index) => `${column} = $${index + 1}`).join(', ')},
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $12 AND store_id IS NOT DISTINCT FROM $13
+      RETURNING *
+    `, [...values, req.params.id, storeId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.rows[0],
+      message: 'Promotion updated successfully',
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'A promotion with this code already exists',
+      });
+    }
+    console.error('Error updating promotion:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update promotion',
+    });
+  }
+}
+
+// Promotions that have been used are deactivated rather than deleted so order history keeps its code
+async function deletePromotion(req, res, storeId) {
+  try {
+    const usage = await pool.query(`
+      SELECT p.id, COUNT(r.id) as redemption_count
+      FROM promotions p
+      LEFT JOIN promotion_redemptions r ON r.promotion_id = p.id
+      WHERE p.id = $1 AND p.store_id IS NOT DISTINCT FROM $2
+      GROUP BY p.id
+    `, [req.params.id, storeId]);
+
+    if (usage.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found',
+      });
+    }
+
+    if (parseInt(usage.rows[0].redemption_count) > 0) {
+      await pool.query(
+        'UPDATE promotions SET is_active = false, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [req.params.id],
+      );
+      return res.json({
+        success: true,
+        message: 'Promotion has been used, so it was deactivated instead of deleted',
+      });
+    }
+
+    await pool.query('DELETE FROM promotions WHERE id = $1', [req.params.id]);
+
+    res.json({
+      success: true,
+      message: 'Promotion deleted successfully',
+    });
+  } catch (error) {
+    console.error('Error deleting promotion:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete promotion',
+    });
+  }
+}
+
+/**
+ * GET - Platform-wide promotions (admin only)
+ */
+router.get('/admin', authenticateAdmin, async (req, res) => {
+  try {
+    const promotions = await listPromotions(null);
+
+    res.json({
+      success: true,
+      data: promotions,
+    });
+  } catch (error) {
+    console.error('Error fetching promotions:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch promotions',
+    });
+  }
+});
+
+/**
+ * POST - Create a platform-funded promotion (admin only)
+ */
+router.post('/admin', authenticateAdmin, (req, res) => createPromotion(req, res, null));
+
+/**
+ * PUT - Update a platform promotion (admin only)
+ */
+router.put('/admin/:id', authenticateAdmin, (req, res) => updatePromotion(req, res, null));
+
+/**
+ * DELETE - Delete or deactivate a platform promotion (admin only)
+ */
+router.delete('/admin/:id', authenticateAdmin, (req, res) => deletePromotion(req, res, null));
+
+/**
+ * GET - The store owner's own promotions
+ */
+router.get('/store', authenticateStoreOwner, async (req, res) => {
+  try {
+    const promotions = await listPromotions(req.user.storeId);
+
+    res.json({
+      success: true,
+      data: promotions,
+    });
+  } catch (error) {
+    console.error('Error fetching store promotions:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch promotions',
+    });
+  }
+});
+
+/**
+ * POST - Create a store-funded promotion that only applies to this store's products
+ */
+router.post('/store', authenticateStoreOwner, (req, res) => createPromotion(req, res, req.user.storeId));
+
+/**
+ * PUT - Update one of the store owner's promotions
+ */
+router.put('/store/:id', authenticateStoreOwner, (req, res) => updatePromotion(req, res, req.user.storeId));
+
+/**
+ * DELETE - Delete or deactivate one of the store owner's promotions
+ */
+router.delete('/store/:id', authenticateStoreOwner, (req, res) => deletePromotion(req, res, req.user.storeId));
+
+module.exports = router;
@@ -2,55 +2,11 @@ const express = require('express');
 const router = express.Router();
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const { pool } = require('../config/database');
+const { authenticateStoreOwner } = require('../middleware/storeOwnerAuth');
 const { authenticateSession, authenticateAdmin } = require('./auth');
 const { createNotification } = require('./notifications');
 const emailService = require('../utils/emailService');
-
-// Session-based authentication middleware for store owners
-function authenticateStoreOwner(req, res, next) {
-  // Check session authentication
-  if (!req.session || !req.session.userId || !req.session.userType) {
-    return res.status(401).json({
-      success: false,
-      message: 'Store owner authentication required. Please log in.'
-    });
-  }
-
-  // Verify user is a store owner
-  if (req.session.userType !== 'store_owner') {
-    return res.status(403).json({
-      success: false,
-      message: 'Store owner access required'
-    });
-  }
-
-  // Set up user object from session
-  req.user = {
-    userId: req.session.userId,
-    userType: req.session.userType,
-    email: req.session.email
-  };
-
-  // Get store ID for this store owner
-  pool.query('SELECT id FROM stores WHERE owner_id = $1', [req.user.userId])
-    .then(result => {
-      if (result.rows.length === 0) {
-        return res.status(403).json({
-          success: false,
-          message: 'No store found for this user'
-        });
-      }
-      req.user.storeId = result.rows[0].id;
-      next();
-    })
-    .catch(error => {
-      console.error('Error verifying store owner:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Authentication error'
-      });
-    });
-}
+const { toChargedMinorUnits } = require('../utils/exchangeRates');
 
 /**
  * POST - Request a refund (Customer or Admin)
@@ -303,7 +259,7 @@ router.post('/store-owner/:id/process', authenticateStoreOwner, async (req, res)
 
     // Get refund details and verify it belongs to this store owner
     const refundQuery = `
-      SELECT r.*, o.payment_intent_id, o.total_amount, c.email, c.full_name
+      SELECT r.*, o.payment_intent_id, o.total_amount, o.currency, o.fx_rate, c.email, c.full_name
       FROM refunds r
       JOIN orders o ON r.order_id = o.id
       LEFT JOIN customers c ON r.user_id = c.id
@@ -340,7 +296,7 @@ router.post('/store-owner/:id/process', authenticateStoreOwner, async (req, res)
       // Process refund via Stripe
       const stripeRefund = await stripe.refunds.create({
         payment_intent: refund.payment_intent_id,
-        amount: Math.round(parseFloat(refund.refund_amount) * 100), // Convert to cents
+        amount: toChargedMinorUnits(parseFloat(refund.refund_amount), refund), // In the currency the order was charged in
         reason: 'requested_by_customer',
         metadata: {
           refund_id: id.toString(),
@@ -519,7 +475,7 @@ router.post('/:id/process', authenticateAdmin, async (req, res) => {
 
     // Get refund details (only platform refunds, not store refunds)
     const refundQuery = `
-      SELECT r.*, o.payment_intent_id, o.total_amount, c.email, c.full_name
+      SELECT r.*, o.payment_intent_id, o.total_amount, o.currency, o.fx_rate, c.email, c.full_name
       FROM refunds r
       JOIN orders o ON r.order_id = o.id
       LEFT JOIN customers c ON r.user_id = c.id
@@ -556,7 +512,7 @@ router.post('/:id/process', authenticateAdmin, async (req, res) => {
       // Process refund via Stripe
       const stripeRefund = await stripe.refunds.create({
         payment_intent: refund.payment_intent_id,
-        amount: Math.round(parseFloat(refund.refund_amount) * 100), // Convert to cents
+        amount: toChargedMinorUnits(parseFloat(refund.refund_amount), refund), // In the currency the order was charged in
         reason: 'requested_by_customer',
         metadata: {
           refund_id: id.toString(),
@@ -732,6 +688,9 @@ router.get('/admin/all', authenticateAdmin, async (req, res) => {
         r.*,
         o.payment_intent_id,
         o.total_amount as order_total,
+        o.delivered_at,
+        o.delivery_pin_verified_at,
+        (SELECT COUNT(*) FROM delivery_proofs dp WHERE dp.order_id = o.id)::int as proof_count,
         c.full_name as customer_name,
         c.email as customer_email
       FROM refunds r
@@ -0,0 +1,280 @@
+const express = require('express');
+const router = express.Router();
+const { pool } = require('../config/database');
+const { authenticateStoreOwner } = require('../middleware/storeOwnerAuth');
+const { authenticateAdmin } = require('./auth');
+const { createNotification } = require('./notifications');
+
+/**
+ * Recalculate a product's average_rating and review_count from its approved reviews
+ * @param {Object} db - pg pool or client
+ * @param {number} productId - Product ID
+ */
+async function refreshProductRating(db, productId) {
+  await db.query(`
+    UPDATE products
+    SET average_rating = COALESCE((
+          SELECT ROUND(AVG(rating)::numeric, 2) FROM product_reviews
+          WHERE product_id = $1 AND status = 'approved'
+        ), 0),
+        review_count = (
+          SELECT COUNT(*) FROM product_reviews
+          WHERE product_id = $1 AND status = 'approved'
+        )
+    WHERE id = $1
+  `, [productId]);
+}
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Page and page size from the query string, falling back to the defaults for anything that isn't a positive number
+ * @param {Object} query - req.query
+ * @returns {Object} - { page, limit, offset }
+ */
+function parsePagination(query) {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+/**
+ * GET - Reviews on the store owner's products
+ * Only approved reviews are shown; ?unanswered=true limits to reviews without a reply
+ */
+router.get('/store', authenticateStoreOwner, async (req, res) => {
+  try {
+    const { unanswered } = req.query;
+    const { page, limit, offset } = parsePagination(req.query);
+
+    let whereClause = 'WHERE p.store_id = $1 AND r.status = \'approved\'';
+    if (unanswered === 'true') {
+      whereClause += ' AND r.store_reply IS NULL';
+    }
+
+    const result = await pool.query(`
+      SELECT r.id, r.product_id, r.rating, r.title, r.body, r.store_reply, r.store_replied_at, r.created_at,
+             p.name as product_name, c.full_name as reviewer_name
+      FROM product_reviews r
+      JOIN products p ON r.product_id = p.id
+      JOIN customers c ON r.customer_id = c.id
+      ${whereClause}
+      ORDER BY r.created_at DESC
+      LIMIT $2 OFFSET $3
+    `, [req.user.storeId, limit, offset]);
+
+    const countResult = await pool.query(`
+      SELECT COUNT(*) as total
+      FROM product_reviews r
+      JOIN products p ON r.product_id = p.id
+      ${whereClause}
+    `, [req.user.storeId]);
+
+    const total = parseInt(countResult.rows[0].total);
+
+    res.json({
+      success: true,
+      data: result.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching store reviews:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reviews',
+    });
+  }
+});
+
+/**
+ * PUT - Store owner replies to a review on one of their products
+ * Sending an empty reply removes the existing one
+ */
+router.put('/:id/reply', authenticateStoreOwner, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const reply = typeof req.body.reply === 'string' ? req.body.reply.trim() : '';
+
+    if (reply.length > 2000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reply must be 2000 characters or fewer',
+      });
+    }
+
+    const result = await pool.query(`
+      UPDATE product_reviews r
+      SET store_reply = $1,
+          store_replied_at = CASE WHEN $1::text IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END,
+          updated_at = CURRENT_TIMESTAMP
+      FROM products p
+      WHERE r.id = $2 AND r.product_id = p.id AND p.store_id = $3 AND r.status = 'approved'
+      RETURNING r.*, p.name as product_name
+    `, [reply || null, id, req.user.storeId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found or not authorized',
+      });
+    }
+
+    const review = result.rows[0];
+
+    if (reply) {
+      await createNotification(
+        review.customer_id,
+        'customer',
+        'The seller replied to your review',
+        `The seller responded to your review of ${review.product_name}`,
+        'system',
+        `/product/${review.product_id}`,
+      );
+    }
+
+    res.json({
+      success: true,
+      data: review,
+      message: reply ? 'Reply saved' : 'Reply removed',
+    });
+  } catch (error) {
+    console.error('Error replying to review:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save reply',
+    });
+  }
+});
+
+/**
+ * GET - Admin moderation queue
+ * Defaults to pending reviews, oldest first
+ */
+router.get('/admin/queue', authenticateAdmin, async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+    const { page, limit, offset } = parsePagination(req.query);
+
+    const validStatuses = ['pending', 'approved', 'rejected'];
+    if (!validStatuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status. Must be pending, approved, or rejected',
+      });
+    }
+
+    const result = await pool.query(`
+      SELECT r.*, p.name as product_name, s.store_name,
+             c.full_name as reviewer_name, c.email as reviewer_email
+      FROM product_reviews r
+      JOIN products p ON r.product_id = p.id
+      LEFT JOIN stores s ON p.store_id = s.id
+      JOIN customers c ON r.customer_id = c.id
+      WHERE r.status = $1
+      ORDER BY r.created_at ${status === 'pending' ? 'ASC' : 'DESC'}
+      LIMIT $2 OFFSET $3
+    `, [status, limit, offset]);
+
+    const countResult = await pool.query(
+      'SELECT COUNT(*) as total FROM product_reviews WHERE status = $1',
+      [status],
+    );
+
+    const total = parseInt(countResult.rows[0].total);
+
+    res.json({
+      success: true,
+      data: result.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching review queue:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reviews',
+    });
+  }
+});
+
+/**
+ * PUT - Admin approves or rejects a review
+ * Product rating aggregates are recalculated in the same transaction
+ */
+router.put('/:id/moderate', authenticateAdmin, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { id } = req.params;
+    const { status, note } = req.body;
+
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be approved or rejected',
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const result = await client.query(`
+      UPDATE product_reviews
+      SET status = $1, moderation_note = $2, moderated_by = $3,
+          moderated_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4
+      RETURNING *
+    `, [status, note || null, req.user.userId, id]);
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found',
+      });
+    }
+
+    const review = result.rows[0];
+    await refreshProductRating(client, review.product_id);
+
+    await client.query('COMMIT');
+
+    await createNotification(
+      review.customer_id,
+      'customer',
+      status === 'approved' ? 'Your review is live' : 'Your review was not published',
+      status === 'approved'
+        ? 'Thanks for your feedback! Your review is now visible to other shoppers.'
+        : `Your review did not meet our guidelines${note ? `: ${note}` : '.'}`,
+      'system',
+      `/product/${review.product_id}`,
+    );
+
+    res.json({
+      success: true,
+      data: review,
+      message: `Review ${status}`,
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error moderating review:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to moderate review',
+    });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
+module.exports.refreshProductRating = refreshProductRating;
@@ -1,6 +1,7 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const { pool } = require('../config/database');
+const { authenticateStoreOwner } = require('../middleware/storeOwnerAuth');
 const { authenticateSession } = require('../utils/auth');
 const { strictAuthLimiter, storeManagementLimiter } = require('../config/security');
 const { validateStoreRegistration, validateUserLogin, sanitizeInput } = require('../middleware/inputValidation');
@@ -9,58 +10,18 @@ const {
   storeVerificationCode
 } = require('../utils/verificationCode');
 const emailService = require('../utils/emailService');
+const { validateVariants, syncProductVariants, getVariantsByProduct } = require('../utils/productVariants');
+const { availableProductStockSql } = require('../utils/stockReservations');
+const { notifyWishlistWatchers } = require('../utils/wishlistAlerts');
+const { parseTimeRange, resolveBucket, percentChange, paidOrderSql } = require('../utils/analytics');
+const { STORE_SETTINGS_COLUMNS, validateStoreSettingsInput, getStoreAvailability } = require('../utils/storeSettings');
+const { parseWeightKg } = require('../utils/deliveryPricing');
 
 const router = express.Router();
 
 // Note: Store registration now uses session-based auth instead of JWT
 // JWT variables kept for backwards compatibility but not actively used
 
-// Session-based authentication middleware for store owners
-function authenticateStoreOwner(req, res, next) {
-  // Check session authentication
-  if (!req.session || !req.session.userId || !req.session.userType) {
-    return res.status(401).json({
-      success: false,
-      message: 'Store owner authentication required. Please log in.'
-    });
-  }
-
-  // Verify user is a store owner
-  if (req.session.userType !== 'store_owner') {
-    return res.status(403).json({
-      success: false,
-      message: 'Store owner access required'
-    });
-  }
-
-  // Set up user object from session
-  req.user = {
-    userId: req.session.userId,
-    userType: req.session.userType,
-    email: req.session.email
-  };
-
-  // Get store ID for this store owner
-  pool.query('SELECT id FROM stores WHERE owner_id = $1', [req.user.userId])
-    .then(result => {
-      if (result.rows.length === 0) {
-        return res.status(403).json({
-          success: false,
-          message: 'No store found for this user'
-        });
-      }
-      req.user.storeId = result.rows[0].id;
-      next();
-    })
-    .catch(error => {
-      console.error('Error verifying store owner:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Authentication error'
-      });
-    });
-}
-
 // GET /api/store/info - Get current store owner's store information
 router.get('/info', authenticateStoreOwner, async (req, res) => {
   try {
@@ -74,6 +35,7 @@ router.get('/info', authenticateStoreOwner, async (req, res) => {
         business_license,
         categories,
         status,
+        base_currency,
         created_at,
         updated_at
       FROM stores
@@ -110,6 +72,83 @@ router.get('/info', authenticateStoreOwner, async (req, res) => {
   }
 });
 
+// GET /api/store/settings - Branding, hours, delivery and order settings for the owner's store
+router.get('/settings', authenticateStoreOwner, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${STORE_SETTINGS_COLUMNS.join(', ')} FROM stores WHERE id = $1`,
+      [req.user.storeId],
+    );
+
+    const settings = result.rows[0];
+
+    res.json({
+      success: true,
+      data: {
+        ...settings,
+        availability: getStoreAvailability(settings),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching store settings:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch store settings',
+    });
+  }
+});
+
+// PUT /api/store/settings - Replace the owner's store settings
+router.put('/settings', authenticateStoreOwner, async (req, res) => {
+  try {
+    const { errors, settings } = validateStoreSettingsInput(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors[0],
+        errors,
+      });
+    }
+
+    const result = await pool.query(`
+      UPDATE stores
+      SET logo_url = $1, banner_url = $2, timezone = $3, business_hours = $4,
+          holiday_closures = $5, return_policy = $6, delivery_zones = $7, min_order_amount = $8,
+          prices_include_tax = $9, base_currency = $10
+      WHERE id = $11
+      RETURNING ${STORE_SETTINGS_COLUMNS.join(', ')}
+    `, [
+      settings.logo_url,
+      settings.banner_url,
+      settings.timezone,
+      settings.business_hours ? JSON.stringify(settings.business_hours) : null,
+      JSON.stringify(settings.holiday_closures),
+      settings.return_policy,
+      JSON.stringify(settings.delivery_zones),
+      settings.min_order_amount,
+      settings.prices_include_tax,
+      settings.base_currency,
+      req.user.storeId,
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...result.rows[0],
+        availability: getStoreAvailability(result.rows[0]),
+      },
+      message: 'Store settings saved',
+    });
+  } catch (error) {
+    console.error('Error updating store settings:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save store settings',
+    });
+  }
+});
+
 // GET /api/store/all - Get all stores for public listing
 router.get('/all', async (req, res) => {
   try {
@@ -179,10 +218,14 @@ router.get('/products', authenticateStoreOwner, async (req, res) => {
     `;
 
     const result = await pool.query(productsQuery, [storeId]);
+    const variantsByProduct = await getVariantsByProduct(result.rows.map(product => product.id));
 
     res.json({
       success: true,
-      data: result.rows
+      data: result.rows.map(product => ({
+        ...product,
+        variants: variantsByProduct[product.id] || [],
+      })),
     });
 
   } catch (error) {
@@ -196,11 +239,13 @@ router.get('/products', authenticateStoreOwner, async (req, res) => {
   }
 });
 
-// POST /api/store/products - Add new product
+// POST /api/store/products - Add new product (optionally with variants)
 router.post('/products', authenticateStoreOwner, async (req, res) => {
+  const client = await pool.connect();
+
   try {
     const storeId = req.user.storeId;
-    const { name, description, price, category, image_url, stock_quantity } = req.body;
+    const { name, description, price, category, image_url, stock_quantity, variants = [] } = req.body;
 
     if (!name || !description || !price || !category || !image_url || stock_quantity === undefined) {
       return res.status(400).json({
@@ -209,69 +254,158 @@ router.post('/products', authenticateStoreOwner, async (req, res) => {
       });
     }
 
+    const weightKg = parseWeightKg(req.body.weight_kg);
+    if (Number.isNaN(weightKg)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Weight must be a number of kilograms, zero or more',
+      });
+    }
+
+    const variantCheck = validateVariants(variants);
+    if (variantCheck.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product variants',
+        errors: variantCheck.errors,
+      });
+    }
+
+    await client.query('BEGIN');
+
     const insertProductQuery = `
-      INSERT INTO products (store_id, name, description, price, category, image_url, stock_quantity)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      INSERT INTO products (store_id, name, description, price, category, image_url, stock_quantity, weight_kg)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
       RETURNING *
     `;
 
-    const result = await pool.query(insertProductQuery, [
-      storeId, name, description, price, category, image_url, stock_quantity
+    const result = await client.query(insertProductQuery, [
+      storeId, name, description, price, category, image_url, stock_quantity, weightKg,
     ]);
+    const product = result.rows[0];
+
+    const savedVariants = await syncProductVariants(client, product.id, variantCheck.variants);
+    const refreshed = await client.query('SELECT * FROM products WHERE id = $1', [product.id]);
+
+    await client.query('COMMIT');
 
     res.status(201).json({
       success: true,
       message: 'Product added successfully',
-      data: result.rows[0]
+      data: { ...refreshed.rows[0], variants: savedVariants },
     });
 
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Error adding product:', error.message);
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'A variant with this SKU already exists',
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to add product'
     });
+  } finally {
+    client.release();
   }
 });
 
-// PUT /api/store/products/:id - Update product
+// PUT /api/store/products/:id - Update product (variants are replaced when provided)
 router.put('/products/:id', authenticateStoreOwner, async (req, res) => {
+  const client = await pool.connect();
+
   try {
     const { id } = req.params;
     const storeId = req.user.storeId;
-    const { name, description, price, category, image_url, stock_quantity } = req.body;
+    const { name, description, price, category, image_url, stock_quantity, variants } = req.body;
+
+    const weightKg = parseWeightKg(req.body.weight_kg);
+    if (Number.isNaN(weightKg)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Weight must be a number of kilograms, zero or more',
+      });
+    }
+
+    let variantCheck = null;
+    if (variants !== undefined) {
+      variantCheck = validateVariants(variants);
+      if (variantCheck.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid product variants',
+          errors: variantCheck.errors,
+        });
+      }
+    }
+
+    await client.query('BEGIN');
+
+    const previous = await client.query(
+      'SELECT price, stock_quantity FROM products WHERE id = $1 AND store_id = $2 FOR UPDATE',
+      [id, storeId],
+    );
 
     const updateProductQuery = `
       UPDATE products 
       SET name = $1, description = $2, price = $3, category = $4, 
-          image_url = $5, stock_quantity = $6, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $7 AND store_id = $8
+          image_url = $5, stock_quantity = $6, weight_kg = $7, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $8 AND store_id = $9
       RETURNING *
     `;
 
-    const result = await pool.query(updateProductQuery, [
-      name, description, price, category, image_url, stock_quantity, id, storeId
+    const result = await client.query(updateProductQuery, [
+      name, description, price, category, image_url, stock_quantity, weightKg, id, storeId,
     ]);
 
     if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({
         success: false,
         message: 'Product not found or not authorized'
       });
     }
 
+    let savedVariants;
+    if (variantCheck) {
+      savedVariants = await syncProductVariants(client, result.rows[0].id, variantCheck.variants);
+    } else {
+      const existing = await client.query(
+        'SELECT * FROM product_variants WHERE product_id = $1 ORDER BY id',
+        [result.rows[0].id],
+      );
+      savedVariants = existing.rows;
+    }
+    const refreshed = await client.query('SELECT * FROM products WHERE id = $1', [result.rows[0].id]);
+
+    await client.query('COMMIT');
+
+    await notifyWishlistWatchers(previous.rows[0], refreshed.rows[0]);
+
     res.json({
       success: true,
       message: 'Product updated successfully',
-      data: result.rows[0]
+      data: { ...refreshed.rows[0], variants: savedVariants },
     });
 
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Error updating product:', error.message);
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'A variant with this SKU already exists',
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to update product'
     });
+  } finally {
+    client.release();
   }
 });
 
@@ -359,6 +493,216 @@ router.get('/sales', authenticateStoreOwner, async (req, res) => {
   }
 });
 
+// Paid orders containing this store's products in [startDate, endDate), with the store's share of each.
+// earnings = the store's net amount less the platform fee recorded at checkout (orders from
+// before commission was recorded carry no fee), any delivery it gave away with its own promo code
+// and the tax inside its prices when it lists tax-inclusive prices.
+const STORE_ORDERS_SQL = `
+  SELECT
+    o.id,
+    o.user_id,
+    o.created_at,
+    o.total_amount,
+    SUM(oi.price) as gross_amount,
+    SUM(oi.quantity) as units,
+    COALESCE((o.commission_breakdown -> ($1::int)::text ->> 'netAmount')::numeric, SUM(oi.price)) as net_amount,
+    COALESCE((o.commission_breakdown -> ($1::int)::text ->> 'feeAmount')::numeric, 0) as fee_amount,
+    CASE WHEN o.delivery_fee_breakdown -> ($1::int)::text ->> 'fundedBy' = 'store'
+      THEN (o.delivery_fee_breakdown -> ($1::int)::text ->> 'fee')::numeric ELSE 0 END as delivery_amount,
+    COALESCE((o.tax_breakdown -> ($1::int)::text ->> 'includedTax')::numeric, 0) as tax_amount
+  FROM orders o
+  JOIN order_items oi ON oi.order_id = o.id
+  JOIN products p ON oi.product_id = p.id
+  WHERE p.store_id = $1::int AND o.created_at >= $2 AND o.created_at < $3 AND ${paidOrderSql('o')}
+  GROUP BY o.id
+`;
+
+// Revenue, earnings, refunds, traffic and repeat buyers for one store over [startDate, endDate)
+async function getStoreSummary(storeId, startDate, endDate) {
+  const salesResult = await pool.query(`
+    WITH store_orders AS (${STORE_ORDERS_SQL})
+    SELECT
+      COUNT(*) as total_orders,
+      COALESCE(SUM(so.units), 0) as units_sold,
+      COALESCE(SUM(so.gross_amount), 0) as revenue,
+      COALESCE(SUM(so.fee_amount), 0) as commission,
+      COALESCE(SUM(so.net_amount - so.fee_amount - so.delivery_amount - so.tax_amount), 0) as earnings,
+      COUNT(*) FILTER (WHERE r.refunded_amount > 0) as refunded_orders,
+      COALESCE(SUM(r.refunded_amount * so.gross_amount / NULLIF(so.total_amount, 0)), 0) as refunded_amount
+    FROM store_orders so
+    LEFT JOIN (
+      SELECT order_id, SUM(refund_amount) as refunded_amount
+      FROM refunds
+      WHERE status = 'completed'
+      GROUP BY order_id
+    ) r ON r.order_id = so.id
+  `, [storeId, startDate, endDate]);
+
+  const viewsResult = await pool.query(`
+    SELECT COUNT(*) as views, COUNT(DISTINCT pv.viewer_key) as unique_viewers
+    FROM product_views pv
+    JOIN products p ON pv.product_id = p.id
+    WHERE p.store_id = $1 AND pv.viewed_at >= $2 AND pv.viewed_at < $3
+  `, [storeId, startDate, endDate]);
+
+  // A repeat buyer bought in this range and has more than one paid order with the store to date
+  const buyersResult = await pool.query(`
+    SELECT
+      COUNT(*) as customers,
+      COUNT(*) FILTER (WHERE c.lifetime_orders > 1) as repeat_buyers
+    FROM (
+      SELECT
+        o.user_id,
+        COUNT(DISTINCT o.id) as lifetime_orders,
+        BOOL_OR(o.created_at >= $2) as bought_in_range
+      FROM orders o
+      JOIN order_items oi ON oi.order_id = o.id
+      JOIN products p ON oi.product_id = p.id
+      WHERE p.store_id = $1 AND o.user_id IS NOT NULL AND o.created_at < $3 AND ${paidOrderSql('o')}
+      GROUP BY o.user_id
+    ) c
+    WHERE c.bought_in_range
+  `, [storeId, startDate, endDate]);
+
+  const sales = salesResult.rows[0];
+  const views = viewsResult.rows[0];
+  const buyers = buyersResult.rows[0];
+
+  const totalOrders = parseInt(sales.total_orders);
+  const revenue = parseFloat(sales.revenue);
+  const refundedOrders = parseInt(sales.refunded_orders);
+  const uniqueViewers = parseInt(views.unique_viewers);
+  const customers = parseInt(buyers.customers);
+  const repeatBuyers = parseInt(buyers.repeat_buyers);
+
+  return {
+    totalOrders,
+    unitsSold: parseInt(sales.units_sold),
+    revenue,
+    commission: Math.round(parseFloat(sales.commission) * 100) / 100,
+    earnings: Math.round(parseFloat(sales.earnings) * 100) / 100,
+    averageOrderValue: totalOrders > 0 ? Math.round((revenue / totalOrders) * 100) / 100 : 0,
+    refundedOrders,
+    refundedAmount: Math.round(parseFloat(sales.refunded_amount) * 100) / 100,
+    refundRate: totalOrders > 0 ? Math.round((refundedOrders / totalOrders) * 1000) / 10 : 0,
+    views: parseInt(views.views),
+    uniqueViewers,
+    conversionRate: uniqueViewers > 0 ? Math.round((totalOrders / uniqueViewers) * 1000) / 10 : 0,
+    customers,
+    repeatBuyers,
+    repeatBuyerRate: customers > 0 ? Math.round((repeatBuyers / customers) * 1000) / 10 : 0,
+  };
+}
+
+// GET /api/store/analytics - Sales analytics for the owner's store
+// ?timeRange=7days|30days|90days|1year (default 30days), ?bucket=day|week|month, ?limit= products
+router.get('/analytics', authenticateStoreOwner, async (req, res) => {
+  try {
+    const storeId = req.user.storeId;
+    const range = parseTimeRange(req.query.timeRange);
+    const bucket = resolveBucket(req.query.bucket, range.days);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+    const summary = await getStoreSummary(storeId, range.startDate, range.endDate);
+    const previous = await getStoreSummary(storeId, range.previousStartDate, range.startDate);
+
+    const changes = {};
+    for (const key of ['revenue', 'earnings', 'totalOrders', 'unitsSold', 'conversionRate', 'refundRate']) {
+      changes[key] = percentChange(summary[key], previous[key]);
+    }
+
+    // Every bucket in the range is returned, including those without orders
+    const seriesResult = await pool.query(`
+      WITH store_orders AS (${STORE_ORDERS_SQL}),
+      periods AS (
+        SELECT generate_series(
+          date_trunc($4, $2::timestamp),
+          date_trunc($4, $3::timestamp),
+          ('1 ' || $4)::interval
+        ) as period
+      )
+      SELECT
+        periods.period,
+        COALESCE(SUM(so.gross_amount), 0) as revenue,
+        COALESCE(SUM(so.net_amount - so.fee_amount - so.delivery_amount - so.tax_amount), 0) as earnings,
+        COUNT(so.id) as orders,
+        COALESCE(SUM(so.units), 0) as units_sold
+      FROM periods
+      LEFT JOIN store_orders so ON date_trunc($4, so.created_at) = periods.period
+      GROUP BY periods.period
+      ORDER BY periods.period
+    `, [storeId, range.startDate, range.endDate, bucket]);
+
+    const productsResult = await pool.query(`
+      SELECT
+        p.id,
+        p.name,
+        p.image_url,
+        COALESCE(s.units_sold, 0) as units_sold,
+        COALESCE(s.revenue, 0) as revenue,
+        COALESCE(s.orders, 0) as orders,
+        COALESCE(v.views, 0) as views,
+        COALESCE(v.unique_viewers, 0) as unique_viewers
+      FROM products p
+      LEFT JOIN (
+        SELECT oi.product_id, SUM(oi.quantity) as units_sold, SUM(oi.price) as revenue, COUNT(DISTINCT o.id) as orders
+        FROM order_items oi
+        JOIN orders o ON oi.order_id = o.id
+        WHERE o.created_at >= $2 AND o.created_at < $3 AND ${paidOrderSql('o')}
+        GROUP BY oi.product_id
+      ) s ON s.product_id = p.id
+      LEFT JOIN (
+        SELECT product_id, COUNT(*) as views, COUNT(DISTINCT viewer_key) as unique_viewers
+        FROM product_views
+        WHERE viewed_at >= $2 AND viewed_at < $3
+        GROUP BY product_id
+      ) v ON v.product_id = p.id
+      WHERE p.store_id = $1
+      ORDER BY revenue DESC, units_sold DESC, views DESC
+      LIMIT $4
+    `, [storeId, range.startDate, range.endDate, limit]);
+
+    res.json({
+      success: true,
+      data: {
+        timeRange: range.timeRange,
+        bucket,
+        summary,
+        previous,
+        changes,
+        series: seriesResult.rows.map(row => ({
+          period: row.period,
+          revenue: parseFloat(row.revenue),
+          earnings: Math.round(parseFloat(row.earnings) * 100) / 100,
+          orders: parseInt(row.orders),
+          unitsSold: parseInt(row.units_sold),
+        })),
+        products: productsResult.rows.map(row => {
+          const orders = parseInt(row.orders);
+          const uniqueViewers = parseInt(row.unique_viewers);
+          return {
+            id: row.id,
+            name: row.name,
+            imageUrl: row.image_url,
+            unitsSold: parseInt(row.units_sold),
+            revenue: parseFloat(row.revenue),
+            orders,
+            views: parseInt(row.views),
+            uniqueViewers,
+            conversionRate: uniqueViewers > 0 ? Math.round((orders / uniqueViewers) * 1000) / 10 : 0,
+          };
+        }),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching store analytics:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch store analytics',
+    });
+  }
+});
+
 // GET /api/store/:id - Get single store details
 router.get('/:id', async (req, res) => {
   try {
@@ -376,6 +720,15 @@ router.get('/:id', async (req, res) => {
         s.status,
         s.created_at,
         s.updated_at,
+        s.logo_url,
+        s.banner_url,
+        s.timezone,
+        s.business_hours,
+        s.holiday_closures,
+        s.return_policy,
+        s.delivery_zones,
+        s.min_order_amount,
+        s.base_currency,
         u.full_name as owner_name,
         u.email as owner_email,
         u.phone as owner_phone
@@ -398,7 +751,8 @@ router.get('/:id', async (req, res) => {
       ...result.rows[0],
       categories: result.rows[0].categories ? 
         (typeof result.rows[0].categories === 'string' ? JSON.parse(result.rows[0].categories) : result.rows[0].categories) 
-        : []
+        : [],
+      availability: getStoreAvailability(result.rows[0]),
     };
 
     res.json({
@@ -427,7 +781,7 @@ router.get('/:id/products', async (req, res) => {
     const offset = (page - 1) * limit;
 
     // First, verify store exists
-    const storeCheck = await pool.query('SELECT id, store_name, status FROM stores WHERE id = $1', [id]);
+    const storeCheck = await pool.query('SELECT id, store_name, status, base_currency FROM stores WHERE id = $1', [id]);
     if (storeCheck.rows.length === 0) {
       return res.status(404).json({
         success: false,
@@ -462,7 +816,8 @@ router.get('/:id/products', async (req, res) => {
 
     // Get products
     const productsQuery = `
-      SELECT id, store_id, name, description, price, category, image_url, stock_quantity, created_at, updated_at
+      SELECT id, store_id, name, description, price, category, image_url, stock_quantity,
+             ${availableProductStockSql('products')} AS available_quantity, created_at, updated_at
       FROM products 
       WHERE store_id = $1 ${searchCondition}
       ORDER BY ${sortField} ${sortOrder}
@@ -485,7 +840,8 @@ router.get('/:id/products', async (req, res) => {
       success: true,
       data: {
         store: storeCheck.rows[0],
-        products: productsResult.rows,
+        // Priced in the store's base currency
+        products: productsResult.rows.map(product => ({ ...product, currency: storeCheck.rows[0].base_currency })),
         pagination
       }
     });
@@ -2,53 +2,7 @@ const express = require('express');
 const router = express.Router();
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const { pool } = require('../config/database');
-
-// Session-based authentication middleware for store owners
-function authenticateStoreOwner(req, res, next) {
-  // Check session authentication
-  if (!req.session || !req.session.userId || !req.session.userType) {
-    return res.status(401).json({
-      success: false,
-      message: 'Store owner authentication required. Please log in.'
-    });
-  }
-
-  // Verify user is a store owner
-  if (req.session.userType !== 'store_owner') {
-    return res.status(403).json({
-      success: false,
-      message: 'Store owner access required'
-    });
-  }
-
-  req.user = { 
-    userId: req.session.userId, 
-    userType: req.session.userType, 
-    email: req.session.email 
-  };
-
-  // Get store ID for this store owner
-  pool.query('SELECT id, stripe_connect_account_id, stripe_account_status FROM stores WHERE owner_id = $1', [req.user.userId])
-    .then(result => {
-      if (result.rows.length === 0) {
-        return res.status(403).json({
-          success: false,
-          message: 'No store found for this user'
-        });
-      }
-
-      req.user.store = result.rows[0];
-      req.user.storeId = result.rows[0].id;
-      next();
-    })
-    .catch(error => {
-      console.error('Error verifying store owner:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Authentication error'
-      });
-    });
-}
+const { authenticateStoreOwner } = require('../middleware/storeOwnerAuth');
 
 // POST /api/stripe-connect/create-account - Create Stripe Connect account
 router.post('/create-account', authenticateStoreOwner, async (req, res) => {
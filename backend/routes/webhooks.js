@@ -2,10 +2,25 @@ const express = require('express');
 const router = express.Router();
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const { pool } = require('../config/database');
+const { completeOrderPayment, cancelUnpaidOrder } = require('../utils/orderCompletion');
+const { fromChargedMinorUnits } = require('../utils/exchangeRates');
+const { createNotification } = require('./notifications');
 
 const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
 
-// Stripe webhook handler for Connect account events
+// Record an event as processed; returns false if it was already seen
+async function claimWebhookEvent(event) {
+  const result = await pool.query(`
+    INSERT INTO stripe_webhook_events (event_id, event_type)
+    VALUES ($1, $2)
+    ON CONFLICT (event_id) DO NOTHING
+    RETURNING event_id
+  `, [event.id, event.type]);
+
+  return result.rows.length > 0;
+}
+
+// Stripe webhook handler for Connect account and payment events
 router.post('/stripe', express.raw({type: 'application/json'}), async (req, res) => {
   const sig = req.headers['stripe-signature'];
   let event;
@@ -19,6 +34,17 @@ router.post('/stripe', express.raw({type: 'application/json'}), async (req, res)
 
   console.log('Received webhook event:', event.type);
 
+  // Stripe can deliver the same event more than once
+  try {
+    if (!(await claimWebhookEvent(event))) {
+      console.log(`Skipping already processed webhook event ${event.id}`);
+      return res.json({ received: true, duplicate: true });
+    }
+  } catch (error) {
+    console.error('Error recording webhook event:', error);
+    return res.status(500).json({ error: 'Webhook processing failed' });
+  }
+
   try {
     // Handle the event
     switch (event.type) {
@@ -38,6 +64,22 @@ router.post('/stripe', express.raw({type: 'application/json'}), async (req, res)
         await handleCapabilityUpdated(event.data.object);
         break;
       
+      case 'payment_intent.succeeded':
+        await handlePaymentIntentSucceeded(event.data.object);
+        break;
+
+      case 'payment_intent.payment_failed':
+        await handlePaymentIntentFailed(event.data.object);
+        break;
+
+      case 'payment_intent.canceled':
+        await handlePaymentIntentCanceled(event.data.object);
+        break;
+
+      case 'charge.refunded':
+        await handleChargeRefunded(event.data.object);
+        break;
+
       case 'transfer.created':
         console.log('Transfer created:', event.data.object.id);
         break;
@@ -53,10 +95,186 @@ router.post('/stripe', express.raw({type: 'application/json'}), async (req, res)
     res.json({ received: true });
   } catch (error) {
     console.error('Error processing webhook:', error);
+
+    // Forget the event so Stripe's retry is processed
+    await pool.query('DELETE FROM stripe_webhook_events WHERE event_id = $1', [event.id])
+      .catch(deleteError => console.error('Error releasing webhook event:', deleteError.message));
+
     res.status(500).json({ error: 'Webhook processing failed' });
   }
 });
 
+// Complete the order when the customer paid but the browser never called /confirm
+// Errors are rethrown so Stripe retries the event
+async function handlePaymentIntentSucceeded(paymentIntent) {
+  if (paymentIntent.metadata?.orderType !== 'cart_checkout') {
+    console.log('Ignoring payment intent without a checkout order:', paymentIntent.id);
+    return;
+  }
+
+  const result = await completeOrderPayment(paymentIntent);
+
+  if (result.status === 'completed') {
+    console.log(`✅ Order #${result.order.id} completed from webhook`);
+  } else if (result.status === 'already_completed') {
+    console.log(`Order #${result.order.id} was already completed`);
+  } else if (result.status === 'needs_review') {
+    console.warn(`Order #${result.order.id} was paid after it was cancelled and is flagged for review`);
+  } else {
+    console.warn('No order found for payment intent:', paymentIntent.id);
+  }
+}
+
+// A failed attempt leaves the payment intent payable, so the order stays pending for a retry
+async function handlePaymentIntentFailed(paymentIntent) {
+  const failureMessage = paymentIntent.last_payment_error?.message || 'Payment failed';
+
+  const result = await pool.query(`
+    UPDATE orders
+    SET notes = COALESCE(notes || E'\n', '') || $1, updated_at = NOW()
+    WHERE payment_intent_id = $2 AND status = 'pending'
+    RETURNING id, user_id
+  `, [`⚠️ Payment attempt failed: ${failureMessage}`, paymentIntent.id]);
+
+  if (result.rows.length === 0) {
+    return;
+  }
+
+  const order = result.rows[0];
+  console.log(`Payment attempt failed for order #${order.id}: ${failureMessage}`);
+
+  if (order.user_id) {
+    await createNotification(
+      order.user_id,
+      'customer',
+      'Payment Failed',
+      `Payment for order #${order.id} did not go through: ${failureMessage}. Please try again with another card.`,
+      'order',
+      '/orders',
+    );
+  }
+}
+
+// The payment intent can no longer be paid, so release the order's stock
+async function handlePaymentIntentCanceled(paymentIntent) {
+  const order = await cancelUnpaidOrder(paymentIntent);
+
+  if (order) {
+    console.log(`Order #${order.id} cancelled after its payment intent was canceled`);
+  }
+}
+
+// Stripe refund statuses as recorded in the refunds table
+const REFUND_STATUSES = {
+  pending: 'processing',
+  requires_action: 'processing',
+  succeeded: 'completed',
+  failed: 'failed',
+  canceled: 'cancelled',
+};
+
+// Every refund Stripe holds for a charge, oldest first
+async function listChargeRefunds(chargeId) {
+  const refunds = [];
+  let startingAfter = null;
+
+  do {
+    const page = await stripe.refunds.list({
+      charge: chargeId,
+      limit: 100,
+      ...(startingAfter ? { starting_after: startingAfter } : {}),
+    });
+    refunds.push(...page.data);
+
+    startingAfter = page.has_more && page.data.length > 0 ? page.data[page.data.length - 1].id : null;
+  } while (startingAfter);
+
+  return refunds.reverse();
+}
+
+// Keep the refunds table and the order's refund status in step with refunds made anywhere,
+// including the Stripe dashboard. Refunds we created carry their refunds row ID in metadata;
+// any other refund gets a row of its own. Errors are rethrown so Stripe retries the event.
+async function handleChargeRefunded(charge) {
+  if (!charge.payment_intent) {
+    return;
+  }
+
+  // Fetched before the transaction so Stripe's latency doesn't hold row locks
+  const stripeRefunds = await listChargeRefunds(charge.id);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const orderResult = await client.query(
+      'SELECT id, user_id, currency, fx_rate FROM orders WHERE payment_intent_id = $1',
+      [charge.payment_intent],
+    );
+
+    if (orderResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return;
+    }
+
+    const order = orderResult.rows[0];
+    let recorded = 0;
+
+    // Refund rows are locked before the order row, in the same order as the refund routes
+    for (const stripeRefund of stripeRefunds) {
+      const status = REFUND_STATUSES[stripeRefund.status] || 'processing';
+
+      const updated = await client.query(`
+        UPDATE refunds
+        SET stripe_refund_id = $1, status = $2,
+            processed_at = CASE WHEN $2 = 'completed' THEN COALESCE(processed_at, CURRENT_TIMESTAMP) ELSE processed_at END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE order_id = $3 AND (stripe_refund_id = $1 OR (stripe_refund_id IS NULL AND id = $4))
+        RETURNING id
+      `, [stripeRefund.id, status, order.id, parseInt(stripeRefund.metadata?.refund_id) || null]);
+
+      if (updated.rows.length > 0) {
+        continue;
+      }
+
+      const inserted = await client.query(`
+        INSERT INTO refunds (
+          order_id, user_id, refund_amount, refund_reason, refund_type, status,
+          stripe_refund_id, stripe_payment_intent_id, requested_by, processed_at
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'system', CASE WHEN $6 = 'completed' THEN CURRENT_TIMESTAMP END)
+        ON CONFLICT (stripe_refund_id) WHERE stripe_refund_id IS NOT NULL DO NOTHING
+        RETURNING id
+      `, [
+        order.id,
+        order.user_id,
+        fromChargedMinorUnits(stripeRefund.amount, order),
+        stripeRefund.reason ? `Refunded in Stripe: ${stripeRefund.reason}` : 'Refunded in Stripe',
+        stripeRefund.amount >= charge.amount ? 'full' : 'partial',
+        status,
+        stripeRefund.id,
+        charge.payment_intent,
+      ]);
+      recorded += inserted.rows.length;
+    }
+
+    await client.query(`
+      UPDATE orders
+      SET refund_status = $1, updated_at = NOW()
+      WHERE id = $2
+    `, [charge.refunded ? 'completed' : 'partial', order.id]);
+
+    await client.query('COMMIT');
+
+    console.log(`Order #${order.id} refunds reconciled from charge ${charge.id} (${recorded} recorded from Stripe)`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
 // Handle account update events
 async function handleAccountUpdated(account) {
   try {
@@ -93,13 +311,33 @@ async function handleAccountUpdated(account) {
       account.payouts_enabled,
       accountStatus,
       account.details_submitted,
-      account.id
+      account.id,
     ]);
 
     if (result.rowCount > 0) {
       console.log(`Updated store with Stripe account ${account.id}`);
+      return;
+    }
+
+    // Drivers have their own Express accounts for earnings payouts
+    const driverResult = await pool.query(`
+      UPDATE drivers
+      SET stripe_details_submitted = $1,
+          stripe_payouts_enabled = $2,
+          stripe_account_status = $3,
+          stripe_connected_at = CASE
+            WHEN $3 = 'connected' AND stripe_connected_at IS NULL
+            THEN CURRENT_TIMESTAMP
+            ELSE stripe_connected_at
+          END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE stripe_connect_account_id = $4
+    `, [account.details_submitted, account.payouts_enabled, accountStatus, account.id]);
+
+    if (driverResult.rowCount > 0) {
+      console.log(`Updated driver with Stripe account ${account.id}`);
     } else {
-      console.warn(`No store found with Stripe account ${account.id}`);
+      console.warn(`No store or driver found with Stripe account ${account.id}`);
     }
 
   } catch (error) {
@@ -0,0 +1,522 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { authenticateSession } = require('./auth');
+const { addToCart } = require('./cart');
+const { availableProductStockSql, availableVariantStockSql } = require('../utils/stockReservations');
+const { PLATFORM_CURRENCY } = require('../utils/exchangeRates');
+
+const router = express.Router();
+
+const DEFAULT_WISHLIST_NAME = 'My Wishlist';
+const SAVED_FOR_LATER_NAME = 'Saved for Later';
+const MAX_LIST_NAME_LENGTH = 100;
+
+// All wishlist routes are for logged-in customers
+router.use(authenticateSession('customer'));
+
+function normalizeListName(name) {
+  return typeof name === 'string' ? name.trim() : '';
+}
+
+// A list owned by the customer, or undefined
+async function findOwnedList(db, listId, customerId) {
+  const result = await db.query(
+    'SELECT * FROM wishlists WHERE id = $1 AND customer_id = $2',
+    [listId, customerId],
+  );
+  return result.rows[0];
+}
+
+// The customer's first wishlist (or saved-for-later list), created on first use
+async function getOrCreateList(db, customerId, listType) {
+  const existing = await db.query(
+    'SELECT * FROM wishlists WHERE customer_id = $1 AND list_type = $2 ORDER BY id LIMIT 1',
+    [customerId, listType],
+  );
+  if (existing.rows.length > 0) {
+    return existing.rows[0];
+  }
+
+  const name = listType === 'saved_for_later' ? SAVED_FOR_LATER_NAME : DEFAULT_WISHLIST_NAME;
+  const created = await db.query(`
+    INSERT INTO wishlists (customer_id, name, list_type)
+    VALUES ($1, $2, $3)
+    ON CONFLICT DO NOTHING
+    RETURNING *
+  `, [customerId, name, listType]);
+
+  if (created.rows.length > 0) {
+    return created.rows[0];
+  }
+
+  // Created concurrently, or a custom list already uses the default name
+  const retry = await db.query(
+    'SELECT * FROM wishlists WHERE customer_id = $1 AND (list_type = $2 OR LOWER(name) = LOWER($3)) ORDER BY list_type = $2 DESC, id LIMIT 1',
+    [customerId, listType, name],
+  );
+  return retry.rows[0];
+}
+
+// Resolve the product (and variant, if any) with its current price, or { status, message }
+async function resolveWishlistProduct(db, productId, variantId) {
+  const productResult = await db.query('SELECT id, price FROM products WHERE id = $1', [productId]);
+  if (productResult.rows.length === 0) {
+    return { status: 404, message: 'Product not found' };
+  }
+
+  if (!variantId) {
+    return { variantId: null, price: productResult.rows[0].price };
+  }
+
+  const variantResult = await db.query(
+    'SELECT id, price FROM product_variants WHERE id = $1 AND product_id = $2 AND is_active = true',
+    [variantId, productId],
+  );
+  if (variantResult.rows.length === 0) {
+    return { status: 404, message: 'Product option not found' };
+  }
+
+  const variant = variantResult.rows[0];
+  return { variantId: variant.id, price: variant.price !== null ? variant.price : productResult.rows[0].price };
+}
+
+async function insertWishlistItem(db, listId, productId, product, quantity = 1) {
+  const result = await db.query(`
+    INSERT INTO wishlist_items (wishlist_id, product_id, variant_id, quantity, price_when_added)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (wishlist_id, product_id, (COALESCE(variant_id, 0)))
+    DO UPDATE SET quantity = GREATEST(wishlist_items.quantity, EXCLUDED.quantity)
+    RETURNING *
+  `, [listId, productId, product.variantId, quantity, product.price]);
+  return result.rows[0];
+}
+
+// GET /api/wishlist - The customer's lists with their items, current price and available stock
+router.get('/', async (req, res) => {
+  try {
+    const customerId = req.user.userId;
+
+    const listsResult = await pool.query(`
+      SELECT * FROM wishlists
+      WHERE customer_id = $1
+      ORDER BY list_type = 'saved_for_later', created_at
+    `, [customerId]);
+
+    const itemsResult = await pool.query(`
+      SELECT wi.id, wi.wishlist_id, wi.product_id, wi.variant_id, wi.quantity, wi.price_when_added, wi.added_at,
+             p.name, p.store_id, v.sku, v.options AS variant_options,
+             COALESCE(v.price, p.price) AS price,
+             COALESCE(s.base_currency, '${PLATFORM_CURRENCY}') AS currency,
+             COALESCE(v.image_url, p.image_url) AS image_url,
+             CASE WHEN v.id IS NOT NULL THEN ${availableVariantStockSql('v')} ELSE ${availableProductStockSql('p')} END AS stock_quantity
+      FROM wishlist_items wi
+      JOIN wishlists w ON wi.wishlist_id = w.id
+      JOIN products p ON wi.product_id = p.id
+      LEFT JOIN product_variants v ON wi.variant_id = v.id
+      LEFT JOIN stores s ON p.store_id = s.id
+      WHERE w.customer_id = $1
+      ORDER BY wi.added_at DESC
+    `, [customerId]);
+
+    const lists = listsResult.rows.map(list => ({
+      ...list,
+      items: itemsResult.rows.filter(item => item.wishlist_id === list.id),
+    }));
+
+    res.json({
+      success: true,
+      data: lists,
+    });
+  } catch (error) {
+    console.error('Error fetching wishlists:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch wishlists',
+    });
+  }
+});
+
+// GET /api/wishlist/product-ids - Products on any of the customer's wishlists (for heart toggles)
+router.get('/product-ids', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT DISTINCT wi.product_id
+      FROM wishlist_items wi
+      JOIN wishlists w ON wi.wishlist_id = w.id
+      WHERE w.customer_id = $1 AND w.list_type = 'wishlist'
+    `, [req.user.userId]);
+
+    res.json({
+      success: true,
+      data: result.rows.map(row => row.product_id),
+    });
+  } catch (error) {
+    console.error('Error fetching wishlist products:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch wishlist products',
+    });
+  }
+});
+
+// POST /api/wishlist - Create a named list
+router.post('/', async (req, res) => {
+  try {
+    const name = normalizeListName(req.body.name);
+
+    if (!name || name.length > MAX_LIST_NAME_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `List name is required and must be at most ${MAX_LIST_NAME_LENGTH} characters`,
+      });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO wishlists (customer_id, name)
+      VALUES ($1, $2)
+      RETURNING *
+    `, [req.user.userId, name]);
+
+    res.status(201).json({
+      success: true,
+      data: { ...result.rows[0], items: [] },
+      message: 'List created',
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a list with this name',
+      });
+    }
+    console.error('Error creating wishlist:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create list',
+    });
+  }
+});
+
+// POST /api/wishlist/toggle - Heart toggle: add to the default wishlist, or remove from every wishlist
+router.post('/toggle', async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { productId, variantId = null } = req.body;
+    const customerId = req.user.userId;
+
+    if (!productId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Product ID is required',
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const removed = await client.query(`
+      DELETE FROM wishlist_items wi
+      USING wishlists w
+      WHERE wi.wishlist_id = w.id AND w.customer_id = $1 AND w.list_type = 'wishlist' AND wi.product_id = $2
+      RETURNING wi.id
+    `, [customerId, productId]);
+
+    if (removed.rows.length > 0) {
+      await client.query('COMMIT');
+      return res.json({
+        success: true,
+        data: { wishlisted: false },
+        message: 'Removed from wishlist',
+      });
+    }
+
+    const product = await resolveWishlistProduct(client, productId, variantId);
+    if (product.status) {
+      await client.query('ROLLBACK');
+      return res.status(product.status).json({
+        success: false,
+        message: product.message,
+      });
+    }
+
+    const list = await getOrCreateList(client, customerId, 'wishlist');
+    const item = await insertWishlistItem(client, list.id, productId, product);
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      data: { wishlisted: true, wishlistId: list.id, item },
+      message: `Added to ${list.name}`,
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error toggling wishlist item:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update wishlist',
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /api/wishlist/save-for-later - Move a cart line to the saved-for-later list
+router.post('/save-for-later', async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { productId, variantId = null } = req.body;
+    const customerId = req.user.userId;
+
+    if (!productId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Product ID is required',
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const cartResult = await client.query(`
+      DELETE FROM cart_items
+      WHERE user_id = $1 AND product_id = $2 AND variant_id IS NOT DISTINCT FROM $3
+      RETURNING quantity
+    `, [customerId, productId, variantId]);
+
+    if (cartResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found in cart',
+      });
+    }
+
+    const product = await resolveWishlistProduct(client, productId, variantId);
+    if (product.status) {
+      await client.query('ROLLBACK');
+      return res.status(product.status).json({
+        success: false,
+        message: product.message,
+      });
+    }
+
+    const list = await getOrCreateList(client, customerId, 'saved_for_later');
+    const item = await insertWishlistItem(client, list.id, productId, product, cartResult.rows[0].quantity);
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      data: { wishlistId: list.id, item },
+      message: 'Saved for later',
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error saving cart item for later:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save item for later',
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /api/wishlist/items/:itemId/move-to-cart - Add a saved item to the cart and remove it from its list
+router.post('/items/:itemId/move-to-cart', async (req, res) => {
+  try {
+    const { itemId } = req.params;
+    const customerId = req.user.userId;
+
+    const itemResult = await pool.query(`
+      SELECT wi.*
+      FROM wishlist_items wi
+      JOIN wishlists w ON wi.wishlist_id = w.id
+      WHERE wi.id = $1 AND w.customer_id = $2
+    `, [itemId, customerId]);
+
+    if (itemResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Wishlist item not found',
+      });
+    }
+
+    const item = itemResult.rows[0];
+    const quantity = parseInt(req.body?.quantity) || item.quantity;
+
+    const cartResult = await addToCart({ userId: customerId }, item.product_id, item.variant_id, quantity);
+
+    if (cartResult.status) {
+      return res.status(cartResult.status).json({
+        success: false,
+        message: cartResult.message,
+      });
+    }
+
+    await pool.query('DELETE FROM wishlist_items WHERE id = $1', [item.id]);
+
+    res.json({
+      success: true,
+      data: cartResult,
+      message: 'Moved to cart',
+    });
+  } catch (error) {
+    console.error('Error moving wishlist item to cart:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to move item to cart',
+    });
+  }
+});
+
+// DELETE /api/wishlist/items/:itemId - Remove an item from its list
+router.delete('/items/:itemId', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      DELETE FROM wishlist_items wi
+      USING wishlists w
+      WHERE wi.wishlist_id = w.id AND wi.id = $1 AND w.customer_id = $2
+      RETURNING wi.id
+    `, [req.params.itemId, req.user.userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Wishlist item not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Item removed',
+    });
+  } catch (error) {
+    console.error('Error removing wishlist item:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove item',
+    });
+  }
+});
+
+// POST /api/wishlist/:id/items - Add a product to a specific list
+router.post('/:id/items', async (req, res) => {
+  try {
+    const { productId, variantId = null, quantity = 1 } = req.body;
+
+    if (!productId || quantity < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid product ID and quantity are required',
+      });
+    }
+
+    const list = await findOwnedList(pool, req.params.id, req.user.userId);
+    if (!list) {
+      return res.status(404).json({
+        success: false,
+        message: 'List not found',
+      });
+    }
+
+    const product = await resolveWishlistProduct(pool, productId, variantId);
+    if (product.status) {
+      return res.status(product.status).json({
+        success: false,
+        message: product.message,
+      });
+    }
+
+    const item = await insertWishlistItem(pool, list.id, productId, product, quantity);
+
+    res.status(201).json({
+      success: true,
+      data: item,
+      message: `Added to ${list.name}`,
+    });
+  } catch (error) {
+    console.error('Error adding wishlist item:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add item to list',
+    });
+  }
+});
+
+// PUT /api/wishlist/:id - Rename a list
+router.put('/:id', async (req, res) => {
+  try {
+    const name = normalizeListName(req.body.name);
+
+    if (!name || name.length > MAX_LIST_NAME_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `List name is required and must be at most ${MAX_LIST_NAME_LENGTH} characters`,
+      });
+    }
+
+    const result = await pool.query(`
+      UPDATE wishlists
+      SET name = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2 AND customer_id = $3
+      RETURNING *
+    `, [name, req.params.id, req.user.userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'List not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.rows[0],
+      message: 'List renamed',
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a list with this name',
+      });
+    }
+    console.error('Error renaming wishlist:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rename list',
+    });
+  }
+});
+
+// DELETE /api/wishlist/:id - Delete a list and its items
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM wishlists WHERE id = $1 AND customer_id = $2 RETURNING id',
+      [req.params.id, req.user.userId],
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'List not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'List deleted',
+    });
+  } catch (error) {
+    console.error('Error deleting wishlist:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete list',
+    });
+  }
+});
+
+module.exports = router;
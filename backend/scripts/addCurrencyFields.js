@@ -0,0 +1,44 @@
+const { pool } = require('../config/database');
+const logger = require('../config/logger');
+
+async function addCurrencyFields() {
+  try {
+    logger.info('Adding currency fields...');
+
+    // Stores price their products in their base currency; platform products are in USD
+    await pool.query(`
+      ALTER TABLE stores
+      ADD COLUMN IF NOT EXISTS base_currency VARCHAR(3) NOT NULL DEFAULT 'USD'
+    `);
+
+    // Order amounts stay in USD. The customer is charged charged_amount in currency,
+    // at fx_rate units of currency per USD; fx_rates keeps every rate used by the order
+    await pool.query(`
+      ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+      ADD COLUMN IF NOT EXISTS fx_rate DECIMAL(18, 8) NOT NULL DEFAULT 1,
+      ADD COLUMN IF NOT EXISTS charged_amount DECIMAL(14, 2),
+      ADD COLUMN IF NOT EXISTS fx_rates JSONB
+    `);
+
+    logger.info('✅ Currency fields added successfully');
+  } catch (error) {
+    logger.error('Error adding currency fields:', error);
+    throw error;
+  }
+}
+
+module.exports = addCurrencyFields;
+
+// Run if called directly
+if (require.main === module) {
+  addCurrencyFields()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
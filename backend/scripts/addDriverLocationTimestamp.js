@@ -0,0 +1,41 @@
+const { pool } = require('../config/database');
+const logger = require('../config/logger');
+
+async function addDriverLocationTimestamp() {
+  try {
+    logger.info('Adding driver location timestamp...');
+
+    // When the driver's position was last reported; updated_at also moves on profile and status changes
+    await pool.query(`
+      ALTER TABLE drivers
+      ADD COLUMN IF NOT EXISTS location_updated_at TIMESTAMP
+    `);
+
+    // Best guess for positions reported before the column existed
+    await pool.query(`
+      UPDATE drivers
+      SET location_updated_at = updated_at
+      WHERE location_updated_at IS NULL AND current_location_lat IS NOT NULL
+    `);
+
+    logger.info('✅ Driver location timestamp added successfully');
+  } catch (error) {
+    logger.error('Error adding driver location timestamp:', error);
+    throw error;
+  }
+}
+
+module.exports = addDriverLocationTimestamp;
+
+// Run if called directly
+if (require.main === module) {
+  addDriverLocationTimestamp()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
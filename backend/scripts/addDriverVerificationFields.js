@@ -0,0 +1,74 @@
+const { pool } = require('../config/database');
+const logger = require('../config/logger');
+
+async function addDriverVerificationFields() {
+  try {
+    logger.info('Adding driver verification fields...');
+
+    // Admin review state. is_verified stays the flag order assignment checks and mirrors 'approved'.
+    await pool.query(`
+      ALTER TABLE drivers
+      ADD COLUMN IF NOT EXISTS verification_status VARCHAR(20) DEFAULT 'pending'
+        CHECK (verification_status IN ('pending', 'approved', 'rejected')),
+      ADD COLUMN IF NOT EXISTS rejection_reason TEXT,
+      ADD COLUMN IF NOT EXISTS suspension_reason TEXT,
+      ADD COLUMN IF NOT EXISTS verified_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS verified_by INTEGER REFERENCES admins(id) ON DELETE SET NULL
+    `);
+
+    // Drivers verified before the workflow existed
+    await pool.query(`
+      UPDATE drivers SET verification_status = 'approved'
+      WHERE is_verified = true AND verification_status = 'pending'
+    `);
+
+    // License, registration and insurance photos, stored privately in R2 and only served to admins
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS driver_documents (
+        id SERIAL PRIMARY KEY,
+        driver_id INTEGER NOT NULL REFERENCES drivers(id) ON DELETE CASCADE,
+        document_type VARCHAR(30) NOT NULL
+          CHECK (document_type IN ('drivers_license', 'vehicle_registration', 'insurance', 'identity')),
+        storage_key TEXT NOT NULL,
+        original_name VARCHAR(255),
+        content_type VARCHAR(100),
+        uploaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_driver_documents_driver_id ON driver_documents(driver_id)
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_drivers_verification_status ON drivers(verification_status)
+    `);
+
+    // Drivers receive notifications about their verification
+    await pool.query(`
+      ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_user_type_check;
+      ALTER TABLE notifications ADD CONSTRAINT notifications_user_type_check
+        CHECK (user_type IN ('customer', 'admin', 'store_owner', 'driver'));
+    `);
+
+    logger.info('✅ Driver verification fields added successfully');
+  } catch (error) {
+    logger.error('Error adding driver verification fields:', error);
+    throw error;
+  }
+}
+
+module.exports = addDriverVerificationFields;
+
+// Run if called directly
+if (require.main === module) {
+  addDriverVerificationFields()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
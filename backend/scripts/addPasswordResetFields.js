@@ -5,7 +5,7 @@ async function addPasswordResetFields() {
   try {
     logger.info('Adding password reset fields to user tables...');
 
-    const tables = ['customers', 'store_owners', 'admins'];
+    const tables = ['customers', 'store_owners', 'admins', 'drivers'];
 
     for (const table of tables) {
       // Add reset_token column
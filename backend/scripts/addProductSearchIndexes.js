@@ -0,0 +1,45 @@
+const { pool } = require('../config/database');
+const logger = require('../config/logger');
+
+async function addProductSearchIndexes() {
+  try {
+    logger.info('Adding product search indexes...');
+
+    // Full-text index over name and description, matching the expression used in routes/products.js
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_products_search
+      ON products
+      USING GIN (to_tsvector('english', COALESCE(name, '') || ' ' || COALESCE(description, '')))
+    `);
+
+    const indexQueries = [
+      'CREATE INDEX IF NOT EXISTS idx_products_category ON products(category)',
+      'CREATE INDEX IF NOT EXISTS idx_products_price ON products(price)',
+      'CREATE INDEX IF NOT EXISTS idx_products_created_at ON products(created_at DESC)',
+    ];
+
+    for (const indexQuery of indexQueries) {
+      await pool.query(indexQuery);
+    }
+
+    logger.info('✅ Product search indexes created successfully');
+  } catch (error) {
+    logger.error('Error adding product search indexes:', error);
+    throw error;
+  }
+}
+
+module.exports = addProductSearchIndexes;
+
+// Run if called directly
+if (require.main === module) {
+  addProductSearchIndexes()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
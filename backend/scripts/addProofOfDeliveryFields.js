@@ -0,0 +1,53 @@
+const { pool } = require('../config/database');
+const logger = require('../config/logger');
+
+async function addProofOfDeliveryFields() {
+  try {
+    logger.info('Adding proof of delivery fields...');
+
+    // Optional handover code the customer gives the driver at the door
+    await pool.query(`
+      ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS delivery_pin VARCHAR(6),
+      ADD COLUMN IF NOT EXISTS delivery_pin_verified_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS delivery_pin_failed_attempts INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS delivery_pin_last_failed_at TIMESTAMP
+    `);
+
+    // Photos and signatures the driver captured at the handover, stored privately in R2
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS delivery_proofs (
+        id SERIAL PRIMARY KEY,
+        order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+        driver_id INTEGER REFERENCES drivers(id) ON DELETE SET NULL,
+        proof_type VARCHAR(20) NOT NULL CHECK (proof_type IN ('photo', 'signature')),
+        storage_key TEXT NOT NULL,
+        content_type VARCHAR(100),
+        file_size INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_delivery_proofs_order ON delivery_proofs(order_id)');
+
+    logger.info('✅ Proof of delivery fields added successfully');
+  } catch (error) {
+    logger.error('Error adding proof of delivery fields:', error);
+    throw error;
+  }
+}
+
+module.exports = addProofOfDeliveryFields;
+
+// Run if called directly
+if (require.main === module) {
+  addProofOfDeliveryFields()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,42 @@
+const { pool } = require('../config/database');
+const logger = require('../config/logger');
+
+async function addStoreSettingsFields() {
+  try {
+    logger.info('Adding store settings fields to stores table...');
+
+    // Branding, opening hours, delivery zones and order rules managed from the store dashboard.
+    // business_hours is NULL for stores open around the clock; empty delivery_zones means no restriction.
+    await pool.query(`
+      ALTER TABLE stores
+      ADD COLUMN IF NOT EXISTS logo_url TEXT,
+      ADD COLUMN IF NOT EXISTS banner_url TEXT,
+      ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) DEFAULT 'UTC',
+      ADD COLUMN IF NOT EXISTS business_hours JSONB,
+      ADD COLUMN IF NOT EXISTS holiday_closures JSONB DEFAULT '[]',
+      ADD COLUMN IF NOT EXISTS return_policy TEXT,
+      ADD COLUMN IF NOT EXISTS delivery_zones JSONB DEFAULT '[]',
+      ADD COLUMN IF NOT EXISTS min_order_amount DECIMAL(10, 2) DEFAULT 0 CHECK (min_order_amount >= 0)
+    `);
+
+    logger.info('✅ Store settings fields added successfully');
+  } catch (error) {
+    logger.error('Error adding store settings fields:', error);
+    throw error;
+  }
+}
+
+module.exports = addStoreSettingsFields;
+
+// Run if called directly
+if (require.main === module) {
+  addStoreSettingsFields()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
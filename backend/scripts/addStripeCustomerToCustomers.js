@@ -0,0 +1,39 @@
+const { pool } = require('../config/database');
+const logger = require('../config/logger');
+
+async function addStripeCustomerToCustomers() {
+  try {
+    logger.info('Adding Stripe customer field to customers...');
+
+    // Created on the customer's first checkout; saved cards are attached to it
+    await pool.query(`
+      ALTER TABLE customers
+      ADD COLUMN IF NOT EXISTS stripe_customer_id VARCHAR(255)
+    `);
+
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_customers_stripe_customer_id
+      ON customers(stripe_customer_id)
+    `);
+
+    logger.info('✅ Stripe customer field added successfully');
+  } catch (error) {
+    logger.error('Error adding Stripe customer field:', error);
+    throw error;
+  }
+}
+
+module.exports = addStripeCustomerToCustomers;
+
+// Run if called directly
+if (require.main === module) {
+  addStripeCustomerToCustomers()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,70 @@
+const { pool } = require('../config/database');
+const logger = require('../config/logger');
+
+async function createCommissionRulesTable() {
+  try {
+    logger.info('Creating commission_rules table...');
+
+    // rate_percent is the platform's cut; store rules beat category rules, which beat the default
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS commission_rules (
+        id SERIAL PRIMARY KEY,
+        scope VARCHAR(20) NOT NULL CHECK (scope IN ('default', 'store', 'category')),
+        store_id INTEGER REFERENCES stores(id) ON DELETE CASCADE,
+        category VARCHAR(100),
+        rate_percent DECIMAL(5, 2) NOT NULL CHECK (rate_percent >= 0 AND rate_percent <= 100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (
+          (scope = 'default' AND store_id IS NULL AND category IS NULL) OR
+          (scope = 'store' AND store_id IS NOT NULL AND category IS NULL) OR
+          (scope = 'category' AND store_id IS NULL AND category IS NOT NULL)
+        )
+      )
+    `);
+
+    const indexQueries = [
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_commission_rules_default ON commission_rules(scope) WHERE scope = \'default\'',
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_commission_rules_store ON commission_rules(store_id) WHERE scope = \'store\'',
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_commission_rules_category ON commission_rules(LOWER(category)) WHERE scope = \'category\'',
+    ];
+
+    for (const indexQuery of indexQueries) {
+      await pool.query(indexQuery);
+    }
+
+    // Seed the default with the rate that used to be hardcoded in checkout
+    await pool.query(`
+      INSERT INTO commission_rules (scope, rate_percent)
+      SELECT 'default', 10.00
+      WHERE NOT EXISTS (SELECT 1 FROM commission_rules WHERE scope = 'default')
+    `);
+
+    // Fee actually charged on each order, with the per-store breakdown used for transfers
+    await pool.query(`
+      ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS platform_fee_amount DECIMAL(10, 2),
+      ADD COLUMN IF NOT EXISTS commission_breakdown JSONB
+    `);
+
+    logger.info('✅ Commission rules table created successfully');
+  } catch (error) {
+    logger.error('Error creating commission_rules table:', error);
+    throw error;
+  }
+}
+
+module.exports = createCommissionRulesTable;
+
+// Run if called directly
+if (require.main === module) {
+  createCommissionRulesTable()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,59 @@
+const { pool } = require('../config/database');
+const logger = require('../config/logger');
+
+async function createCustomerAddressesTable() {
+  try {
+    logger.info('Creating customer addresses table...');
+
+    // Address book entries, in the same shape checkout copies onto orders.delivery_*
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS customer_addresses (
+        id SERIAL PRIMARY KEY,
+        customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+        label VARCHAR(50),
+        full_name VARCHAR(255) NOT NULL,
+        phone VARCHAR(50) NOT NULL,
+        address TEXT NOT NULL,
+        city VARCHAR(100) NOT NULL,
+        state VARCHAR(100) NOT NULL,
+        zip_code VARCHAR(20) NOT NULL,
+        country VARCHAR(100) NOT NULL DEFAULT 'United States',
+        delivery_instructions TEXT,
+        is_default BOOLEAN NOT NULL DEFAULT false,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_customer_addresses_customer_id
+      ON customer_addresses(customer_id)
+    `);
+
+    // At most one default address per customer
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_customer_addresses_default
+      ON customer_addresses(customer_id) WHERE is_default
+    `);
+
+    logger.info('✅ Customer addresses table created successfully');
+  } catch (error) {
+    logger.error('Error creating customer addresses table:', error);
+    throw error;
+  }
+}
+
+module.exports = createCustomerAddressesTable;
+
+// Run if called directly
+if (require.main === module) {
+  createCustomerAddressesTable()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
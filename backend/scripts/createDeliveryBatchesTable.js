@@ -0,0 +1,74 @@
+const { pool } = require('../config/database');
+const logger = require('../config/logger');
+
+async function createDeliveryBatchesTable() {
+  try {
+    logger.info('Creating delivery batches tables...');
+
+    // Why a driver turned an offer down
+    await pool.query(`
+      ALTER TABLE driver_offers
+      ADD COLUMN IF NOT EXISTS decline_reason VARCHAR(30),
+      ADD COLUMN IF NOT EXISTS decline_note TEXT
+    `);
+
+    // A driver carries one active batch at a time; orders they accept while it is
+    // active join it as extra pickup and drop-off stops
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS delivery_batches (
+        id SERIAL PRIMARY KEY,
+        driver_id INTEGER NOT NULL REFERENCES drivers(id) ON DELETE CASCADE,
+        status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'completed')),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS delivery_batch_stops (
+        id SERIAL PRIMARY KEY,
+        batch_id INTEGER NOT NULL REFERENCES delivery_batches(id) ON DELETE CASCADE,
+        order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+        stop_type VARCHAR(10) NOT NULL CHECK (stop_type IN ('pickup', 'dropoff')),
+        sequence INTEGER NOT NULL DEFAULT 0,
+        store_id INTEGER REFERENCES stores(id) ON DELETE SET NULL,
+        address TEXT,
+        latitude DECIMAL(10, 8),
+        longitude DECIMAL(11, 8),
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'cancelled')),
+        completed_at TIMESTAMP,
+        UNIQUE (batch_id, order_id, stop_type)
+      )
+    `);
+
+    const indexQueries = [
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_delivery_batches_active_driver ON delivery_batches(driver_id) WHERE status = \'active\'',
+      'CREATE INDEX IF NOT EXISTS idx_delivery_batch_stops_batch ON delivery_batch_stops(batch_id, sequence)',
+      'CREATE INDEX IF NOT EXISTS idx_delivery_batch_stops_order ON delivery_batch_stops(order_id)',
+    ];
+
+    for (const indexQuery of indexQueries) {
+      await pool.query(indexQuery);
+    }
+
+    logger.info('✅ Delivery batches tables created successfully');
+  } catch (error) {
+    logger.error('Error creating delivery batches tables:', error);
+    throw error;
+  }
+}
+
+module.exports = createDeliveryBatchesTable;
+
+// Run if called directly
+if (require.main === module) {
+  createDeliveryBatchesTable()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,80 @@
+const { pool } = require('../config/database');
+const logger = require('../config/logger');
+
+async function createDeliveryPricingTables() {
+  try {
+    logger.info('Creating delivery pricing tables...');
+
+    // A store rule replaces the default rule for that store's items
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS delivery_pricing_rules (
+        id SERIAL PRIMARY KEY,
+        scope VARCHAR(20) NOT NULL CHECK (scope IN ('default', 'store')),
+        store_id INTEGER REFERENCES stores(id) ON DELETE CASCADE,
+        flat_fee DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (flat_fee >= 0),
+        distance_bands JSONB NOT NULL DEFAULT '[]',
+        per_kg_fee DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (per_kg_fee >= 0),
+        included_weight_kg DECIMAL(8, 2) NOT NULL DEFAULT 0 CHECK (included_weight_kg >= 0),
+        free_delivery_threshold DECIMAL(10, 2) CHECK (free_delivery_threshold >= 0),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (
+          (scope = 'default' AND store_id IS NULL) OR
+          (scope = 'store' AND store_id IS NOT NULL)
+        )
+      )
+    `);
+
+    const indexQueries = [
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_delivery_pricing_default ON delivery_pricing_rules(scope) WHERE scope = \'default\'',
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_delivery_pricing_store ON delivery_pricing_rules(store_id) WHERE scope = \'store\'',
+    ];
+
+    for (const indexQuery of indexQueries) {
+      await pool.query(indexQuery);
+    }
+
+    // Seeded from the environment; admins change the pricing from the dashboard afterwards
+    await pool.query(`
+      INSERT INTO delivery_pricing_rules (scope, flat_fee, free_delivery_threshold)
+      SELECT 'default', $1, $2
+      WHERE NOT EXISTS (SELECT 1 FROM delivery_pricing_rules WHERE scope = 'default')
+    `, [
+      parseFloat(process.env.DELIVERY_FLAT_FEE) || 4.99,
+      parseFloat(process.env.DELIVERY_FREE_THRESHOLD) || null,
+    ]);
+
+    // Unset weights count as weightless
+    await pool.query(`
+      ALTER TABLE products
+      ADD COLUMN IF NOT EXISTS weight_kg DECIMAL(8, 3) CHECK (weight_kg >= 0)
+    `);
+
+    // Fee charged on each order, with the per-store breakdown used for transfers
+    await pool.query(`
+      ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS delivery_fee DECIMAL(10, 2) DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS delivery_fee_breakdown JSONB
+    `);
+
+    logger.info('✅ Delivery pricing tables created successfully');
+  } catch (error) {
+    logger.error('Error creating delivery pricing tables:', error);
+    throw error;
+  }
+}
+
+module.exports = createDeliveryPricingTables;
+
+// Run if called directly
+if (require.main === module) {
+  createDeliveryPricingTables()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,61 @@
+const { pool } = require('../config/database');
+const logger = require('../config/logger');
+
+async function createDeliveryRatingsTable() {
+  try {
+    logger.info('Creating delivery_ratings table...');
+
+    // One rating per delivered order; low ones are flagged for an admin to look at
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS delivery_ratings (
+        id SERIAL PRIMARY KEY,
+        order_id INTEGER NOT NULL UNIQUE REFERENCES orders(id) ON DELETE CASCADE,
+        driver_id INTEGER NOT NULL REFERENCES drivers(id) ON DELETE CASCADE,
+        customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+        rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+        feedback TEXT,
+        flag_reason VARCHAR(20) CHECK (flag_reason IN ('low_rating', 'low_average')),
+        review_status VARCHAR(20) CHECK (review_status IN ('open', 'resolved')),
+        review_note TEXT,
+        reviewed_by INTEGER REFERENCES admins(id) ON DELETE SET NULL,
+        reviewed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    const indexQueries = [
+      'CREATE INDEX IF NOT EXISTS idx_delivery_ratings_driver ON delivery_ratings(driver_id, created_at DESC)',
+      'CREATE INDEX IF NOT EXISTS idx_delivery_ratings_review ON delivery_ratings(review_status, created_at)',
+    ];
+
+    for (const indexQuery of indexQueries) {
+      await pool.query(indexQuery);
+    }
+
+    // drivers.rating holds the rolling average; this is the number of ratings ever received
+    await pool.query(`
+      ALTER TABLE drivers
+      ADD COLUMN IF NOT EXISTS rating_count INTEGER DEFAULT 0
+    `);
+
+    logger.info('✅ Delivery ratings table created successfully');
+  } catch (error) {
+    logger.error('Error creating delivery_ratings table:', error);
+    throw error;
+  }
+}
+
+module.exports = createDeliveryRatingsTable;
+
+// Run if called directly
+if (require.main === module) {
+  createDeliveryRatingsTable()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,106 @@
+const { pool } = require('../config/database');
+const logger = require('../config/logger');
+
+async function createDriverEarningsTables() {
+  try {
+    logger.info('Creating driver earnings tables...');
+
+    // Drivers are paid out to their own Stripe Connect Express account
+    await pool.query(`
+      ALTER TABLE drivers
+      ADD COLUMN IF NOT EXISTS stripe_connect_account_id VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS stripe_account_status VARCHAR(50) DEFAULT 'not_connected'
+        CHECK (stripe_account_status IN ('not_connected', 'pending', 'connected', 'restricted', 'disabled')),
+      ADD COLUMN IF NOT EXISTS stripe_details_submitted BOOLEAN DEFAULT FALSE,
+      ADD COLUMN IF NOT EXISTS stripe_payouts_enabled BOOLEAN DEFAULT FALSE,
+      ADD COLUMN IF NOT EXISTS stripe_onboarding_url TEXT,
+      ADD COLUMN IF NOT EXISTS stripe_connected_at TIMESTAMP
+    `);
+
+    // Single row of rates applied when a delivery is completed
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS driver_pay_rates (
+        id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+        base_fee DECIMAL(10, 2) NOT NULL CHECK (base_fee >= 0),
+        per_km_rate DECIMAL(10, 2) NOT NULL CHECK (per_km_rate >= 0),
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Seeded from the environment; admins change the rates from the dashboard afterwards
+    await pool.query(`
+      INSERT INTO driver_pay_rates (id, base_fee, per_km_rate)
+      VALUES (1, $1, $2)
+      ON CONFLICT (id) DO NOTHING
+    `, [parseFloat(process.env.DRIVER_BASE_FEE) || 3, parseFloat(process.env.DRIVER_PER_KM_RATE) || 0.75]);
+
+    // One statement per driver per payout period
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS driver_payouts (
+        id SERIAL PRIMARY KEY,
+        driver_id INTEGER NOT NULL REFERENCES drivers(id) ON DELETE CASCADE,
+        period_start DATE NOT NULL,
+        period_end DATE NOT NULL,
+        amount DECIMAL(10, 2) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'paid', 'failed')),
+        stripe_transfer_id VARCHAR(255),
+        stripe_account_id VARCHAR(255),
+        attempt_count INTEGER NOT NULL DEFAULT 0,
+        error_message TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        paid_at TIMESTAMP,
+        UNIQUE (driver_id, period_start, period_end)
+      )
+    `);
+
+    // Every amount a driver earns; entries are attached to a payout once it is created
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS driver_earnings (
+        id SERIAL PRIMARY KEY,
+        driver_id INTEGER NOT NULL REFERENCES drivers(id) ON DELETE CASCADE,
+        order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+        entry_type VARCHAR(20) NOT NULL CHECK (entry_type IN ('base_fee', 'distance', 'tip', 'bonus', 'adjustment')),
+        amount DECIMAL(10, 2) NOT NULL,
+        distance_km DECIMAL(8, 2),
+        description TEXT,
+        payout_id INTEGER REFERENCES driver_payouts(id) ON DELETE SET NULL,
+        created_by INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    const indexQueries = [
+      'CREATE INDEX IF NOT EXISTS idx_drivers_stripe_account_id ON drivers(stripe_connect_account_id)',
+      // A delivery pays its base fee and distance once, however often the status is replayed
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_driver_earnings_delivery ON driver_earnings(order_id, entry_type) WHERE entry_type IN (\'base_fee\', \'distance\')',
+      'CREATE INDEX IF NOT EXISTS idx_driver_earnings_driver ON driver_earnings(driver_id, created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_driver_earnings_unpaid ON driver_earnings(driver_id) WHERE payout_id IS NULL',
+      'CREATE INDEX IF NOT EXISTS idx_driver_payouts_driver ON driver_payouts(driver_id, period_end DESC)',
+      'CREATE INDEX IF NOT EXISTS idx_driver_payouts_status ON driver_payouts(status)',
+    ];
+
+    for (const indexQuery of indexQueries) {
+      await pool.query(indexQuery);
+    }
+
+    logger.info('✅ Driver earnings tables created successfully');
+  } catch (error) {
+    logger.error('Error creating driver earnings tables:', error);
+    throw error;
+  }
+}
+
+module.exports = createDriverEarningsTables;
+
+// Run if called directly
+if (require.main === module) {
+  createDriverEarningsTables()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
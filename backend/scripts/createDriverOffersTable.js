@@ -0,0 +1,71 @@
+const { pool } = require('../config/database');
+const logger = require('../config/logger');
+
+async function createDriverOffersTable() {
+  try {
+    logger.info('Creating driver offers table and dispatch location fields...');
+
+    // Geocoded pickup location, cached against the address it was looked up for
+    await pool.query(`
+      ALTER TABLE stores
+      ADD COLUMN IF NOT EXISTS latitude DECIMAL(10, 8),
+      ADD COLUMN IF NOT EXISTS longitude DECIMAL(11, 8),
+      ADD COLUMN IF NOT EXISTS geocoded_address TEXT
+    `);
+
+    await pool.query(`
+      ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS delivery_lat DECIMAL(10, 8),
+      ADD COLUMN IF NOT EXISTS delivery_lng DECIMAL(11, 8),
+      ADD COLUMN IF NOT EXISTS dispatch_requested_at TIMESTAMP
+    `);
+
+    // Each order is offered to one driver at a time; an offer that is declined or
+    // times out moves the order on to the next best driver
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS driver_offers (
+        id SERIAL PRIMARY KEY,
+        order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+        driver_id INTEGER NOT NULL REFERENCES drivers(id) ON DELETE CASCADE,
+        store_id INTEGER REFERENCES stores(id) ON DELETE SET NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'offered'
+          CHECK (status IN ('offered', 'accepted', 'declined', 'expired', 'cancelled')),
+        distance_km DECIMAL(8, 2),
+        score DECIMAL(10, 4),
+        offered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        responded_at TIMESTAMP
+      )
+    `);
+
+    const indexQueries = [
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_driver_offers_open_order ON driver_offers(order_id) WHERE status = \'offered\'',
+      'CREATE INDEX IF NOT EXISTS idx_driver_offers_driver_status ON driver_offers(driver_id, status)',
+      'CREATE INDEX IF NOT EXISTS idx_driver_offers_expires_at ON driver_offers(expires_at) WHERE status = \'offered\'',
+    ];
+
+    for (const indexQuery of indexQueries) {
+      await pool.query(indexQuery);
+    }
+
+    logger.info('✅ Driver offers table created successfully');
+  } catch (error) {
+    logger.error('Error creating driver offers table:', error);
+    throw error;
+  }
+}
+
+module.exports = createDriverOffersTable;
+
+// Run if called directly
+if (require.main === module) {
+  createDriverOffersTable()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
@@ -25,6 +25,21 @@ async function createFailedTransfersTable() {
 
     logger.info('✅ Failed transfers table created successfully');
 
+    // Admin retry / manual resolution tracking
+    await pool.query(`
+      ALTER TABLE failed_transfers
+      ADD COLUMN IF NOT EXISTS stripe_transfer_id VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS last_retry_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS resolution_note TEXT,
+      ADD COLUMN IF NOT EXISTS resolved_by INTEGER
+    `);
+
+    // amount_cents is in minor units of this currency: the store's base currency when it was paid in it
+    await pool.query(`
+      ALTER TABLE failed_transfers
+      ADD COLUMN IF NOT EXISTS currency VARCHAR(3) NOT NULL DEFAULT 'USD'
+    `);
+
     // Create indexes for faster queries
     await pool.query(`
       CREATE INDEX IF NOT EXISTS idx_failed_transfers_order_id
@@ -0,0 +1,65 @@
+const { pool } = require('../config/database');
+const logger = require('../config/logger');
+
+async function createProductReviewsTable() {
+  try {
+    logger.info('Creating product_reviews table...');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS product_reviews (
+        id SERIAL PRIMARY KEY,
+        product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+        order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+        rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+        title VARCHAR(150),
+        body TEXT NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+        moderation_note TEXT,
+        moderated_by INTEGER REFERENCES admins(id) ON DELETE SET NULL,
+        moderated_at TIMESTAMP,
+        store_reply TEXT,
+        store_replied_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(product_id, customer_id)
+      )
+    `);
+
+    const indexQueries = [
+      'CREATE INDEX IF NOT EXISTS idx_product_reviews_product_status ON product_reviews(product_id, status)',
+      'CREATE INDEX IF NOT EXISTS idx_product_reviews_status_created ON product_reviews(status, created_at)',
+    ];
+
+    for (const indexQuery of indexQueries) {
+      await pool.query(indexQuery);
+    }
+
+    // Aggregates over approved reviews, kept on the product so every product payload carries them
+    await pool.query(`
+      ALTER TABLE products
+      ADD COLUMN IF NOT EXISTS average_rating DECIMAL(3, 2) DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS review_count INTEGER DEFAULT 0
+    `);
+
+    logger.info('✅ Product reviews table created successfully');
+  } catch (error) {
+    logger.error('Error creating product reviews table:', error);
+    throw error;
+  }
+}
+
+module.exports = createProductReviewsTable;
+
+// Run if called directly
+if (require.main === module) {
+  createProductReviewsTable()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
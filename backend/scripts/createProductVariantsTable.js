@@ -0,0 +1,86 @@
+const { pool } = require('../config/database');
+const logger = require('../config/logger');
+
+async function createProductVariantsTable() {
+  const client = await pool.connect();
+
+  try {
+    logger.info('Creating product_variants table...');
+
+    await client.query('BEGIN');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS product_variants (
+        id SERIAL PRIMARY KEY,
+        product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        sku VARCHAR(100) NOT NULL,
+        options JSONB NOT NULL DEFAULT '{}'::jsonb,
+        price DECIMAL(10, 2) CHECK (price IS NULL OR price >= 0),
+        stock_quantity INTEGER NOT NULL DEFAULT 0 CHECK (stock_quantity >= 0),
+        image_url TEXT,
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_product_variants_product_id ON product_variants(product_id)');
+
+    // SKUs are unique within a product (matching validateVariants, case-insensitively), so
+    // different stores can reuse their own codes. Tables created before this had a global UNIQUE
+    await client.query('ALTER TABLE product_variants DROP CONSTRAINT IF EXISTS product_variants_sku_key');
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_product_variants_product_sku
+      ON product_variants (product_id, LOWER(sku))
+    `);
+
+    // Cart lines are now unique per product + variant; products without variants use variant_id NULL
+    await client.query(`
+      ALTER TABLE cart_items
+      ADD COLUMN IF NOT EXISTS variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE
+    `);
+    await client.query('ALTER TABLE cart_items DROP CONSTRAINT IF EXISTS cart_items_user_id_product_id_key');
+    await client.query('ALTER TABLE cart_items DROP CONSTRAINT IF EXISTS cart_items_session_id_product_id_key');
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_cart_items_user_product_variant
+      ON cart_items (user_id, product_id, (COALESCE(variant_id, 0)))
+    `);
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_cart_items_session_product_variant
+      ON cart_items (session_id, product_id, (COALESCE(variant_id, 0)))
+    `);
+
+    // Order lines keep a snapshot of the SKU and options so history survives variant edits
+    await client.query(`
+      ALTER TABLE order_items
+      ADD COLUMN IF NOT EXISTS variant_id INTEGER REFERENCES product_variants(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS sku VARCHAR(100),
+      ADD COLUMN IF NOT EXISTS variant_options JSONB
+    `);
+
+    await client.query('COMMIT');
+
+    logger.info('✅ Product variants table created successfully');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error creating product variants table:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = createProductVariantsTable;
+
+// Run if called directly
+if (require.main === module) {
+  createProductVariantsTable()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
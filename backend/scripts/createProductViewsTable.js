@@ -0,0 +1,44 @@
+const { pool } = require('../config/database');
+const logger = require('../config/logger');
+
+async function createProductViewsTable() {
+  try {
+    logger.info('Creating product_views table...');
+
+    // One row per product page view; viewer_key is the customer or, for guests, the session
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS product_views (
+        id SERIAL PRIMARY KEY,
+        product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        customer_id INTEGER REFERENCES customers(id) ON DELETE SET NULL,
+        viewer_key VARCHAR(255) NOT NULL,
+        viewed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_product_views_product_viewed_at
+      ON product_views(product_id, viewed_at)
+    `);
+
+    logger.info('✅ Product views table created successfully');
+  } catch (error) {
+    logger.error('Error creating product_views table:', error);
+    throw error;
+  }
+}
+
+module.exports = createProductViewsTable;
+
+// Run if called directly
+if (require.main === module) {
+  createProductViewsTable()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,86 @@
+const { pool } = require('../config/database');
+const logger = require('../config/logger');
+
+async function createPromotionsTables() {
+  try {
+    logger.info('Creating promotions tables...');
+
+    // store_id NULL = platform promotion (funded by the platform); otherwise funded by that store
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS promotions (
+        id SERIAL PRIMARY KEY,
+        code VARCHAR(50) NOT NULL UNIQUE,
+        description TEXT,
+        discount_type VARCHAR(20) NOT NULL CHECK (discount_type IN ('percentage', 'fixed_amount', 'free_delivery')),
+        discount_value DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (discount_value >= 0),
+        max_discount DECIMAL(10, 2),
+        min_spend DECIMAL(10, 2) NOT NULL DEFAULT 0,
+        store_id INTEGER REFERENCES stores(id) ON DELETE CASCADE,
+        usage_limit INTEGER,
+        per_customer_limit INTEGER,
+        usage_count INTEGER NOT NULL DEFAULT 0,
+        starts_at TIMESTAMP,
+        expires_at TIMESTAMP,
+        is_active BOOLEAN DEFAULT true,
+        created_by_type VARCHAR(20) NOT NULL CHECK (created_by_type IN ('admin', 'store_owner')),
+        created_by_id INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (discount_type <> 'percentage' OR discount_value <= 100)
+      )
+    `);
+
+    // One row per order that used a code; redeemed_at is set once payment succeeds
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS promotion_redemptions (
+        id SERIAL PRIMARY KEY,
+        promotion_id INTEGER NOT NULL REFERENCES promotions(id) ON DELETE CASCADE,
+        order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+        customer_id INTEGER,
+        session_id VARCHAR(255),
+        discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+        redeemed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(order_id)
+      )
+    `);
+
+    const indexQueries = [
+      'CREATE INDEX IF NOT EXISTS idx_promotions_store_id ON promotions(store_id)',
+      'CREATE INDEX IF NOT EXISTS idx_promotion_redemptions_promotion ON promotion_redemptions(promotion_id)',
+      'CREATE INDEX IF NOT EXISTS idx_promotion_redemptions_customer ON promotion_redemptions(promotion_id, customer_id)',
+    ];
+
+    for (const indexQuery of indexQueries) {
+      await pool.query(indexQuery);
+    }
+
+    await pool.query(`
+      ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS subtotal DECIMAL(10, 2),
+      ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10, 2) DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS promotion_id INTEGER REFERENCES promotions(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS promo_code VARCHAR(50)
+    `);
+
+    logger.info('✅ Promotions tables created successfully');
+  } catch (error) {
+    logger.error('Error creating promotions tables:', error);
+    throw error;
+  }
+}
+
+module.exports = createPromotionsTables;
+
+// Run if called directly
+if (require.main === module) {
+  createPromotionsTables()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,86 @@
+const { pool } = require('../config/database');
+const logger = require('../config/logger');
+
+async function createStockReservationsTable() {
+  try {
+    logger.info('Creating stock_reservations table...');
+
+    // Stock held for a pending order until payment succeeds (committed) or it expires/cancels (released)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS stock_reservations (
+        id SERIAL PRIMARY KEY,
+        order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+        product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        variant_id INTEGER REFERENCES product_variants(id) ON DELETE SET NULL,
+        quantity INTEGER NOT NULL CHECK (quantity > 0),
+        status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'committed', 'released')),
+        oversold_quantity INTEGER NOT NULL DEFAULT 0,
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        resolved_at TIMESTAMP
+      )
+    `);
+
+    // Deleting a variant must not take live reservations with it; they fall back to the product.
+    // Tables created before this used ON DELETE CASCADE
+    await pool.query(`
+      DO $$
+      BEGIN
+        IF EXISTS (
+          SELECT 1 FROM pg_constraint
+          WHERE conname = 'stock_reservations_variant_id_fkey' AND confdeltype = 'c'
+        ) THEN
+          ALTER TABLE stock_reservations DROP CONSTRAINT stock_reservations_variant_id_fkey;
+          ALTER TABLE stock_reservations ADD CONSTRAINT stock_reservations_variant_id_fkey
+            FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE SET NULL;
+        END IF;
+      END $$
+    `);
+
+    // Units a late payment committed after the stock had already gone; stock itself stops at zero
+    await pool.query(`
+      ALTER TABLE stock_reservations
+      ADD COLUMN IF NOT EXISTS oversold_quantity INTEGER NOT NULL DEFAULT 0
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_stock_reservations_order_id
+      ON stock_reservations(order_id)
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_stock_reservations_active_product
+      ON stock_reservations(product_id) WHERE status = 'active'
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_stock_reservations_active_variant
+      ON stock_reservations(variant_id) WHERE status = 'active' AND variant_id IS NOT NULL
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_stock_reservations_active_expiry
+      ON stock_reservations(expires_at) WHERE status = 'active'
+    `);
+
+    logger.info('✅ Stock reservations table created successfully');
+  } catch (error) {
+    logger.error('Error creating stock_reservations table:', error);
+    throw error;
+  }
+}
+
+module.exports = createStockReservationsTable;
+
+// Run if called directly
+if (require.main === module) {
+  createStockReservationsTable()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,54 @@
+const { pool } = require('../config/database');
+const logger = require('../config/logger');
+
+async function createStripeWebhookEventsTable() {
+  try {
+    logger.info('Creating stripe_webhook_events table...');
+
+    // One row per Stripe event ID so redelivered events are only processed once
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS stripe_webhook_events (
+        event_id VARCHAR(255) PRIMARY KEY,
+        event_type VARCHAR(100) NOT NULL,
+        processed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_stripe_webhook_events_processed_at
+      ON stripe_webhook_events(processed_at)
+    `);
+
+    // charge.refunded records refunds made outside the app, once per Stripe refund. The refunds
+    // table comes from a separate migration, so the index waits until that has been run.
+    await pool.query(`
+      DO $$
+      BEGIN
+        IF to_regclass('refunds') IS NOT NULL THEN
+          CREATE UNIQUE INDEX IF NOT EXISTS idx_refunds_stripe_refund_id
+          ON refunds(stripe_refund_id) WHERE stripe_refund_id IS NOT NULL;
+        END IF;
+      END $$;
+    `);
+
+    logger.info('✅ Stripe webhook events table created successfully');
+  } catch (error) {
+    logger.error('Error creating stripe_webhook_events table:', error);
+    throw error;
+  }
+}
+
+module.exports = createStripeWebhookEventsTable;
+
+// Run if called directly
+if (require.main === module) {
+  createStripeWebhookEventsTable()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,84 @@
+const { pool } = require('../config/database');
+const logger = require('../config/logger');
+
+async function createTaxTables() {
+  try {
+    logger.info('Creating tax tables...');
+
+    // Rates stack: a state-wide row (no ZIP prefix) plus any county or city rows whose prefix matches
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS tax_jurisdictions (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        state VARCHAR(50) NOT NULL,
+        zip_prefix VARCHAR(10),
+        rate_percent DECIMAL(6, 3) NOT NULL CHECK (rate_percent >= 0 AND rate_percent <= 100),
+        exempt_categories TEXT[] NOT NULL DEFAULT '{}',
+        taxes_delivery BOOLEAN NOT NULL DEFAULT false,
+        is_active BOOLEAN NOT NULL DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Tax collected on each order, one line per jurisdiction, kept as charged for tax filings
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS order_tax_lines (
+        id SERIAL PRIMARY KEY,
+        order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+        jurisdiction_id INTEGER REFERENCES tax_jurisdictions(id) ON DELETE SET NULL,
+        jurisdiction_name VARCHAR(100) NOT NULL,
+        state VARCHAR(50) NOT NULL,
+        zip_prefix VARCHAR(10),
+        rate_percent DECIMAL(6, 3) NOT NULL,
+        taxable_amount DECIMAL(10, 2) NOT NULL,
+        tax_amount DECIMAL(10, 2) NOT NULL,
+        prices_include_tax BOOLEAN NOT NULL DEFAULT false,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    const indexQueries = [
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_tax_jurisdictions_unique ON tax_jurisdictions(UPPER(state), COALESCE(zip_prefix, \'\'), LOWER(name))',
+      'CREATE INDEX IF NOT EXISTS idx_order_tax_lines_order ON order_tax_lines(order_id)',
+      'CREATE INDEX IF NOT EXISTS idx_order_tax_lines_jurisdiction ON order_tax_lines(jurisdiction_id)',
+    ];
+
+    for (const indexQuery of indexQueries) {
+      await pool.query(indexQuery);
+    }
+
+    // Stores listing tax-inclusive prices (VAT style) have the tax taken out of their prices instead of added
+    await pool.query(`
+      ALTER TABLE stores
+      ADD COLUMN IF NOT EXISTS prices_include_tax BOOLEAN DEFAULT false
+    `);
+
+    // Total tax on the order and each store's share of it, used for transfers
+    await pool.query(`
+      ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS tax_amount DECIMAL(10, 2) DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS tax_breakdown JSONB
+    `);
+
+    logger.info('✅ Tax tables created successfully');
+  } catch (error) {
+    logger.error('Error creating tax tables:', error);
+    throw error;
+  }
+}
+
+module.exports = createTaxTables;
+
+// Run if called directly
+if (require.main === module) {
+  createTaxTables()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,72 @@
+const { pool } = require('../config/database');
+const logger = require('../config/logger');
+
+async function createWishlistsTables() {
+  try {
+    logger.info('Creating wishlists tables...');
+
+    // Named lists per customer; each customer has at most one saved-for-later list
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS wishlists (
+        id SERIAL PRIMARY KEY,
+        customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        list_type VARCHAR(20) NOT NULL DEFAULT 'wishlist' CHECK (list_type IN ('wishlist', 'saved_for_later')),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_wishlists_customer_name
+      ON wishlists(customer_id, LOWER(name))
+    `);
+
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_wishlists_saved_for_later
+      ON wishlists(customer_id) WHERE list_type = 'saved_for_later'
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS wishlist_items (
+        id SERIAL PRIMARY KEY,
+        wishlist_id INTEGER NOT NULL REFERENCES wishlists(id) ON DELETE CASCADE,
+        product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE,
+        quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity > 0),
+        price_when_added DECIMAL(10,2),
+        added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_wishlist_items_unique
+      ON wishlist_items(wishlist_id, product_id, (COALESCE(variant_id, 0)))
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_wishlist_items_product_id
+      ON wishlist_items(product_id)
+    `);
+
+    logger.info('✅ Wishlists tables created successfully');
+  } catch (error) {
+    logger.error('Error creating wishlists tables:', error);
+    throw error;
+  }
+}
+
+module.exports = createWishlistsTables;
+
+// Run if called directly
+if (require.main === module) {
+  createWishlistsTables()
+    .then(() => {
+      logger.info('Migration completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
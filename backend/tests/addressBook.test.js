@@ -0,0 +1,95 @@
+const { validateAddressInput, formatAddress, getAddressKey } = require('../utils/addressBook');
+
+const VALID_ADDRESS = {
+  label: ' Home ',
+  fullName: 'Ama Mensah',
+  phone: '+1 (212) 555-0100',
+  address: '350 5th Ave',
+  city: 'New York',
+  state: 'NY',
+  zipCode: '10118',
+};
+
+describe('Address book', () => {
+  describe('validateAddressInput', () => {
+    it('trims the fields and fills in the defaults', () => {
+      const { errors, address } = validateAddressInput(VALID_ADDRESS);
+
+      expect(errors).toEqual([]);
+      expect(address).toEqual({
+        label: 'Home',
+        fullName: 'Ama Mensah',
+        phone: '+1 (212) 555-0100',
+        address: '350 5th Ave',
+        city: 'New York',
+        state: 'NY',
+        zipCode: '10118',
+        country: 'United States',
+        deliveryInstructions: null,
+        isDefault: false,
+      });
+    });
+
+    it('requires the delivery fields', () => {
+      const { errors } = validateAddressInput({ fullName: '  ', phone: '555-0100' });
+
+      expect(errors).toEqual([
+        'Full name is required',
+        'Address is required',
+        'City is required',
+        'State is required',
+        'ZIP code is required',
+      ]);
+    });
+
+    it('rejects malformed phone numbers and values too long for their columns', () => {
+      const { errors } = validateAddressInput({ ...VALID_ADDRESS, phone: 'call me', label: 'x'.repeat(51) });
+
+      expect(errors).toEqual(['Please enter a valid phone number', 'Label must be at most 50 characters']);
+    });
+
+    it('only makes an address the default when asked to explicitly', () => {
+      expect(validateAddressInput({ ...VALID_ADDRESS, isDefault: 'true' }).address.isDefault).toBe(false);
+      expect(validateAddressInput({ ...VALID_ADDRESS, isDefault: true }).address.isDefault).toBe(true);
+    });
+  });
+
+  describe('formatAddress', () => {
+    it('uses the checkout form\'s field names', () => {
+      expect(formatAddress({
+        id: 9,
+        label: null,
+        full_name: 'Ama Mensah',
+        phone: '555-0100',
+        address: '350 5th Ave',
+        city: 'New York',
+        state: 'NY',
+        zip_code: '10118',
+        country: 'United States',
+        delivery_instructions: 'Ring twice',
+        is_default: true,
+      })).toEqual({
+        id: 9,
+        label: null,
+        fullName: 'Ama Mensah',
+        phone: '555-0100',
+        address: '350 5th Ave',
+        city: 'New York',
+        state: 'NY',
+        zipCode: '10118',
+        country: 'United States',
+        deliveryInstructions: 'Ring twice',
+        isDefault: true,
+      });
+    });
+  });
+
+  describe('getAddressKey', () => {
+    it('matches the same place whatever the casing or spacing', () => {
+      expect(getAddressKey({ address: '350  5th Ave ', city: 'NEW YORK', zipCode: '10118' }))
+        .toBe(getAddressKey({ address: '350 5th ave', city: 'New York', zipCode: ' 10118' }));
+      expect(getAddressKey({ address: '350 5th Ave', city: 'New York', zipCode: '10118' }))
+        .not.toBe(getAddressKey({ address: '350 5th Ave', city: 'New York', zipCode: '10001' }));
+    });
+  });
+});
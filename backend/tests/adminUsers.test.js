@@ -0,0 +1,294 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the database module
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn(),
+    connect: jest.fn(),
+  },
+}));
+
+// Mock the logger module
+jest.mock('../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+jest.mock('stripe', () => () => ({}));
+
+jest.mock('../routes/auth', () => ({
+  authenticateSession: () => (req, res, next) => next(),
+  authenticateAdmin: (req, res, next) => {
+    req.user = { userId: 1 };
+    next();
+  },
+}));
+
+jest.mock('../config/r2', () => ({}));
+jest.mock('../utils/emailService', () => ({
+  sendDriverVerificationUpdate: jest.fn(),
+}));
+
+jest.mock('../routes/notifications', () => ({
+  createNotification: jest.fn(),
+}));
+
+jest.mock('../utils/sessionUtils', () => ({
+  getUserSessions: jest.fn(),
+  destroyUserSessions: jest.fn(),
+}));
+
+jest.mock('../utils/dispatch', () => ({
+  ...jest.requireActual('../utils/dispatch'),
+  releaseDriverOffers: jest.fn(),
+  reassignDriverOrders: jest.fn(),
+}));
+
+const { pool } = require('../config/database');
+const emailService = require('../utils/emailService');
+const { destroyUserSessions } = require('../utils/sessionUtils');
+const { releaseDriverOffers, reassignDriverOrders } = require('../utils/dispatch');
+const adminRoutes = require('../routes/admin');
+const driverRoutes = require('../routes/drivers');
+const { routeQueries, queriesMatching } = require('./helpers/mockQueries');
+
+const SUSPENDED_DRIVER = {
+  id: 12,
+  email: 'kofi@example.com',
+  full_name: 'Kofi Mensah',
+  status: 'inactive',
+  suspension_reason: 'Repeated late deliveries',
+};
+
+describe('Admin user management', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/admin', adminRoutes);
+
+    destroyUserSessions.mockResolvedValue(2);
+    releaseDriverOffers.mockResolvedValue(1);
+    reassignDriverOrders.mockResolvedValue([31, 32]);
+  });
+
+  describe('GET /users', () => {
+    it('filters on type, account status and search text and summarises every type', async () => {
+      pool.query = routeQueries([
+        ['COUNT(*) as total FROM', { rows: [{ total: '21' }] }],
+        ['GROUP BY u.user_type', {
+          rows: [
+            { user_type: 'customer', total: '40', suspended: '2' },
+            { user_type: 'driver', total: '21', suspended: '3' },
+          ],
+        }],
+        ['SELECT u.* FROM', { rows: [{ id: 12, user_type: 'driver', account_status: 'suspended' }] }],
+      ]);
+
+      const response = await request(app)
+        .get('/api/admin/users?type=driver&status=suspended&q=%20kofi%20&limit=10&page=2');
+
+      expect(response.status).toBe(200);
+      expect(response.body.summary).toEqual({
+        customer: { total: 40, suspended: 2 },
+        driver: { total: 21, suspended: 3 },
+      });
+      expect(response.body.pagination).toEqual({ page: 2, limit: 10, total: 21, pages: 3 });
+
+      const [sql, params] = queriesMatching(pool.query, 'SELECT u.* FROM')[0];
+      expect(sql).toContain('u.user_type = $1');
+      expect(sql).toContain('u.account_status = $2');
+      expect(sql).toContain('u.email ILIKE $3');
+      expect(params).toEqual(['driver', 'suspended', '%kofi%', '10', 10]);
+    });
+
+    it('ignores account types it does not manage', async () => {
+      pool.query = routeQueries([
+        ['COUNT(*) as total FROM', { rows: [{ total: '0' }] }],
+      ]);
+
+      await request(app).get('/api/admin/users?type=supplier');
+
+      const [sql, params] = queriesMatching(pool.query, 'SELECT u.* FROM')[0];
+      expect(sql).not.toContain('WHERE');
+      expect(params).toEqual([20, 0]);
+    });
+  });
+
+  describe('POST /users/:type/:id/suspend', () => {
+    it('suspends a customer and revokes their sessions', async () => {
+      pool.query = routeQueries([
+        ['UPDATE customers', { rows: [{ id: 5, email: 'ama@example.com', status: 'suspended' }] }],
+      ]);
+
+      const response = await request(app).post('/api/admin/users/customer/5/suspend');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({ id: 5, email: 'ama@example.com', status: 'suspended', sessionsRevoked: 2 });
+      expect(queriesMatching(pool.query, 'UPDATE customers')[0][1]).toEqual(['suspended', 5]);
+      expect(destroyUserSessions).toHaveBeenCalledWith('5', 'customer');
+      expect(reassignDriverOrders).not.toHaveBeenCalled();
+    });
+
+    it('will not let admins suspend themselves', async () => {
+      pool.query = routeQueries();
+
+      const response = await request(app).post('/api/admin/users/admin/1/suspend');
+
+      expect(response.status).toBe(400);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('requires a reason to suspend a driver', async () => {
+      pool.query = routeQueries();
+
+      const response = await request(app).post('/api/admin/users/driver/12/suspend').send({ reason: '  ' });
+
+      expect(response.status).toBe(400);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('locks a suspended driver out and hands their offers and orders to other drivers', async () => {
+      pool.query = routeQueries([
+        ['UPDATE drivers', { rows: [SUSPENDED_DRIVER] }],
+      ]);
+
+      const response = await request(app)
+        .post('/api/admin/users/driver/12/suspend')
+        .send({ reason: 'Repeated late deliveries' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({
+        ...SUSPENDED_DRIVER,
+        sessionsRevoked: 2,
+        offersReleased: 1,
+        reassignedOrders: [31, 32],
+      });
+      expect(queriesMatching(pool.query, 'UPDATE drivers')[0][1]).toEqual(['Repeated late deliveries', 12]);
+      expect(destroyUserSessions).toHaveBeenCalledWith('12', 'driver');
+      expect(releaseDriverOffers).toHaveBeenCalledWith(12);
+      expect(reassignDriverOrders).toHaveBeenCalledWith(12);
+      expect(emailService.sendDriverVerificationUpdate).toHaveBeenCalledWith(
+        'kofi@example.com', 'Kofi Mensah', { decision: 'suspended', reason: 'Repeated late deliveries' },
+      );
+    });
+
+    it('answers 404 for a missing driver without touching dispatch', async () => {
+      pool.query = routeQueries();
+
+      const response = await request(app)
+        .post('/api/admin/users/driver/404/suspend')
+        .send({ reason: 'Fraud' });
+
+      expect(response.status).toBe(404);
+      expect(releaseDriverOffers).not.toHaveBeenCalled();
+      expect(reassignDriverOrders).not.toHaveBeenCalled();
+    });
+
+    it('rejects unknown account types', async () => {
+      const response = await request(app).post('/api/admin/users/supplier/5/suspend');
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /users/:type/:id/reactivate', () => {
+    it('brings a suspended driver back offline', async () => {
+      pool.query = routeQueries([
+        ['UPDATE drivers', { rows: [{ id: 12, email: 'kofi@example.com', status: 'offline' }] }],
+      ]);
+
+      const response = await request(app).post('/api/admin/users/driver/12/reactivate');
+
+      expect(response.status).toBe(200);
+      const [sql, params] = queriesMatching(pool.query, 'UPDATE drivers')[0];
+      expect(sql).toContain('suspension_reason = NULL');
+      expect(params).toEqual(['offline', 12, 'inactive']);
+    });
+
+    it('answers 404 when the user is not suspended', async () => {
+      pool.query = routeQueries();
+
+      const response = await request(app).post('/api/admin/users/customer/5/reactivate');
+
+      expect(response.status).toBe(404);
+      const [sql, params] = queriesMatching(pool.query, 'UPDATE customers')[0];
+      expect(sql).not.toContain('suspension_reason');
+      expect(params).toEqual(['active', 5, 'suspended']);
+    });
+  });
+});
+
+describe('Driver authentication', () => {
+  let session;
+  let app;
+
+  beforeEach(() => {
+    session = { userId: 12, userType: 'driver', email: 'kofi@example.com', destroy: jest.fn() };
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.session = session;
+      next();
+    });
+    app.use('/api/drivers', driverRoutes);
+  });
+
+  it('checks the driver is still active on every request', async () => {
+    pool.query = routeQueries([
+      ['SELECT status FROM drivers', { rows: [{ status: 'online' }] }],
+    ]);
+
+    const response = await request(app).put('/api/drivers/location').send({ latitude: 5.6, longitude: -0.19 });
+
+    expect(response.status).toBe(200);
+    expect(queriesMatching(pool.query, 'SELECT status FROM drivers')[0][1]).toEqual([12]);
+  });
+
+  it('clears the session of a suspended driver', async () => {
+    pool.query = routeQueries([
+      ['SELECT status FROM drivers', { rows: [{ status: 'inactive' }] }],
+    ]);
+
+    const response = await request(app).put('/api/drivers/location').send({ latitude: 5.6, longitude: -0.19 });
+
+    expect(response.status).toBe(403);
+    expect(session.destroy).toHaveBeenCalled();
+    expect(queriesMatching(pool.query, 'UPDATE drivers')).toHaveLength(0);
+  });
+
+  it('doesn\'t let a driver suspended mid-request change their availability', async () => {
+    pool.query = routeQueries([
+      ['SELECT status FROM drivers', { rows: [{ status: 'online' }] }],
+    ]);
+
+    const response = await request(app).put('/api/drivers/status').send({ status: 'offline' });
+
+    expect(response.status).toBe(403);
+    const [sql, params] = queriesMatching(pool.query, 'UPDATE drivers')[0];
+    expect(sql).toContain('AND status <> \'inactive\'');
+    expect(params).toEqual(['offline', 12]);
+  });
+
+  it('clears the session of a driver that no longer exists', async () => {
+    pool.query = routeQueries();
+
+    const response = await request(app).get('/api/drivers/profile');
+
+    expect(response.status).toBe(403);
+    expect(session.destroy).toHaveBeenCalled();
+  });
+
+  it('turns away other account types before touching the database', async () => {
+    session.userType = 'customer';
+    pool.query = routeQueries();
+
+    const response = await request(app).get('/api/drivers/profile');
+
+    expect(response.status).toBe(403);
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+});
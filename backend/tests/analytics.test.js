@@ -0,0 +1,216 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the database module
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn(),
+    connect: jest.fn(),
+  },
+}));
+
+// Mock the logger module
+jest.mock('../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+jest.mock('stripe', () => () => ({}));
+
+jest.mock('../routes/auth', () => ({
+  authenticateSession: () => (req, res, next) => next(),
+  authenticateAdmin: (req, res, next) => {
+    req.user = { userId: 1 };
+    next();
+  },
+}));
+
+jest.mock('../config/r2', () => ({}));
+jest.mock('../utils/emailService', () => ({}));
+
+jest.mock('../routes/notifications', () => ({
+  createNotification: jest.fn(),
+}));
+
+const { pool } = require('../config/database');
+const { paidOrderSql, parseTimeRange, resolveBucket, percentChange } = require('../utils/analytics');
+const adminRoutes = require('../routes/admin');
+const { routeQueries, queriesMatching } = require('./helpers/mockQueries');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Analytics helpers', () => {
+  it('resolves a time range and the window before it', () => {
+    const range = parseTimeRange('7days');
+
+    expect(range.timeRange).toBe('7days');
+    expect(range.endDate - range.startDate).toBe(7 * DAY);
+    expect(range.startDate - range.previousStartDate).toBe(7 * DAY);
+  });
+
+  it('falls back to 30 days for unknown ranges', () => {
+    const range = parseTimeRange('forever');
+
+    expect(range.timeRange).toBe('30days');
+    expect(range.days).toBe(30);
+  });
+
+  it('keeps revenue series short unless a bucket is asked for', () => {
+    expect(resolveBucket(undefined, 30)).toBe('day');
+    expect(resolveBucket(undefined, 90)).toBe('week');
+    expect(resolveBucket(undefined, 365)).toBe('month');
+    expect(resolveBucket('day', 365)).toBe('day');
+    expect(resolveBucket('hour', 7)).toBe('day');
+  });
+
+  it('only reports a change when there is something to compare against', () => {
+    expect(percentChange(150, 100)).toBe(50);
+    expect(percentChange(2, 3)).toBe(-33.3);
+    expect(percentChange(10, 0)).toBeNull();
+  });
+
+  it('counts orders that were paid for and not cancelled', () => {
+    expect(paidOrderSql('o')).toBe('o.status NOT IN (\'pending\', \'cancelled\')');
+  });
+});
+
+describe('Admin analytics', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/admin', adminRoutes);
+  });
+
+  describe('GET /analytics/overview', () => {
+    it('compares the range with the one before it', async () => {
+      pool.query = jest.fn()
+        .mockResolvedValueOnce({
+          rows: [{
+            total_orders: '4',
+            total_revenue: '300.00',
+            commission_earned: '30.00',
+            refunded_orders: '1',
+            refunded_amount: '25.00',
+          }],
+        })
+        .mockResolvedValueOnce({
+          rows: [{
+            total_orders: '2',
+            total_revenue: '200.00',
+            commission_earned: '20.00',
+            refunded_orders: '0',
+            refunded_amount: '0',
+          }],
+        });
+
+      const response = await request(app).get('/api/admin/analytics/overview?timeRange=7days');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        timeRange: '7days',
+        totalOrders: 4,
+        totalRevenue: 300,
+        averageOrderValue: 75,
+        commissionEarned: 30,
+        refundedOrders: 1,
+        refundedAmount: 25,
+        refundRate: 25,
+        changes: {
+          totalRevenue: 50,
+          totalOrders: 100,
+          averageOrderValue: -25,
+          commissionEarned: 50,
+          refundRate: null,
+        },
+      });
+
+      const [sql, currentParams] = pool.query.mock.calls[0];
+      const previousParams = pool.query.mock.calls[1][1];
+      expect(sql).toContain('FROM refunds');
+      expect(sql).toContain(paidOrderSql('o'));
+      expect(previousParams[1]).toEqual(currentParams[0]);
+      expect(currentParams[1] - currentParams[0]).toBe(7 * DAY);
+    });
+
+    it('reports zeros rather than dividing by an empty range', async () => {
+      pool.query = routeQueries([
+        ['FROM orders o', {
+          rows: [{ total_orders: '0', total_revenue: '0', commission_earned: '0', refunded_orders: '0', refunded_amount: '0' }],
+        }],
+      ]);
+
+      const response = await request(app).get('/api/admin/analytics/overview');
+
+      expect(response.body.data).toMatchObject({ averageOrderValue: 0, refundRate: 0 });
+    });
+  });
+
+  describe('GET /analytics/revenue', () => {
+    it('buckets the series by week for a 90 day range', async () => {
+      pool.query = routeQueries([
+        ['generate_series', { rows: [{ period: '2026-09-07T00:00:00.000Z', revenue: '0', orders: '0' }] }],
+      ]);
+
+      const response = await request(app).get('/api/admin/analytics/revenue?timeRange=90days');
+
+      expect(response.body.data).toEqual({
+        timeRange: '90days',
+        bucket: 'week',
+        series: [{ period: '2026-09-07T00:00:00.000Z', revenue: 0, orders: 0 }],
+      });
+      expect(queriesMatching(pool.query, 'generate_series')[0][1][2]).toBe('week');
+    });
+  });
+
+  describe('GET /analytics/customers', () => {
+    it('splits customers who ordered into new and returning', async () => {
+      pool.query = routeQueries([
+        ['first_orders', {
+          rows: [{ new_customers: '3', returning_customers: '1', guest_orders: '2', signups: '5' }],
+        }],
+      ]);
+
+      const response = await request(app).get('/api/admin/analytics/customers');
+
+      expect(response.body.data).toEqual({
+        newCustomers: 3,
+        returningCustomers: 1,
+        returningRate: 25,
+        guestOrders: 2,
+        signups: 5,
+      });
+      const [sql, params] = queriesMatching(pool.query, 'first_orders')[0];
+      expect(sql).toContain('f.first_order_at >= $1');
+      expect(params[1] - params[0]).toBe(30 * DAY);
+    });
+  });
+
+  describe('GET /analytics/top-stores', () => {
+    it('caps the number of stores returned', async () => {
+      pool.query = routeQueries([
+        ['FROM order_items oi', {
+          rows: [{ id: 3, store_name: 'Accra Pantry', orders: '4', units_sold: '9', revenue: '120.50' }],
+        }],
+      ]);
+
+      const response = await request(app).get('/api/admin/analytics/top-stores?limit=500');
+
+      expect(response.body.data).toEqual([
+        { id: 3, storeName: 'Accra Pantry', orders: 4, unitsSold: 9, revenue: 120.5 },
+      ]);
+      expect(queriesMatching(pool.query, 'FROM order_items oi')[0][1][2]).toBe(50);
+    });
+  });
+
+  it('answers 500 when the database fails', async () => {
+    pool.query = jest.fn().mockRejectedValue(new Error('connection reset'));
+
+    const response = await request(app).get('/api/admin/analytics/orders-by-status');
+
+    expect(response.status).toBe(500);
+    expect(response.body.message).toBe('Failed to fetch order status analytics');
+  });
+});
@@ -0,0 +1,201 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the database module
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn(),
+    connect: jest.fn(),
+  },
+}));
+
+// Mock the logger module
+jest.mock('../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const mockStripe = {
+  paymentIntents: {
+    create: jest.fn(),
+    cancel: jest.fn(),
+  },
+};
+
+jest.mock('stripe', () => () => mockStripe);
+
+jest.mock('../routes/auth', () => ({
+  authenticateSession: () => (req, res, next) => next(),
+}));
+
+jest.mock('../routes/notifications', () => ({
+  createNotification: jest.fn(),
+}));
+
+jest.mock('../utils/emailService', () => ({}));
+
+jest.mock('../utils/geocoding', () => ({
+  geocodeAddress: jest.fn().mockResolvedValue(null),
+  haversineKm: jest.fn(),
+}));
+
+jest.mock('../utils/storeSettings', () => ({
+  checkStoreOrderRules: jest.fn().mockResolvedValue(null),
+}));
+
+jest.mock('../utils/deliveryPricing', () => ({
+  quoteDelivery: jest.fn(),
+  getStoreFundedDelivery: jest.fn(() => 0),
+}));
+
+jest.mock('../utils/tax', () => ({
+  quoteTax: jest.fn().mockResolvedValue({ addedTax: 0, taxAmount: 0, includedTax: 0, breakdown: {}, lines: [] }),
+  recordTaxLines: jest.fn(),
+  getStoreIncludedTax: jest.fn(() => 0),
+  formatTaxLine: jest.fn(),
+}));
+
+jest.mock('../utils/stripeCustomers', () => ({
+  getSavedCardParams: jest.fn().mockResolvedValue({}),
+  listSavedCards: jest.fn(),
+  removeSavedCard: jest.fn(),
+}));
+
+const { pool } = require('../config/database');
+const { quoteDelivery } = require('../utils/deliveryPricing');
+const { createFixtureRateProvider, setRateProvider } = require('../utils/exchangeRates');
+const checkoutRoutes = require('../routes/checkout');
+const { routeQueries, queriesMatching } = require('./helpers/mockQueries');
+
+const DELIVERY_INFO = {
+  fullName: 'Ama Owusu',
+  email: 'ama@example.com',
+  phone: '0244000000',
+  address: '12 Oxford Street',
+  city: 'Accra',
+  state: 'Greater Accra',
+  zipCode: '00233',
+};
+
+const CART_ITEM = {
+  product_id: 21,
+  quantity: 2,
+  name: 'Shito',
+  store_id: null,
+  price: '6.50',
+  price_currency: 'USD',
+  stock_quantity: 10,
+};
+
+describe('POST /checkout/process', () => {
+  let app;
+  let client;
+
+  const createClient = (handlers = []) => ({
+    query: routeQueries([
+      ...handlers,
+      ['FROM cart_items ci', { rows: [CART_ITEM] }],
+      ['INSERT INTO orders', { rows: [{ id: 70, created_at: '2026-10-18T12:00:00.000Z' }] }],
+    ]),
+    release: jest.fn(),
+  });
+
+  const checkout = (body = {}) => request(app)
+    .post('/api/checkout/process')
+    .set('x-session-id', 'guest-1')
+    .send({ deliveryInfo: DELIVERY_INFO, ...body });
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/checkout', checkoutRoutes);
+    client = createClient();
+    pool.connect = jest.fn().mockResolvedValue(client);
+    quoteDelivery.mockResolvedValue({ deliveryFee: 5, breakdown: {} });
+    mockStripe.paymentIntents.create.mockResolvedValue({ id: 'pi_70', client_secret: 'pi_70_secret' });
+    mockStripe.paymentIntents.cancel.mockResolvedValue({ id: 'pi_70', status: 'canceled' });
+  });
+
+  it('creates the order and holds the stock for the PaymentIntent', async () => {
+    const response = await checkout().expect(200);
+
+    expect(response.body.data).toMatchObject({ orderId: 70, paymentIntentId: 'pi_70', totalAmount: 18 });
+    expect(mockStripe.paymentIntents.create).toHaveBeenCalledWith(expect.objectContaining({ amount: 1800, currency: 'usd' }));
+    expect(queriesMatching(client.query, 'INSERT INTO orders')[0][1][5]).toBe('pi_70');
+    expect(queriesMatching(client.query, 'INSERT INTO stock_reservations')[0][1].slice(0, 4)).toEqual([70, 21, null, 2]);
+    expect(client.query.mock.calls.pop()[0]).toBe('COMMIT');
+    expect(mockStripe.paymentIntents.cancel).not.toHaveBeenCalled();
+  });
+
+  it('cancels the PaymentIntent when the order can\'t be saved', async () => {
+    client = createClient([
+      ['INSERT INTO stock_reservations', () => Promise.reject(new Error('deadlock detected'))],
+    ]);
+    pool.connect = jest.fn().mockResolvedValue(client);
+
+    await checkout().expect(500);
+
+    expect(client.query.mock.calls.pop()[0]).toBe('ROLLBACK');
+    expect(mockStripe.paymentIntents.cancel).toHaveBeenCalledWith('pi_70', { cancellation_reason: 'abandoned' });
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('still answers when the PaymentIntent can\'t be cancelled either', async () => {
+    client = createClient([
+      ['INSERT INTO orders', () => Promise.reject(new Error('connection reset'))],
+    ]);
+    pool.connect = jest.fn().mockResolvedValue(client);
+    mockStripe.paymentIntents.cancel.mockRejectedValue(new Error('Stripe is unavailable'));
+
+    const response = await checkout().expect(500);
+
+    expect(response.body.message).toBe('Failed to process checkout');
+    expect(mockStripe.paymentIntents.cancel).toHaveBeenCalledWith('pi_70', { cancellation_reason: 'abandoned' });
+  });
+
+  it('doesn\'t touch Stripe when checkout fails before a PaymentIntent exists', async () => {
+    quoteDelivery.mockRejectedValue(new Error('No delivery rates configured'));
+
+    await checkout().expect(500);
+
+    expect(mockStripe.paymentIntents.create).not.toHaveBeenCalled();
+    expect(mockStripe.paymentIntents.cancel).not.toHaveBeenCalled();
+  });
+
+  describe('minimum charge', () => {
+    beforeEach(() => {
+      setRateProvider(createFixtureRateProvider());
+      client = createClient([
+        ['FROM cart_items ci', { rows: [{ ...CART_ITEM, quantity: 1, price: '0.20' }] }],
+      ]);
+      pool.connect = jest.fn().mockResolvedValue(client);
+      quoteDelivery.mockResolvedValue({ deliveryFee: 0.2, breakdown: {} });
+    });
+
+    afterEach(() => {
+      setRateProvider(null);
+    });
+
+    it('checks the minimum in the currency being charged', async () => {
+      const response = await checkout({ currency: 'KES' }).expect(400);
+
+      expect(response.body.message).toMatch(/^Order total after discount must be at least KES\s64\.75$/);
+      expect(client.query.mock.calls.pop()[0]).toBe('ROLLBACK');
+      expect(mockStripe.paymentIntents.create).not.toHaveBeenCalled();
+    });
+
+    it('quotes the platform minimum for platform currency checkouts', async () => {
+      const response = await checkout().expect(400);
+
+      expect(response.body.message).toBe('Order total after discount must be at least $0.50');
+    });
+
+    it('accepts a total under the platform minimum when the charge currency\'s own minimum is met', async () => {
+      const response = await checkout({ currency: 'GBP' }).expect(200);
+
+      expect(response.body.data).toMatchObject({ totalAmount: 0.4, currency: 'GBP', chargedAmount: 0.32 });
+      expect(mockStripe.paymentIntents.create).toHaveBeenCalledWith(expect.objectContaining({ amount: 32, currency: 'gbp' }));
+    });
+  });
+});
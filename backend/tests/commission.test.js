@@ -0,0 +1,67 @@
+const {
+  FALLBACK_RATE_PERCENT,
+  loadCommissionRules,
+  resolveCommissionRate,
+  calculateCommission,
+  getTotalPlatformFee,
+} = require('../utils/commission');
+
+const RULE_ROWS = [
+  { scope: 'default', store_id: null, category: null, rate_percent: '12.00' },
+  { scope: 'store', store_id: 3, category: null, rate_percent: '8.00' },
+  { scope: 'category', store_id: null, category: 'Spices', rate_percent: '5.00' },
+];
+
+describe('Commission', () => {
+  let rules;
+
+  beforeEach(async () => {
+    rules = await loadCommissionRules({ query: jest.fn().mockResolvedValue({ rows: RULE_ROWS }) });
+  });
+
+  describe('resolveCommissionRate', () => {
+    it('prefers the store rate, then the category rate, then the default', () => {
+      expect(resolveCommissionRate(rules, { store_id: 3, category: 'spices' })).toBe(8);
+      expect(resolveCommissionRate(rules, { store_id: 4, category: 'SPICES' })).toBe(5);
+      expect(resolveCommissionRate(rules, { store_id: 4, category: 'Snacks' })).toBe(12);
+    });
+
+    it('falls back to the built-in rate without a default rule', async () => {
+      const empty = await loadCommissionRules({ query: jest.fn().mockResolvedValue({ rows: [] }) });
+
+      expect(resolveCommissionRate(empty, { store_id: 4, category: null })).toBe(FALLBACK_RATE_PERCENT);
+    });
+  });
+
+  describe('calculateCommission', () => {
+    const ITEMS = [
+      { store_id: 3, category: 'Snacks', price: '10.00', quantity: 2 },
+      { store_id: 4, category: 'Spices', price: '20.00', quantity: 1 },
+      { store_id: 4, category: 'Snacks', price: '20.00', quantity: 1 },
+      { store_id: null, category: 'Gift cards', price: '25.00', quantity: 1 },
+    ];
+
+    it('splits each store\'s share into its fee and net amount, ignoring platform items', () => {
+      const breakdown = calculateCommission(rules, ITEMS);
+
+      expect(breakdown).toEqual({
+        3: { grossAmount: 20, discountAmount: 0, netAmount: 20, feeAmount: 1.6, ratePercent: 8 },
+        4: { grossAmount: 40, discountAmount: 0, netAmount: 40, feeAmount: 3.4, ratePercent: 8.5 },
+      });
+      expect(getTotalPlatformFee(breakdown)).toBe(5);
+    });
+
+    it('charges the fee on what the store is paid after its own discounts', () => {
+      const breakdown = calculateCommission(rules, ITEMS, { 4: 10 });
+
+      expect(breakdown[4]).toEqual({ grossAmount: 40, discountAmount: 10, netAmount: 30, feeAmount: 2.55, ratePercent: 8.5 });
+      expect(breakdown[3].discountAmount).toBe(0);
+    });
+
+    it('never discounts a store below zero', () => {
+      const breakdown = calculateCommission(rules, ITEMS, { 3: 50 });
+
+      expect(breakdown[3]).toMatchObject({ discountAmount: 20, netAmount: 0, feeAmount: 0 });
+    });
+  });
+});
@@ -0,0 +1,141 @@
+// Mock the database module
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn(),
+    connect: jest.fn(),
+  },
+}));
+
+// Mock the logger module
+jest.mock('../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+// Mock notifications
+jest.mock('../routes/notifications', () => ({
+  createNotification: jest.fn(),
+}));
+
+const {
+  validateDeliveryRuleInput,
+  calculateDeliveryFee,
+  quoteDelivery,
+  getStoreFundedDelivery,
+} = require('../utils/deliveryPricing');
+
+const RULE = {
+  flatFee: 3,
+  distanceBands: [{ upToKm: 5, fee: 1 }, { upToKm: 15, fee: 4 }],
+  perKgFee: 0.5,
+  includedWeightKg: 2,
+  freeDeliveryThreshold: 100,
+};
+
+const ruleRow = (overrides = {}) => ({
+  id: 1,
+  scope: 'default',
+  store_id: null,
+  flat_fee: '3.00',
+  distance_bands: [{ up_to_km: 5, fee: 1 }, { up_to_km: 15, fee: 4 }],
+  per_kg_fee: '0.50',
+  included_weight_kg: '2.00',
+  free_delivery_threshold: '100.00',
+  ...overrides,
+});
+
+// Stores that are already geocoded, so quoting never calls the geocoder
+const STORES = [
+  { id: 3, store_name: 'Mama Africa', store_address: '350 5th Ave', latitude: '40.7506', longitude: '-73.9972', geocoded_address: '350 5th Ave' },
+  { id: 4, store_name: 'Spice Route', store_address: '200 Park Ave', latitude: '40.7536', longitude: '-73.9767', geocoded_address: '200 Park Ave' },
+];
+
+const createDb = (rules = [ruleRow()]) => ({
+  query: jest.fn(async (sql) => {
+    if (sql.includes('FROM delivery_pricing_rules')) {
+      return { rows: rules };
+    }
+    if (sql.includes('FROM stores')) {
+      return { rows: STORES };
+    }
+    return { rows: [] };
+  }),
+});
+
+const DESTINATION = { latitude: 40.7580, longitude: -73.9855 };
+
+describe('Delivery pricing', () => {
+  describe('calculateDeliveryFee', () => {
+    it('adds the flat fee, the covering distance band and weight over the allowance', () => {
+      expect(calculateDeliveryFee(RULE, { distanceKm: 7.2, weightKg: 5, subtotal: 40 })).toEqual({
+        flatFee: 3,
+        distanceFee: 4,
+        weightFee: 1.5,
+        fee: 8.5,
+        freeThresholdMet: false,
+      });
+    });
+
+    it('uses the last band beyond the furthest distance and none when the distance is unknown', () => {
+      expect(calculateDeliveryFee(RULE, { distanceKm: 40 }).distanceFee).toBe(4);
+      expect(calculateDeliveryFee(RULE, { distanceKm: null }).distanceFee).toBe(0);
+    });
+
+    it('is free once the subtotal reaches the threshold', () => {
+      expect(calculateDeliveryFee(RULE, { distanceKm: 3, subtotal: 100 })).toMatchObject({ fee: 0, freeThresholdMet: true });
+    });
+  });
+
+  describe('validateDeliveryRuleInput', () => {
+    it('sorts distance bands and rejects duplicate or negative values', () => {
+      const valid = validateDeliveryRuleInput({ flatFee: '2.5', distanceBands: [{ upToKm: 10, fee: 3 }, { upToKm: 5, fee: 1 }] });
+
+      expect(valid.errors).toEqual([]);
+      expect(valid.rule.distance_bands).toEqual([{ up_to_km: 5, fee: 1 }, { up_to_km: 10, fee: 3 }]);
+
+      const invalid = validateDeliveryRuleInput({ flatFee: -1, distanceBands: [{ upToKm: 5, fee: 1 }, { upToKm: 5, fee: 2 }] });
+      expect(invalid.errors).toEqual(['Flat fee cannot be negative', 'Each distance band needs a different distance']);
+    });
+  });
+
+  describe('quoteDelivery', () => {
+    const CART = [
+      { store_id: 3, price: '20.00', quantity: 1, weight_kg: '1.5' },
+      { store_id: 4, price: '30.00', quantity: 2, weight_kg: null },
+    ];
+
+    it('prices each store\'s delivery by its own rule or the default', async () => {
+      const db = createDb([ruleRow(), ruleRow({ id: 2, scope: 'store', store_id: 4, flat_fee: '6.00', distance_bands: [] })]);
+
+      const quote = await quoteDelivery(db, CART, { destination: DESTINATION });
+
+      expect(quote.breakdown[3]).toMatchObject({ storeName: 'Mama Africa', distanceFee: 1, fee: 4, charged: 4, fundedBy: 'customer' });
+      expect(quote.breakdown[3].distanceKm).toBeGreaterThan(0);
+      expect(quote.breakdown[4]).toMatchObject({ fee: 6, charged: 6 });
+      expect(quote.deliveryFee).toBe(10);
+    });
+
+    it('waives only the promoting store\'s delivery for a store free-delivery code', async () => {
+      const quote = await quoteDelivery(createDb(), CART, {
+        destination: DESTINATION,
+        promotion: { freeDelivery: true, fundedBy: 'store', storeId: 3 },
+      });
+
+      expect(quote.breakdown[3]).toMatchObject({ fee: 4, charged: 0, fundedBy: 'store' });
+      expect(quote.breakdown[4]).toMatchObject({ charged: 4, fundedBy: 'customer' });
+      expect(getStoreFundedDelivery(quote.breakdown, 3)).toBe(4);
+      expect(getStoreFundedDelivery(quote.breakdown, 4)).toBe(0);
+    });
+
+    it('waives every delivery for a platform free-delivery code', async () => {
+      const quote = await quoteDelivery(createDb(), CART, {
+        destination: DESTINATION,
+        promotion: { freeDelivery: true, fundedBy: 'platform', storeId: null },
+      });
+
+      expect(quote.deliveryFee).toBe(0);
+      expect(quote.breakdown[4].fundedBy).toBe('platform');
+    });
+  });
+});
@@ -0,0 +1,204 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the database module
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn(),
+    connect: jest.fn(),
+  },
+}));
+
+// Mock the logger module
+jest.mock('../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+jest.mock('stripe', () => () => ({}));
+
+jest.mock('../routes/notifications', () => ({
+  createNotification: jest.fn(),
+}));
+
+jest.mock('../utils/batching', () => ({
+  ...jest.requireActual('../utils/batching'),
+  completeStop: jest.fn(),
+}));
+
+jest.mock('../utils/driverEarnings', () => ({
+  ...jest.requireActual('../utils/driverEarnings'),
+  recordDeliveryEarnings: jest.fn(),
+}));
+
+const { pool } = require('../config/database');
+const { generateDeliveryPin, verifyDeliveryPin } = require('../utils/deliveryProof');
+const driverRoutes = require('../routes/drivers');
+
+const createDb = (order, failedAttempts) => ({
+  query: jest.fn(async (sql) => {
+    if (sql.includes('SELECT delivery_pin')) {
+      return { rows: order ? [order] : [] };
+    }
+    if (sql.includes('RETURNING delivery_pin_failed_attempts')) {
+      return { rows: [{ delivery_pin_failed_attempts: failedAttempts }] };
+    }
+    return { rows: [] };
+  }),
+});
+
+const ORDER = { delivery_pin: '0427', delivery_pin_failed_attempts: 0, recently_failed: false };
+
+describe('Delivery proof', () => {
+  describe('generateDeliveryPin', () => {
+    it('generates zero-padded 4-digit PINs', () => {
+      for (let i = 0; i < 50; i++) {
+        expect(generateDeliveryPin()).toMatch(/^\d{4}$/);
+      }
+    });
+  });
+
+  describe('verifyDeliveryPin', () => {
+    it('locks the order row while checking the PIN', async () => {
+      const db = createDb(ORDER);
+
+      await verifyDeliveryPin(7, '0427', db);
+
+      expect(db.query.mock.calls[0][0]).toContain('FOR UPDATE');
+    });
+
+    it('does not ask for a PIN on orders without one', async () => {
+      const db = createDb({ ...ORDER, delivery_pin: null });
+
+      expect(await verifyDeliveryPin(7, '1234', db)).toEqual({ status: 'not_required' });
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('records the handover when the PIN matches', async () => {
+      const db = createDb(ORDER);
+
+      expect(await verifyDeliveryPin(7, ' 0427 ', db)).toEqual({ status: 'verified' });
+      expect(db.query.mock.calls[1][0]).toContain('delivery_pin_verified_at = CURRENT_TIMESTAMP');
+    });
+
+    it('asks for the PIN when the driver sends none', async () => {
+      expect(await verifyDeliveryPin(7, undefined, createDb(ORDER))).toEqual({ status: 'missing' });
+    });
+
+    it('counts wrong PINs and reports the attempts left', async () => {
+      const db = createDb(ORDER, 2);
+
+      expect(await verifyDeliveryPin(7, '1111', db)).toEqual({ status: 'incorrect', attemptsLeft: 3 });
+      expect(db.query.mock.calls[1][0]).toContain('delivery_pin_failed_attempts + 1');
+    });
+
+    it('locks the driver out after five wrong PINs until the wait is over', async () => {
+      const locked = createDb({ ...ORDER, delivery_pin_failed_attempts: 5, recently_failed: true });
+
+      expect(await verifyDeliveryPin(7, '0427', locked)).toEqual({ status: 'locked', attemptsLeft: 0 });
+      expect(locked.query).toHaveBeenCalledTimes(1);
+
+      const waited = createDb({ ...ORDER, delivery_pin_failed_attempts: 5, recently_failed: false });
+      expect(await verifyDeliveryPin(7, '0427', waited)).toEqual({ status: 'verified' });
+    });
+  });
+
+  describe('PUT /api/drivers/orders/:id/status', () => {
+    let app;
+    let client;
+    let order;
+
+    beforeEach(() => {
+      order = { id: 7, status: 'in_transit', ...ORDER };
+      client = {
+        query: jest.fn(async (sql) => {
+          if (sql.includes('SELECT id, status FROM orders')) {
+            return { rows: order ? [{ id: order.id, status: order.status }] : [] };
+          }
+          if (sql.includes('SELECT delivery_pin')) {
+            return { rows: [order] };
+          }
+          if (sql.includes('RETURNING delivery_pin_failed_attempts')) {
+            return { rows: [{ delivery_pin_failed_attempts: order.delivery_pin_failed_attempts + 1 }] };
+          }
+          return { rows: [] };
+        }),
+        release: jest.fn(),
+      };
+      pool.connect.mockResolvedValue(client);
+      pool.query.mockResolvedValue({ rows: [{ status: 'busy' }] });
+
+      app = express();
+      app.use(express.json());
+      app.use((req, res, next) => {
+        req.session = { userId: 4, userType: 'driver' };
+        next();
+      });
+      app.use('/api/drivers', driverRoutes);
+    });
+
+    const deliver = (pin) => request(app).put('/api/drivers/orders/7/status').send({ status: 'delivered', pin });
+
+    const statements = () => client.query.mock.calls.map(([sql]) => sql.trim());
+
+    it('checks the PIN and delivers the order in one transaction on the locked order row', async () => {
+      const response = await deliver('0427');
+
+      expect(response.status).toBe(200);
+      const sql = statements();
+      expect(sql[0]).toBe('BEGIN');
+      expect(sql[1]).toContain('FOR UPDATE');
+      expect(sql[2]).toContain('SELECT delivery_pin');
+      expect(sql.findIndex(statement => statement.includes('SET status = $1'))).toBeGreaterThan(2);
+      expect(sql.find(statement => statement.includes('UPDATE drivers'))).toContain('WHERE id = $1 AND status <> \'inactive\'');
+      expect(sql[sql.length - 1]).toBe('COMMIT');
+      expect(sql).not.toContain('ROLLBACK');
+      expect(pool.query.mock.calls.filter(([statement]) => statement.includes('delivery_pin'))).toHaveLength(0);
+    });
+
+    it('commits a wrong PIN attempt without delivering the order', async () => {
+      order.delivery_pin_failed_attempts = 3;
+
+      const response = await deliver('1111');
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Incorrect delivery PIN. 1 attempt left');
+      const sql = statements();
+      expect(sql.some(statement => statement.includes('delivery_pin_failed_attempts + 1'))).toBe(true);
+      expect(sql.some(statement => statement.includes('SET status = $1'))).toBe(false);
+      expect(sql[sql.length - 1]).toBe('COMMIT');
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('turns the driver away while they are locked out', async () => {
+      order.delivery_pin_failed_attempts = 5;
+      order.recently_failed = true;
+
+      const response = await deliver('0427');
+
+      expect(response.status).toBe(429);
+      expect(statements()).toContain('ROLLBACK');
+      expect(statements().some(statement => statement.includes('SET status = $1'))).toBe(false);
+    });
+
+    it('rejects orders that aren\'t on their way before looking at the PIN', async () => {
+      order.status = 'picked_up';
+
+      const response = await deliver('0427');
+
+      expect(response.status).toBe(400);
+      expect(statements().some(statement => statement.includes('SELECT delivery_pin'))).toBe(false);
+      expect(statements()).toContain('ROLLBACK');
+    });
+
+    it('answers 404 for orders assigned to someone else', async () => {
+      order = null;
+
+      const response = await deliver('0427');
+
+      expect(response.status).toBe(404);
+      expect(client.release).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,442 @@
+// Mock the database module
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn(),
+    connect: jest.fn(),
+  },
+}));
+
+// Mock the logger module
+jest.mock('../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+// Mock notifications
+jest.mock('../routes/notifications', () => ({
+  createNotification: jest.fn(),
+}));
+
+const { createNotification } = require('../routes/notifications');
+const {
+  createStubGeocoder,
+  createGeocoder,
+  setGeocoder,
+  geocodeAddress,
+  haversineKm,
+} = require('../utils/geocoding');
+const { pool } = require('../config/database');
+const { rankDrivers, offerOrder, reassignDriverOrders } = require('../utils/dispatch');
+const { sequenceStops, canJoinBatch } = require('../utils/batching');
+const { routeQueries } = require('./helpers/mockQueries');
+
+const FIXTURES = [
+  { zipCode: '10001', city: 'New York', latitude: 40.7506, longitude: -73.9972 },
+  { zipCode: '60601', city: 'Chicago', latitude: 41.8853, longitude: -87.6216 },
+];
+
+const PICKUP = { latitude: 40.7506, longitude: -73.9972 };
+
+describe('Geocoding', () => {
+  afterEach(() => {
+    setGeocoder(null);
+  });
+
+  it('measures great-circle distance in kilometres', () => {
+    const distance = haversineKm(FIXTURES[0], FIXTURES[1]);
+    expect(distance).toBeGreaterThan(1140);
+    expect(distance).toBeLessThan(1150);
+    expect(haversineKm(PICKUP, PICKUP)).toBe(0);
+  });
+
+  it('stub geocoder matches on ZIP code, then city, then single-line addresses', async () => {
+    const geocoder = createStubGeocoder(FIXTURES);
+
+    expect(await geocoder.geocode({ zipCode: '60601', city: 'Somewhere' }))
+      .toEqual({ latitude: 41.8853, longitude: -87.6216 });
+    expect(await geocoder.geocode({ city: '  new york ' }))
+      .toEqual({ latitude: 40.7506, longitude: -73.9972 });
+    expect(await geocoder.geocode({ address: '233 S Wacker Dr, Chicago, IL' }))
+      .toEqual({ latitude: 41.8853, longitude: -87.6216 });
+    expect(await geocoder.geocode({ city: 'Houston', zipCode: '77002' })).toBeNull();
+  });
+
+  it('treats geocoder failures as no match', async () => {
+    setGeocoder({
+      geocode: jest.fn().mockRejectedValue(new Error('Service unavailable')),
+    });
+
+    expect(await geocodeAddress({ city: 'New York' })).toBeNull();
+  });
+
+  it('looks each address up once, sharing concurrent lookups', async () => {
+    const geocoder = { geocode: jest.fn().mockResolvedValue({ latitude: 40.7506, longitude: -73.9972 }) };
+    setGeocoder(geocoder);
+
+    const [first, second] = await Promise.all([
+      geocodeAddress({ address: '350 5th Ave', city: 'New York' }),
+      geocodeAddress({ address: '350  5th ave', city: 'NEW YORK' }),
+    ]);
+    const third = await geocodeAddress({ address: '350 5th Ave', city: 'New York' });
+
+    expect(first).toEqual({ latitude: 40.7506, longitude: -73.9972 });
+    expect(second).toEqual(first);
+    expect(third).toEqual(first);
+    expect(geocoder.geocode).toHaveBeenCalledTimes(1);
+  });
+
+  it('remembers addresses that were not found but retries after a failure', async () => {
+    const geocoder = {
+      geocode: jest.fn()
+        .mockResolvedValueOnce(null)
+        .mockRejectedValueOnce(new Error('Service unavailable'))
+        .mockResolvedValueOnce({ latitude: 41.8853, longitude: -87.6216 }),
+    };
+    setGeocoder(geocoder);
+
+    expect(await geocodeAddress({ city: 'Atlantis' })).toBeNull();
+    expect(await geocodeAddress({ city: 'Atlantis' })).toBeNull();
+    expect(await geocodeAddress({ city: 'Chicago' })).toBeNull();
+    expect(await geocodeAddress({ city: 'Chicago' })).toEqual({ latitude: 41.8853, longitude: -87.6216 });
+    expect(geocoder.geocode).toHaveBeenCalledTimes(3);
+  });
+
+  describe('createGeocoder', () => {
+    const env = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...env };
+    });
+
+    it('uses the stub when no provider is configured outside production', () => {
+      expect(createGeocoder(undefined).name).toBe('stub');
+    });
+
+    it('requires a provider in production', () => {
+      process.env.NODE_ENV = 'production';
+
+      expect(() => createGeocoder(undefined)).toThrow('GEOCODER_PROVIDER environment variable is required in production');
+    });
+
+    it('requires an endpoint for nominatim rather than defaulting to the public one', () => {
+      delete process.env.GEOCODER_URL;
+
+      expect(() => createGeocoder('nominatim')).toThrow('GEOCODER_URL is required');
+
+      process.env.GEOCODER_URL = 'https://geocoder.internal/search';
+      expect(createGeocoder('nominatim').name).toBe('nominatim');
+    });
+
+    it('rejects unknown providers', () => {
+      expect(() => createGeocoder('google')).toThrow('Unknown GEOCODER_PROVIDER "google"');
+    });
+  });
+});
+
+describe('Dispatch', () => {
+  const driver = (id, latitude, longitude, overrides = {}) => ({
+    id,
+    latitude,
+    longitude,
+    rating: '5.00',
+    active_orders: 0,
+    ...overrides,
+  });
+
+  describe('rankDrivers', () => {
+    it('prefers the nearest driver', () => {
+      const ranked = rankDrivers([
+        driver(1, 40.80, -73.95),
+        driver(2, 40.7510, -73.9970),
+      ], PICKUP);
+
+      expect(ranked.map(entry => entry.driverId)).toEqual([2, 1]);
+      expect(ranked[0].distanceKm).toBeLessThan(0.1);
+    });
+
+    it('weighs current load and rating against distance', () => {
+      const ranked = rankDrivers([
+        driver(1, 40.7510, -73.9970, { active_orders: 2 }),
+        driver(2, 40.7600, -73.9900),
+        driver(3, 40.7510, -73.9970, { rating: '3.00' }),
+      ], PICKUP);
+
+      expect(ranked.map(entry => entry.driverId)).toEqual([2, 3, 1]);
+    });
+
+    it('skips drivers without a location, out of range or at capacity', () => {
+      const ranked = rankDrivers([
+        driver(1, null, null),
+        driver(2, 41.8853, -87.6216),
+        driver(3, 40.7510, -73.9970, { active_orders: 3 }),
+        driver(4, 40.7600, -73.9900),
+      ], PICKUP, { maxDistanceKm: 25, maxActiveOrders: 3 });
+
+      expect(ranked.map(entry => entry.driverId)).toEqual([4]);
+    });
+
+    it('ranks on load and rating alone when the pickup has no location', () => {
+      const ranked = rankDrivers([
+        driver(1, null, null, { active_orders: 1 }),
+        driver(2, null, null),
+      ], null);
+
+      expect(ranked.map(entry => entry.driverId)).toEqual([2, 1]);
+      expect(ranked[0].distanceKm).toBeNull();
+    });
+  });
+
+  describe('offerOrder', () => {
+    afterEach(() => {
+      setGeocoder(null);
+    });
+
+    it('geocodes the addresses and offers the order to the best driver', async () => {
+      setGeocoder(createStubGeocoder(FIXTURES));
+
+      const db = { query: jest.fn() };
+      db.query
+        // order
+        .mockResolvedValueOnce({
+          rows: [{
+            id: 7, status: 'completed', driver_id: null, delivery_address: '1 Main St',
+            delivery_city: 'New York', delivery_zip: '10001', delivery_lat: null,
+          }],
+        })
+        // open offer
+        .mockResolvedValueOnce({ rows: [] })
+        // pickup store, not yet geocoded
+        .mockResolvedValueOnce({
+          rows: [{
+            id: 3, store_name: 'Mama Africa', store_address: '350 5th Ave, New York, NY 10001',
+            latitude: null, longitude: null, geocoded_address: null,
+          }],
+        })
+        // store geocode cache
+        .mockResolvedValueOnce({ rows: [] })
+        // delivery location
+        .mockResolvedValueOnce({ rows: [] })
+        // candidate drivers
+        .mockResolvedValueOnce({
+          rows: [driver(11, 40.80, -73.95), driver(12, 40.7510, -73.9970)],
+        })
+        // insert offer
+        .mockResolvedValueOnce({ rows: [{ id: 99, order_id: 7, driver_id: 12, status: 'offered' }] });
+
+      const offer = await offerOrder(db, 7);
+
+      expect(offer).toEqual({ id: 99, order_id: 7, driver_id: 12, status: 'offered' });
+      expect(db.query.mock.calls[3][1]).toEqual([40.7506, -73.9972, '350 5th Ave, New York, NY 10001', 3]);
+      expect(db.query.mock.calls[4][1]).toEqual([40.7506, -73.9972, 7]);
+      expect(db.query.mock.calls[6][1].slice(0, 3)).toEqual([7, 12, 3]);
+      expect(createNotification).toHaveBeenCalledWith(
+        12, 'driver', 'New delivery offer', expect.stringContaining('Mama Africa'), 'order', '/driver',
+      );
+    });
+
+    it('only offers busy drivers orders that fit their current batch', async () => {
+      const db = { query: jest.fn() };
+      db.query
+        // order, already geocoded
+        .mockResolvedValueOnce({
+          rows: [{ id: 8, status: 'completed', driver_id: null, delivery_lat: '40.7600', delivery_lng: '-73.9900' }],
+        })
+        // open offer
+        .mockResolvedValueOnce({ rows: [] })
+        // pickup store
+        .mockResolvedValueOnce({
+          rows: [{
+            id: 3, store_name: 'Mama Africa', store_address: '350 5th Ave',
+            latitude: '40.7506', longitude: '-73.9972', geocoded_address: '350 5th Ave',
+          }],
+        })
+        // candidate drivers: 11 is next to the store but carrying orders for elsewhere
+        .mockResolvedValueOnce({
+          rows: [
+            driver(11, 40.7507, -73.9972, { active_orders: 1 }),
+            driver(12, 40.7600, -73.9900, { active_orders: 1 }),
+          ],
+        })
+        // active batch stops
+        .mockResolvedValueOnce({
+          rows: [
+            { driver_id: 11, stop_type: 'dropoff', store_id: null, latitude: '41.8853', longitude: '-87.6216' },
+            { driver_id: 12, stop_type: 'pickup', store_id: 3, latitude: '40.7506', longitude: '-73.9972' },
+          ],
+        })
+        // insert offer
+        .mockResolvedValueOnce({ rows: [{ id: 100, order_id: 8, driver_id: 12, status: 'offered' }] });
+
+      const offer = await offerOrder(db, 8);
+
+      expect(offer.driver_id).toBe(12);
+      expect(db.query.mock.calls[4][1][0]).toEqual([11, 12]);
+    });
+
+    it('returns null without throwing when another run opened an offer first', async () => {
+      const db = { query: jest.fn() };
+      db.query
+        // order, already geocoded
+        .mockResolvedValueOnce({
+          rows: [{ id: 8, status: 'completed', driver_id: null, delivery_lat: '40.7600', delivery_lng: '-73.9900' }],
+        })
+        // open offer
+        .mockResolvedValueOnce({ rows: [] })
+        // pickup store
+        .mockResolvedValueOnce({
+          rows: [{
+            id: 3, store_name: 'Mama Africa', store_address: '350 5th Ave',
+            latitude: '40.7506', longitude: '-73.9972', geocoded_address: '350 5th Ave',
+          }],
+        })
+        // candidate drivers
+        .mockResolvedValueOnce({ rows: [driver(12, 40.7600, -73.9900)] })
+        // insert offer, skipped by ON CONFLICT DO NOTHING
+        .mockResolvedValueOnce({ rows: [] });
+
+      expect(await offerOrder(db, 8)).toBeNull();
+      expect(db.query.mock.calls[4][0]).toContain('ON CONFLICT DO NOTHING');
+      expect(createNotification).not.toHaveBeenCalled();
+    });
+
+    it('leaves assigned orders alone', async () => {
+      const db = { query: jest.fn().mockResolvedValueOnce({ rows: [{ id: 7, status: 'assigned', driver_id: 4 }] }) };
+
+      expect(await offerOrder(db, 7)).toBeNull();
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('returns null when no driver is available', async () => {
+      const db = { query: jest.fn() };
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 7, status: 'completed', driver_id: null, delivery_lat: '40.75' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      expect(await offerOrder(db, 7)).toBeNull();
+      expect(createNotification).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reassignDriverOrders', () => {
+    const createClient = (handlers) => ({
+      query: routeQueries(handlers),
+      release: jest.fn(),
+    });
+
+    it('unassigns the driver, closes their batch stops and dispatches the orders again', async () => {
+      const client = createClient([
+        ['FOR UPDATE', { rows: [{ id: 7, status: 'assigned' }, { id: 8, status: 'picked_up' }] }],
+        ['UPDATE delivery_batch_stops\n        SET status', { rows: [{ batch_id: 4 }, { batch_id: 4 }] }],
+      ]);
+      pool.connect.mockResolvedValue(client);
+      // The orders are gone by the time they are offered again, so offerOrder stops early
+      pool.query.mockResolvedValue({ rows: [] });
+
+      expect(await reassignDriverOrders(5)).toEqual([7, 8]);
+
+      const sql = client.query.mock.calls.map(([statement]) => statement);
+      expect(sql[0]).toBe('BEGIN');
+      expect(sql[sql.length - 1]).toBe('COMMIT');
+
+      const update = client.query.mock.calls.find(([statement]) => statement.includes('driver_id = NULL'));
+      expect(update[1][0]).toEqual([7, 8]);
+      expect(update[1][1]).toContain('Driver 5');
+
+      const tracking = client.query.mock.calls.find(([statement]) => statement.includes('delivery_tracking'));
+      expect(tracking[0]).toContain('\'reassigned\'');
+      expect(client.query.mock.calls.filter(([statement]) => statement.includes('UPDATE delivery_batches'))).toHaveLength(1);
+      expect(pool.query.mock.calls.filter(([statement]) => statement.includes('FROM orders'))).toHaveLength(2);
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('rolls back and rethrows when the reassignment fails', async () => {
+      const client = createClient([]);
+      client.query.mockImplementation(async (sql) => {
+        if (sql.includes('FOR UPDATE')) {
+          throw new Error('deadlock detected');
+        }
+        return { rows: [] };
+      });
+      pool.connect.mockResolvedValue(client);
+
+      await expect(reassignDriverOrders(5)).rejects.toThrow('deadlock detected');
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('does nothing when the driver has no active orders', async () => {
+      const client = createClient([]);
+      pool.connect.mockResolvedValue(client);
+
+      expect(await reassignDriverOrders(5)).toEqual([]);
+      expect(client.query.mock.calls.map(([statement]) => statement)).toHaveLength(3);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('Batching', () => {
+  const stop = (id, stopType, latitude, longitude, overrides = {}) => ({
+    id,
+    stop_type: stopType,
+    store_id: null,
+    latitude,
+    longitude,
+    ...overrides,
+  });
+
+  describe('sequenceStops', () => {
+    it('visits every pickup before any drop-off, nearest first', () => {
+      const ordered = sequenceStops([
+        stop(1, 'dropoff', '40.7800', '-73.9700'),
+        stop(2, 'pickup', '40.7600', '-73.9900'),
+        stop(3, 'dropoff', '40.7520', '-73.9950'),
+        stop(4, 'pickup', '40.7506', '-73.9972'),
+      ], PICKUP);
+
+      expect(ordered.map(entry => entry.id)).toEqual([4, 2, 3, 1]);
+    });
+
+    it('keeps stops without a location at the end of their group', () => {
+      const ordered = sequenceStops([
+        stop(1, 'pickup', null, null),
+        stop(2, 'dropoff', '40.7600', '-73.9900'),
+        stop(3, 'pickup', '40.7506', '-73.9972'),
+      ], null);
+
+      expect(ordered.map(entry => entry.id)).toEqual([3, 1, 2]);
+    });
+  });
+
+  describe('canJoinBatch', () => {
+    const batch = [
+      stop(1, 'pickup', '40.7506', '-73.9972', { store_id: 3 }),
+      stop(2, 'dropoff', '40.7800', '-73.9700'),
+    ];
+
+    it('accepts more orders from a store still to be visited', () => {
+      expect(canJoinBatch(batch, { storeId: 3, pickup: null, dropoff: null })).toBe(true);
+    });
+
+    it('accepts orders whose pickup and drop-off are both along the route', () => {
+      expect(canJoinBatch(batch, {
+        storeId: 5,
+        pickup: { latitude: 40.7550, longitude: -73.9930 },
+        dropoff: { latitude: 40.7790, longitude: -73.9710 },
+      }, 3)).toBe(true);
+
+      expect(canJoinBatch(batch, {
+        storeId: 5,
+        pickup: { latitude: 40.7550, longitude: -73.9930 },
+        dropoff: FIXTURES[1],
+      }, 3)).toBe(false);
+    });
+
+    it('never batches onto an empty route', () => {
+      expect(canJoinBatch([], { storeId: 3, pickup: PICKUP, dropoff: PICKUP })).toBe(false);
+    });
+  });
+});
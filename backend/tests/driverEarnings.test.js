@@ -0,0 +1,254 @@
+// Mock the database module
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn(),
+    connect: jest.fn(),
+  },
+}));
+
+// Mock the logger module
+jest.mock('../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+jest.mock('../routes/notifications', () => ({
+  createNotification: jest.fn(),
+}));
+
+const { createNotification } = require('../routes/notifications');
+const {
+  calculateDeliveryPay,
+  recordDeliveryEarnings,
+  getPayoutPeriod,
+  createPayouts,
+  sendPayout,
+} = require('../utils/driverEarnings');
+const { routeQueries, queriesMatching } = require('./helpers/mockQueries');
+
+const statements = db => db.query.mock.calls.map(([sql]) => sql.trim());
+
+const PAYOUT = {
+  id: 9,
+  driver_id: 4,
+  amount: '182.50',
+  status: 'pending',
+  attempt_count: 0,
+  start_date: '2026-10-05',
+  end_date: '2026-10-11',
+  stripe_connect_account_id: 'acct_driver',
+  stripe_payouts_enabled: true,
+};
+
+describe('Delivery pay', () => {
+  it('adds the distance component to the base fee', () => {
+    expect(calculateDeliveryPay({ baseFee: 3, perKmRate: 0.75 }, 4.456)).toEqual({
+      baseFee: 3,
+      distanceKm: 4.46,
+      distanceAmount: 3.35,
+      total: 6.35,
+    });
+  });
+
+  it('pays only the base fee when the distance is unknown', () => {
+    expect(calculateDeliveryPay({ baseFee: 3, perKmRate: 0.75 }, null)).toEqual({
+      baseFee: 3,
+      distanceKm: null,
+      distanceAmount: 0,
+      total: 3,
+    });
+  });
+
+  it('records delivery pay once per order, from the route\'s pickup and dropoff', async () => {
+    const db = {
+      query: routeQueries([
+        ['FROM driver_pay_rates', { rows: [{ base_fee: '3.00', per_km_rate: '1.00' }] }],
+        ['FROM delivery_batch_stops', {
+          rows: [
+            { stop_type: 'dropoff', latitude: '5.6037', longitude: '-0.1870' },
+            { stop_type: 'pickup', latitude: '5.5600', longitude: '-0.2057' },
+          ],
+        }],
+      ]),
+    };
+
+    const pay = await recordDeliveryEarnings(db, 21, 4);
+
+    expect(pay.distanceKm).toBeGreaterThan(5);
+    const inserts = queriesMatching(db.query, 'INSERT INTO driver_earnings');
+    expect(inserts.map(([, params]) => params.slice(0, 4))).toEqual([
+      [4, 21, 'base_fee', 3],
+      [4, 21, 'distance', pay.distanceAmount],
+    ]);
+    expect(inserts[0][0]).toContain('ON CONFLICT (order_id, entry_type) WHERE entry_type IN (\'base_fee\', \'distance\') DO NOTHING');
+  });
+});
+
+describe('getPayoutPeriod', () => {
+  it('returns the last full Monday to Sunday week', () => {
+    expect(getPayoutPeriod(new Date('2026-10-18T12:00:00Z'))).toEqual({ periodStart: '2026-10-05', periodEnd: '2026-10-11' });
+    expect(getPayoutPeriod(new Date('2026-10-19T00:30:00Z'))).toEqual({ periodStart: '2026-10-12', periodEnd: '2026-10-18' });
+  });
+});
+
+describe('createPayouts', () => {
+  const PERIOD = { periodStart: '2026-10-05', periodEnd: '2026-10-11' };
+
+  it('gathers each driver\'s unpaid entries up to the end of the period into a statement', async () => {
+    const db = {
+      query: routeQueries([
+        ['INSERT INTO driver_payouts', { rows: [{ id: 9 }, { id: 10 }] }],
+      ]),
+    };
+
+    expect(await createPayouts(db, PERIOD)).toEqual([9, 10]);
+
+    const [insertSql, insertParams] = queriesMatching(db.query, 'INSERT INTO driver_payouts')[0];
+    expect(insertSql).toContain('WHERE payout_id IS NULL AND created_at < $2::date + 1');
+    expect(insertSql).toContain('HAVING SUM(amount) > 0');
+    expect(insertSql).toContain('ON CONFLICT (driver_id, period_start, period_end) DO NOTHING');
+    expect(insertParams).toEqual(['2026-10-05', '2026-10-11']);
+
+    const [updateSql, updateParams] = queriesMatching(db.query, 'UPDATE driver_earnings')[0];
+    expect(updateSql).toContain('e.payout_id IS NULL AND e.created_at < $2::date + 1');
+    expect(updateParams).toEqual([[9, 10], '2026-10-11']);
+    expect(statements(db)).toEqual([
+      'BEGIN',
+      expect.stringContaining('INSERT INTO driver_payouts'),
+      expect.stringContaining('UPDATE driver_earnings'),
+      'COMMIT',
+    ]);
+  });
+
+  it('leaves the ledger alone when every balance carries over or the period was already paid out', async () => {
+    const db = { query: routeQueries() };
+
+    expect(await createPayouts(db, PERIOD)).toEqual([]);
+
+    expect(queriesMatching(db.query, 'UPDATE driver_earnings')).toHaveLength(0);
+    expect(statements(db).pop()).toBe('COMMIT');
+  });
+
+  it('rolls back when the ledger can\'t be updated', async () => {
+    const db = {
+      query: routeQueries([
+        ['INSERT INTO driver_payouts', { rows: [{ id: 9 }] }],
+        ['UPDATE driver_earnings', () => Promise.reject(new Error('deadlock detected'))],
+      ]),
+    };
+
+    await expect(createPayouts(db, PERIOD)).rejects.toThrow('deadlock detected');
+
+    expect(statements(db).pop()).toBe('ROLLBACK');
+  });
+});
+
+describe('sendPayout', () => {
+  let stripe;
+
+  const createDb = (payout = PAYOUT) => ({
+    query: routeQueries([
+      ['FROM driver_payouts p', { rows: payout ? [payout] : [] }],
+      ['SET status = \'paid\'', (params) => ({ rows: [{ ...payout, status: 'paid', stripe_transfer_id: params[1] }] })],
+      ['SET status = \'failed\'', (params) => ({ rows: [{ ...payout, status: 'failed', error_message: params[1] }] })],
+    ]),
+  });
+
+  beforeEach(() => {
+    stripe = {
+      transfers: {
+        list: jest.fn().mockResolvedValue({ data: [] }),
+        create: jest.fn().mockResolvedValue({ id: 'tr_55' }),
+      },
+    };
+  });
+
+  it('locks the payout, pays the driver and records the transfer', async () => {
+    const db = createDb();
+
+    const result = await sendPayout(db, stripe, 9);
+
+    expect(result.status).toBe('paid');
+    expect(result.payout.stripe_transfer_id).toBe('tr_55');
+    expect(queriesMatching(db.query, 'FROM driver_payouts p')[0][0]).toContain('FOR UPDATE OF p');
+    expect(stripe.transfers.list).toHaveBeenCalledWith({ transfer_group: 'driver_payout_9', limit: 10 });
+    expect(stripe.transfers.create).toHaveBeenCalledWith(expect.objectContaining({
+      amount: 18250,
+      currency: 'usd',
+      destination: 'acct_driver',
+      transfer_group: 'driver_payout_9',
+      metadata: { payoutId: '9', driverId: '4' },
+    }), { idempotencyKey: 'driver-payout-9' });
+    expect(queriesMatching(db.query, 'SET status = \'paid\'')[0][1]).toEqual([1, 'tr_55', 'acct_driver', 9]);
+    expect(statements(db).pop()).toBe('COMMIT');
+    expect(createNotification).toHaveBeenCalledWith(
+      4, 'driver', 'Payout sent', expect.stringContaining('$182.50'), 'account', '/driver',
+    );
+  });
+
+  it('uses a new idempotency key for each retry', async () => {
+    const db = createDb({ ...PAYOUT, status: 'failed', attempt_count: 2 });
+
+    await sendPayout(db, stripe, 9);
+
+    expect(stripe.transfers.create.mock.calls[0][1]).toEqual({ idempotencyKey: 'driver-payout-9-retry-2' });
+    expect(queriesMatching(db.query, 'SET status = \'paid\'')[0][1][0]).toBe(3);
+  });
+
+  it('records a transfer Stripe already made instead of paying again', async () => {
+    stripe.transfers.list.mockResolvedValue({
+      data: [{ id: 'tr_old', reversed: true }, { id: 'tr_live', reversed: false }],
+    });
+    const db = createDb({ ...PAYOUT, status: 'failed', attempt_count: 1 });
+
+    const result = await sendPayout(db, stripe, 9);
+
+    expect(result.status).toBe('paid');
+    expect(stripe.transfers.create).not.toHaveBeenCalled();
+    expect(queriesMatching(db.query, 'SET status = \'paid\'')[0][1]).toEqual([2, 'tr_live', 'acct_driver', 9]);
+  });
+
+  it('does nothing for a payout that was already paid', async () => {
+    const db = createDb({ ...PAYOUT, status: 'paid' });
+
+    const result = await sendPayout(db, stripe, 9);
+
+    expect(result.status).toBe('already_paid');
+    expect(stripe.transfers.list).not.toHaveBeenCalled();
+    expect(statements(db).pop()).toBe('ROLLBACK');
+  });
+
+  it('answers not_found for a missing payout', async () => {
+    const db = createDb(null);
+
+    expect(await sendPayout(db, stripe, 404)).toEqual({ status: 'not_found' });
+    expect(queriesMatching(db.query, 'FROM driver_payouts p')[0][1]).toEqual([404]);
+    expect(statements(db).pop()).toBe('ROLLBACK');
+  });
+
+  it('marks the payout failed when the driver can\'t receive it yet', async () => {
+    const db = createDb({ ...PAYOUT, stripe_payouts_enabled: false });
+
+    const result = await sendPayout(db, stripe, 9);
+
+    expect(result).toMatchObject({ status: 'failed', error: 'Driver has not finished setting up their payout account' });
+    expect(stripe.transfers.list).not.toHaveBeenCalled();
+    expect(queriesMatching(db.query, 'SET status = \'failed\'')[0][1])
+      .toEqual([1, 'Driver has not finished setting up their payout account', 9]);
+    expect(statements(db).pop()).toBe('COMMIT');
+  });
+
+  it('records Stripe\'s error and counts the attempt when the transfer fails', async () => {
+    stripe.transfers.create.mockRejectedValue(new Error('Insufficient funds in Stripe account'));
+    const db = createDb();
+
+    const result = await sendPayout(db, stripe, 9);
+
+    expect(result.status).toBe('failed');
+    expect(result.payout.error_message).toBe('Insufficient funds in Stripe account');
+    expect(queriesMatching(db.query, 'SET status = \'failed\'')[0][1]).toEqual([1, 'Insufficient funds in Stripe account', 9]);
+    expect(queriesMatching(db.query, 'SET status = \'paid\'')).toHaveLength(0);
+    expect(createNotification).not.toHaveBeenCalled();
+  });
+});
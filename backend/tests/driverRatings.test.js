@@ -0,0 +1,216 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the database module
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn(),
+    connect: jest.fn(),
+  },
+}));
+
+// Mock the logger module
+jest.mock('../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+jest.mock('../routes/auth', () => ({
+  authenticateSession: jest.fn(() => (req, res, next) => {
+    req.user = { userId: 5, userType: 'customer' };
+    next();
+  }),
+  authenticateAdmin: (req, res, next) => {
+    req.user = { userId: 1 };
+    next();
+  },
+}));
+
+jest.mock('../routes/notifications', () => ({
+  createNotification: jest.fn(),
+}));
+
+jest.mock('../utils/emailService', () => ({}));
+
+const { pool } = require('../config/database');
+const { RATING_WINDOW, refreshDriverRating, rateDelivery } = require('../utils/driverRatings');
+const orderRoutes = require('../routes/orders');
+const { routeQueries, queriesMatching } = require('./helpers/mockQueries');
+
+const statements = db => db.query.mock.calls.map(([sql]) => sql.trim());
+
+const DELIVERED = { id: 21, status: 'delivered', driver_id: 4 };
+
+const createDb = ({ order = DELIVERED, rated = false, average = '4.80', count = 12 } = {}) => ({
+  query: routeQueries([
+    ['FROM orders WHERE id = $1', { rows: order ? [order] : [] }],
+    ['SELECT id FROM delivery_ratings', { rows: rated ? [{ id: 3 }] : [] }],
+    ['INSERT INTO delivery_ratings', { rows: [{ id: 30 }] }],
+    ['UPDATE drivers', { rows: [{ rating: average, rating_count: count }] }],
+    ['UPDATE delivery_ratings', (params) => ({
+      rows: [{ id: 30, order_id: 21, rating: 4, feedback: null, flag_reason: params[0], created_at: '2026-10-18T12:00:00.000Z' }],
+    })],
+  ]),
+  release: jest.fn(),
+});
+
+describe('Driver ratings', () => {
+  describe('refreshDriverRating', () => {
+    it('averages only the driver\'s latest ratings', async () => {
+      const db = createDb({ average: '3.67', count: 80 });
+
+      expect(await refreshDriverRating(db, 4)).toEqual({ average: 3.67, count: 80 });
+
+      const [sql, params] = queriesMatching(db.query, 'UPDATE drivers')[0];
+      expect(sql).toContain('ORDER BY created_at DESC, id DESC');
+      expect(sql).toContain('LIMIT $2');
+      expect(params).toEqual([4, RATING_WINDOW]);
+    });
+  });
+
+  describe('rateDelivery', () => {
+    it('records the rating, refreshes the driver\'s average and commits', async () => {
+      const db = createDb();
+
+      const result = await rateDelivery(db, { orderId: 21, customerId: 5, rating: 5, feedback: 'Quick and friendly' });
+
+      expect(result.status).toBe('rated');
+      expect(result.flagReason).toBeNull();
+      expect(queriesMatching(db.query, 'FROM orders WHERE id = $1')[0]).toEqual([
+        expect.stringContaining('FOR UPDATE'), [21, 5],
+      ]);
+      expect(queriesMatching(db.query, 'INSERT INTO delivery_ratings')[0][1]).toEqual([21, 4, 5, 5, 'Quick and friendly']);
+      expect(queriesMatching(db.query, 'UPDATE delivery_ratings')[0][1]).toEqual([null, 30]);
+      expect(statements(db)[0]).toBe('BEGIN');
+      expect(statements(db).pop()).toBe('COMMIT');
+    });
+
+    it('flags a rating of 2 or less on its own', async () => {
+      const db = createDb();
+
+      const result = await rateDelivery(db, { orderId: 21, customerId: 5, rating: 2 });
+
+      expect(result.flagReason).toBe('low_rating');
+      expect(queriesMatching(db.query, 'UPDATE delivery_ratings')[0][1]).toEqual(['low_rating', 30]);
+    });
+
+    it('flags a driver whose average drops below 4 once they have enough ratings', async () => {
+      const db = createDb({ average: '3.90', count: 5 });
+
+      const result = await rateDelivery(db, { orderId: 21, customerId: 5, rating: 3 });
+
+      expect(result.flagReason).toBe('low_average');
+    });
+
+    it('doesn\'t judge a new driver\'s average on a handful of ratings', async () => {
+      const db = createDb({ average: '3.00', count: 4 });
+
+      const result = await rateDelivery(db, { orderId: 21, customerId: 5, rating: 3 });
+
+      expect(result.flagReason).toBeNull();
+    });
+
+    it('refuses orders that are not delivered or have no driver', async () => {
+      for (const order of [{ ...DELIVERED, status: 'in_transit' }, { ...DELIVERED, driver_id: null }]) {
+        const db = createDb({ order });
+
+        expect(await rateDelivery(db, { orderId: 21, customerId: 5, rating: 4 })).toEqual({ status: 'not_delivered' });
+        expect(queriesMatching(db.query, 'INSERT INTO delivery_ratings')).toHaveLength(0);
+        expect(statements(db).pop()).toBe('ROLLBACK');
+      }
+    });
+
+    it('accepts one rating per order', async () => {
+      const db = createDb({ rated: true });
+
+      expect(await rateDelivery(db, { orderId: 21, customerId: 5, rating: 4 })).toEqual({ status: 'already_rated' });
+      expect(queriesMatching(db.query, 'UPDATE drivers')).toHaveLength(0);
+      expect(statements(db).pop()).toBe('ROLLBACK');
+    });
+
+    it('rolls back when the average can\'t be refreshed', async () => {
+      const db = createDb();
+      const query = db.query;
+      db.query = jest.fn((sql, params) => (sql.includes('UPDATE drivers')
+        ? Promise.reject(new Error('connection reset'))
+        : query(sql, params)));
+
+      await expect(rateDelivery(db, { orderId: 21, customerId: 5, rating: 4 })).rejects.toThrow('connection reset');
+      expect(statements(db).pop()).toBe('ROLLBACK');
+    });
+  });
+
+  describe('POST /orders/:id/rating', () => {
+    let app;
+    let client;
+
+    beforeEach(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/orders', orderRoutes);
+      client = createDb();
+      pool.connect = jest.fn().mockResolvedValue(client);
+    });
+
+    it('rates the delivery for the signed-in customer', async () => {
+      const response = await request(app)
+        .post('/api/orders/21/rating')
+        .send({ rating: 4, feedback: '  Left it with the neighbour  ' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({ id: 30, orderId: 21 });
+      expect(queriesMatching(client.query, 'FROM orders WHERE id = $1')[0][1]).toEqual(['21', 5]);
+      expect(queriesMatching(client.query, 'INSERT INTO delivery_ratings')[0][1]).toEqual(['21', 4, 5, 4, 'Left it with the neighbour']);
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('only accepts whole numbers from 1 to 5', async () => {
+      for (const rating of [0, 6, 3.5, 'great', undefined]) {
+        const response = await request(app).post('/api/orders/21/rating').send({ rating });
+
+        expect(response.status).toBe(400);
+        expect(response.body.message).toBe('Rating must be a whole number from 1 to 5');
+      }
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+
+    it('limits the length of the feedback', async () => {
+      const response = await request(app)
+        .post('/api/orders/21/rating')
+        .send({ rating: 5, feedback: 'x'.repeat(1001) });
+
+      expect(response.status).toBe(400);
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+
+    it('returns 409 for an order that was already rated', async () => {
+      client = createDb({ rated: true });
+      pool.connect = jest.fn().mockResolvedValue(client);
+
+      const response = await request(app).post('/api/orders/21/rating').send({ rating: 5 });
+
+      expect(response.status).toBe(409);
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('returns 400 for an order that hasn\'t been delivered', async () => {
+      client = createDb({ order: { ...DELIVERED, status: 'preparing' } });
+      pool.connect = jest.fn().mockResolvedValue(client);
+
+      const response = await request(app).post('/api/orders/21/rating').send({ rating: 5 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Only delivered orders can be rated');
+    });
+
+    it('returns 404 for another customer\'s order', async () => {
+      client = createDb({ order: null });
+      pool.connect = jest.fn().mockResolvedValue(client);
+
+      const response = await request(app).post('/api/orders/21/rating').send({ rating: 5 });
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
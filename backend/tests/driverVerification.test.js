@@ -0,0 +1,249 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the database module
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn(),
+    connect: jest.fn(),
+  },
+}));
+
+// Mock the logger module
+jest.mock('../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+jest.mock('stripe', () => () => ({}));
+
+jest.mock('../routes/auth', () => ({
+  authenticateSession: () => (req, res, next) => next(),
+  authenticateAdmin: (req, res, next) => {
+    req.user = { userId: 1 };
+    next();
+  },
+}));
+
+jest.mock('../config/r2', () => ({}));
+jest.mock('../utils/emailService', () => ({
+  sendDriverVerificationUpdate: jest.fn(),
+}));
+
+jest.mock('../routes/notifications', () => ({
+  createNotification: jest.fn(),
+}));
+
+jest.mock('../utils/sessionUtils', () => ({
+  getUserSessions: jest.fn(),
+  destroyUserSessions: jest.fn(),
+}));
+
+jest.mock('../utils/dispatch', () => ({
+  ...jest.requireActual('../utils/dispatch'),
+  releaseDriverOffers: jest.fn(),
+  reassignDriverOrders: jest.fn(),
+}));
+
+const { pool } = require('../config/database');
+const emailService = require('../utils/emailService');
+const { createNotification } = require('../routes/notifications');
+const { destroyUserSessions } = require('../utils/sessionUtils');
+const { releaseDriverOffers, reassignDriverOrders } = require('../utils/dispatch');
+const adminRoutes = require('../routes/admin');
+const { routeQueries, queriesMatching } = require('./helpers/mockQueries');
+
+const DRIVER = { id: 12, email: 'kofi@example.com', full_name: 'Kofi Mensah' };
+
+describe('Driver verification', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/admin', adminRoutes);
+
+    destroyUserSessions.mockResolvedValue(1);
+    releaseDriverOffers.mockResolvedValue(0);
+    reassignDriverOrders.mockResolvedValue([]);
+  });
+
+  describe('GET /drivers', () => {
+    it('lists the pending queue oldest first by default', async () => {
+      pool.query = routeQueries([
+        ['COUNT(*) as total FROM drivers', { rows: [{ total: '1' }] }],
+        ['GROUP BY verification_status', {
+          rows: [{ verification_status: 'pending', total: '1' }, { verification_status: 'approved', total: '8' }],
+        }],
+        ['FROM drivers d', { rows: [{ ...DRIVER, verification_status: 'pending', document_count: '3' }] }],
+      ]);
+
+      const response = await request(app).get('/api/admin/drivers');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data[0].document_count).toBe(3);
+      expect(response.body.summary).toEqual({ pending: 1, approved: 8, rejected: 0 });
+
+      const [sql, params] = queriesMatching(pool.query, 'LEFT JOIN admins')[0];
+      expect(sql).toContain('d.verification_status = $1');
+      expect(sql).toContain('ORDER BY d.created_at ASC');
+      expect(params).toEqual(['pending', 20, 0]);
+    });
+
+    it('lists every driver for verification=all and searches licence and plate', async () => {
+      pool.query = routeQueries([
+        ['COUNT(*) as total FROM drivers', { rows: [{ total: '0' }] }],
+      ]);
+
+      await request(app).get('/api/admin/drivers?verification=all&q=GR-1234');
+
+      const [sql, params] = queriesMatching(pool.query, 'LEFT JOIN admins')[0];
+      expect(sql).not.toContain('d.verification_status =');
+      expect(sql).toContain('d.license_number ILIKE $1');
+      expect(sql).toContain('d.vehicle_plate ILIKE $1');
+      expect(params).toEqual(['%GR-1234%', 20, 0]);
+    });
+  });
+
+  describe('GET /drivers/:id', () => {
+    it('returns the driver with their documents and open rating flags', async () => {
+      pool.query = routeQueries([
+        ['FROM driver_documents', { rows: [{ id: 4, document_type: 'drivers_license' }] }],
+        ['FROM delivery_ratings', { rows: [{ total: '2' }] }],
+        ['FROM drivers d', { rows: [DRIVER] }],
+      ]);
+
+      const response = await request(app).get('/api/admin/drivers/12');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({
+        ...DRIVER,
+        open_rating_flags: 2,
+        documents: [{ id: 4, document_type: 'drivers_license' }],
+      });
+      expect(queriesMatching(pool.query, 'FROM driver_documents')[0][1]).toEqual(['12']);
+      const [flagsSql, flagsParams] = queriesMatching(pool.query, 'FROM delivery_ratings')[0];
+      expect(flagsSql).toContain('review_status = \'open\'');
+      expect(flagsParams).toEqual(['12']);
+    });
+
+    it('answers 404 for a missing driver', async () => {
+      pool.query = routeQueries();
+
+      const response = await request(app).get('/api/admin/drivers/404');
+
+      expect(response.status).toBe(404);
+      expect(queriesMatching(pool.query, 'FROM drivers d')[0][1]).toEqual(['404']);
+      expect(queriesMatching(pool.query, 'FROM driver_documents')).toHaveLength(0);
+    });
+  });
+
+  describe('POST /drivers/:id/approve', () => {
+    it('verifies the driver, records the reviewer and tells the driver', async () => {
+      pool.query = routeQueries([
+        ['UPDATE drivers', { rows: [{ ...DRIVER, verification_status: 'approved', is_verified: true }] }],
+      ]);
+
+      const response = await request(app).post('/api/admin/drivers/12/approve');
+
+      expect(response.status).toBe(200);
+      expect(queriesMatching(pool.query, 'UPDATE drivers')[0][1]).toEqual([1, '12']);
+      expect(createNotification).toHaveBeenCalledWith(
+        12, 'driver', 'Driver account approved', expect.any(String), 'account', '/driver',
+      );
+      expect(emailService.sendDriverVerificationUpdate).toHaveBeenCalledWith(
+        'kofi@example.com', 'Kofi Mensah', { decision: 'approved', reason: null },
+      );
+    });
+
+    it('still approves when the notification fails', async () => {
+      pool.query = routeQueries([
+        ['UPDATE drivers', { rows: [DRIVER] }],
+      ]);
+      emailService.sendDriverVerificationUpdate.mockRejectedValueOnce(new Error('SMTP unavailable'));
+
+      const response = await request(app).post('/api/admin/drivers/12/approve');
+
+      expect(response.status).toBe(200);
+    });
+  });
+
+  describe('POST /drivers/:id/reject', () => {
+    it('needs a reason', async () => {
+      pool.query = routeQueries();
+
+      const response = await request(app).post('/api/admin/drivers/12/reject').send({});
+
+      expect(response.status).toBe(400);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('caps the reason at 500 characters', async () => {
+      pool.query = routeQueries();
+
+      const response = await request(app)
+        .post('/api/admin/drivers/12/reject')
+        .send({ reason: 'x'.repeat(501) });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('unverifies the driver, takes them offline and sends the reason', async () => {
+      pool.query = routeQueries([
+        ['UPDATE drivers', { rows: [{ ...DRIVER, verification_status: 'rejected' }] }],
+      ]);
+
+      const response = await request(app)
+        .post('/api/admin/drivers/12/reject')
+        .send({ reason: ' Licence photo is blurry ' });
+
+      expect(response.status).toBe(200);
+      const [sql, params] = queriesMatching(pool.query, 'UPDATE drivers')[0];
+      expect(sql).toContain('is_verified = false');
+      expect(sql).toContain('ELSE \'offline\'');
+      expect(params).toEqual(['Licence photo is blurry', 1, '12']);
+      expect(emailService.sendDriverVerificationUpdate).toHaveBeenCalledWith(
+        'kofi@example.com', 'Kofi Mensah', { decision: 'rejected', reason: 'Licence photo is blurry' },
+      );
+    });
+  });
+
+  describe('POST /drivers/:id/suspend', () => {
+    it('needs a reason', async () => {
+      pool.query = routeQueries();
+
+      const response = await request(app).post('/api/admin/drivers/12/suspend').send({ reason: '' });
+
+      expect(response.status).toBe(400);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('suspends the driver the same way as the user management screen', async () => {
+      pool.query = routeQueries([
+        ['UPDATE drivers', { rows: [{ ...DRIVER, status: 'inactive', suspension_reason: 'Fraud' }] }],
+      ]);
+      reassignDriverOrders.mockResolvedValueOnce([31]);
+
+      const response = await request(app).post('/api/admin/drivers/12/suspend').send({ reason: 'Fraud' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ status: 'inactive', sessionsRevoked: 1, reassignedOrders: [31] });
+      expect(destroyUserSessions).toHaveBeenCalledWith('12', 'driver');
+      expect(releaseDriverOffers).toHaveBeenCalledWith(12);
+      expect(reassignDriverOrders).toHaveBeenCalledWith(12);
+      expect(emailService.sendDriverVerificationUpdate).toHaveBeenCalledWith(
+        'kofi@example.com', 'Kofi Mensah', { decision: 'suspended', reason: 'Fraud' },
+      );
+    });
+
+    it('answers 404 for a missing driver', async () => {
+      pool.query = routeQueries();
+
+      const response = await request(app).post('/api/admin/drivers/404/suspend').send({ reason: 'Fraud' });
+
+      expect(response.status).toBe(404);
+      expect(response.body.message).toBe('Driver not found');
+    });
+  });
+});
@@ -0,0 +1,147 @@
+// Mock the logger module
+jest.mock('../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const logger = require('../config/logger');
+const {
+  PLATFORM_CURRENCY,
+  normalizeCurrency,
+  roundMoney,
+  toMinorUnits,
+  formatMoney,
+  createFixtureRateProvider,
+  setRateProvider,
+  getRates,
+  getRatesFor,
+  getExchangeRate,
+  convertAmount,
+  toChargedMinorUnits,
+  getMinimumCharge,
+} = require('../utils/exchangeRates');
+
+// Quoted per euro to check rates are rebased onto the platform currency
+const FIXTURE_RATES = {
+  EUR: 1,
+  USD: 1.25,
+  KES: 160,
+  UGX: 4500,
+  XYZ: 3,
+};
+
+describe('Exchange rates', () => {
+  afterEach(() => {
+    setRateProvider(null);
+  });
+
+  it('uses the built-in fixture provider in tests', async () => {
+    const { base, rates, provider } = await getRates();
+    expect(base).toBe(PLATFORM_CURRENCY);
+    expect(provider).toBe('fixture');
+    expect(rates.USD).toBe(1);
+    expect(rates.KES).toBeGreaterThan(1);
+  });
+
+  it('rebases provider rates on the platform currency and drops unsupported currencies', async () => {
+    setRateProvider(createFixtureRateProvider(FIXTURE_RATES));
+    const { rates } = await getRates();
+
+    expect(rates.USD).toBe(1);
+    expect(rates.EUR).toBeCloseTo(0.8);
+    expect(rates.KES).toBeCloseTo(128);
+    expect(rates.XYZ).toBeUndefined();
+    expect(rates.GBP).toBeUndefined();
+  });
+
+  it('caches rates until the provider is swapped', async () => {
+    const fetchRates = jest.fn().mockResolvedValue({ USD: 1, KES: 130 });
+    setRateProvider({ name: 'counting', fetchRates });
+
+    await getRates();
+    await getRates();
+    expect(fetchRates).toHaveBeenCalledTimes(1);
+
+    setRateProvider({ name: 'counting', fetchRates });
+    await getRates();
+    expect(fetchRates).toHaveBeenCalledTimes(2);
+  });
+
+  it('keeps the last rates when a refresh fails and throws when there are none', async () => {
+    const failing = { name: 'failing', fetchRates: jest.fn().mockRejectedValue(new Error('timeout')) };
+    setRateProvider(failing);
+    await expect(getRates()).rejects.toThrow('Exchange rates are unavailable: timeout');
+
+    process.env.EXCHANGE_RATE_TTL_MINUTES = '0.0000001';
+    try {
+      const fetchRates = jest.fn()
+        .mockResolvedValueOnce({ USD: 1, KES: 130 })
+        .mockRejectedValueOnce(new Error('timeout'));
+      setRateProvider({ name: 'flaky', fetchRates });
+
+      const first = await getRates();
+      await new Promise(resolve => setTimeout(resolve, 5));
+      const second = await getRates();
+
+      expect(second).toBe(first);
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Exchange rate refresh failed'));
+    } finally {
+      delete process.env.EXCHANGE_RATE_TTL_MINUTES;
+    }
+  });
+
+  it('only asks the provider when another currency is involved', async () => {
+    const fetchRates = jest.fn().mockResolvedValue({ USD: 1, KES: 130 });
+    setRateProvider({ name: 'counting', fetchRates });
+
+    expect(await getRatesFor(['USD', 'USD'])).toEqual({ USD: 1 });
+    expect(fetchRates).not.toHaveBeenCalled();
+
+    expect((await getRatesFor(['USD', 'KES'])).KES).toBe(130);
+    expect(fetchRates).toHaveBeenCalledTimes(1);
+  });
+
+  it('converts between any two currencies through the platform currency', () => {
+    const rates = { USD: 1, EUR: 0.8, KES: 128 };
+    expect(getExchangeRate(rates, 'USD', 'USD')).toBe(1);
+    expect(getExchangeRate(rates, 'EUR', 'KES')).toBeCloseTo(160);
+    expect(convertAmount(1280, 'KES', 'USD', rates)).toBeCloseTo(10);
+    expect(() => getExchangeRate(rates, 'USD', 'GBP')).toThrow('No exchange rate between USD and GBP');
+  });
+});
+
+describe('Currency amounts', () => {
+  it('normalizes supported currency codes only', () => {
+    expect(normalizeCurrency(' kes ')).toBe('KES');
+    expect(normalizeCurrency('XYZ')).toBeNull();
+    expect(normalizeCurrency(undefined)).toBeNull();
+  });
+
+  it('rounds and converts to minor units, treating zero-decimal currencies as whole units', () => {
+    expect(roundMoney(12.346, 'USD')).toBe(12.35);
+    expect(roundMoney(12345.6, 'UGX')).toBe(12346);
+    expect(toMinorUnits(12.34, 'EUR')).toBe(1234);
+    expect(toMinorUnits(4500, 'UGX')).toBe(4500);
+  });
+
+  it('formats amounts with the currency symbol and precision', () => {
+    expect(formatMoney(25)).toBe('$25.00');
+    expect(formatMoney(4500, 'UGX')).toMatch(/^UGX\s4,500$/);
+  });
+
+  it('converts refunds into the currency and at the rate the order was charged', () => {
+    expect(toChargedMinorUnits(10, { currency: 'USD', fx_rate: '1' })).toBe(1000);
+    expect(toChargedMinorUnits(10, { currency: 'EUR', fx_rate: '0.92000000' })).toBe(920);
+    expect(toChargedMinorUnits(10, { currency: 'UGX', fx_rate: '3700' })).toBe(37000);
+    expect(toChargedMinorUnits(10, {})).toBe(1000);
+  });
+
+  it('uses Stripe\'s minimum charge for the currency, or the converted platform minimum', () => {
+    expect(getMinimumCharge('USD', 1)).toBe(0.5);
+    expect(getMinimumCharge('GBP', 0.79)).toBe(0.3);
+    expect(getMinimumCharge('KES', 129.5)).toBe(64.75);
+    expect(getMinimumCharge('UGX', 3700)).toBe(1850);
+    expect(getMinimumCharge('NGN', 1540.123)).toBe(770.07);
+  });
+});
@@ -0,0 +1,154 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the database module
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn(),
+    connect: jest.fn(),
+  },
+}));
+
+// Mock the logger module
+jest.mock('../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const mockStripe = {
+  transfers: {
+    create: jest.fn(),
+    list: jest.fn(),
+  },
+};
+jest.mock('stripe', () => () => mockStripe);
+
+jest.mock('../routes/auth', () => ({
+  authenticateSession: () => (req, res, next) => next(),
+  authenticateAdmin: (req, res, next) => {
+    req.user = { userId: 1 };
+    next();
+  },
+}));
+
+jest.mock('../config/r2', () => ({}));
+jest.mock('../utils/emailService', () => ({}));
+
+const { pool } = require('../config/database');
+const adminRoutes = require('../routes/admin');
+const { routeQueries, queriesMatching } = require('./helpers/mockQueries');
+
+const FAILED_TRANSFER = {
+  id: 8,
+  order_id: 21,
+  store_id: 3,
+  store_name: 'Mama Africa',
+  amount_cents: 27900,
+  currency: 'GHS',
+  stripe_account_id: 'acct_old',
+  current_stripe_account_id: 'acct_new',
+  retry_count: 1,
+  resolved: false,
+};
+
+describe('Retrying failed transfers', () => {
+  let app;
+  let client;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/admin', adminRoutes);
+
+    pool.query = routeQueries([
+      ['FROM failed_transfers ft', { rows: [FAILED_TRANSFER] }],
+    ]);
+    client = {
+      query: routeQueries([
+        ['SET resolved = true', { rows: [{ ...FAILED_TRANSFER, resolved: true }] }],
+      ]),
+      release: jest.fn(),
+    };
+    pool.connect.mockResolvedValue(client);
+    mockStripe.transfers.list.mockResolvedValue({ data: [], has_more: false });
+  });
+
+  it('pays the store with a new idempotency key for the attempt and records it afterwards', async () => {
+    mockStripe.transfers.create.mockResolvedValue({ id: 'tr_9' });
+
+    const response = await request(app).post('/api/admin/failed-transfers/8/retry').expect(200);
+
+    expect(response.body.message).toBe('Transfer completed successfully');
+    // Checkout was attempt 1 and one retry already failed, so this is the second retry
+    expect(mockStripe.transfers.create).toHaveBeenCalledWith(
+      expect.objectContaining({ amount: 27900, currency: 'ghs', destination: 'acct_new' }),
+      { idempotencyKey: 'transfer-order-21-store-3-retry-2' },
+    );
+
+    // Stripe is called before the transaction opens
+    const begin = client.query.mock.invocationCallOrder[0];
+    expect(client.query.mock.calls[0][0]).toBe('BEGIN');
+    expect(mockStripe.transfers.create.mock.invocationCallOrder[0]).toBeLessThan(begin);
+    expect(queriesMatching(pool.query, 'FOR UPDATE')).toHaveLength(0);
+
+    const [resolveSql, resolveParams] = queriesMatching(client.query, 'SET resolved = true')[0];
+    expect(resolveSql).toContain('WHERE id = $6 AND resolved = false');
+    expect(resolveParams).toEqual([1, 1, 'tr_9', 'acct_new', 'Retried successfully', 8]);
+    expect(queriesMatching(client.query, 'COMMIT')).toHaveLength(1);
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('marks the transfer resolved without paying again when Stripe already has it', async () => {
+    mockStripe.transfers.list.mockResolvedValue({ data: [{ id: 'tr_1', metadata: { storeId: '3' } }], has_more: false });
+
+    const response = await request(app).post('/api/admin/failed-transfers/8/retry').expect(200);
+
+    expect(response.body.message).toBe('Store had already been paid for this order; marked as resolved');
+    expect(mockStripe.transfers.create).not.toHaveBeenCalled();
+    expect(queriesMatching(client.query, 'SET resolved = true')[0][1].slice(1, 3)).toEqual([0, 'tr_1']);
+  });
+
+  it('reports a conflict when a concurrent retry recorded the transfer first', async () => {
+    mockStripe.transfers.create.mockResolvedValue({ id: 'tr_9' });
+    client.query = routeQueries();
+
+    await request(app).post('/api/admin/failed-transfers/8/retry').expect(409);
+
+    expect(queriesMatching(client.query, 'ROLLBACK')).toHaveLength(1);
+    expect(queriesMatching(client.query, 'UPDATE orders')).toHaveLength(0);
+  });
+
+  it('never reuses the checkout attempt\'s key, which would replay its failure', async () => {
+    pool.query = routeQueries([
+      ['FROM failed_transfers ft', { rows: [{ ...FAILED_TRANSFER, retry_count: 0 }] }],
+    ]);
+    mockStripe.transfers.create.mockResolvedValue({ id: 'tr_9' });
+
+    await request(app).post('/api/admin/failed-transfers/8/retry').expect(200);
+
+    expect(mockStripe.transfers.create.mock.calls[0][1]).toEqual({ idempotencyKey: 'transfer-order-21-store-3-retry-1' });
+  });
+
+  it('counts a failed retry without opening a transaction', async () => {
+    mockStripe.transfers.create.mockRejectedValue(new Error('Account cannot receive transfers'));
+
+    const response = await request(app).post('/api/admin/failed-transfers/8/retry').expect(502);
+
+    expect(response.body.message).toBe('Transfer retry failed: Account cannot receive transfers');
+    const [sql, params] = queriesMatching(pool.query, 'SET retry_count = retry_count + 1')[0];
+    expect(sql).toContain('error_message = $1');
+    expect(params).toEqual(['Account cannot receive transfers', 8]);
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+
+  it('does not retry a resolved transfer', async () => {
+    pool.query = routeQueries([
+      ['FROM failed_transfers ft', { rows: [{ ...FAILED_TRANSFER, resolved: true }] }],
+    ]);
+
+    await request(app).post('/api/admin/failed-transfers/8/retry').expect(409);
+
+    expect(mockStripe.transfers.list).not.toHaveBeenCalled();
+  });
+});
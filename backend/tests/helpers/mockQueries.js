@@ -0,0 +1,31 @@
+/**
+ * Query mocks shared by the route and util tests
+ */
+
+/**
+ * A pool.query or client.query mock that answers each statement with the first handler
+ * whose pattern appears in the SQL, and with no rows when none does
+ * @param {Array} handlers - [pattern, result] pairs; result may be a function of (params, sql)
+ * @returns {Function} - jest mock
+ */
+const routeQueries = (handlers = []) => jest.fn(async (sql, params) => {
+  const match = handlers.find(([pattern]) => sql.includes(pattern));
+  if (!match) {
+    return { rows: [] };
+  }
+  return typeof match[1] === 'function' ? match[1](params, sql) : match[1];
+});
+
+/**
+ * Calls of a query mock whose SQL contains a pattern
+ * @param {Function} query - pool.query or client.query mock
+ * @param {string} pattern - SQL fragment
+ * @returns {Array} - [sql, params] for each matching call
+ */
+const queriesMatching = (query, pattern) =>
+  query.mock.calls.filter(([sql]) => sql.includes(pattern));
+
+module.exports = {
+  routeQueries,
+  queriesMatching,
+};
@@ -0,0 +1,172 @@
+// Mock the database module
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn(),
+    connect: jest.fn(),
+  },
+}));
+
+// Mock the logger module
+jest.mock('../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const mockStripe = {
+  transfers: {
+    create: jest.fn(),
+  },
+};
+jest.mock('stripe', () => () => mockStripe);
+
+jest.mock('../utils/emailService', () => ({
+  sendOrderConfirmation: jest.fn(),
+}));
+
+jest.mock('../utils/dispatch', () => ({
+  dispatchOrder: jest.fn().mockResolvedValue(null),
+}));
+
+const { pool } = require('../config/database');
+const { completeOrderPayment } = require('../utils/orderCompletion');
+const { routeQueries, queriesMatching } = require('./helpers/mockQueries');
+
+const MULTI_VENDOR_INTENT = {
+  id: 'pi_456',
+  status: 'succeeded',
+  metadata: { multiVendor: 'true', storeIds: '3' },
+};
+
+const ORDER = {
+  id: 21,
+  status: 'pending',
+  items: [{ product_id: 1, store_id: 3, quantity: 2, price: 10 }],
+  commission_breakdown: { 3: { netAmount: 20, feeAmount: 2, ratePercent: 10 } },
+  user_id: 5,
+};
+
+const STORE = { id: 3, stripe_connect_account_id: 'acct_store', store_name: 'Mama Africa', base_currency: 'USD' };
+
+describe('completeOrderPayment store transfers', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = {
+      query: routeQueries([
+        ['FROM orders WHERE payment_intent_id', { rows: [ORDER] }],
+      ]),
+      release: jest.fn(),
+    };
+    pool.connect.mockResolvedValue(client);
+    pool.query = routeQueries([
+      ['FROM stores', { rows: [STORE] }],
+    ]);
+  });
+
+  it('transfers each store its share after the order is committed', async () => {
+    mockStripe.transfers.create.mockResolvedValue({ id: 'tr_1' });
+
+    const result = await completeOrderPayment(MULTI_VENDOR_INTENT);
+
+    expect(result.status).toBe('completed');
+    expect(mockStripe.transfers.create).toHaveBeenCalledWith(
+      expect.objectContaining({ amount: 1800, destination: 'acct_store', transfer_group: 'order_21' }),
+      { idempotencyKey: 'transfer-order-21-store-3' },
+    );
+
+    // The stores lookup and the transfer happen outside the locked transaction
+    expect(queriesMatching(client.query, 'FROM stores')).toHaveLength(0);
+    const commitOrder = client.query.mock.invocationCallOrder[
+      client.query.mock.calls.findIndex(([sql]) => sql === 'COMMIT')
+    ];
+    expect(mockStripe.transfers.create.mock.invocationCallOrder[0]).toBeGreaterThan(commitOrder);
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  describe('for a store priced in another currency', () => {
+    beforeEach(() => {
+      mockStripe.transfers.create.mockResolvedValue({ id: 'tr_1' });
+      client.query = routeQueries([
+        ['FROM orders WHERE payment_intent_id', { rows: [{ ...ORDER, fx_rates: { USD: 1, GHS: 15.5 } }] }],
+      ]);
+      pool.query = routeQueries([
+        ['FROM stores', { rows: [{ ...STORE, base_currency: 'GHS' }] }],
+      ]);
+    });
+
+    afterEach(() => {
+      delete process.env.STRIPE_TRANSFER_CURRENCIES;
+    });
+
+    it('pays the store in its own currency at the order\'s rates when the platform balance holds it', async () => {
+      process.env.STRIPE_TRANSFER_CURRENCIES = 'GHS';
+
+      await completeOrderPayment(MULTI_VENDOR_INTENT);
+
+      const [params] = mockStripe.transfers.create.mock.calls[0];
+      expect(params.currency).toBe('ghs');
+      expect(params.amount).toBe(27900);
+      expect(params.metadata).toMatchObject({ storeCurrency: 'GHS', storeCurrencyAmount: '279', platformCurrencyAmount: '1800' });
+    });
+
+    it('pays in the platform currency when the balance can\'t transfer the store\'s currency', async () => {
+      await completeOrderPayment(MULTI_VENDOR_INTENT);
+
+      const [params] = mockStripe.transfers.create.mock.calls[0];
+      expect(params.currency).toBe('usd');
+      expect(params.amount).toBe(1800);
+      expect(params.metadata).toMatchObject({ storeCurrency: 'GHS', storeCurrencyAmount: '279' });
+    });
+  });
+
+  it('records a transfer that keeps failing for admin review without undoing the order', async () => {
+    jest.useFakeTimers();
+    mockStripe.transfers.create.mockRejectedValue(new Error('Insufficient platform balance'));
+
+    const completion = completeOrderPayment(MULTI_VENDOR_INTENT);
+    await jest.runAllTimersAsync();
+    const result = await completion;
+    jest.useRealTimers();
+
+    expect(result.status).toBe('completed');
+    expect(queriesMatching(client.query, 'SET status = \'completed\'')).toHaveLength(1);
+    expect(mockStripe.transfers.create).toHaveBeenCalledTimes(3);
+
+    const failed = queriesMatching(pool.query, 'INSERT INTO failed_transfers');
+    expect(failed).toHaveLength(1);
+    expect(failed[0][1]).toEqual([21, 3, 'Mama Africa', 1800, 'USD', 'acct_store', 'Insufficient platform balance']);
+    expect(queriesMatching(pool.query, 'SET notes')[0][1][0]).toContain('1 transfer(s) failed');
+  });
+
+  it('completes an order whose promo code ran out before payment, noting it for review', async () => {
+    mockStripe.transfers.create.mockResolvedValue({ id: 'tr_1' });
+    client.query = routeQueries([
+      ['FROM orders WHERE payment_intent_id', { rows: [ORDER] }],
+      ['RETURNING promotion_id', { rows: [{ promotion_id: 8 }] }],
+      ['usage_count < usage_limit', { rows: [] }],
+      ['SELECT code FROM promotions', { rows: [{ code: 'LAUNCH50' }] }],
+    ]);
+
+    const result = await completeOrderPayment(MULTI_VENDOR_INTENT);
+
+    expect(result.status).toBe('completed');
+    expect(queriesMatching(client.query, 'SET notes')[0][1][0]).toContain('Promo code LAUNCH50 had reached its usage limit');
+  });
+
+  it('skips transfers when another call already completed the order', async () => {
+    client.query = routeQueries([
+      ['FROM orders WHERE payment_intent_id', { rows: [{ ...ORDER, status: 'completed' }] }],
+    ]);
+
+    const result = await completeOrderPayment(MULTI_VENDOR_INTENT);
+
+    expect(result.status).toBe('already_completed');
+    const [sql, params] = queriesMatching(client.query, 'FROM orders WHERE payment_intent_id')[0];
+    expect(sql).toContain('FOR UPDATE');
+    expect(params).toEqual(['pi_456']);
+    expect(queriesMatching(client.query, 'SET status = \'completed\'')).toHaveLength(0);
+    expect(mockStripe.transfers.create).not.toHaveBeenCalled();
+  });
+});
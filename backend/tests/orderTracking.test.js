@@ -0,0 +1,212 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the database module
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn(),
+    connect: jest.fn(),
+  },
+}));
+
+// Mock the logger module
+jest.mock('../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+jest.mock('stripe', () => () => ({}));
+
+jest.mock('../routes/notifications', () => ({
+  createNotification: jest.fn(),
+}));
+
+jest.mock('../routes/auth', () => ({
+  authenticateSession: () => (req, res, next) => {
+    req.user = { userId: req.session.userId, userType: req.session.userType };
+    next();
+  },
+  authenticateAdmin: (req, res, next) => next(),
+}));
+
+jest.mock('../utils/emailService', () => ({}));
+
+const { pool } = require('../config/database');
+const { getOrderTracking, subscribeToOrder, publishDriverLocation } = require('../utils/orderTracking');
+const driverRoutes = require('../routes/drivers');
+const orderRoutes = require('../routes/orders');
+
+const ORDER = {
+  id: 7,
+  order_number: 'AFZ-1007',
+  status: 'in_transit',
+  created_at: '2026-10-18T10:00:00.000Z',
+  estimated_delivery: '2026-10-18T11:00:00.000Z',
+  driver_id: 4,
+  delivery_pin: '0427',
+  driver_name: 'Kofi  Mensah',
+  vehicle_type: 'motorbike',
+  vehicle_plate: 'GR-1234-26',
+  current_location_lat: '5.60370000',
+  current_location_lng: '-0.18700000',
+  location_updated_at: '2026-10-18T10:42:00.000Z',
+};
+
+const createDb = (order, events = []) => ({
+  query: jest.fn(async (sql) => {
+    if (sql.includes('FROM orders o')) {
+      return { rows: order ? [order] : [] };
+    }
+    if (sql.includes('FROM delivery_tracking')) {
+      return { rows: events };
+    }
+    return { rows: [] };
+  }),
+});
+
+describe('Order tracking', () => {
+  describe('getOrderTracking', () => {
+    it('shows where the driver is and when they last reported it while on the way', async () => {
+      const db = createDb(ORDER, [
+        { status: 'assigned', notes: null, timestamp: '2026-10-18T10:05:00.000Z' },
+        { status: 'in_transit', notes: null, timestamp: '2026-10-18T10:30:00.000Z' },
+      ]);
+
+      const tracking = await getOrderTracking(7, 5, db);
+
+      expect(db.query.mock.calls[0][0]).toContain('d.location_updated_at');
+      expect(db.query.mock.calls[0][0]).not.toContain('d.updated_at');
+      expect(db.query.mock.calls[0][1]).toEqual([7, 5]);
+      expect(tracking.driverLocation).toEqual({
+        latitude: 5.6037,
+        longitude: -0.187,
+        updatedAt: '2026-10-18T10:42:00.000Z',
+      });
+      expect(tracking.driver).toEqual({ firstName: 'Kofi', vehicleType: 'motorbike', vehiclePlate: 'GR-1234-26' });
+      expect(tracking.timeline.map(event => event.status)).toEqual(['placed', 'assigned', 'in_transit']);
+      expect(tracking.deliveryPin).toBe('0427');
+    });
+
+    it('keeps the driver\'s position private before they set off', async () => {
+      const tracking = await getOrderTracking(7, 5, createDb({ ...ORDER, status: 'picked_up' }));
+
+      expect(tracking.driverLocation).toBeNull();
+    });
+
+    it('leaves the PIN out of snapshots pushed to tracking streams', async () => {
+      const tracking = await getOrderTracking(7, null, createDb(ORDER));
+
+      expect(tracking.deliveryPin).toBeNull();
+    });
+
+    it('returns null for orders the customer doesn\'t own', async () => {
+      expect(await getOrderTracking(7, 6, createDb(null))).toBeNull();
+    });
+  });
+
+  describe('PUT /api/drivers/location', () => {
+    let app;
+
+    beforeEach(() => {
+      app = express();
+      app.use(express.json());
+      app.use((req, res, next) => {
+        req.session = { userId: 4, userType: 'driver' };
+        next();
+      });
+      app.use('/api/drivers', driverRoutes);
+    });
+
+    it('records when the position was reported and pushes it to open tracking streams', async () => {
+      pool.query.mockImplementation(async (sql) => {
+        if (sql.includes('SELECT status FROM drivers')) {
+          return { rows: [{ status: 'busy' }] };
+        }
+        if (sql.includes('SELECT id FROM orders')) {
+          return { rows: [{ id: 7 }] };
+        }
+        if (sql.includes('FROM orders o')) {
+          return { rows: [ORDER] };
+        }
+        return { rows: [] };
+      });
+      const listener = jest.fn();
+      const unsubscribe = subscribeToOrder(7, listener);
+
+      try {
+        const response = await request(app).put('/api/drivers/location').send({ latitude: 5.6037, longitude: -0.187 });
+        expect(response.status).toBe(200);
+
+        const [sql, params] = pool.query.mock.calls.find(([statement]) => statement.includes('UPDATE drivers'));
+        expect(sql).toContain('location_updated_at = CURRENT_TIMESTAMP');
+        expect(params).toEqual([5.6037, -0.187, 4]);
+
+        await publishDriverLocation(4);
+        expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+          driverLocation: expect.objectContaining({ updatedAt: '2026-10-18T10:42:00.000Z' }),
+        }));
+      } finally {
+        unsubscribe();
+      }
+    });
+  });
+
+  describe('GET /api/orders/:id/tracking/stream', () => {
+    let app;
+    let sessionChecks;
+
+    beforeEach(() => {
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+      sessionChecks = [];
+      pool.query.mockImplementation(async (sql) => {
+        if (sql.includes('FROM orders o')) {
+          return { rows: [ORDER] };
+        }
+        if (sql.includes('FROM user_sessions')) {
+          return { rows: sessionChecks.shift() ? [{ '?column?': 1 }] : [] };
+        }
+        return { rows: [] };
+      });
+
+      app = express();
+      app.use((req, res, next) => {
+        req.session = { userId: 5, userType: 'customer' };
+        req.sessionID = 'sess-5';
+        next();
+      });
+      app.use('/api/orders', orderRoutes);
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    // Opens the stream and waits until its heartbeat is running; resolves with the response
+    // promise wrapped, as it only settles when the stream ends
+    const openStream = async () => {
+      const response = request(app).get('/api/orders/7/tracking/stream').then(res => res);
+      while (jest.getTimerCount() === 0) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      return { response };
+    };
+
+    it('keeps the stream alive while the session lasts and ends it once the session is gone', async () => {
+      sessionChecks = [true, false];
+      const { response } = await openStream();
+
+      await jest.advanceTimersByTimeAsync(25 * 1000);
+      const stillOpen = jest.getTimerCount();
+      await jest.advanceTimersByTimeAsync(25 * 1000);
+      const { text } = await response;
+
+      expect(stillOpen).toBe(1);
+      expect(text).toContain('event: tracking');
+      expect(text.match(/: keep-alive/g)).toHaveLength(1);
+      expect(jest.getTimerCount()).toBe(0);
+      const checks = pool.query.mock.calls.filter(([sql]) => sql.includes('FROM user_sessions'));
+      expect(checks.map(([, params]) => params)).toEqual([['sess-5'], ['sess-5']]);
+    });
+  });
+});
@@ -0,0 +1,231 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the database module
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn(),
+  },
+}));
+
+// Mock the logger module
+jest.mock('../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+jest.mock('../routes/auth', () => ({
+  authenticateSession: jest.fn(() => (req, res, next) => {
+    req.user = { userId: req.session.userId };
+    next();
+  }),
+}));
+
+const { pool } = require('../config/database');
+const { validateVariants, syncProductVariants } = require('../utils/productVariants');
+const cartRoutes = require('../routes/cart');
+const { routeQueries } = require('./helpers/mockQueries');
+
+const VARIANT = { sku: 'TEE-S-RED', options: { size: 'S', color: 'Red' }, stock_quantity: 4 };
+
+describe('validateVariants', () => {
+  it('normalizes SKUs, options, price and stock', () => {
+    const result = validateVariants([
+      { ...VARIANT, id: '3', sku: ' TEE-S-RED ', options: { size: ' S ', color: 'Red', material: '' }, price: '19.50', stock_quantity: '4' },
+    ]);
+
+    expect(result).toEqual({
+      errors: [],
+      variants: [{
+        id: 3,
+        sku: 'TEE-S-RED',
+        options: { size: 'S', color: 'Red' },
+        price: 19.5,
+        stock_quantity: 4,
+        image_url: null,
+        is_active: true,
+      }],
+    });
+  });
+
+  it('leaves the price empty so the variant uses the product price', () => {
+    expect(validateVariants([{ ...VARIANT, price: '' }]).variants[0].price).toBeNull();
+  });
+
+  it('accepts a free variant but not a negative price', () => {
+    expect(validateVariants([{ ...VARIANT, price: 0 }]).errors).toEqual([]);
+    expect(validateVariants([{ ...VARIANT, price: -1 }]).errors).toEqual(['Variant 1: price must be zero or more']);
+  });
+
+  it('rejects repeated SKUs and option combinations, ignoring case', () => {
+    const { errors } = validateVariants([
+      VARIANT,
+      { ...VARIANT, sku: 'tee-s-red', options: { size: 's', color: 'red' } },
+    ]);
+
+    expect(errors).toEqual([
+      'Variant 2: SKU tee-s-red is used more than once',
+      'Variant 2: duplicate option combination',
+    ]);
+  });
+
+  it('requires a SKU, a supported option and stock', () => {
+    const { errors } = validateVariants([{ options: { flavour: 'Mango' }, stock_quantity: -1 }]);
+
+    expect(errors).toEqual([
+      'Variant 1: SKU is required and must be at most 100 characters',
+      'Variant 1: unsupported option "flavour"',
+      'Variant 1: at least one of size, color, material is required',
+      'Variant 1: stock quantity must be zero or more',
+    ]);
+  });
+
+  it('rejects anything but an array', () => {
+    expect(validateVariants({ sku: 'A' }).errors).toEqual(['Variants must be an array']);
+  });
+});
+
+describe('syncProductVariants', () => {
+  const createClient = (handlers = []) => ({
+    query: routeQueries(handlers),
+  });
+
+  it('removes dropped variants, updates kept ones and inserts new ones', async () => {
+    const client = createClient([
+      ['UPDATE product_variants', { rows: [{ id: 3, sku: 'TEE-S-RED' }] }],
+      ['INSERT INTO product_variants', { rows: [{ id: 9, sku: 'TEE-M-RED' }] }],
+    ]);
+
+    const saved = await syncProductVariants(client, 12, [
+      { ...VARIANT, id: 3, price: null, image_url: null, is_active: true },
+      { ...VARIANT, id: null, sku: 'TEE-M-RED', options: { size: 'M', color: 'Red' }, price: 21, image_url: null, is_active: true },
+    ]);
+
+    expect(saved).toEqual([{ id: 3, sku: 'TEE-S-RED' }, { id: 9, sku: 'TEE-M-RED' }]);
+    const [deleteSql, deleteParams] = client.query.mock.calls[0];
+    expect(deleteSql).toContain('DELETE FROM product_variants');
+    expect(deleteParams).toEqual([12, [3]]);
+    expect(client.query.mock.calls[1][1]).toEqual(['TEE-S-RED', '{"size":"S","color":"Red"}', null, 4, null, true, 12, 3]);
+    expect(client.query.mock.calls[2][1]).toEqual(['TEE-M-RED', '{"size":"M","color":"Red"}', 21, 4, null, true, 12]);
+    expect(client.query.mock.calls[3][0]).toContain('SELECT COALESCE(SUM(stock_quantity), 0) FROM product_variants');
+  });
+
+  it('inserts a variant whose id belongs to another product', async () => {
+    const client = createClient([
+      ['INSERT INTO product_variants', { rows: [{ id: 10 }] }],
+    ]);
+
+    await syncProductVariants(client, 12, [{ ...VARIANT, id: 77, price: null, image_url: null, is_active: true }]);
+
+    expect(client.query.mock.calls[1][0]).toContain('WHERE product_id = $7 AND id = $8');
+    expect(client.query.mock.calls[2][0]).toContain('INSERT INTO product_variants');
+  });
+
+  it('clears all variants without touching product stock', async () => {
+    const client = createClient();
+
+    expect(await syncProductVariants(client, 12, [])).toEqual([]);
+    expect(client.query).toHaveBeenCalledTimes(1);
+    expect(client.query.mock.calls[0][1]).toEqual([12, []]);
+  });
+});
+
+describe('Adding variants to the cart', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.session = req.headers['x-user-id'] ? { userId: Number(req.headers['x-user-id']) } : {};
+      next();
+    });
+    app.use('/api/cart', cartRoutes);
+  });
+
+  const mockProduct = ({ variantCount = 0, stock = 10, variant } = {}) => {
+    pool.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM products p')) {
+        return { rows: [{ id: 5, stock_quantity: stock, variant_count: variantCount }] };
+      }
+      if (sql.includes('FROM product_variants v WHERE v.id')) {
+        return { rows: variant ? [variant] : [] };
+      }
+      if (sql.includes('INSERT INTO cart_items')) {
+        return { rows: [{ id: 40, quantity: 3 }] };
+      }
+      return { rows: [] };
+    });
+  };
+
+  const insertCall = () => pool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO cart_items'));
+
+  it('merges a variant into the existing line for the same product and variant', async () => {
+    mockProduct({ variantCount: 2, variant: { id: 8, stock_quantity: 5 } });
+
+    const response = await request(app)
+      .post('/api/cart/add')
+      .set('x-user-id', '3')
+      .send({ productId: 5, variantId: 8, quantity: 2 })
+      .expect(200);
+
+    expect(response.body.data).toEqual({ cartItemId: 40, newQuantity: 3 });
+    const [sql, params] = insertCall();
+    expect(sql).toContain('ON CONFLICT (user_id, product_id, (COALESCE(variant_id, 0)))');
+    expect(sql).toContain('quantity = cart_items.quantity + $4');
+    expect(params).toEqual([3, 5, 8, 2]);
+  });
+
+  it('keys a guest line without a variant on variant 0', async () => {
+    mockProduct();
+
+    await request(app)
+      .post('/api/cart/add')
+      .set('x-session-id', 'guest-1')
+      .send({ productId: 5 })
+      .expect(200);
+
+    const [sql, params] = insertCall();
+    expect(sql).toContain('ON CONFLICT (session_id, product_id, (COALESCE(variant_id, 0)))');
+    expect(params).toEqual(['guest-1', 5, null, 1]);
+  });
+
+  it('asks for an option when the product has variants', async () => {
+    mockProduct({ variantCount: 2 });
+
+    const response = await request(app)
+      .post('/api/cart/add')
+      .set('x-session-id', 'guest-1')
+      .send({ productId: 5 })
+      .expect(400);
+
+    expect(response.body.message).toBe('Please select a product option');
+    expect(insertCall()).toBeUndefined();
+  });
+
+  it('checks stock against the variant, not the product', async () => {
+    mockProduct({ variantCount: 2, stock: 10, variant: { id: 8, stock_quantity: 1 } });
+
+    const response = await request(app)
+      .post('/api/cart/add')
+      .set('x-session-id', 'guest-1')
+      .send({ productId: 5, variantId: 8, quantity: 2 })
+      .expect(400);
+
+    expect(response.body.message).toBe('Insufficient stock available');
+  });
+
+  it('rejects a variant of another product', async () => {
+    mockProduct({ variantCount: 2 });
+
+    await request(app)
+      .post('/api/cart/add')
+      .set('x-session-id', 'guest-1')
+      .send({ productId: 5, variantId: 99 })
+      .expect(404);
+
+    const variantQuery = pool.query.mock.calls.find(([sql]) => sql.includes('FROM product_variants v WHERE v.id'));
+    expect(variantQuery[1]).toEqual([99, 5]);
+  });
+});
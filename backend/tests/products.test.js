@@ -0,0 +1,76 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the database module
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn(),
+  },
+}));
+
+// Mock the logger module
+jest.mock('../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+jest.mock('../routes/auth', () => ({
+  authenticateSession: jest.fn(() => (req, res, next) => next()),
+}));
+
+const { pool } = require('../config/database');
+const { createFixtureRateProvider, setRateProvider } = require('../utils/exchangeRates');
+const productRoutes = require('../routes/products');
+
+describe('Product listing', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use('/api/products', productRoutes);
+    jest.clearAllMocks();
+    setRateProvider(createFixtureRateProvider({ USD: 1, GHS: 15, EUR: 0.9 }));
+    pool.query.mockImplementation(async (sql) => ({ rows: sql.includes('COUNT(*) as total') ? [{ total: '0' }] : [] }));
+  });
+
+  afterAll(() => {
+    setRateProvider(null);
+  });
+
+  const listingQuery = () => pool.query.mock.calls[1];
+
+  it('sorts by price converted to the platform currency', async () => {
+    await request(app).get('/api/products?sort=price_asc').expect(200);
+
+    const [sql] = listingQuery();
+    expect(sql).toContain('CASE COALESCE(s.base_currency, \'USD\') WHEN \'USD\' THEN 1 WHEN \'EUR\' THEN 0.9 WHEN \'GHS\' THEN 15');
+    expect(sql).toContain('AS platform_price');
+    expect(sql).toContain('ORDER BY platform_price ASC, p.id ASC');
+  });
+
+  it('filters on platform-currency prices, converting bounds from the display currency', async () => {
+    await request(app).get('/api/products?minPrice=45&maxPrice=90&currency=eur').expect(200);
+
+    const [countSql, countParams] = pool.query.mock.calls[0];
+    expect(countSql).toContain('LEFT JOIN stores s');
+    expect(countSql).toContain('ELSE 1 END) >= $1');
+    expect(countParams[0]).toBeCloseTo(50);
+    expect(countParams[1]).toBeCloseTo(100);
+    expect(listingQuery()[1].slice(0, 2)).toEqual(countParams);
+  });
+
+  it('accepts categories as a list or as repeated parameters', async () => {
+    await request(app).get('/api/products?category=Spices,%20Snacks').expect(200);
+    await request(app).get('/api/products?category=Spices&category=Snacks').expect(200);
+
+    expect(pool.query.mock.calls[0][1]).toEqual([['Spices', 'Snacks']]);
+    expect(pool.query.mock.calls[2][1]).toEqual([['Spices', 'Snacks']]);
+  });
+
+  it('takes price bounds in the platform currency by default', async () => {
+    await request(app).get('/api/products?minPrice=20').expect(200);
+
+    expect(pool.query.mock.calls[0][1]).toEqual([20]);
+  });
+});
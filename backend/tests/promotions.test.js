@@ -0,0 +1,154 @@
+// Mock the logger module
+jest.mock('../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const { calculateDiscount, applyPromotion, markRedemptionUsed } = require('../utils/promotions');
+
+const promotion = (overrides = {}) => ({
+  id: 1,
+  code: 'SAVE10',
+  store_id: null,
+  discount_type: 'percentage',
+  discount_value: '10',
+  max_discount: null,
+  min_spend: '0',
+  usage_limit: null,
+  usage_count: 0,
+  per_customer_limit: null,
+  starts_at: null,
+  expires_at: null,
+  is_active: true,
+  ...overrides,
+});
+
+const CART = [
+  { product_id: 1, store_id: 3, price: '20.00', quantity: 2 },
+  { product_id: 2, store_id: 4, price: '15.50', quantity: 1 },
+  { product_id: 3, store_id: null, price: '4.99', quantity: 1 },
+];
+
+// A db whose promotions lookup returns the given row
+const dbWith = (row, redemptionCount = '0') => ({
+  query: jest.fn(async (sql) => {
+    if (sql.includes('FROM promotions')) {
+      return { rows: row ? [row] : [] };
+    }
+    return { rows: [{ count: redemptionCount }] };
+  }),
+});
+
+describe('calculateDiscount', () => {
+  it('takes a percentage off the whole cart', () => {
+    expect(calculateDiscount(promotion(), CART)).toEqual({
+      eligibleAmount: 60.49,
+      discountAmount: 6.05,
+      freeDelivery: false,
+    });
+  });
+
+  it('caps a percentage discount at the maximum discount', () => {
+    expect(calculateDiscount(promotion({ max_discount: '5.00' }), CART).discountAmount).toBe(5);
+  });
+
+  it('only discounts the promoting store\'s items', () => {
+    const result = calculateDiscount(promotion({ store_id: 3, discount_value: '50' }), CART);
+
+    expect(result.eligibleAmount).toBe(40);
+    expect(result.discountAmount).toBe(20);
+  });
+
+  it('never takes a fixed discount below zero', () => {
+    const result = calculateDiscount(promotion({ store_id: 4, discount_type: 'fixed_amount', discount_value: '25' }), CART);
+
+    expect(result.discountAmount).toBe(15.5);
+  });
+
+  it('gives free delivery without an item discount', () => {
+    expect(calculateDiscount(promotion({ discount_type: 'free_delivery', discount_value: '0' }), CART)).toEqual({
+      eligibleAmount: 60.49,
+      discountAmount: 0,
+      freeDelivery: true,
+    });
+  });
+});
+
+describe('applyPromotion', () => {
+  it('applies a valid code entered in any case', async () => {
+    const db = dbWith(promotion());
+
+    const applied = await applyPromotion(db, ' save10 ', CART);
+
+    expect(db.query.mock.calls[0][1]).toEqual(['SAVE10']);
+    expect(applied).toMatchObject({ success: true, discountAmount: 6.05, fundedBy: 'platform', storeId: null });
+  });
+
+  it('marks store promotions as store-funded', async () => {
+    const applied = await applyPromotion(dbWith(promotion({ store_id: 3 })), 'SAVE10', CART);
+
+    expect(applied).toMatchObject({ success: true, discountAmount: 4, fundedBy: 'store', storeId: 3 });
+  });
+
+  it.each([
+    ['unknown', null, 'This promo code is not valid'],
+    ['inactive', promotion({ is_active: false }), 'This promo code is not valid'],
+    ['not started', promotion({ starts_at: new Date(Date.now() + 60000) }), 'This promo code is not active yet'],
+    ['expired', promotion({ expires_at: new Date(Date.now() - 60000) }), 'This promo code has expired'],
+    ['used up', promotion({ usage_limit: 5, usage_count: 5 }), 'This promo code has reached its usage limit'],
+    ['for another store', promotion({ store_id: 9 }), 'This promo code only applies to items from a specific store'],
+  ])('rejects a code that is %s', async (_, row, message) => {
+    expect(await applyPromotion(dbWith(row), 'SAVE10', CART)).toEqual({ success: false, message });
+  });
+
+  it('states the minimum spend in the platform currency', async () => {
+    const applied = await applyPromotion(dbWith(promotion({ store_id: 3, min_spend: '50' })), 'SAVE10', CART);
+
+    expect(applied).toEqual({ success: false, message: 'Spend at least $50.00 at this store to use this code' });
+  });
+
+  it('asks guests to log in for codes limited per customer', async () => {
+    const applied = await applyPromotion(dbWith(promotion({ per_customer_limit: 1 })), 'SAVE10', CART);
+
+    expect(applied.message).toBe('Please log in to use this promo code');
+  });
+
+  it('rejects a code the customer has already used up', async () => {
+    const db = dbWith(promotion({ per_customer_limit: 1 }), '1');
+
+    const applied = await applyPromotion(db, 'SAVE10', CART, { customerId: 7 });
+
+    expect(applied.message).toBe('You have already used this promo code');
+    expect(db.query.mock.calls[1][1]).toEqual([1, 7]);
+  });
+});
+
+describe('markRedemptionUsed', () => {
+  it('counts the redemption against the promotion\'s limit', async () => {
+    const db = { query: jest.fn() };
+    db.query
+      .mockResolvedValueOnce({ rows: [{ promotion_id: 1 }] })
+      .mockResolvedValueOnce({ rows: [{ code: 'SAVE10' }] });
+
+    expect(await markRedemptionUsed(db, 42)).toEqual({ promotionId: 1, code: 'SAVE10', withinLimit: true });
+    expect(db.query.mock.calls[1][0]).toContain('usage_limit IS NULL OR usage_count < usage_limit');
+  });
+
+  it('reports a redemption past the limit without counting it', async () => {
+    const db = { query: jest.fn() };
+    db.query
+      .mockResolvedValueOnce({ rows: [{ promotion_id: 1 }] })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ code: 'SAVE10' }] });
+
+    expect(await markRedemptionUsed(db, 42)).toEqual({ promotionId: 1, code: 'SAVE10', withinLimit: false });
+  });
+
+  it('does nothing for an order already marked', async () => {
+    const db = { query: jest.fn().mockResolvedValueOnce({ rows: [] }) };
+
+    expect(await markRedemptionUsed(db, 42)).toBeNull();
+    expect(db.query).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,137 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the database module
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn(),
+    connect: jest.fn(),
+  },
+}));
+
+// Mock the logger module
+jest.mock('../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const mockStripe = {
+  refunds: {
+    create: jest.fn(),
+  },
+};
+jest.mock('stripe', () => () => mockStripe);
+
+jest.mock('../routes/auth', () => ({
+  authenticateSession: (req, res, next) => next(),
+  authenticateAdmin: (req, res, next) => next(),
+}));
+
+jest.mock('../middleware/storeOwnerAuth', () => ({
+  authenticateStoreOwner: (req, res, next) => {
+    req.user = { userId: 12, userType: 'store_owner', storeId: 3 };
+    next();
+  },
+}));
+
+jest.mock('../routes/notifications', () => ({
+  createNotification: jest.fn(),
+}));
+
+jest.mock('../utils/emailService', () => ({
+  sendRefundConfirmation: jest.fn(),
+}));
+
+const { pool } = require('../config/database');
+const refundRoutes = require('../routes/refunds');
+const { routeQueries, queriesMatching } = require('./helpers/mockQueries');
+
+// A pg client whose queries are answered by routeQueries
+const createClient = (handlers = []) => ({
+  query: routeQueries(handlers),
+  release: jest.fn(),
+});
+
+const pendingRefund = (overrides = {}) => ({
+  id: 4,
+  order_id: 21,
+  user_id: 5,
+  status: 'pending',
+  refund_type: 'full',
+  refund_amount: '10.00',
+  payment_intent_id: 'pi_123',
+  currency: 'USD',
+  fx_rate: '1',
+  email: 'ama@example.com',
+  full_name: 'Ama Mensah',
+  ...overrides,
+});
+
+describe('Refund processing', () => {
+  let app;
+  let client;
+
+  const useRefund = (refund) => {
+    client = createClient([['FROM refunds r', { rows: refund ? [refund] : [] }]]);
+    pool.connect.mockResolvedValue(client);
+  };
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.session = { userId: 1, userType: 'admin' };
+      next();
+    });
+    app.use('/api/refunds', refundRoutes);
+    jest.clearAllMocks();
+  });
+
+  it('refunds in the currency the order was charged in', async () => {
+    useRefund(pendingRefund({ currency: 'KES', fx_rate: '129.5' }));
+    mockStripe.refunds.create.mockResolvedValue({ id: 're_1' });
+
+    const response = await request(app).post('/api/refunds/4/process').send({}).expect(200);
+
+    expect(response.body.data).toMatchObject({ stripeRefundId: 're_1', amount: 10, status: 'completed' });
+    expect(mockStripe.refunds.create).toHaveBeenCalledWith(expect.objectContaining({
+      payment_intent: 'pi_123',
+      amount: 129500,
+    }));
+    expect(queriesMatching(client.query, 'SET refund_status')[0][1]).toEqual(['completed', 21]);
+    expect(queriesMatching(client.query, 'COMMIT')).toHaveLength(1);
+  });
+
+  it('marks a partial refund on the order', async () => {
+    useRefund(pendingRefund({ refund_type: 'partial', refund_amount: '2.50' }));
+    mockStripe.refunds.create.mockResolvedValue({ id: 're_2' });
+
+    await request(app).post('/api/refunds/store-owner/4/process').send({}).expect(200);
+
+    expect(mockStripe.refunds.create.mock.calls[0][0].amount).toBe(250);
+    expect(client.query.mock.calls.find(([sql]) => sql.includes('FROM refunds r'))[1]).toEqual(['4', 12]);
+    expect(queriesMatching(client.query, 'SET refund_status')[0][1]).toEqual(['partial', 21]);
+  });
+
+  it('records the Stripe error when the refund fails', async () => {
+    useRefund(pendingRefund());
+    mockStripe.refunds.create.mockRejectedValue(new Error('Charge already refunded'));
+
+    await request(app).post('/api/refunds/4/process').send({}).expect(500);
+
+    const failed = queriesMatching(client.query, 'SET status = \'failed\'');
+    expect(failed).toHaveLength(1);
+    expect(failed[0][1][0]).toBe('Stripe error: Charge already refunded');
+    expect(queriesMatching(client.query, 'SET refund_status')).toHaveLength(0);
+  });
+
+  it('does not refund twice', async () => {
+    useRefund(pendingRefund({ status: 'completed' }));
+
+    const response = await request(app).post('/api/refunds/4/process').send({}).expect(400);
+
+    expect(response.body.message).toBe('Refund is already completed');
+    expect(mockStripe.refunds.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,271 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the database module
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn(),
+    connect: jest.fn(),
+  },
+}));
+
+// Mock the logger module
+jest.mock('../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+jest.mock('../routes/auth', () => ({
+  authenticateSession: jest.fn(() => (req, res, next) => {
+    req.user = { userId: 5, userType: 'customer' };
+    next();
+  }),
+  authenticateAdmin: (req, res, next) => {
+    req.user = { userId: 1 };
+    next();
+  },
+}));
+
+jest.mock('../middleware/storeOwnerAuth', () => ({
+  authenticateStoreOwner: (req, res, next) => {
+    req.user = { userId: 12, userType: 'store_owner', storeId: 3 };
+    next();
+  },
+}));
+
+jest.mock('../routes/notifications', () => ({
+  createNotification: jest.fn(),
+}));
+
+const { pool } = require('../config/database');
+const { createNotification } = require('../routes/notifications');
+const productRoutes = require('../routes/products');
+const reviewRoutes = require('../routes/reviews');
+const { routeQueries, queriesMatching } = require('./helpers/mockQueries');
+
+const REVIEW = { id: 8, product_id: 21, customer_id: 5, rating: 4, product_name: 'Shito' };
+
+describe('Product reviews', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/products', productRoutes);
+    app.use('/api/reviews', reviewRoutes);
+  });
+
+  describe('GET /products/:id/reviews', () => {
+    it('returns approved reviews with the rating summary', async () => {
+      pool.query = routeQueries([
+        ['FROM products p', {
+          rows: [{ average_rating: '4.50', review_count: '2', five: '1', four: '1', three: '0', two: '0', one: '0' }],
+        }],
+        ['FROM product_reviews r', { rows: [{ id: 8, rating: 5 }, { id: 9, rating: 4 }] }],
+      ]);
+
+      const response = await request(app).get('/api/products/21/reviews?sort=lowest&limit=500');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.summary).toEqual({
+        averageRating: 4.5,
+        reviewCount: 2,
+        distribution: { 5: 1, 4: 1, 3: 0, 2: 0, 1: 0 },
+      });
+      const [sql, params] = queriesMatching(pool.query, 'FROM product_reviews r')[0];
+      expect(sql).toContain('r.status = \'approved\'');
+      expect(sql).toContain('ORDER BY r.rating ASC');
+      expect(params).toEqual(['21', 50, 0]);
+    });
+
+    it('answers 404 for a missing product', async () => {
+      pool.query = routeQueries();
+
+      const response = await request(app).get('/api/products/404/reviews');
+
+      expect(response.status).toBe(404);
+      expect(queriesMatching(pool.query, 'FROM products p')[0][1]).toEqual(['404']);
+      expect(queriesMatching(pool.query, 'FROM product_reviews r')).toHaveLength(0);
+    });
+  });
+
+  describe('POST /products/:id/reviews', () => {
+    const submit = body => request(app).post('/api/products/21/reviews').send(body);
+
+    it('only accepts reviews from customers whose order was delivered', async () => {
+      pool.query = routeQueries();
+
+      const response = await submit({ rating: 5, body: 'Tastes just like home.' });
+
+      expect(response.status).toBe(403);
+      expect(queriesMatching(pool.query, 'o.status = \'delivered\'')[0][1]).toEqual([5, '21']);
+      expect(queriesMatching(pool.query, 'INSERT INTO product_reviews')).toHaveLength(0);
+    });
+
+    it('saves the review for moderation against the delivered order', async () => {
+      pool.query = routeQueries([
+        ['FROM orders o', { rows: [{ id: 44 }] }],
+        ['INSERT INTO product_reviews', { rows: [{ id: 8, status: 'pending' }] }],
+      ]);
+
+      const response = await submit({ rating: '4', title: '  Good  ', body: 'Tastes just like home.' });
+
+      expect(response.status).toBe(201);
+      expect(queriesMatching(pool.query, 'INSERT INTO product_reviews')[0][1])
+        .toEqual(['21', 5, 44, 4, 'Good', 'Tastes just like home.']);
+    });
+
+    it('answers 409 when the customer already reviewed the product', async () => {
+      pool.query = routeQueries([
+        ['FROM orders o', { rows: [{ id: 44 }] }],
+      ]);
+
+      const response = await submit({ rating: 4, body: 'Tastes just like home.' });
+
+      expect(response.status).toBe(409);
+      const [sql, params] = queriesMatching(pool.query, 'INSERT INTO product_reviews')[0];
+      expect(sql).toContain('ON CONFLICT (product_id, customer_id) DO NOTHING');
+      expect(params).toEqual(['21', 5, 44, 4, null, 'Tastes just like home.']);
+    });
+
+    it.each([
+      ['a zero rating', { rating: 0, body: 'Tastes just like home.' }, 'Rating must be a whole number from 1 to 5'],
+      ['a six star rating', { rating: 6, body: 'Tastes just like home.' }, 'Rating must be a whole number from 1 to 5'],
+      ['a short review', { rating: 3, body: 'Too short' }, 'Review text must be between 10 and 2000 characters'],
+      ['a long title', { rating: 3, body: 'Tastes just like home.', title: 'x'.repeat(151) }, 'Review title must be 150 characters or fewer'],
+    ])('rejects %s', async (_case, body, message) => {
+      pool.query = routeQueries();
+
+      const response = await submit(body);
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe(message);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /products/:id/reviews/eligibility', () => {
+    it('reports an existing review instead of asking for another', async () => {
+      pool.query = routeQueries([
+        ['FROM product_reviews', { rows: [{ id: 8, status: 'pending' }] }],
+      ]);
+
+      const response = await request(app).get('/api/products/21/reviews/eligibility');
+
+      expect(response.body.data).toEqual({ canReview: false, reason: 'already_reviewed', review: { id: 8, status: 'pending' } });
+      expect(queriesMatching(pool.query, 'FROM product_reviews')[0][1]).toEqual(['21', 5]);
+      expect(queriesMatching(pool.query, 'FROM orders o')).toHaveLength(0);
+    });
+
+    it('lets customers review products from delivered orders', async () => {
+      pool.query = routeQueries([
+        ['FROM orders o', { rows: [{ id: 44 }] }],
+      ]);
+
+      const response = await request(app).get('/api/products/21/reviews/eligibility');
+
+      expect(response.body.data).toEqual({ canReview: true, reason: null, review: null });
+      const [sql, params] = queriesMatching(pool.query, 'FROM orders o')[0];
+      expect(sql).toContain('o.status = \'delivered\'');
+      expect(params).toEqual([5, '21']);
+    });
+  });
+
+  describe('PUT /reviews/:id/reply', () => {
+    it('saves the store\'s reply and tells the reviewer', async () => {
+      pool.query = routeQueries([
+        ['UPDATE product_reviews r', { rows: [REVIEW] }],
+      ]);
+
+      const response = await request(app).put('/api/reviews/8/reply').send({ reply: ' Thank you! ' });
+
+      expect(response.status).toBe(200);
+      expect(queriesMatching(pool.query, 'UPDATE product_reviews r')[0][1]).toEqual(['Thank you!', '8', 3]);
+      expect(createNotification).toHaveBeenCalledWith(
+        5, 'customer', 'The seller replied to your review', expect.stringContaining('Shito'), 'system', '/product/21',
+      );
+    });
+
+    it('removes the reply when it is empty without notifying anyone', async () => {
+      pool.query = routeQueries([
+        ['UPDATE product_reviews r', { rows: [REVIEW] }],
+      ]);
+
+      const response = await request(app).put('/api/reviews/8/reply').send({ reply: '' });
+
+      expect(response.body.message).toBe('Reply removed');
+      expect(queriesMatching(pool.query, 'UPDATE product_reviews r')[0][1][0]).toBeNull();
+      expect(createNotification).not.toHaveBeenCalled();
+    });
+
+    it('answers 404 for reviews on another store\'s products', async () => {
+      pool.query = routeQueries();
+
+      const response = await request(app).put('/api/reviews/8/reply').send({ reply: 'Thanks' });
+
+      expect(response.status).toBe(404);
+      const [sql, params] = queriesMatching(pool.query, 'UPDATE product_reviews r')[0];
+      expect(sql).toContain('p.store_id = $3');
+      expect(params).toEqual(['Thanks', '8', 3]);
+      expect(createNotification).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /reviews/store', () => {
+    it('bounds the page size and can limit to unanswered reviews', async () => {
+      pool.query = routeQueries([
+        ['COUNT(*) as total', { rows: [{ total: '3' }] }],
+      ]);
+
+      const response = await request(app).get('/api/reviews/store?unanswered=true&limit=1000&page=-2');
+
+      expect(response.body.pagination).toEqual({ page: 1, limit: 100, total: 3, pages: 1 });
+      const [sql, params] = queriesMatching(pool.query, 'LIMIT $2 OFFSET $3')[0];
+      expect(sql).toContain('r.store_reply IS NULL');
+      expect(params).toEqual([3, 100, 0]);
+    });
+  });
+
+  describe('PUT /reviews/:id/moderate', () => {
+    let client;
+
+    beforeEach(() => {
+      client = {
+        query: routeQueries([
+          ['UPDATE product_reviews', { rows: [REVIEW] }],
+        ]),
+        release: jest.fn(),
+      };
+      pool.connect.mockResolvedValue(client);
+    });
+
+    it('recalculates the product rating in the same transaction', async () => {
+      const response = await request(app).put('/api/reviews/8/moderate').send({ status: 'approved' });
+
+      expect(response.status).toBe(200);
+      const sql = client.query.mock.calls.map(([statement]) => statement.trim());
+      expect(sql[0]).toBe('BEGIN');
+      expect(sql[2]).toContain('average_rating');
+      expect(client.query.mock.calls[2][1]).toEqual([21]);
+      expect(sql[3]).toBe('COMMIT');
+      expect(createNotification).toHaveBeenCalledWith(
+        5, 'customer', 'Your review is live', expect.any(String), 'system', '/product/21',
+      );
+    });
+
+    it('passes the moderator\'s note on with a rejection', async () => {
+      await request(app).put('/api/reviews/8/moderate').send({ status: 'rejected', note: 'contains a phone number' });
+
+      expect(client.query.mock.calls[1][1]).toEqual(['rejected', 'contains a phone number', 1, '8']);
+      expect(createNotification.mock.calls[0][3]).toContain(': contains a phone number');
+    });
+
+    it('rejects anything but approve or reject', async () => {
+      const response = await request(app).put('/api/reviews/8/moderate').send({ status: 'pending' });
+
+      expect(response.status).toBe(400);
+      expect(client.query).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,256 @@
+// Mock the database module
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn(),
+    connect: jest.fn(),
+  },
+}));
+
+// Mock the logger module
+jest.mock('../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const mockStripe = {
+  paymentIntents: {
+    retrieve: jest.fn(),
+    cancel: jest.fn(),
+  },
+  transfers: {
+    create: jest.fn(),
+    list: jest.fn(),
+  },
+};
+jest.mock('stripe', () => () => mockStripe);
+
+jest.mock('../utils/emailService', () => ({
+  sendOrderConfirmation: jest.fn(),
+}));
+
+jest.mock('../utils/dispatch', () => ({
+  dispatchOrder: jest.fn().mockResolvedValue(null),
+}));
+
+const { pool } = require('../config/database');
+const { commitReservations } = require('../utils/stockReservations');
+const { completeOrderPayment } = require('../utils/orderCompletion');
+const { sweepExpiredReservations, startReservationSweeper } = require('../utils/reservationSweeper');
+const { routeQueries, queriesMatching } = require('./helpers/mockQueries');
+
+// A pg client whose queries are answered by routeQueries
+const createClient = (handlers = []) => ({
+  query: routeQueries(handlers),
+  release: jest.fn(),
+});
+
+const PAID_INTENT = {
+  id: 'pi_123',
+  status: 'succeeded',
+  metadata: { platformOnly: 'true' },
+};
+
+// Stock rows that behave like Postgres: product_variants rejects negative stock with its CHECK constraint
+const createStockTables = (stock) => {
+  const tables = { products: { ...stock.products }, product_variants: { ...stock.product_variants } };
+  const handlers = ['products', 'product_variants'].flatMap(table => [
+    [`SELECT stock_quantity FROM ${table} `, ([id]) => ({
+      rows: id in tables[table] ? [{ stock_quantity: tables[table][id] }] : [],
+    })],
+    [`UPDATE ${table} SET stock_quantity`, ([quantity, id], sql) => {
+      const next = sql.includes('GREATEST(stock_quantity - $1, 0)')
+        ? Math.max(tables[table][id] - quantity, 0)
+        : tables[table][id] - quantity;
+      if (table === 'product_variants' && next < 0) {
+        throw Object.assign(new Error('new row for relation "product_variants" violates check constraint "product_variants_stock_quantity_check"'), { code: '23514' });
+      }
+      tables[table][id] = next;
+      return { rows: [{ stock_quantity: next }] };
+    }],
+  ]);
+  return { tables, handlers };
+};
+
+describe('commitReservations', () => {
+  it('takes stock for active and released reservations', async () => {
+    const { tables, handlers } = createStockTables({ products: { 1: 10, 2: 8 }, product_variants: { 10: 5 } });
+    const db = createClient([
+      ['WITH pending AS', {
+        rows: [
+          { id: 100, product_id: 1, variant_id: 10, quantity: 2, previous_status: 'active' },
+          { id: 101, product_id: 2, variant_id: null, quantity: 1, previous_status: 'released' },
+        ],
+      }],
+      ...handlers,
+    ]);
+
+    const result = await commitReservations(db, 42);
+
+    expect(result).toEqual({ committed: 2, reclaimed: 1, oversold: [] });
+    expect(db.query.mock.calls[0][0]).toContain('status IN (\'active\', \'released\')');
+    expect(tables).toEqual({ products: { 1: 8, 2: 7 }, product_variants: { 10: 3 } });
+    expect(queriesMatching(db.query, 'oversold_quantity')).toHaveLength(0);
+  });
+
+  it('stops a variant at zero instead of breaking its stock check, and records the shortfall', async () => {
+    const { tables, handlers } = createStockTables({ products: { 1: 1 }, product_variants: { 10: 1 } });
+    const db = createClient([
+      ['WITH pending AS', { rows: [{ id: 100, product_id: 1, variant_id: 10, quantity: 3, previous_status: 'released' }] }],
+      ...handlers,
+    ]);
+
+    const result = await commitReservations(db, 42);
+
+    expect(result.oversold).toEqual([{ productId: 1, variantId: 10, quantity: 3, shortfall: 2 }]);
+    expect(tables).toEqual({ products: { 1: 0 }, product_variants: { 10: 0 } });
+    expect(queriesMatching(db.query, 'SET oversold_quantity')[0][1]).toEqual([2, 100]);
+  });
+
+  it('reports a product without variants as oversold by its own stock', async () => {
+    const { tables, handlers } = createStockTables({ products: { 2: 0 }, product_variants: {} });
+    const db = createClient([
+      ['WITH pending AS', { rows: [{ id: 101, product_id: 2, variant_id: null, quantity: 1, previous_status: 'released' }] }],
+      ...handlers,
+    ]);
+
+    const result = await commitReservations(db, 42);
+
+    expect(result.oversold).toEqual([{ productId: 2, variantId: null, quantity: 1, shortfall: 1 }]);
+    expect(tables.products[2]).toBe(0);
+  });
+});
+
+describe('Sweeper vs late payment', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool.query.mockResolvedValue({ rows: [] });
+  });
+
+  it('completes an order the sweeper cancelled when its payment succeeds late, flagging the oversell', async () => {
+    const client = createClient([
+      ['FROM orders WHERE payment_intent_id', { rows: [{ id: 7, status: 'cancelled', items: [], user_id: 3 }] }],
+      ['FILTER (WHERE status', { rows: [{ released: '1', committed: '0' }] }],
+      ['WITH pending AS', { rows: [{ id: 9, product_id: 5, variant_id: null, quantity: 1, previous_status: 'released' }] }],
+      ['SELECT stock_quantity FROM products', { rows: [{ stock_quantity: 0 }] }],
+    ]);
+    pool.connect.mockResolvedValue(client);
+
+    const result = await completeOrderPayment(PAID_INTENT);
+
+    expect(result.status).toBe('completed');
+    const note = queriesMatching(client.query, 'SET notes')[0][1][0];
+    expect(note).toContain('Payment succeeded after the order was cancelled');
+    expect(note).toContain('Oversold: product 5 is short 1 of 1');
+    expect(queriesMatching(client.query, 'SET status = \'completed\'')).toHaveLength(1);
+    expect(queriesMatching(client.query, 'COMMIT')).toHaveLength(1);
+  });
+
+  it('does not reopen an order that was cancelled after it was paid', async () => {
+    const client = createClient([
+      ['FROM orders WHERE payment_intent_id', { rows: [{ id: 7, status: 'cancelled', items: [] }] }],
+      ['FILTER (WHERE status', { rows: [{ released: '0', committed: '2' }] }],
+    ]);
+    pool.connect.mockResolvedValue(client);
+
+    const result = await completeOrderPayment(PAID_INTENT);
+
+    expect(result.status).toBe('already_completed');
+    expect(queriesMatching(client.query, 'WITH pending AS')).toHaveLength(0);
+    expect(queriesMatching(client.query, 'ROLLBACK')).toHaveLength(1);
+  });
+
+  it('flags a cancelled order from before stock reservations for review instead of guessing', async () => {
+    const client = createClient([
+      ['FROM orders WHERE payment_intent_id', { rows: [{ id: 7, status: 'cancelled', items: [] }] }],
+      ['FILTER (WHERE status', { rows: [{ released: '0', committed: '0' }] }],
+    ]);
+    pool.connect.mockResolvedValue(client);
+
+    const result = await completeOrderPayment(PAID_INTENT);
+
+    expect(result.status).toBe('needs_review');
+    const [sql, params] = queriesMatching(client.query, 'SET notes')[0];
+    expect(sql).toContain('POSITION($1 IN COALESCE(notes, \'\')) = 0');
+    expect(params[0]).toContain('Payment pi_123 succeeded after the order was cancelled');
+    expect(params[1]).toBe(7);
+    expect(queriesMatching(client.query, 'WITH pending AS')).toHaveLength(0);
+    expect(queriesMatching(client.query, 'SET status = \'completed\'')).toHaveLength(0);
+    expect(queriesMatching(client.query, 'COMMIT')).toHaveLength(1);
+  });
+
+  it('completes instead of releasing when the payment succeeded before the sweep', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ id: 7, payment_intent_id: 'pi_123' }] });
+    mockStripe.paymentIntents.retrieve.mockResolvedValue(PAID_INTENT);
+    const client = createClient([
+      ['FROM orders WHERE payment_intent_id', { rows: [{ id: 7, status: 'pending', items: [] }] }],
+      ['WITH pending AS', { rows: [{ product_id: 5, variant_id: null, quantity: 1, previous_status: 'active' }] }],
+      ['UPDATE products', { rows: [{ stock_quantity: 4 }] }],
+    ]);
+    pool.connect.mockResolvedValue(client);
+
+    const summary = await sweepExpiredReservations();
+
+    expect(summary).toEqual({ completed: 1, released: 0, skipped: 0, failed: 0 });
+    expect(mockStripe.paymentIntents.retrieve).toHaveBeenCalledWith('pi_123');
+    expect(queriesMatching(client.query, 'FROM orders WHERE payment_intent_id')[0][1]).toEqual(['pi_123']);
+    expect(mockStripe.paymentIntents.cancel).not.toHaveBeenCalled();
+    expect(queriesMatching(client.query, 'SET status = \'released\'')).toHaveLength(0);
+  });
+
+  it('keeps the reservation when the payment succeeds while the sweeper is cancelling it', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ id: 7, payment_intent_id: 'pi_123' }] });
+    mockStripe.paymentIntents.retrieve.mockResolvedValue({ id: 'pi_123', status: 'requires_action' });
+    mockStripe.paymentIntents.cancel.mockRejectedValue(new Error('This PaymentIntent has already succeeded'));
+
+    const summary = await sweepExpiredReservations();
+
+    // Nothing was released; the next sweep or the webhook completes the order
+    expect(summary).toEqual({ completed: 0, released: 0, skipped: 0, failed: 1 });
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+
+  it('releases the stock of an abandoned payment', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ id: 7, payment_intent_id: 'pi_123' }] });
+    mockStripe.paymentIntents.retrieve.mockResolvedValue({ id: 'pi_123', status: 'requires_payment_method' });
+    mockStripe.paymentIntents.cancel.mockResolvedValue({ id: 'pi_123', status: 'canceled' });
+    const client = createClient([
+      ['FROM orders WHERE payment_intent_id', { rows: [{ id: 7, status: 'pending' }] }],
+      ['SET status = \'released\'', { rows: [{ id: 1 }] }],
+      ['SELECT COUNT(*) FROM stock_reservations', { rows: [{ count: '1' }] }],
+    ]);
+    pool.connect.mockResolvedValue(client);
+
+    const summary = await sweepExpiredReservations();
+
+    expect(summary).toEqual({ completed: 0, released: 1, skipped: 0, failed: 0 });
+    expect(mockStripe.paymentIntents.cancel).toHaveBeenCalledWith('pi_123', { cancellation_reason: 'abandoned' });
+    expect(queriesMatching(client.query, 'SET status = \'cancelled\'')).toHaveLength(1);
+  });
+});
+
+describe('startReservationSweeper', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('skips ticks while the previous sweep is still running', async () => {
+    jest.useFakeTimers();
+    let finishSweep;
+    pool.query.mockReturnValueOnce(new Promise(resolve => {
+      finishSweep = resolve;
+    }));
+
+    const timer = startReservationSweeper(1000);
+    jest.advanceTimersByTime(3000);
+
+    expect(pool.query).toHaveBeenCalledTimes(1);
+
+    pool.query.mockResolvedValue({ rows: [] });
+    finishSweep({ rows: [] });
+    await jest.advanceTimersByTimeAsync(1000);
+    clearInterval(timer);
+
+    expect(pool.query).toHaveBeenCalledTimes(2);
+  });
+});
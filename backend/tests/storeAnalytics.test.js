@@ -0,0 +1,252 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the database module
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn(),
+    connect: jest.fn(),
+  },
+}));
+
+// Mock the logger module
+jest.mock('../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+jest.mock('../middleware/storeOwnerAuth', () => ({
+  authenticateStoreOwner: (req, res, next) => {
+    req.user = { userId: 12, userType: 'store_owner', storeId: 3 };
+    next();
+  },
+}));
+
+jest.mock('../utils/emailService', () => ({}));
+
+jest.mock('../routes/notifications', () => ({
+  createNotification: jest.fn(),
+}));
+
+const { pool } = require('../config/database');
+const productRoutes = require('../routes/products');
+const storeRoutes = require('../routes/store');
+const { routeQueries, queriesMatching } = require('./helpers/mockQueries');
+
+// Answers the current window with the first row and the previous window with the second
+const byWindow = (current, previous) => {
+  let calls = 0;
+  return () => ({ rows: [calls++ === 0 ? current : previous] });
+};
+
+const SALES = {
+  total_orders: '4',
+  units_sold: '10',
+  revenue: '200.00',
+  commission: '20.004',
+  earnings: '179.996',
+  refunded_orders: '1',
+  refunded_amount: '12.345',
+};
+
+const EMPTY_SALES = {
+  total_orders: '0',
+  units_sold: '0',
+  revenue: '0',
+  commission: '0',
+  earnings: '0',
+  refunded_orders: '0',
+  refunded_amount: '0',
+};
+
+describe('Store analytics', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/store', storeRoutes);
+  });
+
+  const analyticsQueries = (overrides = []) => routeQueries([
+    ...overrides,
+    ['generate_series', {
+      rows: [{ period: '2026-10-12T00:00:00.000Z', revenue: '200.00', earnings: '179.996', orders: '4', units_sold: '10' }],
+    }],
+    ['COUNT(*) as total_orders', byWindow(SALES, { ...SALES, total_orders: '2', revenue: '100.00', earnings: '90.00' })],
+    ['FROM product_views pv', byWindow({ views: '80', unique_viewers: '40' }, { views: '0', unique_viewers: '0' })],
+    ['repeat_buyers', { rows: [{ customers: '4', repeat_buyers: '1' }] }],
+    ['FROM products p', {
+      rows: [{
+        id: 21,
+        name: 'Shito',
+        image_url: null,
+        units_sold: '6',
+        revenue: '120.00',
+        orders: '3',
+        views: '50',
+        unique_viewers: '30',
+      }],
+    }],
+  ]);
+
+  it('summarises the store\'s sales, traffic and buyers against the previous range', async () => {
+    pool.query = analyticsQueries();
+
+    const response = await request(app).get('/api/store/analytics?timeRange=7days');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.summary).toEqual({
+      totalOrders: 4,
+      unitsSold: 10,
+      revenue: 200,
+      commission: 20,
+      earnings: 180,
+      averageOrderValue: 50,
+      refundedOrders: 1,
+      refundedAmount: 12.35,
+      refundRate: 25,
+      views: 80,
+      uniqueViewers: 40,
+      conversionRate: 10,
+      customers: 4,
+      repeatBuyers: 1,
+      repeatBuyerRate: 25,
+    });
+    expect(response.body.data.changes).toEqual({
+      revenue: 100,
+      earnings: 100,
+      totalOrders: 100,
+      unitsSold: 0,
+      conversionRate: null,
+      refundRate: -50,
+    });
+    expect(response.body.data.series).toEqual([
+      { period: '2026-10-12T00:00:00.000Z', revenue: 200, earnings: 180, orders: 4, unitsSold: 10 },
+    ]);
+    expect(response.body.data.products).toEqual([{
+      id: 21,
+      name: 'Shito',
+      imageUrl: null,
+      unitsSold: 6,
+      revenue: 120,
+      orders: 3,
+      views: 50,
+      uniqueViewers: 30,
+      conversionRate: 10,
+    }]);
+  });
+
+  it('only counts the owner\'s store and its share of each order', async () => {
+    pool.query = analyticsQueries();
+
+    await request(app).get('/api/store/analytics');
+
+    const [sql, params] = queriesMatching(pool.query, 'COUNT(*) as total_orders')[0];
+    expect(sql).toContain('p.store_id = $1::int');
+    expect(sql).toContain('commission_breakdown -> ($1::int)::text ->> \'netAmount\'');
+    expect(sql).toContain('o.status NOT IN (\'pending\', \'cancelled\')');
+    expect(params[0]).toBe(3);
+  });
+
+  it('buckets by day and caps the product list', async () => {
+    pool.query = analyticsQueries();
+
+    const response = await request(app).get('/api/store/analytics?timeRange=30days&limit=-5');
+
+    expect(response.body.data.bucket).toBe('day');
+    expect(queriesMatching(pool.query, 'generate_series')[0][1][3]).toBe('day');
+    expect(queriesMatching(pool.query, 'LIMIT $4')[0][1][3]).toBe(1);
+  });
+
+  it('reports zero rates for a store without sales or visitors', async () => {
+    pool.query = analyticsQueries([
+      ['COUNT(*) as total_orders', { rows: [EMPTY_SALES] }],
+      ['FROM product_views pv', { rows: [{ views: '0', unique_viewers: '0' }] }],
+      ['repeat_buyers', { rows: [{ customers: '0', repeat_buyers: '0' }] }],
+    ]);
+
+    const response = await request(app).get('/api/store/analytics');
+
+    expect(response.body.data.summary).toMatchObject({
+      averageOrderValue: 0,
+      refundRate: 0,
+      conversionRate: 0,
+      repeatBuyerRate: 0,
+    });
+  });
+
+  it('answers 500 when the database fails', async () => {
+    pool.query = jest.fn().mockRejectedValue(new Error('connection reset'));
+
+    const response = await request(app).get('/api/store/analytics');
+
+    expect(response.status).toBe(500);
+    expect(response.body.message).toBe('Failed to fetch store analytics');
+  });
+});
+
+describe('Product views', () => {
+  let session;
+  let app;
+
+  beforeEach(() => {
+    session = undefined;
+    app = express();
+    app.use((req, res, next) => {
+      req.session = session;
+      req.sessionID = 'abc123';
+      next();
+    });
+    app.use('/api/products', productRoutes);
+    pool.query = routeQueries([
+      ['FROM products p', { rows: [{ id: 21, name: 'Shito' }] }],
+    ]);
+  });
+
+  const views = () => queriesMatching(pool.query, 'INSERT INTO product_views');
+
+  it('records a customer\'s view against their account', async () => {
+    session = { userId: 5, userType: 'customer' };
+
+    await request(app).get('/api/products/21').expect(200);
+
+    expect(views()[0][1]).toEqual([21, 5, 'customer:5']);
+  });
+
+  it('records a guest\'s view against their session', async () => {
+    await request(app).get('/api/products/21').expect(200);
+
+    expect(views()[0][1]).toEqual([21, null, 'session:abc123']);
+  });
+
+  it('does not count store owners looking at products', async () => {
+    session = { userId: 12, userType: 'store_owner' };
+
+    await request(app).get('/api/products/21').expect(200);
+
+    expect(views()).toHaveLength(0);
+  });
+
+  it('still shows the product when the view can\'t be saved', async () => {
+    pool.query = routeQueries([
+      ['INSERT INTO product_views', () => Promise.reject(new Error('relation "product_views" does not exist'))],
+      ['FROM products p', { rows: [{ id: 21, name: 'Shito' }] }],
+    ]);
+
+    const response = await request(app).get('/api/products/21');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.name).toBe('Shito');
+  });
+
+  it('does not record views of missing products', async () => {
+    pool.query = routeQueries();
+
+    await request(app).get('/api/products/404').expect(404);
+
+    expect(queriesMatching(pool.query, 'FROM products p')[0][1]).toEqual(['404']);
+    expect(views()).toHaveLength(0);
+  });
+});
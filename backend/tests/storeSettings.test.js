@@ -0,0 +1,233 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the database module
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn(),
+    connect: jest.fn(),
+  },
+}));
+
+// Mock the logger module
+jest.mock('../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+jest.mock('../middleware/storeOwnerAuth', () => ({
+  authenticateStoreOwner: (req, res, next) => {
+    req.user = { userId: 12, userType: 'store_owner', storeId: 3 };
+    next();
+  },
+}));
+
+jest.mock('../utils/emailService', () => ({}));
+
+jest.mock('../routes/notifications', () => ({
+  createNotification: jest.fn(),
+}));
+
+const { pool } = require('../config/database');
+const {
+  validateStoreSettingsInput,
+  getStoreAvailability,
+  deliversTo,
+  checkStoreOrderRules,
+} = require('../utils/storeSettings');
+const storeRoutes = require('../routes/store');
+
+// Sunday 18 October 2026, 14:00 UTC
+const SUNDAY_AFTERNOON = new Date('2026-10-18T14:00:00Z');
+
+const WEEKDAY_HOURS = {
+  sunday: null,
+  monday: { open: '09:00', close: '17:00' },
+  tuesday: { open: '09:00', close: '17:00' },
+  wednesday: { open: '09:00', close: '17:00' },
+  thursday: { open: '09:00', close: '17:00' },
+  friday: { open: '18:00', close: '02:00' },
+  saturday: { open: '18:00', close: '02:00' },
+};
+
+describe('Store settings validation', () => {
+  it('fills in defaults for a store that takes orders around the clock', () => {
+    const { errors, settings } = validateStoreSettingsInput({});
+
+    expect(errors).toEqual([]);
+    expect(settings).toEqual({
+      logo_url: null,
+      banner_url: null,
+      timezone: 'UTC',
+      business_hours: null,
+      holiday_closures: [],
+      return_policy: null,
+      delivery_zones: [],
+      min_order_amount: 0,
+      prices_include_tax: false,
+      base_currency: 'USD',
+    });
+  });
+
+  it('keeps closed days and trims zones, closures and the minimum order', () => {
+    const { errors, settings } = validateStoreSettingsInput({
+      timezone: 'Africa/Accra',
+      business_hours: { monday: { open: '09:00', close: '17:00' } },
+      holiday_closures: [{ start_date: '2026-12-25', note: ' Christmas ' }],
+      delivery_zones: [{ type: 'city', value: ' Accra ' }],
+      min_order_amount: '25.555',
+    });
+
+    expect(errors).toEqual([]);
+    expect(settings.business_hours.monday).toEqual({ open: '09:00', close: '17:00' });
+    expect(settings.business_hours.sunday).toBeNull();
+    expect(settings.holiday_closures).toEqual([{ start_date: '2026-12-25', end_date: '2026-12-25', note: 'Christmas' }]);
+    expect(settings.delivery_zones).toEqual([{ type: 'city', value: 'Accra' }]);
+    expect(settings.min_order_amount).toBe(25.56);
+  });
+
+  it.each([
+    ['an unknown timezone', { timezone: 'Mars/Olympus' }, 'Timezone must be a valid IANA timezone such as America/New_York'],
+    ['opening and closing at the same time', { business_hours: { monday: { open: '09:00', close: '09:00' } } },
+      'Opening hours for monday must be two different HH:MM times'],
+    ['a closure that ends before it starts', { holiday_closures: [{ start_date: '2026-12-26', end_date: '2026-12-25' }] },
+      'Holiday closures need a valid start date and an end date on or after it'],
+    ['a zone without a value', { delivery_zones: [{ type: 'zip', value: ' ' }] }, 'Delivery zones must be a zip or city with a value'],
+    ['a negative minimum order', { min_order_amount: -5 }, 'Minimum order value cannot be negative'],
+    ['an unsupported currency', { base_currency: 'XYZ' }, 'Base currency is not supported'],
+  ])('rejects %s', (_case, body, message) => {
+    expect(validateStoreSettingsInput(body).errors).toEqual([message]);
+  });
+});
+
+describe('Store availability', () => {
+  it('is always open without opening hours', () => {
+    expect(getStoreAvailability({ timezone: 'UTC' }, SUNDAY_AFTERNOON)).toEqual({ isOpen: true, reason: null });
+  });
+
+  it('uses the store\'s own timezone', () => {
+    const store = { timezone: 'America/New_York', business_hours: { ...WEEKDAY_HOURS, sunday: { open: '11:00', close: '15:00' } } };
+
+    expect(getStoreAvailability(store, SUNDAY_AFTERNOON)).toEqual({ isOpen: false, reason: 'closed until 11:00 today' });
+    expect(getStoreAvailability({ ...store, timezone: 'Africa/Accra' }, SUNDAY_AFTERNOON).isOpen).toBe(true);
+  });
+
+  it('stays open past midnight on hours that close before they open', () => {
+    const store = { timezone: 'UTC', business_hours: WEEKDAY_HOURS };
+
+    expect(getStoreAvailability(store, new Date('2026-10-18T01:30:00Z')).isOpen).toBe(true);
+    expect(getStoreAvailability(store, new Date('2026-10-18T02:30:00Z'))).toEqual({ isOpen: false, reason: 'closed for the day' });
+  });
+
+  it('closes for holidays whatever the opening hours say', () => {
+    const store = {
+      timezone: 'UTC',
+      holiday_closures: [{ start_date: '2026-10-17', end_date: '2026-10-19', note: 'Farmers Day' }],
+    };
+
+    expect(getStoreAvailability(store, SUNDAY_AFTERNOON)).toEqual({
+      isOpen: false,
+      reason: 'closed for Farmers Day until 2026-10-19',
+    });
+  });
+});
+
+describe('Delivery zones', () => {
+  const store = { delivery_zones: [{ type: 'zip', value: 'GA 1' }, { type: 'city', value: 'Kumasi' }] };
+
+  it('matches ZIP codes by prefix and cities by name', () => {
+    expect(deliversTo(store, { city: 'Accra', zipCode: 'ga184' })).toBe(true);
+    expect(deliversTo(store, { city: ' kumasi ', zipCode: 'AK039' })).toBe(true);
+    expect(deliversTo(store, { city: 'Tema', zipCode: 'GT020' })).toBe(false);
+  });
+
+  it('delivers everywhere without zones', () => {
+    expect(deliversTo({ delivery_zones: [] }, { city: 'Tema', zipCode: 'GT020' })).toBe(true);
+  });
+});
+
+describe('checkStoreOrderRules', () => {
+  const deliveryInfo = { city: 'Accra', zipCode: 'GA184' };
+  const createDb = store => ({ query: jest.fn().mockResolvedValue({ rows: [store] }) });
+
+  it('asks for the rest of a store\'s minimum order in the store\'s currency', async () => {
+    const db = createDb({ id: 3, store_name: 'Accra Pantry', min_order_amount: '100.00', base_currency: 'GHS' });
+
+    const message = await checkStoreOrderRules(db, {
+      3: [{ price: '2.00', store_price: '30.00', quantity: 2 }],
+    }, deliveryInfo);
+
+    expect(message).toMatch(/^Accra Pantry has a minimum order of .*100\.00\. Add .*40\.00 more from this store to check out$/);
+    expect(db.query.mock.calls[0][1]).toEqual([['3']]);
+  });
+
+  it('turns away addresses outside the store\'s zones', async () => {
+    const db = createDb({ id: 3, store_name: 'Accra Pantry', delivery_zones: [{ type: 'city', value: 'Kumasi' }] });
+
+    const message = await checkStoreOrderRules(db, { 3: [{ price: '30.00', quantity: 1 }] }, deliveryInfo);
+
+    expect(message).toBe('Accra Pantry doesn\'t deliver to Accra GA184');
+  });
+
+  it('lets the order through when every store can take it', async () => {
+    const db = createDb({ id: 3, store_name: 'Accra Pantry', min_order_amount: '20.00' });
+
+    expect(await checkStoreOrderRules(db, { 3: [{ price: '30.00', quantity: 1 }] }, deliveryInfo)).toBeNull();
+  });
+
+  it('has nothing to check for orders without store items', async () => {
+    const db = createDb();
+
+    expect(await checkStoreOrderRules(db, {}, deliveryInfo)).toBeNull();
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('Store settings routes', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/store', storeRoutes);
+  });
+
+  it('returns the owner\'s settings with whether the store is open', async () => {
+    pool.query = jest.fn().mockResolvedValue({ rows: [{ timezone: 'UTC', business_hours: null, min_order_amount: '0.00' }] });
+
+    const response = await request(app).get('/api/store/settings');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.availability).toEqual({ isOpen: true, reason: null });
+    expect(pool.query.mock.calls[0][1]).toEqual([3]);
+  });
+
+  it('saves validated settings to the owner\'s store', async () => {
+    pool.query = jest.fn(async (sql, params) => ({ rows: [{ timezone: params[2], business_hours: null }] }));
+
+    const response = await request(app).put('/api/store/settings').send({
+      timezone: 'Africa/Accra',
+      delivery_zones: [{ type: 'zip', value: 'GA' }],
+      min_order_amount: 50,
+      base_currency: 'ghs',
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe('Store settings saved');
+    const params = pool.query.mock.calls[0][1];
+    expect(params[2]).toBe('Africa/Accra');
+    expect(params[6]).toBe('[{"type":"zip","value":"GA"}]');
+    expect(params.slice(7)).toEqual([50, false, 'GHS', 3]);
+  });
+
+  it('reports every problem with the settings without saving them', async () => {
+    pool.query = jest.fn();
+
+    const response = await request(app).put('/api/store/settings').send({ timezone: 'Mars/Olympus', min_order_amount: -1 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors).toHaveLength(2);
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,123 @@
+// Mock the logger module
+jest.mock('../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+const {
+  getStoreTransferAmount,
+  getTransferGroup,
+  getTransferIdempotencyKey,
+  findExistingTransfer,
+  createStoreTransfer,
+} = require('../utils/storeTransfers');
+
+describe('Store transfers', () => {
+  let stripe;
+
+  beforeEach(() => {
+    stripe = {
+      transfers: {
+        create: jest.fn().mockResolvedValue({ id: 'tr_1' }),
+        list: jest.fn(),
+      },
+    };
+  });
+
+  afterEach(() => {
+    delete process.env.STRIPE_TRANSFER_CURRENCIES;
+  });
+
+  it('transfers in the currency it is given, the platform currency by default', async () => {
+    await createStoreTransfer(stripe, {
+      orderId: 21,
+      storeId: 3,
+      destination: 'acct_ghana',
+      amountCents: 27900,
+      currency: 'GHS',
+      metadata: { storeCurrency: 'GHS' },
+    });
+    await createStoreTransfer(stripe, { orderId: 22, storeId: 3, destination: 'acct_ghana', amountCents: 1800 });
+
+    expect(stripe.transfers.create).toHaveBeenCalledWith({
+      amount: 27900,
+      currency: 'ghs',
+      destination: 'acct_ghana',
+      transfer_group: 'order_21',
+      metadata: { storeCurrency: 'GHS', orderId: '21', storeId: '3' },
+    }, {
+      idempotencyKey: 'transfer-order-21-store-3',
+    });
+    expect(stripe.transfers.create.mock.calls[1][0].currency).toBe('usd');
+  });
+
+  it('converts a store\'s share to its base currency when the platform balance holds it', () => {
+    process.env.STRIPE_TRANSFER_CURRENCIES = 'ghs, UGX';
+
+    expect(getStoreTransferAmount(18, 'GHS', { USD: 1, GHS: 15.5 }))
+      .toEqual({ currency: 'GHS', amountMinor: 27900, storeCurrencyAmount: 279 });
+    // Zero-decimal currencies are transferred in whole units
+    expect(getStoreTransferAmount(18, 'UGX', { UGX: 3700.4 }))
+      .toEqual({ currency: 'UGX', amountMinor: 66607, storeCurrencyAmount: 66607 });
+  });
+
+  it('falls back to the platform currency without a transferable currency or a rate', () => {
+    process.env.STRIPE_TRANSFER_CURRENCIES = 'GHS';
+
+    expect(getStoreTransferAmount(18, 'KES', { KES: 129.5 }))
+      .toEqual({ currency: 'USD', amountMinor: 1800, storeCurrencyAmount: 2331 });
+    expect(getStoreTransferAmount(18, 'GHS', null))
+      .toEqual({ currency: 'USD', amountMinor: 1800, storeCurrencyAmount: null });
+    expect(getStoreTransferAmount(18.555, 'USD'))
+      .toEqual({ currency: 'USD', amountMinor: 1856, storeCurrencyAmount: 18.56 });
+  });
+
+  it('uses one idempotency key per order, store and attempt', async () => {
+    await createStoreTransfer(stripe, { orderId: 21, storeId: 3, destination: 'acct_1', amountCents: 500 });
+    await createStoreTransfer(stripe, { orderId: 21, storeId: 3, destination: 'acct_1', amountCents: 500 });
+    await createStoreTransfer(stripe, { orderId: 21, storeId: 3, destination: 'acct_1', amountCents: 500, attempt: 3 });
+
+    expect(stripe.transfers.create.mock.calls.map(([, options]) => options)).toEqual([
+      { idempotencyKey: 'transfer-order-21-store-3' },
+      { idempotencyKey: 'transfer-order-21-store-3' },
+      { idempotencyKey: 'transfer-order-21-store-3-retry-2' },
+    ]);
+    expect(getTransferIdempotencyKey(21, 3)).toBe('transfer-order-21-store-3');
+    expect(getTransferIdempotencyKey(21, 3, 2)).toBe('transfer-order-21-store-3-retry-1');
+    expect(getTransferGroup(21)).toBe('order_21');
+  });
+
+  it('finds a store\'s transfer for an order, ignoring reversed ones', async () => {
+    stripe.transfers.list.mockResolvedValue({
+      data: [
+        { id: 'tr_old', reversed: true, metadata: { storeId: '3' } },
+        { id: 'tr_other', reversed: false, metadata: { storeId: '4' } },
+        { id: 'tr_live', reversed: false, metadata: { storeId: '3' } },
+      ],
+    });
+
+    const transfer = await findExistingTransfer(stripe, 21, 3);
+
+    expect(transfer.id).toBe('tr_live');
+    expect(stripe.transfers.list).toHaveBeenCalledWith({ transfer_group: 'order_21', limit: 100 });
+  });
+
+  it('pages through the transfer group until it finds the store\'s transfer', async () => {
+    stripe.transfers.list
+      .mockResolvedValueOnce({ data: [{ id: 'tr_a', metadata: { storeId: '4' } }], has_more: true })
+      .mockResolvedValueOnce({ data: [{ id: 'tr_b', metadata: { storeId: '3' } }], has_more: false });
+
+    const transfer = await findExistingTransfer(stripe, 21, 3);
+
+    expect(transfer.id).toBe('tr_b');
+    expect(stripe.transfers.list.mock.calls[1][0]).toEqual({ transfer_group: 'order_21', limit: 100, starting_after: 'tr_a' });
+  });
+
+  it('finds nothing once the last page is checked', async () => {
+    stripe.transfers.list.mockResolvedValue({ data: [], has_more: false });
+
+    expect(await findExistingTransfer(stripe, 21, 3)).toBeNull();
+    expect(stripe.transfers.list).toHaveBeenCalledTimes(1);
+  });
+});
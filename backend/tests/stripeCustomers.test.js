@@ -0,0 +1,137 @@
+// Mock the database module
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn(),
+  },
+}));
+
+const mockStripe = {
+  customers: {
+    create: jest.fn(),
+    del: jest.fn(),
+    listPaymentMethods: jest.fn(),
+  },
+  paymentMethods: {
+    retrieve: jest.fn(),
+    detach: jest.fn(),
+  },
+};
+jest.mock('stripe', () => () => mockStripe);
+
+const { pool } = require('../config/database');
+const {
+  getOrCreateStripeCustomer,
+  getSavedCardParams,
+  listSavedCards,
+  removeSavedCard,
+} = require('../utils/stripeCustomers');
+
+const CUSTOMER = { id: 5, email: 'ama@example.com', full_name: 'Ama Mensah', stripe_customer_id: null };
+
+describe('Saved cards', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool.query.mockReset();
+  });
+
+  describe('getOrCreateStripeCustomer', () => {
+    it('reuses the customer\'s Stripe Customer', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ ...CUSTOMER, stripe_customer_id: 'cus_1' }] });
+
+      expect(await getOrCreateStripeCustomer(5)).toBe('cus_1');
+      expect(mockStripe.customers.create).not.toHaveBeenCalled();
+    });
+
+    it('creates and stores a Stripe Customer on first use', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [CUSTOMER] })
+        .mockResolvedValueOnce({ rows: [{ stripe_customer_id: 'cus_new' }] });
+      mockStripe.customers.create.mockResolvedValue({ id: 'cus_new' });
+
+      expect(await getOrCreateStripeCustomer(5)).toBe('cus_new');
+      expect(mockStripe.customers.create).toHaveBeenCalledWith({
+        email: 'ama@example.com',
+        name: 'Ama Mensah',
+        metadata: { customerId: '5' },
+      });
+    });
+
+    it('keeps the Stripe Customer a concurrent checkout stored first', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [CUSTOMER] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ stripe_customer_id: 'cus_first' }] });
+      mockStripe.customers.create.mockResolvedValue({ id: 'cus_second' });
+
+      expect(await getOrCreateStripeCustomer(5)).toBe('cus_first');
+      expect(mockStripe.customers.del).toHaveBeenCalledWith('cus_second');
+    });
+  });
+
+  describe('getSavedCardParams', () => {
+    it('saves the card of a signed-in customer for on-session use', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ ...CUSTOMER, stripe_customer_id: 'cus_1' }] });
+
+      expect(await getSavedCardParams({ userId: 5, userType: 'customer' }))
+        .toEqual({ customer: 'cus_1', setup_future_usage: 'on_session' });
+    });
+
+    it('lets guests and other account types pay without saving a card', async () => {
+      expect(await getSavedCardParams({})).toEqual({});
+      expect(await getSavedCardParams({ userId: 2, userType: 'store_owner' })).toEqual({});
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('does not stop checkout when Stripe is unavailable', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [CUSTOMER] });
+      mockStripe.customers.create.mockRejectedValue(new Error('Stripe is down'));
+
+      expect(await getSavedCardParams({ userId: 5, userType: 'customer' })).toEqual({});
+    });
+  });
+
+  describe('listSavedCards', () => {
+    it('lists the cards saved to the customer', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ stripe_customer_id: 'cus_1' }] });
+      mockStripe.customers.listPaymentMethods.mockResolvedValue({
+        data: [{ id: 'pm_1', card: { brand: 'visa', last4: '4242', exp_month: 4, exp_year: 2030 } }],
+      });
+
+      expect(await listSavedCards(5)).toEqual([{ id: 'pm_1', brand: 'visa', last4: '4242', expMonth: 4, expYear: 2030 }]);
+      expect(mockStripe.customers.listPaymentMethods).toHaveBeenCalledWith('cus_1', { type: 'card', limit: 100 });
+    });
+
+    it('has nothing to list before the first saved card', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ stripe_customer_id: null }] });
+
+      expect(await listSavedCards(5)).toEqual([]);
+      expect(mockStripe.customers.listPaymentMethods).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('removeSavedCard', () => {
+    beforeEach(() => {
+      pool.query.mockResolvedValueOnce({ rows: [{ stripe_customer_id: 'cus_1' }] });
+    });
+
+    it('detaches the customer\'s own card', async () => {
+      mockStripe.paymentMethods.retrieve.mockResolvedValue({ id: 'pm_1', customer: 'cus_1' });
+
+      expect(await removeSavedCard(5, 'pm_1')).toBe(true);
+      expect(mockStripe.paymentMethods.detach).toHaveBeenCalledWith('pm_1');
+    });
+
+    it('refuses to detach another customer\'s card', async () => {
+      mockStripe.paymentMethods.retrieve.mockResolvedValue({ id: 'pm_2', customer: 'cus_other' });
+
+      expect(await removeSavedCard(5, 'pm_2')).toBe(false);
+      expect(mockStripe.paymentMethods.detach).not.toHaveBeenCalled();
+    });
+
+    it('treats an unknown card as not the customer\'s', async () => {
+      mockStripe.paymentMethods.retrieve.mockRejectedValue(Object.assign(new Error('No such PaymentMethod'), { code: 'resource_missing' }));
+
+      expect(await removeSavedCard(5, 'pm_missing')).toBe(false);
+    });
+  });
+});
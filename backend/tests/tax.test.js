@@ -0,0 +1,76 @@
+const { calculateTax, quoteTax, getStoreIncludedTax } = require('../utils/tax');
+
+const jurisdiction = (overrides = {}) => ({
+  id: 1,
+  name: 'New York State',
+  state: 'NY',
+  zip_prefix: null,
+  rate_percent: '4.000',
+  exempt_categories: [],
+  taxes_delivery: false,
+  ...overrides,
+});
+
+const STATE = jurisdiction();
+const CITY = jurisdiction({ id: 2, name: 'New York City', zip_prefix: '100', rate_percent: '4.500', exempt_categories: ['Groceries'], taxes_delivery: true });
+
+const CART = [
+  { store_id: 3, category: 'Clothing', price: '50.00', quantity: 2 },
+  { store_id: 4, category: 'Groceries', price: '20.00', quantity: 1 },
+];
+
+describe('Tax', () => {
+  describe('calculateTax', () => {
+    it('adds every applicable rate and skips exempt categories per jurisdiction', () => {
+      const tax = calculateTax([STATE, CITY], CART);
+
+      expect(tax.lines).toEqual([
+        expect.objectContaining({ jurisdictionId: 1, taxableAmount: 120, taxAmount: 4.8, pricesIncludeTax: false }),
+        expect.objectContaining({ jurisdictionId: 2, taxableAmount: 100, taxAmount: 4.5, pricesIncludeTax: false }),
+      ]);
+      expect(tax).toMatchObject({ taxAmount: 9.3, addedTax: 9.3, includedTax: 0 });
+      expect(tax.breakdown).toEqual({
+        3: { addedTax: 8.5, includedTax: 0 },
+        4: { addedTax: 0.8, includedTax: 0 },
+      });
+    });
+
+    it('backs tax out of a store\'s tax-inclusive prices', () => {
+      const tax = calculateTax([STATE], [{ store_id: 3, category: 'Clothing', price: '104.00', quantity: 1 }], {
+        inclusiveStoreIds: new Set(['3']),
+      });
+
+      expect(tax).toMatchObject({ taxAmount: 4, addedTax: 0, includedTax: 4 });
+      expect(tax.lines[0]).toMatchObject({ taxableAmount: 100, pricesIncludeTax: true });
+      expect(getStoreIncludedTax(tax.breakdown, 3)).toBe(4);
+    });
+
+    it('taxes what the customer pays after a store promo code', () => {
+      const tax = calculateTax([STATE], CART, {
+        promotion: { discountAmount: 25, fundedBy: 'store', storeId: 3 },
+      });
+
+      expect(tax.breakdown[3].addedTax).toBe(3);
+      expect(tax.breakdown[4].addedTax).toBe(0.8);
+    });
+
+    it('only taxes delivery where the jurisdiction taxes it', () => {
+      const tax = calculateTax([STATE, CITY], [], {
+        deliveryBreakdown: { 3: { charged: 10 }, 4: { charged: 0 } },
+      });
+
+      expect(tax.lines).toEqual([expect.objectContaining({ jurisdictionId: 2, taxableAmount: 10, taxAmount: 0.45 })]);
+    });
+  });
+
+  describe('quoteTax', () => {
+    it('charges no tax where no jurisdiction matches', async () => {
+      const db = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+
+      const tax = await quoteTax(db, CART, { deliveryInfo: { state: 'OR', zipCode: '97201' } });
+
+      expect(tax).toMatchObject({ taxAmount: 0, lines: [] });
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,231 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the database module
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn(),
+    connect: jest.fn(),
+  },
+}));
+
+// Mock the logger module
+jest.mock('../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+// Signatures aren't checked here: the event is whatever JSON was posted
+const mockStripe = {
+  webhooks: {
+    constructEvent: jest.fn((body) => JSON.parse(body.toString())),
+  },
+  refunds: {
+    list: jest.fn(),
+  },
+};
+jest.mock('stripe', () => () => mockStripe);
+
+jest.mock('../utils/orderCompletion', () => ({
+  completeOrderPayment: jest.fn(),
+  cancelUnpaidOrder: jest.fn(),
+}));
+
+jest.mock('../routes/notifications', () => ({
+  createNotification: jest.fn(),
+}));
+
+const { pool } = require('../config/database');
+const { completeOrderPayment } = require('../utils/orderCompletion');
+const webhookRoutes = require('../routes/webhooks');
+const { queriesMatching } = require('./helpers/mockQueries');
+
+const paymentSucceeded = {
+  id: 'evt_1',
+  type: 'payment_intent.succeeded',
+  data: { object: { id: 'pi_123', metadata: { orderType: 'cart_checkout' } } },
+};
+
+const postEvent = (app, event) => request(app)
+  .post('/api/webhooks/stripe')
+  .set('Content-Type', 'application/json')
+  .set('stripe-signature', 'sig')
+  .send(JSON.stringify(event));
+
+describe('Stripe webhooks', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use('/api/webhooks', webhookRoutes);
+    jest.clearAllMocks();
+  });
+
+  describe('Event dedupe', () => {
+    it('processes an event the first time it is delivered', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ event_id: 'evt_1' }] });
+      completeOrderPayment.mockResolvedValue({ status: 'completed', order: { id: 7 } });
+
+      const response = await postEvent(app, paymentSucceeded).expect(200);
+
+      expect(response.body).toEqual({ received: true });
+      expect(pool.query.mock.calls[0][1]).toEqual(['evt_1', 'payment_intent.succeeded']);
+      expect(completeOrderPayment).toHaveBeenCalledWith(paymentSucceeded.data.object);
+    });
+
+    it('skips an event that was already processed', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await postEvent(app, paymentSucceeded).expect(200);
+
+      expect(response.body).toEqual({ received: true, duplicate: true });
+      const [sql, params] = queriesMatching(pool.query, 'INSERT INTO stripe_webhook_events')[0];
+      expect(sql).toContain('ON CONFLICT (event_id) DO NOTHING');
+      expect(params).toEqual(['evt_1', 'payment_intent.succeeded']);
+      expect(completeOrderPayment).not.toHaveBeenCalled();
+    });
+
+    it('forgets an event whose handler failed so Stripe\'s retry is processed', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ event_id: 'evt_1' }] })
+        .mockResolvedValueOnce({ rows: [] });
+      completeOrderPayment.mockRejectedValue(new Error('connection reset'));
+
+      await postEvent(app, paymentSucceeded).expect(500);
+
+      expect(queriesMatching(pool.query, 'DELETE FROM stripe_webhook_events')[0][1]).toEqual(['evt_1']);
+    });
+
+    it('rejects events with a bad signature before recording them', async () => {
+      mockStripe.webhooks.constructEvent.mockImplementationOnce(() => {
+        throw new Error('No signatures found matching the expected signature');
+      });
+
+      await postEvent(app, paymentSucceeded).expect(400);
+
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('charge.refunded', () => {
+    const ORDER = { id: 7, user_id: 5, currency: 'GHS', fx_rate: '15' };
+
+    const chargeRefunded = (charge) => ({
+      id: 'evt_2',
+      type: 'charge.refunded',
+      data: { object: { id: 'ch_1', payment_intent: 'pi_123', amount: 30000, ...charge } },
+    });
+
+    // Refund rows already recorded, keyed by Stripe refund ID or by our refunds row ID
+    let refundRows;
+    let client;
+
+    beforeEach(() => {
+      refundRows = [];
+      client = {
+        query: jest.fn(async (sql, params) => {
+          if (sql.includes('FROM orders')) {
+            return { rows: [ORDER] };
+          }
+          if (sql.includes('UPDATE refunds')) {
+            const [stripeRefundId, , , refundId] = params;
+            const row = refundRows.find(refund => refund.stripe_refund_id === stripeRefundId
+              || (!refund.stripe_refund_id && refund.id === refundId));
+            return { rows: row ? [{ id: row.id }] : [] };
+          }
+          if (sql.includes('INSERT INTO refunds')) {
+            return { rows: [{ id: 99 }] };
+          }
+          return { rows: [] };
+        }),
+        release: jest.fn(),
+      };
+      pool.connect.mockResolvedValue(client);
+      pool.query.mockResolvedValueOnce({ rows: [{ event_id: 'evt_2' }] });
+    });
+
+    const clientQueriesMatching = (pattern) =>
+      client.query.mock.calls.filter(([sql]) => sql.includes(pattern));
+
+    it('completes the refund row the app created and marks the order fully refunded', async () => {
+      refundRows = [{ id: 4, stripe_refund_id: null }];
+      mockStripe.refunds.list.mockResolvedValue({
+        data: [{ id: 're_1', amount: 30000, status: 'succeeded', metadata: { refund_id: '4' } }],
+        has_more: false,
+      });
+
+      await postEvent(app, chargeRefunded({ refunded: true, amount_refunded: 30000 })).expect(200);
+
+      expect(clientQueriesMatching('UPDATE refunds')[0][1]).toEqual(['re_1', 'completed', 7, 4]);
+      expect(clientQueriesMatching('INSERT INTO refunds')).toHaveLength(0);
+      expect(clientQueriesMatching('SET refund_status')[0][1]).toEqual(['completed', 7]);
+      expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+    });
+
+    it('records a refund made in the Stripe dashboard and marks the order partially refunded', async () => {
+      mockStripe.refunds.list.mockResolvedValue({
+        data: [{ id: 're_2', amount: 7500, status: 'succeeded', reason: 'duplicate', metadata: {} }],
+        has_more: false,
+      });
+
+      await postEvent(app, chargeRefunded({ refunded: false, amount_refunded: 7500 })).expect(200);
+
+      const [sql, params] = clientQueriesMatching('INSERT INTO refunds')[0];
+      expect(sql).toContain('ON CONFLICT (stripe_refund_id)');
+      // GHS 75.00 at 15 GHS to the dollar
+      expect(params).toEqual([7, 5, 5, 'Refunded in Stripe: duplicate', 'partial', 'completed', 're_2', 'pi_123']);
+      expect(clientQueriesMatching('SET refund_status')[0][1]).toEqual(['partial', 7]);
+    });
+
+    it('keeps refunds it already recorded in step without adding them again', async () => {
+      refundRows = [{ id: 4, stripe_refund_id: 're_1' }, { id: 9, stripe_refund_id: 're_2' }];
+      mockStripe.refunds.list
+        .mockResolvedValueOnce({
+          data: [{ id: 're_2', amount: 7500, status: 'failed', metadata: {} }],
+          has_more: true,
+        })
+        .mockResolvedValueOnce({
+          data: [{ id: 're_1', amount: 7500, status: 'succeeded', metadata: { refund_id: '4' } }],
+          has_more: false,
+        });
+
+      await postEvent(app, chargeRefunded({ refunded: false, amount_refunded: 7500 })).expect(200);
+
+      expect(mockStripe.refunds.list.mock.calls[1][0]).toEqual({ charge: 'ch_1', limit: 100, starting_after: 're_2' });
+      expect(clientQueriesMatching('UPDATE refunds').map(([, params]) => params.slice(0, 2)))
+        .toEqual([['re_1', 'completed'], ['re_2', 'failed']]);
+      expect(clientQueriesMatching('INSERT INTO refunds')).toHaveLength(0);
+    });
+
+    it('ignores charges without a matching order', async () => {
+      mockStripe.refunds.list.mockResolvedValue({ data: [], has_more: false });
+      client.query.mockImplementation(async () => ({ rows: [] }));
+
+      await postEvent(app, chargeRefunded({ refunded: true })).expect(200);
+
+      expect(clientQueriesMatching('UPDATE refunds')).toHaveLength(0);
+      expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('rolls back and lets Stripe retry when recording fails', async () => {
+      mockStripe.refunds.list.mockResolvedValue({
+        data: [{ id: 're_2', amount: 7500, status: 'succeeded', metadata: {} }],
+        has_more: false,
+      });
+      client.query.mockImplementation(async (sql) => {
+        if (sql.includes('INSERT INTO refunds')) {
+          throw new Error('connection reset');
+        }
+        return sql.includes('FROM orders') ? { rows: [ORDER] } : { rows: [] };
+      });
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await postEvent(app, chargeRefunded({ refunded: false, amount_refunded: 7500 })).expect(500);
+
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(queriesMatching(pool.query, 'DELETE FROM stripe_webhook_events')[0][1]).toEqual(['evt_2']);
+    });
+  });
+});
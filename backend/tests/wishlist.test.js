@@ -0,0 +1,255 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the database module
+jest.mock('../config/database', () => ({
+  pool: {
+    query: jest.fn(),
+    connect: jest.fn(),
+  },
+}));
+
+// Mock the logger module
+jest.mock('../config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+}));
+
+jest.mock('../routes/auth', () => ({
+  authenticateSession: jest.fn(() => (req, res, next) => {
+    req.user = { userId: 5, userType: 'customer' };
+    next();
+  }),
+}));
+
+jest.mock('../routes/cart', () => ({
+  addToCart: jest.fn(),
+}));
+
+jest.mock('../routes/notifications', () => ({
+  createNotification: jest.fn(),
+}));
+
+const { pool } = require('../config/database');
+const { addToCart } = require('../routes/cart');
+const { createNotification } = require('../routes/notifications');
+const { getWishlistChanges, notifyWishlistWatchers } = require('../utils/wishlistAlerts');
+const wishlistRoutes = require('../routes/wishlist');
+const { routeQueries, queriesMatching } = require('./helpers/mockQueries');
+
+const WISHLIST = { id: 2, customer_id: 5, name: 'My Wishlist', list_type: 'wishlist' };
+const SAVED_FOR_LATER = { id: 3, customer_id: 5, name: 'Saved for Later', list_type: 'saved_for_later' };
+
+describe('Wishlists', () => {
+  let app;
+  let client;
+
+  const useClient = handlers => {
+    client = { query: routeQueries(handlers), release: jest.fn() };
+    pool.connect.mockResolvedValue(client);
+  };
+
+  const statements = () => client.query.mock.calls.map(([sql]) => sql.trim());
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/wishlist', wishlistRoutes);
+  });
+
+  describe('POST /toggle', () => {
+    it('adds the product to the default wishlist at its current variant price', async () => {
+      useClient([
+        ['FROM products', { rows: [{ id: 21, price: '12.00' }] }],
+        ['FROM product_variants', { rows: [{ id: 6, price: '15.50' }] }],
+        ['FROM wishlists', { rows: [WISHLIST] }],
+        ['INSERT INTO wishlist_items', { rows: [{ id: 40 }] }],
+      ]);
+
+      const response = await request(app).post('/api/wishlist/toggle').send({ productId: 21, variantId: 6 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({ wishlisted: true, wishlistId: 2, item: { id: 40 } });
+      expect(queriesMatching(client.query, 'INSERT INTO wishlist_items')[0][1]).toEqual([2, 21, 6, 1, '15.50']);
+      expect(statements().pop()).toBe('COMMIT');
+    });
+
+    it('creates the default wishlist on first use', async () => {
+      useClient([
+        ['FROM products', { rows: [{ id: 21, price: '12.00' }] }],
+        ['INSERT INTO wishlists', { rows: [WISHLIST] }],
+        ['INSERT INTO wishlist_items', { rows: [{ id: 40 }] }],
+      ]);
+
+      await request(app).post('/api/wishlist/toggle').send({ productId: 21 });
+
+      expect(queriesMatching(client.query, 'INSERT INTO wishlists')[0][1]).toEqual([5, 'My Wishlist', 'wishlist']);
+      expect(queriesMatching(client.query, 'INSERT INTO wishlist_items')[0][1]).toEqual([2, 21, null, 1, '12.00']);
+    });
+
+    it('removes a product that is already wishlisted', async () => {
+      useClient([
+        ['DELETE FROM wishlist_items', { rows: [{ id: 40 }] }],
+      ]);
+
+      const response = await request(app).post('/api/wishlist/toggle').send({ productId: 21 });
+
+      expect(response.body.data).toEqual({ wishlisted: false });
+      const [sql, params] = queriesMatching(client.query, 'DELETE FROM wishlist_items')[0];
+      expect(sql).toContain('w.customer_id = $1 AND w.list_type = \'wishlist\'');
+      expect(params).toEqual([5, 21]);
+      expect(queriesMatching(client.query, 'INSERT INTO')).toHaveLength(0);
+      expect(statements().pop()).toBe('COMMIT');
+    });
+
+    it('answers 404 for options that don\'t belong to the product', async () => {
+      useClient([
+        ['FROM products', { rows: [{ id: 21, price: '12.00' }] }],
+      ]);
+
+      const response = await request(app).post('/api/wishlist/toggle').send({ productId: 21, variantId: 99 });
+
+      expect(response.status).toBe(404);
+      expect(response.body.message).toBe('Product option not found');
+      expect(queriesMatching(client.query, 'FROM product_variants')[0][1]).toEqual([99, 21]);
+      expect(queriesMatching(client.query, 'INSERT INTO')).toHaveLength(0);
+      expect(statements()).toContain('ROLLBACK');
+    });
+  });
+
+  describe('POST /save-for-later', () => {
+    it('moves the cart line, quantity and all, to the saved-for-later list', async () => {
+      useClient([
+        ['DELETE FROM cart_items', { rows: [{ quantity: 3 }] }],
+        ['FROM products', { rows: [{ id: 21, price: '12.00' }] }],
+        ['FROM wishlists', { rows: [SAVED_FOR_LATER] }],
+        ['INSERT INTO wishlist_items', { rows: [{ id: 41 }] }],
+      ]);
+
+      const response = await request(app).post('/api/wishlist/save-for-later').send({ productId: 21 });
+
+      expect(response.status).toBe(200);
+      expect(queriesMatching(client.query, 'DELETE FROM cart_items')[0][1]).toEqual([5, 21, null]);
+      expect(queriesMatching(client.query, 'INSERT INTO wishlist_items')[0][1]).toEqual([3, 21, null, 3, '12.00']);
+      expect(statements().pop()).toBe('COMMIT');
+    });
+
+    it('answers 404 when the product isn\'t in the cart', async () => {
+      useClient();
+
+      const response = await request(app).post('/api/wishlist/save-for-later').send({ productId: 21 });
+
+      expect(response.status).toBe(404);
+      expect(statements()).toContain('ROLLBACK');
+    });
+  });
+
+  describe('POST /items/:itemId/move-to-cart', () => {
+    beforeEach(() => {
+      pool.query = routeQueries([
+        ['SELECT wi.*', { rows: [{ id: 41, product_id: 21, variant_id: 6, quantity: 2 }] }],
+      ]);
+    });
+
+    it('adds the item to the cart and takes it off the list', async () => {
+      addToCart.mockResolvedValue({ id: 90, quantity: 2 });
+
+      const response = await request(app).post('/api/wishlist/items/41/move-to-cart');
+
+      expect(response.status).toBe(200);
+      expect(addToCart).toHaveBeenCalledWith({ userId: 5 }, 21, 6, 2);
+      expect(queriesMatching(pool.query, 'DELETE FROM wishlist_items')[0][1]).toEqual([41]);
+    });
+
+    it('keeps the item on the list when the cart refuses it', async () => {
+      addToCart.mockResolvedValue({ status: 400, message: 'Only 1 left in stock' });
+
+      const response = await request(app).post('/api/wishlist/items/41/move-to-cart').send({ quantity: 5 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Only 1 left in stock');
+      expect(addToCart).toHaveBeenCalledWith({ userId: 5 }, 21, 6, 5);
+      expect(queriesMatching(pool.query, 'DELETE FROM wishlist_items')).toHaveLength(0);
+    });
+
+    it('only moves items from the customer\'s own lists', async () => {
+      pool.query = routeQueries();
+
+      const response = await request(app).post('/api/wishlist/items/41/move-to-cart');
+
+      expect(response.status).toBe(404);
+      expect(queriesMatching(pool.query, 'w.customer_id = $2')[0][1]).toEqual(['41', 5]);
+      expect(addToCart).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /:id', () => {
+    it('answers 409 when another list already has the name', async () => {
+      pool.query = jest.fn().mockRejectedValue(Object.assign(new Error('duplicate key'), { code: '23505' }));
+
+      const response = await request(app).put('/api/wishlist/2').send({ name: '  Gifts ' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.message).toBe('You already have a list with this name');
+      expect(pool.query.mock.calls[0][1]).toEqual(['Gifts', '2', 5]);
+    });
+
+    it('requires a name', async () => {
+      pool.query = routeQueries();
+
+      const response = await request(app).put('/api/wishlist/2').send({ name: '   ' });
+
+      expect(response.status).toBe(400);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('Wishlist alerts', () => {
+  const PRODUCT = { id: 21, name: 'Shito', price: '12.00', stock_quantity: 0 };
+
+  it('spots price drops and restocks', () => {
+    expect(getWishlistChanges(PRODUCT, { ...PRODUCT, price: '10.00' })).toEqual({ priceDropped: true, backInStock: false });
+    expect(getWishlistChanges(PRODUCT, { ...PRODUCT, stock_quantity: 4 })).toEqual({ priceDropped: false, backInStock: true });
+    expect(getWishlistChanges({ ...PRODUCT, stock_quantity: 2 }, { ...PRODUCT, stock_quantity: 4, price: '13.00' }))
+      .toEqual({ priceDropped: false, backInStock: false });
+  });
+
+  it('tells everyone watching the product about a price drop', async () => {
+    pool.query = routeQueries([
+      ['FROM wishlist_items', { rows: [{ customer_id: 5 }, { customer_id: 6 }] }],
+    ]);
+
+    const notified = await notifyWishlistWatchers(PRODUCT, { ...PRODUCT, price: '9.5' });
+
+    expect(notified).toBe(2);
+    expect(createNotification).toHaveBeenCalledWith(
+      5, 'customer', 'Price drop on your wishlist', 'Shito dropped from $12.00 to $9.50', 'promotion', '/product/21',
+    );
+  });
+
+  it('combines a restock and a price drop into one alert', async () => {
+    pool.query = routeQueries([
+      ['FROM wishlist_items', { rows: [{ customer_id: 5 }] }],
+    ]);
+
+    await notifyWishlistWatchers(PRODUCT, { ...PRODUCT, price: '9.5', stock_quantity: 3 });
+
+    expect(createNotification).toHaveBeenCalledTimes(1);
+    expect(createNotification.mock.calls[0][2]).toBe('Back in stock at a lower price');
+  });
+
+  it('does not query anyone when nothing they care about changed', async () => {
+    pool.query = routeQueries();
+
+    expect(await notifyWishlistWatchers(PRODUCT, { ...PRODUCT, name: 'Shito (hot)' })).toBe(0);
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  it('never lets a failed alert break the product update', async () => {
+    pool.query = jest.fn().mockRejectedValue(new Error('connection reset'));
+
+    expect(await notifyWishlistWatchers(PRODUCT, { ...PRODUCT, stock_quantity: 3 })).toBe(0);
+  });
+});
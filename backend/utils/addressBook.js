@@ -0,0 +1,113 @@
+/**
+ * Address Book Utility
+ * Validation and formatting of the delivery addresses customers save to their account.
+ * Addresses use the same fields as the checkout delivery form so a saved one can fill it in directly.
+ */
+
+// Enough for home, work and a few gift recipients without the list turning into order history
+const MAX_ADDRESSES = 20;
+
+const PHONE_PATTERN = /^\+?[\d\s\-()]+$/;
+
+const FIELD_NAMES = {
+  fullName: 'Full name',
+  phone: 'Phone number',
+  address: 'Address',
+  city: 'City',
+  state: 'State',
+  zipCode: 'ZIP code',
+  country: 'Country',
+  label: 'Label',
+};
+
+const REQUIRED_FIELDS = ['fullName', 'phone', 'address', 'city', 'state', 'zipCode'];
+
+// Column sizes in customer_addresses
+const FIELD_LIMITS = {
+  label: 50,
+  fullName: 255,
+  phone: 50,
+  city: 100,
+  state: 100,
+  zipCode: 20,
+  country: 100,
+};
+
+/**
+ * Validate an address submitted from the address book or the checkout form
+ * @param {Object} body - Request body
+ * @returns {Object} - { errors: string[], address: Object }
+ */
+function validateAddressInput(body) {
+  const errors = [];
+  const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+  const address = {
+    label: text(body.label) || null,
+    fullName: text(body.fullName),
+    phone: text(body.phone),
+    address: text(body.address),
+    city: text(body.city),
+    state: text(body.state),
+    zipCode: text(body.zipCode),
+    country: text(body.country) || 'United States',
+    deliveryInstructions: text(body.deliveryInstructions) || null,
+    isDefault: body.isDefault === true,
+  };
+
+  for (const field of REQUIRED_FIELDS) {
+    if (!address[field]) {
+      errors.push(`${FIELD_NAMES[field]} is required`);
+    }
+  }
+
+  if (address.phone && !PHONE_PATTERN.test(address.phone)) {
+    errors.push('Please enter a valid phone number');
+  }
+
+  for (const [field, limit] of Object.entries(FIELD_LIMITS)) {
+    if (address[field] && address[field].length > limit) {
+      errors.push(`${FIELD_NAMES[field]} must be at most ${limit} characters`);
+    }
+  }
+
+  return { errors, address };
+}
+
+/**
+ * @param {Object} row - customer_addresses row
+ * @returns {Object} - Address in the checkout form's field names
+ */
+function formatAddress(row) {
+  return {
+    id: row.id,
+    label: row.label,
+    fullName: row.full_name,
+    phone: row.phone,
+    address: row.address,
+    city: row.city,
+    state: row.state,
+    zipCode: row.zip_code,
+    country: row.country,
+    deliveryInstructions: row.delivery_instructions,
+    isDefault: row.is_default,
+  };
+}
+
+/**
+ * Key two addresses share when they are the same place, whatever the casing or spacing
+ * @param {Object} address - Address in the checkout form's field names
+ * @returns {string}
+ */
+function getAddressKey(address) {
+  return [address.address, address.city, address.zipCode]
+    .map(part => String(part || '').toLowerCase().replace(/\s+/g, ' ').trim())
+    .join('|');
+}
+
+module.exports = {
+  MAX_ADDRESSES,
+  validateAddressInput,
+  formatAddress,
+  getAddressKey,
+};
@@ -0,0 +1,78 @@
+/**
+ * Analytics Utility
+ * Time range and bucketing helpers shared by the admin and store analytics endpoints
+ */
+
+// timeRange selector values and the number of days each covers
+const TIME_RANGES = {
+  '7days': 7,
+  '30days': 30,
+  '90days': 90,
+  '1year': 365,
+};
+
+const DEFAULT_TIME_RANGE = '30days';
+
+const BUCKETS = ['day', 'week', 'month'];
+
+/**
+ * SQL condition for orders that represent a completed sale (payment taken and not cancelled)
+ * @param {string} orderAlias - Alias of the orders table in the query
+ * @returns {string}
+ */
+function paidOrderSql(orderAlias) {
+  return `${orderAlias}.status NOT IN ('pending', 'cancelled')`;
+}
+
+/**
+ * Resolve a timeRange query value to the current window and the window before it
+ * @param {string} timeRange - One of TIME_RANGES' keys
+ * @returns {Object} - { timeRange, days, startDate, endDate, previousStartDate }
+ */
+function parseTimeRange(timeRange) {
+  const key = TIME_RANGES[timeRange] ? timeRange : DEFAULT_TIME_RANGE;
+  const days = TIME_RANGES[key];
+  const endDate = new Date();
+  const startDate = new Date(endDate.getTime() - days * 24 * 60 * 60 * 1000);
+  const previousStartDate = new Date(startDate.getTime() - days * 24 * 60 * 60 * 1000);
+
+  return { timeRange: key, days, startDate, endDate, previousStartDate };
+}
+
+/**
+ * Pick the bucket size for a revenue series; defaults to one that keeps the series short
+ * @param {string} bucket - 'day', 'week' or 'month' (optional)
+ * @param {number} days - Length of the time range
+ * @returns {string}
+ */
+function resolveBucket(bucket, days) {
+  if (BUCKETS.includes(bucket)) {
+    return bucket;
+  }
+  if (days <= 31) {
+    return 'day';
+  }
+  return days <= 90 ? 'week' : 'month';
+}
+
+/**
+ * Percentage change from a previous value, or null when there's nothing to compare against
+ * @param {number} current
+ * @param {number} previous
+ * @returns {number|null}
+ */
+function percentChange(current, previous) {
+  if (!previous) {
+    return null;
+  }
+  return Math.round(((current - previous) / previous) * 1000) / 10;
+}
+
+module.exports = {
+  TIME_RANGES,
+  BUCKETS,
+  paidOrderSql,
+  parseTimeRange,
+  resolveBucket,
+  percentChange,
+};
@@ -247,8 +247,9 @@ function authenticateSession(requiredUserType = null) {
         });
       }
 
-      // Check if user is still active
-      if (user.status !== 'active') {
+      // Check if user is still active. A driver's status tracks availability, so only 'inactive' means suspended
+      const isActive = req.session.userType === 'driver' ? user.status !== 'inactive' : user.status === 'active';
+      if (!isActive) {
         req.session.destroy();
         return res.status(403).json({
           success: false,
@@ -0,0 +1,306 @@
+/**
+ * Delivery Batching Utility
+ * Groups the orders a driver is carrying into one batch with an ordered stop list:
+ * a pickup and a drop-off stop per order. A busy driver is only offered orders from
+ * a store they still have to visit, or whose pickup and drop-off lie along the route
+ * they are already driving.
+ */
+
+const { haversineKm, formatAddress } = require('./geocoding');
+
+const ROUTE_RADIUS_KM = parseFloat(process.env.BATCH_ROUTE_RADIUS_KM) || 3;
+
+// Stops for these orders are dropped from the route
+const INACTIVE_ORDER_STATUSES = ['cancelled', 'refunded'];
+
+/**
+ * @param {Object} row - Anything with latitude/longitude columns
+ * @returns {Object|null} - { latitude, longitude }
+ */
+function toPoint(row) {
+  if (!row || row.latitude === null || row.latitude === undefined
+    || row.longitude === null || row.longitude === undefined) {
+    return null;
+  }
+  return { latitude: parseFloat(row.latitude), longitude: parseFloat(row.longitude) };
+}
+
+/**
+ * Order pending stops: every pickup before any drop-off so no order is delivered
+ * before it is collected, each group visited nearest-first from where the driver is.
+ * Stops without a location keep their relative order at the end of their group.
+ * @param {Object[]} stops - [{ id, stop_type, latitude, longitude }]
+ * @param {Object|null} start - Driver location { latitude, longitude }
+ * @returns {Object[]} - The same stops in visiting order
+ */
+function sequenceStops(stops, start) {
+  const ordered = [];
+  let position = start;
+
+  for (const stopType of ['pickup', 'dropoff']) {
+    const group = stops.filter(stop => stop.stop_type === stopType);
+    const located = group.filter(stop => toPoint(stop));
+    const unlocated = group.filter(stop => !toPoint(stop));
+
+    while (located.length > 0) {
+      let nextIndex = 0;
+      if (position) {
+        let nearest = Infinity;
+        located.forEach((stop, index) => {
+          const distance = haversineKm(position, toPoint(stop));
+          if (distance < nearest) {
+            nearest = distance;
+            nextIndex = index;
+          }
+        });
+      }
+
+      const [next] = located.splice(nextIndex, 1);
+      ordered.push(next);
+      position = toPoint(next);
+    }
+
+    ordered.push(...unlocated);
+  }
+
+  return ordered;
+}
+
+/**
+ * Whether an order fits into a batch the driver is already carrying
+ * @param {Object[]} stops - Pending stops of the driver's active batch
+ * @param {Object} candidate - { storeId, pickup, dropoff } with points possibly null
+ * @param {number} radiusKm - How far off the route a stop may be
+ * @returns {boolean}
+ */
+function canJoinBatch(stops, candidate, radiusKm = ROUTE_RADIUS_KM) {
+  if (!stops || stops.length === 0) {
+    return false;
+  }
+
+  const sameStore = candidate.storeId && stops.some(stop =>
+    stop.stop_type === 'pickup' && stop.store_id === candidate.storeId,
+  );
+  if (sameStore) {
+    return true;
+  }
+
+  if (!candidate.pickup || !candidate.dropoff) {
+    return false;
+  }
+
+  const nearRoute = point => stops.some(stop => {
+    const stopPoint = toPoint(stop);
+    return stopPoint && haversineKm(point, stopPoint) <= radiusKm;
+  });
+
+  return nearRoute(candidate.pickup) && nearRoute(candidate.dropoff);
+}
+
+/**
+ * Pending stops of each driver's active batch
+ * @param {Object} db - pg pool or client
+ * @param {number[]} driverIds - Driver IDs
+ * @returns {Promise<Object>} - Stops keyed by driver ID
+ */
+async function getActiveBatchStops(db, driverIds) {
+  const result = await db.query(`
+    SELECT b.driver_id, bs.id, bs.order_id, bs.stop_type, bs.store_id, bs.latitude, bs.longitude
+    FROM delivery_batches b
+    JOIN delivery_batch_stops bs ON bs.batch_id = b.id
+    JOIN orders o ON bs.order_id = o.id
+    WHERE b.driver_id = ANY($1) AND b.status = 'active'
+      AND bs.status = 'pending' AND o.status <> ALL($2)
+  `, [driverIds, INACTIVE_ORDER_STATUSES]);
+
+  return result.rows.reduce((stopsByDriver, stop) => {
+    (stopsByDriver[stop.driver_id] = stopsByDriver[stop.driver_id] || []).push(stop);
+    return stopsByDriver;
+  }, {});
+}
+
+/**
+ * Drop drivers who are mid-delivery on a route this order doesn't fit into
+ * @param {Object} db - pg pool or client
+ * @param {Object[]} drivers - Candidate rows with id and active_orders
+ * @param {Object} candidate - { storeId, pickup, dropoff }
+ * @returns {Promise<Object[]>} - Drivers that are free or can batch the order
+ */
+async function filterBatchableDrivers(db, drivers, candidate) {
+  const busyIds = drivers
+    .filter(driver => parseInt(driver.active_orders) > 0)
+    .map(driver => driver.id);
+
+  if (busyIds.length === 0) {
+    return drivers;
+  }
+
+  const stopsByDriver = await getActiveBatchStops(db, busyIds);
+
+  return drivers.filter(driver =>
+    !busyIds.includes(driver.id) || canJoinBatch(stopsByDriver[driver.id], candidate),
+  );
+}
+
+/**
+ * Drop stops for cancelled or refunded orders and close the batch once nothing is left
+ * @param {Object} db - pg pool or client
+ * @param {number} batchId - Batch ID
+ * @returns {Promise<boolean>} - Whether the batch was completed
+ */
+async function settleBatch(db, batchId) {
+  await db.query(`
+    UPDATE delivery_batch_stops bs
+    SET status = 'cancelled'
+    FROM orders o
+    WHERE bs.order_id = o.id AND bs.batch_id = $1
+      AND bs.status = 'pending' AND o.status = ANY($2)
+  `, [batchId, INACTIVE_ORDER_STATUSES]);
+
+  const result = await db.query(`
+    UPDATE delivery_batches
+    SET status = 'completed', completed_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND status = 'active'
+      AND NOT EXISTS (
+        SELECT 1 FROM delivery_batch_stops WHERE batch_id = $1 AND status = 'pending'
+      )
+    RETURNING id
+  `, [batchId]);
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Renumber a batch's pending stops after the ones already visited
+ * @param {Object} db - pg pool or client
+ * @param {number} batchId - Batch ID
+ * @param {Object|null} start - Driver location { latitude, longitude }
+ */
+async function resequenceBatch(db, batchId, start) {
+  const result = await db.query(`
+    SELECT id, stop_type, status, sequence, latitude, longitude
+    FROM delivery_batch_stops
+    WHERE batch_id = $1 AND status <> 'cancelled'
+    ORDER BY sequence ASC, id ASC
+  `, [batchId]);
+
+  const visited = result.rows.filter(stop => stop.status === 'completed').length;
+  const ordered = sequenceStops(result.rows.filter(stop => stop.status === 'pending'), start);
+
+  if (ordered.length === 0) {
+    return;
+  }
+
+  await db.query(`
+    UPDATE delivery_batch_stops bs
+    SET sequence = s.sequence
+    FROM UNNEST($1::int[], $2::int[]) AS s(id, sequence)
+    WHERE bs.id = s.id
+  `, [ordered.map(stop => stop.id), ordered.map((stop, index) => visited + index + 1)]);
+}
+
+/**
+ * Add an accepted order to the driver's active batch, starting one if needed,
+ * and re-plan the route. Call inside the accept transaction.
+ * @param {Object} db - pg client
+ * @param {number} driverId - Driver ID
+ * @param {Object} offer - The accepted driver_offers row
+ * @returns {Promise<number>} - Batch ID
+ */
+async function addOrderToBatch(db, driverId, offer) {
+  const batchResult = await db.query(
+    'SELECT id FROM delivery_batches WHERE driver_id = $1 AND status = \'active\' FOR UPDATE',
+    [driverId],
+  );
+
+  let batchId;
+  if (batchResult.rows.length > 0) {
+    batchId = batchResult.rows[0].id;
+  } else {
+    const created = await db.query(
+      'INSERT INTO delivery_batches (driver_id) VALUES ($1) RETURNING id',
+      [driverId],
+    );
+    batchId = created.rows[0].id;
+  }
+
+  const storeResult = offer.store_id
+    ? await db.query('SELECT id, store_address, latitude, longitude FROM stores WHERE id = $1', [offer.store_id])
+    : { rows: [] };
+  const store = storeResult.rows[0];
+
+  const orderResult = await db.query(`
+    SELECT shipping_address, delivery_address, delivery_city, delivery_state, delivery_zip,
+           delivery_lat, delivery_lng
+    FROM orders
+    WHERE id = $1
+  `, [offer.order_id]);
+  const order = orderResult.rows[0];
+
+  const dropoffAddress = order.shipping_address || formatAddress({
+    address: order.delivery_address,
+    city: order.delivery_city,
+    state: order.delivery_state,
+    zipCode: order.delivery_zip,
+  });
+
+  await db.query(`
+    INSERT INTO delivery_batch_stops (batch_id, order_id, stop_type, store_id, address, latitude, longitude)
+    VALUES ($1, $2, 'pickup', $3, $4, $5, $6), ($1, $2, 'dropoff', NULL, $7, $8, $9)
+    ON CONFLICT (batch_id, order_id, stop_type) DO NOTHING
+  `, [
+    batchId,
+    offer.order_id,
+    store ? store.id : null,
+    store ? store.store_address : null,
+    store ? store.latitude : null,
+    store ? store.longitude : null,
+    dropoffAddress || null,
+    order.delivery_lat,
+    order.delivery_lng,
+  ]);
+
+  const driverResult = await db.query(
+    'SELECT current_location_lat AS latitude, current_location_lng AS longitude FROM drivers WHERE id = $1',
+    [driverId],
+  );
+
+  await settleBatch(db, batchId);
+  await resequenceBatch(db, batchId, toPoint(driverResult.rows[0]));
+
+  return batchId;
+}
+
+/**
+ * Mark an order's pickup or drop-off stop as visited
+ * @param {Object} db - pg pool or client
+ * @param {number} orderId - Order ID
+ * @param {string} stopType - 'pickup' | 'dropoff'
+ * @returns {Promise<Object|null>} - { batchId, completed }, or null if the order isn't batched
+ */
+async function completeStop(db, orderId, stopType) {
+  const result = await db.query(`
+    UPDATE delivery_batch_stops
+    SET status = 'completed', completed_at = CURRENT_TIMESTAMP
+    WHERE order_id = $1 AND stop_type = $2 AND status = 'pending'
+    RETURNING batch_id
+  `, [orderId, stopType]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const batchId = result.rows[0].batch_id;
+  const completed = await settleBatch(db, batchId);
+  return { batchId, completed };
+}
+
+module.exports = {
+  ROUTE_RADIUS_KM,
+  sequenceStops,
+  canJoinBatch,
+  filterBatchableDrivers,
+  addOrderToBatch,
+  settleBatch,
+  completeStop,
+};
@@ -0,0 +1,129 @@
+/**
+ * Commission Utility
+ * Resolves the platform commission on store items from the commission_rules table
+ */
+
+// Used only if the default rule row is missing
+const FALLBACK_RATE_PERCENT = 10;
+
+function roundCurrency(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Load every commission rule into lookup maps
+ * @param {Object} db - pg pool or client
+ * @returns {Promise<Object>} - { defaultRate, storeRates, categoryRates } with rates in percent
+ */
+async function loadCommissionRules(db) {
+  const result = await db.query('SELECT scope, store_id, category, rate_percent FROM commission_rules');
+
+  const rules = {
+    defaultRate: FALLBACK_RATE_PERCENT,
+    storeRates: new Map(),
+    categoryRates: new Map(),
+  };
+
+  for (const rule of result.rows) {
+    const rate = parseFloat(rule.rate_percent);
+    if (rule.scope === 'default') {
+      rules.defaultRate = rate;
+    } else if (rule.scope === 'store') {
+      rules.storeRates.set(String(rule.store_id), rate);
+    } else if (rule.scope === 'category') {
+      rules.categoryRates.set(rule.category.toLowerCase(), rate);
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Pick the rate for one item: store override, then category override, then the default
+ * @param {Object} rules - Result of loadCommissionRules
+ * @param {Object} item - Item with store_id and category
+ * @returns {number} - Commission rate in percent
+ */
+function resolveCommissionRate(rules, item) {
+  const storeRate = rules.storeRates.get(String(item.store_id));
+  if (storeRate !== undefined) {
+    return storeRate;
+  }
+
+  const categoryRate = item.category ? rules.categoryRates.get(item.category.toLowerCase()) : undefined;
+  if (categoryRate !== undefined) {
+    return categoryRate;
+  }
+
+  return rules.defaultRate;
+}
+
+/**
+ * Calculate the platform fee on each store's share of an order.
+ * Store-funded discounts reduce the fee proportionally; platform items are ignored.
+ * @param {Object} rules - Result of loadCommissionRules
+ * @param {Object[]} items - Order items with store_id, category, price and quantity
+ * @param {Object} storeDiscounts - { [storeId]: amount } store-funded discounts in dollars
+ * @returns {Object} - { [storeId]: { grossAmount, discountAmount, netAmount, feeAmount, ratePercent } }
+ */
+function calculateCommission(rules, items, storeDiscounts = {}) {
+  const breakdown = {};
+
+  for (const item of items) {
+    if (!item.store_id) {
+      continue;
+    }
+
+    const lineAmount = parseFloat(item.price) * item.quantity;
+    const entry = breakdown[item.store_id] || { grossAmount: 0, grossFee: 0 };
+    entry.grossAmount += lineAmount;
+    entry.grossFee += lineAmount * (resolveCommissionRate(rules, item) / 100);
+    breakdown[item.store_id] = entry;
+  }
+
+  for (const [storeId, entry] of Object.entries(breakdown)) {
+    const discountAmount = Math.min(storeDiscounts[storeId] || 0, entry.grossAmount);
+    const netAmount = entry.grossAmount - discountAmount;
+    const ratePercent = entry.grossAmount > 0 ? (entry.grossFee / entry.grossAmount) * 100 : 0;
+
+    breakdown[storeId] = {
+      grossAmount: roundCurrency(entry.grossAmount),
+      discountAmount: roundCurrency(discountAmount),
+      netAmount: roundCurrency(netAmount),
+      feeAmount: roundCurrency(netAmount * (ratePercent / 100)),
+      ratePercent: Math.round(ratePercent * 100) / 100,
+    };
+  }
+
+  return breakdown;
+}
+
+/**
+ * Load the current rules and calculate the commission breakdown for an order
+ * @param {Object} db - pg pool or client
+ * @param {Object[]} items - Order items with store_id, category, price and quantity
+ * @param {Object} storeDiscounts - { [storeId]: amount } store-funded discounts in dollars
+ * @returns {Promise<Object>} - Per-store breakdown (see calculateCommission)
+ */
+async function resolveCommission(db, items, storeDiscounts = {}) {
+  const rules = await loadCommissionRules(db);
+  return calculateCommission(rules, items, storeDiscounts);
+}
+
+/**
+ * Total platform fee across all stores in a breakdown
+ * @param {Object} breakdown - Result of calculateCommission
+ * @returns {number} - Fee in dollars
+ */
+function getTotalPlatformFee(breakdown) {
+  return roundCurrency(Object.values(breakdown).reduce((total, entry) => total + entry.feeAmount, 0));
+}
+
+module.exports = {
+  FALLBACK_RATE_PERCENT,
+  loadCommissionRules,
+  resolveCommissionRate,
+  calculateCommission,
+  resolveCommission,
+  getTotalPlatformFee,
+};
@@ -0,0 +1,257 @@
+/**
+ * Delivery Pricing Utility
+ * Delivery fees from the delivery_pricing_rules table: a flat fee, distance bands
+ * measured from the store, a per-kg fee and a free-delivery threshold. Each store
+ * in the cart is a separate delivery priced by its own rule or the default.
+ */
+
+const { haversineKm } = require('./geocoding');
+const { locateStore } = require('./dispatch');
+
+// Breakdown key for items sold by the platform itself
+const PLATFORM_KEY = 'platform';
+
+// Used only if the default rule row is missing
+const FALLBACK_RULE = {
+  flatFee: 0,
+  distanceBands: [],
+  perKgFee: 0,
+  includedWeightKg: 0,
+  freeDeliveryThreshold: null,
+};
+
+function roundCurrency(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * @param {Object} row - delivery_pricing_rules row
+ * @returns {Object} - Rule as used for pricing and returned by the API
+ */
+function formatDeliveryRule(row) {
+  return {
+    id: row.id,
+    scope: row.scope,
+    storeId: row.store_id,
+    storeName: row.store_name,
+    flatFee: parseFloat(row.flat_fee),
+    distanceBands: (row.distance_bands || []).map(band => ({
+      upToKm: parseFloat(band.up_to_km),
+      fee: parseFloat(band.fee),
+    })),
+    perKgFee: parseFloat(row.per_kg_fee),
+    includedWeightKg: parseFloat(row.included_weight_kg),
+    freeDeliveryThreshold: row.free_delivery_threshold === null ? null : parseFloat(row.free_delivery_threshold),
+  };
+}
+
+/**
+ * Validate delivery pricing submitted by an admin
+ * @param {Object} body - Request body
+ * @returns {Object} - { errors: string[], rule: Object } with the rule in column form
+ */
+function validateDeliveryRuleInput(body) {
+  const errors = [];
+  const amount = (value) => (value === undefined || value === null || value === '' ? 0 : Number(value));
+
+  const flatFee = amount(body.flatFee);
+  const perKgFee = amount(body.perKgFee);
+  const includedWeightKg = amount(body.includedWeightKg);
+  const freeDeliveryThreshold = body.freeDeliveryThreshold === undefined || body.freeDeliveryThreshold === null || body.freeDeliveryThreshold === ''
+    ? null
+    : Number(body.freeDeliveryThreshold);
+
+  if (isNaN(flatFee) || flatFee < 0) {
+    errors.push('Flat fee cannot be negative');
+  }
+  if (isNaN(perKgFee) || perKgFee < 0) {
+    errors.push('Per-kg fee cannot be negative');
+  }
+  if (isNaN(includedWeightKg) || includedWeightKg < 0) {
+    errors.push('Included weight cannot be negative');
+  }
+  if (freeDeliveryThreshold !== null && (isNaN(freeDeliveryThreshold) || freeDeliveryThreshold < 0)) {
+    errors.push('Free delivery threshold cannot be negative');
+  }
+
+  const distanceBands = [];
+  for (const band of Array.isArray(body.distanceBands) ? body.distanceBands : []) {
+    const upToKm = Number(band && band.upToKm);
+    const fee = Number(band && band.fee);
+    if (!(upToKm > 0) || isNaN(fee) || fee < 0) {
+      errors.push('Distance bands need a distance above zero and a fee of zero or more');
+      continue;
+    }
+    distanceBands.push({ up_to_km: Math.round(upToKm * 100) / 100, fee: roundCurrency(fee) });
+  }
+  distanceBands.sort((a, b) => a.up_to_km - b.up_to_km);
+
+  if (new Set(distanceBands.map(band => band.up_to_km)).size !== distanceBands.length) {
+    errors.push('Each distance band needs a different distance');
+  }
+
+  return {
+    errors,
+    rule: {
+      flat_fee: roundCurrency(flatFee),
+      distance_bands: distanceBands,
+      per_kg_fee: roundCurrency(perKgFee),
+      included_weight_kg: Math.round(includedWeightKg * 100) / 100,
+      free_delivery_threshold: freeDeliveryThreshold === null ? null : roundCurrency(freeDeliveryThreshold),
+    },
+  };
+}
+
+/**
+ * Parse a product weight submitted with a product form
+ * @param {*} value - Weight in kilograms; empty means unknown
+ * @returns {number|null} - Weight rounded to grams, null when empty, NaN when invalid
+ */
+function parseWeightKg(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const weightKg = Number(value);
+  return isNaN(weightKg) || weightKg < 0 || weightKg > 10000 ? NaN : Math.round(weightKg * 1000) / 1000;
+}
+
+/**
+ * Load the default rule and the per-store overrides
+ * @param {Object} db - pg pool or client
+ * @returns {Promise<Object>} - { defaultRule, storeRules: Map<storeId, rule> }
+ */
+async function loadDeliveryRules(db) {
+  const result = await db.query('SELECT * FROM delivery_pricing_rules');
+
+  const rules = {
+    defaultRule: FALLBACK_RULE,
+    storeRules: new Map(),
+  };
+
+  for (const row of result.rows) {
+    if (row.scope === 'default') {
+      rules.defaultRule = formatDeliveryRule(row);
+    } else {
+      rules.storeRules.set(String(row.store_id), formatDeliveryRule(row));
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Price one delivery. The distance fee is the fee of the first band that covers the
+ * distance (the last band beyond that) and is left out when the distance is unknown.
+ * @param {Object} rule - Formatted delivery rule
+ * @param {Object} delivery - { distanceKm, weightKg, subtotal }
+ * @returns {Object} - { flatFee, distanceFee, weightFee, fee, freeThresholdMet }
+ */
+function calculateDeliveryFee(rule, { distanceKm = null, weightKg = 0, subtotal = 0 }) {
+  let distanceFee = 0;
+  if (distanceKm !== null && rule.distanceBands.length > 0) {
+    const band = rule.distanceBands.find(entry => distanceKm <= entry.upToKm)
+      || rule.distanceBands[rule.distanceBands.length - 1];
+    distanceFee = band.fee;
+  }
+
+  const weightFee = Math.max(0, weightKg - rule.includedWeightKg) * rule.perKgFee;
+  const freeThresholdMet = rule.freeDeliveryThreshold !== null && subtotal >= rule.freeDeliveryThreshold;
+
+  return {
+    flatFee: rule.flatFee,
+    distanceFee: roundCurrency(distanceFee),
+    weightFee: roundCurrency(weightFee),
+    fee: freeThresholdMet ? 0 : roundCurrency(rule.flatFee + distanceFee + weightFee),
+    freeThresholdMet,
+  };
+}
+
+/**
+ * Price the delivery of every store's items in a cart.
+ * A free-delivery promo code waives the fee: a platform code for every delivery, paid
+ * for by the platform; a store code for that store's delivery only, paid for by the store.
+ * @param {Object} db - pg pool or client
+ * @param {Object[]} cartItems - Cart rows with price, quantity, store_id and weight_kg
+ * @param {Object} options - { destination: { latitude, longitude } | null, promotion: applyPromotion result | null }
+ * @returns {Promise<Object>} - { deliveryFee, breakdown: { [storeId | 'platform']: delivery } }
+ */
+async function quoteDelivery(db, cartItems, { destination = null, promotion = null } = {}) {
+  const rules = await loadDeliveryRules(db);
+
+  const groups = {};
+  for (const item of cartItems) {
+    const key = item.store_id ? String(item.store_id) : PLATFORM_KEY;
+    const group = groups[key] || { storeId: item.store_id || null, subtotal: 0, weightKg: 0 };
+    group.subtotal += parseFloat(item.price) * item.quantity;
+    group.weightKg += (parseFloat(item.weight_kg) || 0) * item.quantity;
+    groups[key] = group;
+  }
+
+  const storeIds = Object.values(groups).map(group => group.storeId).filter(Boolean);
+  const storeResult = storeIds.length > 0
+    ? await db.query(
+      'SELECT id, store_name, store_address, latitude, longitude, geocoded_address FROM stores WHERE id = ANY($1)',
+      [storeIds],
+    )
+    : { rows: [] };
+
+  const breakdown = {};
+  for (const [key, group] of Object.entries(groups)) {
+    const store = storeResult.rows.find(row => String(row.id) === key);
+    const rule = rules.storeRules.get(key) || rules.defaultRule;
+
+    let distanceKm = null;
+    if (store && destination) {
+      const origin = await locateStore(db, store);
+      if (origin.latitude !== null) {
+        distanceKm = Math.round(haversineKm(origin, destination) * 100) / 100;
+      }
+    }
+
+    const pricing = calculateDeliveryFee(rule, {
+      distanceKm,
+      weightKg: group.weightKg,
+      subtotal: group.subtotal,
+    });
+
+    const waived = promotion && promotion.freeDelivery && pricing.fee > 0
+      && (promotion.fundedBy === 'platform' || String(promotion.storeId) === key);
+
+    breakdown[key] = {
+      storeId: group.storeId,
+      storeName: store ? store.store_name : null,
+      distanceKm,
+      weightKg: Math.round(group.weightKg * 1000) / 1000,
+      ...pricing,
+      charged: waived ? 0 : pricing.fee,
+      fundedBy: waived ? promotion.fundedBy : 'customer',
+    };
+  }
+
+  return {
+    deliveryFee: roundCurrency(Object.values(breakdown).reduce((total, delivery) => total + delivery.charged, 0)),
+    breakdown,
+  };
+}
+
+/**
+ * What a store owes the platform for deliveries it gave away with its own promo code
+ * @param {Object|null} breakdown - Breakdown from quoteDelivery (orders.delivery_fee_breakdown)
+ * @param {number|string} storeId - Store ID
+ * @returns {number} - Amount in dollars, taken from the store's share of the order
+ */
+function getStoreFundedDelivery(breakdown, storeId) {
+  const delivery = breakdown && breakdown[String(storeId)];
+  return delivery && delivery.fundedBy === 'store' ? delivery.fee : 0;
+}
+
+module.exports = {
+  PLATFORM_KEY,
+  formatDeliveryRule,
+  validateDeliveryRuleInput,
+  parseWeightKg,
+  loadDeliveryRules,
+  calculateDeliveryFee,
+  quoteDelivery,
+  getStoreFundedDelivery,
+};
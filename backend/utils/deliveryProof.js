@@ -0,0 +1,86 @@
+/**
+ * Delivery Proof Utility
+ * Handles the optional delivery PIN a customer gives the driver at the door, and
+ * the photo and signature proofs drivers attach to an order at handover
+ */
+
+const { pool } = require('../config/database');
+const crypto = require('crypto');
+
+const PROOF_TYPES = ['photo', 'signature'];
+
+// After this many wrong PINs in a row the driver has to wait before trying again
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_LOCKOUT_MINUTES = 15;
+
+/**
+ * Generate a 4-digit delivery PIN
+ * @returns {string} - 4-digit code, zero padded
+ */
+function generateDeliveryPin() {
+  return crypto.randomInt(0, 10000).toString().padStart(4, '0');
+}
+
+/**
+ * Check the PIN a driver entered for an order, counting wrong guesses. Pass a client inside
+ * the transaction that changes the order's status: the order row stays locked from the check
+ * to the handover, so concurrent guesses are counted one at a time.
+ * @param {number} orderId - Order ID
+ * @param {string} pin - PIN entered by the driver
+ * @param {Object} db - pg pool or client
+ * @returns {Promise<Object>} - { status: 'not_required' | 'verified' | 'missing' | 'incorrect' | 'locked', attemptsLeft }
+ */
+async function verifyDeliveryPin(orderId, pin, db = pool) {
+  const result = await db.query(`
+    SELECT delivery_pin, delivery_pin_failed_attempts,
+           delivery_pin_last_failed_at > NOW() - $2 * INTERVAL '1 minute' AS recently_failed
+    FROM orders
+    WHERE id = $1
+    FOR UPDATE
+  `, [orderId, PIN_LOCKOUT_MINUTES]);
+
+  const order = result.rows[0];
+  if (!order || !order.delivery_pin) {
+    return { status: 'not_required' };
+  }
+
+  const failedAttempts = order.delivery_pin_failed_attempts || 0;
+  if (failedAttempts >= MAX_PIN_ATTEMPTS && order.recently_failed) {
+    return { status: 'locked', attemptsLeft: 0 };
+  }
+
+  const entered = typeof pin === 'string' || typeof pin === 'number' ? pin.toString().trim() : '';
+  if (!entered) {
+    return { status: 'missing' };
+  }
+
+  const matches = entered.length === order.delivery_pin.length
+    && crypto.timingSafeEqual(Buffer.from(entered), Buffer.from(order.delivery_pin));
+
+  if (matches) {
+    await db.query(
+      'UPDATE orders SET delivery_pin_verified_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [orderId],
+    );
+    return { status: 'verified' };
+  }
+
+  const updated = await db.query(`
+    UPDATE orders
+    SET delivery_pin_failed_attempts = delivery_pin_failed_attempts + 1,
+        delivery_pin_last_failed_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING delivery_pin_failed_attempts
+  `, [orderId]);
+
+  // Once locked out, each try after the wait gets one more attempt
+  const attempts = updated.rows[0].delivery_pin_failed_attempts;
+  return { status: 'incorrect', attemptsLeft: Math.max(0, MAX_PIN_ATTEMPTS - attempts) };
+}
+
+module.exports = {
+  PROOF_TYPES,
+  PIN_LOCKOUT_MINUTES,
+  generateDeliveryPin,
+  verifyDeliveryPin,
+};
@@ -0,0 +1,536 @@
+/**
+ * Dispatch Utility
+ * Offers orders to nearby drivers one at a time. Online drivers are scored by
+ * distance to the pickup store, the deliveries they are already carrying and
+ * their rating; the best one gets a time-limited offer and a decline or timeout
+ * moves the order on to the next driver. Drivers already out on deliveries are
+ * only offered orders that fit into their current batch (see batching.js).
+ */
+
+const { pool } = require('../config/database');
+const logger = require('../config/logger');
+const { createNotification } = require('../routes/notifications');
+const { geocodeAddress, haversineKm } = require('./geocoding');
+const { filterBatchableDrivers, addOrderToBatch, settleBatch } = require('./batching');
+const { publishOrderTracking } = require('./orderTracking');
+
+const OFFER_TIMEOUT_SECONDS = parseInt(process.env.DRIVER_OFFER_TIMEOUT_SECONDS) || 60;
+const MAX_DISTANCE_KM = parseFloat(process.env.DISPATCH_MAX_DISTANCE_KM) || 25;
+const MAX_ACTIVE_ORDERS = parseInt(process.env.DISPATCH_MAX_ACTIVE_ORDERS) || 3;
+const SWEEP_INTERVAL_MS = parseInt(process.env.DISPATCH_SWEEP_INTERVAL_MS) || 15 * 1000;
+
+// Score weights, in kilometres of extra distance a driver is treated as having
+const LOAD_PENALTY_KM = 3; // per delivery already in progress
+const RATING_PENALTY_KM = 2; // per star below a perfect 5
+
+// A driver who declined or missed an order can be offered it again after this long
+const REOFFER_COOLDOWN_MINUTES = 10;
+
+// Unassigned orders keep being retried by the sweeper for this long
+const DISPATCH_RETRY_HOURS = 24;
+
+const ACTIVE_DELIVERY_STATUSES = ['assigned', 'picked_up', 'in_transit'];
+
+const DECLINE_REASONS = ['too_far', 'low_pay', 'vehicle_capacity', 'ending_shift', 'unsafe_area', 'other'];
+
+/**
+ * Rank candidate drivers for a pickup. Lower scores are better. Without a pickup
+ * location, distance is left out and drivers are ranked on load and rating alone.
+ * @param {Object[]} drivers - [{ id, latitude, longitude, rating, active_orders }]
+ * @param {Object|null} pickup - { latitude, longitude }
+ * @param {Object} options - { maxDistanceKm, maxActiveOrders }
+ * @returns {Object[]} - [{ driverId, distanceKm, score }], best first
+ */
+function rankDrivers(drivers, pickup, options = {}) {
+  const maxDistanceKm = options.maxDistanceKm || MAX_DISTANCE_KM;
+  const maxActiveOrders = options.maxActiveOrders || MAX_ACTIVE_ORDERS;
+
+  return drivers
+    .map(driver => {
+      const activeOrders = parseInt(driver.active_orders) || 0;
+      const rating = driver.rating === null || driver.rating === undefined ? 5 : parseFloat(driver.rating);
+      const hasLocation = driver.latitude !== null && driver.latitude !== undefined
+        && driver.longitude !== null && driver.longitude !== undefined;
+
+      let distanceKm = null;
+      if (pickup) {
+        if (!hasLocation) {
+          return null;
+        }
+        distanceKm = haversineKm(pickup, {
+          latitude: parseFloat(driver.latitude),
+          longitude: parseFloat(driver.longitude),
+        });
+        if (distanceKm > maxDistanceKm) {
+          return null;
+        }
+      }
+
+      if (activeOrders >= maxActiveOrders) {
+        return null;
+      }
+
+      const score = (distanceKm || 0)
+        + activeOrders * LOAD_PENALTY_KM
+        + Math.max(0, 5 - rating) * RATING_PENALTY_KM;
+
+      return {
+        driverId: driver.id,
+        distanceKm: distanceKm === null ? null : Math.round(distanceKm * 100) / 100,
+        score: Math.round(score * 10000) / 10000,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.score - b.score || a.driverId - b.driverId);
+}
+
+/**
+ * The store a driver collects the order from (the one supplying most of its items)
+ * @param {Object} db - pg pool or client
+ * @param {number} orderId - Order ID
+ * @returns {Promise<Object|null>} - { storeId, storeName, latitude, longitude } (coordinates may be null)
+ */
+async function resolvePickup(db, orderId) {
+  const result = await db.query(`
+    SELECT s.id, s.store_name, s.store_address, s.latitude, s.longitude, s.geocoded_address
+    FROM order_items oi
+    JOIN products p ON oi.product_id = p.id
+    JOIN stores s ON p.store_id = s.id
+    WHERE oi.order_id = $1
+    GROUP BY s.id
+    ORDER BY COUNT(*) DESC, s.id ASC
+    LIMIT 1
+  `, [orderId]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const store = result.rows[0];
+  const location = await locateStore(db, store);
+
+  return { storeId: store.id, storeName: store.store_name, ...location };
+}
+
+/**
+ * A store's coordinates, geocoding its address when it hasn't been looked up yet or has changed since
+ * @param {Object} db - pg pool or client
+ * @param {Object} store - stores row with id, store_address, latitude, longitude and geocoded_address
+ * @returns {Promise<Object>} - { latitude, longitude } (both null when the address can't be found)
+ */
+async function locateStore(db, store) {
+  let latitude = store.latitude === null ? null : parseFloat(store.latitude);
+  let longitude = store.longitude === null ? null : parseFloat(store.longitude);
+
+  if (store.store_address && (latitude === null || store.geocoded_address !== store.store_address)) {
+    const location = await geocodeAddress({ address: store.store_address });
+    latitude = location ? location.latitude : null;
+    longitude = location ? location.longitude : null;
+
+    await db.query(
+      'UPDATE stores SET latitude = $1, longitude = $2, geocoded_address = $3 WHERE id = $4',
+      [latitude, longitude, store.store_address, store.id],
+    );
+  }
+
+  return { latitude, longitude };
+}
+
+/**
+ * Geocode an order's delivery address if it hasn't been already
+ * @param {Object} db - pg pool or client
+ * @param {Object} order - Order row with the delivery fields
+ * @returns {Promise<Object|null>} - { latitude, longitude }
+ */
+async function ensureDeliveryLocation(db, order) {
+  if (order.delivery_lat !== null && order.delivery_lat !== undefined) {
+    return order.delivery_lng === null || order.delivery_lng === undefined
+      ? null
+      : { latitude: parseFloat(order.delivery_lat), longitude: parseFloat(order.delivery_lng) };
+  }
+
+  const location = await geocodeAddress({
+    address: order.delivery_address || order.shipping_address,
+    city: order.delivery_city,
+    state: order.delivery_state,
+    zipCode: order.delivery_zip,
+    country: order.delivery_country,
+  });
+
+  if (location) {
+    await db.query(
+      'UPDATE orders SET delivery_lat = $1, delivery_lng = $2 WHERE id = $3',
+      [location.latitude, location.longitude, order.id],
+    );
+  }
+
+  return location;
+}
+
+/**
+ * Offer an unassigned order to the best available driver
+ * @param {Object} db - pg pool or client
+ * @param {number} orderId - Order ID
+ * @returns {Promise<Object|null>} - The open offer, or null if no driver could take it
+ */
+async function offerOrder(db, orderId) {
+  const orderResult = await db.query(`
+    SELECT id, status, driver_id, shipping_address, delivery_address, delivery_city,
+           delivery_state, delivery_zip, delivery_country, delivery_lat, delivery_lng
+    FROM orders
+    WHERE id = $1
+  `, [orderId]);
+
+  const order = orderResult.rows[0];
+  if (!order || order.driver_id || ['cancelled', 'delivered', 'refunded'].includes(order.status)) {
+    return null;
+  }
+
+  const openOffer = await db.query(
+    'SELECT * FROM driver_offers WHERE order_id = $1 AND status = \'offered\'',
+    [orderId],
+  );
+  if (openOffer.rows.length > 0) {
+    return openOffer.rows[0];
+  }
+
+  const pickup = await resolvePickup(db, orderId);
+  const dropoff = await ensureDeliveryLocation(db, order);
+
+  // Drivers already holding an offer are left alone until they answer it
+  const driversResult = await db.query(`
+    SELECT d.id, d.current_location_lat AS latitude, d.current_location_lng AS longitude, d.rating,
+           (SELECT COUNT(*) FROM orders ao
+            WHERE ao.driver_id = d.id AND ao.status = ANY($2)) AS active_orders
+    FROM drivers d
+    WHERE d.status = 'online' AND d.is_verified = true
+      AND NOT EXISTS (
+        SELECT 1 FROM driver_offers f
+        WHERE f.driver_id = d.id
+          AND (f.status = 'offered'
+            OR (f.order_id = $1 AND f.offered_at > NOW() - $3 * INTERVAL '1 minute'))
+      )
+  `, [orderId, ACTIVE_DELIVERY_STATUSES, REOFFER_COOLDOWN_MINUTES]);
+
+  const hasPickupLocation = pickup && pickup.latitude !== null;
+  const candidates = await filterBatchableDrivers(db, driversResult.rows, {
+    storeId: pickup ? pickup.storeId : null,
+    pickup: hasPickupLocation ? pickup : null,
+    dropoff,
+  });
+  const [best] = rankDrivers(candidates, hasPickupLocation ? pickup : null);
+
+  if (!best) {
+    logger.info(`No available drivers for order ${orderId}`);
+    return null;
+  }
+
+  // A conflict means another dispatch run opened an offer for this order first. ON CONFLICT rather
+  // than catching the unique violation, which would abort a transaction the caller has open
+  const offerResult = await db.query(`
+    INSERT INTO driver_offers (order_id, driver_id, store_id, distance_km, score, expires_at)
+    VALUES ($1, $2, $3, $4, $5, NOW() + $6 * INTERVAL '1 second')
+    ON CONFLICT DO NOTHING
+    RETURNING *
+  `, [orderId, best.driverId, pickup ? pickup.storeId : null, best.distanceKm, best.score, OFFER_TIMEOUT_SECONDS]);
+
+  const offer = offerResult.rows[0];
+  if (!offer) {
+    return null;
+  }
+
+  const distanceText = best.distanceKm === null ? '' : ` ${best.distanceKm} km away`;
+  await createNotification(
+    best.driverId,
+    'driver',
+    'New delivery offer',
+    `Order #${orderId} is ready for pickup${pickup ? ` at ${pickup.storeName}` : ''}${distanceText}. Accept within ${OFFER_TIMEOUT_SECONDS} seconds.`,
+    'order',
+    '/driver',
+  );
+
+  logger.info(`Order ${orderId} offered to driver ${best.driverId} (score ${best.score})`);
+  return offer;
+}
+
+/**
+ * Start dispatch for an order. Safe to call more than once.
+ * Call it after the order is committed: geocoding and the driver notification are slow,
+ * and the order must be visible to the driver who accepts the offer.
+ * @param {number} orderId - Order ID
+ * @returns {Promise<Object|null>} - The open offer, or null if no driver could take it yet
+ */
+async function dispatchOrder(orderId) {
+  await pool.query(
+    'UPDATE orders SET dispatch_requested_at = COALESCE(dispatch_requested_at, NOW()) WHERE id = $1',
+    [orderId],
+  );
+  return offerOrder(pool, orderId);
+}
+
+/**
+ * Accept an open offer and assign the order to the driver
+ * @param {number} driverId - Driver ID
+ * @param {number} offerId - Offer ID
+ * @returns {Promise<Object>} - { status: 'accepted' | 'not_found' | 'expired' | 'taken', offer }
+ */
+async function acceptOffer(driverId, offerId) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const offerResult = await client.query(
+      'SELECT *, expires_at <= NOW() AS is_expired FROM driver_offers WHERE id = $1 AND driver_id = $2 FOR UPDATE',
+      [offerId, driverId],
+    );
+
+    const offer = offerResult.rows[0];
+    if (!offer) {
+      await client.query('ROLLBACK');
+      return { status: 'not_found', offer: null };
+    }
+
+    if (offer.status !== 'offered' || offer.is_expired) {
+      await client.query('ROLLBACK');
+      return { status: 'expired', offer };
+    }
+
+    const orderResult = await client.query(
+      'SELECT id, driver_id, status FROM orders WHERE id = $1 FOR UPDATE',
+      [offer.order_id],
+    );
+    const order = orderResult.rows[0];
+
+    if (!order || order.driver_id || ['cancelled', 'delivered', 'refunded'].includes(order.status)) {
+      await client.query(
+        'UPDATE driver_offers SET status = \'cancelled\', responded_at = NOW() WHERE id = $1',
+        [offerId],
+      );
+      await client.query('COMMIT');
+      return { status: 'taken', offer };
+    }
+
+    await client.query(
+      'UPDATE driver_offers SET status = \'accepted\', responded_at = NOW() WHERE id = $1',
+      [offerId],
+    );
+
+    await client.query(`
+      UPDATE orders
+      SET driver_id = $1, status = 'assigned', assigned_at = CURRENT_TIMESTAMP,
+          estimated_delivery = CURRENT_TIMESTAMP + INTERVAL '2 hours'
+      WHERE id = $2
+    `, [driverId, offer.order_id]);
+
+    await client.query(
+      `INSERT INTO delivery_tracking (order_id, driver_id, status, timestamp)
+       VALUES ($1, $2, 'assigned', CURRENT_TIMESTAMP)`,
+      [offer.order_id, driverId],
+    );
+
+    const batchId = await addOrderToBatch(client, driverId, offer);
+
+    await client.query('COMMIT');
+    publishOrderTracking(offer.order_id);
+
+    logger.info(`Order ${offer.order_id} accepted by driver ${driverId} (batch ${batchId})`);
+    return { status: 'accepted', offer: { ...offer, status: 'accepted' }, batchId };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Decline an open offer, recording why, and pass the order to the next driver
+ * @param {number} driverId - Driver ID
+ * @param {number} offerId - Offer ID
+ * @param {Object} decline - { reason, note }; reason is one of DECLINE_REASONS
+ * @returns {Promise<Object>} - { status: 'declined' | 'not_found', nextOffer }
+ */
+async function declineOffer(driverId, offerId, decline = {}) {
+  const result = await pool.query(`
+    UPDATE driver_offers
+    SET status = 'declined', responded_at = NOW(), decline_reason = $3, decline_note = $4
+    WHERE id = $1 AND driver_id = $2 AND status = 'offered'
+    RETURNING order_id
+  `, [offerId, driverId, decline.reason || null, decline.note || null]);
+
+  if (result.rows.length === 0) {
+    return { status: 'not_found', nextOffer: null };
+  }
+
+  const nextOffer = await offerOrder(pool, result.rows[0].order_id);
+  return { status: 'declined', nextOffer };
+}
+
+/**
+ * Withdraw a driver's open offers, e.g. when they go offline, and pass the orders on
+ * @param {number} driverId - Driver ID
+ * @returns {Promise<number>} - Number of offers withdrawn
+ */
+async function releaseDriverOffers(driverId) {
+  const result = await pool.query(`
+    UPDATE driver_offers
+    SET status = 'cancelled', responded_at = NOW()
+    WHERE driver_id = $1 AND status = 'offered'
+    RETURNING order_id
+  `, [driverId]);
+
+  for (const row of result.rows) {
+    await offerOrder(pool, row.order_id);
+  }
+
+  return result.rows.length;
+}
+
+/**
+ * Take a driver's active orders off them, e.g. when they are suspended, and dispatch them again.
+ * Orders they had already collected are noted for admins, since the goods are still with them.
+ * @param {number} driverId - Driver ID
+ * @returns {Promise<number[]>} - IDs of the orders put back into dispatch
+ */
+async function reassignDriverOrders(driverId) {
+  const client = await pool.connect();
+  let orderIds;
+
+  try {
+    await client.query('BEGIN');
+
+    const ordersResult = await client.query(
+      'SELECT id, status FROM orders WHERE driver_id = $1 AND status = ANY($2) FOR UPDATE',
+      [driverId, ACTIVE_DELIVERY_STATUSES],
+    );
+    orderIds = ordersResult.rows.map(order => order.id);
+
+    if (orderIds.length > 0) {
+      await client.query(`
+        UPDATE orders
+        SET notes = CASE WHEN status = 'assigned' THEN notes ELSE COALESCE(notes || E'\n', '') || $2 END,
+            driver_id = NULL, status = 'completed', assigned_at = NULL, estimated_delivery = NULL,
+            dispatch_requested_at = NOW()
+        WHERE id = ANY($1)
+      `, [orderIds, `⚠️ Driver ${driverId} was taken off this order after collecting it; recover the goods before the new pickup`]);
+
+      await client.query(`
+        INSERT INTO delivery_tracking (order_id, driver_id, status, notes, timestamp)
+        SELECT order_id, $2, 'reassigned', 'Finding a new driver', CURRENT_TIMESTAMP
+        FROM UNNEST($1::int[]) AS order_id
+      `, [orderIds, driverId]);
+
+      const stopsResult = await client.query(`
+        UPDATE delivery_batch_stops
+        SET status = 'cancelled'
+        WHERE order_id = ANY($1) AND status = 'pending'
+        RETURNING batch_id
+      `, [orderIds]);
+
+      for (const batchId of new Set(stopsResult.rows.map(stop => stop.batch_id))) {
+        await settleBatch(client, batchId);
+      }
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  // The offer sweeper keeps retrying any order that can't be offered yet
+  for (const orderId of orderIds) {
+    publishOrderTracking(orderId);
+    try {
+      await offerOrder(pool, orderId);
+    } catch (error) {
+      logger.error(`Error dispatching order ${orderId}:`, error.message);
+    }
+  }
+
+  if (orderIds.length > 0) {
+    logger.info(`Orders ${orderIds.join(', ')} taken off driver ${driverId} and dispatched again`);
+  }
+  return orderIds;
+}
+
+/**
+ * Expire offers that weren't answered in time and retry orders still waiting for a driver
+ * @returns {Promise<Object>} - { expired, offered, failed } counts
+ */
+async function sweepOffers() {
+  const expiredResult = await pool.query(`
+    UPDATE driver_offers
+    SET status = 'expired', responded_at = NOW()
+    WHERE status = 'offered' AND expires_at <= NOW()
+    RETURNING order_id
+  `);
+
+  const waitingResult = await pool.query(`
+    SELECT o.id
+    FROM orders o
+    WHERE o.dispatch_requested_at IS NOT NULL
+      AND o.dispatch_requested_at > NOW() - $1 * INTERVAL '1 hour'
+      AND o.driver_id IS NULL
+      AND o.status NOT IN ('cancelled', 'delivered', 'refunded')
+      AND NOT EXISTS (SELECT 1 FROM driver_offers f WHERE f.order_id = o.id AND f.status = 'offered')
+    ORDER BY o.dispatch_requested_at ASC
+  `, [DISPATCH_RETRY_HOURS]);
+
+  const summary = { expired: expiredResult.rows.length, offered: 0, failed: 0 };
+
+  for (const order of waitingResult.rows) {
+    try {
+      const offer = await offerOrder(pool, order.id);
+      if (offer) {
+        summary.offered++;
+      }
+    } catch (error) {
+      summary.failed++;
+      logger.error(`Error dispatching order ${order.id}:`, error.message);
+    }
+  }
+
+  if (summary.expired > 0 || summary.offered > 0 || summary.failed > 0) {
+    logger.info(`Driver offer sweep: ${JSON.stringify(summary)}`);
+  }
+
+  return summary;
+}
+
+/**
+ * Run the offer sweeper on an interval
+ * @param {number} intervalMs - Time between sweeps
+ * @returns {NodeJS.Timeout} - Interval handle, cleared on shutdown
+ */
+function startOfferSweeper(intervalMs = SWEEP_INTERVAL_MS) {
+  const timer = setInterval(() => {
+    sweepOffers().catch(error => {
+      logger.error('Driver offer sweep failed:', error.message);
+    });
+  }, intervalMs);
+
+  // Don't keep the process alive just for the sweeper
+  timer.unref();
+
+  return timer;
+}
+
+module.exports = {
+  OFFER_TIMEOUT_SECONDS,
+  ACTIVE_DELIVERY_STATUSES,
+  DECLINE_REASONS,
+  rankDrivers,
+  locateStore,
+  dispatchOrder,
+  offerOrder,
+  acceptOffer,
+  declineOffer,
+  releaseDriverOffers,
+  reassignDriverOrders,
+  sweepOffers,
+  startOfferSweeper,
+};
@@ -0,0 +1,436 @@
+/**
+ * Driver Earnings Utility
+ * Ledger of what drivers earn: a base fee plus a per-km distance component for each
+ * delivery, and any tips, bonuses or adjustments added by admins. Unpaid entries are
+ * gathered into weekly payout statements that are transferred to the driver's
+ * Stripe Connect Express account.
+ */
+
+const { pool } = require('../config/database');
+const logger = require('../config/logger');
+const { createNotification } = require('../routes/notifications');
+const { haversineKm } = require('./geocoding');
+
+const ENTRY_TYPES = ['base_fee', 'distance', 'tip', 'bonus', 'adjustment'];
+
+// Entries admins can add by hand; delivery pay is only ever recorded on delivery
+const MANUAL_ENTRY_TYPES = ['tip', 'bonus', 'adjustment'];
+
+// Used only if the driver_pay_rates row is missing
+const DEFAULT_PAY_RATES = {
+  baseFee: parseFloat(process.env.DRIVER_BASE_FEE) || 3,
+  perKmRate: parseFloat(process.env.DRIVER_PER_KM_RATE) || 0.75,
+};
+
+function roundCurrency(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Current delivery pay rates
+ * @param {Object} db - pg pool or client
+ * @returns {Promise<Object>} - { baseFee, perKmRate, updatedAt }
+ */
+async function getPayRates(db = pool) {
+  const result = await db.query('SELECT base_fee, per_km_rate, updated_at FROM driver_pay_rates WHERE id = 1');
+
+  if (result.rows.length === 0) {
+    return { ...DEFAULT_PAY_RATES, updatedAt: null };
+  }
+
+  return {
+    baseFee: parseFloat(result.rows[0].base_fee),
+    perKmRate: parseFloat(result.rows[0].per_km_rate),
+    updatedAt: result.rows[0].updated_at,
+  };
+}
+
+/**
+ * Pay for a single delivery
+ * @param {Object} rates - Result of getPayRates
+ * @param {number|null} distanceKm - Store to customer distance, null if unknown
+ * @returns {Object} - { baseFee, distanceKm, distanceAmount, total }
+ */
+function calculateDeliveryPay(rates, distanceKm) {
+  const distance = distanceKm === null || distanceKm === undefined ? null : roundCurrency(distanceKm);
+  const distanceAmount = distance ? roundCurrency(distance * rates.perKmRate) : 0;
+
+  return {
+    baseFee: roundCurrency(rates.baseFee),
+    distanceKm: distance,
+    distanceAmount,
+    total: roundCurrency(rates.baseFee + distanceAmount),
+  };
+}
+
+/**
+ * Store to customer distance of an order, from its stops on the driver's route
+ * @param {Object} db - pg pool or client
+ * @param {number} orderId - Order ID
+ * @returns {Promise<number|null>} - Kilometres, null if either end has no location
+ */
+async function getDeliveryDistance(db, orderId) {
+  const result = await db.query(`
+    SELECT stop_type, latitude, longitude
+    FROM delivery_batch_stops
+    WHERE order_id = $1 AND latitude IS NOT NULL AND longitude IS NOT NULL
+    ORDER BY id DESC
+  `, [orderId]);
+
+  const point = stopType => {
+    const stop = result.rows.find(row => row.stop_type === stopType);
+    return stop ? { latitude: parseFloat(stop.latitude), longitude: parseFloat(stop.longitude) } : null;
+  };
+
+  const pickup = point('pickup');
+  const dropoff = point('dropoff');
+  return pickup && dropoff ? haversineKm(pickup, dropoff) : null;
+}
+
+/**
+ * Record the base fee and distance pay for a completed delivery.
+ * Safe to call more than once for an order; later calls add nothing.
+ * @param {Object} db - pg client inside the delivery transaction
+ * @param {number} orderId - Order ID
+ * @param {number} driverId - Driver ID
+ * @returns {Promise<Object>} - Result of calculateDeliveryPay
+ */
+async function recordDeliveryEarnings(db, orderId, driverId) {
+  const rates = await getPayRates(db);
+  const pay = calculateDeliveryPay(rates, await getDeliveryDistance(db, orderId));
+
+  const entries = [['base_fee', pay.baseFee, null, 'Delivery base fee']];
+  if (pay.distanceAmount > 0) {
+    entries.push(['distance', pay.distanceAmount, pay.distanceKm, `${pay.distanceKm} km at $${rates.perKmRate.toFixed(2)}/km`]);
+  }
+
+  for (const [entryType, amount, distanceKm, description] of entries) {
+    await db.query(`
+      INSERT INTO driver_earnings (driver_id, order_id, entry_type, amount, distance_km, description)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (order_id, entry_type) WHERE entry_type IN ('base_fee', 'distance') DO NOTHING
+    `, [driverId, orderId, entryType, amount, distanceKm, description]);
+  }
+
+  return pay;
+}
+
+/**
+ * Add a tip, bonus or adjustment to a driver's ledger
+ * @param {Object} db - pg pool or client
+ * @param {Object} entry - { driverId, orderId, entryType, amount, description, createdBy }
+ * @returns {Promise<Object>} - Inserted driver_earnings row
+ */
+async function addEarningsEntry(db, { driverId, orderId = null, entryType, amount, description, createdBy = null }) {
+  const result = await db.query(`
+    INSERT INTO driver_earnings (driver_id, order_id, entry_type, amount, description, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *
+  `, [driverId, orderId, entryType, roundCurrency(amount), description, createdBy]);
+
+  return result.rows[0];
+}
+
+/**
+ * Earnings totals for a driver, by delivery-style time window
+ * @param {Object} db - pg pool or client
+ * @param {number} driverId - Driver ID
+ * @returns {Promise<Object>} - { today, week, month, total, unpaid }
+ */
+async function getEarningsSummary(db, driverId) {
+  const result = await db.query(`
+    SELECT
+      COALESCE(SUM(amount) FILTER (WHERE created_at >= CURRENT_DATE), 0) AS today,
+      COALESCE(SUM(amount) FILTER (WHERE created_at >= CURRENT_DATE - INTERVAL '7 days'), 0) AS week,
+      COALESCE(SUM(amount) FILTER (WHERE created_at >= CURRENT_DATE - INTERVAL '30 days'), 0) AS month,
+      COALESCE(SUM(amount), 0) AS total,
+      COALESCE(SUM(amount) FILTER (WHERE payout_id IS NULL), 0) AS unpaid
+    FROM driver_earnings
+    WHERE driver_id = $1
+  `, [driverId]);
+
+  const row = result.rows[0];
+  return {
+    today: parseFloat(row.today),
+    week: parseFloat(row.week),
+    month: parseFloat(row.month),
+    total: parseFloat(row.total),
+    unpaid: parseFloat(row.unpaid),
+  };
+}
+
+const toDateString = date => date.toISOString().slice(0, 10);
+
+/**
+ * The most recent complete payout week (Monday to Sunday, UTC) before a date
+ * @param {Date} date - Reference date, defaults to now
+ * @returns {Object} - { periodStart, periodEnd } as YYYY-MM-DD strings
+ */
+function getPayoutPeriod(date = new Date()) {
+  const today = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const daysSinceMonday = (today.getUTCDay() + 6) % 7;
+
+  const periodEnd = new Date(today);
+  periodEnd.setUTCDate(today.getUTCDate() - daysSinceMonday - 1);
+
+  const periodStart = new Date(periodEnd);
+  periodStart.setUTCDate(periodEnd.getUTCDate() - 6);
+
+  return { periodStart: toDateString(periodStart), periodEnd: toDateString(periodEnd) };
+}
+
+/**
+ * Create a statement for every driver with unpaid earnings up to the end of a period.
+ * Entries left unpaid from earlier periods are carried into the new statement;
+ * drivers whose balance isn't positive carry it over to the next period.
+ * @param {Object} db - pg client; runs its own transaction
+ * @param {Object} period - { periodStart, periodEnd } from getPayoutPeriod
+ * @returns {Promise<number[]>} - IDs of the payouts created
+ */
+async function createPayouts(db, { periodStart, periodEnd }) {
+  try {
+    await db.query('BEGIN');
+
+    const payoutResult = await db.query(`
+      WITH balances AS (
+        SELECT driver_id, SUM(amount) AS amount
+        FROM driver_earnings
+        WHERE payout_id IS NULL AND created_at < $2::date + 1
+        GROUP BY driver_id
+        HAVING SUM(amount) > 0
+      )
+      INSERT INTO driver_payouts (driver_id, period_start, period_end, amount)
+      SELECT driver_id, $1, $2, amount FROM balances
+      ON CONFLICT (driver_id, period_start, period_end) DO NOTHING
+      RETURNING id
+    `, [periodStart, periodEnd]);
+
+    const payoutIds = payoutResult.rows.map(row => row.id);
+
+    if (payoutIds.length > 0) {
+      await db.query(`
+        UPDATE driver_earnings e
+        SET payout_id = p.id
+        FROM driver_payouts p
+        WHERE p.id = ANY($1) AND e.driver_id = p.driver_id
+          AND e.payout_id IS NULL AND e.created_at < $2::date + 1
+      `, [payoutIds, periodEnd]);
+    }
+
+    await db.query('COMMIT');
+    return payoutIds;
+  } catch (error) {
+    await db.query('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * Idempotency key for a payout transfer. As with store transfers, each retry gets
+ * its own numbered key and the transfer group is checked first so nobody is paid twice.
+ * @param {number} payoutId - Payout ID
+ * @param {number} attempt - 1 for the first attempt
+ * @returns {string}
+ */
+function getPayoutIdempotencyKey(payoutId, attempt = 1) {
+  const key = `driver-payout-${payoutId}`;
+  return attempt > 1 ? `${key}-retry-${attempt - 1}` : key;
+}
+
+/**
+ * Transfer a payout to the driver's connected account
+ * @param {Object} db - pg client; runs its own transaction
+ * @param {Object} stripe - Stripe client
+ * @param {number} payoutId - Payout ID
+ * @returns {Promise<Object>} - { status: 'paid' | 'already_paid' | 'failed' | 'not_found', payout, error }
+ */
+async function sendPayout(db, stripe, payoutId) {
+  try {
+    await db.query('BEGIN');
+
+    // Locked for the duration so concurrent runs can't both pay the driver
+    const result = await db.query(`
+      SELECT p.*, p.period_start::text AS start_date, p.period_end::text AS end_date,
+             d.stripe_connect_account_id, d.stripe_payouts_enabled
+      FROM driver_payouts p
+      JOIN drivers d ON p.driver_id = d.id
+      WHERE p.id = $1
+      FOR UPDATE OF p
+    `, [payoutId]);
+
+    if (result.rows.length === 0) {
+      await db.query('ROLLBACK');
+      return { status: 'not_found' };
+    }
+
+    const payout = result.rows[0];
+    if (payout.status === 'paid') {
+      await db.query('ROLLBACK');
+      return { status: 'already_paid', payout };
+    }
+
+    const attempt = payout.attempt_count + 1;
+    const fail = async (message) => {
+      const failed = await db.query(`
+        UPDATE driver_payouts
+        SET status = 'failed', attempt_count = $1, error_message = $2
+        WHERE id = $3
+        RETURNING *
+      `, [attempt, message, payout.id]);
+      await db.query('COMMIT');
+      return { status: 'failed', payout: failed.rows[0], error: message };
+    };
+
+    if (!payout.stripe_connect_account_id || !payout.stripe_payouts_enabled) {
+      return fail('Driver has not finished setting up their payout account');
+    }
+
+    const transferGroup = `driver_payout_${payout.id}`;
+    let transfer;
+    try {
+      const existing = await stripe.transfers.list({ transfer_group: transferGroup, limit: 10 });
+      transfer = existing.data.find(item => !item.reversed);
+
+      if (!transfer) {
+        transfer = await stripe.transfers.create({
+          amount: Math.round(parseFloat(payout.amount) * 100),
+          currency: 'usd',
+          destination: payout.stripe_connect_account_id,
+          transfer_group: transferGroup,
+          description: `Driver earnings ${payout.start_date} to ${payout.end_date}`,
+          metadata: {
+            payoutId: payout.id.toString(),
+            driverId: payout.driver_id.toString(),
+          },
+        }, {
+          idempotencyKey: getPayoutIdempotencyKey(payout.id, attempt),
+        });
+      }
+    } catch (transferError) {
+      logger.error(`Driver payout ${payout.id} failed:`, transferError.message);
+      return fail(transferError.message);
+    }
+
+    const paid = await db.query(`
+      UPDATE driver_payouts
+      SET status = 'paid', attempt_count = $1, error_message = NULL, paid_at = CURRENT_TIMESTAMP,
+          stripe_transfer_id = $2, stripe_account_id = $3
+      WHERE id = $4
+      RETURNING *
+    `, [attempt, transfer.id, payout.stripe_connect_account_id, payout.id]);
+
+    await db.query('COMMIT');
+
+    await createNotification(
+      payout.driver_id,
+      'driver',
+      'Payout sent',
+      `$${parseFloat(payout.amount).toFixed(2)} for ${payout.start_date} to ${payout.end_date} is on its way to your bank account.`,
+      'account',
+      '/driver',
+    );
+
+    return { status: 'paid', payout: paid.rows[0] };
+  } catch (error) {
+    await db.query('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * A payout with the ledger entries it covers
+ * @param {Object} db - pg pool or client
+ * @param {number} payoutId - Payout ID
+ * @param {number|null} driverId - When set, only that driver's payouts are returned
+ * @returns {Promise<Object|null>} - { payout, entries }
+ */
+async function getStatement(db, payoutId, driverId = null) {
+  const params = [payoutId];
+  let driverFilter = '';
+  if (driverId !== null) {
+    params.push(driverId);
+    driverFilter = 'AND p.driver_id = $2';
+  }
+
+  const payoutResult = await db.query(`
+    SELECT p.*, p.period_start::text AS start_date, p.period_end::text AS end_date,
+           d.full_name AS driver_name, d.driver_id AS driver_code
+    FROM driver_payouts p
+    JOIN drivers d ON p.driver_id = d.id
+    WHERE p.id = $1 ${driverFilter}
+  `, params);
+
+  if (payoutResult.rows.length === 0) {
+    return null;
+  }
+
+  const entriesResult = await db.query(`
+    SELECT e.id, e.order_id, o.order_number, e.entry_type, e.amount, e.distance_km, e.description,
+           e.payout_id, e.created_at
+    FROM driver_earnings e
+    LEFT JOIN orders o ON e.order_id = o.id
+    WHERE e.payout_id = $1
+    ORDER BY e.created_at ASC, e.id ASC
+  `, [payoutId]);
+
+  return {
+    payout: formatPayout(payoutResult.rows[0]),
+    entries: entriesResult.rows.map(formatEarningsEntry),
+  };
+}
+
+/**
+ * @param {Object} row - driver_payouts row selected with start_date and end_date text columns
+ * @returns {Object} - Payout as returned by the API
+ */
+function formatPayout(row) {
+  return {
+    id: row.id,
+    driverId: row.driver_id,
+    driverName: row.driver_name,
+    driverCode: row.driver_code,
+    periodStart: row.start_date,
+    periodEnd: row.end_date,
+    amount: parseFloat(row.amount),
+    status: row.status,
+    stripeTransferId: row.stripe_transfer_id,
+    attemptCount: row.attempt_count,
+    errorMessage: row.error_message,
+    createdAt: row.created_at,
+    paidAt: row.paid_at,
+  };
+}
+
+/**
+ * @param {Object} row - driver_earnings row, optionally joined with the order number
+ * @returns {Object} - Ledger entry as returned by the API
+ */
+function formatEarningsEntry(row) {
+  return {
+    id: row.id,
+    orderId: row.order_id,
+    orderNumber: row.order_number || null,
+    type: row.entry_type,
+    amount: parseFloat(row.amount),
+    distanceKm: row.distance_km === null || row.distance_km === undefined ? null : parseFloat(row.distance_km),
+    description: row.description,
+    payoutId: row.payout_id || null,
+    createdAt: row.created_at,
+  };
+}
+
+module.exports = {
+  ENTRY_TYPES,
+  MANUAL_ENTRY_TYPES,
+  getPayRates,
+  calculateDeliveryPay,
+  recordDeliveryEarnings,
+  addEarningsEntry,
+  getEarningsSummary,
+  getPayoutPeriod,
+  createPayouts,
+  sendPayout,
+  getStatement,
+  formatPayout,
+  formatEarningsEntry,
+};
@@ -0,0 +1,142 @@
+/**
+ * Driver Ratings Utility
+ * Customers rate each delivered order from 1 to 5. A driver's rating is the average
+ * of their most recent ratings, so it recovers as service improves, and dispatch
+ * ranks drivers on it. Poor ratings are flagged for an admin to review.
+ */
+
+// How many of a driver's latest ratings make up their rolling average
+const RATING_WINDOW = parseInt(process.env.DRIVER_RATING_WINDOW) || 50;
+
+// A single rating at or below this is flagged on its own
+const LOW_RATING_THRESHOLD = 2;
+
+// A driver whose rolling average drops below this is flagged, once they have enough ratings
+const REVIEW_AVERAGE_BELOW = parseFloat(process.env.DRIVER_RATING_REVIEW_BELOW) || 4;
+const MIN_RATINGS_FOR_AVERAGE = 5;
+
+const MAX_FEEDBACK_LENGTH = 1000;
+
+/**
+ * Why a new rating needs an admin's attention, if it does
+ * @param {number} rating - The new rating
+ * @param {Object} driverRating - { average, count } after the rating was counted
+ * @returns {string|null} - 'low_rating' | 'low_average' | null
+ */
+function getFlagReason(rating, driverRating) {
+  if (rating <= LOW_RATING_THRESHOLD) {
+    return 'low_rating';
+  }
+  if (driverRating.count >= MIN_RATINGS_FOR_AVERAGE && driverRating.average < REVIEW_AVERAGE_BELOW) {
+    return 'low_average';
+  }
+  return null;
+}
+
+/**
+ * Recalculate a driver's rolling average and rating count
+ * @param {Object} db - pg pool or client
+ * @param {number} driverId - Driver ID
+ * @returns {Promise<Object>} - { average, count }
+ */
+async function refreshDriverRating(db, driverId) {
+  const result = await db.query(`
+    UPDATE drivers
+    SET rating = COALESCE((
+          SELECT ROUND(AVG(recent.rating)::numeric, 2)
+          FROM (
+            SELECT rating FROM delivery_ratings
+            WHERE driver_id = $1
+            ORDER BY created_at DESC, id DESC
+            LIMIT $2
+          ) recent
+        ), 5.00),
+        rating_count = (SELECT COUNT(*) FROM delivery_ratings WHERE driver_id = $1)
+    WHERE id = $1
+    RETURNING rating, rating_count
+  `, [driverId, RATING_WINDOW]);
+
+  return {
+    average: parseFloat(result.rows[0].rating),
+    count: result.rows[0].rating_count,
+  };
+}
+
+/**
+ * Record a customer's rating of a delivered order and update the driver's average
+ * @param {Object} db - pg client; runs its own transaction
+ * @param {Object} input - { orderId, customerId, rating, feedback }
+ * @returns {Promise<Object>} - { status: 'rated' | 'not_found' | 'not_delivered' | 'already_rated', rating, flagReason }
+ */
+async function rateDelivery(db, { orderId, customerId, rating, feedback }) {
+  try {
+    await db.query('BEGIN');
+
+    const orderResult = await db.query(
+      'SELECT id, status, driver_id FROM orders WHERE id = $1 AND user_id = $2 FOR UPDATE',
+      [orderId, customerId],
+    );
+
+    if (orderResult.rows.length === 0) {
+      await db.query('ROLLBACK');
+      return { status: 'not_found' };
+    }
+
+    const order = orderResult.rows[0];
+    if (order.status !== 'delivered' || !order.driver_id) {
+      await db.query('ROLLBACK');
+      return { status: 'not_delivered' };
+    }
+
+    const existing = await db.query('SELECT id FROM delivery_ratings WHERE order_id = $1', [orderId]);
+    if (existing.rows.length > 0) {
+      await db.query('ROLLBACK');
+      return { status: 'already_rated' };
+    }
+
+    const inserted = await db.query(`
+      INSERT INTO delivery_ratings (order_id, driver_id, customer_id, rating, feedback)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING id
+    `, [orderId, order.driver_id, customerId, rating, feedback || null]);
+
+    const driverRating = await refreshDriverRating(db, order.driver_id);
+    const flagReason = getFlagReason(rating, driverRating);
+
+    const ratingResult = await db.query(`
+      UPDATE delivery_ratings
+      SET flag_reason = $1, review_status = CASE WHEN $1::text IS NULL THEN NULL ELSE 'open' END
+      WHERE id = $2
+      RETURNING *
+    `, [flagReason, inserted.rows[0].id]);
+
+    await db.query('COMMIT');
+
+    return { status: 'rated', rating: ratingResult.rows[0], flagReason };
+  } catch (error) {
+    await db.query('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * @param {Object} row - delivery_ratings row
+ * @returns {Object} - Rating as returned by the API
+ */
+function formatDeliveryRating(row) {
+  return {
+    id: row.id,
+    orderId: row.order_id,
+    rating: row.rating,
+    feedback: row.feedback,
+    createdAt: row.created_at,
+  };
+}
+
+module.exports = {
+  RATING_WINDOW,
+  MAX_FEEDBACK_LENGTH,
+  refreshDriverRating,
+  rateDelivery,
+  formatDeliveryRating,
+};
@@ -5,6 +5,7 @@
 
 const nodemailer = require('nodemailer');
 const sgMail = require('@sendgrid/mail');
+const { PLATFORM_CURRENCY, formatMoney } = require('./exchangeRates');
 
 class EmailService {
   constructor() {
@@ -434,6 +435,13 @@ Visit: ${process.env.FRONTEND_URL || 'https://afrozy.com'}
    * HTML template for order confirmation email
    */
   getOrderConfirmationTemplate(name, orderDetails) {
+    const summaryHtml = this.getOrderSummaryLines(orderDetails).map(line => `
+      <tr>
+        <td style="padding: 8px 15px; color: #666666; font-size: 14px;">${line.label}</td>
+        <td style="padding: 8px 15px; color: #666666; font-size: 14px; text-align: right;">${line.amount}</td>
+      </tr>
+    `).join('');
+
     const itemsHtml = orderDetails.items.map(item => `
       <tr>
         <td style="padding: 15px; border-bottom: 1px solid #e0e0e0;">
@@ -493,13 +501,30 @@ Visit: ${process.env.FRONTEND_URL || 'https://afrozy.com'}
                             <h3 style="color: #333333; margin: 30px 0 15px 0; font-size: 18px;">Order Items</h3>
                             <table width="100%" cellpadding="0" cellspacing="0" style="border: 1px solid #e0e0e0; border-radius: 8px; overflow: hidden;">
                                 ${itemsHtml}
+                                ${summaryHtml}
                                 <tr>
                                     <td style="padding: 20px; background-color: #f8f9fa; text-align: right; font-weight: bold; color: #333333; font-size: 18px;" colspan="2">
                                         Total: $${orderDetails.totalAmount.toFixed(2)}
                                     </td>
                                 </tr>
+                                ${this.getChargedAmountLine(orderDetails) ? `
+                                <tr>
+                                    <td style="padding: 0 20px 20px; background-color: #f8f9fa; text-align: right; color: #666666; font-size: 14px;" colspan="2">
+                                        ${this.getChargedAmountLine(orderDetails)}
+                                    </td>
+                                </tr>
+                                ` : ''}
                             </table>
 
+                            ${orderDetails.deliveryPin ? `
+                            <!-- Delivery PIN -->
+                            <div style="margin: 30px 0 0 0; background-color: #eff6ff; border: 1px solid #bfdbfe; padding: 20px; border-radius: 8px; text-align: center;">
+                                <p style="margin: 0; color: #1e40af; font-size: 14px;">Your delivery PIN</p>
+                                <p style="margin: 10px 0; color: #1e3a8a; font-size: 32px; font-weight: bold; letter-spacing: 8px;">${orderDetails.deliveryPin}</p>
+                                <p style="margin: 0; color: #1e40af; font-size: 14px;">Give this code to your driver when they hand over your order. Don't share it before then.</p>
+                            </div>
+                            ` : ''}
+
                             <!-- Delivery Address -->
                             <h3 style="color: #333333; margin: 30px 0 15px 0; font-size: 18px;">Delivery Address</h3>
                             <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; color: #666666; line-height: 1.6;">
@@ -544,6 +569,45 @@ Visit: ${process.env.FRONTEND_URL || 'https://afrozy.com'}
     `;
   }
 
+  /**
+   * Subtotal, discount, delivery and tax lines shown above an order's total
+   * @param {object} orderDetails - Order information
+   * @returns {Array<{label: string, amount: string}>} Summary lines, empty for orders without them
+   */
+  getOrderSummaryLines(orderDetails) {
+    if (orderDetails.subtotal === undefined) {
+      return [];
+    }
+
+    const lines = [{ label: 'Subtotal', amount: `$${orderDetails.subtotal.toFixed(2)}` }];
+    if (orderDetails.discountAmount > 0) {
+      lines.push({ label: 'Discount', amount: `-$${orderDetails.discountAmount.toFixed(2)}` });
+    }
+    lines.push({
+      label: 'Delivery',
+      amount: orderDetails.deliveryFee > 0 ? `$${orderDetails.deliveryFee.toFixed(2)}` : 'Free',
+    });
+    for (const taxLine of orderDetails.taxLines || []) {
+      lines.push({
+        label: `${taxLine.name} tax (${taxLine.ratePercent}%)${taxLine.pricesIncludeTax ? ', included in prices' : ''}`,
+        amount: `$${taxLine.taxAmount.toFixed(2)}`,
+      });
+    }
+    return lines;
+  }
+
+  /**
+   * What the customer was actually charged, for orders paid in another currency
+   * @param {object} orderDetails - Order information
+   * @returns {string|null} Charged amount line, null for orders paid in the platform currency
+   */
+  getChargedAmountLine(orderDetails) {
+    if (!orderDetails.currency || orderDetails.currency === PLATFORM_CURRENCY || orderDetails.chargedAmount === null || orderDetails.chargedAmount === undefined) {
+      return null;
+    }
+    return `Charged: ${formatMoney(orderDetails.chargedAmount, orderDetails.currency)} ${orderDetails.currency}`;
+  }
+
   /**
    * Plain text version of order confirmation email
    */
@@ -552,6 +616,10 @@ Visit: ${process.env.FRONTEND_URL || 'https://afrozy.com'}
       `${item.name} - Quantity: ${item.quantity} - $${item.price.toFixed(2)}`
     ).join('\n');
 
+    const summaryList = this.getOrderSummaryLines(orderDetails).map(line =>
+      `${line.label}: ${line.amount}`,
+    ).join('\n');
+
     return `
 Order Confirmation - Afrozy Marketplace
 
@@ -564,9 +632,12 @@ Order Date: ${new Date(orderDetails.orderDate).toLocaleDateString()}
 
 ORDER ITEMS:
 ${itemsList}
-
+${summaryList ? `\n${summaryList}\n` : ''}
 Total: $${orderDetails.totalAmount.toFixed(2)}
-
+${this.getChargedAmountLine(orderDetails) ? `${this.getChargedAmountLine(orderDetails)}\n` : ''}${orderDetails.deliveryPin ? `
+YOUR DELIVERY PIN: ${orderDetails.deliveryPin}
+Give this code to your driver when they hand over your order. Don't share it before then.
+` : ''}
 DELIVERY ADDRESS:
 ${orderDetails.deliveryName}
 ${orderDetails.deliveryAddress}
@@ -960,6 +1031,155 @@ If you have any questions about this refund, please contact our support team.
 
 View your order history: ${process.env.FRONTEND_URL || 'https://afrozy.com'}/account
 
+© ${new Date().getFullYear()} Afrozy Marketplace. All rights reserved.
+This is an automated message, please do not reply to this email.
+    `;
+  }
+
+  /**
+   * Send the outcome of a driver account review
+   * @param {string} email - Driver email address
+   * @param {string} name - Driver name
+   * @param {object} details - { decision: 'approved' | 'rejected' | 'suspended', reason }
+   * @returns {Promise<boolean>} Success status
+   */
+  async sendDriverVerificationUpdate(email, name, details) {
+    if (!this.isConfigured) {
+      console.log(`📧 [DEV MODE] Driver verification update (${details.decision}) would be sent to ${email}`);
+      return true;
+    }
+
+    try {
+      const mailOptions = {
+        from: `"${process.env.SMTP_FROM_NAME || 'Afrozy Marketplace'}" <${process.env.SMTP_FROM_EMAIL || process.env.SMTP_USER}>`,
+        to: email,
+        subject: `${this.getDriverVerificationContent(details).title} - Afrozy Marketplace`,
+        html: this.getDriverVerificationTemplate(name, details),
+        text: this.getDriverVerificationText(name, details),
+      };
+
+      const info = await this.transporter.sendMail(mailOptions);
+      console.log(`✅ Driver verification update sent to ${email}: ${info.messageId}`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Failed to send driver verification update to ${email}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Title, message and header colour for each driver review decision
+   */
+  getDriverVerificationContent(details) {
+    switch (details.decision) {
+    case 'approved':
+      return {
+        title: 'Driver Account Approved',
+        message: 'Your driver account has been verified. You can now go online from your dashboard and start accepting deliveries.',
+        color: '#10b981',
+      };
+    case 'suspended':
+      return {
+        title: 'Driver Account Suspended',
+        message: 'Your driver account has been suspended and you can no longer sign in or accept deliveries. Please contact support if you believe this is a mistake.',
+        color: '#ef4444',
+      };
+    default:
+      return {
+        title: 'Driver Verification Unsuccessful',
+        message: 'We could not verify your driver account. Please upload updated documents from your dashboard and we will review them again.',
+        color: '#f59e0b',
+      };
+    }
+  }
+
+  /**
+   * HTML template for driver verification update email
+   */
+  getDriverVerificationTemplate(name, details) {
+    const content = this.getDriverVerificationContent(details);
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${content.title}</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f4f4f4;">
+    <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f4f4f4; padding: 20px;">
+        <tr>
+            <td align="center">
+                <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px; overflow: hidden; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+                    <!-- Header -->
+                    <tr>
+                        <td style="background-color: ${content.color}; padding: 40px 20px; text-align: center;">
+                            <h1 style="color: #ffffff; margin: 0; font-size: 28px;">${content.title}</h1>
+                        </td>
+                    </tr>
+
+                    <!-- Content -->
+                    <tr>
+                        <td style="padding: 40px 30px;">
+                            <h2 style="color: #333333; margin: 0 0 20px 0; font-size: 24px;">Hi ${name},</h2>
+                            <p style="color: #666666; font-size: 16px; line-height: 1.5; margin: 0 0 20px 0;">
+                                ${content.message}
+                            </p>
+                            ${details.reason ? `
+                            <div style="background-color: #f8f9fa; border-left: 4px solid ${content.color}; padding: 15px; border-radius: 4px; margin: 20px 0;">
+                                <p style="margin: 0; color: #333333; font-size: 14px; line-height: 1.6;">
+                                    <strong>Reason:</strong> ${details.reason}
+                                </p>
+                            </div>` : ''}
+
+                            <!-- CTA Button -->
+                            <table width="100%" cellpadding="0" cellspacing="0" style="margin: 30px 0;">
+                                <tr>
+                                    <td align="center">
+                                        <a href="${process.env.FRONTEND_URL || 'https://afrozy.com'}/driver"
+                                           style="display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: #ffffff; text-decoration: none; padding: 15px 40px; border-radius: 5px; font-weight: bold; font-size: 16px;">
+                                            Open Driver Dashboard
+                                        </a>
+                                    </td>
+                                </tr>
+                            </table>
+                        </td>
+                    </tr>
+
+                    <!-- Footer -->
+                    <tr>
+                        <td style="background-color: #f8f9fa; padding: 30px; text-align: center; border-top: 1px solid #e0e0e0;">
+                            <p style="color: #999999; font-size: 12px; margin: 0 0 10px 0;">
+                                © ${new Date().getFullYear()} Afrozy Marketplace. All rights reserved.
+                            </p>
+                            <p style="color: #999999; font-size: 12px; margin: 0;">
+                                This is an automated message, please do not reply to this email.
+                            </p>
+                        </td>
+                    </tr>
+                </table>
+            </td>
+        </tr>
+    </table>
+</body>
+</html>
+    `;
+  }
+
+  /**
+   * Plain text version of driver verification update email
+   */
+  getDriverVerificationText(name, details) {
+    const content = this.getDriverVerificationContent(details);
+    return `
+${content.title} - Afrozy Marketplace
+
+Hi ${name},
+
+${content.message}
+${details.reason ? `\nReason: ${details.reason}\n` : ''}
+Open your driver dashboard: ${process.env.FRONTEND_URL || 'https://afrozy.com'}/driver
+
 © ${new Date().getFullYear()} Afrozy Marketplace. All rights reserved.
 This is an automated message, please do not reply to this email.
     `;
@@ -0,0 +1,316 @@
+/**
+ * Exchange Rates Utility
+ * Currency conversion through a pluggable exchange-rate provider. Fees, order totals and
+ * platform products are kept in PLATFORM_CURRENCY; stores price their products in their
+ * base currency and customers can pay in any supported currency.
+ * EXCHANGE_RATE_PROVIDER picks the implementation: 'http' (a JSON rates endpoint, the default)
+ * or 'fixture', a local rate table used in tests and offline development.
+ */
+
+const logger = require('../config/logger');
+
+// Currency of every amount the platform records: prices of its own products, fees, totals
+const PLATFORM_CURRENCY = 'USD';
+
+const SUPPORTED_CURRENCIES = [
+  'USD', 'EUR', 'GBP', 'CAD',
+  'KES', 'NGN', 'GHS', 'ZAR', 'UGX', 'TZS', 'RWF', 'ETB', 'XOF', 'XAF', 'MAD', 'EGP',
+];
+
+// Charged in whole units by Stripe
+const ZERO_DECIMAL_CURRENCIES = ['UGX', 'RWF', 'XOF', 'XAF'];
+
+// Units of each currency per US dollar, used by the fixture provider when no rates are passed in
+const DEFAULT_FIXTURE_RATES = {
+  USD: 1,
+  EUR: 0.92,
+  GBP: 0.79,
+  CAD: 1.37,
+  KES: 129.5,
+  NGN: 1540,
+  GHS: 15.5,
+  ZAR: 18.3,
+  UGX: 3700,
+  TZS: 2600,
+  RWF: 1400,
+  ETB: 125,
+  XOF: 603,
+  XAF: 603,
+  MAD: 9.9,
+  EGP: 48.5,
+};
+
+const DEFAULT_TTL_MINUTES = 60;
+
+// Smallest charge Stripe accepts in the currencies it sets one for. Any other currency has to come
+// to at least the platform currency's minimum once converted
+const MINIMUM_CHARGE_AMOUNTS = {
+  USD: 0.5,
+  EUR: 0.5,
+  GBP: 0.3,
+  CAD: 0.5,
+};
+
+/**
+ * @param {*} value - Currency code from a request or a row
+ * @returns {string|null} - Upper-case code when supported, otherwise null
+ */
+function normalizeCurrency(value) {
+  const code = typeof value === 'string' ? value.trim().toUpperCase() : '';
+  return SUPPORTED_CURRENCIES.includes(code) ? code : null;
+}
+
+/**
+ * @param {string} currency - Currency code
+ * @returns {number} - Decimal places the currency is charged with
+ */
+function getCurrencyDecimals(currency) {
+  return ZERO_DECIMAL_CURRENCIES.includes(currency) ? 0 : 2;
+}
+
+/**
+ * Round an amount to what can actually be charged in a currency
+ * @param {number} amount - Amount in major units
+ * @param {string} currency - Currency code
+ * @returns {number}
+ */
+function roundMoney(amount, currency) {
+  const factor = 10 ** getCurrencyDecimals(currency);
+  return Math.round(amount * factor) / factor;
+}
+
+/**
+ * Amount in the smallest unit Stripe takes (cents, or whole units for zero-decimal currencies)
+ * @param {number} amount - Amount in major units
+ * @param {string} currency - Currency code
+ * @returns {number}
+ */
+function toMinorUnits(amount, currency) {
+  return Math.round(amount * 10 ** getCurrencyDecimals(currency));
+}
+
+/**
+ * @param {number} amount - Amount in major units
+ * @param {string} currency - Currency code
+ * @returns {string} - e.g. "$12.50", "KSh 1,200.00"
+ */
+function formatMoney(amount, currency = PLATFORM_CURRENCY) {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: getCurrencyDecimals(currency),
+    maximumFractionDigits: getCurrencyDecimals(currency),
+  }).format(amount);
+}
+
+/**
+ * Rate provider backed by a fixed table
+ * @param {Object} rates - { [currency]: units per US dollar }
+ * @returns {Object} - Rate provider
+ */
+function createFixtureRateProvider(rates = DEFAULT_FIXTURE_RATES) {
+  return {
+    name: 'fixture',
+    async fetchRates() {
+      return { ...rates };
+    },
+  };
+}
+
+/**
+ * Rate provider backed by a JSON endpoint returning { rates: { [currency]: rate } }
+ * quoted against the US dollar (open.er-api.com, openexchangerates.org and similar)
+ * @param {Object} options - { url, timeoutMs }
+ * @returns {Object} - Rate provider
+ */
+function createHttpRateProvider({
+  url = process.env.EXCHANGE_RATE_API_URL || 'https://open.er-api.com/v6/latest/USD',
+  timeoutMs = 5000,
+} = {}) {
+  return {
+    name: 'http',
+    async fetchRates() {
+      const response = await fetch(url, {
+        headers: { Accept: 'application/json' },
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Exchange rate provider responded with ${response.status}`);
+      }
+
+      const body = await response.json();
+      if (!body || !body.rates || !(body.rates[PLATFORM_CURRENCY] > 0)) {
+        throw new Error(`Exchange rate provider returned no ${PLATFORM_CURRENCY} rates`);
+      }
+
+      return body.rates;
+    },
+  };
+}
+
+function createRateProvider(provider = process.env.EXCHANGE_RATE_PROVIDER) {
+  const name = provider || (process.env.NODE_ENV === 'test' ? 'fixture' : 'http');
+  if (name === 'fixture') {
+    return createFixtureRateProvider();
+  }
+  if (name !== 'http') {
+    logger.warn(`Unknown EXCHANGE_RATE_PROVIDER "${name}", falling back to http`);
+  }
+  return createHttpRateProvider();
+}
+
+let activeProvider = null;
+let cachedRates = null;
+
+/**
+ * Swap the rate provider, e.g. for a fixture in tests. Pass null to go back to the environment's choice.
+ * Cached rates are dropped either way.
+ * @param {Object|null} provider - Object with an async fetchRates() method
+ */
+function setRateProvider(provider) {
+  activeProvider = provider;
+  cachedRates = null;
+}
+
+/**
+ * Current rates for the supported currencies, cached for EXCHANGE_RATE_TTL_MINUTES.
+ * When a refresh fails the last rates are kept; with none to fall back on the error is thrown,
+ * since charging at a guessed rate is worse than not charging.
+ * @returns {Promise<Object>} - { base, rates: { [currency]: units per base unit }, fetchedAt, provider }
+ */
+async function getRates() {
+  const ttlMinutes = parseFloat(process.env.EXCHANGE_RATE_TTL_MINUTES) || DEFAULT_TTL_MINUTES;
+  if (cachedRates && Date.now() - cachedRates.fetchedAt.getTime() < ttlMinutes * 60 * 1000) {
+    return cachedRates;
+  }
+
+  if (!activeProvider) {
+    activeProvider = createRateProvider();
+  }
+
+  try {
+    const fetched = await activeProvider.fetchRates();
+    const base = parseFloat(fetched[PLATFORM_CURRENCY]) || 1;
+
+    // Keep only supported currencies, quoted per unit of the platform currency
+    const rates = {};
+    for (const currency of SUPPORTED_CURRENCIES) {
+      const rate = parseFloat(fetched[currency]) / base;
+      if (rate > 0) {
+        rates[currency] = rate;
+      }
+    }
+
+    cachedRates = { base: PLATFORM_CURRENCY, rates, fetchedAt: new Date(), provider: activeProvider.name };
+    return cachedRates;
+  } catch (error) {
+    if (cachedRates) {
+      logger.warn(`Exchange rate refresh failed, keeping rates from ${cachedRates.fetchedAt.toISOString()}: ${error.message}`);
+      return cachedRates;
+    }
+    throw new Error(`Exchange rates are unavailable: ${error.message}`);
+  }
+}
+
+/**
+ * Rates for the given currencies, without asking the provider when they are all the platform currency
+ * @param {string[]} currencies - Currency codes
+ * @returns {Promise<Object>} - { [currency]: units per platform currency unit }
+ */
+async function getRatesFor(currencies) {
+  if (currencies.every(currency => currency === PLATFORM_CURRENCY)) {
+    return { [PLATFORM_CURRENCY]: 1 };
+  }
+  const { rates } = await getRates();
+  return rates;
+}
+
+/**
+ * @param {Object} rates - rates from getRates
+ * @param {string} from - Currency code
+ * @param {string} to - Currency code
+ * @returns {number} - Units of `to` per unit of `from`
+ */
+function getExchangeRate(rates, from, to) {
+  if (from === to) {
+    return 1;
+  }
+  if (!rates[from] || !rates[to]) {
+    throw new Error(`No exchange rate between ${from} and ${to}`);
+  }
+  return rates[to] / rates[from];
+}
+
+/**
+ * Convert an amount between currencies, unrounded
+ * @param {number} amount - Amount in major units of `from`
+ * @param {string} from - Currency code
+ * @param {string} to - Currency code
+ * @param {Object} rates - rates from getRates
+ * @returns {number}
+ */
+function convertAmount(amount, from, to, rates) {
+  return amount * getExchangeRate(rates, from, to);
+}
+
+/**
+ * Minor units of an order's charged currency for an amount recorded in the platform currency,
+ * at the rate the order was charged at. Used for refunds.
+ * @param {number} amount - Amount in the platform currency
+ * @param {Object} order - orders row with currency and fx_rate
+ * @returns {number}
+ */
+function toChargedMinorUnits(amount, order) {
+  const currency = order.currency || PLATFORM_CURRENCY;
+  const fxRate = parseFloat(order.fx_rate) || 1;
+  return toMinorUnits(amount * fxRate, currency);
+}
+
+/**
+ * The inverse of toChargedMinorUnits: a Stripe amount in the order's charged currency,
+ * back in the platform currency at the rate the order was charged at
+ * @param {number} amountMinor - Minor units of the order's charged currency
+ * @param {Object} order - orders row with currency and fx_rate
+ * @returns {number}
+ */
+function fromChargedMinorUnits(amountMinor, order) {
+  const currency = order.currency || PLATFORM_CURRENCY;
+  const fxRate = parseFloat(order.fx_rate) || 1;
+  return roundMoney(amountMinor / 10 ** getCurrencyDecimals(currency) / fxRate, PLATFORM_CURRENCY);
+}
+
+/**
+ * The smallest amount Stripe will charge in a currency
+ * @param {string} currency - Currency code
+ * @param {number} fxRate - Units of `currency` per unit of the platform currency
+ * @returns {number} - Amount in major units of `currency`
+ */
+function getMinimumCharge(currency, fxRate) {
+  if (MINIMUM_CHARGE_AMOUNTS[currency]) {
+    return MINIMUM_CHARGE_AMOUNTS[currency];
+  }
+  // Rounded up so the converted amount never falls short of the platform minimum
+  const factor = 10 ** getCurrencyDecimals(currency);
+  return Math.ceil(MINIMUM_CHARGE_AMOUNTS[PLATFORM_CURRENCY] * fxRate * factor) / factor;
+}
+
+module.exports = {
+  PLATFORM_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  normalizeCurrency,
+  getCurrencyDecimals,
+  roundMoney,
+  toMinorUnits,
+  formatMoney,
+  createFixtureRateProvider,
+  createHttpRateProvider,
+  setRateProvider,
+  getRates,
+  getRatesFor,
+  getExchangeRate,
+  convertAmount,
+  toChargedMinorUnits,
+  fromChargedMinorUnits,
+  getMinimumCharge,
+};
@@ -0,0 +1,218 @@
+/**
+ * Geocoding Utility
+ * Turns store and delivery addresses into coordinates through a pluggable geocoder.
+ * GEOCODER_PROVIDER picks the implementation: 'nominatim', any Nominatim-compatible
+ * search endpoint at GEOCODER_URL, or 'stub', a local lookup table used in tests and
+ * offline development. Production refuses to start without a provider so the app never
+ * falls back to a public endpoint with usage limits. Results are cached per address.
+ */
+
+const logger = require('../config/logger');
+
+const EARTH_RADIUS_KM = 6371;
+const CACHE_TTL_MS = parseInt(process.env.GEOCODER_CACHE_TTL_MS) || 24 * 60 * 60 * 1000;
+const CACHE_MAX_ENTRIES = parseInt(process.env.GEOCODER_CACHE_MAX_ENTRIES) || 5000;
+const PROVIDERS = ['nominatim', 'stub'];
+
+// Used by the stub provider when no fixtures are passed in
+const DEFAULT_STUB_FIXTURES = [
+  { zipCode: '10001', city: 'new york', latitude: 40.7506, longitude: -73.9972 },
+  { zipCode: '11201', city: 'brooklyn', latitude: 40.6939, longitude: -73.9894 },
+  { zipCode: '60601', city: 'chicago', latitude: 41.8853, longitude: -87.6216 },
+  { zipCode: '77002', city: 'houston', latitude: 29.7569, longitude: -95.3625 },
+  { zipCode: '90012', city: 'los angeles', latitude: 34.0614, longitude: -118.2385 },
+];
+
+/**
+ * Join address parts into a single line for providers that take free text
+ * @param {Object} query - { address, city, state, zipCode, country }
+ * @returns {string}
+ */
+function formatAddress(query) {
+  return [query.address, query.city, query.state, query.zipCode, query.country]
+    .map(part => (typeof part === 'string' ? part.trim() : ''))
+    .filter(Boolean)
+    .join(', ');
+}
+
+/**
+ * Geocoder backed by a fixed table, matched on ZIP code first and then city.
+ * Single-line addresses are matched on any fixture ZIP or city they contain.
+ * @param {Object[]} fixtures - [{ zipCode, city, latitude, longitude }]
+ * @returns {Object} - Geocoder
+ */
+function createStubGeocoder(fixtures = DEFAULT_STUB_FIXTURES) {
+  const normalise = value => (value || '').toString().replace(/\s+/g, ' ').trim().toLowerCase();
+
+  return {
+    name: 'stub',
+    async geocode(query) {
+      const zipCode = normalise(query.zipCode);
+      const city = normalise(query.city);
+      const text = normalise(formatAddress(query));
+
+      const match = fixtures.find(fixture => zipCode && normalise(fixture.zipCode) === zipCode)
+        || fixtures.find(fixture => city && normalise(fixture.city) === city)
+        || fixtures.find(fixture => (fixture.zipCode && text.includes(normalise(fixture.zipCode)))
+          || (fixture.city && text.includes(normalise(fixture.city))));
+
+      return match ? { latitude: match.latitude, longitude: match.longitude } : null;
+    },
+  };
+}
+
+/**
+ * Geocoder backed by a Nominatim search endpoint
+ * @param {Object} options - { url, userAgent, timeoutMs }
+ * @returns {Object} - Geocoder
+ */
+function createNominatimGeocoder(options = {}) {
+  const url = options.url || process.env.GEOCODER_URL;
+  if (!url) {
+    throw new Error('GEOCODER_URL is required for the nominatim geocoder');
+  }
+  const userAgent = options.userAgent || process.env.GEOCODER_USER_AGENT || 'afrozy-marketplace';
+  const timeoutMs = options.timeoutMs || 5000;
+
+  return {
+    name: 'nominatim',
+    async geocode(query) {
+      const text = formatAddress(query);
+      if (!text) {
+        return null;
+      }
+
+      const response = await fetch(`${url}?format=json&limit=1&q=${encodeURIComponent(text)}`, {
+        headers: { 'User-Agent': userAgent, Accept: 'application/json' },
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Geocoder responded with ${response.status}`);
+      }
+
+      const results = await response.json();
+      if (!Array.isArray(results) || results.length === 0) {
+        return null;
+      }
+
+      return { latitude: parseFloat(results[0].lat), longitude: parseFloat(results[0].lon) };
+    },
+  };
+}
+
+/**
+ * Build the geocoder named by GEOCODER_PROVIDER. Outside production an unset provider
+ * means the stub, so tests and local development never call out.
+ * @param {string} [provider] - 'nominatim' or 'stub'
+ * @returns {Object} - Geocoder
+ */
+function createGeocoder(provider = process.env.GEOCODER_PROVIDER) {
+  if (!provider) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('GEOCODER_PROVIDER environment variable is required in production');
+    }
+    return createStubGeocoder();
+  }
+  if (!PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown GEOCODER_PROVIDER "${provider}", expected one of: ${PROVIDERS.join(', ')}`);
+  }
+  return provider === 'stub' ? createStubGeocoder() : createNominatimGeocoder();
+}
+
+let activeGeocoder = null;
+
+// Lookups by normalised address: { promise, expiresAt }. Map order doubles as LRU order.
+const cache = new Map();
+
+/**
+ * The geocoder used by dispatch, created from the environment on first use
+ * @returns {Object} - Geocoder
+ */
+function getGeocoder() {
+  if (!activeGeocoder) {
+    activeGeocoder = createGeocoder();
+  }
+  return activeGeocoder;
+}
+
+/**
+ * Swap the geocoder, e.g. for a stub in tests. Pass null to go back to the environment's choice.
+ * @param {Object|null} geocoder - Object with an async geocode(query) method
+ */
+function setGeocoder(geocoder) {
+  activeGeocoder = geocoder;
+  cache.clear();
+}
+
+// Look an address up, validating what the provider returned
+async function lookup(query) {
+  const result = await getGeocoder().geocode(query);
+  if (!result || !Number.isFinite(result.latitude) || !Number.isFinite(result.longitude)) {
+    return null;
+  }
+  return { latitude: result.latitude, longitude: result.longitude };
+}
+
+/**
+ * Geocode an address. Answers, including "not found", are cached per address so repeat
+ * quotes and checkouts don't call the provider again; concurrent lookups share one call.
+ * Lookup failures are logged and treated as no match, and are not cached, so a flaky
+ * provider never blocks checkout or dispatch.
+ * @param {Object} query - { address, city, state, zipCode, country }
+ * @returns {Promise<Object|null>} - { latitude, longitude } or null
+ */
+async function geocodeAddress(query) {
+  const key = formatAddress(query).replace(/\s+/g, ' ').toLowerCase();
+  const cached = cache.get(key);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    cache.delete(key);
+    cache.set(key, cached);
+    return cached.promise;
+  }
+
+  const promise = lookup(query).catch(error => {
+    if (cache.get(key)?.promise === promise) {
+      cache.delete(key);
+    }
+    logger.warn(`Geocoding failed for "${formatAddress(query)}": ${error.message}`);
+    return null;
+  });
+
+  cache.delete(key);
+  cache.set(key, { promise, expiresAt: Date.now() + CACHE_TTL_MS });
+  if (cache.size > CACHE_MAX_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+
+  return promise;
+}
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {number} - Distance in kilometres
+ */
+function haversineKm(from, to) {
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+module.exports = {
+  formatAddress,
+  createStubGeocoder,
+  createNominatimGeocoder,
+  createGeocoder,
+  getGeocoder,
+  setGeocoder,
+  geocodeAddress,
+  haversineKm,
+};
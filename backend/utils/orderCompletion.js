@@ -0,0 +1,495 @@
+/**
+ * Order Completion Utility
+ * Completes a paid checkout order exactly once, whether triggered by
+ * POST /api/checkout/confirm or by a Stripe payment_intent webhook
+ */
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { pool } = require('../config/database');
+const emailService = require('./emailService');
+const { resolveCommission } = require('./commission');
+const { markRedemptionUsed } = require('./promotions');
+const { createStoreTransfer, getStoreTransferAmount } = require('./storeTransfers');
+const { getStoreFundedDelivery } = require('./deliveryPricing');
+const { getStoreIncludedTax, formatTaxLine } = require('./tax');
+const { PLATFORM_CURRENCY, formatMoney } = require('./exchangeRates');
+const { commitReservations, releaseReservations } = require('./stockReservations');
+const { dispatchOrder } = require('./dispatch');
+
+/**
+ * Transfer each store's share of a paid order (multi-vendor charges only).
+ * Runs after the order is committed so the retries never hold the order lock; the idempotency
+ * keys keep a store from being paid twice and failed_transfers records what still needs paying.
+ * @param {Object} db - pg pool or client
+ * @param {Object} order - orders row
+ * @param {Object} paymentIntent - Succeeded Stripe PaymentIntent
+ */
+async function transferStoreShares(db, order, paymentIntent) {
+  const orderItems = typeof order.items === 'string' ? JSON.parse(order.items) : order.items;
+
+  // Handle transfers based on payment type
+  const isMultiVendor = paymentIntent.metadata?.multiVendor === 'true';
+  const platformOnly = paymentIntent.metadata?.platformOnly === 'true';
+
+  // Skip transfers for platform-only orders (no commission, no stores involved)
+  if (!platformOnly && paymentIntent.metadata?.storeIds) {
+    const storeIds = paymentIntent.metadata.storeIds.split(',').filter(id => id);
+
+    if (storeIds.length > 0) {
+      // Group items by store and calculate amounts
+      const itemsByStore = orderItems.reduce((acc, item) => {
+        // Skip platform items (store_id is null)
+        if (item.store_id) {
+          if (!acc[item.store_id]) {
+            acc[item.store_id] = [];
+          }
+          acc[item.store_id].push(item);
+        }
+        return acc;
+      }, {});
+
+      // Get store Stripe accounts
+      const storeQuery = `
+        SELECT id, stripe_connect_account_id, store_name, base_currency
+        FROM stores
+        WHERE id = ANY($1) AND stripe_connect_account_id IS NOT NULL
+      `;
+      const storeResult = await db.query(storeQuery, [storeIds]);
+      const stores = storeResult.rows;
+
+      const failedTransfers = [];
+
+      // If multi-vendor (platform items + store items OR multiple stores)
+      // Create transfers to ALL stores, less the platform commission
+      if (isMultiVendor) {
+        // Use the fee recorded at checkout; orders placed before it was recorded are resolved now
+        let commissionBreakdown = order.commission_breakdown;
+        if (!commissionBreakdown) {
+          // Store-funded discounts (cents) come off that store's share; platform-funded ones don't
+          const storeDiscountCents = paymentIntent.metadata?.storeDiscounts
+            ? JSON.parse(paymentIntent.metadata.storeDiscounts)
+            : {};
+          const storeDiscounts = Object.fromEntries(
+            Object.entries(storeDiscountCents).map(([storeId, cents]) => [storeId, cents / 100]),
+          );
+          commissionBreakdown = await resolveCommission(db, orderItems, storeDiscounts);
+        }
+
+        for (const store of stores) {
+          const storeItems = itemsByStore[store.id];
+          const storeCommission = commissionBreakdown[store.id];
+          if (storeItems && storeItems.length > 0 && storeCommission) {
+            const storeAmount = storeCommission.netAmount;
+
+            // Transfer the store's share. The commission, delivery fee and tax stay with the platform,
+            // so a delivery the store gave away with its own promo code and the tax inside
+            // tax-inclusive prices come out of its share
+            const storeFundedDelivery = getStoreFundedDelivery(order.delivery_fee_breakdown, store.id);
+            const storeIncludedTax = getStoreIncludedTax(order.tax_breakdown, store.id);
+            const storeShare = Math.max(0, storeCommission.netAmount - storeCommission.feeAmount - storeFundedDelivery - storeIncludedTax);
+
+            // Paid in the store's base currency at the order's rates where the platform balance holds it
+            const storeCurrency = store.base_currency || PLATFORM_CURRENCY;
+            const transferAmount = getStoreTransferAmount(storeShare, storeCurrency, order.fx_rates);
+
+            // Retry logic for failed transfers (same idempotency key, so a store is never paid twice)
+            let transferSuccess = false;
+            let lastError = null;
+            const maxRetries = 3;
+
+            for (let attempt = 1; attempt <= maxRetries; attempt++) {
+              try {
+                await createStoreTransfer(stripe, {
+                  orderId: order.id,
+                  storeId: store.id,
+                  destination: store.stripe_connect_account_id,
+                  amountCents: transferAmount.amountMinor,
+                  currency: transferAmount.currency,
+                  metadata: {
+                    storeName: store.store_name,
+                    platformFeePercent: storeCommission.ratePercent.toString(),
+                    storeItemsAmount: Math.round(storeAmount * 100).toString(),
+                    storeFundedDelivery: Math.round(storeFundedDelivery * 100).toString(),
+                    storeIncludedTax: Math.round(storeIncludedTax * 100).toString(),
+                    platformCurrencyAmount: Math.round(storeShare * 100).toString(),
+                    storeCurrency,
+                    ...(transferAmount.storeCurrencyAmount !== null ? {
+                      storeCurrencyAmount: transferAmount.storeCurrencyAmount.toString(),
+                    } : {}),
+                  },
+                });
+
+                console.log(`✅ Transfer created for store ${store.store_name}: ${formatMoney(storeShare, PLATFORM_CURRENCY)}${transferAmount.currency !== PLATFORM_CURRENCY ? ` as ${formatMoney(transferAmount.storeCurrencyAmount, transferAmount.currency)}` : ''} (${100 - storeCommission.ratePercent}% of ${formatMoney(storeAmount, PLATFORM_CURRENCY)})`);
+                transferSuccess = true;
+                break; // Success, exit retry loop
+              } catch (transferError) {
+                lastError = transferError;
+                console.error(`❌ Transfer attempt ${attempt}/${maxRetries} failed for store ${store.store_name}:`, transferError.message);
+
+                if (attempt < maxRetries) {
+                  // Wait before retry (exponential backoff)
+                  await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+                }
+              }
+            }
+
+            // If all retries failed, log for manual review
+            if (!transferSuccess) {
+              failedTransfers.push({
+                storeId: store.id,
+                storeName: store.store_name,
+                amount: transferAmount.amountMinor,
+                currency: transferAmount.currency,
+                accountId: store.stripe_connect_account_id,
+                error: lastError.message,
+              });
+
+              // Store failed transfer in database for admin review
+              try {
+                await db.query(`
+                  INSERT INTO failed_transfers
+                  (order_id, store_id, store_name, amount_cents, currency, stripe_account_id, error_message, created_at)
+                  VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+                `, [
+                  order.id,
+                  store.id,
+                  store.store_name,
+                  transferAmount.amountMinor,
+                  transferAmount.currency,
+                  store.stripe_connect_account_id,
+                  lastError.message,
+                ]);
+                console.warn(`⚠️  Failed transfer logged for admin review: Order ${order.id}, Store ${store.store_name}`);
+              } catch (logError) {
+                // If failed_transfers table doesn't exist, just log to console
+                console.error('Could not log failed transfer to database:', logError.message);
+                console.error('CRITICAL: Manual transfer needed for:', {
+                  orderId: order.id,
+                  storeId: store.id,
+                  storeName: store.store_name,
+                  amount: transferAmount.amountMinor,
+                  currency: transferAmount.currency,
+                  accountId: store.stripe_connect_account_id,
+                });
+              }
+            }
+          }
+        }
+      }
+      // If single store with destination charge, platform fee is already handled by Stripe
+      // No manual transfers needed as the commission was set in application_fee_amount
+
+      // If there were failed transfers, add note to order
+      if (failedTransfers.length > 0) {
+        await db.query(`
+          UPDATE orders
+          SET notes = COALESCE(notes || E'\n', '') || $1
+          WHERE id = $2
+        `, [
+          `⚠️ ${failedTransfers.length} transfer(s) failed and require manual processing`,
+          order.id,
+        ]);
+      }
+    }
+  }
+}
+
+/**
+ * Send the order confirmation email; failures are logged, never thrown
+ * @param {Object} order - orders row
+ */
+async function sendOrderConfirmationEmail(order) {
+  try {
+    // Get order items with product names
+    const orderItemsResult = await pool.query(`
+      SELECT oi.product_id, oi.quantity, oi.price, p.name
+      FROM order_items oi
+      JOIN products p ON oi.product_id = p.id
+      WHERE oi.order_id = $1
+    `, [order.id]);
+
+    const taxLinesResult = await pool.query(
+      'SELECT * FROM order_tax_lines WHERE order_id = $1 ORDER BY id',
+      [order.id],
+    );
+
+    const emailOrderDetails = {
+      orderId: order.id,
+      orderDate: order.created_at,
+      subtotal: parseFloat(order.subtotal || 0),
+      discountAmount: parseFloat(order.discount_amount || 0),
+      deliveryFee: parseFloat(order.delivery_fee || 0),
+      taxLines: taxLinesResult.rows.map(formatTaxLine),
+      totalAmount: parseFloat(order.total_amount),
+      currency: order.currency || PLATFORM_CURRENCY,
+      chargedAmount: order.charged_amount === null || order.charged_amount === undefined ? null : parseFloat(order.charged_amount),
+      items: orderItemsResult.rows.map(item => ({
+        name: item.name,
+        quantity: item.quantity,
+        price: parseFloat(item.price),
+      })),
+      deliveryName: order.delivery_name,
+      deliveryEmail: order.delivery_email,
+      deliveryPhone: order.delivery_phone,
+      deliveryAddress: order.delivery_address,
+      deliveryCity: order.delivery_city,
+      deliveryState: order.delivery_state,
+      deliveryZip: order.delivery_zip,
+      deliveryCountry: order.delivery_country,
+      deliveryPin: order.delivery_pin,
+    };
+
+    await emailService.sendOrderConfirmation(
+      order.delivery_email,
+      order.delivery_name,
+      emailOrderDetails,
+    );
+
+    console.log(`✅ Order confirmation email sent for order #${order.id}`);
+  } catch (emailError) {
+    // Don't fail completion if email fails
+    console.error('Failed to send order confirmation email:', emailError.message);
+  }
+}
+
+/**
+ * What to do with a payment that succeeded for a cancelled order, going by its stock reservations:
+ * 'reopen' when it was cancelled before it was ever paid (the sweeper or a failed payment released its
+ * reservations and none were committed), 'ignore' when it was cancelled after it was paid, and 'review'
+ * for orders placed before stock reservations, which leave nothing to tell the two apart.
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} order - cancelled orders row
+ * @returns {Promise<string>} - 'reopen' | 'ignore' | 'review'
+ */
+async function getCancelledOrderPayment(client, order) {
+  const result = await client.query(`
+    SELECT
+      COUNT(*) FILTER (WHERE status = 'released') AS released,
+      COUNT(*) FILTER (WHERE status = 'committed') AS committed
+    FROM stock_reservations
+    WHERE order_id = $1
+  `, [order.id]);
+
+  const released = parseInt(result.rows[0].released);
+  const committed = parseInt(result.rows[0].committed);
+
+  if (released === 0 && committed === 0) {
+    return 'review';
+  }
+  return released > 0 && committed === 0 ? 'reopen' : 'ignore';
+}
+
+/**
+ * Leave a note for an admin on a cancelled order that was paid and can't be reopened automatically.
+ * Repeated deliveries of the same payment add the note once.
+ * @param {Object} client - pg client inside a transaction
+ * @param {Object} order - orders row
+ * @param {Object} paymentIntent - Succeeded Stripe PaymentIntent
+ */
+async function flagPaymentForReview(client, order, paymentIntent) {
+  const note = `⚠️ Payment ${paymentIntent.id} succeeded after the order was cancelled. The order predates stock reservations, so it can't be told whether it was already paid; reopen and fulfil it or refund the payment`;
+
+  await client.query(`
+    UPDATE orders
+    SET notes = COALESCE(notes || E'\n', '') || $1, updated_at = NOW()
+    WHERE id = $2 AND POSITION($1 IN COALESCE(notes, '')) = 0
+  `, [note, order.id]);
+
+  console.warn(`⚠️  Order ${order.id} was paid after it was cancelled and needs an admin to review it`);
+}
+
+/**
+ * Complete the order for a succeeded PaymentIntent: promo usage, order status, cart clearing,
+ * then store transfers and the confirmation email once the order is committed.
+ * The order row is locked and only a pending order (or one cancelled before it was paid) is
+ * completed, so repeated or concurrent calls (browser + webhook) do the work once. A cancelled
+ * order from before stock reservations is flagged for an admin instead.
+ * @param {Object} paymentIntent - Succeeded Stripe PaymentIntent
+ * @returns {Promise<Object>} - { status: 'completed' | 'already_completed' | 'needs_review' | 'not_found', order }
+ */
+async function completeOrderPayment(paymentIntent) {
+  const client = await pool.connect();
+  let order;
+
+  try {
+    await client.query('BEGIN');
+
+    const orderResult = await client.query(
+      'SELECT * FROM orders WHERE payment_intent_id = $1 FOR UPDATE',
+      [paymentIntent.id],
+    );
+
+    if (orderResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { status: 'not_found', order: null };
+    }
+
+    order = orderResult.rows[0];
+
+    const cancelledPayment = order.status === 'cancelled' ? await getCancelledOrderPayment(client, order) : null;
+
+    if (cancelledPayment === 'review') {
+      await flagPaymentForReview(client, order, paymentIntent);
+      await client.query('COMMIT');
+      return { status: 'needs_review', order };
+    }
+
+    const paidAfterCancel = cancelledPayment === 'reopen';
+    if (order.status !== 'pending' && !paidAfterCancel) {
+      await client.query('ROLLBACK');
+      return { status: 'already_completed', order };
+    }
+
+    // Stock held at checkout is only taken off the shelf once payment succeeds
+    const stock = await commitReservations(client, order.id);
+
+    // Count the promo code against its usage limits now that payment succeeded
+    const redemption = await markRedemptionUsed(client, order.id);
+
+    const notes = [];
+    if (paidAfterCancel) {
+      notes.push('Payment succeeded after the order was cancelled for an expired stock reservation; order completed');
+    }
+    if (stock.oversold.length > 0) {
+      notes.push(`⚠️ Oversold: ${stock.oversold.map(line => `product ${line.productId}${line.variantId ? ` (variant ${line.variantId})` : ''} is short ${line.shortfall} of ${line.quantity}`).join(', ')}. Review stock before fulfilling`);
+      console.warn(`⚠️  Order ${order.id} oversold stock:`, stock.oversold);
+    }
+    if (redemption && !redemption.withinLimit) {
+      notes.push(`⚠️ Promo code ${redemption.code} had reached its usage limit when payment succeeded; discount honoured`);
+      console.warn(`⚠️  Order ${order.id} used promo code ${redemption.code} past its usage limit`);
+    }
+    if (notes.length > 0) {
+      await client.query(`
+        UPDATE orders
+        SET notes = COALESCE(notes || E'\n', '') || $1
+        WHERE id = $2
+      `, [notes.join('\n'), order.id]);
+    }
+
+    // Update order status
+    await client.query(`
+      UPDATE orders
+      SET status = 'completed', updated_at = NOW()
+      WHERE id = $1
+    `, [order.id]);
+
+    // Clear cart
+    if (order.user_id) {
+      await client.query('DELETE FROM cart_items WHERE user_id = $1', [order.user_id]);
+    } else if (order.session_id) {
+      await client.query('DELETE FROM cart_items WHERE session_id = $1', [order.session_id]);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  // Only the call that completed the order gets here, so each store is transferred its share once
+  try {
+    await transferStoreShares(pool, order, paymentIntent);
+  } catch (error) {
+    console.error(`CRITICAL: Store transfers for order ${order.id} could not be processed:`, error.message);
+    await pool.query(`
+      UPDATE orders
+      SET notes = COALESCE(notes || E'\n', '') || $1
+      WHERE id = $2
+    `, ['⚠️ Store transfers could not be processed and require manual processing', order.id]).catch(noteError => {
+      console.error('Could not note failed transfers on order:', noteError.message);
+    });
+  }
+
+  await sendOrderConfirmationEmail(order);
+
+  // Finding a driver can involve geocoding, so it runs without holding up the payment response
+  dispatchOrder(order.id).catch(error => {
+    console.error(`Error dispatching order ${order.id}:`, error.message);
+  });
+
+  return { status: 'completed', order };
+}
+
+/**
+ * Cancel a still-pending order whose payment will never complete and release its stock
+ * @param {Object} paymentIntent - Canceled Stripe PaymentIntent
+ * @param {string} note - Note appended to the order
+ * @returns {Promise<Object|null>} - Cancelled order, or null if there was nothing to cancel
+ */
+async function cancelUnpaidOrder(paymentIntent, note = 'Payment was not completed; order cancelled and stock released') {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const orderResult = await client.query(
+      'SELECT * FROM orders WHERE payment_intent_id = $1 FOR UPDATE',
+      [paymentIntent.id],
+    );
+
+    const order = orderResult.rows[0];
+    if (!order || order.status !== 'pending') {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    await releaseReservations(client, order.id);
+
+    // Orders placed before stock reservations decremented stock up front, so put it back
+    const reservationCount = await client.query(
+      'SELECT COUNT(*) FROM stock_reservations WHERE order_id = $1',
+      [order.id],
+    );
+
+    if (parseInt(reservationCount.rows[0].count) === 0) {
+      const itemsResult = await client.query(
+        'SELECT product_id, variant_id, quantity FROM order_items WHERE order_id = $1',
+        [order.id],
+      );
+
+      // Restore stock (product stock mirrors the sum of its variants)
+      for (const item of itemsResult.rows) {
+        if (item.variant_id) {
+          await client.query(
+            'UPDATE product_variants SET stock_quantity = stock_quantity + $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+            [item.quantity, item.variant_id],
+          );
+        }
+        await client.query(
+          'UPDATE products SET stock_quantity = stock_quantity + $1 WHERE id = $2',
+          [item.quantity, item.product_id],
+        );
+      }
+    }
+
+    // Unused promo code redemptions no longer hold a place against per-customer limits
+    await client.query(
+      'DELETE FROM promotion_redemptions WHERE order_id = $1 AND redeemed_at IS NULL',
+      [order.id],
+    );
+
+    await client.query(`
+      UPDATE orders
+      SET status = 'cancelled',
+          notes = COALESCE(notes || E'\n', '') || $1,
+          updated_at = NOW()
+      WHERE id = $2
+    `, [note, order.id]);
+
+    await client.query('COMMIT');
+
+    return order;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  completeOrderPayment,
+  cancelUnpaidOrder,
+};
@@ -0,0 +1,153 @@
+/**
+ * Order Tracking Utility
+ * Builds the customer-facing delivery timeline for an order and pushes it to open
+ * tracking streams whenever the order or its driver's position changes.
+ * Subscribers are held in this process's memory, so with several server instances
+ * a stream only hears about changes made on the instance it is connected to.
+ */
+
+const { EventEmitter } = require('events');
+const { pool } = require('../config/database');
+const logger = require('../config/logger');
+
+// Only share where the driver is once they are on their way to the customer
+const LIVE_LOCATION_STATUSES = ['in_transit'];
+
+const trackingEvents = new EventEmitter();
+trackingEvents.setMaxListeners(0);
+
+const channel = orderId => `order:${orderId}`;
+
+/**
+ * Tracking snapshot for an order
+ * @param {number} orderId - Order ID
+ * @param {number|null} userId - When set, only the customer's own orders are returned, with their delivery PIN
+ * @param {Object} db - pg pool or client
+ * @returns {Promise<Object|null>} - { orderId, orderNumber, status, estimatedDelivery, deliveryPin, timeline, driver, driverLocation }
+ */
+async function getOrderTracking(orderId, userId = null, db = pool) {
+  const params = [orderId];
+  let ownerFilter = '';
+  if (userId !== null) {
+    params.push(userId);
+    ownerFilter = 'AND o.user_id = $2';
+  }
+
+  const orderResult = await db.query(`
+    SELECT o.id, o.order_number, o.status, o.created_at, o.estimated_delivery, o.driver_id, o.delivery_pin,
+           d.full_name AS driver_name, d.vehicle_type, d.vehicle_plate,
+           d.current_location_lat, d.current_location_lng, d.location_updated_at
+    FROM orders o
+    LEFT JOIN drivers d ON o.driver_id = d.id
+    WHERE o.id = $1 ${ownerFilter}
+  `, params);
+
+  if (orderResult.rows.length === 0) {
+    return null;
+  }
+
+  const order = orderResult.rows[0];
+
+  const eventsResult = await db.query(`
+    SELECT status, notes, timestamp
+    FROM delivery_tracking
+    WHERE order_id = $1
+    ORDER BY timestamp ASC, id ASC
+  `, [order.id]);
+
+  const timeline = [
+    { status: 'placed', timestamp: order.created_at, notes: null },
+    ...eventsResult.rows.map(event => ({
+      status: event.status,
+      timestamp: event.timestamp,
+      notes: event.notes,
+    })),
+  ];
+
+  const showLocation = LIVE_LOCATION_STATUSES.includes(order.status)
+    && order.current_location_lat !== null && order.current_location_lng !== null;
+
+  return {
+    orderId: order.id,
+    orderNumber: order.order_number,
+    status: order.status,
+    estimatedDelivery: order.estimated_delivery,
+    deliveryPin: userId !== null ? order.delivery_pin : null,
+    timeline,
+    driver: order.driver_id
+      ? {
+        firstName: (order.driver_name || '').trim().split(/\s+/)[0] || null,
+        vehicleType: order.vehicle_type,
+        vehiclePlate: order.vehicle_plate,
+      }
+      : null,
+    driverLocation: showLocation
+      ? {
+        latitude: parseFloat(order.current_location_lat),
+        longitude: parseFloat(order.current_location_lng),
+        updatedAt: order.location_updated_at,
+      }
+      : null,
+  };
+}
+
+/**
+ * Listen for tracking updates on an order
+ * @param {number} orderId - Order ID
+ * @param {Function} listener - Called with each new tracking snapshot
+ * @returns {Function} - Unsubscribe
+ */
+function subscribeToOrder(orderId, listener) {
+  trackingEvents.on(channel(orderId), listener);
+  return () => trackingEvents.off(channel(orderId), listener);
+}
+
+/**
+ * Send a fresh snapshot to everyone watching an order. Never throws, so it can be
+ * fired without awaiting after a change has been committed.
+ * @param {number} orderId - Order ID
+ */
+async function publishOrderTracking(orderId) {
+  if (trackingEvents.listenerCount(channel(orderId)) === 0) {
+    return;
+  }
+
+  try {
+    const tracking = await getOrderTracking(orderId);
+    if (tracking) {
+      trackingEvents.emit(channel(orderId), tracking);
+    }
+  } catch (error) {
+    logger.error(`Error publishing tracking for order ${orderId}:`, error.message);
+  }
+}
+
+/**
+ * Push a driver's new position to the orders they are delivering
+ * @param {number} driverId - Driver ID
+ */
+async function publishDriverLocation(driverId) {
+  if (trackingEvents.eventNames().length === 0) {
+    return;
+  }
+
+  try {
+    const result = await pool.query(
+      'SELECT id FROM orders WHERE driver_id = $1 AND status = ANY($2)',
+      [driverId, LIVE_LOCATION_STATUSES],
+    );
+
+    for (const order of result.rows) {
+      await publishOrderTracking(order.id);
+    }
+  } catch (error) {
+    logger.error(`Error publishing location for driver ${driverId}:`, error.message);
+  }
+}
+
+module.exports = {
+  getOrderTracking,
+  subscribeToOrder,
+  publishOrderTracking,
+  publishDriverLocation,
+};
@@ -13,7 +13,7 @@ function generateResetToken() {
 /**
  * Create password reset token for user
  * @param {string} email - User email
- * @param {string} userType - User type (customer, store_owner, admin)
+ * @param {string} userType - User type (customer, store_owner, admin, driver)
  * @returns {Object} - Result with token and expiry
  */
 async function createPasswordResetToken(email, userType) {
@@ -26,7 +26,8 @@ async function createPasswordResetToken(email, userType) {
     const tableMap = {
       'customer': 'customers',
       'store_owner': 'store_owners',
-      'admin': 'admins'
+      'admin': 'admins',
+      'driver': 'drivers',
     };
 
     const tableName = tableMap[userType];
@@ -77,11 +78,12 @@ async function verifyResetToken(token) {
     const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
 
     // Check all user tables for the token
-    const tables = ['customers', 'store_owners', 'admins'];
+    const tables = ['customers', 'store_owners', 'admins', 'drivers'];
     const userTypeMap = {
       'customers': 'customer',
       'store_owners': 'store_owner',
-      'admins': 'admin'
+      'admins': 'admin',
+      'drivers': 'driver',
     };
 
     for (const table of tables) {
@@ -123,7 +125,8 @@ async function clearResetToken(email, userType) {
     const tableMap = {
       'customer': 'customers',
       'store_owner': 'store_owners',
-      'admin': 'admins'
+      'admin': 'admins',
+      'driver': 'drivers',
     };
 
     const tableName = tableMap[userType];
@@ -0,0 +1,188 @@
+/**
+ * Product Variant Utility
+ * Validation and persistence helpers for product variants (size, color, material)
+ */
+
+const { pool } = require('../config/database');
+const { availableVariantStockSql } = require('./stockReservations');
+
+// Option types a variant may be defined by
+const VARIANT_OPTION_TYPES = ['size', 'color', 'material'];
+
+/**
+ * Validate and normalize a list of variants submitted with a product
+ * @param {Array} variants - Raw variants from the request body
+ * @returns {Object} - { errors: string[], variants: Object[] }
+ */
+function validateVariants(variants) {
+  const errors = [];
+  const normalized = [];
+
+  if (!Array.isArray(variants)) {
+    return { errors: ['Variants must be an array'], variants: [] };
+  }
+
+  const seenSkus = new Set();
+  const seenCombinations = new Set();
+
+  variants.forEach((variant, index) => {
+    const label = `Variant ${index + 1}`;
+    const sku = typeof variant.sku === 'string' ? variant.sku.trim() : '';
+
+    if (!sku || sku.length > 100) {
+      errors.push(`${label}: SKU is required and must be at most 100 characters`);
+    } else if (seenSkus.has(sku.toLowerCase())) {
+      errors.push(`${label}: SKU ${sku} is used more than once`);
+    }
+    seenSkus.add(sku.toLowerCase());
+
+    const options = {};
+    const rawOptions = variant.options && typeof variant.options === 'object' ? variant.options : {};
+    for (const [key, value] of Object.entries(rawOptions)) {
+      if (!VARIANT_OPTION_TYPES.includes(key)) {
+        errors.push(`${label}: unsupported option "${key}"`);
+        continue;
+      }
+      if (value === null || value === undefined || String(value).trim() === '') {
+        continue;
+      }
+      options[key] = String(value).trim();
+    }
+
+    if (Object.keys(options).length === 0) {
+      errors.push(`${label}: at least one of ${VARIANT_OPTION_TYPES.join(', ')} is required`);
+    }
+
+    const combination = VARIANT_OPTION_TYPES.map(type => (options[type] || '').toLowerCase()).join('|');
+    if (Object.keys(options).length > 0 && seenCombinations.has(combination)) {
+      errors.push(`${label}: duplicate option combination`);
+    }
+    seenCombinations.add(combination);
+
+    let price = null;
+    if (variant.price !== undefined && variant.price !== null && variant.price !== '') {
+      price = parseFloat(variant.price);
+      if (isNaN(price) || price < 0) {
+        errors.push(`${label}: price must be zero or more`);
+      }
+    }
+
+    const stockQuantity = parseInt(variant.stock_quantity, 10);
+    if (isNaN(stockQuantity) || stockQuantity < 0) {
+      errors.push(`${label}: stock quantity must be zero or more`);
+    }
+
+    normalized.push({
+      id: variant.id ? parseInt(variant.id, 10) : null,
+      sku,
+      options,
+      price,
+      stock_quantity: stockQuantity,
+      image_url: variant.image_url || null,
+      is_active: variant.is_active !== false,
+    });
+  });
+
+  return { errors, variants: normalized };
+}
+
+/**
+ * Replace a product's variants with the given list inside an open transaction.
+ * Variants with an id are updated, new ones inserted and missing ones removed.
+ * The product's stock_quantity is kept as the sum of its active variant stock.
+ * @param {Object} client - Connected pg client with a transaction in progress
+ * @param {number} productId - Product ID
+ * @param {Object[]} variants - Variants returned by validateVariants
+ * @returns {Promise<Object[]>} - Saved variant rows
+ */
+async function syncProductVariants(client, productId, variants) {
+  const keepIds = variants.filter(variant => variant.id).map(variant => variant.id);
+
+  await client.query(
+    'DELETE FROM product_variants WHERE product_id = $1 AND NOT (id = ANY($2::int[]))',
+    [productId, keepIds],
+  );
+
+  const saved = [];
+  for (const variant of variants) {
+    const params = [
+      variant.sku,
+      JSON.stringify(variant.options),
+      variant.price,
+      variant.stock_quantity,
+      variant.image_url,
+      variant.is_active,
+      productId,
+    ];
+
+    let result = { rows: [] };
+    if (variant.id) {
+      result = await client.query(`
+        UPDATE product_variants
+        SET sku = $1, options = $2, price = $3, stock_quantity = $4,
+            image_url = $5, is_active = $6, updated_at = CURRENT_TIMESTAMP
+        WHERE product_id = $7 AND id = $8
+        RETURNING *
+      `, [...params, variant.id]);
+    }
+
+    if (result.rows.length === 0) {
+      result = await client.query(`
+        INSERT INTO product_variants (sku, options, price, stock_quantity, image_url, is_active, product_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *
+      `, params);
+    }
+
+    saved.push(result.rows[0]);
+  }
+
+  if (saved.length > 0) {
+    await client.query(`
+      UPDATE products
+      SET stock_quantity = (
+        SELECT COALESCE(SUM(stock_quantity), 0) FROM product_variants
+        WHERE product_id = $1 AND is_active = true
+      ), updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [productId]);
+  }
+
+  return saved;
+}
+
+/**
+ * Load variants for a set of products
+ * @param {number[]} productIds - Product IDs
+ * @param {Object} options - { activeOnly: only return active variants }
+ * @returns {Promise<Object>} - Map of product ID to its variants
+ */
+async function getVariantsByProduct(productIds, { activeOnly = false } = {}) {
+  const variantsByProduct = {};
+  if (productIds.length === 0) {
+    return variantsByProduct;
+  }
+
+  const result = await pool.query(`
+    SELECT v.*, ${availableVariantStockSql('v')} AS available_quantity
+    FROM product_variants v
+    WHERE v.product_id = ANY($1::int[]) ${activeOnly ? 'AND v.is_active = true' : ''}
+    ORDER BY v.product_id, v.id
+  `, [productIds]);
+
+  for (const variant of result.rows) {
+    if (!variantsByProduct[variant.product_id]) {
+      variantsByProduct[variant.product_id] = [];
+    }
+    variantsByProduct[variant.product_id].push(variant);
+  }
+
+  return variantsByProduct;
+}
+
+module.exports = {
+  VARIANT_OPTION_TYPES,
+  validateVariants,
+  syncProductVariants,
+  getVariantsByProduct,
+};
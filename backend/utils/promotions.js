@@ -0,0 +1,252 @@
+/**
+ * Promotions Utility
+ * Validation, discount calculation and redemption tracking for promo codes
+ */
+
+const { PLATFORM_CURRENCY, formatMoney } = require('./exchangeRates');
+
+// Promotion amounts (discount value, maximum discount, minimum spend) are in the platform currency
+const DISCOUNT_TYPES = ['percentage', 'fixed_amount', 'free_delivery'];
+
+function roundCurrency(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Validate promotion fields submitted by an admin or store owner
+ * @param {Object} body - Request body
+ * @returns {Object} - { errors: string[], promotion: Object }
+ */
+function validatePromotionInput(body) {
+  const errors = [];
+  const code = typeof body.code === 'string' ? body.code.trim().toUpperCase() : '';
+
+  if (!/^[A-Z0-9_-]{3,50}$/.test(code)) {
+    errors.push('Code must be 3-50 characters using letters, numbers, dashes or underscores');
+  }
+
+  if (!DISCOUNT_TYPES.includes(body.discount_type)) {
+    errors.push(`Discount type must be one of ${DISCOUNT_TYPES.join(', ')}`);
+  }
+
+  const discountValue = body.discount_type === 'free_delivery' ? 0 : parseFloat(body.discount_value);
+  if (isNaN(discountValue) || discountValue < 0) {
+    errors.push('Discount value must be a positive number');
+  } else if (body.discount_type === 'percentage' && (discountValue <= 0 || discountValue > 100)) {
+    errors.push('Percentage discounts must be between 0 and 100');
+  } else if (body.discount_type === 'fixed_amount' && discountValue <= 0) {
+    errors.push('Fixed discounts must be greater than zero');
+  }
+
+  const optionalNumber = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+  const maxDiscount = optionalNumber(body.max_discount);
+  const minSpend = optionalNumber(body.min_spend) || 0;
+  const usageLimit = optionalNumber(body.usage_limit);
+  const perCustomerLimit = optionalNumber(body.per_customer_limit);
+
+  if (maxDiscount !== null && (isNaN(maxDiscount) || maxDiscount <= 0)) {
+    errors.push('Maximum discount must be greater than zero');
+  }
+  if (isNaN(minSpend) || minSpend < 0) {
+    errors.push('Minimum spend cannot be negative');
+  }
+  if (usageLimit !== null && (!Number.isInteger(usageLimit) || usageLimit < 1)) {
+    errors.push('Usage limit must be a whole number of at least 1');
+  }
+  if (perCustomerLimit !== null && (!Number.isInteger(perCustomerLimit) || perCustomerLimit < 1)) {
+    errors.push('Per-customer limit must be a whole number of at least 1');
+  }
+
+  const startsAt = body.starts_at ? new Date(body.starts_at) : null;
+  const expiresAt = body.expires_at ? new Date(body.expires_at) : null;
+  if ((startsAt && isNaN(startsAt.getTime())) || (expiresAt && isNaN(expiresAt.getTime()))) {
+    errors.push('Start and expiry dates must be valid dates');
+  } else if (startsAt && expiresAt && expiresAt <= startsAt) {
+    errors.push('Expiry date must be after the start date');
+  }
+
+  return {
+    errors,
+    promotion: {
+      code,
+      description: body.description || null,
+      discount_type: body.discount_type,
+      discount_value: discountValue,
+      max_discount: maxDiscount,
+      min_spend: minSpend,
+      usage_limit: usageLimit,
+      per_customer_limit: perCustomerLimit,
+      starts_at: startsAt,
+      expires_at: expiresAt,
+      is_active: body.is_active !== false,
+    },
+  };
+}
+
+/**
+ * Calculate the discount a promotion gives on a cart.
+ * Store promotions only apply to that store's items.
+ * @param {Object} promotion - promotions row
+ * @param {Object[]} cartItems - Cart rows with price, quantity and store_id
+ * @returns {Object} - { eligibleAmount, discountAmount, freeDelivery }
+ */
+function calculateDiscount(promotion, cartItems) {
+  const eligibleItems = promotion.store_id
+    ? cartItems.filter(item => item.store_id === promotion.store_id)
+    : cartItems;
+
+  const eligibleAmount = roundCurrency(eligibleItems.reduce((total, item) => {
+    return total + (parseFloat(item.price) * item.quantity);
+  }, 0));
+
+  let discountAmount = 0;
+  if (promotion.discount_type === 'percentage') {
+    discountAmount = eligibleAmount * (parseFloat(promotion.discount_value) / 100);
+    if (promotion.max_discount !== null && promotion.max_discount !== undefined) {
+      discountAmount = Math.min(discountAmount, parseFloat(promotion.max_discount));
+    }
+  } else if (promotion.discount_type === 'fixed_amount') {
+    discountAmount = Math.min(parseFloat(promotion.discount_value), eligibleAmount);
+  }
+
+  return {
+    eligibleAmount,
+    discountAmount: roundCurrency(discountAmount),
+    freeDelivery: promotion.discount_type === 'free_delivery',
+  };
+}
+
+/**
+ * Look up a promo code and check it can be used on this cart by this shopper
+ * @param {Object} db - pg pool or client
+ * @param {string} code - Promo code as entered
+ * @param {Object[]} cartItems - Cart rows with price, quantity and store_id
+ * @param {Object} shopper - { customerId }
+ * @returns {Promise<Object>} - { success: false, message } or
+ *   { success: true, promotion, discountAmount, freeDelivery, fundedBy, storeId }
+ */
+async function applyPromotion(db, code, cartItems, { customerId = null } = {}) {
+  const normalizedCode = typeof code === 'string' ? code.trim().toUpperCase() : '';
+
+  const result = await db.query('SELECT * FROM promotions WHERE code = $1', [normalizedCode]);
+  const promotion = result.rows[0];
+
+  if (!promotion || !promotion.is_active) {
+    return { success: false, message: 'This promo code is not valid' };
+  }
+
+  const now = new Date();
+  if (promotion.starts_at && new Date(promotion.starts_at) > now) {
+    return { success: false, message: 'This promo code is not active yet' };
+  }
+  if (promotion.expires_at && new Date(promotion.expires_at) <= now) {
+    return { success: false, message: 'This promo code has expired' };
+  }
+
+  if (promotion.usage_limit !== null && promotion.usage_count >= promotion.usage_limit) {
+    return { success: false, message: 'This promo code has reached its usage limit' };
+  }
+
+  if (promotion.per_customer_limit !== null) {
+    if (!customerId) {
+      return { success: false, message: 'Please log in to use this promo code' };
+    }
+
+    const usage = await db.query(`
+      SELECT COUNT(*) as count FROM promotion_redemptions
+      WHERE promotion_id = $1 AND customer_id = $2 AND redeemed_at IS NOT NULL
+    `, [promotion.id, customerId]);
+
+    if (parseInt(usage.rows[0].count) >= promotion.per_customer_limit) {
+      return { success: false, message: 'You have already used this promo code' };
+    }
+  }
+
+  if (promotion.store_id && !cartItems.some(item => item.store_id === promotion.store_id)) {
+    return { success: false, message: 'This promo code only applies to items from a specific store' };
+  }
+
+  const { eligibleAmount, discountAmount, freeDelivery } = calculateDiscount(promotion, cartItems);
+
+  if (eligibleAmount < parseFloat(promotion.min_spend)) {
+    return {
+      success: false,
+      message: `Spend at least ${formatMoney(parseFloat(promotion.min_spend), PLATFORM_CURRENCY)}${promotion.store_id ? ' at this store' : ''} to use this code`,
+    };
+  }
+
+  if (!freeDelivery && discountAmount <= 0) {
+    return { success: false, message: 'This promo code does not apply to the items in your cart' };
+  }
+
+  return {
+    success: true,
+    promotion,
+    discountAmount,
+    freeDelivery,
+    fundedBy: promotion.store_id ? 'store' : 'platform',
+    storeId: promotion.store_id,
+  };
+}
+
+/**
+ * Record that an order used a promotion (counted once payment succeeds)
+ * @param {Object} db - pg pool or client
+ * @param {Object} applied - Successful result of applyPromotion
+ * @param {number} orderId - Order ID
+ * @param {Object} shopper - { customerId, sessionId }
+ */
+async function recordRedemption(db, applied, orderId, { customerId = null, sessionId = null } = {}) {
+  await db.query(`
+    INSERT INTO promotion_redemptions (promotion_id, order_id, customer_id, session_id, discount_amount)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (order_id) DO NOTHING
+  `, [applied.promotion.id, orderId, customerId, sessionId, applied.discountAmount]);
+}
+
+/**
+ * Mark an order's redemption as used and count it against the promotion's limit.
+ * The count never goes past usage_limit: when concurrent orders passed the check at checkout
+ * and the limit was reached before this one was paid, the redemption is kept (the customer
+ * was charged the discounted total) but reported as over the limit.
+ * Safe to call more than once for the same order.
+ * @param {Object} db - pg pool or client
+ * @param {number} orderId - Order ID
+ * @returns {Promise<Object|null>} - { promotionId, code, withinLimit }, or null if there was nothing to mark
+ */
+async function markRedemptionUsed(db, orderId) {
+  const result = await db.query(`
+    UPDATE promotion_redemptions
+    SET redeemed_at = CURRENT_TIMESTAMP
+    WHERE order_id = $1 AND redeemed_at IS NULL
+    RETURNING promotion_id
+  `, [orderId]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const promotionId = result.rows[0].promotion_id;
+  const counted = await db.query(`
+    UPDATE promotions
+    SET usage_count = usage_count + 1, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND (usage_limit IS NULL OR usage_count < usage_limit)
+    RETURNING code
+  `, [promotionId]);
+
+  if (counted.rows.length > 0) {
+    return { promotionId, code: counted.rows[0].code, withinLimit: true };
+  }
+
+  const promotion = await db.query('SELECT code FROM promotions WHERE id = $1', [promotionId]);
+  return { promotionId, code: promotion.rows[0] ? promotion.rows[0].code : null, withinLimit: false };
+}
+
+module.exports = {
+  DISCOUNT_TYPES,
+  validatePromotionInput,
+  calculateDiscount,
+  applyPromotion,
+  recordRedemption,
+  markRedemptionUsed,
+};
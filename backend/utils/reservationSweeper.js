@@ -0,0 +1,113 @@
+/**
+ * Reservation Sweeper Utility
+ * Periodically releases expired stock reservations and cancels the abandoned PaymentIntents
+ */
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { pool } = require('../config/database');
+const logger = require('../config/logger');
+const { completeOrderPayment, cancelUnpaidOrder } = require('./orderCompletion');
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.STOCK_RESERVATION_SWEEP_INTERVAL_MS) || 60 * 1000;
+
+// PaymentIntent states that can still be cancelled
+const CANCELABLE_STATUSES = [
+  'requires_payment_method',
+  'requires_confirmation',
+  'requires_action',
+  'requires_capture',
+];
+
+/**
+ * Settle one pending order whose reservations have expired
+ * @param {Object} order - { id, payment_intent_id }
+ * @returns {Promise<string>} - What happened: 'completed', 'released' or 'skipped'
+ */
+async function settleExpiredOrder(order) {
+  const paymentIntent = await stripe.paymentIntents.retrieve(order.payment_intent_id);
+
+  // The payment went through but neither /confirm nor the webhook finished the order yet
+  if (paymentIntent.status === 'succeeded') {
+    await completeOrderPayment(paymentIntent);
+    return 'completed';
+  }
+
+  // Leave it to the payment_intent webhooks once Stripe settles the payment
+  if (paymentIntent.status === 'processing') {
+    return 'skipped';
+  }
+
+  if (CANCELABLE_STATUSES.includes(paymentIntent.status)) {
+    await stripe.paymentIntents.cancel(paymentIntent.id, { cancellation_reason: 'abandoned' });
+  }
+
+  await cancelUnpaidOrder(paymentIntent, 'Stock reservation expired before payment; order cancelled and stock released');
+  return 'released';
+}
+
+/**
+ * Release every expired reservation held by a pending order
+ * @returns {Promise<Object>} - { completed, released, skipped, failed } order counts
+ */
+async function sweepExpiredReservations() {
+  const result = await pool.query(`
+    SELECT DISTINCT o.id, o.payment_intent_id
+    FROM stock_reservations r
+    JOIN orders o ON r.order_id = o.id
+    WHERE r.status = 'active' AND r.expires_at <= NOW() AND o.status = 'pending'
+      AND o.payment_intent_id IS NOT NULL
+  `);
+
+  const summary = { completed: 0, released: 0, skipped: 0, failed: 0 };
+
+  for (const order of result.rows) {
+    try {
+      const outcome = await settleExpiredOrder(order);
+      summary[outcome]++;
+    } catch (error) {
+      summary.failed++;
+      logger.error(`Error releasing stock reservations for order ${order.id}:`, error.message);
+    }
+  }
+
+  if (result.rows.length > 0) {
+    logger.info(`Stock reservation sweep: ${JSON.stringify(summary)}`);
+  }
+
+  return summary;
+}
+
+/**
+ * Run the sweeper on an interval. A tick is skipped while the previous sweep is still running,
+ * so a slow Stripe or database never has two sweeps settling the same orders at once.
+ * @param {number} intervalMs - Time between sweeps
+ * @returns {NodeJS.Timeout} - Interval handle, cleared on shutdown
+ */
+function startReservationSweeper(intervalMs = SWEEP_INTERVAL_MS) {
+  let sweeping = false;
+
+  const timer = setInterval(() => {
+    if (sweeping) {
+      return;
+    }
+
+    sweeping = true;
+    sweepExpiredReservations()
+      .catch(error => {
+        logger.error('Stock reservation sweep failed:', error.message);
+      })
+      .finally(() => {
+        sweeping = false;
+      });
+  }, intervalMs);
+
+  // Don't keep the process alive just for the sweeper
+  timer.unref();
+
+  return timer;
+}
+
+module.exports = {
+  sweepExpiredReservations,
+  startReservationSweeper,
+};
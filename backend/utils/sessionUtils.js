@@ -61,6 +61,23 @@ async function getUserSessions(userId, userType) {
   }
 }
 
+/**
+ * Check a session still exists and hasn't expired, for connections that outlive the request
+ * that authenticated them
+ * @param {string} sessionId - Session ID
+ * @returns {boolean} - False when the session is gone or can't be checked
+ */
+async function isSessionActive(sessionId) {
+  try {
+    const query = 'SELECT 1 FROM user_sessions WHERE sid = $1 AND expire > NOW()';
+    const result = await pool.query(query, [sessionId]);
+    return result.rows.length > 0;
+  } catch (error) {
+    console.error('Error checking session:', error);
+    return false;
+  }
+}
+
 /**
  * Destroy all sessions for a specific user
  * @param {string} userId - User ID
@@ -216,6 +233,7 @@ async function getOldestSession(userId, userType) {
 module.exports = {
   getUserSession,
   getUserSessions,
+  isSessionActive,
   destroyUserSessions,
   destroySession,
   getSessionStats,
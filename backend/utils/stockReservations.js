@@ -0,0 +1,152 @@
+/**
+ * Stock Reservations Utility
+ * Holds stock for pending checkout orders until payment succeeds or the reservation expires
+ */
+
+const RESERVATION_TTL_MINUTES = parseInt(process.env.STOCK_RESERVATION_TTL_MINUTES) || 30;
+
+// Active, unexpired reservations matching a condition on the reservation alias r
+function reservedQuantitySql(condition) {
+  return `COALESCE((
+    SELECT SUM(r.quantity) FROM stock_reservations r
+    WHERE ${condition} AND r.status = 'active' AND r.expires_at > NOW()
+  ), 0)::int`;
+}
+
+/**
+ * SQL expression for a product's available stock (on-hand minus active reservations)
+ * @param {string} productAlias - Alias of the products table in the query
+ * @returns {string}
+ */
+function availableProductStockSql(productAlias) {
+  return `(${productAlias}.stock_quantity - ${reservedQuantitySql(`r.product_id = ${productAlias}.id`)})`;
+}
+
+/**
+ * SQL expression for a variant's available stock (on-hand minus active reservations)
+ * @param {string} variantAlias - Alias of the product_variants table in the query
+ * @returns {string}
+ */
+function availableVariantStockSql(variantAlias) {
+  return `(${variantAlias}.stock_quantity - ${reservedQuantitySql(`r.variant_id = ${variantAlias}.id`)})`;
+}
+
+/**
+ * Reserve stock for every line of a pending order
+ * @param {Object} db - pg client inside the checkout transaction
+ * @param {number} orderId - Order ID
+ * @param {Object[]} items - Cart rows with product_id, variant_id and quantity
+ * @returns {Promise<Date>} - When the reservations expire
+ */
+async function reserveStock(db, orderId, items) {
+  const expiresAt = new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000);
+
+  for (const item of items) {
+    await db.query(`
+      INSERT INTO stock_reservations (order_id, product_id, variant_id, quantity, expires_at)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [orderId, item.product_id, item.variant_id || null, item.quantity, expiresAt]);
+  }
+
+  return expiresAt;
+}
+
+/**
+ * Turn an order's reservations into real stock decrements once payment succeeds.
+ * Expired reservations that the sweeper hasn't released yet are still committed, and so are
+ * released ones: a payment can succeed after the sweeper gave the stock back, and the customer
+ * has paid for it either way. Stock never goes below zero (product_variants has a CHECK on it);
+ * the units that were no longer on the shelf are recorded on the reservation as oversold.
+ * @param {Object} db - pg client inside a transaction
+ * @param {number} orderId - Order ID
+ * @returns {Promise<Object>} - { committed, reclaimed, oversold: [{ productId, variantId, quantity, shortfall }] }
+ */
+async function commitReservations(db, orderId) {
+  const result = await db.query(`
+    WITH pending AS (
+      SELECT id, status FROM stock_reservations
+      WHERE order_id = $1 AND status IN ('active', 'released')
+      FOR UPDATE
+    )
+    UPDATE stock_reservations r
+    SET status = 'committed', resolved_at = CURRENT_TIMESTAMP
+    FROM pending
+    WHERE r.id = pending.id
+    RETURNING r.id, r.product_id, r.variant_id, r.quantity, pending.status AS previous_status
+  `, [orderId]);
+
+  const oversold = [];
+
+  // Product stock mirrors the sum of its variants, so a variant line's shortfall is the variant's
+  for (const reservation of result.rows) {
+    let shortfall;
+    if (reservation.variant_id) {
+      shortfall = await takeStock(db, 'product_variants', reservation.variant_id, reservation.quantity);
+    }
+    const productShortfall = await takeStock(db, 'products', reservation.product_id, reservation.quantity);
+    if (shortfall === undefined) {
+      shortfall = productShortfall;
+    }
+
+    if (shortfall > 0) {
+      await db.query(
+        'UPDATE stock_reservations SET oversold_quantity = $1 WHERE id = $2',
+        [shortfall, reservation.id],
+      );
+      oversold.push({
+        productId: reservation.product_id,
+        variantId: reservation.variant_id,
+        quantity: reservation.quantity,
+        shortfall,
+      });
+    }
+  }
+
+  return {
+    committed: result.rows.length,
+    reclaimed: result.rows.filter(reservation => reservation.previous_status === 'released').length,
+    oversold,
+  };
+}
+
+// Take up to quantity units off a product or variant row, stopping at zero; returns how many units were missing
+async function takeStock(db, table, id, quantity) {
+  const current = await db.query(`SELECT stock_quantity FROM ${table} WHERE id = $1 FOR UPDATE`, [id]);
+  if (current.rows.length === 0) {
+    return 0;
+  }
+
+  const onHand = Math.max(current.rows[0].stock_quantity || 0, 0);
+  await db.query(
+    `UPDATE ${table} SET stock_quantity = GREATEST(stock_quantity - $1, 0), updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
+    [quantity, id],
+  );
+
+  return Math.max(quantity - onHand, 0);
+}
+
+/**
+ * Release an order's active reservations so the stock is available again
+ * @param {Object} db - pg pool or client
+ * @param {number} orderId - Order ID
+ * @returns {Promise<number>} - Number of reservations released
+ */
+async function releaseReservations(db, orderId) {
+  const result = await db.query(`
+    UPDATE stock_reservations
+    SET status = 'released', resolved_at = CURRENT_TIMESTAMP
+    WHERE order_id = $1 AND status = 'active'
+    RETURNING id
+  `, [orderId]);
+
+  return result.rows.length;
+}
+
+module.exports = {
+  RESERVATION_TTL_MINUTES,
+  availableProductStockSql,
+  availableVariantStockSql,
+  reserveStock,
+  commitReservations,
+  releaseReservations,
+};
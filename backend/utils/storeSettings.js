@@ -0,0 +1,266 @@
+/**
+ * Store Settings Utility
+ * Validation of store owner settings and the opening hours, delivery zone and
+ * minimum order rules that checkout enforces
+ */
+
+const { PLATFORM_CURRENCY, normalizeCurrency, formatMoney } = require('./exchangeRates');
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const ZONE_TYPES = ['zip', 'city'];
+
+// Columns selected wherever settings are read or enforced
+const STORE_SETTINGS_COLUMNS = [
+  'logo_url',
+  'banner_url',
+  'timezone',
+  'business_hours',
+  'holiday_closures',
+  'return_policy',
+  'delivery_zones',
+  'min_order_amount',
+  'prices_include_tax',
+  'base_currency',
+];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validate settings submitted by a store owner
+ * @param {Object} body - Request body
+ * @returns {Object} - { errors: string[], settings: Object }
+ */
+function validateStoreSettingsInput(body) {
+  const errors = [];
+  const optionalText = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+  const timezone = optionalText(body.timezone) || 'UTC';
+  if (!isValidTimezone(timezone)) {
+    errors.push('Timezone must be a valid IANA timezone such as America/New_York');
+  }
+
+  // null means the store takes orders around the clock; a day set to null is closed all day
+  let businessHours = null;
+  if (body.business_hours) {
+    businessHours = {};
+    for (const day of DAYS) {
+      const hours = body.business_hours[day];
+      if (!hours) {
+        businessHours[day] = null;
+        continue;
+      }
+      if (!TIME_PATTERN.test(hours.open) || !TIME_PATTERN.test(hours.close) || hours.open === hours.close) {
+        errors.push(`Opening hours for ${day} must be two different HH:MM times`);
+        continue;
+      }
+      businessHours[day] = { open: hours.open, close: hours.close };
+    }
+  }
+
+  const holidayClosures = [];
+  for (const closure of Array.isArray(body.holiday_closures) ? body.holiday_closures : []) {
+    const startDate = closure && closure.start_date;
+    const endDate = (closure && closure.end_date) || startDate;
+    if (!DATE_PATTERN.test(startDate || '') || !DATE_PATTERN.test(endDate || '') || endDate < startDate) {
+      errors.push('Holiday closures need a valid start date and an end date on or after it');
+      continue;
+    }
+    holidayClosures.push({ start_date: startDate, end_date: endDate, note: optionalText(closure.note) });
+  }
+
+  // An empty list means the store delivers everywhere
+  const deliveryZones = [];
+  for (const zone of Array.isArray(body.delivery_zones) ? body.delivery_zones : []) {
+    const value = zone && optionalText(zone.value);
+    if (!zone || !ZONE_TYPES.includes(zone.type) || !value) {
+      errors.push(`Delivery zones must be a ${ZONE_TYPES.join(' or ')} with a value`);
+      continue;
+    }
+    deliveryZones.push({ type: zone.type, value });
+  }
+
+  const minOrderAmount = body.min_order_amount === undefined || body.min_order_amount === null || body.min_order_amount === ''
+    ? 0
+    : Number(body.min_order_amount);
+  if (isNaN(minOrderAmount) || minOrderAmount < 0) {
+    errors.push('Minimum order value cannot be negative');
+  }
+
+  // Product prices and the minimum order value are in this currency
+  const baseCurrency = body.base_currency === undefined || body.base_currency === null || body.base_currency === ''
+    ? PLATFORM_CURRENCY
+    : normalizeCurrency(body.base_currency);
+  if (!baseCurrency) {
+    errors.push('Base currency is not supported');
+  }
+
+  const returnPolicy = optionalText(body.return_policy);
+  if (returnPolicy && returnPolicy.length > 5000) {
+    errors.push('Return policy must be 5000 characters or fewer');
+  }
+
+  return {
+    errors,
+    settings: {
+      logo_url: optionalText(body.logo_url),
+      banner_url: optionalText(body.banner_url),
+      timezone,
+      business_hours: businessHours,
+      holiday_closures: holidayClosures,
+      return_policy: returnPolicy,
+      delivery_zones: deliveryZones,
+      min_order_amount: Math.round(minOrderAmount * 100) / 100,
+      prices_include_tax: body.prices_include_tax === true,
+      base_currency: baseCurrency,
+    },
+  };
+}
+
+// The store's local date, weekday and HH:MM time at the given instant
+function getLocalTime(timezone, now) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'long',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(now).reduce((acc, part) => {
+    acc[part.type] = part.value;
+    return acc;
+  }, {});
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    dayIndex: DAYS.indexOf(parts.weekday.toLowerCase()),
+    time: `${parts.hour}:${parts.minute}`,
+  };
+}
+
+/**
+ * Whether a store is taking orders right now. Hours that close before they open run past midnight.
+ * @param {Object} store - Store row with the settings columns
+ * @param {Date} now - Defaults to the current time
+ * @returns {Object} - { isOpen, reason }
+ */
+function getStoreAvailability(store, now = new Date()) {
+  const local = getLocalTime(store.timezone || 'UTC', now);
+
+  const closure = (store.holiday_closures || []).find(
+    entry => entry.start_date <= local.date && local.date <= entry.end_date,
+  );
+  if (closure) {
+    return {
+      isOpen: false,
+      reason: closure.note
+        ? `closed for ${closure.note} until ${closure.end_date}`
+        : `closed until ${closure.end_date}`,
+    };
+  }
+
+  const hours = store.business_hours;
+  if (!hours) {
+    return { isOpen: true, reason: null };
+  }
+
+  const today = hours[DAYS[local.dayIndex]];
+  const yesterday = hours[DAYS[(local.dayIndex + 6) % 7]];
+
+  const openToday = today && (today.close > today.open
+    ? local.time >= today.open && local.time < today.close
+    : local.time >= today.open);
+  const openFromYesterday = yesterday && yesterday.close < yesterday.open && local.time < yesterday.close;
+
+  if (openToday || openFromYesterday) {
+    return { isOpen: true, reason: null };
+  }
+
+  return {
+    isOpen: false,
+    reason: today && local.time < today.open ? `closed until ${today.open} today` : 'closed for the day',
+  };
+}
+
+/**
+ * Whether a store delivers to an address. ZIP zones match by prefix, city zones by name.
+ * @param {Object} store - Store row with delivery_zones
+ * @param {Object} deliveryInfo - { city, zipCode }
+ * @returns {boolean}
+ */
+function deliversTo(store, deliveryInfo) {
+  const zones = store.delivery_zones || [];
+  if (zones.length === 0) {
+    return true;
+  }
+
+  const zipCode = (deliveryInfo.zipCode || '').replace(/\s/g, '').toUpperCase();
+  const city = (deliveryInfo.city || '').trim().toLowerCase();
+
+  return zones.some(zone => (zone.type === 'zip'
+    ? zipCode.startsWith(zone.value.replace(/\s/g, '').toUpperCase())
+    : city === zone.value.toLowerCase()));
+}
+
+/**
+ * Check each store in an order against its opening hours, delivery zones and minimum order value
+ * @param {Object} db - pg pool or client
+ * @param {Object} itemsByStore - { [storeId]: cart items with price and quantity }
+ * @param {Object} deliveryInfo - Checkout delivery details
+ * @returns {Promise<string|null>} - Message for the first rule broken, or null when the order can go ahead
+ */
+async function checkStoreOrderRules(db, itemsByStore, deliveryInfo) {
+  const storeIds = Object.keys(itemsByStore);
+  if (storeIds.length === 0) {
+    return null;
+  }
+
+  const result = await db.query(
+    `SELECT id, store_name, ${STORE_SETTINGS_COLUMNS.join(', ')} FROM stores WHERE id = ANY($1)`,
+    [storeIds],
+  );
+
+  for (const store of result.rows) {
+    const availability = getStoreAvailability(store);
+    if (!availability.isOpen) {
+      return `${store.store_name} is ${availability.reason} and can't take orders right now`;
+    }
+
+    if (!deliversTo(store, deliveryInfo)) {
+      return `${store.store_name} doesn't deliver to ${deliveryInfo.city} ${deliveryInfo.zipCode}`;
+    }
+
+    // Compared in the store's own currency, before checkout converts its prices
+    const minOrderAmount = parseFloat(store.min_order_amount) || 0;
+    const storeSubtotal = itemsByStore[store.id].reduce(
+      (total, item) => total + parseFloat(item.store_price !== undefined ? item.store_price : item.price) * item.quantity, 0,
+    );
+    if (storeSubtotal < minOrderAmount) {
+      const currency = store.base_currency || PLATFORM_CURRENCY;
+      return `${store.store_name} has a minimum order of ${formatMoney(minOrderAmount, currency)}. Add ${formatMoney(minOrderAmount - storeSubtotal, currency)} more from this store to check out`;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  DAYS,
+  STORE_SETTINGS_COLUMNS,
+  validateStoreSettingsInput,
+  getStoreAvailability,
+  deliversTo,
+  checkStoreOrderRules,
+};
@@ -0,0 +1,144 @@
+/**
+ * Store Transfers Utility
+ * Idempotent Stripe Connect transfers of a store's share of an order, in the store's base currency
+ * when the platform's Stripe balance holds it (STRIPE_TRANSFER_CURRENCIES) and otherwise in the
+ * platform currency, which Stripe converts when the funds reach the connected account.
+ */
+
+const { PLATFORM_CURRENCY, roundMoney, toMinorUnits } = require('./exchangeRates');
+
+/**
+ * Currencies the platform's Stripe balance can transfer from, from STRIPE_TRANSFER_CURRENCIES
+ * (comma-separated); the platform currency is always one of them
+ * @returns {string[]}
+ */
+function getTransferCurrencies() {
+  const configured = (process.env.STRIPE_TRANSFER_CURRENCIES || '')
+    .split(',')
+    .map(currency => currency.trim().toUpperCase())
+    .filter(Boolean);
+  return [...new Set([PLATFORM_CURRENCY, ...configured])];
+}
+
+/**
+ * Work out what a store is transferred for its share of an order. The share is converted to the
+ * store's base currency at the rates the order was charged at; without a rate for it, or when the
+ * balance doesn't hold that currency, the transfer is made in the platform currency.
+ * @param {number} amount - Store's share in the platform currency (major units)
+ * @param {string} storeCurrency - Store's base currency
+ * @param {Object} fxRates - orders.fx_rates: { [currency]: units per platform currency unit }
+ * @returns {Object} - { currency, amountMinor, storeCurrencyAmount }; storeCurrencyAmount is null without a rate
+ */
+function getStoreTransferAmount(amount, storeCurrency = PLATFORM_CURRENCY, fxRates = null) {
+  const rate = storeCurrency === PLATFORM_CURRENCY ? 1 : fxRates && parseFloat(fxRates[storeCurrency]);
+  const storeCurrencyAmount = rate > 0 ? roundMoney(amount * rate, storeCurrency) : null;
+
+  if (storeCurrencyAmount !== null && getTransferCurrencies().includes(storeCurrency)) {
+    return {
+      currency: storeCurrency,
+      amountMinor: toMinorUnits(storeCurrencyAmount, storeCurrency),
+      storeCurrencyAmount,
+    };
+  }
+
+  return {
+    currency: PLATFORM_CURRENCY,
+    amountMinor: toMinorUnits(amount, PLATFORM_CURRENCY),
+    storeCurrencyAmount,
+  };
+}
+
+/**
+ * Stripe transfer group shared by every transfer for an order
+ * @param {number} orderId - Order ID
+ * @returns {string}
+ */
+function getTransferGroup(orderId) {
+  return `order_${orderId}`;
+}
+
+/**
+ * Idempotency key for a store's transfer on an order. Checkout is attempt 1 and each admin retry
+ * gets its own numbered key, since Stripe replays a failure (or rejects changed parameters) for a
+ * reused key; findExistingTransfer is checked before a retry so the store is never paid twice.
+ * @param {number} orderId - Order ID
+ * @param {number} storeId - Store ID
+ * @param {number} attempt - 1 for the checkout attempt
+ * @returns {string}
+ */
+function getTransferIdempotencyKey(orderId, storeId, attempt = 1) {
+  const key = `transfer-order-${orderId}-store-${storeId}`;
+  return attempt > 1 ? `${key}-retry-${attempt - 1}` : key;
+}
+
+/**
+ * Find a transfer already made to a store for an order, paging through the order's transfer group
+ * @param {Object} stripe - Stripe client
+ * @param {number} orderId - Order ID
+ * @param {number} storeId - Store ID
+ * @returns {Promise<Object|null>} - Stripe transfer or null
+ */
+async function findExistingTransfer(stripe, orderId, storeId) {
+  let startingAfter = null;
+
+  do {
+    const transfers = await stripe.transfers.list({
+      transfer_group: getTransferGroup(orderId),
+      limit: 100,
+      ...(startingAfter ? { starting_after: startingAfter } : {}),
+    });
+
+    const transfer = transfers.data.find(transfer =>
+      transfer.metadata?.storeId === storeId.toString() && !transfer.reversed,
+    );
+    if (transfer) {
+      return transfer;
+    }
+
+    startingAfter = transfers.has_more && transfers.data.length > 0
+      ? transfers.data[transfers.data.length - 1].id
+      : null;
+  } while (startingAfter);
+
+  return null;
+}
+
+/**
+ * Transfer a store's share of an order to its connected account
+ * @param {Object} stripe - Stripe client
+ * @param {Object} transfer - { orderId, storeId, destination, amountCents, currency, metadata, attempt };
+ *   amountCents is in minor units of currency (the platform currency by default)
+ * @returns {Promise<Object>} - Stripe transfer
+ */
+async function createStoreTransfer(stripe, {
+  orderId,
+  storeId,
+  destination,
+  amountCents,
+  currency = PLATFORM_CURRENCY,
+  metadata = {},
+  attempt = 1,
+}) {
+  return stripe.transfers.create({
+    amount: amountCents,
+    currency: currency.toLowerCase(),
+    destination,
+    transfer_group: getTransferGroup(orderId),
+    metadata: {
+      ...metadata,
+      orderId: orderId.toString(),
+      storeId: storeId.toString(),
+    },
+  }, {
+    idempotencyKey: getTransferIdempotencyKey(orderId, storeId, attempt),
+  });
+}
+
+module.exports = {
+  getTransferCurrencies,
+  getStoreTransferAmount,
+  getTransferGroup,
+  getTransferIdempotencyKey,
+  findExistingTransfer,
+  createStoreTransfer,
+};
@@ -0,0 +1,141 @@
+/**
+ * Stripe Customers Utility
+ * One Stripe Customer per customers row, so cards used at checkout are saved to it
+ * and can be picked again on the next order
+ */
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { pool } = require('../config/database');
+
+/**
+ * Stripe Customer ID for a customer, creating the Stripe Customer on first use
+ * @param {number} customerId - customers.id
+ * @returns {Promise<string|null>} - null when the customer doesn't exist
+ */
+async function getOrCreateStripeCustomer(customerId) {
+  const result = await pool.query(
+    'SELECT id, email, full_name, stripe_customer_id FROM customers WHERE id = $1',
+    [customerId],
+  );
+
+  const customer = result.rows[0];
+  if (!customer) {
+    return null;
+  }
+  if (customer.stripe_customer_id) {
+    return customer.stripe_customer_id;
+  }
+
+  const stripeCustomer = await stripe.customers.create({
+    email: customer.email,
+    name: customer.full_name,
+    metadata: { customerId: customer.id.toString() },
+  });
+
+  // Two checkouts at once can both get here; the first to store its Stripe Customer wins
+  const updated = await pool.query(
+    'UPDATE customers SET stripe_customer_id = $1 WHERE id = $2 AND stripe_customer_id IS NULL RETURNING stripe_customer_id',
+    [stripeCustomer.id, customerId],
+  );
+
+  if (updated.rows.length === 0) {
+    await stripe.customers.del(stripeCustomer.id);
+    const existing = await pool.query('SELECT stripe_customer_id FROM customers WHERE id = $1', [customerId]);
+    return existing.rows[0].stripe_customer_id;
+  }
+
+  return stripeCustomer.id;
+}
+
+/**
+ * PaymentIntent parameters that attach a signed-in customer and save the card they pay with.
+ * Guests and other account types pay without a Stripe Customer, as does anyone when Stripe
+ * can't create one, since a card that isn't saved shouldn't stop the order.
+ * @param {Object} session - req.session
+ * @returns {Promise<Object>} - { customer, setup_future_usage } or {}
+ */
+async function getSavedCardParams(session) {
+  if (!session || !session.userId || session.userType !== 'customer') {
+    return {};
+  }
+
+  try {
+    const stripeCustomerId = await getOrCreateStripeCustomer(session.userId);
+    if (!stripeCustomerId) {
+      return {};
+    }
+    // Saved cards are only ever charged with the customer at checkout
+    return { customer: stripeCustomerId, setup_future_usage: 'on_session' };
+  } catch (error) {
+    console.error('Error preparing Stripe customer for checkout:', error.message);
+    return {};
+  }
+}
+
+/**
+ * @param {Object} paymentMethod - Stripe PaymentMethod
+ * @returns {Object} - What the customer needs to recognize a card
+ */
+function formatSavedCard(paymentMethod) {
+  return {
+    id: paymentMethod.id,
+    brand: paymentMethod.card.brand,
+    last4: paymentMethod.card.last4,
+    expMonth: paymentMethod.card.exp_month,
+    expYear: paymentMethod.card.exp_year,
+  };
+}
+
+/**
+ * Cards saved to a customer's Stripe Customer
+ * @param {number} customerId - customers.id
+ * @returns {Promise<Object[]>}
+ */
+async function listSavedCards(customerId) {
+  const result = await pool.query('SELECT stripe_customer_id FROM customers WHERE id = $1', [customerId]);
+  const stripeCustomerId = result.rows[0] && result.rows[0].stripe_customer_id;
+  if (!stripeCustomerId) {
+    return [];
+  }
+
+  const paymentMethods = await stripe.customers.listPaymentMethods(stripeCustomerId, { type: 'card', limit: 100 });
+  return paymentMethods.data.map(formatSavedCard);
+}
+
+/**
+ * Detach a saved card, only if it belongs to the customer
+ * @param {number} customerId - customers.id
+ * @param {string} paymentMethodId - Stripe PaymentMethod ID
+ * @returns {Promise<boolean>} - false when the card isn't one of the customer's
+ */
+async function removeSavedCard(customerId, paymentMethodId) {
+  const result = await pool.query('SELECT stripe_customer_id FROM customers WHERE id = $1', [customerId]);
+  const stripeCustomerId = result.rows[0] && result.rows[0].stripe_customer_id;
+  if (!stripeCustomerId) {
+    return false;
+  }
+
+  let paymentMethod;
+  try {
+    paymentMethod = await stripe.paymentMethods.retrieve(paymentMethodId);
+  } catch (error) {
+    if (error.code === 'resource_missing') {
+      return false;
+    }
+    throw error;
+  }
+
+  if (paymentMethod.customer !== stripeCustomerId) {
+    return false;
+  }
+
+  await stripe.paymentMethods.detach(paymentMethodId);
+  return true;
+}
+
+module.exports = {
+  getOrCreateStripeCustomer,
+  getSavedCardParams,
+  listSavedCards,
+  removeSavedCard,
+};
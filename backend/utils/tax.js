@@ -0,0 +1,276 @@
+/**
+ * Tax Utility
+ * Sales tax / VAT from the tax_jurisdictions rate table. Every active jurisdiction for the
+ * delivery state whose ZIP prefix matches (or that has none) adds its rate, unless the item's
+ * category is exempt there. Stores listing tax-inclusive prices have the tax taken out of
+ * their prices; everywhere else it is added on top. The platform collects and remits the tax.
+ */
+
+const { PLATFORM_KEY } = require('./deliveryPricing');
+
+// Items sold by the platform itself follow this instead of a store setting
+const PLATFORM_PRICES_INCLUDE_TAX = process.env.PLATFORM_PRICES_INCLUDE_TAX === 'true';
+
+const ZIP_PREFIX_PATTERN = /^\d{1,5}$/;
+
+function roundCurrency(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Validate a tax jurisdiction submitted by an admin
+ * @param {Object} body - Request body
+ * @returns {Object} - { errors: string[], jurisdiction: Object }
+ */
+function validateJurisdictionInput(body) {
+  const errors = [];
+  const optionalText = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+  const name = optionalText(body.name);
+  if (!name || name.length > 100) {
+    errors.push('Name is required and must be 100 characters or fewer');
+  }
+
+  const state = optionalText(body.state);
+  if (!state || state.length > 50) {
+    errors.push('State is required and must be 50 characters or fewer');
+  }
+
+  const zipPrefix = optionalText(body.zip_prefix);
+  if (zipPrefix && !ZIP_PREFIX_PATTERN.test(zipPrefix)) {
+    errors.push('ZIP prefix must be 1 to 5 digits');
+  }
+
+  const ratePercent = Number(body.rate_percent);
+  if (body.rate_percent === undefined || body.rate_percent === null || body.rate_percent === '' ||
+      isNaN(ratePercent) || ratePercent < 0 || ratePercent > 100) {
+    errors.push('Tax rate must be between 0 and 100');
+  }
+
+  const exemptCategories = [...new Set(
+    (Array.isArray(body.exempt_categories) ? body.exempt_categories : [])
+      .map(optionalText)
+      .filter(Boolean),
+  )];
+
+  return {
+    errors,
+    jurisdiction: {
+      name,
+      state: state ? state.toUpperCase() : null,
+      zip_prefix: zipPrefix,
+      rate_percent: Math.round(ratePercent * 1000) / 1000,
+      exempt_categories: exemptCategories,
+      taxes_delivery: body.taxes_delivery === true,
+      is_active: body.is_active !== false,
+    },
+  };
+}
+
+/**
+ * Active jurisdictions that tax a delivery address
+ * @param {Object} db - pg pool or client
+ * @param {Object} address - { state, zipCode }
+ * @returns {Promise<Object[]>} - tax_jurisdictions rows, state-wide first
+ */
+async function findJurisdictions(db, { state, zipCode }) {
+  if (!state || !state.trim()) {
+    return [];
+  }
+
+  const result = await db.query(`
+    SELECT * FROM tax_jurisdictions
+    WHERE is_active = true
+      AND UPPER(state) = UPPER($1)
+      AND (zip_prefix IS NULL OR $2 LIKE zip_prefix || '%')
+    ORDER BY zip_prefix NULLS FIRST, LENGTH(zip_prefix), name
+  `, [state.trim(), (zipCode || '').trim()]);
+
+  return result.rows;
+}
+
+/**
+ * Share a promo discount across the items it was given on, in proportion to their value,
+ * so tax is charged on what the customer actually pays
+ * @param {Object[]} cartItems - Cart rows
+ * @param {Object|null} promotion - applyPromotion result
+ * @returns {number[]} - Discount per cart item, in cart order
+ */
+function allocateDiscount(cartItems, promotion) {
+  const discountAmount = promotion ? promotion.discountAmount : 0;
+  const eligible = cartItems.map(item => !!promotion && (promotion.fundedBy === 'platform' || item.store_id === promotion.storeId));
+  const eligibleTotal = cartItems.reduce((total, item, index) => (
+    eligible[index] ? total + parseFloat(item.price) * item.quantity : total
+  ), 0);
+
+  return cartItems.map((item, index) => (
+    eligible[index] && eligibleTotal > 0
+      ? discountAmount * (parseFloat(item.price) * item.quantity) / eligibleTotal
+      : 0
+  ));
+}
+
+/**
+ * Calculate the tax on a cart
+ * @param {Object[]} jurisdictions - Rows from findJurisdictions
+ * @param {Object[]} cartItems - Cart rows with price, quantity, store_id and category
+ * @param {Object} options - { promotion, deliveryBreakdown, inclusiveStoreIds: Set<string> }
+ * @returns {Object} - { taxAmount, addedTax, includedTax, lines, breakdown: { [storeId | 'platform']: { addedTax, includedTax } } }
+ */
+function calculateTax(jurisdictions, cartItems, { promotion = null, deliveryBreakdown = {}, inclusiveStoreIds = new Set() } = {}) {
+  const lines = {};
+  const breakdown = {};
+
+  const addTax = (key, jurisdiction, inclusive, taxableAmount, taxAmount) => {
+    const lineKey = `${jurisdiction.id}:${inclusive}`;
+    const line = lines[lineKey] || {
+      jurisdictionId: jurisdiction.id,
+      name: jurisdiction.name,
+      state: jurisdiction.state,
+      zipPrefix: jurisdiction.zip_prefix,
+      ratePercent: parseFloat(jurisdiction.rate_percent),
+      pricesIncludeTax: inclusive,
+      taxableAmount: 0,
+      taxAmount: 0,
+    };
+    line.taxableAmount += taxableAmount;
+    line.taxAmount += taxAmount;
+    lines[lineKey] = line;
+
+    const share = breakdown[key] || { addedTax: 0, includedTax: 0 };
+    share[inclusive ? 'includedTax' : 'addedTax'] += taxAmount;
+    breakdown[key] = share;
+  };
+
+  const discounts = allocateDiscount(cartItems, promotion);
+
+  cartItems.forEach((item, index) => {
+    const key = item.store_id ? String(item.store_id) : PLATFORM_KEY;
+    const category = (item.category || '').toLowerCase();
+    const applicable = jurisdictions.filter(jurisdiction => (
+      !jurisdiction.exempt_categories.some(exempt => exempt.toLowerCase() === category)
+    ));
+    if (applicable.length === 0) {
+      return;
+    }
+
+    const amount = parseFloat(item.price) * item.quantity - discounts[index];
+    const inclusive = key === PLATFORM_KEY ? PLATFORM_PRICES_INCLUDE_TAX : inclusiveStoreIds.has(key);
+    const combinedRate = applicable.reduce((total, jurisdiction) => total + parseFloat(jurisdiction.rate_percent) / 100, 0);
+
+    // A tax-inclusive price is the taxable amount plus every applicable rate on it
+    const taxableAmount = inclusive ? amount / (1 + combinedRate) : amount;
+
+    for (const jurisdiction of applicable) {
+      addTax(key, jurisdiction, inclusive, taxableAmount, taxableAmount * parseFloat(jurisdiction.rate_percent) / 100);
+    }
+  });
+
+  // Delivery fees are set by the platform and never include tax
+  const deliveryJurisdictions = jurisdictions.filter(jurisdiction => jurisdiction.taxes_delivery);
+  for (const [key, delivery] of Object.entries(deliveryBreakdown || {})) {
+    if (delivery.charged > 0) {
+      for (const jurisdiction of deliveryJurisdictions) {
+        addTax(key, jurisdiction, false, delivery.charged, delivery.charged * parseFloat(jurisdiction.rate_percent) / 100);
+      }
+    }
+  }
+
+  const roundedLines = Object.values(lines)
+    .map(line => ({ ...line, taxableAmount: roundCurrency(line.taxableAmount), taxAmount: roundCurrency(line.taxAmount) }))
+    .filter(line => line.taxAmount > 0);
+
+  const sumLines = (inclusive) => roundCurrency(roundedLines
+    .filter(line => line.pricesIncludeTax === inclusive)
+    .reduce((total, line) => total + line.taxAmount, 0));
+
+  const addedTax = sumLines(false);
+  const includedTax = sumLines(true);
+
+  return {
+    taxAmount: roundCurrency(addedTax + includedTax),
+    addedTax,
+    includedTax,
+    lines: roundedLines,
+    breakdown: Object.fromEntries(Object.entries(breakdown).map(([key, share]) => [key, {
+      addedTax: roundCurrency(share.addedTax),
+      includedTax: roundCurrency(share.includedTax),
+    }])),
+  };
+}
+
+/**
+ * Look up the jurisdictions and store pricing for a delivery address and calculate the tax
+ * @param {Object} db - pg pool or client
+ * @param {Object[]} cartItems - Cart rows with price, quantity, store_id and category
+ * @param {Object} options - { deliveryInfo: { state, zipCode }, promotion, deliveryBreakdown }
+ * @returns {Promise<Object>} - calculateTax result
+ */
+async function quoteTax(db, cartItems, { deliveryInfo, promotion = null, deliveryBreakdown = {} }) {
+  const jurisdictions = await findJurisdictions(db, deliveryInfo);
+  if (jurisdictions.length === 0) {
+    return calculateTax([], cartItems);
+  }
+
+  const storeIds = [...new Set(cartItems.map(item => item.store_id).filter(Boolean))];
+  const storeResult = storeIds.length > 0
+    ? await db.query('SELECT id FROM stores WHERE id = ANY($1) AND prices_include_tax = true', [storeIds])
+    : { rows: [] };
+
+  return calculateTax(jurisdictions, cartItems, {
+    promotion,
+    deliveryBreakdown,
+    inclusiveStoreIds: new Set(storeResult.rows.map(row => String(row.id))),
+  });
+}
+
+/**
+ * Save an order's tax lines
+ * @param {Object} db - pg client inside the checkout transaction
+ * @param {number} orderId - Order ID
+ * @param {Object[]} lines - Lines from calculateTax
+ */
+async function recordTaxLines(db, orderId, lines) {
+  for (const line of lines) {
+    await db.query(`
+      INSERT INTO order_tax_lines
+      (order_id, jurisdiction_id, jurisdiction_name, state, zip_prefix, rate_percent, taxable_amount, tax_amount, prices_include_tax)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    `, [orderId, line.jurisdictionId, line.name, line.state, line.zipPrefix, line.ratePercent, line.taxableAmount, line.taxAmount, line.pricesIncludeTax]);
+  }
+}
+
+/**
+ * Tax inside a store's tax-inclusive prices, which the platform keeps to remit
+ * @param {Object|null} breakdown - Breakdown from calculateTax (orders.tax_breakdown)
+ * @param {number|string} storeId - Store ID
+ * @returns {number} - Amount in dollars, taken from the store's share of the order
+ */
+function getStoreIncludedTax(breakdown, storeId) {
+  const share = breakdown && breakdown[String(storeId)];
+  return share ? share.includedTax : 0;
+}
+
+/**
+ * @param {Object} row - order_tax_lines row
+ * @returns {Object} - Tax line as returned by the API and shown in emails
+ */
+function formatTaxLine(row) {
+  return {
+    name: row.jurisdiction_name,
+    ratePercent: parseFloat(row.rate_percent),
+    taxableAmount: parseFloat(row.taxable_amount),
+    taxAmount: parseFloat(row.tax_amount),
+    pricesIncludeTax: row.prices_include_tax,
+  };
+}
+
+module.exports = {
+  validateJurisdictionInput,
+  findJurisdictions,
+  calculateTax,
+  quoteTax,
+  recordTaxLines,
+  getStoreIncludedTax,
+  formatTaxLine,
+};
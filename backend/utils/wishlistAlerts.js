@@ -0,0 +1,78 @@
+/**
+ * Wishlist Alerts Utility
+ * Notifies customers when a product on one of their lists drops in price or comes back in stock
+ */
+
+const { pool } = require('../config/database');
+const { createNotification } = require('../routes/notifications');
+
+/**
+ * Compare a product before and after an update
+ * @param {Object} previous - products row before the update
+ * @param {Object} updated - products row after the update
+ * @returns {Object} - { priceDropped, backInStock }
+ */
+function getWishlistChanges(previous, updated) {
+  return {
+    priceDropped: parseFloat(updated.price) < parseFloat(previous.price),
+    backInStock: parseInt(previous.stock_quantity) <= 0 && parseInt(updated.stock_quantity) > 0,
+  };
+}
+
+/**
+ * Notify every customer with the product on a wishlist or saved-for-later list.
+ * Failures are logged, never thrown, so product updates aren't affected.
+ * @param {Object} previous - products row before the update
+ * @param {Object} updated - products row after the update
+ * @returns {Promise<number>} - Number of customers notified
+ */
+async function notifyWishlistWatchers(previous, updated) {
+  const { priceDropped, backInStock } = getWishlistChanges(previous, updated);
+  if (!priceDropped && !backInStock) {
+    return 0;
+  }
+
+  try {
+    const result = await pool.query(`
+      SELECT DISTINCT w.customer_id
+      FROM wishlist_items wi
+      JOIN wishlists w ON wi.wishlist_id = w.id
+      WHERE wi.product_id = $1
+    `, [updated.id]);
+
+    const price = parseFloat(updated.price).toFixed(2);
+    let title;
+    let message;
+    if (priceDropped && backInStock) {
+      title = 'Back in stock at a lower price';
+      message = `${updated.name} is back in stock and now $${price}`;
+    } else if (priceDropped) {
+      title = 'Price drop on your wishlist';
+      message = `${updated.name} dropped from $${parseFloat(previous.price).toFixed(2)} to $${price}`;
+    } else {
+      title = 'Back in stock';
+      message = `${updated.name} from your wishlist is back in stock`;
+    }
+
+    for (const row of result.rows) {
+      await createNotification(
+        row.customer_id,
+        'customer',
+        title,
+        message,
+        priceDropped ? 'promotion' : 'system',
+        `/product/${updated.id}`,
+      );
+    }
+
+    return result.rows.length;
+  } catch (error) {
+    console.error('Error notifying wishlist customers:', error.message);
+    return 0;
+  }
+}
+
+module.exports = {
+  getWishlistChanges,
+  notifyWishlistWatchers,
+};
@@ -15,6 +15,8 @@ import VerifyEmail from './components/auth/VerifyEmail';
 import StoreOwnerLogin from './components/store/StoreOwnerLogin';
 import StoreOwnerRegister from './components/store/StoreOwnerRegister';
 import { CartProvider, useCart } from './context/CartContext';
+import { WishlistProvider } from './context/WishlistContext';
+import { CurrencyProvider } from './context/CurrencyContext';
 
 interface User {
   id: number;
@@ -486,12 +488,16 @@ function AppContent() {
   return renderPage();
 }
 
-// Main App component with CartProvider
+// Main App component with CurrencyProvider, CartProvider and WishlistProvider
 function App() {
   return (
-    <CartProvider>
-      <AppContent />
-    </CartProvider>
+    <CurrencyProvider>
+      <CartProvider>
+        <WishlistProvider>
+          <AppContent />
+        </WishlistProvider>
+      </CartProvider>
+    </CurrencyProvider>
   );
 }
 
@@ -1,9 +1,11 @@
 import React, { useState } from 'react';
-import { useCart } from '../context/CartContext';
+import { useCart, formatVariantOptions } from '../context/CartContext';
 import CheckoutModal from './CheckoutModal';
+import { useCurrency } from '../context/CurrencyContext';
 
 const CartDrawer: React.FC = () => {
   const { state, removeFromCart, updateQuantity, clearCart, closeCart, getTotalPrice } = useCart();
+  const { formatPrice } = useCurrency();
   const [isCheckoutModalOpen, setIsCheckoutModalOpen] = useState(false);
 
   const handleBackdropClick = (e: React.MouseEvent) => {
@@ -12,18 +14,14 @@ const CartDrawer: React.FC = () => {
     }
   };
 
-  const handleQuantityChange = (productId: number, newQuantity: number) => {
+  const handleQuantityChange = (productId: number, newQuantity: number, variantId?: number | null) => {
     if (newQuantity < 1) {
-      removeFromCart(productId);
+      removeFromCart(productId, variantId);
     } else {
-      updateQuantity(productId, newQuantity);
+      updateQuantity(productId, newQuantity, variantId);
     }
   };
 
-  const formatPrice = (price: number) => {
-    return price.toFixed(2);
-  };
-
   if (!state.isOpen) return null;
 
   return (
@@ -58,7 +56,7 @@ const CartDrawer: React.FC = () => {
           ) : (
             <div className="space-y-4">
               {state.items.map((item) => (
-                <div key={item.id} className="flex items-center space-x-4 bg-gray-50 p-4 rounded-lg">
+                <div key={`${item.id}-${item.variant_id ?? 0}`} className="flex items-center space-x-4 bg-gray-50 p-4 rounded-lg">
                   <img
                     src={item.image_url}
                     alt={item.name}
@@ -66,12 +64,14 @@ const CartDrawer: React.FC = () => {
                   />
                   <div className="flex-1 min-w-0">
                     <h3 className="text-sm font-medium text-gray-800 truncate">{item.name}</h3>
-                    <p className="text-sm text-gray-500">${formatPrice(parseFloat(item.price.toString()))}</p>
-                    <p className="text-xs text-gray-400">{item.category}</p>
+                    <p className="text-sm text-gray-500">{formatPrice(item.price, item.currency)}</p>
+                    <p className="text-xs text-gray-400">
+                      {item.variant_options ? formatVariantOptions(item.variant_options) : item.category}
+                    </p>
                   </div>
                   <div className="flex items-center space-x-2">
                     <button
-                      onClick={() => handleQuantityChange(item.id, item.quantity - 1)}
+                      onClick={() => handleQuantityChange(item.id, item.quantity - 1, item.variant_id)}
                       className="w-8 h-8 rounded-full bg-gray-200 hover:bg-gray-300 flex items-center justify-center transition-colors duration-200"
                     >
                       <svg className="w-4 h-4 text-gray-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -80,7 +80,7 @@ const CartDrawer: React.FC = () => {
                     </button>
                     <span className="w-8 text-center text-sm font-medium">{item.quantity}</span>
                     <button
-                      onClick={() => handleQuantityChange(item.id, item.quantity + 1)}
+                      onClick={() => handleQuantityChange(item.id, item.quantity + 1, item.variant_id)}
                       disabled={item.quantity >= item.stock_quantity}
                       className="w-8 h-8 rounded-full bg-gray-200 hover:bg-gray-300 disabled:bg-gray-100 disabled:cursor-not-allowed flex items-center justify-center transition-colors duration-200"
                     >
@@ -90,7 +90,7 @@ const CartDrawer: React.FC = () => {
                     </button>
                   </div>
                   <button
-                    onClick={() => removeFromCart(item.id)}
+                    onClick={() => removeFromCart(item.id, item.variant_id)}
                     className="p-1 text-red-500 hover:text-red-700 transition-colors duration-200"
                   >
                     <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -108,7 +108,7 @@ const CartDrawer: React.FC = () => {
           <div className="border-t border-gray-200 p-6 space-y-4">
             <div className="flex justify-between items-center">
               <span className="text-lg font-semibold text-gray-800">Total:</span>
-              <span className="text-2xl font-bold text-green-600">${formatPrice(getTotalPrice())}</span>
+              <span className="text-2xl font-bold text-green-600">{formatPrice(getTotalPrice())}</span>
             </div>
             
             <div className="space-y-3">
@@ -1,6 +1,8 @@
 import React, { useState } from 'react';
-import { useCart } from '../context/CartContext';
+import { useCart, formatVariantOptions } from '../context/CartContext';
+import { useWishlist } from '../context/WishlistContext';
 import CheckoutModal from './CheckoutModal';
+import { useCurrency, PLATFORM_CURRENCY } from '../context/CurrencyContext';
 
 interface User {
   id: number;
@@ -19,6 +21,8 @@ interface CartSidebarProps {
 
 const CartSidebar: React.FC<CartSidebarProps> = ({ isOpen, onClose, user, storeId }) => {
   const { state, updateQuantity, removeFromCart } = useCart();
+  const { saveForLater, canUseWishlist } = useWishlist();
+  const { convert, formatPrice } = useCurrency();
   const [showCheckout, setShowCheckout] = useState(false);
   const [isCheckoutModalOpen, setIsCheckoutModalOpen] = useState(false);
   const [checkoutData, setCheckoutData] = useState({
@@ -36,13 +40,22 @@ const CartSidebar: React.FC<CartSidebarProps> = ({ isOpen, onClose, user, storeI
     ? state.items.filter(item => item.store_id === parseInt(storeId))
     : state.items;
 
-  const cartTotal = cartItems.reduce((total, item) => total + (item.quantity * item.price), 0);
+  // In the platform currency; items are priced in their store's currency
+  const cartTotal = cartItems.reduce((total, item) => total + convert(item.quantity * item.price, item.currency || PLATFORM_CURRENCY, PLATFORM_CURRENCY), 0);
 
-  const handleQuantityChange = (id: number, quantity: number) => {
+  const handleQuantityChange = (id: number, quantity: number, variantId?: number | null) => {
     if (quantity <= 0) {
-      removeFromCart(id);
+      removeFromCart(id, variantId);
     } else {
-      updateQuantity(id, quantity);
+      updateQuantity(id, quantity, variantId);
+    }
+  };
+
+  const handleSaveForLater = async (id: number, variantId?: number | null) => {
+    try {
+      await saveForLater(id, variantId);
+    } catch (error: any) {
+      alert(error.response?.data?.message || 'Failed to save item for later');
     }
   };
 
@@ -74,7 +87,7 @@ const CartSidebar: React.FC<CartSidebarProps> = ({ isOpen, onClose, user, storeI
       if (response.ok) {
         setOrderSuccess(true);
         // Clear cart items for this store
-        cartItems.forEach(item => removeFromCart(item.id));
+        cartItems.forEach(item => removeFromCart(item.id, item.variant_id));
       } else {
         throw new Error('Failed to process order');
       }
@@ -209,16 +222,16 @@ const CartSidebar: React.FC<CartSidebarProps> = ({ isOpen, onClose, user, storeI
                   <h4 className="font-medium text-gray-900">Order Summary</h4>
                   <div className="mt-2 space-y-1">
                     {cartItems.map(item => (
-                      <div key={item.id} className="flex justify-between text-sm">
-                        <span>{item.name} x {item.quantity}</span>
-                        <span>${(item.price * item.quantity).toFixed(2)}</span>
+                      <div key={`${item.id}-${item.variant_id ?? 0}`} className="flex justify-between text-sm">
+                        <span>{item.name}{item.variant_options ? ` (${formatVariantOptions(item.variant_options)})` : ''} x {item.quantity}</span>
+                        <span>{formatPrice(item.price * item.quantity, item.currency)}</span>
                       </div>
                     ))}
                   </div>
                   <div className="mt-2 border-t border-gray-200 pt-2">
                     <div className="flex justify-between font-medium">
                       <span>Total</span>
-                      <span>${cartTotal.toFixed(2)}</span>
+                      <span>{formatPrice(cartTotal)}</span>
                     </div>
                   </div>
                 </div>
@@ -254,7 +267,7 @@ const CartSidebar: React.FC<CartSidebarProps> = ({ isOpen, onClose, user, storeI
                 ) : (
                   <div className="space-y-4">
                     {cartItems.map(item => (
-                      <div key={item.id} className="flex items-center space-x-4">
+                      <div key={`${item.id}-${item.variant_id ?? 0}`} className="flex items-center space-x-4">
                         <img
                           src={item.image_url}
                           alt={item.name}
@@ -262,17 +275,20 @@ const CartSidebar: React.FC<CartSidebarProps> = ({ isOpen, onClose, user, storeI
                         />
                         <div className="flex-1 min-w-0">
                           <h4 className="text-sm font-medium text-gray-900 truncate">{item.name}</h4>
-                          <p className="text-sm text-gray-600">${item.price}</p>
+                          {item.variant_options && (
+                            <p className="text-xs text-gray-500">{formatVariantOptions(item.variant_options)}</p>
+                          )}
+                          <p className="text-sm text-gray-600">{formatPrice(item.price, item.currency)}</p>
                           <div className="flex items-center mt-1">
                             <button
-                              onClick={() => handleQuantityChange(item.id, item.quantity - 1)}
+                              onClick={() => handleQuantityChange(item.id, item.quantity - 1, item.variant_id)}
                               className="rounded-md border border-gray-300 px-2 py-1 text-xs hover:bg-gray-50"
                             >
                               -
                             </button>
                             <span className="mx-2 text-sm">{item.quantity}</span>
                             <button
-                              onClick={() => handleQuantityChange(item.id, item.quantity + 1)}
+                              onClick={() => handleQuantityChange(item.id, item.quantity + 1, item.variant_id)}
                               disabled={item.quantity >= item.stock_quantity}
                               className="rounded-md border border-gray-300 px-2 py-1 text-xs hover:bg-gray-50 disabled:opacity-50"
                             >
@@ -282,14 +298,22 @@ const CartSidebar: React.FC<CartSidebarProps> = ({ isOpen, onClose, user, storeI
                         </div>
                         <div className="text-right">
                           <p className="text-sm font-medium text-gray-900">
-                            ${(item.price * item.quantity).toFixed(2)}
+                            {formatPrice(item.price * item.quantity, item.currency)}
                           </p>
                           <button
-                            onClick={() => removeFromCart(item.id)}
+                            onClick={() => removeFromCart(item.id, item.variant_id)}
                             className="text-xs text-red-600 hover:text-red-800"
                           >
                             Remove
                           </button>
+                          {canUseWishlist && (
+                            <button
+                              onClick={() => handleSaveForLater(item.id, item.variant_id)}
+                              className="block ml-auto text-xs text-blue-600 hover:text-blue-800"
+                            >
+                              Save for later
+                            </button>
+                          )}
                         </div>
                       </div>
                     ))}
@@ -304,7 +328,7 @@ const CartSidebar: React.FC<CartSidebarProps> = ({ isOpen, onClose, user, storeI
             <div className="border-t border-gray-200 px-4 py-4">
               <div className="flex items-center justify-between mb-4">
                 <span className="text-lg font-medium text-gray-900">Total</span>
-                <span className="text-lg font-bold text-gray-900">${cartTotal.toFixed(2)}</span>
+                <span className="text-lg font-bold text-gray-900">{formatPrice(cartTotal)}</span>
               </div>
               <button
                 onClick={() => setIsCheckoutModalOpen(true)}
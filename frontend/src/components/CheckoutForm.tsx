@@ -5,6 +5,8 @@ import {
   useElements
 } from '@stripe/react-stripe-js';
 import { useCart } from '../context/CartContext';
+import axios from '../utils/axios';
+import { SavedCard, formatCardLabel, formatCardExpiry } from './account/PaymentMethods';
 
 interface CheckoutFormProps {
   clientSecret: string;
@@ -19,11 +21,36 @@ const CheckoutForm: React.FC<CheckoutFormProps> = ({
 }) => {
   const stripe = useStripe();
   const elements = useElements();
-  const { clearCart, getTotalPrice } = useCart();
+  const { clearCart, getTotalPrice, user } = useCart();
   
   const [isLoading, setIsLoading] = useState(false);
   const [message, setMessage] = useState<string | null>(null);
   const [hasAttemptedPayment, setHasAttemptedPayment] = useState(false);
+  const [savedCards, setSavedCards] = useState<SavedCard[]>([]);
+  // ID of the saved card to pay with, or '' to enter a new card
+  const [selectedCard, setSelectedCard] = useState('');
+
+  const isCustomer = user?.user_type === 'customer';
+
+  // Cards saved on earlier orders; the most recent one is picked to start with
+  useEffect(() => {
+    if (!isCustomer) {
+      return;
+    }
+
+    axios.get('/checkout/payment-methods')
+      .then(response => {
+        const cards: SavedCard[] = response.data.data.paymentMethods;
+        setSavedCards(cards);
+        if (cards.length > 0) {
+          setSelectedCard(cards[0].id);
+        }
+      })
+      .catch(error => {
+        // A new card can still be entered
+        console.error('Error loading saved cards:', error);
+      });
+  }, [isCustomer]);
 
   useEffect(() => {
     if (!stripe || !clientSecret) {
@@ -69,13 +96,16 @@ const CheckoutForm: React.FC<CheckoutFormProps> = ({
     setMessage(null);
     setHasAttemptedPayment(true);
 
-    const { error, paymentIntent } = await stripe.confirmPayment({
-      elements,
-      confirmParams: {
-        return_url: `${window.location.origin}/payment-success`,
-      },
-      redirect: 'if_required',
-    });
+    // A saved card is already attached to the customer, so there's nothing for the Payment Element to collect
+    const { error, paymentIntent } = selectedCard
+      ? await stripe.confirmCardPayment(clientSecret, { payment_method: selectedCard })
+      : await stripe.confirmPayment({
+          elements,
+          confirmParams: {
+            return_url: `${window.location.origin}/payment-success`,
+          },
+          redirect: 'if_required',
+        });
 
     if (error) {
       if (error.type === 'card_error' || error.type === 'validation_error') {
@@ -119,10 +149,47 @@ const CheckoutForm: React.FC<CheckoutFormProps> = ({
       </div>
 
       <form id="payment-form" onSubmit={handleSubmit} className="space-y-6">
-        <PaymentElement 
-          id="payment-element" 
-          options={paymentElementOptions}
-        />
+        {savedCards.length > 0 && (
+          <div className="space-y-2">
+            <p className="text-sm font-medium text-gray-700">Pay with</p>
+            {savedCards.map(card => (
+              <label key={card.id} className="flex items-center p-3 border rounded-lg cursor-pointer hover:bg-gray-50">
+                <input
+                  type="radio"
+                  name="savedCard"
+                  checked={selectedCard === card.id}
+                  onChange={() => setSelectedCard(card.id)}
+                  className="h-4 w-4 text-blue-600"
+                />
+                <span className="ml-3 text-sm text-gray-900">{formatCardLabel(card)}</span>
+                <span className="ml-auto text-sm text-gray-500">Expires {formatCardExpiry(card)}</span>
+              </label>
+            ))}
+            <label className="flex items-center p-3 border rounded-lg cursor-pointer hover:bg-gray-50">
+              <input
+                type="radio"
+                name="savedCard"
+                checked={selectedCard === ''}
+                onChange={() => setSelectedCard('')}
+                className="h-4 w-4 text-blue-600"
+              />
+              <span className="ml-3 text-sm text-gray-900">Use a new card</span>
+            </label>
+          </div>
+        )}
+
+        {selectedCard === '' && (
+          <PaymentElement 
+            id="payment-element" 
+            options={paymentElementOptions}
+          />
+        )}
+
+        {selectedCard === '' && isCustomer && (
+          <p className="text-xs text-gray-500">
+            This card will be saved to your account for faster checkout. You can remove it in Settings.
+          </p>
+        )}
         
         <button
           disabled={isLoading || !stripe || !elements}
@@ -3,7 +3,8 @@ import { loadStripe } from '@stripe/stripe-js';
 import { Elements } from '@stripe/react-stripe-js';
 import CheckoutForm from './CheckoutForm';
 import DeliveryForm, { DeliveryInfo } from './DeliveryForm';
-import { useCart } from '../context/CartContext';
+import { useCart, formatVariantOptions } from '../context/CartContext';
+import { useCurrency } from '../context/CurrencyContext';
 import axios from '../utils/axios';
 
 const stripePromise = loadStripe(process.env.REACT_APP_STRIPE_PUBLISHABLE_KEY!);
@@ -16,17 +17,41 @@ interface CheckoutModalProps {
 
 type CheckoutStep = 'delivery' | 'payment';
 
+interface AppliedPromo {
+  code: string;
+  description?: string;
+  discountAmount: number;
+  freeDelivery: boolean;
+}
+
+interface OrderTotals {
+  subtotal: number;
+  discountAmount: number;
+  deliveryFee: number;
+  taxAmount: number;
+  taxIncluded: number;
+  totalAmount: number;
+  currency: string;
+  chargedAmount: number;
+}
+
 const CheckoutModal: React.FC<CheckoutModalProps> = ({
   isOpen,
   onClose,
   onSuccess,
 }) => {
   const { state, getTotalPrice, user } = useCart();
+  const { displayCurrency, formatPrice, formatMoney } = useCurrency();
   const [currentStep, setCurrentStep] = useState<CheckoutStep>('delivery');
   const [deliveryInfo, setDeliveryInfo] = useState<DeliveryInfo | null>(null);
   const [clientSecret, setClientSecret] = useState<string>('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
+  const [promoInput, setPromoInput] = useState('');
+  const [appliedPromo, setAppliedPromo] = useState<AppliedPromo | null>(null);
+  const [promoError, setPromoError] = useState<string | null>(null);
+  const [applyingPromo, setApplyingPromo] = useState(false);
+  const [orderTotals, setOrderTotals] = useState<OrderTotals | null>(null);
 
   useEffect(() => {
     if (isOpen) {
@@ -35,6 +60,10 @@ const CheckoutModal: React.FC<CheckoutModalProps> = ({
       setDeliveryInfo(null);
       setClientSecret('');
       setError(null);
+      setPromoInput('');
+      setAppliedPromo(null);
+      setPromoError(null);
+      setOrderTotals(null);
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [isOpen]);
@@ -50,7 +79,7 @@ const CheckoutModal: React.FC<CheckoutModalProps> = ({
 
       const response = await axios.post(
         '/checkout/process',
-        { deliveryInfo: delivery },
+        { deliveryInfo: delivery, promoCode: appliedPromo?.code, currency: displayCurrency },
         { 
           headers
           // withCredentials is set globally in axios config
@@ -59,6 +88,16 @@ const CheckoutModal: React.FC<CheckoutModalProps> = ({
 
       if (response.data.success) {
         setClientSecret(response.data.data.clientSecret);
+        setOrderTotals({
+          subtotal: response.data.data.subtotal,
+          discountAmount: response.data.data.discountAmount,
+          deliveryFee: response.data.data.deliveryFee,
+          taxAmount: response.data.data.taxAmount,
+          taxIncluded: response.data.data.taxIncluded,
+          totalAmount: response.data.data.totalAmount,
+          currency: response.data.data.currency,
+          chargedAmount: response.data.data.chargedAmount
+        });
         setCurrentStep('payment');
       } else {
         setError(response.data.message || 'Failed to create payment intent');
@@ -74,6 +113,31 @@ const CheckoutModal: React.FC<CheckoutModalProps> = ({
     }
   };
 
+  const handleApplyPromo = async () => {
+    if (!promoInput.trim()) return;
+
+    try {
+      setApplyingPromo(true);
+      setPromoError(null);
+
+      const headers = user ? {} : { 'X-Session-Id': getSessionId() };
+      const response = await axios.post('/checkout/apply-promo', { code: promoInput.trim() }, { headers });
+
+      setAppliedPromo(response.data.data);
+      setPromoInput('');
+    } catch (error: any) {
+      setAppliedPromo(null);
+      setPromoError(error.response?.data?.message || 'Failed to apply promo code');
+    } finally {
+      setApplyingPromo(false);
+    }
+  };
+
+  const handleRemovePromo = () => {
+    setAppliedPromo(null);
+    setPromoError(null);
+  };
+
   const getSessionId = (): string => {
     let sessionId = localStorage.getItem('afrozy_session_id');
     if (!sessionId) {
@@ -230,19 +294,47 @@ const CheckoutModal: React.FC<CheckoutModalProps> = ({
                 <h3 className="font-medium mb-3">Order Summary</h3>
                 <div className="space-y-2">
                   {state.items.map((item) => (
-                    <div key={item.id} className="flex justify-between text-sm">
+                    <div key={`${item.id}-${item.variant_id || 0}`} className="flex justify-between text-sm">
                       <span>
-                        {item.name} × {item.quantity}
+                        {item.name}{item.variant_options ? ` (${formatVariantOptions(item.variant_options)})` : ''} × {item.quantity}
                       </span>
-                      <span>${(item.price * item.quantity).toFixed(2)}</span>
+                      <span>{formatPrice(item.price * item.quantity, item.currency)}</span>
                     </div>
                   ))}
                 </div>
-                <div className="border-t pt-2 mt-3">
+                <div className="border-t pt-2 mt-3 space-y-1">
+                  {orderTotals && (
+                    <>
+                      <div className="flex justify-between text-sm">
+                        <span>Subtotal</span>
+                        <span>{formatPrice(orderTotals.subtotal)}</span>
+                      </div>
+                      {orderTotals.discountAmount > 0 && (
+                        <div className="flex justify-between text-sm text-green-700">
+                          <span>Discount{appliedPromo ? ` (${appliedPromo.code})` : ''}</span>
+                          <span>-{formatPrice(orderTotals.discountAmount)}</span>
+                        </div>
+                      )}
+                      <div className="flex justify-between text-sm">
+                        <span>Delivery</span>
+                        <span>{orderTotals.deliveryFee > 0 ? formatPrice(orderTotals.deliveryFee) : 'Free'}</span>
+                      </div>
+                      {orderTotals.taxAmount > orderTotals.taxIncluded && (
+                        <div className="flex justify-between text-sm">
+                          <span>Tax</span>
+                          <span>{formatPrice(orderTotals.taxAmount - orderTotals.taxIncluded)}</span>
+                        </div>
+                      )}
+                    </>
+                  )}
                   <div className="flex justify-between font-bold">
                     <span>Total</span>
-                    <span>${getTotalPrice().toFixed(2)}</span>
+                    {/* The amount actually charged, in the currency the payment was taken in */}
+                    <span>{orderTotals ? formatMoney(orderTotals.chargedAmount, orderTotals.currency) : formatPrice(getTotalPrice())}</span>
                   </div>
+                  {orderTotals && orderTotals.taxIncluded > 0 && (
+                    <p className="text-xs text-gray-500 text-right">Includes {formatPrice(orderTotals.taxIncluded)} tax</p>
+                  )}
                 </div>
                 
                 {/* Delivery Summary */}
@@ -266,12 +358,60 @@ const CheckoutModal: React.FC<CheckoutModalProps> = ({
               </div>
             )}
 
+            {/* Promo code - entered before the payment intent is created */}
+            {currentStep === 'delivery' && (
+              <div className="mb-6 p-4 bg-gray-50 rounded-lg">
+                <h3 className="font-medium mb-2">Promo Code</h3>
+                {appliedPromo ? (
+                  <div className="flex items-center justify-between text-sm">
+                    <div>
+                      <span className="font-semibold text-green-700">{appliedPromo.code}</span>
+                      <span className="text-gray-600 ml-2">
+                        {appliedPromo.freeDelivery
+                          ? 'Free delivery'
+                          : `-${formatPrice(appliedPromo.discountAmount)}`}
+                      </span>
+                      {appliedPromo.description && (
+                        <p className="text-xs text-gray-500">{appliedPromo.description}</p>
+                      )}
+                    </div>
+                    <button
+                      onClick={handleRemovePromo}
+                      className="text-red-600 hover:text-red-800 text-sm font-medium"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                ) : (
+                  <div className="flex space-x-2">
+                    <input
+                      type="text"
+                      value={promoInput}
+                      onChange={(e) => setPromoInput(e.target.value.toUpperCase())}
+                      placeholder="Enter code"
+                      className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                    />
+                    <button
+                      onClick={handleApplyPromo}
+                      disabled={applyingPromo || !promoInput.trim()}
+                      className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      {applyingPromo ? 'Applying...' : 'Apply'}
+                    </button>
+                  </div>
+                )}
+                {promoError && <p className="text-sm text-red-600 mt-2">{promoError}</p>}
+              </div>
+            )}
+
             {/* Render appropriate step */}
             {currentStep === 'delivery' ? (
               <DeliveryForm
                 onSubmit={handleDeliverySubmit}
                 onBack={onClose}
                 loading={loading}
+                promoCode={appliedPromo?.code}
+                sessionId={user ? undefined : getSessionId()}
               />
             ) : currentStep === 'payment' ? (
               <>
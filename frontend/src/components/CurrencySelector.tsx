@@ -0,0 +1,30 @@
+import React from 'react';
+import { useCurrency } from '../context/CurrencyContext';
+
+interface CurrencySelectorProps {
+  className?: string;
+}
+
+// Lets shoppers pick the currency prices are shown (and charged) in
+const CurrencySelector: React.FC<CurrencySelectorProps> = ({ className = '' }) => {
+  const { displayCurrency, setDisplayCurrency, currencies } = useCurrency();
+
+  if (currencies.length < 2) {
+    return null;
+  }
+
+  return (
+    <select
+      value={displayCurrency}
+      onChange={(e) => setDisplayCurrency(e.target.value)}
+      aria-label="Display currency"
+      className={`rounded-md border border-gray-300 bg-white px-2 py-1 text-sm text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500 ${className}`}
+    >
+      {currencies.map(currency => (
+        <option key={currency} value={currency}>{currency}</option>
+      ))}
+    </select>
+  );
+};
+
+export default CurrencySelector;
@@ -1,5 +1,8 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useCart } from '../context/CartContext';
+import { useCurrency } from '../context/CurrencyContext';
+import axios from '../utils/axios';
+import { SavedAddress, SuggestedAddress, formatAddressLine } from './account/AddressBook';
 
 interface DeliveryInfo {
   fullName: string;
@@ -11,16 +14,51 @@ interface DeliveryInfo {
   zipCode: string;
   country: string;
   deliveryInstructions?: string;
+  requireDeliveryPin?: boolean;
+}
+
+interface DeliveryQuoteLine {
+  storeId: number | null;
+  storeName: string | null;
+  distanceKm: number | null;
+  fee: number;
+  charged: number;
+  freeThresholdMet: boolean;
+}
+
+interface TaxLine {
+  name: string;
+  ratePercent: number;
+  taxAmount: number;
+  pricesIncludeTax: boolean;
+}
+
+interface DeliveryQuote {
+  subtotal: number;
+  discountAmount: number;
+  deliveryFee: number;
+  taxAmount: number;
+  taxIncluded: number;
+  taxLines: TaxLine[];
+  totalAmount: number;
+  currency: string;
+  chargedAmount: number;
+  deliveries: DeliveryQuoteLine[];
 }
 
 interface DeliveryFormProps {
   onSubmit: (deliveryInfo: DeliveryInfo) => void;
   onBack: () => void;
   loading: boolean;
+  promoCode?: string;
+  sessionId?: string;
 }
 
-const DeliveryForm: React.FC<DeliveryFormProps> = ({ onSubmit, onBack, loading }) => {
+const ZIP_CODE_PATTERN = /^\d{5}(-\d{4})?$/;
+
+const DeliveryForm: React.FC<DeliveryFormProps> = ({ onSubmit, onBack, loading, promoCode, sessionId }) => {
   const { user, getTotalPrice } = useCart();
+  const { displayCurrency, formatPrice, formatMoney } = useCurrency();
   
   // Pre-fill form with user data if available
   const [formData, setFormData] = useState<DeliveryInfo>({
@@ -32,10 +70,123 @@ const DeliveryForm: React.FC<DeliveryFormProps> = ({ onSubmit, onBack, loading }
     state: '',
     zipCode: '',
     country: 'United States',
-    deliveryInstructions: ''
+    deliveryInstructions: '',
+    requireDeliveryPin: false
   });
 
   const [errors, setErrors] = useState<Partial<DeliveryInfo>>({});
+  const [quote, setQuote] = useState<DeliveryQuote | null>(null);
+  const [quoteError, setQuoteError] = useState<string | null>(null);
+  const [quoting, setQuoting] = useState(false);
+  const [savedAddresses, setSavedAddresses] = useState<SavedAddress[]>([]);
+  const [suggestedAddresses, setSuggestedAddresses] = useState<SuggestedAddress[]>([]);
+  // 'new', a saved address id, or 'suggestion-<index>'
+  const [selectedAddress, setSelectedAddress] = useState('new');
+  const [saveAddress, setSaveAddress] = useState(false);
+
+  const isCustomer = user?.user_type === 'customer';
+
+  const fillAddress = (saved: SuggestedAddress) => {
+    setFormData(prev => ({
+      ...prev,
+      fullName: saved.fullName,
+      phone: saved.phone,
+      address: saved.address,
+      city: saved.city,
+      state: saved.state,
+      zipCode: saved.zipCode,
+      country: saved.country,
+      deliveryInstructions: saved.deliveryInstructions || ''
+    }));
+    setErrors({});
+  };
+
+  // Customers start from their default address and can pick another saved one
+  useEffect(() => {
+    if (!isCustomer) {
+      return;
+    }
+
+    const loadAddresses = async () => {
+      try {
+        const [addressesResponse, suggestionsResponse] = await Promise.all([
+          axios.get('/auth/addresses'),
+          axios.get('/auth/addresses/suggestions')
+        ]);
+        const addresses: SavedAddress[] = addressesResponse.data.data.addresses;
+        setSavedAddresses(addresses);
+        setSuggestedAddresses(suggestionsResponse.data.data.suggestions);
+
+        const defaultAddress = addresses.find(saved => saved.isDefault);
+        if (defaultAddress) {
+          setSelectedAddress(String(defaultAddress.id));
+          fillAddress(defaultAddress);
+        }
+      } catch (error) {
+        // The form still works without the address book
+        console.error('Error loading saved addresses:', error);
+      }
+    };
+
+    loadAddresses();
+  }, [isCustomer]);
+
+  const handleAddressSelect = (value: string) => {
+    setSelectedAddress(value);
+
+    if (value.startsWith('suggestion-')) {
+      fillAddress(suggestedAddresses[parseInt(value.replace('suggestion-', ''), 10)]);
+      setSaveAddress(true);
+      return;
+    }
+
+    const saved = savedAddresses.find(address => String(address.id) === value);
+    if (saved) {
+      fillAddress(saved);
+    }
+    setSaveAddress(false);
+  };
+
+  const { address, city, state, zipCode, country } = formData;
+
+  // Quote the delivery fee once the address is complete, after the customer stops typing
+  useEffect(() => {
+    if (!address.trim() || !city.trim() || !ZIP_CODE_PATTERN.test(zipCode)) {
+      setQuote(null);
+      setQuoteError(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setQuoting(true);
+      try {
+        const response = await axios.post(
+          '/checkout/delivery-quote',
+          { deliveryInfo: { address, city, state, zipCode, country }, promoCode, currency: displayCurrency },
+          { headers: sessionId ? { 'X-Session-Id': sessionId } : {} }
+        );
+        if (!cancelled) {
+          setQuote(response.data.data);
+          setQuoteError(null);
+        }
+      } catch (error: any) {
+        if (!cancelled) {
+          setQuote(null);
+          setQuoteError(error.response?.data?.message || 'Could not calculate the delivery fee');
+        }
+      } finally {
+        if (!cancelled) {
+          setQuoting(false);
+        }
+      }
+    }, 600);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [address, city, state, zipCode, country, promoCode, sessionId, displayCurrency]);
 
   const validateForm = (): boolean => {
     const newErrors: Partial<DeliveryInfo> = {};
@@ -70,7 +221,7 @@ const DeliveryForm: React.FC<DeliveryFormProps> = ({ onSubmit, onBack, loading }
 
     if (!formData.zipCode.trim()) {
       newErrors.zipCode = 'ZIP code is required';
-    } else if (!/^\d{5}(-\d{4})?$/.test(formData.zipCode)) {
+    } else if (!ZIP_CODE_PATTERN.test(formData.zipCode)) {
       newErrors.zipCode = 'Please enter a valid ZIP code';
     }
 
@@ -80,6 +231,11 @@ const DeliveryForm: React.FC<DeliveryFormProps> = ({ onSubmit, onBack, loading }
 
   const handleInputChange = (field: keyof DeliveryInfo, value: string) => {
     setFormData(prev => ({ ...prev, [field]: value }));
+
+    // Editing a saved address turns it into a new one for this order
+    if (selectedAddress !== 'new' && field !== 'email' && field !== 'deliveryInstructions') {
+      setSelectedAddress('new');
+    }
     
     // Clear error when user starts typing
     if (errors[field]) {
@@ -87,12 +243,23 @@ const DeliveryForm: React.FC<DeliveryFormProps> = ({ onSubmit, onBack, loading }
     }
   };
 
-  const handleSubmit = (e: React.FormEvent) => {
+  const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     
-    if (validateForm()) {
-      onSubmit(formData);
+    if (!validateForm()) {
+      return;
+    }
+
+    if (isCustomer && saveAddress && !/^\d+$/.test(selectedAddress)) {
+      try {
+        await axios.post('/auth/addresses', formData);
+      } catch (error) {
+        // Not saving the address shouldn't stop the order
+        console.error('Error saving address:', error);
+      }
     }
+
+    onSubmit(formData);
   };
 
   const inputClassName = (field: keyof DeliveryInfo) => 
@@ -113,8 +280,9 @@ const DeliveryForm: React.FC<DeliveryFormProps> = ({ onSubmit, onBack, loading }
         <div className="text-right">
           <p className="text-sm text-gray-600">Total</p>
           <p className="text-lg font-bold text-gray-900">
-            ${getTotalPrice().toFixed(2)}
+            {quote ? formatMoney(quote.chargedAmount, quote.currency) : formatPrice(getTotalPrice())}
           </p>
+          {!quote && <p className="text-xs text-gray-500">+ delivery</p>}
         </div>
       </div>
 
@@ -180,6 +348,36 @@ const DeliveryForm: React.FC<DeliveryFormProps> = ({ onSubmit, onBack, loading }
         {/* Delivery Address */}
         <div className="space-y-4">
           <h3 className="text-lg font-medium text-gray-900">Delivery Address</h3>
+
+          {(savedAddresses.length > 0 || suggestedAddresses.length > 0) && (
+            <div>
+              <label htmlFor="savedAddress" className="block text-sm font-medium text-gray-700 mb-1">
+                Saved Addresses
+              </label>
+              <select
+                id="savedAddress"
+                value={selectedAddress}
+                onChange={(e) => handleAddressSelect(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {savedAddresses.map(saved => (
+                  <option key={saved.id} value={String(saved.id)}>
+                    {saved.label ? `${saved.label} - ` : ''}{formatAddressLine(saved)}
+                  </option>
+                ))}
+                {suggestedAddresses.length > 0 && (
+                  <optgroup label="From your earlier orders">
+                    {suggestedAddresses.map((suggestion, index) => (
+                      <option key={formatAddressLine(suggestion)} value={`suggestion-${index}`}>
+                        {formatAddressLine(suggestion)}
+                      </option>
+                    ))}
+                  </optgroup>
+                )}
+                <option value="new">Enter a new address</option>
+              </select>
+            </div>
+          )}
           
           <div>
             <label htmlFor="address" className="block text-sm font-medium text-gray-700 mb-1">
@@ -281,6 +479,76 @@ const DeliveryForm: React.FC<DeliveryFormProps> = ({ onSubmit, onBack, loading }
               placeholder="Any special delivery instructions..."
             />
           </div>
+
+          {/* Delivery fee and tax quote */}
+          {(quote || quoteError || quoting) && (
+            <div className="p-4 bg-gray-50 rounded-lg text-sm">
+              {quoting && !quote ? (
+                <p className="text-gray-500">Calculating delivery fee...</p>
+              ) : quoteError ? (
+                <p className="text-red-600">{quoteError}</p>
+              ) : quote && (
+                <div className="space-y-1">
+                  {quote.deliveries.length > 1 && quote.deliveries.map(delivery => (
+                    <div key={delivery.storeId ?? 'platform'} className="flex justify-between text-gray-600">
+                      <span>
+                        Delivery from {delivery.storeName || 'Afrozy'}
+                        {delivery.distanceKm !== null && ` (${delivery.distanceKm} km)`}
+                      </span>
+                      <span>{delivery.charged > 0 ? formatPrice(delivery.charged) : 'Free'}</span>
+                    </div>
+                  ))}
+                  <div className="flex justify-between font-medium text-gray-900">
+                    <span>Delivery fee</span>
+                    <span>{quote.deliveryFee > 0 ? formatPrice(quote.deliveryFee) : 'Free'}</span>
+                  </div>
+                  {quote.deliveries.some(delivery => delivery.freeThresholdMet) && (
+                    <p className="text-xs text-green-700">Your order qualifies for free delivery</p>
+                  )}
+                  {quote.taxLines.filter(line => !line.pricesIncludeTax).map(line => (
+                    <div key={line.name} className="flex justify-between text-gray-600">
+                      <span>{line.name} tax ({line.ratePercent}%)</span>
+                      <span>{formatPrice(line.taxAmount)}</span>
+                    </div>
+                  ))}
+                  {quote.taxIncluded > 0 && (
+                    <p className="text-xs text-gray-500">Prices include {formatPrice(quote.taxIncluded)} tax</p>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+
+          {isCustomer && !/^\d+$/.test(selectedAddress) && (
+            <div className="flex items-center">
+              <input
+                id="saveAddress"
+                type="checkbox"
+                checked={saveAddress}
+                onChange={(e) => setSaveAddress(e.target.checked)}
+                className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+              />
+              <label htmlFor="saveAddress" className="ml-2 text-sm text-gray-700">
+                Save this address to my address book
+              </label>
+            </div>
+          )}
+
+          <div className="flex items-start">
+            <input
+              id="requireDeliveryPin"
+              type="checkbox"
+              checked={!!formData.requireDeliveryPin}
+              onChange={(e) => setFormData(prev => ({ ...prev, requireDeliveryPin: e.target.checked }))}
+              className="mt-1 h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+            />
+            <label htmlFor="requireDeliveryPin" className="ml-2 text-sm text-gray-700">
+              <span className="font-medium">Require a delivery PIN</span>
+              <span className="block text-gray-500">
+                We'll email you a 4-digit code. The driver can only complete the delivery once you give it to them.
+              </span>
+            </label>
+          </div>
         </div>
 
         {/* Action Buttons */}
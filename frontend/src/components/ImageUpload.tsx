@@ -10,7 +10,7 @@ interface ImageUploadProps {
   className?: string;
   buttonText?: string;
   showPreview?: boolean;
-  uploadType?: 'product' | 'store-logo' | 'general';
+  uploadType?: 'product' | 'store-logo' | 'store-banner' | 'general';
   productId?: string;
   storeId?: string;
 }
@@ -78,9 +78,14 @@ const ImageUpload: React.FC<ImageUploadProps> = ({
 
     try {
       const formData = new FormData();
-      const fieldName = uploadType === 'store-logo' ? 'logo' : 'image';
+      const isStoreImage = uploadType === 'store-logo' || uploadType === 'store-banner';
+      const fieldName = isStoreImage ? 'logo' : 'image';
       formData.append(fieldName, file);
 
+      if (uploadType === 'store-banner') {
+        formData.append('kind', 'banner');
+      }
+
       if (productId) {
         formData.append('productId', productId);
       }
@@ -95,6 +100,7 @@ const ImageUpload: React.FC<ImageUploadProps> = ({
           endpoint = '/images/product';
           break;
         case 'store-logo':
+        case 'store-banner':
           endpoint = '/images/store-logo';
           break;
         default:
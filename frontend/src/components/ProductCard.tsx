@@ -1,6 +1,9 @@
 import React, { useState } from 'react';
 import ImageModal from './ImageModal';
 import { useCart } from '../context/CartContext';
+import StarRating from './StarRating';
+import WishlistButton from './WishlistButton';
+import { useCurrency } from '../context/CurrencyContext';
 
 interface Product {
   id: number;
@@ -8,9 +11,14 @@ interface Product {
   name: string;
   description: string;
   price: number;
+  currency?: string;
   category: string;
   image_url: string;
   stock_quantity: number;
+  available_quantity?: number;
+  variant_count?: number;
+  average_rating?: number | string;
+  review_count?: number;
   store_name?: string;
   store_description?: string;
   store_address?: string;
@@ -25,6 +33,7 @@ const ProductCard: React.FC<ProductCardProps> = ({ product }) => {
   const [isAdding, setIsAdding] = useState(false);
   const [imageError, setImageError] = useState(false);
   const { addToCart, state } = useCart();
+  const { formatPrice } = useCurrency();
 
   const handleImageClick = () => {
     setIsModalOpen(true);
@@ -74,7 +83,17 @@ const ProductCard: React.FC<ProductCardProps> = ({ product }) => {
     return imageUrl;
   };
 
+  const hasVariants = (product.variant_count || 0) > 0;
+  // Stock held by other shoppers' pending checkouts isn't available
+  const availableStock = product.available_quantity ?? product.stock_quantity;
+
   const handleAddToCart = async () => {
+    // Products with variants need an option picked on the detail page first
+    if (hasVariants) {
+      handleViewDetails();
+      return;
+    }
+
     setIsAdding(true);
     try {
       await addToCart(product);
@@ -102,10 +121,10 @@ const ProductCard: React.FC<ProductCardProps> = ({ product }) => {
     window.location.reload();
   };
 
-  // Check if product is already in cart
-  const cartItem = state.items.find(item => item.id === product.id);
-  const isInCart = !!cartItem;
-  const cartQuantity = cartItem?.quantity || 0;
+  // Check if product is already in cart (summed across variants)
+  const cartItems = state.items.filter(item => item.id === product.id);
+  const isInCart = cartItems.length > 0;
+  const cartQuantity = cartItems.reduce((total, item) => total + item.quantity, 0);
 
   // Check if description is long enough to need "Read More"
   const needsReadMore = product.description && product.description.length > 100;
@@ -131,6 +150,7 @@ const ProductCard: React.FC<ProductCardProps> = ({ product }) => {
         <span className="absolute top-3 right-3 text-xs bg-blue-600 text-white px-3 py-1 rounded-full font-medium">
           {product.category}
         </span>
+        <WishlistButton productId={product.id} className="absolute top-3 left-3" />
       </div>
       
       <ImageModal 
@@ -148,6 +168,12 @@ const ProductCard: React.FC<ProductCardProps> = ({ product }) => {
           >
             {product.name}
           </h3>
+          {(product.review_count || 0) > 0 && (
+            <div className="flex items-center space-x-1 mb-1">
+              <StarRating rating={Number(product.average_rating)} size="sm" />
+              <span className="text-xs text-gray-500">({product.review_count})</span>
+            </div>
+          )}
           <div className="h-16">
             <p className="text-gray-600 text-sm leading-relaxed line-clamp-2">
               {product.description}
@@ -166,15 +192,15 @@ const ProductCard: React.FC<ProductCardProps> = ({ product }) => {
         <div className="mt-auto">
           <div className="flex items-center justify-between mb-3">
             <span className="text-3xl font-bold text-green-600">
-              ${product.price}
+              {formatPrice(product.price, product.currency)}
             </span>
             <div className="flex items-center space-x-1">
               <div className={`w-2 h-2 rounded-full ${
-                product.stock_quantity > 20 ? 'bg-green-500' :
-                product.stock_quantity > 5 ? 'bg-yellow-500' : 'bg-red-500'
+                availableStock > 20 ? 'bg-green-500' :
+                availableStock > 5 ? 'bg-yellow-500' : 'bg-red-500'
               }`}></div>
               <span className="text-sm text-gray-600 font-medium">
-                {product.stock_quantity > 0 ? `${product.stock_quantity} in stock` : 'Out of stock'}
+                {availableStock > 0 ? `${availableStock} in stock` : 'Out of stock'}
               </span>
             </div>
           </div>
@@ -212,15 +238,15 @@ const ProductCard: React.FC<ProductCardProps> = ({ product }) => {
           <button
             onClick={handleAddToCart}
             className={`w-full py-2.5 px-4 rounded-lg font-medium transition-all duration-200 flex items-center justify-center space-x-2 ${
-              product.stock_quantity === 0
+              availableStock === 0
                 ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
-                : cartQuantity >= product.stock_quantity
+                : !hasVariants && cartQuantity >= availableStock
                 ? 'bg-orange-500 text-white hover:bg-orange-600'
                 : isAdding
                 ? 'bg-green-500 text-white'
                 : 'bg-blue-600 text-white hover:bg-blue-700 hover:shadow-md transform hover:scale-105'
             }`}
-            disabled={product.stock_quantity === 0 || isAdding}
+            disabled={availableStock === 0 || isAdding}
           >
             {isAdding ? (
               <>
@@ -230,9 +256,11 @@ const ProductCard: React.FC<ProductCardProps> = ({ product }) => {
                 </svg>
                 <span>Adding...</span>
               </>
-            ) : product.stock_quantity === 0 ? (
+            ) : availableStock === 0 ? (
               'Out of Stock'
-            ) : cartQuantity >= product.stock_quantity ? (
+            ) : hasVariants ? (
+              'Choose Options'
+            ) : cartQuantity >= availableStock ? (
               'Max Quantity'
             ) : (
               <>
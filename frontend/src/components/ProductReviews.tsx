@@ -0,0 +1,232 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from '../utils/axios';
+import StarRating from './StarRating';
+
+interface Review {
+  id: number;
+  rating: number;
+  title?: string;
+  body: string;
+  reviewer_name: string;
+  store_reply?: string;
+  store_replied_at?: string;
+  created_at: string;
+}
+
+interface ReviewSummary {
+  averageRating: number;
+  reviewCount: number;
+  distribution: { [stars: number]: number };
+}
+
+interface Eligibility {
+  canReview: boolean;
+  reason: 'already_reviewed' | 'not_delivered' | null;
+  review: { status: string } | null;
+}
+
+interface ProductReviewsProps {
+  productId: string;
+  user: any;
+}
+
+const ProductReviews: React.FC<ProductReviewsProps> = ({ productId, user }) => {
+  const [reviews, setReviews] = useState<Review[]>([]);
+  const [summary, setSummary] = useState<ReviewSummary | null>(null);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [sort, setSort] = useState('newest');
+  const [loading, setLoading] = useState(true);
+  const [eligibility, setEligibility] = useState<Eligibility | null>(null);
+  const [form, setForm] = useState({ rating: 0, title: '', body: '' });
+  const [submitting, setSubmitting] = useState(false);
+  const [formError, setFormError] = useState<string | null>(null);
+  const [formSuccess, setFormSuccess] = useState<string | null>(null);
+
+  const isCustomer = user?.user_type === 'customer';
+
+  const fetchReviews = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get(`/products/${productId}/reviews`, {
+        params: { page, sort }
+      });
+      const { reviews: pageReviews, summary: reviewSummary, pagination } = response.data.data;
+      setReviews(prev => (page === 1 ? pageReviews : [...prev, ...pageReviews]));
+      setSummary(reviewSummary);
+      setPages(pagination.pages);
+    } catch (error) {
+      console.error('Error fetching reviews:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [productId, page, sort]);
+
+  useEffect(() => {
+    fetchReviews();
+  }, [fetchReviews]);
+
+  useEffect(() => {
+    if (!isCustomer) return;
+    axios.get(`/products/${productId}/reviews/eligibility`)
+      .then(response => setEligibility(response.data.data))
+      .catch(error => console.error('Error checking review eligibility:', error));
+  }, [productId, isCustomer]);
+
+  const handleSortChange = (value: string) => {
+    setSort(value);
+    setPage(1);
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (form.rating === 0) {
+      setFormError('Please choose a star rating');
+      return;
+    }
+
+    setSubmitting(true);
+    setFormError(null);
+    try {
+      const response = await axios.post(`/products/${productId}/reviews`, form);
+      setFormSuccess(response.data.message);
+      setEligibility({ canReview: false, reason: 'already_reviewed', review: response.data.data });
+    } catch (err: any) {
+      setFormError(err.response?.data?.message || 'Failed to submit review');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-8 mt-8">
+      <h2 className="text-2xl font-bold text-gray-900 mb-6">Customer Reviews</h2>
+
+      {summary && (
+        <div className="flex flex-col sm:flex-row gap-8 mb-8">
+          <div className="text-center sm:text-left">
+            <p className="text-5xl font-bold text-gray-900">{summary.averageRating.toFixed(1)}</p>
+            <StarRating rating={summary.averageRating} size="lg" />
+            <p className="text-sm text-gray-500 mt-1">
+              {summary.reviewCount} {summary.reviewCount === 1 ? 'review' : 'reviews'}
+            </p>
+          </div>
+          <div className="flex-1 space-y-1">
+            {[5, 4, 3, 2, 1].map(stars => {
+              const count = summary.distribution[stars] || 0;
+              const percent = summary.reviewCount > 0 ? (count / summary.reviewCount) * 100 : 0;
+              return (
+                <div key={stars} className="flex items-center space-x-2 text-sm">
+                  <span className="w-12 text-gray-600">{stars} star</span>
+                  <div className="flex-1 h-2 bg-gray-200 rounded-full overflow-hidden">
+                    <div className="h-full bg-yellow-400" style={{ width: `${percent}%` }}></div>
+                  </div>
+                  <span className="w-8 text-right text-gray-500">{count}</span>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {/* Review form */}
+      {isCustomer && eligibility && (
+        <div className="mb-8">
+          {formSuccess ? (
+            <div className="bg-green-50 border border-green-200 text-green-800 px-4 py-3 rounded-lg">{formSuccess}</div>
+          ) : eligibility.canReview ? (
+            <form onSubmit={handleSubmit} className="bg-gray-50 rounded-xl p-4 space-y-3">
+              <h3 className="font-bold text-gray-900">Write a review</h3>
+              <StarRating rating={form.rating} size="lg" onChange={(rating) => setForm({ ...form, rating })} />
+              <input
+                type="text"
+                placeholder="Title (optional)"
+                value={form.title}
+                maxLength={150}
+                onChange={(e) => setForm({ ...form, title: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+              />
+              <textarea
+                placeholder="What did you think of this product?"
+                value={form.body}
+                rows={4}
+                minLength={10}
+                maxLength={2000}
+                onChange={(e) => setForm({ ...form, body: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                required
+              />
+              {formError && <p className="text-sm text-red-600">{formError}</p>}
+              <button
+                type="submit"
+                disabled={submitting}
+                className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+              >
+                {submitting ? 'Submitting...' : 'Submit Review'}
+              </button>
+            </form>
+          ) : eligibility.reason === 'already_reviewed' ? (
+            <p className="text-sm text-gray-500">
+              {eligibility.review?.status === 'pending'
+                ? 'Your review is awaiting moderation.'
+                : 'You have already reviewed this product.'}
+            </p>
+          ) : (
+            <p className="text-sm text-gray-500">You can review this product once an order containing it has been delivered.</p>
+          )}
+        </div>
+      )}
+
+      {reviews.length > 0 && (
+        <div className="flex justify-end mb-4">
+          <select
+            value={sort}
+            onChange={(e) => handleSortChange(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="newest">Newest</option>
+            <option value="highest">Highest rated</option>
+            <option value="lowest">Lowest rated</option>
+          </select>
+        </div>
+      )}
+
+      {!loading && reviews.length === 0 ? (
+        <p className="text-gray-500">No reviews yet.</p>
+      ) : (
+        <div className="divide-y divide-gray-200">
+          {reviews.map(review => (
+            <div key={review.id} className="py-4">
+              <div className="flex items-center space-x-2">
+                <StarRating rating={review.rating} size="sm" />
+                {review.title && <span className="font-semibold text-gray-900">{review.title}</span>}
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                {review.reviewer_name} · {new Date(review.created_at).toLocaleDateString()}
+              </p>
+              <p className="mt-2 text-gray-700 whitespace-pre-line">{review.body}</p>
+              {review.store_reply && (
+                <div className="mt-3 ml-4 bg-gray-50 border-l-4 border-blue-400 p-3 rounded">
+                  <p className="text-xs font-medium text-gray-500 mb-1">Response from the seller</p>
+                  <p className="text-sm text-gray-700 whitespace-pre-line">{review.store_reply}</p>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {page < pages && (
+        <button
+          onClick={() => setPage(page + 1)}
+          disabled={loading}
+          className="mt-4 w-full py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+        >
+          {loading ? 'Loading...' : 'Show more reviews'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ProductReviews;
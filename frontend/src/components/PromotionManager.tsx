@@ -0,0 +1,466 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from '../utils/axios';
+
+interface Promotion {
+  id: number;
+  code: string;
+  description?: string;
+  discount_type: 'percentage' | 'fixed_amount' | 'free_delivery';
+  discount_value: string;
+  max_discount?: string | null;
+  min_spend: string;
+  usage_limit?: number | null;
+  per_customer_limit?: number | null;
+  usage_count: number;
+  total_discount: string;
+  starts_at?: string | null;
+  expires_at?: string | null;
+  is_active: boolean;
+}
+
+interface PromotionFormData {
+  code: string;
+  description: string;
+  discount_type: 'percentage' | 'fixed_amount' | 'free_delivery';
+  discount_value: string;
+  max_discount: string;
+  min_spend: string;
+  usage_limit: string;
+  per_customer_limit: string;
+  starts_at: string;
+  expires_at: string;
+  is_active: boolean;
+}
+
+interface PromotionManagerProps {
+  // '/promotions/admin' for platform-funded codes, '/promotions/store' for the owner's store codes
+  endpoint: string;
+  title: string;
+  subtitle: string;
+  theme: 'blue' | 'purple';
+}
+
+const emptyForm: PromotionFormData = {
+  code: '',
+  description: '',
+  discount_type: 'percentage',
+  discount_value: '',
+  max_discount: '',
+  min_spend: '',
+  usage_limit: '',
+  per_customer_limit: '',
+  starts_at: '',
+  expires_at: '',
+  is_active: true
+};
+
+const themeClasses = {
+  blue: {
+    button: 'bg-blue-600 hover:bg-blue-700',
+    link: 'text-blue-600 hover:text-blue-800',
+    focus: 'focus:ring-blue-500',
+    spinner: 'border-blue-600'
+  },
+  purple: {
+    button: 'bg-purple-600 hover:bg-purple-700',
+    link: 'text-purple-600 hover:text-purple-800',
+    focus: 'focus:ring-purple-500',
+    spinner: 'border-purple-600'
+  }
+};
+
+// datetime-local inputs need "YYYY-MM-DDTHH:mm" in local time
+const toDateTimeInput = (value?: string | null) => {
+  if (!value) return '';
+  const date = new Date(value);
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+const formatDiscount = (promotion: Promotion) => {
+  switch (promotion.discount_type) {
+    case 'percentage':
+      return `${parseFloat(promotion.discount_value)}% off${promotion.max_discount ? ` (max $${parseFloat(promotion.max_discount).toFixed(2)})` : ''}`;
+    case 'fixed_amount':
+      return `$${parseFloat(promotion.discount_value).toFixed(2)} off`;
+    default:
+      return 'Free delivery';
+  }
+};
+
+const PromotionManager: React.FC<PromotionManagerProps> = ({ endpoint, title, subtitle, theme }) => {
+  const [promotions, setPromotions] = useState<Promotion[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [successMessage, setSuccessMessage] = useState<string | null>(null);
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState<number | null>(null);
+  const [formData, setFormData] = useState<PromotionFormData>(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  const classes = themeClasses[theme];
+  const inputClass = `w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 ${classes.focus}`;
+
+  const fetchPromotions = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await axios.get(endpoint);
+      setPromotions(response.data.data);
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to fetch promotions');
+    } finally {
+      setLoading(false);
+    }
+  }, [endpoint]);
+
+  useEffect(() => {
+    fetchPromotions();
+  }, [fetchPromotions]);
+
+  const showSuccess = (message: string) => {
+    setSuccessMessage(message);
+    setTimeout(() => setSuccessMessage(null), 5000);
+  };
+
+  const openCreateForm = () => {
+    setEditingId(null);
+    setFormData(emptyForm);
+    setShowForm(true);
+  };
+
+  const openEditForm = (promotion: Promotion) => {
+    setEditingId(promotion.id);
+    setFormData({
+      code: promotion.code,
+      description: promotion.description || '',
+      discount_type: promotion.discount_type,
+      discount_value: promotion.discount_type === 'free_delivery' ? '' : String(parseFloat(promotion.discount_value)),
+      max_discount: promotion.max_discount ? String(parseFloat(promotion.max_discount)) : '',
+      min_spend: parseFloat(promotion.min_spend) > 0 ? String(parseFloat(promotion.min_spend)) : '',
+      usage_limit: promotion.usage_limit ? String(promotion.usage_limit) : '',
+      per_customer_limit: promotion.per_customer_limit ? String(promotion.per_customer_limit) : '',
+      starts_at: toDateTimeInput(promotion.starts_at),
+      expires_at: toDateTimeInput(promotion.expires_at),
+      is_active: promotion.is_active
+    });
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingId(null);
+    setFormData(emptyForm);
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+
+    const payload = {
+      ...formData,
+      starts_at: formData.starts_at ? new Date(formData.starts_at).toISOString() : null,
+      expires_at: formData.expires_at ? new Date(formData.expires_at).toISOString() : null
+    };
+
+    try {
+      const response = editingId
+        ? await axios.put(`${endpoint}/${editingId}`, payload)
+        : await axios.post(endpoint, payload);
+      showSuccess(response.data.message);
+      closeForm();
+      fetchPromotions();
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to save promotion');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (promotion: Promotion) => {
+    setError(null);
+    try {
+      await axios.put(`${endpoint}/${promotion.id}`, {
+        ...promotion,
+        is_active: !promotion.is_active
+      });
+      fetchPromotions();
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to update promotion');
+    }
+  };
+
+  const handleDelete = async (promotion: Promotion) => {
+    if (!window.confirm(`Delete promo code ${promotion.code}?`)) return;
+
+    setError(null);
+    try {
+      const response = await axios.delete(`${endpoint}/${promotion.id}`);
+      showSuccess(response.data.message);
+      fetchPromotions();
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to delete promotion');
+    }
+  };
+
+  const getStatus = (promotion: Promotion) => {
+    const now = new Date();
+    if (!promotion.is_active) return { label: 'Inactive', className: 'bg-gray-100 text-gray-800' };
+    if (promotion.expires_at && new Date(promotion.expires_at) <= now) return { label: 'Expired', className: 'bg-red-100 text-red-800' };
+    if (promotion.starts_at && new Date(promotion.starts_at) > now) return { label: 'Scheduled', className: 'bg-yellow-100 text-yellow-800' };
+    if (promotion.usage_limit && promotion.usage_count >= promotion.usage_limit) return { label: 'Used up', className: 'bg-red-100 text-red-800' };
+    return { label: 'Active', className: 'bg-green-100 text-green-800' };
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">{title}</h2>
+          <p className="text-gray-600 mt-1">{subtitle}</p>
+        </div>
+        {!showForm && (
+          <button
+            onClick={openCreateForm}
+            className={`${classes.button} text-white px-4 py-2 rounded-lg font-medium`}
+          >
+            New Promo Code
+          </button>
+        )}
+      </div>
+
+      {successMessage && (
+        <div className="bg-green-50 border border-green-200 text-green-800 px-4 py-3 rounded-lg">
+          {successMessage}
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-800 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow p-4 sm:p-6 space-y-4">
+          <h3 className="text-lg font-semibold text-gray-900">{editingId ? 'Edit Promo Code' : 'New Promo Code'}</h3>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Code *</label>
+              <input
+                type="text"
+                value={formData.code}
+                onChange={(e) => setFormData({ ...formData, code: e.target.value.toUpperCase() })}
+                className={inputClass}
+                placeholder="SUMMER10"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Discount Type *</label>
+              <select
+                value={formData.discount_type}
+                onChange={(e) => setFormData({ ...formData, discount_type: e.target.value as PromotionFormData['discount_type'] })}
+                className={inputClass}
+              >
+                <option value="percentage">Percentage off</option>
+                <option value="fixed_amount">Fixed amount off</option>
+                <option value="free_delivery">Free delivery</option>
+              </select>
+            </div>
+            {formData.discount_type !== 'free_delivery' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  {formData.discount_type === 'percentage' ? 'Percent Off *' : 'Amount Off ($) *'}
+                </label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={formData.discount_value}
+                  onChange={(e) => setFormData({ ...formData, discount_value: e.target.value })}
+                  className={inputClass}
+                  required
+                />
+              </div>
+            )}
+            {formData.discount_type === 'percentage' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Maximum Discount ($)</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={formData.max_discount}
+                  onChange={(e) => setFormData({ ...formData, max_discount: e.target.value })}
+                  className={inputClass}
+                  placeholder="No cap"
+                />
+              </div>
+            )}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Minimum Spend ($)</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={formData.min_spend}
+                onChange={(e) => setFormData({ ...formData, min_spend: e.target.value })}
+                className={inputClass}
+                placeholder="0.00"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Total Uses</label>
+              <input
+                type="number"
+                min="1"
+                step="1"
+                value={formData.usage_limit}
+                onChange={(e) => setFormData({ ...formData, usage_limit: e.target.value })}
+                className={inputClass}
+                placeholder="Unlimited"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Uses Per Customer</label>
+              <input
+                type="number"
+                min="1"
+                step="1"
+                value={formData.per_customer_limit}
+                onChange={(e) => setFormData({ ...formData, per_customer_limit: e.target.value })}
+                className={inputClass}
+                placeholder="Unlimited"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Starts</label>
+              <input
+                type="datetime-local"
+                value={formData.starts_at}
+                onChange={(e) => setFormData({ ...formData, starts_at: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Expires</label>
+              <input
+                type="datetime-local"
+                value={formData.expires_at}
+                onChange={(e) => setFormData({ ...formData, expires_at: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+            <input
+              type="text"
+              value={formData.description}
+              onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+              className={inputClass}
+              placeholder="Shown to customers when the code is applied"
+            />
+          </div>
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={formData.is_active}
+              onChange={(e) => setFormData({ ...formData, is_active: e.target.checked })}
+              className="rounded border-gray-300"
+            />
+            <span>Active</span>
+          </label>
+          <div className="flex space-x-2">
+            <button
+              type="submit"
+              disabled={saving}
+              className={`${classes.button} text-white px-4 py-2 rounded-lg disabled:opacity-50`}
+            >
+              {saving ? 'Saving...' : editingId ? 'Save Changes' : 'Create Code'}
+            </button>
+            <button
+              type="button"
+              onClick={closeForm}
+              className="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-200"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className={`animate-spin rounded-full h-10 w-10 border-b-2 ${classes.spinner}`}></div>
+        </div>
+      ) : promotions.length === 0 ? (
+        <div className="bg-white rounded-lg shadow p-8 text-center text-gray-500">
+          No promo codes yet.
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Code</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Discount</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Usage</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Expires</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {promotions.map(promotion => {
+                const status = getStatus(promotion);
+                return (
+                  <tr key={promotion.id}>
+                    <td className="px-4 py-3">
+                      <p className="font-mono font-semibold text-gray-900">{promotion.code}</p>
+                      {promotion.description && <p className="text-xs text-gray-500">{promotion.description}</p>}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      {formatDiscount(promotion)}
+                      {parseFloat(promotion.min_spend) > 0 && (
+                        <p className="text-xs text-gray-500">Min. spend ${parseFloat(promotion.min_spend).toFixed(2)}</p>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      {promotion.usage_count}{promotion.usage_limit ? ` / ${promotion.usage_limit}` : ''}
+                      <p className="text-xs text-gray-500">${parseFloat(promotion.total_discount).toFixed(2)} discounted</p>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700">
+                      {promotion.expires_at ? new Date(promotion.expires_at).toLocaleDateString() : 'Never'}
+                    </td>
+                    <td className="px-4 py-3">
+                      <span className={`px-2 py-1 text-xs font-medium rounded-full ${status.className}`}>
+                        {status.label}
+                      </span>
+                    </td>
+                    <td className="px-4 py-3 text-right text-sm space-x-3 whitespace-nowrap">
+                      <button onClick={() => openEditForm(promotion)} className={classes.link}>
+                        Edit
+                      </button>
+                      <button onClick={() => handleToggleActive(promotion)} className="text-gray-600 hover:text-gray-800">
+                        {promotion.is_active ? 'Deactivate' : 'Activate'}
+                      </button>
+                      <button onClick={() => handleDelete(promotion)} className="text-red-600 hover:text-red-800">
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PromotionManager;
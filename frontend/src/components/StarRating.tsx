@@ -0,0 +1,48 @@
+import React from 'react';
+
+interface StarRatingProps {
+  rating: number;
+  size?: 'sm' | 'md' | 'lg';
+  onChange?: (rating: number) => void;
+}
+
+const sizeClasses = {
+  sm: 'w-4 h-4',
+  md: 'w-5 h-5',
+  lg: 'w-7 h-7'
+};
+
+const StarRating: React.FC<StarRatingProps> = ({ rating, size = 'md', onChange }) => {
+  return (
+    <div className="flex items-center">
+      {[1, 2, 3, 4, 5].map(star => {
+        const filled = rating >= star - 0.25;
+        const icon = (
+          <svg
+            className={`${sizeClasses[size]} ${filled ? 'text-yellow-400' : 'text-gray-300'}`}
+            fill="currentColor"
+            viewBox="0 0 20 20"
+          >
+            <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
+          </svg>
+        );
+
+        return onChange ? (
+          <button
+            key={star}
+            type="button"
+            onClick={() => onChange(star)}
+            className="focus:outline-none"
+            aria-label={`${star} star${star > 1 ? 's' : ''}`}
+          >
+            {icon}
+          </button>
+        ) : (
+          <span key={star}>{icon}</span>
+        );
+      })}
+    </div>
+  );
+};
+
+export default StarRating;
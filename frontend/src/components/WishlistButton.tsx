@@ -0,0 +1,48 @@
+import React, { useState } from 'react';
+import { useWishlist } from '../context/WishlistContext';
+
+interface WishlistButtonProps {
+  productId: number;
+  variantId?: number | null;
+  className?: string;
+}
+
+// Heart toggle that adds a product to (or removes it from) the customer's wishlist
+const WishlistButton: React.FC<WishlistButtonProps> = ({ productId, variantId, className = '' }) => {
+  const { isWishlisted, toggleWishlist } = useWishlist();
+  const [isSaving, setIsSaving] = useState(false);
+  const wishlisted = isWishlisted(productId);
+
+  const handleClick = async (e: React.MouseEvent) => {
+    e.stopPropagation();
+    setIsSaving(true);
+    try {
+      await toggleWishlist(productId, variantId);
+    } catch (error: any) {
+      alert(error.response?.data?.message || 'Failed to update wishlist');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <button
+      onClick={handleClick}
+      disabled={isSaving}
+      title={wishlisted ? 'Remove from wishlist' : 'Save to wishlist'}
+      aria-pressed={wishlisted}
+      className={`rounded-full bg-white p-2 shadow-md transition-colors hover:bg-gray-50 disabled:opacity-50 ${className}`}
+    >
+      <svg
+        className={`w-5 h-5 ${wishlisted ? 'text-red-500' : 'text-gray-500'}`}
+        fill={wishlisted ? 'currentColor' : 'none'}
+        stroke="currentColor"
+        viewBox="0 0 24 24"
+      >
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z" />
+      </svg>
+    </button>
+  );
+};
+
+export default WishlistButton;
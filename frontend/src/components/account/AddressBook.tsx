@@ -0,0 +1,392 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from '../../utils/axios';
+
+export interface SavedAddress {
+  id: number;
+  label: string | null;
+  fullName: string;
+  phone: string;
+  address: string;
+  city: string;
+  state: string;
+  zipCode: string;
+  country: string;
+  deliveryInstructions: string | null;
+  isDefault: boolean;
+}
+
+// An address from an order placed before the customer had an account
+export type SuggestedAddress = Omit<SavedAddress, 'id' | 'label' | 'isDefault'>;
+
+interface AddressForm {
+  label: string;
+  fullName: string;
+  phone: string;
+  address: string;
+  city: string;
+  state: string;
+  zipCode: string;
+  country: string;
+  deliveryInstructions: string;
+  isDefault: boolean;
+}
+
+interface AddressBookProps {
+  onSessionExpired: () => void;
+}
+
+const emptyForm: AddressForm = {
+  label: '',
+  fullName: '',
+  phone: '',
+  address: '',
+  city: '',
+  state: '',
+  zipCode: '',
+  country: 'United States',
+  deliveryInstructions: '',
+  isDefault: false
+};
+
+export const formatAddressLine = (address: SuggestedAddress) =>
+  `${address.address}, ${address.city}, ${address.state} ${address.zipCode}`;
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+const AddressBook: React.FC<AddressBookProps> = ({ onSessionExpired }) => {
+  const [addresses, setAddresses] = useState<SavedAddress[]>([]);
+  const [suggestions, setSuggestions] = useState<SuggestedAddress[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState<{ type: 'success' | 'error'; text: string } | null>(null);
+  // null: form closed, 0: adding a new address, otherwise the id being edited
+  const [editingId, setEditingId] = useState<number | null>(null);
+  const [form, setForm] = useState<AddressForm>(emptyForm);
+
+  const handleError = useCallback((error: any, fallback: string) => {
+    if (error.response?.status === 401 || error.response?.status === 403) {
+      setMessage({ type: 'error', text: 'Your session has expired. Please log in again.' });
+      setTimeout(onSessionExpired, 2000);
+    } else {
+      setMessage({ type: 'error', text: error.response?.data?.message || fallback });
+    }
+  }, [onSessionExpired]);
+
+  const loadAddresses = useCallback(async () => {
+    try {
+      const [addressesResponse, suggestionsResponse] = await Promise.all([
+        axios.get('/auth/addresses'),
+        axios.get('/auth/addresses/suggestions')
+      ]);
+      setAddresses(addressesResponse.data.data.addresses);
+      setSuggestions(suggestionsResponse.data.data.suggestions);
+    } catch (error: any) {
+      handleError(error, 'Failed to load your addresses');
+    } finally {
+      setLoading(false);
+    }
+  }, [handleError]);
+
+  useEffect(() => {
+    loadAddresses();
+  }, [loadAddresses]);
+
+  const openForm = (address?: SavedAddress) => {
+    setMessage(null);
+    setEditingId(address ? address.id : 0);
+    setForm(address
+      ? {
+          label: address.label || '',
+          fullName: address.fullName,
+          phone: address.phone,
+          address: address.address,
+          city: address.city,
+          state: address.state,
+          zipCode: address.zipCode,
+          country: address.country,
+          deliveryInstructions: address.deliveryInstructions || '',
+          isDefault: address.isDefault
+        }
+      : emptyForm);
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      if (editingId) {
+        await axios.put(`/auth/addresses/${editingId}`, form);
+      } else {
+        await axios.post('/auth/addresses', form);
+      }
+      setEditingId(null);
+      setMessage({ type: 'success', text: editingId ? 'Address updated' : 'Address saved' });
+      await loadAddresses();
+    } catch (error: any) {
+      handleError(error, 'Failed to save the address');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSetDefault = async (address: SavedAddress) => {
+    try {
+      await axios.put(`/auth/addresses/${address.id}`, { ...address, isDefault: true });
+      await loadAddresses();
+    } catch (error: any) {
+      handleError(error, 'Failed to update the default address');
+    }
+  };
+
+  const handleDelete = async (address: SavedAddress) => {
+    if (!window.confirm(`Remove ${address.label || formatAddressLine(address)} from your address book?`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/auth/addresses/${address.id}`);
+      await loadAddresses();
+    } catch (error: any) {
+      handleError(error, 'Failed to remove the address');
+    }
+  };
+
+  const handleSaveSuggestion = async (suggestion: SuggestedAddress) => {
+    try {
+      await axios.post('/auth/addresses', suggestion);
+      setMessage({ type: 'success', text: 'Address saved' });
+      await loadAddresses();
+    } catch (error: any) {
+      handleError(error, 'Failed to save the address');
+    }
+  };
+
+  if (loading) {
+    return <p className="text-gray-500">Loading addresses...</p>;
+  }
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-6">
+        <h3 className="text-lg font-medium text-gray-900">Address Book</h3>
+        {editingId === null && (
+          <button
+            onClick={() => openForm()}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors text-sm"
+          >
+            Add Address
+          </button>
+        )}
+      </div>
+
+      {message && (
+        <div className={`mb-4 p-3 rounded-lg text-sm ${
+          message.type === 'success'
+            ? 'bg-green-50 border border-green-200 text-green-700'
+            : 'bg-red-50 border border-red-200 text-red-700'
+        }`}>
+          {message.text}
+        </div>
+      )}
+
+      {suggestions.length > 0 && (
+        <div className="mb-6 p-4 border border-blue-200 bg-blue-50 rounded-lg">
+          <h4 className="font-medium text-blue-800 mb-1">Save addresses from your earlier orders?</h4>
+          <p className="text-sm text-blue-700 mb-3">
+            You've ordered to these addresses before creating your account.
+          </p>
+          <div className="space-y-2">
+            {suggestions.map(suggestion => (
+              <div key={formatAddressLine(suggestion)} className="flex items-center justify-between bg-white rounded-lg px-3 py-2">
+                <div className="text-sm">
+                  <p className="font-medium text-gray-900">{suggestion.fullName}</p>
+                  <p className="text-gray-600">{formatAddressLine(suggestion)}</p>
+                </div>
+                <button
+                  onClick={() => handleSaveSuggestion(suggestion)}
+                  className="text-blue-600 hover:text-blue-800 text-sm font-medium"
+                >
+                  Save
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {editingId !== null && (
+        <form onSubmit={handleSubmit} className="space-y-4 mb-6 p-4 border rounded-lg">
+          <div className="grid md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Label</label>
+              <input
+                type="text"
+                value={form.label}
+                onChange={(e) => setForm({ ...form, label: e.target.value })}
+                className={inputClassName}
+                placeholder="Home, Work..."
+                maxLength={50}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Full Name *</label>
+              <input
+                type="text"
+                value={form.fullName}
+                onChange={(e) => setForm({ ...form, fullName: e.target.value })}
+                className={inputClassName}
+                required
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Phone Number *</label>
+            <input
+              type="tel"
+              value={form.phone}
+              onChange={(e) => setForm({ ...form, phone: e.target.value })}
+              className={inputClassName}
+              required
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Street Address *</label>
+            <input
+              type="text"
+              value={form.address}
+              onChange={(e) => setForm({ ...form, address: e.target.value })}
+              className={inputClassName}
+              required
+            />
+          </div>
+
+          <div className="grid md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">City *</label>
+              <input
+                type="text"
+                value={form.city}
+                onChange={(e) => setForm({ ...form, city: e.target.value })}
+                className={inputClassName}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">State *</label>
+              <input
+                type="text"
+                value={form.state}
+                onChange={(e) => setForm({ ...form, state: e.target.value })}
+                className={inputClassName}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">ZIP Code *</label>
+              <input
+                type="text"
+                value={form.zipCode}
+                onChange={(e) => setForm({ ...form, zipCode: e.target.value })}
+                className={inputClassName}
+                required
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Country</label>
+            <select
+              value={form.country}
+              onChange={(e) => setForm({ ...form, country: e.target.value })}
+              className={inputClassName}
+            >
+              <option value="United States">United States</option>
+              <option value="Canada">Canada</option>
+              <option value="United Kingdom">United Kingdom</option>
+              <option value="Other">Other</option>
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Delivery Instructions</label>
+            <textarea
+              rows={2}
+              value={form.deliveryInstructions}
+              onChange={(e) => setForm({ ...form, deliveryInstructions: e.target.value })}
+              className={`${inputClassName} resize-none`}
+            />
+          </div>
+
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={form.isDefault}
+              onChange={(e) => setForm({ ...form, isDefault: e.target.checked })}
+              className="mr-2 h-4 w-4 text-blue-600 border-gray-300 rounded"
+            />
+            Use as my default delivery address
+          </label>
+
+          <div className="flex space-x-3">
+            <button
+              type="submit"
+              disabled={saving}
+              className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+            >
+              {saving ? 'Saving...' : 'Save Address'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setEditingId(null)}
+              className="px-6 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {addresses.length === 0 ? (
+        <p className="text-gray-500 text-sm">
+          You haven't saved any addresses yet. Saved addresses can be picked at checkout.
+        </p>
+      ) : (
+        <div className="space-y-3">
+          {addresses.map(address => (
+            <div key={address.id} className="flex items-start justify-between p-4 border rounded-lg">
+              <div className="text-sm">
+                <div className="flex items-center space-x-2 mb-1">
+                  <span className="font-medium text-gray-900">{address.label || address.fullName}</span>
+                  {address.isDefault && (
+                    <span className="px-2 py-0.5 bg-blue-100 text-blue-700 rounded-full text-xs font-medium">Default</span>
+                  )}
+                </div>
+                {address.label && <p className="text-gray-700">{address.fullName}</p>}
+                <p className="text-gray-600">{formatAddressLine(address)}</p>
+                <p className="text-gray-600">{address.country} · {address.phone}</p>
+              </div>
+              <div className="flex flex-col items-end space-y-1 text-sm">
+                <button onClick={() => openForm(address)} className="text-blue-600 hover:text-blue-800">
+                  Edit
+                </button>
+                {!address.isDefault && (
+                  <button onClick={() => handleSetDefault(address)} className="text-gray-600 hover:text-gray-900">
+                    Set as default
+                  </button>
+                )}
+                <button onClick={() => handleDelete(address)} className="text-red-600 hover:text-red-800">
+                  Remove
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AddressBook;
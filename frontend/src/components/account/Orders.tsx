@@ -1,5 +1,7 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import axios from '../../utils/axios';
+import StarRating from '../StarRating';
+import { useCurrency, PLATFORM_CURRENCY } from '../../context/CurrencyContext';
 
 interface User {
   id: number;
@@ -25,23 +27,87 @@ interface OrderItem {
 interface Order {
   id: number;
   orderNumber?: string;
-  status: 'pending' | 'confirmed' | 'processing' | 'shipped' | 'delivered' | 'cancelled';
+  status: 'pending' | 'confirmed' | 'processing' | 'shipped' | 'assigned' | 'picked_up' | 'in_transit' | 'delivered' | 'cancelled';
   items: OrderItem[];
   total: number;
+  subtotal?: number | null;
+  discountAmount?: number;
+  deliveryFee?: number;
+  taxLines?: OrderTaxLine[];
+  currency?: string;
+  chargedAmount?: number | null;
   shippingAddress?: string;
   paymentMethod: string;
   orderDate: string;
   estimatedDelivery?: string;
   trackingNumber?: string;
   itemCount: number;
+  deliveryRating?: DeliveryRating | null;
+  canRateDelivery?: boolean;
 }
 
+interface OrderTaxLine {
+  name: string;
+  ratePercent: number;
+  taxAmount: number;
+  pricesIncludeTax: boolean;
+}
+
+interface DeliveryRating {
+  id: number;
+  rating: number;
+  feedback: string | null;
+  createdAt: string;
+}
+
+interface TrackingEvent {
+  status: string;
+  timestamp: string;
+  notes: string | null;
+}
+
+interface OrderTracking {
+  orderId: number;
+  status: Order['status'];
+  estimatedDelivery: string | null;
+  deliveryPin: string | null;
+  timeline: TrackingEvent[];
+  driver: {
+    firstName: string | null;
+    vehicleType: string;
+    vehiclePlate: string;
+  } | null;
+  driverLocation: {
+    latitude: number;
+    longitude: number;
+    updatedAt: string;
+  } | null;
+}
+
+const TRACKING_LABELS: Record<string, string> = {
+  placed: 'Order placed',
+  assigned: 'Driver assigned',
+  picked_up: 'Picked up from the store',
+  in_transit: 'On the way to you',
+  reassigned: 'Finding a new driver',
+  delivered: 'Delivered',
+  cancelled: 'Cancelled'
+};
+
+// No more updates to wait for once an order reaches one of these
+const FINAL_STATUSES = ['delivered', 'cancelled'];
+
 const Orders: React.FC<OrdersProps> = ({ user }) => {
+  const { formatMoney } = useCurrency();
   const [orders, setOrders] = useState<Order[]>([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [selectedStatus, setSelectedStatus] = useState<'all' | Order['status']>('all');
   const [selectedOrder, setSelectedOrder] = useState<Order | null>(null);
+  const [tracking, setTracking] = useState<OrderTracking | null>(null);
+  const [ratingForm, setRatingForm] = useState({ rating: 0, feedback: '' });
+  const [ratingSubmitting, setRatingSubmitting] = useState(false);
+  const [ratingError, setRatingError] = useState('');
 
   useEffect(() => {
     fetchUserOrders();
@@ -101,15 +167,25 @@ const Orders: React.FC<OrdersProps> = ({ user }) => {
             imageUrl: item.imageUrl || '/placeholder-product.png'
           })),
           total: orderData.total,
+          subtotal: orderData.subtotal,
+          discountAmount: orderData.discountAmount,
+          deliveryFee: orderData.deliveryFee,
+          taxLines: orderData.taxLines,
+          currency: orderData.currency,
+          chargedAmount: orderData.chargedAmount,
           shippingAddress: orderData.shippingAddress,
           paymentMethod: orderData.paymentMethod,
           orderDate: orderData.orderDate,
           estimatedDelivery: orderData.estimatedDelivery,
           trackingNumber: orderData.trackingNumber,
-          itemCount: orderData.items.length
+          itemCount: orderData.items.length,
+          deliveryRating: orderData.deliveryRating,
+          canRateDelivery: orderData.canRateDelivery
         };
         
         setSelectedOrder(detailedOrder);
+        setRatingForm({ rating: 0, feedback: '' });
+        setRatingError('');
       }
     } catch (error: any) {
       console.error('Error fetching order details:', error);
@@ -117,6 +193,81 @@ const Orders: React.FC<OrdersProps> = ({ user }) => {
     }
   };
 
+  const submitDeliveryRating = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!selectedOrder) {
+      return;
+    }
+    if (ratingForm.rating === 0) {
+      setRatingError('Please choose a star rating');
+      return;
+    }
+
+    try {
+      setRatingSubmitting(true);
+      setRatingError('');
+      const response = await axios.post(`/orders/${selectedOrder.id}/rating`, ratingForm);
+      setSelectedOrder({ ...selectedOrder, deliveryRating: response.data.data, canRateDelivery: false });
+    } catch (error: any) {
+      setRatingError(error.response?.data?.message || 'Failed to submit your rating');
+    } finally {
+      setRatingSubmitting(false);
+    }
+  };
+
+  const applyTracking = useCallback((update: OrderTracking) => {
+    setTracking(update);
+    setSelectedOrder(current => (current && current.id === update.orderId ? { ...current, status: update.status } : current));
+    setOrders(current => current.map(order => (order.id === update.orderId ? { ...order, status: update.status } : order)));
+  }, []);
+
+  const selectedOrderId = selectedOrder ? selectedOrder.id : null;
+
+  // Load the tracking timeline, then keep it current over a Server-Sent Events stream
+  useEffect(() => {
+    setTracking(null);
+    if (selectedOrderId === null) {
+      return;
+    }
+
+    let stream: EventSource | null = null;
+    let cancelled = false;
+
+    const startTracking = async () => {
+      try {
+        const response = await axios.get(`/orders/${selectedOrderId}/tracking`);
+        if (cancelled || !response.data.success) {
+          return;
+        }
+        applyTracking(response.data.data);
+
+        if (FINAL_STATUSES.includes(response.data.data.status)) {
+          return;
+        }
+
+        stream = new EventSource(`${axios.defaults.baseURL}/orders/${selectedOrderId}/tracking/stream`, { withCredentials: true });
+        stream.addEventListener('tracking', (event) => {
+          const update: OrderTracking = JSON.parse((event as MessageEvent).data);
+          applyTracking(update);
+          if (FINAL_STATUSES.includes(update.status) && stream) {
+            stream.close();
+          }
+        });
+      } catch (error: any) {
+        console.error('Error fetching order tracking:', error);
+      }
+    };
+
+    startTracking();
+
+    return () => {
+      cancelled = true;
+      if (stream) {
+        stream.close();
+      }
+    };
+  }, [selectedOrderId, applyTracking]);
+
   const filteredOrders = orders.filter(order => 
     selectedStatus === 'all' || order.status === selectedStatus
   );
@@ -131,6 +282,10 @@ const Orders: React.FC<OrdersProps> = ({ user }) => {
         return 'bg-purple-100 text-purple-800';
       case 'shipped':
         return 'bg-indigo-100 text-indigo-800';
+      case 'assigned':
+      case 'picked_up':
+      case 'in_transit':
+        return 'bg-orange-100 text-orange-800';
       case 'delivered':
         return 'bg-green-100 text-green-800';
       case 'cancelled':
@@ -194,6 +349,11 @@ const Orders: React.FC<OrdersProps> = ({ user }) => {
   };
 
   if (selectedOrder) {
+    // An order delivered while it was open only becomes rateable through the tracking stream
+    const canRateDelivery = !selectedOrder.deliveryRating && (
+      selectedOrder.canRateDelivery || (selectedOrder.status === 'delivered' && !!tracking?.driver)
+    );
+
     return (
       <div className="p-6">
         <div className="flex items-center mb-6">
@@ -218,7 +378,7 @@ const Orders: React.FC<OrdersProps> = ({ user }) => {
                 </div>
                 <span className={`inline-flex items-center space-x-2 px-3 py-1 rounded-full text-sm font-medium ${getStatusColor(selectedOrder.status)}`}>
                   {getStatusIcon(selectedOrder.status)}
-                  <span className="capitalize">{selectedOrder.status}</span>
+                  <span className="capitalize">{selectedOrder.status.replace('_', ' ')}</span>
                 </span>
               </div>
 
@@ -243,6 +403,92 @@ const Orders: React.FC<OrdersProps> = ({ user }) => {
                 ))}
               </div>
 
+              {tracking && tracking.deliveryPin && !FINAL_STATUSES.includes(tracking.status) && (
+                <div className="mt-6 p-4 bg-blue-50 border border-blue-200 rounded-lg">
+                  <h4 className="font-medium text-blue-900 mb-1">Delivery PIN</h4>
+                  <p className="text-3xl font-bold tracking-widest text-blue-900 font-mono">{tracking.deliveryPin}</p>
+                  <p className="text-sm text-blue-800 mt-1">Give this code to your driver when they hand over your order.</p>
+                </div>
+              )}
+
+              {tracking && tracking.timeline.length > 1 && (
+                <div className="mt-6 p-4 border rounded-lg">
+                  <h4 className="font-medium text-gray-900 mb-4">Delivery Tracking</h4>
+
+                  {tracking.driver && (
+                    <p className="text-sm text-gray-700 mb-4">
+                      {tracking.driver.firstName || 'Your driver'} is delivering your order
+                      {tracking.driver.vehicleType && ` in a ${tracking.driver.vehicleType}`}
+                      {tracking.driver.vehiclePlate && ` (${tracking.driver.vehiclePlate})`}.
+                    </p>
+                  )}
+
+                  <ol className="space-y-3">
+                    {tracking.timeline.map((event, index) => (
+                      <li key={`${event.status}-${index}`} className="flex items-start space-x-3">
+                        <span className={`mt-1 w-3 h-3 rounded-full flex-shrink-0 ${
+                          index === tracking.timeline.length - 1 ? 'bg-blue-600' : 'bg-gray-300'
+                        }`}></span>
+                        <div>
+                          <p className="text-sm font-medium text-gray-900">{TRACKING_LABELS[event.status] || event.status}</p>
+                          <p className="text-xs text-gray-500">{formatDate(event.timestamp)}</p>
+                          {event.notes && <p className="text-xs text-gray-600">{event.notes}</p>}
+                        </div>
+                      </li>
+                    ))}
+                  </ol>
+
+                  {tracking.driverLocation && (
+                    <div className="mt-4 p-3 bg-blue-50 rounded text-sm text-blue-800">
+                      Driver's last known position, updated {formatDate(tracking.driverLocation.updatedAt)}.{' '}
+                      <a
+                        href={`https://www.openstreetmap.org/?mlat=${tracking.driverLocation.latitude}&mlon=${tracking.driverLocation.longitude}#map=16/${tracking.driverLocation.latitude}/${tracking.driverLocation.longitude}`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="font-medium underline"
+                      >
+                        View on map
+                      </a>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {selectedOrder.deliveryRating ? (
+                <div className="mt-6 p-4 border rounded-lg">
+                  <h4 className="font-medium text-gray-900 mb-2">Your Delivery Rating</h4>
+                  <StarRating rating={selectedOrder.deliveryRating.rating} />
+                  {selectedOrder.deliveryRating.feedback && (
+                    <p className="text-sm text-gray-600 mt-2">{selectedOrder.deliveryRating.feedback}</p>
+                  )}
+                </div>
+              ) : canRateDelivery && (
+                <form onSubmit={submitDeliveryRating} className="mt-6 p-4 border rounded-lg space-y-3">
+                  <h4 className="font-medium text-gray-900">How was your delivery?</h4>
+                  <StarRating
+                    rating={ratingForm.rating}
+                    size="lg"
+                    onChange={(rating) => setRatingForm({ ...ratingForm, rating })}
+                  />
+                  <textarea
+                    placeholder="Tell us about your driver and delivery (optional)"
+                    value={ratingForm.feedback}
+                    rows={3}
+                    maxLength={1000}
+                    onChange={(e) => setRatingForm({ ...ratingForm, feedback: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                  />
+                  {ratingError && <p className="text-sm text-red-600">{ratingError}</p>}
+                  <button
+                    type="submit"
+                    disabled={ratingSubmitting}
+                    className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    {ratingSubmitting ? 'Submitting...' : 'Submit Rating'}
+                  </button>
+                </form>
+              )}
+
               {selectedOrder.trackingNumber && (
                 <div className="mt-6 p-4 bg-blue-50 border border-blue-200 rounded-lg">
                   <h4 className="font-medium text-blue-900 mb-2">Tracking Information</h4>
@@ -261,17 +507,41 @@ const Orders: React.FC<OrdersProps> = ({ user }) => {
               <div className="space-y-2">
                 <div className="flex justify-between">
                   <span className="text-gray-600">Subtotal</span>
-                  <span className="text-gray-900">${selectedOrder.total.toFixed(2)}</span>
+                  <span className="text-gray-900">
+                    ${(selectedOrder.subtotal ?? selectedOrder.total - (selectedOrder.deliveryFee || 0)).toFixed(2)}
+                  </span>
                 </div>
+                {!!selectedOrder.discountAmount && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Discount</span>
+                    <span className="text-green-700">-${selectedOrder.discountAmount.toFixed(2)}</span>
+                  </div>
+                )}
                 <div className="flex justify-between">
-                  <span className="text-gray-600">Shipping</span>
-                  <span className="text-gray-900">Free</span>
+                  <span className="text-gray-600">Delivery</span>
+                  <span className="text-gray-900">
+                    {selectedOrder.deliveryFee ? `$${selectedOrder.deliveryFee.toFixed(2)}` : 'Free'}
+                  </span>
                 </div>
+                {(selectedOrder.taxLines || []).map(line => (
+                  <div key={`${line.name}-${line.pricesIncludeTax}`} className="flex justify-between">
+                    <span className="text-gray-600">
+                      {line.name} tax ({line.ratePercent}%){line.pricesIncludeTax && ', included'}
+                    </span>
+                    <span className="text-gray-900">${line.taxAmount.toFixed(2)}</span>
+                  </div>
+                ))}
                 <div className="border-t pt-2">
                   <div className="flex justify-between font-medium">
                     <span className="text-gray-900">Total</span>
                     <span className="text-gray-900">${selectedOrder.total.toFixed(2)}</span>
                   </div>
+                  {selectedOrder.currency && selectedOrder.currency !== PLATFORM_CURRENCY && selectedOrder.chargedAmount != null && (
+                    <div className="flex justify-between text-sm">
+                      <span className="text-gray-600">Charged in {selectedOrder.currency}</span>
+                      <span className="text-gray-900">{formatMoney(selectedOrder.chargedAmount, selectedOrder.currency)}</span>
+                    </div>
+                  )}
                 </div>
               </div>
             </div>
@@ -402,7 +672,7 @@ const Orders: React.FC<OrdersProps> = ({ user }) => {
                   </div>
                   <span className={`inline-flex items-center space-x-2 px-3 py-1 rounded-full text-sm font-medium ${getStatusColor(order.status)}`}>
                     {getStatusIcon(order.status)}
-                    <span className="capitalize">{order.status}</span>
+                    <span className="capitalize">{order.status.replace('_', ' ')}</span>
                   </span>
                 </div>
                 <div className="text-right">
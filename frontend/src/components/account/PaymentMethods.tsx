@@ -0,0 +1,115 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from '../../utils/axios';
+
+export interface SavedCard {
+  id: string;
+  brand: string;
+  last4: string;
+  expMonth: number;
+  expYear: number;
+}
+
+interface PaymentMethodsProps {
+  onSessionExpired: () => void;
+}
+
+export const formatCardLabel = (card: SavedCard) =>
+  `${card.brand.charAt(0).toUpperCase()}${card.brand.slice(1)} ending in ${card.last4}`;
+
+export const formatCardExpiry = (card: SavedCard) =>
+  `${String(card.expMonth).padStart(2, '0')}/${String(card.expYear).slice(-2)}`;
+
+const PaymentMethods: React.FC<PaymentMethodsProps> = ({ onSessionExpired }) => {
+  const [cards, setCards] = useState<SavedCard[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [removingId, setRemovingId] = useState<string | null>(null);
+  const [message, setMessage] = useState<{ type: 'success' | 'error'; text: string } | null>(null);
+
+  const handleError = useCallback((error: any, fallback: string) => {
+    if (error.response?.status === 401 || error.response?.status === 403) {
+      setMessage({ type: 'error', text: 'Your session has expired. Please log in again.' });
+      setTimeout(onSessionExpired, 2000);
+    } else {
+      setMessage({ type: 'error', text: error.response?.data?.message || fallback });
+    }
+  }, [onSessionExpired]);
+
+  const loadCards = useCallback(async () => {
+    try {
+      const response = await axios.get('/checkout/payment-methods');
+      setCards(response.data.data.paymentMethods);
+    } catch (error: any) {
+      handleError(error, 'Failed to load your saved cards');
+    } finally {
+      setLoading(false);
+    }
+  }, [handleError]);
+
+  useEffect(() => {
+    loadCards();
+  }, [loadCards]);
+
+  const handleRemove = async (card: SavedCard) => {
+    if (!window.confirm(`Remove your ${formatCardLabel(card)}?`)) {
+      return;
+    }
+
+    setRemovingId(card.id);
+    try {
+      await axios.delete(`/checkout/payment-methods/${card.id}`);
+      setCards(prev => prev.filter(saved => saved.id !== card.id));
+      setMessage({ type: 'success', text: 'Card removed' });
+    } catch (error: any) {
+      handleError(error, 'Failed to remove the card');
+    } finally {
+      setRemovingId(null);
+    }
+  };
+
+  if (loading) {
+    return <p className="text-gray-500">Loading saved cards...</p>;
+  }
+
+  return (
+    <div>
+      <h3 className="text-lg font-medium text-gray-900 mb-2">Payment Methods</h3>
+      <p className="text-sm text-gray-600 mb-6">
+        Cards you pay with at checkout are saved here so you can use them again. Card details are stored by Stripe, not Afrozy.
+      </p>
+
+      {message && (
+        <div className={`mb-4 p-3 rounded-lg text-sm ${
+          message.type === 'success'
+            ? 'bg-green-50 border border-green-200 text-green-700'
+            : 'bg-red-50 border border-red-200 text-red-700'
+        }`}>
+          {message.text}
+        </div>
+      )}
+
+      {cards.length === 0 ? (
+        <p className="text-gray-500 text-sm">You don't have any saved cards yet.</p>
+      ) : (
+        <div className="space-y-3">
+          {cards.map(card => (
+            <div key={card.id} className="flex items-center justify-between p-4 border rounded-lg">
+              <div className="text-sm">
+                <p className="font-medium text-gray-900">💳 {formatCardLabel(card)}</p>
+                <p className="text-gray-600">Expires {formatCardExpiry(card)}</p>
+              </div>
+              <button
+                onClick={() => handleRemove(card)}
+                disabled={removingId === card.id}
+                className="text-red-600 hover:text-red-800 text-sm disabled:opacity-50"
+              >
+                {removingId === card.id ? 'Removing...' : 'Remove'}
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PaymentMethods;
@@ -1,6 +1,8 @@
 import React, { useState } from 'react';
 import axios from '../../utils/axios';
 import { useCart } from '../../context/CartContext';
+import AddressBook from './AddressBook';
+import PaymentMethods from './PaymentMethods';
 
 interface User {
   id: number;
@@ -20,7 +22,7 @@ interface SettingsProps {
 
 const Settings: React.FC<SettingsProps> = ({ user, onLogout }) => {
   const { setUser } = useCart();
-  const [activeTab, setActiveTab] = useState<'profile' | 'password' | 'notifications' | 'privacy'>('profile');
+  const [activeTab, setActiveTab] = useState<'profile' | 'addresses' | 'payment' | 'password' | 'notifications' | 'privacy'>('profile');
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState<{ type: 'success' | 'error'; text: string } | null>(null);
 
@@ -146,6 +148,8 @@ const Settings: React.FC<SettingsProps> = ({ user, onLogout }) => {
 
   const tabs = [
     { key: 'profile', label: 'Profile', icon: '👤' },
+    { key: 'addresses', label: 'Addresses', icon: '📍' },
+    { key: 'payment', label: 'Payment Methods', icon: '💳' },
     { key: 'password', label: 'Password', icon: '🔒' },
     { key: 'notifications', label: 'Notifications', icon: '🔔' },
     { key: 'privacy', label: 'Privacy', icon: '🛡️' }
@@ -280,6 +284,14 @@ const Settings: React.FC<SettingsProps> = ({ user, onLogout }) => {
               </div>
             )}
 
+            {activeTab === 'addresses' && (
+              <AddressBook onSessionExpired={onLogout} />
+            )}
+
+            {activeTab === 'payment' && (
+              <PaymentMethods onSessionExpired={onLogout} />
+            )}
+
             {activeTab === 'password' && (
               <div>
                 <h3 className="text-lg font-medium text-gray-900 mb-6">Change Password</h3>
@@ -0,0 +1,208 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from '../../utils/axios';
+import { useCart, formatVariantOptions } from '../../context/CartContext';
+import { useWishlist } from '../../context/WishlistContext';
+import { useCurrency } from '../../context/CurrencyContext';
+
+interface WishlistItem {
+  id: number;
+  product_id: number;
+  variant_id: number | null;
+  quantity: number;
+  name: string;
+  price: string;
+  currency: string;
+  price_when_added: string | null;
+  image_url: string;
+  stock_quantity: number;
+  variant_options?: Record<string, string> | null;
+}
+
+interface WishlistList {
+  id: number;
+  name: string;
+  list_type: 'wishlist' | 'saved_for_later';
+  items: WishlistItem[];
+}
+
+const Wishlist: React.FC = () => {
+  const { loadCart } = useCart();
+  const { formatPrice } = useCurrency();
+  const { loadWishlist } = useWishlist();
+  const [lists, setLists] = useState<WishlistList[]>([]);
+  const [newListName, setNewListName] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [busyItemId, setBusyItemId] = useState<number | null>(null);
+  const [message, setMessage] = useState<{ type: 'success' | 'error', text: string } | null>(null);
+
+  const fetchLists = useCallback(async () => {
+    try {
+      const response = await axios.get('/wishlist');
+      setLists(response.data.data);
+    } catch (error: any) {
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Failed to load wishlists' });
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchLists();
+  }, [fetchLists]);
+
+  const runAction = async (action: () => Promise<any>, itemId: number | null = null) => {
+    setBusyItemId(itemId);
+    setMessage(null);
+    try {
+      const response = await action();
+      setMessage({ type: 'success', text: response.data.message });
+      await fetchLists();
+      loadWishlist();
+    } catch (error: any) {
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Something went wrong' });
+    } finally {
+      setBusyItemId(null);
+    }
+  };
+
+  const handleCreateList = (e: React.FormEvent) => {
+    e.preventDefault();
+    runAction(async () => {
+      const response = await axios.post('/wishlist', { name: newListName });
+      setNewListName('');
+      return response;
+    });
+  };
+
+  const handleDeleteList = (list: WishlistList) => {
+    if (!window.confirm(`Delete "${list.name}" and everything in it?`)) return;
+    runAction(() => axios.delete(`/wishlist/${list.id}`));
+  };
+
+  const handleMoveToCart = (item: WishlistItem) => {
+    runAction(async () => {
+      const response = await axios.post(`/wishlist/items/${item.id}/move-to-cart`);
+      await loadCart();
+      return response;
+    }, item.id);
+  };
+
+  const handleRemoveItem = (item: WishlistItem) => {
+    runAction(() => axios.delete(`/wishlist/items/${item.id}`), item.id);
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h2 className="text-2xl font-bold text-gray-900">Wishlists</h2>
+        <form onSubmit={handleCreateList} className="flex space-x-2">
+          <input
+            type="text"
+            value={newListName}
+            onChange={(e) => setNewListName(e.target.value)}
+            placeholder="New list name"
+            maxLength={100}
+            className="border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            required
+          />
+          <button
+            type="submit"
+            className="bg-blue-600 text-white px-4 py-2 rounded-md text-sm hover:bg-blue-700"
+          >
+            Create List
+          </button>
+        </form>
+      </div>
+
+      {message && (
+        <div className={`p-4 rounded-md ${message.type === 'success' ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`}>
+          {message.text}
+        </div>
+      )}
+
+      {lists.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-sm p-8 text-center text-gray-500">
+          Tap the heart on any product to start a wishlist.
+        </div>
+      ) : (
+        lists.map(list => (
+          <div key={list.id} className="bg-white rounded-lg shadow-sm p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900">
+                {list.name}
+                <span className="ml-2 text-sm text-gray-500">({list.items.length})</span>
+              </h3>
+              <button
+                onClick={() => handleDeleteList(list)}
+                className="text-sm text-red-600 hover:text-red-800"
+              >
+                Delete List
+              </button>
+            </div>
+
+            {list.items.length === 0 ? (
+              <p className="text-sm text-gray-500">This list is empty.</p>
+            ) : (
+              <div className="divide-y divide-gray-200">
+                {list.items.map(item => {
+                  const price = parseFloat(item.price);
+                  const priceWhenAdded = item.price_when_added !== null ? parseFloat(item.price_when_added) : null;
+                  const inStock = item.stock_quantity > 0;
+
+                  return (
+                    <div key={item.id} className="flex items-center space-x-4 py-3">
+                      <img src={item.image_url} alt={item.name} className="h-16 w-16 rounded-md object-cover" />
+                      <div className="flex-1 min-w-0">
+                        <a href={`/product/${item.product_id}`} className="text-sm font-medium text-gray-900 hover:text-blue-600 truncate block">
+                          {item.name}
+                        </a>
+                        {item.variant_options && (
+                          <p className="text-xs text-gray-500">{formatVariantOptions(item.variant_options)}</p>
+                        )}
+                        <p className="text-sm text-gray-600">
+                          {formatPrice(price, item.currency)}
+                          {priceWhenAdded !== null && price < priceWhenAdded && (
+                            <span className="ml-2 text-xs text-green-600">
+                              Down from {formatPrice(priceWhenAdded, item.currency)}
+                            </span>
+                          )}
+                        </p>
+                        {!inStock && <p className="text-xs text-red-600">Out of stock</p>}
+                      </div>
+                      <div className="flex flex-col items-end space-y-1">
+                        <button
+                          onClick={() => handleMoveToCart(item)}
+                          disabled={!inStock || busyItemId === item.id}
+                          className="bg-blue-600 text-white px-3 py-1 rounded-md text-xs hover:bg-blue-700 disabled:opacity-50"
+                        >
+                          Move to Cart
+                        </button>
+                        <button
+                          onClick={() => handleRemoveItem(item)}
+                          disabled={busyItemId === item.id}
+                          className="text-xs text-red-600 hover:text-red-800 disabled:opacity-50"
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default Wishlist;
@@ -1,79 +1,152 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from '../../utils/axios';
+
+type Bucket = 'day' | 'week' | 'month';
+
+interface OrderSummary {
+  totalOrders: number;
+  totalRevenue: number;
+  averageOrderValue: number;
+  commissionEarned: number;
+  refundedOrders: number;
+  refundedAmount: number;
+  refundRate: number;
+}
+
+interface Overview extends OrderSummary {
+  previous: OrderSummary;
+  changes: { [key: string]: number | null };
+}
+
+interface RevenuePoint {
+  period: string;
+  revenue: number;
+  orders: number;
+}
+
+interface StatusCount {
+  status: string;
+  count: number;
+  totalAmount: number;
+}
+
+interface CustomerStats {
+  newCustomers: number;
+  returningCustomers: number;
+  returningRate: number;
+  guestOrders: number;
+  signups: number;
+}
+
+interface TopStore {
+  id: number;
+  storeName: string;
+  orders: number;
+  unitsSold: number;
+  revenue: number;
+}
+
+interface TopProduct {
+  id: number;
+  name: string;
+  category: string;
+  storeName: string | null;
+  unitsSold: number;
+  revenue: number;
+}
 
 interface AnalyticsData {
-  salesData: {
-    labels: string[];
-    values: number[];
-  };
-  categoryData: {
-    category: string;
-    sales: number;
-    revenue: number;
-  }[];
-  monthlyRevenue: {
-    month: string;
-    revenue: number;
-  }[];
-  topProducts: {
-    name: string;
-    sales: number;
-    revenue: number;
-  }[];
+  overview: Overview | null;
+  revenue: RevenuePoint[];
+  bucket: Bucket;
+  ordersByStatus: StatusCount[];
+  customers: CustomerStats | null;
+  topStores: TopStore[];
+  topProducts: TopProduct[];
 }
 
+const statusColors: { [status: string]: string } = {
+  pending: 'bg-yellow-500',
+  confirmed: 'bg-blue-500',
+  completed: 'bg-green-500',
+  delivered: 'bg-green-600',
+  cancelled: 'bg-red-500'
+};
+
+const formatCurrency = (amount: number) =>
+  `$${amount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatPeriod = (period: string, bucket: Bucket) => {
+  const date = new Date(period);
+  if (bucket === 'month') {
+    return date.toLocaleDateString(undefined, { month: 'short', year: '2-digit' });
+  }
+  return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+};
+
+const ChangeLabel: React.FC<{ change: number | null | undefined, invert?: boolean }> = ({ change, invert = false }) => {
+  if (change === null || change === undefined) {
+    return <p className="text-sm text-gray-400">No previous data</p>;
+  }
+  // For metrics like refund rate, going up is bad
+  const good = invert ? change <= 0 : change >= 0;
+  return (
+    <p className={`text-sm ${good ? 'text-green-600' : 'text-red-600'}`}>
+      {change >= 0 ? '+' : ''}{change}% vs previous period
+    </p>
+  );
+};
+
 const Analytics: React.FC = () => {
   const [analyticsData, setAnalyticsData] = useState<AnalyticsData>({
-    salesData: { labels: [], values: [] },
-    categoryData: [],
-    monthlyRevenue: [],
+    overview: null,
+    revenue: [],
+    bucket: 'day',
+    ordersByStatus: [],
+    customers: null,
+    topStores: [],
     topProducts: []
   });
   const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
   const [timeRange, setTimeRange] = useState('30days');
+  const [bucket, setBucket] = useState<Bucket | ''>('');
 
-  useEffect(() => {
-    fetchAnalyticsData();
-  }, [timeRange]);
-
-  const fetchAnalyticsData = async () => {
+  const fetchAnalyticsData = useCallback(async () => {
     try {
       setLoading(true);
-      // Mock analytics data
-      const mockData: AnalyticsData = {
-        salesData: {
-          labels: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun'],
-          values: [120, 190, 300, 500, 200, 300]
-        },
-        categoryData: [
-          { category: 'Electronics', sales: 45, revenue: 12500 },
-          { category: 'Clothing', sales: 32, revenue: 8900 },
-          { category: 'Home & Kitchen', sales: 28, revenue: 7200 },
-          { category: 'Fitness', sales: 15, revenue: 4100 },
-          { category: 'Accessories', sales: 22, revenue: 3800 }
-        ],
-        monthlyRevenue: [
-          { month: 'Jan', revenue: 15000 },
-          { month: 'Feb', revenue: 18000 },
-          { month: 'Mar', revenue: 22000 },
-          { month: 'Apr', revenue: 25000 },
-          { month: 'May', revenue: 19000 },
-          { month: 'Jun', revenue: 28000 }
-        ],
-        topProducts: [
-          { name: 'Premium Wireless Headphones', sales: 25, revenue: 1999.75 },
-          { name: 'Smart Fitness Tracker', sales: 18, revenue: 2879.82 },
-          { name: 'Portable Speaker', sales: 22, revenue: 1978.78 },
-          { name: 'Smartphone Stand', sales: 35, revenue: 1592.50 },
-          { name: 'Bluetooth Earbuds', sales: 28, revenue: 2239.72 }
-        ]
-      };
-      setAnalyticsData(mockData);
-    } catch (error) {
+      setError(null);
+      const params = { timeRange };
+
+      const [overview, revenue, ordersByStatus, customers, topStores, topProducts] = await Promise.all([
+        axios.get('/admin/analytics/overview', { params }),
+        axios.get('/admin/analytics/revenue', { params: { ...params, bucket: bucket || undefined } }),
+        axios.get('/admin/analytics/orders-by-status', { params }),
+        axios.get('/admin/analytics/customers', { params }),
+        axios.get('/admin/analytics/top-stores', { params }),
+        axios.get('/admin/analytics/top-products', { params })
+      ]);
+
+      setAnalyticsData({
+        overview: overview.data.data,
+        revenue: revenue.data.data.series,
+        bucket: revenue.data.data.bucket,
+        ordersByStatus: ordersByStatus.data.data,
+        customers: customers.data.data,
+        topStores: topStores.data.data,
+        topProducts: topProducts.data.data
+      });
+    } catch (error: any) {
       console.error('Error fetching analytics data:', error);
+      setError(error.response?.data?.message || 'Failed to load analytics');
     } finally {
       setLoading(false);
     }
-  };
+  }, [timeRange, bucket]);
+
+  useEffect(() => {
+    fetchAnalyticsData();
+  }, [fetchAnalyticsData]);
 
   if (loading) {
     return (
@@ -83,6 +156,12 @@ const Analytics: React.FC = () => {
     );
   }
 
+  const { overview, customers } = analyticsData;
+  const maxRevenue = Math.max(...analyticsData.revenue.map(point => point.revenue), 1);
+  const totalStatusCount = analyticsData.ordersByStatus.reduce((total, row) => total + row.count, 0);
+  const topProductRevenue = analyticsData.topProducts[0]?.revenue || 1;
+  const customerTotal = customers ? customers.newCustomers + customers.returningCustomers : 0;
+
   return (
     <div className="space-y-6">
       {/* Header */}
@@ -103,117 +182,121 @@ const Analytics: React.FC = () => {
         </select>
       </div>
 
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+          {error}
+        </div>
+      )}
+
       {/* KPI Cards */}
-      <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
-        <div className="bg-white rounded-lg shadow p-6">
-          <div className="flex items-center justify-between">
-            <div>
-              <p className="text-sm font-medium text-gray-600">Total Revenue</p>
-              <p className="text-3xl font-bold text-green-600">$127,500</p>
-              <p className="text-sm text-green-600">+12.5% vs last month</p>
-            </div>
-            <div className="p-3 rounded-full bg-green-100">
-              <svg className="w-6 h-6 text-green-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8c-1.657 0-3 .895-3 2s1.343 2 3 2 3 .895 3 2-1.343 2-3 2m0-8c1.11 0 2.08.402 2.599 1M12 8V7m0 1v8m0 0v1m0-1c-1.11 0-2.08-.402-2.599-1" />
-              </svg>
-            </div>
+      {overview && (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-6">
+          <div className="bg-white rounded-lg shadow p-6">
+            <p className="text-sm font-medium text-gray-600">Total Revenue</p>
+            <p className="text-2xl font-bold text-green-600">{formatCurrency(overview.totalRevenue)}</p>
+            <ChangeLabel change={overview.changes.totalRevenue} />
           </div>
-        </div>
 
-        <div className="bg-white rounded-lg shadow p-6">
-          <div className="flex items-center justify-between">
-            <div>
-              <p className="text-sm font-medium text-gray-600">Total Orders</p>
-              <p className="text-3xl font-bold text-blue-600">1,247</p>
-              <p className="text-sm text-blue-600">+8.2% vs last month</p>
-            </div>
-            <div className="p-3 rounded-full bg-blue-100">
-              <svg className="w-6 h-6 text-blue-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-              </svg>
-            </div>
+          <div className="bg-white rounded-lg shadow p-6">
+            <p className="text-sm font-medium text-gray-600">Total Orders</p>
+            <p className="text-2xl font-bold text-blue-600">{overview.totalOrders.toLocaleString()}</p>
+            <ChangeLabel change={overview.changes.totalOrders} />
           </div>
-        </div>
 
-        <div className="bg-white rounded-lg shadow p-6">
-          <div className="flex items-center justify-between">
-            <div>
-              <p className="text-sm font-medium text-gray-600">Average Order Value</p>
-              <p className="text-3xl font-bold text-purple-600">$102.25</p>
-              <p className="text-sm text-purple-600">+3.8% vs last month</p>
-            </div>
-            <div className="p-3 rounded-full bg-purple-100">
-              <svg className="w-6 h-6 text-purple-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 7h8m0 0v8m0-8l-8 8-4-4-6 6" />
-              </svg>
-            </div>
+          <div className="bg-white rounded-lg shadow p-6">
+            <p className="text-sm font-medium text-gray-600">Average Order Value</p>
+            <p className="text-2xl font-bold text-purple-600">{formatCurrency(overview.averageOrderValue)}</p>
+            <ChangeLabel change={overview.changes.averageOrderValue} />
           </div>
-        </div>
 
-        <div className="bg-white rounded-lg shadow p-6">
-          <div className="flex items-center justify-between">
-            <div>
-              <p className="text-sm font-medium text-gray-600">Conversion Rate</p>
-              <p className="text-3xl font-bold text-orange-600">3.2%</p>
-              <p className="text-sm text-orange-600">+0.4% vs last month</p>
-            </div>
-            <div className="p-3 rounded-full bg-orange-100">
-              <svg className="w-6 h-6 text-orange-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" />
-              </svg>
-            </div>
+          <div className="bg-white rounded-lg shadow p-6">
+            <p className="text-sm font-medium text-gray-600">Commission Earned</p>
+            <p className="text-2xl font-bold text-indigo-600">{formatCurrency(overview.commissionEarned)}</p>
+            <ChangeLabel change={overview.changes.commissionEarned} />
+          </div>
+
+          <div className="bg-white rounded-lg shadow p-6">
+            <p className="text-sm font-medium text-gray-600">Refund Rate</p>
+            <p className="text-2xl font-bold text-orange-600">{overview.refundRate}%</p>
+            <p className="text-xs text-gray-500">
+              {overview.refundedOrders} orders, {formatCurrency(overview.refundedAmount)} refunded
+            </p>
+            <ChangeLabel change={overview.changes.refundRate} invert />
           </div>
         </div>
-      </div>
+      )}
 
       {/* Charts Row */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-        {/* Monthly Revenue Chart */}
+        {/* Revenue Over Time */}
         <div className="bg-white rounded-lg shadow p-6">
-          <h3 className="text-lg font-semibold text-gray-900 mb-4">Monthly Revenue</h3>
-          <div className="h-64 flex items-end justify-between space-x-2">
-            {analyticsData.monthlyRevenue.map((data, index) => (
-              <div key={index} className="flex flex-col items-center">
-                <div
-                  className="bg-blue-500 rounded-t w-12 transition-all duration-500 hover:bg-blue-600"
-                  style={{ height: `${(data.revenue / 30000) * 200}px` }}
-                  title={`$${data.revenue.toLocaleString()}`}
-                ></div>
-                <span className="text-xs text-gray-600 mt-2">{data.month}</span>
-              </div>
-            ))}
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold text-gray-900">Revenue Over Time</h3>
+            <select
+              value={bucket}
+              onChange={(e) => setBucket(e.target.value as Bucket | '')}
+              className="border border-gray-300 rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">Auto</option>
+              <option value="day">Daily</option>
+              <option value="week">Weekly</option>
+              <option value="month">Monthly</option>
+            </select>
           </div>
+          {analyticsData.revenue.length === 0 ? (
+            <p className="text-sm text-gray-500">No revenue in this period.</p>
+          ) : (
+            <div className="h-64 flex items-end space-x-1 overflow-x-auto">
+              {analyticsData.revenue.map(point => (
+                <div key={point.period} className="flex flex-col items-center flex-1 min-w-[1.5rem]">
+                  <div
+                    className="bg-blue-500 rounded-t w-full transition-all duration-500 hover:bg-blue-600"
+                    style={{ height: `${(point.revenue / maxRevenue) * 200}px` }}
+                    title={`${formatPeriod(point.period, analyticsData.bucket)}: ${formatCurrency(point.revenue)} (${point.orders} orders)`}
+                  ></div>
+                  {analyticsData.revenue.length <= 16 && (
+                    <span className="text-xs text-gray-600 mt-2 whitespace-nowrap">
+                      {formatPeriod(point.period, analyticsData.bucket)}
+                    </span>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
         </div>
 
-        {/* Category Performance */}
+        {/* Orders by Status */}
         <div className="bg-white rounded-lg shadow p-6">
-          <h3 className="text-lg font-semibold text-gray-900 mb-4">Category Performance</h3>
-          <div className="space-y-4">
-            {analyticsData.categoryData.map((category, index) => (
-              <div key={index} className="flex items-center justify-between">
-                <div>
-                  <p className="text-sm font-medium text-gray-900">{category.category}</p>
-                  <p className="text-xs text-gray-500">{category.sales} sales</p>
-                </div>
-                <div className="text-right">
-                  <p className="text-sm font-bold text-gray-900">${category.revenue.toLocaleString()}</p>
-                  <div className="w-20 bg-gray-200 rounded-full h-2 mt-1">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Orders by Status</h3>
+          {analyticsData.ordersByStatus.length === 0 ? (
+            <p className="text-sm text-gray-500">No orders in this period.</p>
+          ) : (
+            <div className="space-y-4">
+              {analyticsData.ordersByStatus.map(row => (
+                <div key={row.status}>
+                  <div className="flex items-center justify-between mb-1">
+                    <span className="text-sm font-medium text-gray-900 capitalize">{row.status}</span>
+                    <span className="text-sm text-gray-600">
+                      {row.count} ({Math.round((row.count / totalStatusCount) * 100)}%)
+                    </span>
+                  </div>
+                  <div className="w-full bg-gray-200 rounded-full h-2">
                     <div
-                      className="bg-blue-600 h-2 rounded-full"
-                      style={{ width: `${(category.revenue / 12500) * 100}%` }}
+                      className={`${statusColors[row.status] || 'bg-gray-500'} h-2 rounded-full`}
+                      style={{ width: `${(row.count / totalStatusCount) * 100}%` }}
                     ></div>
                   </div>
                 </div>
-              </div>
-            ))}
-          </div>
+              ))}
+            </div>
+          )}
         </div>
       </div>
 
       {/* Top Products Table */}
       <div className="bg-white rounded-lg shadow overflow-hidden">
         <div className="px-6 py-4 border-b border-gray-200">
-          <h3 className="text-lg font-medium text-gray-900">Top Selling Products</h3>
+          <h3 className="text-lg font-medium text-gray-900">Top Products by Revenue</h3>
         </div>
         <div className="overflow-x-auto">
           <table className="min-w-full divide-y divide-gray-200">
@@ -222,6 +305,9 @@ const Analytics: React.FC = () => {
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Product Name
                 </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Store
+                </th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Units Sold
                 </th>
@@ -234,27 +320,37 @@ const Analytics: React.FC = () => {
               </tr>
             </thead>
             <tbody className="bg-white divide-y divide-gray-200">
-              {analyticsData.topProducts.map((product, index) => (
-                <tr key={index} className="hover:bg-gray-50">
+              {analyticsData.topProducts.length === 0 ? (
+                <tr>
+                  <td colSpan={5} className="px-6 py-4 text-center text-sm text-gray-500">
+                    No sales in this period.
+                  </td>
+                </tr>
+              ) : analyticsData.topProducts.map(product => (
+                <tr key={product.id} className="hover:bg-gray-50">
                   <td className="px-6 py-4 whitespace-nowrap">
                     <div className="text-sm font-medium text-gray-900">{product.name}</div>
+                    <div className="text-xs text-gray-500">{product.category}</div>
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap">
-                    <div className="text-sm text-gray-900">{product.sales}</div>
+                    <div className="text-sm text-gray-900">{product.storeName || 'Platform'}</div>
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap">
-                    <div className="text-sm font-medium text-gray-900">${product.revenue.toLocaleString()}</div>
+                    <div className="text-sm text-gray-900">{product.unitsSold}</div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="text-sm font-medium text-gray-900">{formatCurrency(product.revenue)}</div>
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     <div className="flex items-center">
                       <div className="w-16 bg-gray-200 rounded-full h-2 mr-2">
                         <div
                           className="bg-green-600 h-2 rounded-full"
-                          style={{ width: `${(product.sales / 35) * 100}%` }}
+                          style={{ width: `${(product.revenue / topProductRevenue) * 100}%` }}
                         ></div>
                       </div>
                       <span className="text-sm text-gray-600">
-                        {Math.round((product.sales / 35) * 100)}%
+                        {Math.round((product.revenue / topProductRevenue) * 100)}%
                       </span>
                     </div>
                   </td>
@@ -266,68 +362,62 @@ const Analytics: React.FC = () => {
       </div>
 
       {/* Additional Insights */}
-      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         <div className="bg-white rounded-lg shadow p-6">
-          <h3 className="text-lg font-semibold text-gray-900 mb-4">Traffic Sources</h3>
-          <div className="space-y-3">
-            <div className="flex justify-between items-center">
-              <span className="text-sm text-gray-600">Direct</span>
-              <span className="text-sm font-medium">45%</span>
-            </div>
-            <div className="flex justify-between items-center">
-              <span className="text-sm text-gray-600">Social Media</span>
-              <span className="text-sm font-medium">25%</span>
-            </div>
-            <div className="flex justify-between items-center">
-              <span className="text-sm text-gray-600">Search Engine</span>
-              <span className="text-sm font-medium">20%</span>
-            </div>
-            <div className="flex justify-between items-center">
-              <span className="text-sm text-gray-600">Email</span>
-              <span className="text-sm font-medium">10%</span>
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Top Stores</h3>
+          {analyticsData.topStores.length === 0 ? (
+            <p className="text-sm text-gray-500">No store sales in this period.</p>
+          ) : (
+            <div className="space-y-3">
+              {analyticsData.topStores.map(store => (
+                <div key={store.id} className="flex justify-between items-center">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">{store.storeName}</p>
+                    <p className="text-xs text-gray-500">{store.orders} orders, {store.unitsSold} units</p>
+                  </div>
+                  <span className="text-sm font-bold text-gray-900">{formatCurrency(store.revenue)}</span>
+                </div>
+              ))}
             </div>
-          </div>
+          )}
         </div>
 
         <div className="bg-white rounded-lg shadow p-6">
           <h3 className="text-lg font-semibold text-gray-900 mb-4">Customer Insights</h3>
-          <div className="space-y-3">
-            <div className="flex justify-between items-center">
-              <span className="text-sm text-gray-600">New Customers</span>
-              <span className="text-sm font-medium text-green-600">+15%</span>
-            </div>
-            <div className="flex justify-between items-center">
-              <span className="text-sm text-gray-600">Returning Customers</span>
-              <span className="text-sm font-medium text-blue-600">68%</span>
-            </div>
-            <div className="flex justify-between items-center">
-              <span className="text-sm text-gray-600">Average Session</span>
-              <span className="text-sm font-medium">4m 32s</span>
-            </div>
-            <div className="flex justify-between items-center">
-              <span className="text-sm text-gray-600">Bounce Rate</span>
-              <span className="text-sm font-medium text-orange-600">28%</span>
+          {customers && (
+            <div className="space-y-3">
+              <div className="flex justify-between items-center">
+                <span className="text-sm text-gray-600">New Customers</span>
+                <span className="text-sm font-medium text-green-600">{customers.newCustomers}</span>
+              </div>
+              <div className="flex justify-between items-center">
+                <span className="text-sm text-gray-600">Returning Customers</span>
+                <span className="text-sm font-medium text-blue-600">
+                  {customers.returningCustomers} ({customers.returningRate}%)
+                </span>
+              </div>
+              {customerTotal > 0 && (
+                <div className="w-full bg-green-500 rounded-full h-2 flex overflow-hidden">
+                  <div
+                    className="bg-blue-600 h-2 ml-auto"
+                    style={{ width: `${customers.returningRate}%` }}
+                  ></div>
+                </div>
+              )}
+              <div className="flex justify-between items-center">
+                <span className="text-sm text-gray-600">Guest Orders</span>
+                <span className="text-sm font-medium">{customers.guestOrders}</span>
+              </div>
+              <div className="flex justify-between items-center">
+                <span className="text-sm text-gray-600">New Sign-ups</span>
+                <span className="text-sm font-medium">{customers.signups}</span>
+              </div>
             </div>
-          </div>
-        </div>
-
-        <div className="bg-white rounded-lg shadow p-6">
-          <h3 className="text-lg font-semibold text-gray-900 mb-4">Quick Actions</h3>
-          <div className="space-y-3">
-            <button className="w-full text-left p-3 bg-blue-50 rounded-lg hover:bg-blue-100 transition-colors">
-              <span className="text-sm font-medium text-blue-900">Export Report</span>
-            </button>
-            <button className="w-full text-left p-3 bg-green-50 rounded-lg hover:bg-green-100 transition-colors">
-              <span className="text-sm font-medium text-green-900">View Detailed Analytics</span>
-            </button>
-            <button className="w-full text-left p-3 bg-purple-50 rounded-lg hover:bg-purple-100 transition-colors">
-              <span className="text-sm font-medium text-purple-900">Schedule Report</span>
-            </button>
-          </div>
+          )}
         </div>
       </div>
     </div>
   );
 };
 
-export default Analytics;
\ No newline at end of file
+export default Analytics;
@@ -0,0 +1,286 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from '../../utils/axios';
+
+interface CommissionRule {
+  id: number;
+  scope: 'store' | 'category';
+  store_id?: number | null;
+  store_name?: string | null;
+  category?: string | null;
+  rate_percent: string;
+}
+
+interface StoreOption {
+  id: number;
+  store_name: string;
+}
+
+interface NewOverride {
+  scope: 'store' | 'category';
+  storeId: string;
+  category: string;
+  ratePercent: string;
+}
+
+const emptyOverride: NewOverride = { scope: 'store', storeId: '', category: '', ratePercent: '' };
+
+const inputClass = 'w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const CommissionSettings: React.FC = () => {
+  const [defaultRate, setDefaultRate] = useState('');
+  const [storeRules, setStoreRules] = useState<CommissionRule[]>([]);
+  const [categoryRules, setCategoryRules] = useState<CommissionRule[]>([]);
+  const [stores, setStores] = useState<StoreOption[]>([]);
+  const [categories, setCategories] = useState<string[]>([]);
+  const [editRates, setEditRates] = useState<{ [ruleId: number]: string }>({});
+  const [newOverride, setNewOverride] = useState<NewOverride>(emptyOverride);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState<{ type: 'success' | 'error', text: string } | null>(null);
+
+  const fetchRules = useCallback(async () => {
+    try {
+      const response = await axios.get('/admin/commission-rules');
+      const data = response.data.data;
+      setDefaultRate(data.defaultRate !== null ? String(data.defaultRate) : '');
+      setStoreRules(data.storeRules);
+      setCategoryRules(data.categoryRules);
+      setEditRates({});
+    } catch (error: any) {
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Failed to fetch commission rules' });
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRules();
+
+    axios.get('/admin/stores')
+      .then(response => setStores(response.data.data))
+      .catch(error => console.error('Error fetching stores:', error));
+
+    axios.get('/admin/analytics/categories')
+      .then(response => setCategories(response.data.data.map((row: { category: string }) => row.category).filter(Boolean)))
+      .catch(error => console.error('Error fetching categories:', error));
+  }, [fetchRules]);
+
+  const runAction = async (action: () => Promise<any>) => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const response = await action();
+      setMessage({ type: 'success', text: response.data.message });
+      fetchRules();
+    } catch (error: any) {
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Failed to save commission rule' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveDefault = (e: React.FormEvent) => {
+    e.preventDefault();
+    runAction(() => axios.put('/admin/commission-rules/default', { ratePercent: defaultRate }));
+  };
+
+  const handleAddOverride = (e: React.FormEvent) => {
+    e.preventDefault();
+    runAction(async () => {
+      const response = await axios.post('/admin/commission-rules', newOverride);
+      setNewOverride(emptyOverride);
+      return response;
+    });
+  };
+
+  const handleUpdateRate = (rule: CommissionRule) => {
+    runAction(() => axios.put(`/admin/commission-rules/${rule.id}`, { ratePercent: editRates[rule.id] }));
+  };
+
+  const handleDeleteRule = (rule: CommissionRule) => {
+    if (!window.confirm('Remove this override? The default rate will apply instead.')) return;
+    runAction(() => axios.delete(`/admin/commission-rules/${rule.id}`));
+  };
+
+  const renderRuleRow = (rule: CommissionRule) => {
+    const editedRate = editRates[rule.id];
+    return (
+      <div key={rule.id} className="flex items-center justify-between py-3">
+        <span className="text-sm font-medium text-gray-900">
+          {rule.scope === 'store' ? rule.store_name : rule.category}
+        </span>
+        <div className="flex items-center space-x-2">
+          <input
+            type="number"
+            min="0"
+            max="100"
+            step="0.01"
+            value={editedRate !== undefined ? editedRate : parseFloat(rule.rate_percent)}
+            onChange={(e) => setEditRates({ ...editRates, [rule.id]: e.target.value })}
+            className="w-24 border border-gray-300 rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <span className="text-sm text-gray-500">%</span>
+          {editedRate !== undefined && (
+            <button
+              onClick={() => handleUpdateRate(rule)}
+              disabled={saving}
+              className="text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50"
+            >
+              Save
+            </button>
+          )}
+          <button
+            onClick={() => handleDeleteRule(rule)}
+            disabled={saving}
+            className="text-sm text-red-600 hover:text-red-800 disabled:opacity-50"
+          >
+            Remove
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-8">
+      {message && (
+        <div className={`p-4 rounded-md ${message.type === 'success' ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`}>
+          {message.text}
+        </div>
+      )}
+
+      {/* Default Rate */}
+      <div>
+        <h3 className="text-lg font-medium text-gray-900 mb-1">Default Commission</h3>
+        <p className="text-sm text-gray-500 mb-4">
+          Platform fee taken from store sales when no store or category override applies.
+          Store overrides take priority over category overrides.
+        </p>
+        <form onSubmit={handleSaveDefault} className="flex items-end space-x-3">
+          <div className="w-40">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Rate (%)</label>
+            <input
+              type="number"
+              min="0"
+              max="100"
+              step="0.01"
+              value={defaultRate}
+              onChange={(e) => setDefaultRate(e.target.value)}
+              className={inputClass}
+              required
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={saving}
+            className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            Update Default
+          </button>
+        </form>
+      </div>
+
+      {/* Store Overrides */}
+      <div>
+        <h3 className="text-lg font-medium text-gray-900 mb-2">Store Overrides</h3>
+        {storeRules.length === 0 ? (
+          <p className="text-sm text-gray-500">No store overrides.</p>
+        ) : (
+          <div className="divide-y divide-gray-200">{storeRules.map(renderRuleRow)}</div>
+        )}
+      </div>
+
+      {/* Category Overrides */}
+      <div>
+        <h3 className="text-lg font-medium text-gray-900 mb-2">Category Overrides</h3>
+        {categoryRules.length === 0 ? (
+          <p className="text-sm text-gray-500">No category overrides.</p>
+        ) : (
+          <div className="divide-y divide-gray-200">{categoryRules.map(renderRuleRow)}</div>
+        )}
+      </div>
+
+      {/* Add Override */}
+      <div>
+        <h3 className="text-lg font-medium text-gray-900 mb-4">Add Override</h3>
+        <form onSubmit={handleAddOverride} className="grid grid-cols-1 sm:grid-cols-4 gap-3 items-end">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Applies To</label>
+            <select
+              value={newOverride.scope}
+              onChange={(e) => setNewOverride({ ...newOverride, scope: e.target.value as 'store' | 'category' })}
+              className={inputClass}
+            >
+              <option value="store">Store</option>
+              <option value="category">Category</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {newOverride.scope === 'store' ? 'Store' : 'Category'}
+            </label>
+            {newOverride.scope === 'store' ? (
+              <select
+                value={newOverride.storeId}
+                onChange={(e) => setNewOverride({ ...newOverride, storeId: e.target.value })}
+                className={inputClass}
+                required
+              >
+                <option value="">Select a store</option>
+                {stores.map(store => (
+                  <option key={store.id} value={store.id}>{store.store_name}</option>
+                ))}
+              </select>
+            ) : (
+              <>
+                <input
+                  type="text"
+                  list="commission-categories"
+                  value={newOverride.category}
+                  onChange={(e) => setNewOverride({ ...newOverride, category: e.target.value })}
+                  className={inputClass}
+                  required
+                />
+                <datalist id="commission-categories">
+                  {categories.map(category => (
+                    <option key={category} value={category} />
+                  ))}
+                </datalist>
+              </>
+            )}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Rate (%)</label>
+            <input
+              type="number"
+              min="0"
+              max="100"
+              step="0.01"
+              value={newOverride.ratePercent}
+              onChange={(e) => setNewOverride({ ...newOverride, ratePercent: e.target.value })}
+              className={inputClass}
+              required
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={saving}
+            className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            Add Override
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default CommissionSettings;
@@ -0,0 +1,369 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from '../../utils/axios';
+
+interface DistanceBand {
+  upToKm: number;
+  fee: number;
+}
+
+interface DeliveryRule {
+  id: number;
+  scope: 'default' | 'store';
+  storeId: number | null;
+  storeName: string | null;
+  flatFee: number;
+  distanceBands: DistanceBand[];
+  perKgFee: number;
+  includedWeightKg: number;
+  freeDeliveryThreshold: number | null;
+}
+
+interface StoreOption {
+  id: number;
+  store_name: string;
+}
+
+// Form state keeps the numbers as typed; the API validates them
+interface RuleDraft {
+  flatFee: string;
+  distanceBands: { upToKm: string; fee: string }[];
+  perKgFee: string;
+  includedWeightKg: string;
+  freeDeliveryThreshold: string;
+}
+
+const emptyDraft: RuleDraft = {
+  flatFee: '',
+  distanceBands: [],
+  perKgFee: '',
+  includedWeightKg: '',
+  freeDeliveryThreshold: ''
+};
+
+const toDraft = (rule: DeliveryRule): RuleDraft => ({
+  flatFee: String(rule.flatFee),
+  distanceBands: rule.distanceBands.map(band => ({ upToKm: String(band.upToKm), fee: String(band.fee) })),
+  perKgFee: String(rule.perKgFee),
+  includedWeightKg: String(rule.includedWeightKg),
+  freeDeliveryThreshold: rule.freeDeliveryThreshold !== null ? String(rule.freeDeliveryThreshold) : ''
+});
+
+const describeRule = (rule: DeliveryRule) => {
+  const parts = [`$${rule.flatFee.toFixed(2)} flat`];
+  if (rule.distanceBands.length > 0) {
+    parts.push(`${rule.distanceBands.length} distance band${rule.distanceBands.length === 1 ? '' : 's'}`);
+  }
+  if (rule.perKgFee > 0) {
+    parts.push(`$${rule.perKgFee.toFixed(2)}/kg over ${rule.includedWeightKg} kg`);
+  }
+  if (rule.freeDeliveryThreshold !== null) {
+    parts.push(`free over $${rule.freeDeliveryThreshold.toFixed(2)}`);
+  }
+  return parts.join(' · ');
+};
+
+const inputClass = 'w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500';
+const smallInputClass = 'w-24 border border-gray-300 rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const DeliveryPricingSettings: React.FC = () => {
+  const [defaultDraft, setDefaultDraft] = useState<RuleDraft>(emptyDraft);
+  const [storeRules, setStoreRules] = useState<DeliveryRule[]>([]);
+  const [stores, setStores] = useState<StoreOption[]>([]);
+  const [editingId, setEditingId] = useState<number | null>(null);
+  const [editDraft, setEditDraft] = useState<RuleDraft>(emptyDraft);
+  const [newStoreId, setNewStoreId] = useState('');
+  const [newDraft, setNewDraft] = useState<RuleDraft>(emptyDraft);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState<{ type: 'success' | 'error', text: string } | null>(null);
+
+  const fetchRules = useCallback(async () => {
+    try {
+      const response = await axios.get('/admin/delivery-pricing');
+      const data = response.data.data;
+      setDefaultDraft(data.defaultRule ? toDraft(data.defaultRule) : emptyDraft);
+      setStoreRules(data.storeRules);
+      setEditingId(null);
+    } catch (error: any) {
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Failed to fetch delivery pricing' });
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRules();
+
+    axios.get('/admin/stores')
+      .then(response => setStores(response.data.data))
+      .catch(error => console.error('Error fetching stores:', error));
+  }, [fetchRules]);
+
+  const runAction = async (action: () => Promise<any>) => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const response = await action();
+      setMessage({ type: 'success', text: response.data.message });
+      fetchRules();
+    } catch (error: any) {
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Failed to save delivery pricing' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveDefault = (e: React.FormEvent) => {
+    e.preventDefault();
+    runAction(() => axios.put('/admin/delivery-pricing/default', defaultDraft));
+  };
+
+  const handleAddOverride = (e: React.FormEvent) => {
+    e.preventDefault();
+    runAction(async () => {
+      const response = await axios.post('/admin/delivery-pricing', { ...newDraft, storeId: newStoreId });
+      setNewStoreId('');
+      setNewDraft(emptyDraft);
+      return response;
+    });
+  };
+
+  const handleUpdateOverride = (e: React.FormEvent) => {
+    e.preventDefault();
+    runAction(() => axios.put(`/admin/delivery-pricing/${editingId}`, editDraft));
+  };
+
+  const handleDeleteRule = (rule: DeliveryRule) => {
+    if (!window.confirm('Remove this override? The default delivery pricing will apply instead.')) return;
+    runAction(() => axios.delete(`/admin/delivery-pricing/${rule.id}`));
+  };
+
+  const renderRuleFields = (draft: RuleDraft, setDraft: (draft: RuleDraft) => void) => {
+    const updateBand = (index: number, field: 'upToKm' | 'fee', value: string) => {
+      setDraft({
+        ...draft,
+        distanceBands: draft.distanceBands.map((band, i) => (i === index ? { ...band, [field]: value } : band))
+      });
+    };
+
+    return (
+      <div className="space-y-4">
+        <div className="grid grid-cols-1 sm:grid-cols-4 gap-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Flat Fee ($)</label>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={draft.flatFee}
+              onChange={(e) => setDraft({ ...draft, flatFee: e.target.value })}
+              className={inputClass}
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Per kg ($)</label>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={draft.perKgFee}
+              onChange={(e) => setDraft({ ...draft, perKgFee: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Included Weight (kg)</label>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={draft.includedWeightKg}
+              onChange={(e) => setDraft({ ...draft, includedWeightKg: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Free Over ($)</label>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={draft.freeDeliveryThreshold}
+              onChange={(e) => setDraft({ ...draft, freeDeliveryThreshold: e.target.value })}
+              placeholder="Never"
+              className={inputClass}
+            />
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Distance Bands</label>
+          <p className="text-xs text-gray-500 mb-2">
+            Added to the flat fee by distance from the store. Deliveries beyond the last band pay the last band's fee.
+          </p>
+          <div className="space-y-2">
+            {draft.distanceBands.map((band, index) => (
+              <div key={index} className="flex items-center space-x-2 text-sm">
+                <span className="text-gray-600">Up to</span>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.1"
+                  value={band.upToKm}
+                  onChange={(e) => updateBand(index, 'upToKm', e.target.value)}
+                  className={smallInputClass}
+                  required
+                />
+                <span className="text-gray-600">km: $</span>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={band.fee}
+                  onChange={(e) => updateBand(index, 'fee', e.target.value)}
+                  className={smallInputClass}
+                  required
+                />
+                <button
+                  type="button"
+                  onClick={() => setDraft({ ...draft, distanceBands: draft.distanceBands.filter((_, i) => i !== index) })}
+                  className="text-red-600 hover:text-red-800"
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={() => setDraft({ ...draft, distanceBands: [...draft.distanceBands, { upToKm: '', fee: '' }] })}
+              className="text-sm text-blue-600 hover:text-blue-800"
+            >
+              + Add band
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-8">
+      {message && (
+        <div className={`p-4 rounded-md ${message.type === 'success' ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`}>
+          {message.text}
+        </div>
+      )}
+
+      {/* Default Pricing */}
+      <div>
+        <h3 className="text-lg font-medium text-gray-900 mb-1">Default Delivery Pricing</h3>
+        <p className="text-sm text-gray-500 mb-4">
+          Each store in an order is a separate delivery, priced by the store's override or these settings.
+          Weight comes from the products' weights; the free delivery threshold applies to that store's items.
+        </p>
+        <form onSubmit={handleSaveDefault} className="space-y-4">
+          {renderRuleFields(defaultDraft, setDefaultDraft)}
+          <button
+            type="submit"
+            disabled={saving}
+            className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            Update Default
+          </button>
+        </form>
+      </div>
+
+      {/* Store Overrides */}
+      <div>
+        <h3 className="text-lg font-medium text-gray-900 mb-2">Store Overrides</h3>
+        {storeRules.length === 0 ? (
+          <p className="text-sm text-gray-500">No store overrides.</p>
+        ) : (
+          <div className="divide-y divide-gray-200">
+            {storeRules.map(rule => (
+              <div key={rule.id} className="py-3">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <span className="text-sm font-medium text-gray-900">{rule.storeName}</span>
+                    <p className="text-xs text-gray-500">{describeRule(rule)}</p>
+                  </div>
+                  <div className="flex items-center space-x-3">
+                    <button
+                      onClick={() => {
+                        setEditingId(editingId === rule.id ? null : rule.id);
+                        setEditDraft(toDraft(rule));
+                      }}
+                      disabled={saving}
+                      className="text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                    >
+                      {editingId === rule.id ? 'Cancel' : 'Edit'}
+                    </button>
+                    <button
+                      onClick={() => handleDeleteRule(rule)}
+                      disabled={saving}
+                      className="text-sm text-red-600 hover:text-red-800 disabled:opacity-50"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                </div>
+                {editingId === rule.id && (
+                  <form onSubmit={handleUpdateOverride} className="mt-4 space-y-4">
+                    {renderRuleFields(editDraft, setEditDraft)}
+                    <button
+                      type="submit"
+                      disabled={saving}
+                      className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      Save Override
+                    </button>
+                  </form>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Add Override */}
+      <div>
+        <h3 className="text-lg font-medium text-gray-900 mb-4">Add Store Override</h3>
+        <form onSubmit={handleAddOverride} className="space-y-4">
+          <div className="sm:w-1/2">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Store</label>
+            <select
+              value={newStoreId}
+              onChange={(e) => setNewStoreId(e.target.value)}
+              className={inputClass}
+              required
+            >
+              <option value="">Select a store</option>
+              {stores.map(store => (
+                <option key={store.id} value={store.id}>{store.store_name}</option>
+              ))}
+            </select>
+          </div>
+          {renderRuleFields(newDraft, setNewDraft)}
+          <button
+            type="submit"
+            disabled={saving}
+            className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            Add Override
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default DeliveryPricingSettings;
@@ -0,0 +1,510 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from '../../utils/axios';
+
+interface Payout {
+  id: number;
+  driverId: number;
+  driverName: string;
+  driverCode: string;
+  periodStart: string;
+  periodEnd: string;
+  amount: number;
+  status: 'pending' | 'paid' | 'failed';
+  stripeTransferId: string | null;
+  attemptCount: number;
+  errorMessage: string | null;
+  createdAt: string;
+  paidAt: string | null;
+}
+
+interface EarningsEntry {
+  id: number;
+  orderId: number | null;
+  orderNumber: string | null;
+  type: 'base_fee' | 'distance' | 'tip' | 'bonus' | 'adjustment';
+  amount: number;
+  distanceKm: number | null;
+  description: string | null;
+  createdAt: string;
+}
+
+interface Summary {
+  unpaidAmount: number;
+  failedCount: number;
+  nextPeriod: { periodStart: string, periodEnd: string };
+}
+
+interface Pagination {
+  page: number;
+  limit: number;
+  total: number;
+  pages: number;
+}
+
+interface DriverOption {
+  id: number;
+  driver_id: string;
+  full_name: string;
+}
+
+const ENTRY_LABELS: Record<EarningsEntry['type'], string> = {
+  base_fee: 'Base fee',
+  distance: 'Distance',
+  tip: 'Tip',
+  bonus: 'Bonus',
+  adjustment: 'Adjustment'
+};
+
+const STATUS_STYLES: Record<Payout['status'], string> = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  paid: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800'
+};
+
+const formatMoney = (amount: number) => `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`;
+
+const DriverPayouts: React.FC = () => {
+  const [payouts, setPayouts] = useState<Payout[]>([]);
+  const [summary, setSummary] = useState<Summary | null>(null);
+  const [pagination, setPagination] = useState<Pagination | null>(null);
+  const [statusFilter, setStatusFilter] = useState<'all' | 'pending' | 'paid' | 'failed'>('all');
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [successMessage, setSuccessMessage] = useState<string | null>(null);
+  const [actionLoading, setActionLoading] = useState(false);
+  const [statement, setStatement] = useState<{ payout: Payout, entries: EarningsEntry[] } | null>(null);
+
+  const [rates, setRates] = useState({ baseFee: '', perKmRate: '' });
+
+  const [driverSearch, setDriverSearch] = useState('');
+  const [driverOptions, setDriverOptions] = useState<DriverOption[]>([]);
+  const [entryForm, setEntryForm] = useState({ driverId: '', entryType: 'bonus', amount: '', description: '', orderId: '' });
+
+  const fetchPayouts = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await axios.get('/admin/driver-payouts', {
+        params: { status: statusFilter, page }
+      });
+      setPayouts(response.data.data);
+      setSummary(response.data.summary);
+      setPagination(response.data.pagination);
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to fetch driver payouts');
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter, page]);
+
+  useEffect(() => {
+    fetchPayouts();
+  }, [fetchPayouts]);
+
+  useEffect(() => {
+    axios.get('/admin/driver-pay-rates')
+      .then(response => setRates({
+        baseFee: response.data.data.baseFee.toFixed(2),
+        perKmRate: response.data.data.perKmRate.toFixed(2)
+      }))
+      .catch(() => setError('Failed to fetch driver pay rates'));
+  }, []);
+
+  useEffect(() => {
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axios.get('/admin/drivers', {
+          params: { verification: 'approved', q: driverSearch || undefined, limit: 20 }
+        });
+        setDriverOptions(response.data.data);
+      } catch {
+        setDriverOptions([]);
+      }
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [driverSearch]);
+
+  const showSuccess = (message: string) => {
+    setSuccessMessage(message);
+    setTimeout(() => setSuccessMessage(null), 5000);
+  };
+
+  const handleSaveRates = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setActionLoading(true);
+    setError(null);
+    try {
+      const response = await axios.put('/admin/driver-pay-rates', rates);
+      showSuccess(response.data.message);
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to update driver pay rates');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleRunPayouts = async () => {
+    if (!summary || !window.confirm(`Create statements and pay drivers for ${summary.nextPeriod.periodStart} to ${summary.nextPeriod.periodEnd}?`)) {
+      return;
+    }
+    setActionLoading(true);
+    setError(null);
+    try {
+      const response = await axios.post('/admin/driver-payouts/run');
+      showSuccess(response.data.message);
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to run driver payouts');
+    } finally {
+      setActionLoading(false);
+      fetchPayouts();
+    }
+  };
+
+  const handleRetry = async (payoutId: number) => {
+    setActionLoading(true);
+    setError(null);
+    try {
+      const response = await axios.post(`/admin/driver-payouts/${payoutId}/retry`);
+      showSuccess(response.data.message);
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to retry payout');
+    } finally {
+      setActionLoading(false);
+      fetchPayouts();
+    }
+  };
+
+  const openStatement = async (payoutId: number) => {
+    setError(null);
+    try {
+      const response = await axios.get(`/admin/driver-payouts/${payoutId}`);
+      setStatement(response.data.data);
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to load statement');
+    }
+  };
+
+  const handleAddEntry = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setActionLoading(true);
+    setError(null);
+    try {
+      const response = await axios.post(`/admin/drivers/${entryForm.driverId}/earnings`, {
+        entryType: entryForm.entryType,
+        amount: entryForm.amount,
+        description: entryForm.description,
+        orderId: entryForm.orderId || undefined
+      });
+      showSuccess(response.data.message);
+      setEntryForm({ ...entryForm, amount: '', description: '', orderId: '' });
+      fetchPayouts();
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to add earnings entry');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Driver Payouts</h1>
+          <p className="text-gray-600 mt-1">Weekly statements of driver earnings, paid to their Stripe accounts</p>
+        </div>
+        <button
+          onClick={handleRunPayouts}
+          disabled={actionLoading || !summary}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+        >
+          {summary
+            ? `Pay out ${summary.nextPeriod.periodStart} – ${summary.nextPeriod.periodEnd}`
+            : 'Pay out last week'}
+        </button>
+      </div>
+
+      {summary && (
+        <div className="grid sm:grid-cols-2 gap-4">
+          <div className="bg-white rounded-lg shadow p-4">
+            <p className="text-sm text-gray-500">Earned but not yet on a statement</p>
+            <p className="text-2xl font-bold text-gray-900">{formatMoney(summary.unpaidAmount)}</p>
+          </div>
+          <div className="bg-white rounded-lg shadow p-4">
+            <p className="text-sm text-gray-500">Failed payouts</p>
+            <p className={`text-2xl font-bold ${summary.failedCount > 0 ? 'text-red-600' : 'text-gray-900'}`}>
+              {summary.failedCount}
+            </p>
+          </div>
+        </div>
+      )}
+
+      {successMessage && (
+        <div className="bg-green-50 border border-green-200 text-green-800 px-4 py-3 rounded-lg">
+          {successMessage}
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-800 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      <div className="grid lg:grid-cols-2 gap-6">
+        <form onSubmit={handleSaveRates} className="bg-white rounded-lg shadow p-6 space-y-4">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Delivery pay</h2>
+            <p className="text-sm text-gray-500">Applied to deliveries completed after saving</p>
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="baseFee" className="block text-sm font-medium text-gray-700 mb-1">Base fee ($)</label>
+              <input
+                id="baseFee"
+                type="number"
+                min="0"
+                step="0.01"
+                value={rates.baseFee}
+                onChange={(e) => setRates({ ...rates, baseFee: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                required
+              />
+            </div>
+            <div>
+              <label htmlFor="perKmRate" className="block text-sm font-medium text-gray-700 mb-1">Per km ($)</label>
+              <input
+                id="perKmRate"
+                type="number"
+                min="0"
+                step="0.01"
+                value={rates.perKmRate}
+                onChange={(e) => setRates({ ...rates, perKmRate: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                required
+              />
+            </div>
+          </div>
+          <button
+            type="submit"
+            disabled={actionLoading}
+            className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 disabled:opacity-50"
+          >
+            Save Rates
+          </button>
+        </form>
+
+        <form onSubmit={handleAddEntry} className="bg-white rounded-lg shadow p-6 space-y-4">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Tip, bonus or adjustment</h2>
+            <p className="text-sm text-gray-500">Added to the driver's next statement</p>
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <input
+              type="text"
+              value={driverSearch}
+              onChange={(e) => setDriverSearch(e.target.value)}
+              placeholder="Search drivers..."
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+            />
+            <select
+              value={entryForm.driverId}
+              onChange={(e) => setEntryForm({ ...entryForm, driverId: e.target.value })}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+              required
+            >
+              <option value="">Select driver</option>
+              {driverOptions.map(driver => (
+                <option key={driver.id} value={driver.id}>
+                  {driver.full_name} ({driver.driver_id})
+                </option>
+              ))}
+            </select>
+            <select
+              value={entryForm.entryType}
+              onChange={(e) => setEntryForm({ ...entryForm, entryType: e.target.value })}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="bonus">Bonus</option>
+              <option value="tip">Tip</option>
+              <option value="adjustment">Adjustment</option>
+            </select>
+            <input
+              type="number"
+              step="0.01"
+              value={entryForm.amount}
+              onChange={(e) => setEntryForm({ ...entryForm, amount: e.target.value })}
+              placeholder={entryForm.entryType === 'adjustment' ? 'Amount (negative deducts)' : 'Amount'}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+              required
+            />
+            <input
+              type="text"
+              value={entryForm.description}
+              onChange={(e) => setEntryForm({ ...entryForm, description: e.target.value })}
+              placeholder="Description"
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+              required={entryForm.entryType === 'adjustment'}
+            />
+            <input
+              type="number"
+              min="1"
+              value={entryForm.orderId}
+              onChange={(e) => setEntryForm({ ...entryForm, orderId: e.target.value })}
+              placeholder="Order ID (optional)"
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={actionLoading}
+            className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 disabled:opacity-50"
+          >
+            Add Entry
+          </button>
+        </form>
+      </div>
+
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold text-gray-900">Statements</h2>
+        <select
+          value={statusFilter}
+          onChange={(e) => {
+            setStatusFilter(e.target.value as 'all' | 'pending' | 'paid' | 'failed');
+            setPage(1);
+          }}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="all">All</option>
+          <option value="pending">Pending</option>
+          <option value="paid">Paid</option>
+          <option value="failed">Failed</option>
+        </select>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600"></div>
+        </div>
+      ) : payouts.length === 0 ? (
+        <div className="bg-white rounded-lg shadow p-8 text-center text-gray-500">
+          No {statusFilter === 'all' ? '' : `${statusFilter} `}payouts.
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Driver</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Period</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Amount</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {payouts.map(payout => (
+                <tr key={payout.id}>
+                  <td className="px-4 py-3 text-sm text-gray-900">
+                    {payout.driverName}
+                    <span className="block text-xs text-gray-500">{payout.driverCode}</span>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-700">{payout.periodStart} – {payout.periodEnd}</td>
+                  <td className="px-4 py-3 text-sm font-medium text-gray-900">{formatMoney(payout.amount)}</td>
+                  <td className="px-4 py-3">
+                    <span className={`px-2 py-1 text-xs font-medium rounded-full capitalize ${STATUS_STYLES[payout.status]}`}>
+                      {payout.status}
+                    </span>
+                    {payout.errorMessage && payout.status !== 'paid' && (
+                      <span className="block text-xs text-red-600 mt-1">{payout.errorMessage}</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-right text-sm space-x-3 whitespace-nowrap">
+                    <button onClick={() => openStatement(payout.id)} className="text-blue-600 hover:text-blue-800">
+                      Statement
+                    </button>
+                    {payout.status !== 'paid' && (
+                      <button
+                        onClick={() => handleRetry(payout.id)}
+                        disabled={actionLoading}
+                        className="text-green-600 hover:text-green-800 disabled:opacity-50"
+                      >
+                        Retry
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {pagination && pagination.pages > 1 && (
+        <div className="flex items-center justify-between">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-sm disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-gray-600">
+            Page {pagination.page} of {pagination.pages} ({pagination.total} payouts)
+          </span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= pagination.pages}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-sm disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+
+      {/* Statement Modal */}
+      {statement && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg p-6 w-full max-w-2xl max-h-screen overflow-y-auto">
+            <div className="flex justify-between items-center mb-4">
+              <div>
+                <h2 className="text-xl font-bold text-gray-900">{statement.payout.driverName}</h2>
+                <p className="text-sm text-gray-500">
+                  {statement.payout.periodStart} – {statement.payout.periodEnd}
+                  {statement.payout.stripeTransferId && ` · ${statement.payout.stripeTransferId}`}
+                </p>
+              </div>
+              <button onClick={() => setStatement(null)} className="text-gray-500 hover:text-gray-700 text-2xl">
+                ×
+              </button>
+            </div>
+
+            <table className="min-w-full text-sm">
+              <tbody className="divide-y divide-gray-100">
+                {statement.entries.map(entry => (
+                  <tr key={entry.id}>
+                    <td className="py-2 text-gray-500">{new Date(entry.createdAt).toLocaleDateString()}</td>
+                    <td className="py-2 text-gray-900">
+                      {ENTRY_LABELS[entry.type]}
+                      {entry.orderNumber && <span className="text-gray-500"> · #{entry.orderNumber}</span>}
+                      {entry.description && <span className="block text-xs text-gray-500">{entry.description}</span>}
+                    </td>
+                    <td className="py-2 text-right font-medium text-gray-900">{formatMoney(entry.amount)}</td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr className="border-t-2 border-gray-200">
+                  <td colSpan={2} className="py-2 font-semibold text-gray-900">Total</td>
+                  <td className="py-2 text-right font-bold text-gray-900">{formatMoney(statement.payout.amount)}</td>
+                </tr>
+              </tfoot>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DriverPayouts;
@@ -0,0 +1,214 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from '../../utils/axios';
+import StarRating from '../StarRating';
+
+interface DriverRating {
+  id: number;
+  order_id: number;
+  order_number: string;
+  driver_id: number;
+  driver_name: string;
+  driver_code: string;
+  driver_rating: number;
+  driver_rating_count: number;
+  customer_name: string;
+  rating: number;
+  feedback?: string;
+  flag_reason?: 'low_rating' | 'low_average';
+  review_status?: 'open' | 'resolved';
+  review_note?: string;
+  reviewed_by_name?: string;
+  reviewed_at?: string;
+  created_at: string;
+}
+
+interface Pagination {
+  page: number;
+  limit: number;
+  total: number;
+  pages: number;
+}
+
+type StatusFilter = 'open' | 'resolved' | 'all';
+
+const FLAG_LABELS = {
+  low_rating: 'Low rating',
+  low_average: 'Average below threshold'
+};
+
+const DriverRatings: React.FC = () => {
+  const [ratings, setRatings] = useState<DriverRating[]>([]);
+  const [pagination, setPagination] = useState<Pagination | null>(null);
+  const [openCount, setOpenCount] = useState(0);
+  const [statusFilter, setStatusFilter] = useState<StatusFilter>('open');
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [notes, setNotes] = useState<{ [ratingId: number]: string }>({});
+  const [resolvingId, setResolvingId] = useState<number | null>(null);
+
+  const fetchRatings = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await axios.get('/admin/driver-ratings', {
+        params: { status: statusFilter, page }
+      });
+      setRatings(response.data.data);
+      setPagination(response.data.pagination);
+      setOpenCount(response.data.summary.openCount);
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to fetch driver ratings');
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter, page]);
+
+  useEffect(() => {
+    fetchRatings();
+  }, [fetchRatings]);
+
+  const handleResolve = async (ratingId: number) => {
+    setResolvingId(ratingId);
+    setError(null);
+    try {
+      await axios.put(`/admin/driver-ratings/${ratingId}/review`, {
+        note: notes[ratingId]?.trim() || undefined
+      });
+      fetchRatings();
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to resolve rating');
+    } finally {
+      setResolvingId(null);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Driver Ratings</h1>
+          <p className="text-gray-600 mt-1">
+            Customer ratings of deliveries. Low ratings are flagged for review
+            {openCount > 0 && <span className="font-medium text-red-600"> · {openCount} open</span>}
+          </p>
+        </div>
+        <select
+          value={statusFilter}
+          onChange={(e) => {
+            setStatusFilter(e.target.value as StatusFilter);
+            setPage(1);
+          }}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="open">Needs review</option>
+          <option value="resolved">Resolved</option>
+          <option value="all">All ratings</option>
+        </select>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-800 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600"></div>
+        </div>
+      ) : ratings.length === 0 ? (
+        <div className="bg-white rounded-lg shadow p-8 text-center text-gray-500">
+          {statusFilter === 'open' ? 'No ratings need review.' : 'No ratings found.'}
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {ratings.map(rating => (
+            <div key={rating.id} className="bg-white rounded-lg shadow p-4 sm:p-6">
+              <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-2">
+                <div>
+                  <p className="text-sm font-medium text-blue-600">
+                    {rating.driver_name}
+                    <span className="text-gray-500"> · {rating.driver_code}</span>
+                    <span className="text-gray-500"> · {rating.driver_rating.toFixed(2)} average from {rating.driver_rating_count}</span>
+                  </p>
+                  <div className="flex items-center space-x-2 mt-1">
+                    <StarRating rating={rating.rating} size="sm" />
+                    <span className="text-sm text-gray-700">Order #{rating.order_number}</span>
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {rating.customer_name} · {new Date(rating.created_at).toLocaleString()}
+                  </p>
+                </div>
+                {rating.review_status && (
+                  <span className={`px-2 py-1 text-xs font-medium rounded-full self-start ${
+                    rating.review_status === 'open' ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'
+                  }`}>
+                    {rating.flag_reason ? FLAG_LABELS[rating.flag_reason] : 'Flagged'}
+                    {rating.review_status === 'resolved' && ' · resolved'}
+                  </span>
+                )}
+              </div>
+
+              {rating.feedback && (
+                <p className="mt-3 text-gray-700 whitespace-pre-line">{rating.feedback}</p>
+              )}
+
+              {rating.review_status === 'resolved' && (
+                <p className="mt-2 text-sm text-gray-500">
+                  Resolved by {rating.reviewed_by_name || 'an admin'}
+                  {rating.reviewed_at && ` on ${new Date(rating.reviewed_at).toLocaleDateString()}`}
+                  {rating.review_note && `: ${rating.review_note}`}
+                </p>
+              )}
+
+              {rating.review_status === 'open' && (
+                <div className="mt-4 flex flex-col sm:flex-row gap-2">
+                  <input
+                    type="text"
+                    placeholder="What was done about it (optional)"
+                    value={notes[rating.id] || ''}
+                    maxLength={500}
+                    onChange={(e) => setNotes({ ...notes, [rating.id]: e.target.value })}
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500"
+                  />
+                  <button
+                    onClick={() => handleResolve(rating.id)}
+                    disabled={resolvingId === rating.id}
+                    className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 disabled:opacity-50 text-sm"
+                  >
+                    Mark Resolved
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {pagination && pagination.pages > 1 && (
+        <div className="flex items-center justify-between">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-sm disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-gray-600">
+            Page {pagination.page} of {pagination.pages} ({pagination.total} ratings)
+          </span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= pagination.pages}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-sm disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DriverRatings;
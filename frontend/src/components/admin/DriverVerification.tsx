@@ -0,0 +1,531 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from '../../utils/axios';
+
+type VerificationStatus = 'pending' | 'approved' | 'rejected';
+
+interface Driver {
+  id: number;
+  driver_id: string;
+  full_name: string;
+  email: string;
+  phone: string;
+  license_number: string;
+  vehicle_type: string;
+  vehicle_plate: string;
+  status: string;
+  is_verified: boolean;
+  verification_status: VerificationStatus;
+  rejection_reason: string | null;
+  suspension_reason: string | null;
+  verified_at: string | null;
+  verified_by_name: string | null;
+  rating: string;
+  rating_count: number;
+  total_deliveries: number;
+  created_at: string;
+  document_count?: number;
+}
+
+interface DriverDocument {
+  id: number;
+  document_type: string;
+  original_name: string;
+  content_type: string;
+  uploaded_at: string;
+}
+
+interface DriverDetails extends Driver {
+  open_rating_flags: number;
+  documents: DriverDocument[];
+}
+
+interface Pagination {
+  page: number;
+  limit: number;
+  total: number;
+  pages: number;
+}
+
+const DOCUMENT_LABELS: Record<string, string> = {
+  drivers_license: "Driver's License",
+  vehicle_registration: 'Vehicle Registration',
+  insurance: 'Insurance',
+  identity: 'Identity Document'
+};
+
+const formatDate = (value: string | null) => (value ? new Date(value).toLocaleString() : '—');
+
+const getVerificationColor = (status: string) => {
+  const colors = {
+    pending: 'bg-yellow-100 text-yellow-800',
+    approved: 'bg-green-100 text-green-800',
+    rejected: 'bg-red-100 text-red-800'
+  };
+  return colors[status as keyof typeof colors] || 'bg-gray-100 text-gray-800';
+};
+
+const DriverVerification: React.FC = () => {
+  const [drivers, setDrivers] = useState<Driver[]>([]);
+  const [summary, setSummary] = useState<Record<VerificationStatus, number>>({ pending: 0, approved: 0, rejected: 0 });
+  const [pagination, setPagination] = useState<Pagination>({ page: 1, limit: 20, total: 0, pages: 0 });
+  const [loading, setLoading] = useState(true);
+  const [filter, setFilter] = useState<string>('pending');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [appliedSearch, setAppliedSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState<{ type: 'success' | 'error', text: string } | null>(null);
+
+  const [selectedDriver, setSelectedDriver] = useState<DriverDetails | null>(null);
+  const [detailsLoading, setDetailsLoading] = useState(false);
+  const [reasonAction, setReasonAction] = useState<'reject' | 'suspend' | null>(null);
+  const [reason, setReason] = useState('');
+
+  const fetchDrivers = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params: Record<string, string | number> = { verification: filter, page, limit: 20 };
+      if (appliedSearch) params.q = appliedSearch;
+
+      const response = await axios.get('/admin/drivers', { params });
+      setDrivers(response.data.data);
+      setSummary(response.data.summary);
+      setPagination(response.data.pagination);
+    } catch (error: any) {
+      console.error('Error fetching drivers:', error);
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Failed to load drivers' });
+    } finally {
+      setLoading(false);
+    }
+  }, [filter, page, appliedSearch]);
+
+  useEffect(() => {
+    fetchDrivers();
+  }, [fetchDrivers]);
+
+  const loadDetails = async (driverId: number) => {
+    setDetailsLoading(true);
+    try {
+      const response = await axios.get(`/admin/drivers/${driverId}`);
+      setSelectedDriver(response.data.data);
+    } catch (error: any) {
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Failed to load driver details' });
+    } finally {
+      setDetailsLoading(false);
+    }
+  };
+
+  const closeDetails = () => {
+    setSelectedDriver(null);
+    setReasonAction(null);
+    setReason('');
+  };
+
+  // Documents are private, so they are fetched with the admin session and opened as a blob
+  const openDocument = async (driverId: number, document: DriverDocument) => {
+    try {
+      const response = await axios.get(`/admin/drivers/${driverId}/documents/${document.id}`, {
+        responseType: 'blob'
+      });
+      const url = URL.createObjectURL(response.data);
+      window.open(url, '_blank', 'noopener');
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error: any) {
+      setMessage({ type: 'error', text: 'Failed to open document' });
+    }
+  };
+
+  const runAction = async (driverId: number, action: () => Promise<any>) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const response = await action();
+      setMessage({ type: 'success', text: response.data.message });
+      setReasonAction(null);
+      setReason('');
+      await fetchDrivers();
+      await loadDetails(driverId);
+    } catch (error: any) {
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Action failed' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleApprove = (driver: Driver) => {
+    if (!window.confirm(`Approve ${driver.full_name}? They will be able to go online and receive orders.`)) return;
+    runAction(driver.id, () => axios.post(`/admin/drivers/${driver.id}/approve`));
+  };
+
+  const handleReasonSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!selectedDriver || !reasonAction) return;
+    runAction(selectedDriver.id, () => axios.post(`/admin/drivers/${selectedDriver.id}/${reasonAction}`, { reason }));
+  };
+
+  const handleReactivate = (driver: Driver) => {
+    runAction(driver.id, () => axios.post(`/admin/users/driver/${driver.id}/reactivate`));
+  };
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    setPage(1);
+    setAppliedSearch(searchTerm.trim());
+  };
+
+  const suspended = selectedDriver?.status === 'inactive';
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Driver Verification</h1>
+        <p className="text-gray-600">Review driver licenses, vehicles and documents before they can take deliveries</p>
+      </div>
+
+      {/* Summary */}
+      <div className="grid grid-cols-3 gap-4">
+        {(['pending', 'approved', 'rejected'] as VerificationStatus[]).map(status => (
+          <button
+            key={status}
+            onClick={() => {
+              setPage(1);
+              setFilter(status);
+            }}
+            className={`bg-white rounded-lg shadow p-4 text-left ${filter === status ? 'ring-2 ring-blue-500' : ''}`}
+          >
+            <p className="text-sm text-gray-500 capitalize">{status}</p>
+            <p className="text-2xl font-bold text-gray-900">{summary[status] ?? 0}</p>
+          </button>
+        ))}
+      </div>
+
+      {/* Search and Filter */}
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <form onSubmit={handleSearch}>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Search Drivers</label>
+            <input
+              type="text"
+              placeholder="Search by name, email, license or plate..."
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </form>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Verification</label>
+            <select
+              value={filter}
+              onChange={(e) => {
+                setPage(1);
+                setFilter(e.target.value);
+              }}
+              className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="pending">Pending Review</option>
+              <option value="approved">Approved</option>
+              <option value="rejected">Rejected</option>
+              <option value="all">All Drivers</option>
+            </select>
+          </div>
+        </div>
+      </div>
+
+      {message && (
+        <div className={`p-4 rounded-md ${message.type === 'success' ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`}>
+          {message.text}
+        </div>
+      )}
+
+      {/* Driver Details Modal */}
+      {(selectedDriver || detailsLoading) && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg p-6 w-full max-w-3xl max-h-full overflow-y-auto">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-xl font-bold">
+                {selectedDriver ? selectedDriver.full_name : 'Loading...'}
+              </h2>
+              <button
+                onClick={closeDetails}
+                className="text-gray-500 hover:text-gray-700"
+              >
+                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+
+            {detailsLoading && !selectedDriver ? (
+              <div className="flex justify-center py-12">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+              </div>
+            ) : selectedDriver && (
+              <div className="space-y-6">
+                <div className="flex flex-wrap gap-2">
+                  <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getVerificationColor(selectedDriver.verification_status)}`}>
+                    {selectedDriver.verification_status}
+                  </span>
+                  {suspended && (
+                    <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-red-100 text-red-800">
+                      suspended
+                    </span>
+                  )}
+                </div>
+
+                {selectedDriver.rejection_reason && (
+                  <div className="p-3 bg-red-50 border border-red-200 rounded text-sm text-red-800">
+                    <strong>Rejection reason:</strong> {selectedDriver.rejection_reason}
+                  </div>
+                )}
+                {suspended && selectedDriver.suspension_reason && (
+                  <div className="p-3 bg-red-50 border border-red-200 rounded text-sm text-red-800">
+                    <strong>Suspension reason:</strong> {selectedDriver.suspension_reason}
+                  </div>
+                )}
+
+                <div className="grid grid-cols-2 gap-4 text-sm">
+                  <div>
+                    <p className="text-gray-500">Driver ID</p>
+                    <p className="text-gray-900 font-mono">{selectedDriver.driver_id}</p>
+                  </div>
+                  <div>
+                    <p className="text-gray-500">Registered</p>
+                    <p className="text-gray-900">{formatDate(selectedDriver.created_at)}</p>
+                  </div>
+                  <div>
+                    <p className="text-gray-500">Email</p>
+                    <p className="text-gray-900">{selectedDriver.email}</p>
+                  </div>
+                  <div>
+                    <p className="text-gray-500">Phone</p>
+                    <p className="text-gray-900">{selectedDriver.phone}</p>
+                  </div>
+                  <div>
+                    <p className="text-gray-500">License Number</p>
+                    <p className="text-gray-900 font-mono">{selectedDriver.license_number}</p>
+                  </div>
+                  <div>
+                    <p className="text-gray-500">Vehicle</p>
+                    <p className="text-gray-900 capitalize">{selectedDriver.vehicle_type} · {selectedDriver.vehicle_plate}</p>
+                  </div>
+                  <div>
+                    <p className="text-gray-500">Deliveries</p>
+                    <p className="text-gray-900">
+                      {selectedDriver.total_deliveries} · {parseFloat(selectedDriver.rating).toFixed(1)} rating from {selectedDriver.rating_count}
+                    </p>
+                    {selectedDriver.open_rating_flags > 0 && (
+                      <p className="text-xs text-red-600">
+                        {selectedDriver.open_rating_flags} rating{selectedDriver.open_rating_flags === 1 ? '' : 's'} flagged for review
+                      </p>
+                    )}
+                  </div>
+                  <div>
+                    <p className="text-gray-500">Reviewed</p>
+                    <p className="text-gray-900">
+                      {selectedDriver.verified_by_name
+                        ? `${selectedDriver.verified_by_name}${selectedDriver.verified_at ? `, ${formatDate(selectedDriver.verified_at)}` : ''}`
+                        : 'Not yet reviewed'}
+                    </p>
+                  </div>
+                </div>
+
+                <div>
+                  <h3 className="text-lg font-medium text-gray-900 mb-2">Documents ({selectedDriver.documents.length})</h3>
+                  {selectedDriver.documents.length === 0 ? (
+                    <p className="text-sm text-gray-500">The driver hasn't uploaded any documents yet.</p>
+                  ) : (
+                    <ul className="text-sm divide-y divide-gray-200">
+                      {selectedDriver.documents.map(document => (
+                        <li key={document.id} className="py-2 flex items-center justify-between">
+                          <div>
+                            <p className="text-gray-900">{DOCUMENT_LABELS[document.document_type] || document.document_type}</p>
+                            <p className="text-gray-500">{document.original_name} · {formatDate(document.uploaded_at)}</p>
+                          </div>
+                          <button
+                            onClick={() => openDocument(selectedDriver.id, document)}
+                            className="text-indigo-600 hover:text-indigo-900"
+                          >
+                            Open
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+
+                {reasonAction ? (
+                  <form onSubmit={handleReasonSubmit} className="pt-4 border-t border-gray-200 space-y-3">
+                    <label className="block text-sm font-medium text-gray-700">
+                      {reasonAction === 'reject' ? 'Why is this driver being rejected?' : 'Why is this driver being suspended?'}
+                    </label>
+                    <textarea
+                      value={reason}
+                      onChange={(e) => setReason(e.target.value)}
+                      rows={3}
+                      maxLength={500}
+                      required
+                      className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      placeholder="The driver will see this in their email and notifications"
+                    />
+                    <div className="flex space-x-3">
+                      <button
+                        type="submit"
+                        disabled={busy || !reason.trim()}
+                        className="px-4 py-2 bg-red-600 text-white rounded-md text-sm hover:bg-red-700 disabled:opacity-50"
+                      >
+                        {reasonAction === 'reject' ? 'Reject Driver' : 'Suspend Driver'}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => {
+                          setReasonAction(null);
+                          setReason('');
+                        }}
+                        className="px-4 py-2 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  </form>
+                ) : (
+                  <div className="pt-4 border-t border-gray-200 flex flex-wrap gap-3 text-sm font-medium">
+                    {selectedDriver.verification_status !== 'approved' && (
+                      <button
+                        onClick={() => handleApprove(selectedDriver)}
+                        disabled={busy}
+                        className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50"
+                      >
+                        Approve
+                      </button>
+                    )}
+                    {selectedDriver.verification_status !== 'rejected' && (
+                      <button
+                        onClick={() => setReasonAction('reject')}
+                        disabled={busy}
+                        className="px-4 py-2 border border-red-300 text-red-700 rounded-md hover:bg-red-50 disabled:opacity-50"
+                      >
+                        Reject
+                      </button>
+                    )}
+                    {suspended ? (
+                      <button
+                        onClick={() => handleReactivate(selectedDriver)}
+                        disabled={busy}
+                        className="px-4 py-2 border border-green-300 text-green-700 rounded-md hover:bg-green-50 disabled:opacity-50"
+                      >
+                        Reactivate
+                      </button>
+                    ) : (
+                      <button
+                        onClick={() => setReasonAction('suspend')}
+                        disabled={busy}
+                        className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 disabled:opacity-50"
+                      >
+                        Suspend
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Drivers Table */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h3 className="text-lg font-medium text-gray-900">Drivers ({pagination.total})</h3>
+        </div>
+
+        {loading ? (
+          <div className="flex items-center justify-center h-64">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+          </div>
+        ) : drivers.length === 0 ? (
+          <div className="p-8 text-center text-gray-500">No drivers match these filters.</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Driver</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">License</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Vehicle</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Documents</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Verification</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Registered</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {drivers.map(driver => (
+                  <tr key={driver.id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="text-sm font-medium text-gray-900">{driver.full_name}</div>
+                      <div className="text-sm text-gray-500">{driver.email}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 font-mono">{driver.license_number}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      <span className="capitalize">{driver.vehicle_type}</span>
+                      <div className="text-gray-500">{driver.vehicle_plate}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{driver.document_count ?? 0}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getVerificationColor(driver.verification_status)}`}>
+                        {driver.verification_status}
+                      </span>
+                      {driver.status === 'inactive' && (
+                        <span className="ml-1 inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-red-100 text-red-800">
+                          suspended
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {new Date(driver.created_at).toLocaleDateString()}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                      <button
+                        onClick={() => loadDetails(driver.id)}
+                        className="text-indigo-600 hover:text-indigo-900"
+                      >
+                        Review
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {pagination.pages > 1 && (
+          <div className="px-6 py-4 border-t border-gray-200 flex items-center justify-between">
+            <p className="text-sm text-gray-500">
+              Page {pagination.page} of {pagination.pages}
+            </p>
+            <div className="flex space-x-2">
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={page <= 1}
+                className="px-3 py-1 border border-gray-300 rounded-md text-sm disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={page >= pagination.pages}
+                className="px-3 py-1 border border-gray-300 rounded-md text-sm disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DriverVerification;
@@ -0,0 +1,363 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from '../../utils/axios';
+import { useCurrency, fromMinorUnits } from '../../context/CurrencyContext';
+
+interface FailedTransfer {
+  id: number;
+  order_id: number;
+  store_id: number;
+  store_name: string;
+  amount_cents: number;
+  currency: string;
+  stripe_account_id: string;
+  error_message?: string;
+  retry_count: number;
+  resolved: boolean;
+  resolved_at?: string;
+  resolution_note?: string;
+  stripe_transfer_id?: string;
+  last_retry_at?: string;
+  order_total?: string;
+  order_status?: string;
+  created_at: string;
+}
+
+interface FailedTransferDetail extends FailedTransfer {
+  order_notes?: string;
+  customer_name?: string;
+  customer_email?: string;
+  order_created_at?: string;
+  current_stripe_account_id?: string;
+  stripe_account_status?: string;
+}
+
+interface Summary {
+  unresolvedCount: number;
+  unresolvedAmounts: { currency: string; amountCents: number }[];
+}
+
+interface Pagination {
+  page: number;
+  limit: number;
+  total: number;
+  pages: number;
+}
+
+const FailedTransfers: React.FC = () => {
+  const { formatMoney } = useCurrency();
+  const formatCents = (cents: number, currency: string) => formatMoney(fromMinorUnits(cents, currency), currency);
+
+  const [transfers, setTransfers] = useState<FailedTransfer[]>([]);
+  const [summary, setSummary] = useState<Summary | null>(null);
+  const [pagination, setPagination] = useState<Pagination | null>(null);
+  const [statusFilter, setStatusFilter] = useState<'unresolved' | 'resolved' | 'all'>('unresolved');
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [successMessage, setSuccessMessage] = useState<string | null>(null);
+  const [selected, setSelected] = useState<FailedTransferDetail | null>(null);
+  const [resolutionNote, setResolutionNote] = useState('');
+  const [actionLoading, setActionLoading] = useState(false);
+
+  const fetchTransfers = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await axios.get('/admin/failed-transfers', {
+        params: { status: statusFilter, page }
+      });
+      setTransfers(response.data.data);
+      setSummary(response.data.summary);
+      setPagination(response.data.pagination);
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to fetch failed transfers');
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter, page]);
+
+  useEffect(() => {
+    fetchTransfers();
+  }, [fetchTransfers]);
+
+  const openDetails = async (transferId: number) => {
+    setError(null);
+    try {
+      const response = await axios.get(`/admin/failed-transfers/${transferId}`);
+      setSelected(response.data.data);
+      setResolutionNote('');
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to load transfer details');
+    }
+  };
+
+  const showSuccess = (message: string) => {
+    setSuccessMessage(message);
+    setTimeout(() => setSuccessMessage(null), 5000);
+  };
+
+  const handleRetry = async (transferId: number) => {
+    setActionLoading(true);
+    setError(null);
+    try {
+      const response = await axios.post(`/admin/failed-transfers/${transferId}/retry`);
+      showSuccess(response.data.message);
+      setSelected(null);
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to retry transfer');
+      if (selected) {
+        openDetails(transferId);
+      }
+    } finally {
+      setActionLoading(false);
+      fetchTransfers();
+    }
+  };
+
+  const handleResolve = async (transferId: number) => {
+    setActionLoading(true);
+    setError(null);
+    try {
+      const response = await axios.put(`/admin/failed-transfers/${transferId}/resolve`, { note: resolutionNote });
+      showSuccess(response.data.message);
+      setSelected(null);
+      fetchTransfers();
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to resolve transfer');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Failed Transfers</h1>
+          <p className="text-gray-600 mt-1">Store payouts that could not be sent after checkout</p>
+        </div>
+        <select
+          value={statusFilter}
+          onChange={(e) => {
+            setStatusFilter(e.target.value as 'unresolved' | 'resolved' | 'all');
+            setPage(1);
+          }}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="unresolved">Unresolved</option>
+          <option value="resolved">Resolved</option>
+          <option value="all">All</option>
+        </select>
+      </div>
+
+      {summary && summary.unresolvedCount > 0 && (
+        <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg">
+          {summary.unresolvedCount} unresolved {summary.unresolvedCount === 1 ? 'transfer' : 'transfers'} totalling{' '}
+          <span className="font-semibold">
+            {summary.unresolvedAmounts.map(owed => formatCents(owed.amountCents, owed.currency)).join(' + ')}
+          </span> owed to stores
+        </div>
+      )}
+
+      {successMessage && (
+        <div className="bg-green-50 border border-green-200 text-green-800 px-4 py-3 rounded-lg">
+          {successMessage}
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-800 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600"></div>
+        </div>
+      ) : transfers.length === 0 ? (
+        <div className="bg-white rounded-lg shadow p-8 text-center text-gray-500">
+          No {statusFilter === 'all' ? '' : `${statusFilter} `}failed transfers.
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Order</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Store</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Amount</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Retries</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Failed</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {transfers.map(transfer => (
+                <tr key={transfer.id}>
+                  <td className="px-4 py-3 text-sm text-gray-900">#{transfer.order_id}</td>
+                  <td className="px-4 py-3 text-sm text-gray-900">{transfer.store_name}</td>
+                  <td className="px-4 py-3 text-sm font-medium text-gray-900">{formatCents(transfer.amount_cents, transfer.currency)}</td>
+                  <td className="px-4 py-3 text-sm text-gray-700">{transfer.retry_count}</td>
+                  <td className="px-4 py-3 text-sm text-gray-700">{new Date(transfer.created_at).toLocaleString()}</td>
+                  <td className="px-4 py-3">
+                    <span className={`px-2 py-1 text-xs font-medium rounded-full ${
+                      transfer.resolved ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+                    }`}>
+                      {transfer.resolved ? 'Resolved' : 'Unresolved'}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 text-right text-sm space-x-3 whitespace-nowrap">
+                    <button onClick={() => openDetails(transfer.id)} className="text-blue-600 hover:text-blue-800">
+                      Details
+                    </button>
+                    {!transfer.resolved && (
+                      <button
+                        onClick={() => handleRetry(transfer.id)}
+                        disabled={actionLoading}
+                        className="text-green-600 hover:text-green-800 disabled:opacity-50"
+                      >
+                        Retry
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {pagination && pagination.pages > 1 && (
+        <div className="flex items-center justify-between">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-sm disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-gray-600">
+            Page {pagination.page} of {pagination.pages} ({pagination.total} transfers)
+          </span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= pagination.pages}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-sm disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+
+      {/* Details Modal */}
+      {selected && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg p-6 w-full max-w-lg max-h-screen overflow-y-auto">
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-xl font-bold text-gray-900">Transfer for Order #{selected.order_id}</h2>
+              <button onClick={() => setSelected(null)} className="text-gray-500 hover:text-gray-700 text-2xl">
+                ×
+              </button>
+            </div>
+
+            <dl className="space-y-2 text-sm">
+              <div className="flex justify-between">
+                <dt className="text-gray-500">Store</dt>
+                <dd className="text-gray-900">{selected.store_name}</dd>
+              </div>
+              <div className="flex justify-between">
+                <dt className="text-gray-500">Amount</dt>
+                <dd className="font-medium text-gray-900">{formatCents(selected.amount_cents, selected.currency)}</dd>
+              </div>
+              <div className="flex justify-between">
+                <dt className="text-gray-500">Account at failure</dt>
+                <dd className="font-mono text-gray-900">{selected.stripe_account_id}</dd>
+              </div>
+              <div className="flex justify-between">
+                <dt className="text-gray-500">Current account</dt>
+                <dd className="font-mono text-gray-900">
+                  {selected.current_stripe_account_id || 'Not connected'}
+                  {selected.stripe_account_status && ` (${selected.stripe_account_status})`}
+                </dd>
+              </div>
+              {selected.customer_name && (
+                <div className="flex justify-between">
+                  <dt className="text-gray-500">Customer</dt>
+                  <dd className="text-gray-900">{selected.customer_name} ({selected.customer_email})</dd>
+                </div>
+              )}
+              {selected.order_total && (
+                <div className="flex justify-between">
+                  <dt className="text-gray-500">Order total</dt>
+                  <dd className="text-gray-900">${parseFloat(selected.order_total).toFixed(2)} · {selected.order_status}</dd>
+                </div>
+              )}
+              <div className="flex justify-between">
+                <dt className="text-gray-500">Retries</dt>
+                <dd className="text-gray-900">
+                  {selected.retry_count}
+                  {selected.last_retry_at && ` (last ${new Date(selected.last_retry_at).toLocaleString()})`}
+                </dd>
+              </div>
+              {selected.stripe_transfer_id && (
+                <div className="flex justify-between">
+                  <dt className="text-gray-500">Stripe transfer</dt>
+                  <dd className="font-mono text-gray-900">{selected.stripe_transfer_id}</dd>
+                </div>
+              )}
+            </dl>
+
+            {selected.error_message && (
+              <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded text-sm text-red-800">
+                <p className="font-medium mb-1">Last error</p>
+                <p>{selected.error_message}</p>
+              </div>
+            )}
+
+            {selected.resolution_note && (
+              <div className="mt-4 p-3 bg-green-50 border border-green-200 rounded text-sm text-green-800">
+                <p className="font-medium mb-1">Resolution</p>
+                <p>{selected.resolution_note}</p>
+              </div>
+            )}
+
+            {!selected.resolved && (
+              <div className="mt-6 space-y-3">
+                <button
+                  onClick={() => handleRetry(selected.id)}
+                  disabled={actionLoading}
+                  className="w-full bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 disabled:opacity-50"
+                >
+                  {actionLoading ? 'Working...' : 'Retry Transfer'}
+                </button>
+                <div className="border-t pt-3">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Or mark resolved (e.g. paid outside Stripe)
+                  </label>
+                  <textarea
+                    value={resolutionNote}
+                    onChange={(e) => setResolutionNote(e.target.value)}
+                    rows={2}
+                    placeholder="How was this resolved?"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500"
+                  />
+                  <button
+                    onClick={() => handleResolve(selected.id)}
+                    disabled={actionLoading || !resolutionNote.trim()}
+                    className="mt-2 w-full bg-gray-100 text-gray-800 px-4 py-2 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+                  >
+                    Mark as Resolved
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FailedTransfers;
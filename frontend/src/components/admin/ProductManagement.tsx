@@ -10,6 +10,7 @@ interface Product {
   category: string;
   image_url: string;
   stock_quantity: number;
+  weight_kg?: string | null;
   created_at: string;
   updated_at: string;
 }
@@ -21,6 +22,7 @@ interface ProductFormData {
   category: string;
   image_url: string;
   stock_quantity: string;
+  weight_kg: string;
 }
 
 const ProductManagement: React.FC = () => {
@@ -36,7 +38,8 @@ const ProductManagement: React.FC = () => {
     price: '',
     category: '',
     image_url: '',
-    stock_quantity: ''
+    stock_quantity: '',
+    weight_kg: ''
   });
 
   const categories = ['Electronics', 'Clothing', 'Home & Kitchen', 'Fitness', 'Accessories', 'Home & Garden'];
@@ -48,7 +51,7 @@ const ProductManagement: React.FC = () => {
   const fetchProducts = async () => {
     try {
       setLoading(true);
-      const response = await axios.get('/products');
+      const response = await axios.get('/admin/products');
       if (response.data.success) {
         setProducts(response.data.data);
       }
@@ -90,7 +93,8 @@ const ProductManagement: React.FC = () => {
       price: product.price.toString(),
       category: product.category,
       image_url: product.image_url,
-      stock_quantity: product.stock_quantity.toString()
+      stock_quantity: product.stock_quantity.toString(),
+      weight_kg: product.weight_kg ? String(parseFloat(product.weight_kg)) : ''
     });
     setShowForm(true);
   };
@@ -113,7 +117,8 @@ const ProductManagement: React.FC = () => {
       price: '',
       category: '',
       image_url: '',
-      stock_quantity: ''
+      stock_quantity: '',
+      weight_kg: ''
     });
     setEditingProduct(null);
     setUploadError(null);
@@ -244,6 +249,20 @@ const ProductManagement: React.FC = () => {
                 </div>
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Weight (kg)</label>
+                <input
+                  type="number"
+                  step="0.001"
+                  min="0"
+                  name="weight_kg"
+                  value={formData.weight_kg}
+                  onChange={handleInputChange}
+                  placeholder="Used for weight-based delivery fees"
+                  className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
                 <select
@@ -14,6 +14,25 @@ interface Refund {
   processed_at?: string;
   admin_notes?: string;
   stripe_refund_id?: string;
+  delivered_at?: string | null;
+  delivery_pin_verified_at?: string | null;
+  proof_count?: number;
+}
+
+interface DeliveryProof {
+  orderId: number;
+  status: string;
+  deliveredAt: string | null;
+  pinRequired: boolean;
+  pinVerifiedAt: string | null;
+  pinFailedAttempts: number;
+  driver: { id: number; driverId: string; fullName: string } | null;
+  proofs: {
+    id: number;
+    type: 'photo' | 'signature';
+    contentType: string;
+    createdAt: string;
+  }[];
 }
 
 const RefundManagement: React.FC = () => {
@@ -27,6 +46,8 @@ const RefundManagement: React.FC = () => {
   const [cancelReason, setCancelReason] = useState('');
   const [statusFilter, setStatusFilter] = useState<string>('all');
   const [successMessage, setSuccessMessage] = useState<string | null>(null);
+  const [deliveryProof, setDeliveryProof] = useState<DeliveryProof | null>(null);
+  const [proofImages, setProofImages] = useState<Record<number, string>>({});
 
   const fetchRefunds = useCallback(async () => {
     setLoading(true);
@@ -46,11 +67,39 @@ const RefundManagement: React.FC = () => {
     fetchRefunds();
   }, [fetchRefunds]);
 
+  // Proof files are private, so they are fetched with the admin session and shown as blobs
+  const fetchDeliveryProof = async (orderId: number) => {
+    try {
+      const response = await axios.get(`/admin/orders/${orderId}/delivery-proof`);
+      const proof: DeliveryProof = response.data.data;
+      setDeliveryProof(proof);
+
+      const images: Record<number, string> = {};
+      for (const file of proof.proofs) {
+        const fileResponse = await axios.get(`/admin/orders/${orderId}/delivery-proof/${file.id}`, {
+          responseType: 'blob'
+        });
+        images[file.id] = URL.createObjectURL(fileResponse.data);
+      }
+      setProofImages(images);
+    } catch (err: any) {
+      console.error('Error fetching delivery proof:', err);
+    }
+  };
+
+  const clearDeliveryProof = () => {
+    Object.values(proofImages).forEach(url => URL.revokeObjectURL(url));
+    setProofImages({});
+    setDeliveryProof(null);
+  };
+
   const openRefundModal = (refund: Refund) => {
     setSelectedRefund(refund);
     setShowModal(true);
     setAdminNotes('');
     setCancelReason('');
+    clearDeliveryProof();
+    fetchDeliveryProof(refund.order_id);
   };
 
   const closeModal = () => {
@@ -58,6 +107,7 @@ const RefundManagement: React.FC = () => {
     setSelectedRefund(null);
     setAdminNotes('');
     setCancelReason('');
+    clearDeliveryProof();
   };
 
   const handleProcessRefund = async () => {
@@ -293,6 +343,11 @@ const RefundManagement: React.FC = () => {
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                     #{refund.order_id}
+                    {refund.delivered_at && (
+                      <div className="text-xs text-gray-400">
+                        Delivered{refund.delivery_pin_verified_at ? ' · PIN' : ''}{refund.proof_count ? ` · ${refund.proof_count} proof` : ''}
+                      </div>
+                    )}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     <div className="text-sm text-gray-900">{refund.customer_name}</div>
@@ -397,6 +452,53 @@ const RefundManagement: React.FC = () => {
                   </div>
                 )}
 
+                {deliveryProof && deliveryProof.deliveredAt && (
+                  <div>
+                    <p className="text-sm text-gray-600 mb-2">Proof of Delivery</p>
+                    <div className="bg-gray-50 p-3 rounded-lg space-y-1 text-sm text-gray-900">
+                      <p>Delivered {new Date(deliveryProof.deliveredAt).toLocaleString()}
+                        {deliveryProof.driver && ` by ${deliveryProof.driver.fullName} (${deliveryProof.driver.driverId})`}
+                      </p>
+                      {deliveryProof.pinRequired ? (
+                        <p className={deliveryProof.pinVerifiedAt ? 'text-green-700' : 'text-red-700'}>
+                          {deliveryProof.pinVerifiedAt
+                            ? `Delivery PIN confirmed at ${new Date(deliveryProof.pinVerifiedAt).toLocaleString()}`
+                            : 'Delivery PIN was required but never confirmed'}
+                          {deliveryProof.pinFailedAttempts > 0 && ` · ${deliveryProof.pinFailedAttempts} incorrect attempt${deliveryProof.pinFailedAttempts !== 1 ? 's' : ''}`}
+                        </p>
+                      ) : (
+                        <p className="text-gray-600">No delivery PIN on this order</p>
+                      )}
+                      {deliveryProof.proofs.length === 0 ? (
+                        <p className="text-gray-600">No photo or signature captured</p>
+                      ) : (
+                        <div className="grid grid-cols-2 gap-3 pt-2">
+                          {deliveryProof.proofs.map(file => (
+                            <div key={file.id}>
+                              <p className="text-xs text-gray-600 capitalize mb-1">
+                                {file.type} · {new Date(file.createdAt).toLocaleString()}
+                              </p>
+                              {proofImages[file.id] ? (
+                                <a href={proofImages[file.id]} target="_blank" rel="noopener noreferrer">
+                                  <img
+                                    src={proofImages[file.id]}
+                                    alt={`Delivery ${file.type}`}
+                                    className="w-full h-32 object-contain bg-white border rounded"
+                                  />
+                                </a>
+                              ) : (
+                                <div className="w-full h-32 bg-white border rounded flex items-center justify-center text-xs text-gray-400">
+                                  Loading...
+                                </div>
+                              )}
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                )}
+
                 {selectedRefund.stripe_refund_id && (
                   <div>
                     <p className="text-sm text-gray-600">Stripe Refund ID</p>
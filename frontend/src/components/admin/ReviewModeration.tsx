@@ -0,0 +1,208 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from '../../utils/axios';
+import StarRating from '../StarRating';
+
+interface Review {
+  id: number;
+  product_id: number;
+  product_name: string;
+  store_name?: string;
+  reviewer_name: string;
+  reviewer_email: string;
+  rating: number;
+  title?: string;
+  body: string;
+  status: 'pending' | 'approved' | 'rejected';
+  moderation_note?: string;
+  moderated_at?: string;
+  created_at: string;
+}
+
+interface Pagination {
+  page: number;
+  limit: number;
+  total: number;
+  pages: number;
+}
+
+const ReviewModeration: React.FC = () => {
+  const [reviews, setReviews] = useState<Review[]>([]);
+  const [pagination, setPagination] = useState<Pagination | null>(null);
+  const [statusFilter, setStatusFilter] = useState<'pending' | 'approved' | 'rejected'>('pending');
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [notes, setNotes] = useState<{ [reviewId: number]: string }>({});
+  const [moderatingId, setModeratingId] = useState<number | null>(null);
+
+  const fetchReviews = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await axios.get('/reviews/admin/queue', {
+        params: { status: statusFilter, page }
+      });
+      setReviews(response.data.data);
+      setPagination(response.data.pagination);
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to fetch reviews');
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter, page]);
+
+  useEffect(() => {
+    fetchReviews();
+  }, [fetchReviews]);
+
+  const handleModerate = async (reviewId: number, status: 'approved' | 'rejected') => {
+    setModeratingId(reviewId);
+    setError(null);
+    try {
+      await axios.put(`/reviews/${reviewId}/moderate`, {
+        status,
+        note: notes[reviewId]?.trim() || undefined
+      });
+      fetchReviews();
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to moderate review');
+    } finally {
+      setModeratingId(null);
+    }
+  };
+
+  const getStatusBadgeClass = (status: string) => {
+    switch (status) {
+      case 'pending':
+        return 'bg-yellow-100 text-yellow-800';
+      case 'approved':
+        return 'bg-green-100 text-green-800';
+      case 'rejected':
+        return 'bg-red-100 text-red-800';
+      default:
+        return 'bg-gray-100 text-gray-800';
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Review Moderation</h1>
+          <p className="text-gray-600 mt-1">Approve or reject customer product reviews before they are published</p>
+        </div>
+        <select
+          value={statusFilter}
+          onChange={(e) => {
+            setStatusFilter(e.target.value as 'pending' | 'approved' | 'rejected');
+            setPage(1);
+          }}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="pending">Pending</option>
+          <option value="approved">Approved</option>
+          <option value="rejected">Rejected</option>
+        </select>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-800 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600"></div>
+        </div>
+      ) : reviews.length === 0 ? (
+        <div className="bg-white rounded-lg shadow p-8 text-center text-gray-500">
+          No {statusFilter} reviews.
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {reviews.map(review => (
+            <div key={review.id} className="bg-white rounded-lg shadow p-4 sm:p-6">
+              <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-2">
+                <div>
+                  <p className="text-sm font-medium text-blue-600">
+                    {review.product_name}
+                    {review.store_name && <span className="text-gray-500"> · {review.store_name}</span>}
+                  </p>
+                  <div className="flex items-center space-x-2 mt-1">
+                    <StarRating rating={review.rating} size="sm" />
+                    {review.title && <span className="font-semibold text-gray-900">{review.title}</span>}
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {review.reviewer_name} ({review.reviewer_email}) · {new Date(review.created_at).toLocaleString()}
+                  </p>
+                </div>
+                <span className={`px-2 py-1 text-xs font-medium rounded-full self-start ${getStatusBadgeClass(review.status)}`}>
+                  {review.status}
+                </span>
+              </div>
+
+              <p className="mt-3 text-gray-700 whitespace-pre-line">{review.body}</p>
+
+              {review.moderation_note && (
+                <p className="mt-2 text-sm text-gray-500">Moderator note: {review.moderation_note}</p>
+              )}
+
+              <div className="mt-4 flex flex-col sm:flex-row gap-2">
+                <input
+                  type="text"
+                  placeholder="Note to the customer (optional)"
+                  value={notes[review.id] || ''}
+                  onChange={(e) => setNotes({ ...notes, [review.id]: e.target.value })}
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500"
+                />
+                {review.status !== 'approved' && (
+                  <button
+                    onClick={() => handleModerate(review.id, 'approved')}
+                    disabled={moderatingId === review.id}
+                    className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 disabled:opacity-50 text-sm"
+                  >
+                    Approve
+                  </button>
+                )}
+                {review.status !== 'rejected' && (
+                  <button
+                    onClick={() => handleModerate(review.id, 'rejected')}
+                    disabled={moderatingId === review.id}
+                    className="bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 disabled:opacity-50 text-sm"
+                  >
+                    Reject
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {pagination && pagination.pages > 1 && (
+        <div className="flex items-center justify-between">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-sm disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-gray-600">
+            Page {pagination.page} of {pagination.pages} ({pagination.total} reviews)
+          </span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= pagination.pages}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-sm disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReviewModeration;
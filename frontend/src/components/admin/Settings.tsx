@@ -1,5 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import axios from '../../utils/axios';
+import CommissionSettings from './CommissionSettings';
+import DeliveryPricingSettings from './DeliveryPricingSettings';
+import TaxSettings from './TaxSettings';
 
 interface SettingsData {
   general: {
@@ -10,17 +13,10 @@ interface SettingsData {
     currency: string;
     timezone: string;
   };
-  shipping: {
-    freeShippingThreshold: number;
-    standardShippingCost: number;
-    expressShippingCost: number;
-    processingTime: number;
-  };
   payment: {
     enableCreditCard: boolean;
     enablePayPal: boolean;
     enableBankTransfer: boolean;
-    taxRate: number;
   };
   notifications: {
     emailOrders: boolean;
@@ -47,17 +43,10 @@ const Settings: React.FC = () => {
       currency: 'USD',
       timezone: 'UTC-5'
     },
-    shipping: {
-      freeShippingThreshold: 50,
-      standardShippingCost: 5.99,
-      expressShippingCost: 15.99,
-      processingTime: 2
-    },
     payment: {
       enableCreditCard: true,
       enablePayPal: true,
-      enableBankTransfer: false,
-      taxRate: 8.5
+      enableBankTransfer: false
     },
     notifications: {
       emailOrders: true,
@@ -116,8 +105,10 @@ const Settings: React.FC = () => {
   const tabs = [
     { id: 'account', name: 'My Account', icon: '👤' },
     { id: 'general', name: 'General', icon: '⚙️' },
-    { id: 'shipping', name: 'Shipping', icon: '🚚' },
+    { id: 'shipping', name: 'Delivery Pricing', icon: '🚚' },
     { id: 'payment', name: 'Payment', icon: '💳' },
+    { id: 'tax', name: 'Tax', icon: '🧾' },
+    { id: 'commissions', name: 'Commissions', icon: '💰' },
     { id: 'notifications', name: 'Notifications', icon: '🔔' },
     { id: 'security', name: 'Security', icon: '🔒' }
   ];
@@ -286,57 +277,6 @@ const Settings: React.FC = () => {
     </div>
   );
 
-  const renderShippingSettings = () => (
-    <div className="space-y-6">
-      <div>
-        <h3 className="text-lg font-medium text-gray-900 mb-4">Shipping Configuration</h3>
-        <div className="grid grid-cols-1 gap-4">
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Free Shipping Threshold ($)</label>
-            <input
-              type="number"
-              step="0.01"
-              value={settings.shipping.freeShippingThreshold}
-              onChange={(e) => handleInputChange('shipping', 'freeShippingThreshold', parseFloat(e.target.value))}
-              className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
-            />
-          </div>
-          <div className="grid grid-cols-2 gap-4">
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Standard Shipping Cost ($)</label>
-              <input
-                type="number"
-                step="0.01"
-                value={settings.shipping.standardShippingCost}
-                onChange={(e) => handleInputChange('shipping', 'standardShippingCost', parseFloat(e.target.value))}
-                className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
-              />
-            </div>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Express Shipping Cost ($)</label>
-              <input
-                type="number"
-                step="0.01"
-                value={settings.shipping.expressShippingCost}
-                onChange={(e) => handleInputChange('shipping', 'expressShippingCost', parseFloat(e.target.value))}
-                className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
-              />
-            </div>
-          </div>
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Processing Time (days)</label>
-            <input
-              type="number"
-              value={settings.shipping.processingTime}
-              onChange={(e) => handleInputChange('shipping', 'processingTime', parseInt(e.target.value))}
-              className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
-            />
-          </div>
-        </div>
-      </div>
-    </div>
-  );
-
   const renderPaymentSettings = () => (
     <div className="space-y-6">
       <div>
@@ -389,19 +329,6 @@ const Settings: React.FC = () => {
           </div>
         </div>
       </div>
-      <div>
-        <h3 className="text-lg font-medium text-gray-900 mb-4">Tax Settings</h3>
-        <div>
-          <label className="block text-sm font-medium text-gray-700 mb-1">Tax Rate (%)</label>
-          <input
-            type="number"
-            step="0.1"
-            value={settings.payment.taxRate}
-            onChange={(e) => handleInputChange('payment', 'taxRate', parseFloat(e.target.value))}
-            className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
-          />
-        </div>
-      </div>
     </div>
   );
 
@@ -667,9 +594,13 @@ const Settings: React.FC = () => {
       case 'general':
         return renderGeneralSettings();
       case 'shipping':
-        return renderShippingSettings();
+        return <DeliveryPricingSettings />;
       case 'payment':
         return renderPaymentSettings();
+      case 'tax':
+        return <TaxSettings />;
+      case 'commissions':
+        return <CommissionSettings />;
       case 'notifications':
         return renderNotificationSettings();
       case 'security':
@@ -712,16 +643,18 @@ const Settings: React.FC = () => {
         <div className="flex-1 bg-white rounded-lg shadow p-6">
           {renderContent()}
           
-          {/* Save Button */}
-          <div className="mt-8 pt-6 border-t border-gray-200">
-            <button
-              onClick={handleSave}
-              disabled={isSaving}
-              className="bg-blue-600 text-white px-6 py-2 rounded-md hover:bg-blue-700 transition-colors duration-200 disabled:opacity-50"
-            >
-              {isSaving ? 'Saving...' : 'Save Changes'}
-            </button>
-          </div>
+          {/* Save Button - commission rules, delivery pricing and tax are saved individually */}
+          {!['commissions', 'shipping', 'tax'].includes(activeTab) && (
+            <div className="mt-8 pt-6 border-t border-gray-200">
+              <button
+                onClick={handleSave}
+                disabled={isSaving}
+                className="bg-blue-600 text-white px-6 py-2 rounded-md hover:bg-blue-700 transition-colors duration-200 disabled:opacity-50"
+              >
+                {isSaving ? 'Saving...' : 'Save Changes'}
+              </button>
+            </div>
+          )}
         </div>
       </div>
     </div>
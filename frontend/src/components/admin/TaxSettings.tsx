@@ -0,0 +1,434 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from '../../utils/axios';
+
+interface TaxJurisdiction {
+  id: number;
+  name: string;
+  state: string;
+  zip_prefix: string | null;
+  rate_percent: string;
+  exempt_categories: string[];
+  taxes_delivery: boolean;
+  is_active: boolean;
+}
+
+interface JurisdictionDraft {
+  name: string;
+  state: string;
+  zip_prefix: string;
+  rate_percent: string;
+  exempt_categories: string;
+  taxes_delivery: boolean;
+  is_active: boolean;
+}
+
+interface TaxReportRow {
+  jurisdiction: string;
+  state: string;
+  zipPrefix: string | null;
+  ratePercent: number;
+  pricesIncludeTax: boolean;
+  orderCount: number;
+  taxableAmount: number;
+  taxAmount: number;
+}
+
+const emptyDraft: JurisdictionDraft = {
+  name: '',
+  state: '',
+  zip_prefix: '',
+  rate_percent: '',
+  exempt_categories: '',
+  taxes_delivery: false,
+  is_active: true
+};
+
+const toDraft = (jurisdiction: TaxJurisdiction): JurisdictionDraft => ({
+  name: jurisdiction.name,
+  state: jurisdiction.state,
+  zip_prefix: jurisdiction.zip_prefix || '',
+  rate_percent: String(parseFloat(jurisdiction.rate_percent)),
+  exempt_categories: jurisdiction.exempt_categories.join(', '),
+  taxes_delivery: jurisdiction.taxes_delivery,
+  is_active: jurisdiction.is_active
+});
+
+// Exempt categories are typed as a comma-separated list
+const toPayload = (draft: JurisdictionDraft) => ({
+  ...draft,
+  exempt_categories: draft.exempt_categories.split(',').map(category => category.trim()).filter(Boolean)
+});
+
+const firstOfMonth = () => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getFullYear(), now.getMonth(), 1)).toISOString().slice(0, 10);
+};
+
+const inputClass = 'w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const TaxSettings: React.FC = () => {
+  const [jurisdictions, setJurisdictions] = useState<TaxJurisdiction[]>([]);
+  const [categories, setCategories] = useState<string[]>([]);
+  const [editingId, setEditingId] = useState<number | null>(null);
+  const [editDraft, setEditDraft] = useState<JurisdictionDraft>(emptyDraft);
+  const [newDraft, setNewDraft] = useState<JurisdictionDraft>(emptyDraft);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState<{ type: 'success' | 'error', text: string } | null>(null);
+  const [reportPeriod, setReportPeriod] = useState({ startDate: firstOfMonth(), endDate: new Date().toISOString().slice(0, 10) });
+  const [report, setReport] = useState<{ rows: TaxReportRow[], taxAmount: number } | null>(null);
+  const [reportLoading, setReportLoading] = useState(false);
+
+  const fetchJurisdictions = useCallback(async () => {
+    try {
+      const response = await axios.get('/admin/tax-jurisdictions');
+      setJurisdictions(response.data.data);
+      setEditingId(null);
+    } catch (error: any) {
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Failed to fetch tax jurisdictions' });
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchJurisdictions();
+
+    axios.get('/admin/analytics/categories')
+      .then(response => setCategories(response.data.data.map((row: { category: string }) => row.category).filter(Boolean)))
+      .catch(error => console.error('Error fetching categories:', error));
+  }, [fetchJurisdictions]);
+
+  const runAction = async (action: () => Promise<any>) => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const response = await action();
+      setMessage({ type: 'success', text: response.data.message });
+      fetchJurisdictions();
+    } catch (error: any) {
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Failed to save tax jurisdiction' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAdd = (e: React.FormEvent) => {
+    e.preventDefault();
+    runAction(async () => {
+      const response = await axios.post('/admin/tax-jurisdictions', toPayload(newDraft));
+      setNewDraft(emptyDraft);
+      return response;
+    });
+  };
+
+  const handleUpdate = (e: React.FormEvent) => {
+    e.preventDefault();
+    runAction(() => axios.put(`/admin/tax-jurisdictions/${editingId}`, toPayload(editDraft)));
+  };
+
+  const handleDelete = (jurisdiction: TaxJurisdiction) => {
+    if (!window.confirm(`Remove ${jurisdiction.name}? Orders already placed keep the tax they were charged.`)) return;
+    runAction(() => axios.delete(`/admin/tax-jurisdictions/${jurisdiction.id}`));
+  };
+
+  const loadReport = async () => {
+    setReportLoading(true);
+    setMessage(null);
+    try {
+      const response = await axios.get('/admin/tax-report', { params: reportPeriod });
+      setReport({ rows: response.data.data, taxAmount: response.data.summary.taxAmount });
+    } catch (error: any) {
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Failed to load tax report' });
+    } finally {
+      setReportLoading(false);
+    }
+  };
+
+  // The export needs the admin session, so it is downloaded as a blob
+  const exportReport = async () => {
+    try {
+      const response = await axios.get('/admin/tax-report', {
+        params: { ...reportPeriod, format: 'csv' },
+        responseType: 'blob'
+      });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `tax-report-${reportPeriod.startDate}-to-${reportPeriod.endDate}.csv`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error: any) {
+      setMessage({ type: 'error', text: 'Failed to export tax report' });
+    }
+  };
+
+  const renderFields = (draft: JurisdictionDraft, setDraft: (draft: JurisdictionDraft) => void) => (
+    <div className="space-y-3">
+      <div className="grid grid-cols-1 sm:grid-cols-4 gap-3">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+          <input
+            type="text"
+            value={draft.name}
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+            placeholder="California"
+            className={inputClass}
+            required
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">State</label>
+          <input
+            type="text"
+            value={draft.state}
+            onChange={(e) => setDraft({ ...draft, state: e.target.value })}
+            placeholder="CA"
+            className={inputClass}
+            required
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">ZIP Prefix</label>
+          <input
+            type="text"
+            value={draft.zip_prefix}
+            onChange={(e) => setDraft({ ...draft, zip_prefix: e.target.value })}
+            placeholder="State-wide"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Rate (%)</label>
+          <input
+            type="number"
+            min="0"
+            max="100"
+            step="0.001"
+            value={draft.rate_percent}
+            onChange={(e) => setDraft({ ...draft, rate_percent: e.target.value })}
+            className={inputClass}
+            required
+          />
+        </div>
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Exempt Categories</label>
+        <input
+          type="text"
+          list="tax-categories"
+          value={draft.exempt_categories}
+          onChange={(e) => setDraft({ ...draft, exempt_categories: e.target.value })}
+          placeholder="Comma-separated, e.g. Groceries, Baby Products"
+          className={inputClass}
+        />
+      </div>
+      <div className="flex flex-wrap gap-6 text-sm text-gray-700">
+        <label className="flex items-center">
+          <input
+            type="checkbox"
+            checked={draft.taxes_delivery}
+            onChange={(e) => setDraft({ ...draft, taxes_delivery: e.target.checked })}
+            className="mr-2 h-4 w-4 text-blue-600 border-gray-300 rounded"
+          />
+          Delivery fees are taxable
+        </label>
+        <label className="flex items-center">
+          <input
+            type="checkbox"
+            checked={draft.is_active}
+            onChange={(e) => setDraft({ ...draft, is_active: e.target.checked })}
+            className="mr-2 h-4 w-4 text-blue-600 border-gray-300 rounded"
+          />
+          Active
+        </label>
+      </div>
+    </div>
+  );
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-8">
+      {message && (
+        <div className={`p-4 rounded-md ${message.type === 'success' ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`}>
+          {message.text}
+        </div>
+      )}
+
+      {/* Jurisdictions */}
+      <div>
+        <h3 className="text-lg font-medium text-gray-900 mb-1">Tax Jurisdictions</h3>
+        <p className="text-sm text-gray-500 mb-4">
+          Rates are matched on the delivery state, and on the ZIP code where a prefix is set. Every matching
+          jurisdiction adds its rate, so add a state-wide rate and separate county or city rates.
+          Stores choose whether their prices include tax in their own settings.
+        </p>
+        {jurisdictions.length === 0 ? (
+          <p className="text-sm text-gray-500">No tax jurisdictions. No tax is charged at checkout.</p>
+        ) : (
+          <div className="divide-y divide-gray-200">
+            {jurisdictions.map(jurisdiction => (
+              <div key={jurisdiction.id} className="py-3">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <span className={`text-sm font-medium ${jurisdiction.is_active ? 'text-gray-900' : 'text-gray-400'}`}>
+                      {jurisdiction.name}
+                      {!jurisdiction.is_active && ' (inactive)'}
+                    </span>
+                    <p className="text-xs text-gray-500">
+                      {jurisdiction.state}
+                      {jurisdiction.zip_prefix ? ` · ZIP ${jurisdiction.zip_prefix}*` : ' · state-wide'}
+                      {` · ${parseFloat(jurisdiction.rate_percent)}%`}
+                      {jurisdiction.taxes_delivery && ' · taxes delivery'}
+                      {jurisdiction.exempt_categories.length > 0 && ` · exempt: ${jurisdiction.exempt_categories.join(', ')}`}
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-3">
+                    <button
+                      onClick={() => {
+                        setEditingId(editingId === jurisdiction.id ? null : jurisdiction.id);
+                        setEditDraft(toDraft(jurisdiction));
+                      }}
+                      disabled={saving}
+                      className="text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                    >
+                      {editingId === jurisdiction.id ? 'Cancel' : 'Edit'}
+                    </button>
+                    <button
+                      onClick={() => handleDelete(jurisdiction)}
+                      disabled={saving}
+                      className="text-sm text-red-600 hover:text-red-800 disabled:opacity-50"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                </div>
+                {editingId === jurisdiction.id && (
+                  <form onSubmit={handleUpdate} className="mt-4 space-y-4">
+                    {renderFields(editDraft, setEditDraft)}
+                    <button
+                      type="submit"
+                      disabled={saving}
+                      className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      Save Jurisdiction
+                    </button>
+                  </form>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+        <datalist id="tax-categories">
+          {categories.map(category => (
+            <option key={category} value={category} />
+          ))}
+        </datalist>
+      </div>
+
+      {/* Add Jurisdiction */}
+      <div>
+        <h3 className="text-lg font-medium text-gray-900 mb-4">Add Jurisdiction</h3>
+        <form onSubmit={handleAdd} className="space-y-4">
+          {renderFields(newDraft, setNewDraft)}
+          <button
+            type="submit"
+            disabled={saving}
+            className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            Add Jurisdiction
+          </button>
+        </form>
+      </div>
+
+      {/* Tax Report */}
+      <div>
+        <h3 className="text-lg font-medium text-gray-900 mb-1">Tax Report</h3>
+        <p className="text-sm text-gray-500 mb-4">Tax collected on paid orders, per jurisdiction and rate.</p>
+        <div className="flex flex-wrap items-end gap-3 mb-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+            <input
+              type="date"
+              value={reportPeriod.startDate}
+              onChange={(e) => setReportPeriod({ ...reportPeriod, startDate: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+            <input
+              type="date"
+              value={reportPeriod.endDate}
+              onChange={(e) => setReportPeriod({ ...reportPeriod, endDate: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+          <button
+            onClick={loadReport}
+            disabled={reportLoading}
+            className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {reportLoading ? 'Loading...' : 'View Report'}
+          </button>
+          <button
+            onClick={exportReport}
+            className="border border-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-50"
+          >
+            Export CSV
+          </button>
+        </div>
+
+        {report && (
+          report.rows.length === 0 ? (
+            <p className="text-sm text-gray-500">No tax collected in this period.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left font-medium text-gray-500">Jurisdiction</th>
+                    <th className="px-3 py-2 text-left font-medium text-gray-500">Rate</th>
+                    <th className="px-3 py-2 text-right font-medium text-gray-500">Orders</th>
+                    <th className="px-3 py-2 text-right font-medium text-gray-500">Taxable</th>
+                    <th className="px-3 py-2 text-right font-medium text-gray-500">Tax</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {report.rows.map(row => (
+                    <tr key={`${row.jurisdiction}-${row.state}-${row.zipPrefix}-${row.ratePercent}-${row.pricesIncludeTax}`}>
+                      <td className="px-3 py-2 text-gray-900">
+                        {row.jurisdiction}
+                        <span className="text-gray-500"> · {row.state}{row.zipPrefix ? ` ${row.zipPrefix}*` : ''}</span>
+                        {row.pricesIncludeTax && <span className="text-gray-500"> · included in prices</span>}
+                      </td>
+                      <td className="px-3 py-2 text-gray-700">{row.ratePercent}%</td>
+                      <td className="px-3 py-2 text-right text-gray-700">{row.orderCount}</td>
+                      <td className="px-3 py-2 text-right text-gray-700">${row.taxableAmount.toFixed(2)}</td>
+                      <td className="px-3 py-2 text-right text-gray-900">${row.taxAmount.toFixed(2)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+                <tfoot>
+                  <tr>
+                    <td colSpan={4} className="px-3 py-2 text-right font-medium text-gray-900">Total tax collected</td>
+                    <td className="px-3 py-2 text-right font-bold text-gray-900">${report.taxAmount.toFixed(2)}</td>
+                  </tr>
+                </tfoot>
+              </table>
+            </div>
+          )
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TaxSettings;
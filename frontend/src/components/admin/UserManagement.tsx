@@ -1,206 +1,172 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from '../../utils/axios';
+
+type UserType = 'customer' | 'store_owner' | 'admin' | 'driver';
 
 interface User {
   id: number;
+  user_type: UserType;
   username: string;
   email: string;
   full_name: string;
-  phone: string;
-  address: string;
-  user_type: 'customer' | 'admin';
-  status: 'active' | 'inactive' | 'suspended';
+  phone: string | null;
+  status: string;
+  account_status: 'active' | 'inactive' | 'suspended';
   created_at: string;
-  last_login: string;
+  last_login: string | null;
 }
 
-interface UserFormData {
-  username: string;
-  email: string;
-  full_name: string;
-  phone: string;
-  address: string;
-  user_type: 'customer' | 'admin';
-  status: 'active' | 'inactive' | 'suspended';
-  password?: string;
+interface UserDetails extends User {
+  stores?: { id: number; store_name: string; status: string; created_at: string }[];
+  license_number?: string;
+  vehicle_type?: string;
+  vehicle_plate?: string;
+  is_verified?: boolean;
+  rating?: string;
+}
+
+interface UserOrder {
+  id: number;
+  total_amount: string;
+  status: string;
+  customer_name: string | null;
+  customer_email: string | null;
+  created_at: string;
+}
+
+interface UserSession {
+  sessionId: string;
+  loginTime: string | null;
+  expiresAt: string;
+}
+
+interface Pagination {
+  page: number;
+  limit: number;
+  total: number;
+  pages: number;
 }
 
+const USER_TYPE_LABELS: Record<UserType, string> = {
+  customer: 'Customer',
+  store_owner: 'Store Owner',
+  admin: 'Admin',
+  driver: 'Driver'
+};
+
+const formatDate = (value: string | null) => (value ? new Date(value).toLocaleString() : 'Never');
+
 const UserManagement: React.FC = () => {
   const [users, setUsers] = useState<User[]>([]);
+  const [summary, setSummary] = useState<Record<string, { total: number; suspended: number }>>({});
+  const [pagination, setPagination] = useState<Pagination>({ page: 1, limit: 20, total: 0, pages: 0 });
   const [loading, setLoading] = useState(true);
-  const [showForm, setShowForm] = useState(false);
-  const [editingUser, setEditingUser] = useState<User | null>(null);
   const [searchTerm, setSearchTerm] = useState('');
+  const [appliedSearch, setAppliedSearch] = useState('');
+  const [filterType, setFilterType] = useState<string>('all');
   const [filterStatus, setFilterStatus] = useState<string>('all');
-  const [formData, setFormData] = useState<UserFormData>({
-    username: '',
-    email: '',
-    full_name: '',
-    phone: '',
-    address: '',
-    user_type: 'customer',
-    status: 'active'
-  });
+  const [page, setPage] = useState(1);
+  const [busyKey, setBusyKey] = useState<string | null>(null);
+  const [message, setMessage] = useState<{ type: 'success' | 'error', text: string } | null>(null);
 
-  useEffect(() => {
-    fetchUsers();
-  }, []);
+  const [selectedUser, setSelectedUser] = useState<UserDetails | null>(null);
+  const [userOrders, setUserOrders] = useState<UserOrder[]>([]);
+  const [userSessions, setUserSessions] = useState<UserSession[]>([]);
+  const [detailsLoading, setDetailsLoading] = useState(false);
 
-  const fetchUsers = async () => {
+  const fetchUsers = useCallback(async () => {
     try {
       setLoading(true);
-      // Since we don't have a users table yet, we'll use mock data
-      const mockUsers: User[] = [
-        {
-          id: 1,
-          username: 'john_doe',
-          email: 'john@example.com',
-          full_name: 'John Doe',
-          phone: '+1234567890',
-          address: '123 Main St, City, State 12345',
-          user_type: 'customer',
-          status: 'active',
-          created_at: '2025-01-15',
-          last_login: '2025-11-03'
-        },
-        {
-          id: 2,
-          username: 'jane_smith',
-          email: 'jane@example.com',
-          full_name: 'Jane Smith',
-          phone: '+1234567891',
-          address: '456 Oak Ave, City, State 12345',
-          user_type: 'customer',
-          status: 'active',
-          created_at: '2025-02-20',
-          last_login: '2025-11-02'
-        },
-        {
-          id: 3,
-          username: 'admin_user',
-          email: 'admin@afrozymarket.com',
-          full_name: 'Admin User',
-          phone: '+1234567892',
-          address: '789 Admin Blvd, City, State 12345',
-          user_type: 'admin',
-          status: 'active',
-          created_at: '2025-01-01',
-          last_login: '2025-11-03'
-        },
-        {
-          id: 4,
-          username: 'mike_johnson',
-          email: 'mike@example.com',
-          full_name: 'Mike Johnson',
-          phone: '+1234567893',
-          address: '321 Pine St, City, State 12345',
-          user_type: 'customer',
-          status: 'suspended',
-          created_at: '2025-03-10',
-          last_login: '2025-10-28'
-        }
-      ];
-      setUsers(mockUsers);
-    } catch (error) {
+      const params: Record<string, string | number> = { page, limit: 20 };
+      if (filterType !== 'all') params.type = filterType;
+      if (filterStatus !== 'all') params.status = filterStatus;
+      if (appliedSearch) params.q = appliedSearch;
+
+      const response = await axios.get('/admin/users', { params });
+      setUsers(response.data.data);
+      setSummary(response.data.summary);
+      setPagination(response.data.pagination);
+    } catch (error: any) {
       console.error('Error fetching users:', error);
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Failed to load users' });
     } finally {
       setLoading(false);
     }
-  };
+  }, [page, filterType, filterStatus, appliedSearch]);
 
-  const handleSubmit = async (e: React.FormEvent) => {
-    e.preventDefault();
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  const userKey = (user: User) => `${user.user_type}-${user.id}`;
+  const userPath = (user: User) => `/admin/users/${user.user_type}/${user.id}`;
+
+  const loadDetails = async (user: User) => {
+    setDetailsLoading(true);
     try {
-      // In a real app, this would make API calls to create/update users
-      console.log('User data:', formData);
-      
-      if (editingUser) {
-        // Update existing user
-        setUsers(users.map(user => 
-          user.id === editingUser.id 
-            ? { ...user, ...formData, id: editingUser.id, created_at: user.created_at }
-            : user
-        ));
-      } else {
-        // Create new user
-        const newUser: User = {
-          ...formData,
-          id: Math.max(...users.map(u => u.id)) + 1,
-          created_at: new Date().toISOString().split('T')[0],
-          last_login: 'Never'
-        };
-        setUsers([...users, newUser]);
-      }
-      
-      resetForm();
-      setShowForm(false);
-    } catch (error) {
-      console.error('Error saving user:', error);
+      const [detailsResponse, ordersResponse, sessionsResponse] = await Promise.all([
+        axios.get(userPath(user)),
+        axios.get(`${userPath(user)}/orders`),
+        axios.get(`${userPath(user)}/sessions`)
+      ]);
+      setSelectedUser(detailsResponse.data.data);
+      setUserOrders(ordersResponse.data.data);
+      setUserSessions(sessionsResponse.data.data);
+    } catch (error: any) {
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Failed to load user details' });
+    } finally {
+      setDetailsLoading(false);
     }
   };
 
-  const handleEdit = (user: User) => {
-    setEditingUser(user);
-    setFormData({
-      username: user.username,
-      email: user.email,
-      full_name: user.full_name,
-      phone: user.phone,
-      address: user.address,
-      user_type: user.user_type,
-      status: user.status
-    });
-    setShowForm(true);
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    setPage(1);
+    setAppliedSearch(searchTerm.trim());
   };
 
-  const handleDelete = async (userId: number) => {
-    if (window.confirm('Are you sure you want to delete this user?')) {
-      try {
-        // In a real app, this would make an API call
-        setUsers(users.filter(user => user.id !== userId));
-      } catch (error) {
-        console.error('Error deleting user:', error);
+  const runAction = async (user: User, action: () => Promise<any>) => {
+    setBusyKey(userKey(user));
+    setMessage(null);
+    try {
+      const response = await action();
+      setMessage({ type: 'success', text: response.data.message });
+      await fetchUsers();
+      if (selectedUser && userKey(selectedUser) === userKey(user)) {
+        await loadDetails(user);
       }
+    } catch (error: any) {
+      setMessage({ type: 'error', text: error.response?.data?.message || 'Action failed' });
+    } finally {
+      setBusyKey(null);
     }
   };
 
-  const handleStatusChange = async (userId: number, newStatus: 'active' | 'inactive' | 'suspended') => {
-    try {
-      // In a real app, this would make an API call
-      setUsers(users.map(user => 
-        user.id === userId ? { ...user, status: newStatus } : user
-      ));
-    } catch (error) {
-      console.error('Error updating user status:', error);
+  const handleSuspend = (user: User) => {
+    // Drivers are told why they were suspended
+    if (user.user_type === 'driver') {
+      const reason = window.prompt(`Why is ${user.full_name} being suspended? They will be signed out everywhere.`);
+      if (!reason || !reason.trim()) return;
+      runAction(user, () => axios.post(`${userPath(user)}/suspend`, { reason }));
+      return;
     }
+    if (!window.confirm(`Suspend ${user.full_name}? They will be signed out everywhere.`)) return;
+    runAction(user, () => axios.post(`${userPath(user)}/suspend`));
   };
 
-  const resetForm = () => {
-    setFormData({
-      username: '',
-      email: '',
-      full_name: '',
-      phone: '',
-      address: '',
-      user_type: 'customer',
-      status: 'active'
-    });
-    setEditingUser(null);
+  const handleReactivate = (user: User) => {
+    runAction(user, () => axios.post(`${userPath(user)}/reactivate`));
   };
 
-  const handleInputChange = (e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement>) => {
-    setFormData({
-      ...formData,
-      [e.target.name]: e.target.value
-    });
+  const handleForcePasswordReset = (user: User) => {
+    if (!window.confirm(`Force a password reset for ${user.full_name}? Their current password will stop working.`)) return;
+    runAction(user, () => axios.post(`${userPath(user)}/force-password-reset`));
   };
 
-  const filteredUsers = users.filter(user => {
-    const matchesSearch = user.username.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         user.email.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         user.full_name.toLowerCase().includes(searchTerm.toLowerCase());
-    const matchesFilter = filterStatus === 'all' || user.status === filterStatus;
-    return matchesSearch && matchesFilter;
-  });
+  const handleRevokeSessions = (user: User) => {
+    if (!window.confirm(`Sign ${user.full_name} out of all sessions?`)) return;
+    runAction(user, () => axios.delete(`${userPath(user)}/sessions`));
+  };
 
   const getStatusColor = (status: string) => {
     const colors = {
@@ -212,54 +178,126 @@ const UserManagement: React.FC = () => {
   };
 
   const getUserTypeColor = (userType: string) => {
-    return userType === 'admin' ? 'bg-purple-100 text-purple-800' : 'bg-blue-100 text-blue-800';
+    const colors = {
+      admin: 'bg-purple-100 text-purple-800',
+      store_owner: 'bg-yellow-100 text-yellow-800',
+      driver: 'bg-green-100 text-green-800',
+      customer: 'bg-blue-100 text-blue-800'
+    };
+    return colors[userType as keyof typeof colors] || 'bg-blue-100 text-blue-800';
   };
 
-  if (loading) {
+  const renderActions = (user: User) => {
+    const busy = busyKey === userKey(user);
+    const suspended = user.account_status === 'suspended';
+
     return (
-      <div className="flex items-center justify-center h-64">
-        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      <div className="flex flex-wrap gap-x-3 gap-y-1">
+        <button
+          onClick={() => loadDetails(user)}
+          className="text-indigo-600 hover:text-indigo-900"
+        >
+          View
+        </button>
+        {suspended ? (
+          <button
+            onClick={() => handleReactivate(user)}
+            disabled={busy}
+            className="text-green-600 hover:text-green-900 disabled:opacity-50"
+          >
+            Reactivate
+          </button>
+        ) : (
+          <button
+            onClick={() => handleSuspend(user)}
+            disabled={busy}
+            className="text-red-600 hover:text-red-900 disabled:opacity-50"
+          >
+            Suspend
+          </button>
+        )}
+        <button
+          onClick={() => handleForcePasswordReset(user)}
+          disabled={busy}
+          className="text-orange-600 hover:text-orange-900 disabled:opacity-50"
+        >
+          Reset Password
+        </button>
+        <button
+          onClick={() => handleRevokeSessions(user)}
+          disabled={busy}
+          className="text-gray-600 hover:text-gray-900 disabled:opacity-50"
+        >
+          Revoke Sessions
+        </button>
       </div>
     );
-  }
+  };
 
   return (
     <div className="space-y-6">
       {/* Header */}
-      <div className="flex items-center justify-between">
-        <div>
-          <h1 className="text-2xl font-bold text-gray-900">User Management</h1>
-          <p className="text-gray-600">Manage marketplace users and administrators</p>
-        </div>
-        <button
-          onClick={() => {
-            resetForm();
-            setShowForm(true);
-          }}
-          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors duration-200"
-        >
-          Add New User
-        </button>
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">User Management</h1>
+        <p className="text-gray-600">Manage customers, store owners, drivers and administrators</p>
+      </div>
+
+      {/* Summary */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        {(Object.keys(USER_TYPE_LABELS) as UserType[]).map(type => (
+          <div key={type} className="bg-white rounded-lg shadow p-4">
+            <p className="text-sm text-gray-500">{USER_TYPE_LABELS[type]}s</p>
+            <p className="text-2xl font-bold text-gray-900">{summary[type]?.total ?? 0}</p>
+            {(summary[type]?.suspended ?? 0) > 0 && (
+              <p className="text-xs text-red-600">{summary[type].suspended} suspended</p>
+            )}
+          </div>
+        ))}
       </div>
 
       {/* Search and Filter */}
       <div className="bg-white rounded-lg shadow p-6">
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-          <div>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <form onSubmit={handleSearch}>
             <label className="block text-sm font-medium text-gray-700 mb-1">Search Users</label>
             <input
               type="text"
               placeholder="Search by username, email, or name..."
               value={searchTerm}
               onChange={(e) => setSearchTerm(e.target.value)}
+              onBlur={() => {
+                if (searchTerm.trim() !== appliedSearch) {
+                  setPage(1);
+                  setAppliedSearch(searchTerm.trim());
+                }
+              }}
               className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
             />
+          </form>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Account Type</label>
+            <select
+              value={filterType}
+              onChange={(e) => {
+                setPage(1);
+                setFilterType(e.target.value);
+              }}
+              className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="all">All Types</option>
+              {(Object.keys(USER_TYPE_LABELS) as UserType[]).map(type => (
+                <option key={type} value={type}>{USER_TYPE_LABELS[type]}</option>
+              ))}
+            </select>
           </div>
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">Filter by Status</label>
             <select
               value={filterStatus}
-              onChange={(e) => setFilterStatus(e.target.value)}
+              onChange={(e) => {
+                setPage(1);
+                setFilterStatus(e.target.value);
+              }}
               className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
             >
               <option value="all">All Statuses</option>
@@ -271,16 +309,22 @@ const UserManagement: React.FC = () => {
         </div>
       </div>
 
-      {/* User Form Modal */}
-      {showForm && (
+      {message && (
+        <div className={`p-4 rounded-md ${message.type === 'success' ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`}>
+          {message.text}
+        </div>
+      )}
+
+      {/* User Details Modal */}
+      {(selectedUser || detailsLoading) && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-          <div className="bg-white rounded-lg p-6 w-full max-w-2xl max-h-full overflow-y-auto">
+          <div className="bg-white rounded-lg p-6 w-full max-w-3xl max-h-full overflow-y-auto">
             <div className="flex items-center justify-between mb-4">
               <h2 className="text-xl font-bold">
-                {editingUser ? 'Edit User' : 'Add New User'}
+                {selectedUser ? selectedUser.full_name : 'Loading...'}
               </h2>
               <button
-                onClick={() => setShowForm(false)}
+                onClick={() => setSelectedUser(null)}
                 className="text-gray-500 hover:text-gray-700"
               >
                 <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -289,124 +333,120 @@ const UserManagement: React.FC = () => {
               </button>
             </div>
 
-            <form onSubmit={handleSubmit} className="space-y-4">
-              <div className="grid grid-cols-2 gap-4">
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Username</label>
-                  <input
-                    type="text"
-                    name="username"
-                    value={formData.username}
-                    onChange={handleInputChange}
-                    required
-                    className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  />
-                </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Email</label>
-                  <input
-                    type="email"
-                    name="email"
-                    value={formData.email}
-                    onChange={handleInputChange}
-                    required
-                    className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  />
-                </div>
-              </div>
-
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">Full Name</label>
-                <input
-                  type="text"
-                  name="full_name"
-                  value={formData.full_name}
-                  onChange={handleInputChange}
-                  required
-                  className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
-                />
-              </div>
-
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">Phone</label>
-                <input
-                  type="tel"
-                  name="phone"
-                  value={formData.phone}
-                  onChange={handleInputChange}
-                  className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
-                />
+            {detailsLoading && !selectedUser ? (
+              <div className="flex justify-center py-12">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
               </div>
+            ) : selectedUser && (
+              <div className="space-y-6">
+                <div className="grid grid-cols-2 gap-4 text-sm">
+                  <div>
+                    <p className="text-gray-500">Account Type</p>
+                    <p className="text-gray-900">{USER_TYPE_LABELS[selectedUser.user_type]}</p>
+                  </div>
+                  <div>
+                    <p className="text-gray-500">Status</p>
+                    <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getStatusColor(selectedUser.account_status)}`}>
+                      {selectedUser.account_status}
+                    </span>
+                  </div>
+                  <div>
+                    <p className="text-gray-500">Email</p>
+                    <p className="text-gray-900">{selectedUser.email}</p>
+                  </div>
+                  <div>
+                    <p className="text-gray-500">Phone</p>
+                    <p className="text-gray-900">{selectedUser.phone || '—'}</p>
+                  </div>
+                  <div>
+                    <p className="text-gray-500">Joined</p>
+                    <p className="text-gray-900">{formatDate(selectedUser.created_at)}</p>
+                  </div>
+                  <div>
+                    <p className="text-gray-500">Last Login</p>
+                    <p className="text-gray-900">{formatDate(selectedUser.last_login)}</p>
+                  </div>
+                  {selectedUser.user_type === 'driver' && (
+                    <>
+                      <div>
+                        <p className="text-gray-500">Vehicle</p>
+                        <p className="text-gray-900">{selectedUser.vehicle_type} · {selectedUser.vehicle_plate}</p>
+                      </div>
+                      <div>
+                        <p className="text-gray-500">Verified</p>
+                        <p className="text-gray-900">{selectedUser.is_verified ? 'Yes' : 'No'}</p>
+                      </div>
+                    </>
+                  )}
+                </div>
 
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">Address</label>
-                <textarea
-                  name="address"
-                  value={formData.address}
-                  onChange={handleInputChange}
-                  rows={2}
-                  className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
-                />
-              </div>
+                {selectedUser.stores && selectedUser.stores.length > 0 && (
+                  <div>
+                    <h3 className="text-lg font-medium text-gray-900 mb-2">Stores</h3>
+                    <ul className="text-sm divide-y divide-gray-200">
+                      {selectedUser.stores.map(store => (
+                        <li key={store.id} className="py-2 flex justify-between">
+                          <span>{store.store_name}</span>
+                          <span className="text-gray-500">{store.status}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
 
-              <div className="grid grid-cols-2 gap-4">
                 <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">User Type</label>
-                  <select
-                    name="user_type"
-                    value={formData.user_type}
-                    onChange={handleInputChange}
-                    className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  >
-                    <option value="customer">Customer</option>
-                    <option value="admin">Admin</option>
-                  </select>
+                  <h3 className="text-lg font-medium text-gray-900 mb-2">Recent Orders</h3>
+                  {userOrders.length === 0 ? (
+                    <p className="text-sm text-gray-500">No orders.</p>
+                  ) : (
+                    <table className="min-w-full text-sm divide-y divide-gray-200">
+                      <thead>
+                        <tr className="text-left text-gray-500">
+                          <th className="py-2">Order</th>
+                          <th className="py-2">Customer</th>
+                          <th className="py-2">Total</th>
+                          <th className="py-2">Status</th>
+                          <th className="py-2">Date</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-gray-200">
+                        {userOrders.map(order => (
+                          <tr key={order.id}>
+                            <td className="py-2">#{order.id}</td>
+                            <td className="py-2">{order.customer_name || order.customer_email || '—'}</td>
+                            <td className="py-2">${parseFloat(order.total_amount).toFixed(2)}</td>
+                            <td className="py-2">{order.status}</td>
+                            <td className="py-2">{new Date(order.created_at).toLocaleDateString()}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
                 </div>
+
                 <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Status</label>
-                  <select
-                    name="status"
-                    value={formData.status}
-                    onChange={handleInputChange}
-                    className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  >
-                    <option value="active">Active</option>
-                    <option value="inactive">Inactive</option>
-                    <option value="suspended">Suspended</option>
-                  </select>
+                  <h3 className="text-lg font-medium text-gray-900 mb-2">Active Sessions ({userSessions.length})</h3>
+                  {userSessions.length === 0 ? (
+                    <p className="text-sm text-gray-500">No active sessions.</p>
+                  ) : (
+                    <ul className="text-sm divide-y divide-gray-200">
+                      {userSessions.map(session => (
+                        <li key={session.sessionId} className="py-2 flex justify-between">
+                          <span className="font-mono text-gray-700">{session.sessionId}</span>
+                          <span className="text-gray-500">
+                            Signed in {formatDate(session.loginTime)} · expires {formatDate(session.expiresAt)}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
                 </div>
-              </div>
 
-              {!editingUser && (
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Password</label>
-                  <input
-                    type="password"
-                    name="password"
-                    value={formData.password || ''}
-                    onChange={handleInputChange}
-                    required={!editingUser}
-                    className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  />
+                <div className="pt-4 border-t border-gray-200 text-sm font-medium">
+                  {renderActions(selectedUser)}
                 </div>
-              )}
-
-              <div className="flex space-x-3 pt-4">
-                <button
-                  type="submit"
-                  className="bg-blue-600 text-white px-6 py-2 rounded-md hover:bg-blue-700 transition-colors duration-200"
-                >
-                  {editingUser ? 'Update User' : 'Add User'}
-                </button>
-                <button
-                  type="button"
-                  onClick={() => setShowForm(false)}
-                  className="bg-gray-300 text-gray-700 px-6 py-2 rounded-md hover:bg-gray-400 transition-colors duration-200"
-                >
-                  Cancel
-                </button>
               </div>
-            </form>
+            )}
           </div>
         </div>
       )}
@@ -414,89 +454,101 @@ const UserManagement: React.FC = () => {
       {/* Users Table */}
       <div className="bg-white rounded-lg shadow overflow-hidden">
         <div className="px-6 py-4 border-b border-gray-200">
-          <h3 className="text-lg font-medium text-gray-900">All Users ({filteredUsers.length})</h3>
+          <h3 className="text-lg font-medium text-gray-900">Users ({pagination.total})</h3>
         </div>
-        
-        <div className="overflow-x-auto">
-          <table className="min-w-full divide-y divide-gray-200">
-            <thead className="bg-gray-50">
-              <tr>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  User
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Type
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Status
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Last Login
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Actions
-                </th>
-              </tr>
-            </thead>
-            <tbody className="bg-white divide-y divide-gray-200">
-              {filteredUsers.map((user) => (
-                <tr key={user.id} className="hover:bg-gray-50">
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <div className="flex items-center">
-                      <div className="w-10 h-10 bg-blue-600 rounded-full flex items-center justify-center">
-                        <span className="text-white text-sm font-bold">
-                          {user.full_name.split(' ').map(n => n[0]).join('')}
-                        </span>
-                      </div>
-                      <div className="ml-4">
-                        <div className="text-sm font-medium text-gray-900">{user.full_name}</div>
-                        <div className="text-sm text-gray-500">@{user.username}</div>
-                        <div className="text-sm text-gray-500">{user.email}</div>
-                      </div>
-                    </div>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getUserTypeColor(user.user_type)}`}>
-                      {user.user_type}
-                    </span>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <select
-                      value={user.status}
-                      onChange={(e) => handleStatusChange(user.id, e.target.value as any)}
-                      className={`text-xs font-semibold rounded-full px-2 py-1 border-0 ${getStatusColor(user.status)}`}
-                    >
-                      <option value="active">Active</option>
-                      <option value="inactive">Inactive</option>
-                      <option value="suspended">Suspended</option>
-                    </select>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                    {user.last_login}
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-x-2">
-                    <button
-                      onClick={() => handleEdit(user)}
-                      className="text-indigo-600 hover:text-indigo-900"
-                    >
-                      Edit
-                    </button>
-                    <button
-                      onClick={() => handleDelete(user.id)}
-                      className="text-red-600 hover:text-red-900"
-                      disabled={user.user_type === 'admin'}
-                    >
-                      Delete
-                    </button>
-                  </td>
+
+        {loading ? (
+          <div className="flex items-center justify-center h-64">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+          </div>
+        ) : users.length === 0 ? (
+          <div className="p-8 text-center text-gray-500">No users match these filters.</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    User
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Type
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Status
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Last Login
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Actions
+                  </th>
                 </tr>
-              ))}
-            </tbody>
-          </table>
-        </div>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {users.map((user) => (
+                  <tr key={userKey(user)} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="flex items-center">
+                        <div className="w-10 h-10 bg-blue-600 rounded-full flex items-center justify-center">
+                          <span className="text-white text-sm font-bold">
+                            {(user.full_name || user.email).split(' ').map(n => n[0]).join('').slice(0, 2)}
+                          </span>
+                        </div>
+                        <div className="ml-4">
+                          <div className="text-sm font-medium text-gray-900">{user.full_name}</div>
+                          <div className="text-sm text-gray-500">@{user.username}</div>
+                          <div className="text-sm text-gray-500">{user.email}</div>
+                        </div>
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getUserTypeColor(user.user_type)}`}>
+                        {USER_TYPE_LABELS[user.user_type]}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getStatusColor(user.account_status)}`}>
+                        {user.account_status}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {formatDate(user.last_login)}
+                    </td>
+                    <td className="px-6 py-4 text-sm font-medium">
+                      {renderActions(user)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {pagination.pages > 1 && (
+          <div className="px-6 py-4 border-t border-gray-200 flex items-center justify-between text-sm">
+            <span className="text-gray-500">Page {pagination.page} of {pagination.pages}</span>
+            <div className="space-x-2">
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={page <= 1}
+                className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={page >= pagination.pages}
+                className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
       </div>
     </div>
   );
 };
 
-export default UserManagement;
\ No newline at end of file
+export default UserManagement;
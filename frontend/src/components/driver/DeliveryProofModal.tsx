@@ -0,0 +1,209 @@
+import React, { useState, useRef, useEffect } from 'react';
+import axios from '../../utils/axios';
+
+interface DeliveryOrder {
+  id: number;
+  orderNumber: string;
+  requiresPin: boolean;
+}
+
+interface DeliveryProofModalProps {
+  order: DeliveryOrder;
+  onClose: () => void;
+  onDelivered: () => void;
+}
+
+const DeliveryProofModal: React.FC<DeliveryProofModalProps> = ({ order, onClose, onDelivered }) => {
+  const [pin, setPin] = useState('');
+  const [photo, setPhoto] = useState<File | null>(null);
+  const [hasSignature, setHasSignature] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  // Proofs already saved, so a retry after a wrong PIN doesn't upload them twice
+  const [uploaded, setUploaded] = useState<{ photo: boolean, signature: boolean }>({ photo: false, signature: false });
+
+  const canvasRef = useRef<HTMLCanvasElement>(null);
+  const drawing = useRef(false);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const context = canvas?.getContext('2d');
+    if (canvas && context) {
+      context.lineWidth = 2;
+      context.lineCap = 'round';
+      context.strokeStyle = '#111827';
+    }
+  }, []);
+
+  const pointerPosition = (e: React.PointerEvent<HTMLCanvasElement>) => {
+    const canvas = e.currentTarget;
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left) * (canvas.width / rect.width),
+      y: (e.clientY - rect.top) * (canvas.height / rect.height)
+    };
+  };
+
+  const startStroke = (e: React.PointerEvent<HTMLCanvasElement>) => {
+    const context = e.currentTarget.getContext('2d');
+    if (!context) {
+      return;
+    }
+    const { x, y } = pointerPosition(e);
+    drawing.current = true;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    context.beginPath();
+    context.moveTo(x, y);
+  };
+
+  const continueStroke = (e: React.PointerEvent<HTMLCanvasElement>) => {
+    const context = e.currentTarget.getContext('2d');
+    if (!drawing.current || !context) {
+      return;
+    }
+    const { x, y } = pointerPosition(e);
+    context.lineTo(x, y);
+    context.stroke();
+    setHasSignature(true);
+  };
+
+  const endStroke = () => {
+    drawing.current = false;
+  };
+
+  const clearSignature = () => {
+    const canvas = canvasRef.current;
+    canvas?.getContext('2d')?.clearRect(0, 0, canvas.width, canvas.height);
+    setHasSignature(false);
+    setUploaded(prev => ({ ...prev, signature: false }));
+  };
+
+  const uploadProof = async (file: Blob, proofType: 'photo' | 'signature', filename: string) => {
+    const formData = new FormData();
+    formData.append('file', file, filename);
+    formData.append('proofType', proofType);
+    await axios.post(`/drivers/orders/${order.id}/proof`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+  };
+
+  const handleConfirm = async () => {
+    setSubmitting(true);
+    setError('');
+    try {
+      if (photo && !uploaded.photo) {
+        await uploadProof(photo, 'photo', photo.name);
+        setUploaded(prev => ({ ...prev, photo: true }));
+      }
+
+      if (hasSignature && !uploaded.signature && canvasRef.current) {
+        const signature = await new Promise<Blob | null>(resolve => canvasRef.current!.toBlob(resolve, 'image/png'));
+        if (signature) {
+          await uploadProof(signature, 'signature', `signature-${order.id}.png`);
+          setUploaded(prev => ({ ...prev, signature: true }));
+        }
+      }
+
+      await axios.put(`/drivers/orders/${order.id}/status`, {
+        status: 'delivered',
+        pin: order.requiresPin ? pin : undefined
+      });
+
+      onDelivered();
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to complete delivery');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-md w-full max-h-screen overflow-y-auto">
+        <div className="p-6 space-y-5">
+          <div className="flex items-center justify-between">
+            <h3 className="text-xl font-semibold">Complete delivery · Order #{order.orderNumber}</h3>
+            <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          {error && (
+            <div className="bg-red-50 border border-red-200 rounded-md p-3">
+              <p className="text-sm text-red-600">{error}</p>
+            </div>
+          )}
+
+          {order.requiresPin && (
+            <div>
+              <label htmlFor="deliveryPin" className="block text-sm font-medium text-gray-700 mb-1">
+                Delivery PIN
+              </label>
+              <input
+                id="deliveryPin"
+                type="text"
+                inputMode="numeric"
+                maxLength={6}
+                value={pin}
+                onChange={(e) => setPin(e.target.value.replace(/\D/g, ''))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md text-2xl tracking-widest text-center font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+                placeholder="••••"
+              />
+              <p className="text-xs text-gray-500 mt-1">Ask the customer for the code from their confirmation email.</p>
+            </div>
+          )}
+
+          <div>
+            <label htmlFor="deliveryPhoto" className="block text-sm font-medium text-gray-700 mb-1">
+              Photo of the handover (optional)
+            </label>
+            <input
+              id="deliveryPhoto"
+              type="file"
+              accept="image/*"
+              capture="environment"
+              onChange={(e) => {
+                setPhoto(e.target.files?.[0] || null);
+                setUploaded(prev => ({ ...prev, photo: false }));
+              }}
+              className="block w-full text-sm text-gray-600"
+            />
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-1">
+              <span className="block text-sm font-medium text-gray-700">Customer signature (optional)</span>
+              {hasSignature && (
+                <button onClick={clearSignature} className="text-sm text-blue-600 hover:text-blue-800">
+                  Clear
+                </button>
+              )}
+            </div>
+            <canvas
+              ref={canvasRef}
+              width={400}
+              height={150}
+              onPointerDown={startStroke}
+              onPointerMove={continueStroke}
+              onPointerUp={endStroke}
+              onPointerLeave={endStroke}
+              className="w-full h-36 border border-gray-300 rounded-md bg-gray-50 touch-none"
+            />
+          </div>
+
+          <button
+            onClick={handleConfirm}
+            disabled={submitting || (order.requiresPin && pin.length < 4)}
+            className="w-full py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors disabled:opacity-50"
+          >
+            {submitting ? 'Completing...' : 'Confirm Delivery'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DeliveryProofModal;
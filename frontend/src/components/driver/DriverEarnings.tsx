@@ -0,0 +1,291 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from '../../utils/axios';
+
+interface EarningsEntry {
+  id: number;
+  orderId: number | null;
+  orderNumber: string | null;
+  type: 'base_fee' | 'distance' | 'tip' | 'bonus' | 'adjustment';
+  amount: number;
+  distanceKm: number | null;
+  description: string | null;
+  payoutId: number | null;
+  createdAt: string;
+}
+
+interface Payout {
+  id: number;
+  periodStart: string;
+  periodEnd: string;
+  amount: number;
+  status: 'pending' | 'paid' | 'failed';
+  paidAt: string | null;
+}
+
+interface EarningsSummary {
+  today: number;
+  week: number;
+  month: number;
+  total: number;
+  unpaid: number;
+}
+
+interface PayoutAccount {
+  connected: boolean;
+  status: 'not_connected' | 'pending' | 'connected' | 'restricted' | 'disabled';
+  payoutsEnabled?: boolean;
+}
+
+const ENTRY_LABELS: Record<EarningsEntry['type'], string> = {
+  base_fee: 'Delivery',
+  distance: 'Distance',
+  tip: 'Tip',
+  bonus: 'Bonus',
+  adjustment: 'Adjustment'
+};
+
+const STATUS_STYLES: Record<Payout['status'], string> = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  paid: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800'
+};
+
+const formatMoney = (amount: number) => `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`;
+
+const DriverEarnings: React.FC = () => {
+  const [summary, setSummary] = useState<EarningsSummary | null>(null);
+  const [entries, setEntries] = useState<EarningsEntry[]>([]);
+  const [payouts, setPayouts] = useState<Payout[]>([]);
+  const [account, setAccount] = useState<PayoutAccount | null>(null);
+  const [statement, setStatement] = useState<{ payout: Payout, entries: EarningsEntry[] } | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [accountLoading, setAccountLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchEarnings = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const [earningsResponse, payoutsResponse] = await Promise.all([
+        axios.get('/drivers/earnings', { params: { limit: 20 } }),
+        axios.get('/drivers/payouts')
+      ]);
+
+      setSummary(earningsResponse.data.data.summary);
+      setEntries(earningsResponse.data.data.entries);
+      setPayouts(payoutsResponse.data.data.payouts);
+
+      // Checked with Stripe, so the rest of the page doesn't wait on it
+      axios.get('/drivers/stripe-connect/account-status')
+        .then(response => setAccount(response.data.data))
+        .catch(() => setAccount(null));
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to load earnings');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchEarnings();
+  }, [fetchEarnings]);
+
+  // Stripe sends drivers to the onboarding link or the Express dashboard
+  const openStripe = async (endpoint: string, urlField: 'onboardingUrl' | 'loginUrl') => {
+    try {
+      setAccountLoading(true);
+      setError('');
+      const response = await axios.post(`/drivers/stripe-connect/${endpoint}`);
+      window.location.href = response.data.data[urlField];
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to open Stripe');
+      setAccountLoading(false);
+    }
+  };
+
+  const openStatement = async (payoutId: number) => {
+    try {
+      const response = await axios.get(`/drivers/payouts/${payoutId}`);
+      setStatement(response.data.data);
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to load statement');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="p-6">
+        <div className="flex items-center justify-center py-12">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          <span className="ml-2 text-gray-600">Loading earnings...</span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6 space-y-8">
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-semibold text-gray-900">Earnings & Payouts</h2>
+        <button
+          onClick={fetchEarnings}
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+        >
+          Refresh
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-md p-3">
+          <p className="text-sm text-red-600">{error}</p>
+        </div>
+      )}
+
+      {/* Payout account */}
+      {account && (
+        <div className={`border rounded-lg p-4 flex items-center justify-between ${
+          account.status === 'connected' ? 'bg-green-50 border-green-200' : 'bg-yellow-50 border-yellow-200'
+        }`}>
+          <div>
+            <p className="font-medium text-gray-900">
+              {account.status === 'connected'
+                ? 'Payouts go to your connected bank account'
+                : account.connected
+                  ? 'Finish setting up your payout account'
+                  : 'Set up a payout account to get paid'}
+            </p>
+            <p className="text-sm text-gray-600">
+              Earnings are paid weekly for Monday to Sunday through Stripe.
+            </p>
+          </div>
+          <button
+            onClick={() => account.status === 'connected'
+              ? openStripe('create-login-link', 'loginUrl')
+              : account.connected
+                ? openStripe('create-onboarding-link', 'onboardingUrl')
+                : openStripe('create-account', 'onboardingUrl')}
+            disabled={accountLoading}
+            className="px-4 py-2 bg-white border border-gray-300 rounded-md text-sm font-medium hover:bg-gray-50 disabled:opacity-50"
+          >
+            {account.status === 'connected' ? 'Stripe Dashboard' : account.connected ? 'Continue Setup' : 'Set Up Payouts'}
+          </button>
+        </div>
+      )}
+
+      {summary && (
+        <div className="grid md:grid-cols-4 gap-6">
+          <div className="bg-white border border-gray-200 rounded-lg p-6 text-center">
+            <div className="text-3xl font-bold text-green-600">{formatMoney(summary.unpaid)}</div>
+            <div className="text-sm text-gray-500">Since last statement</div>
+          </div>
+          <div className="bg-white border border-gray-200 rounded-lg p-6 text-center">
+            <div className="text-3xl font-bold text-gray-900">{formatMoney(summary.today)}</div>
+            <div className="text-sm text-gray-500">Today</div>
+          </div>
+          <div className="bg-white border border-gray-200 rounded-lg p-6 text-center">
+            <div className="text-3xl font-bold text-gray-900">{formatMoney(summary.week)}</div>
+            <div className="text-sm text-gray-500">Last 7 days</div>
+          </div>
+          <div className="bg-white border border-gray-200 rounded-lg p-6 text-center">
+            <div className="text-3xl font-bold text-gray-900">{formatMoney(summary.total)}</div>
+            <div className="text-sm text-gray-500">All time</div>
+          </div>
+        </div>
+      )}
+
+      <div className="grid md:grid-cols-2 gap-8">
+        {/* Statements */}
+        <div className="bg-white border border-gray-200 rounded-lg p-6">
+          <h3 className="text-lg font-medium text-gray-900 mb-4">Statements</h3>
+          {payouts.length > 0 ? (
+            <div className="divide-y divide-gray-100">
+              {payouts.map(payout => (
+                <button
+                  key={payout.id}
+                  onClick={() => openStatement(payout.id)}
+                  className="w-full flex items-center justify-between py-3 text-left hover:bg-gray-50"
+                >
+                  <div>
+                    <p className="font-medium text-gray-900">{payout.periodStart} – {payout.periodEnd}</p>
+                    <p className="text-xs text-gray-500">
+                      {payout.paidAt ? `Paid ${new Date(payout.paidAt).toLocaleDateString()}` : 'Not paid yet'}
+                    </p>
+                  </div>
+                  <div className="text-right">
+                    <p className="font-medium text-gray-900">{formatMoney(payout.amount)}</p>
+                    <span className={`px-2 py-0.5 text-xs font-medium rounded-full capitalize ${STATUS_STYLES[payout.status]}`}>
+                      {payout.status}
+                    </span>
+                  </div>
+                </button>
+              ))}
+            </div>
+          ) : (
+            <p className="text-gray-500 text-sm">Your first statement appears after your first full week of deliveries.</p>
+          )}
+        </div>
+
+        {/* Recent ledger entries */}
+        <div className="bg-white border border-gray-200 rounded-lg p-6">
+          <h3 className="text-lg font-medium text-gray-900 mb-4">Recent Earnings</h3>
+          {entries.length > 0 ? (
+            <div className="divide-y divide-gray-100">
+              {entries.map(entry => (
+                <div key={entry.id} className="flex items-center justify-between py-3">
+                  <div>
+                    <p className="font-medium text-gray-900">
+                      {ENTRY_LABELS[entry.type]}
+                      {entry.orderNumber && <span className="text-gray-500 font-normal"> · #{entry.orderNumber}</span>}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {entry.description || new Date(entry.createdAt).toLocaleString()}
+                    </p>
+                  </div>
+                  <p className={`font-medium ${entry.amount < 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                    {formatMoney(entry.amount)}
+                  </p>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-gray-500 text-sm">Complete a delivery to start earning.</p>
+          )}
+        </div>
+      </div>
+
+      {statement && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg max-w-lg w-full max-h-screen overflow-y-auto p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-xl font-semibold">
+                Statement {statement.payout.periodStart} – {statement.payout.periodEnd}
+              </h3>
+              <button onClick={() => setStatement(null)} className="text-gray-400 hover:text-gray-600 text-2xl">
+                ×
+              </button>
+            </div>
+            <div className="divide-y divide-gray-100 text-sm">
+              {statement.entries.map(entry => (
+                <div key={entry.id} className="flex justify-between py-2">
+                  <span className="text-gray-700">
+                    {ENTRY_LABELS[entry.type]}
+                    {entry.orderNumber && ` · #${entry.orderNumber}`}
+                    {entry.distanceKm !== null && ` · ${entry.distanceKm} km`}
+                  </span>
+                  <span className="font-medium text-gray-900">{formatMoney(entry.amount)}</span>
+                </div>
+              ))}
+            </div>
+            <div className="flex justify-between border-t-2 border-gray-200 pt-3 mt-2 font-semibold">
+              <span>Total</span>
+              <span>{formatMoney(statement.payout.amount)}</span>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DriverEarnings;
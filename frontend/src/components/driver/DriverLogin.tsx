@@ -13,6 +13,8 @@ interface Driver {
   vehiclePlate: string;
   status: 'online' | 'offline' | 'busy' | 'inactive';
   isVerified: boolean;
+  verificationStatus?: 'pending' | 'approved' | 'rejected';
+  rejectionReason?: string | null;
   rating: number;
   totalDeliveries: number;
   currentLocation?: {
@@ -118,7 +120,7 @@ const DriverLogin: React.FC<DriverLoginProps> = ({ onLogin, onNavigateHome }) =>
       });
 
       if (response.data.success) {
-        setSuccess('Registration successful! Your account is pending verification. You will be notified once approved.');
+        setSuccess('Registration successful! Sign in to upload your license and vehicle documents for verification.');
         setActiveTab('login');
         setRegisterForm({
           fullName: '',
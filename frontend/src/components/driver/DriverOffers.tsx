@@ -0,0 +1,191 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from '../../utils/axios';
+
+interface Offer {
+  id: number;
+  orderId: number;
+  storeName: string | null;
+  pickupAddress: string | null;
+  deliveryAddress: string | null;
+  distanceKm: number | null;
+  total: number;
+  itemCount: number;
+  joinsBatch: boolean;
+  offeredAt: string;
+  expiresAt: string;
+}
+
+interface DriverOffersProps {
+  onAccepted: () => void;
+}
+
+const POLL_INTERVAL_MS = 15000;
+
+const DECLINE_REASONS = [
+  { value: 'too_far', label: 'Too far away' },
+  { value: 'low_pay', label: 'Not worth the trip' },
+  { value: 'vehicle_capacity', label: 'Won\'t fit in my vehicle' },
+  { value: 'ending_shift', label: 'Ending my shift' },
+  { value: 'unsafe_area', label: 'Unsafe area' },
+  { value: 'other', label: 'Other' }
+];
+
+const DriverOffers: React.FC<DriverOffersProps> = ({ onAccepted }) => {
+  const [offers, setOffers] = useState<Offer[]>([]);
+  const [now, setNow] = useState(Date.now());
+  const [responding, setResponding] = useState<number | null>(null);
+  const [message, setMessage] = useState<{ type: 'success' | 'error', text: string } | null>(null);
+  const [declining, setDeclining] = useState<number | null>(null);
+  const [declineReason, setDeclineReason] = useState('');
+  const [declineNote, setDeclineNote] = useState('');
+
+  const fetchOffers = useCallback(async () => {
+    try {
+      const response = await axios.get('/drivers/offers');
+      setOffers(response.data.data.offers);
+    } catch (err: any) {
+      console.error('Error fetching delivery offers:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchOffers();
+    const poll = setInterval(fetchOffers, POLL_INTERVAL_MS);
+    return () => clearInterval(poll);
+  }, [fetchOffers]);
+
+  // Tick the countdowns
+  useEffect(() => {
+    const tick = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(tick);
+  }, []);
+
+  const startDecline = (offer: Offer) => {
+    setDeclining(offer.id);
+    setDeclineReason('');
+    setDeclineNote('');
+  };
+
+  const respond = async (offer: Offer, action: 'accept' | 'decline') => {
+    setResponding(offer.id);
+    setMessage(null);
+    try {
+      const body = action === 'decline' ? { reason: declineReason, note: declineNote } : {};
+      const response = await axios.post(`/drivers/offers/${offer.id}/${action}`, body);
+      setMessage({ type: 'success', text: response.data.message });
+      setDeclining(null);
+      if (action === 'accept') {
+        onAccepted();
+      }
+    } catch (err: any) {
+      setMessage({ type: 'error', text: err.response?.data?.message || `Failed to ${action} offer` });
+    } finally {
+      setResponding(null);
+      fetchOffers();
+    }
+  };
+
+  const liveOffers = offers.filter(offer => new Date(offer.expiresAt).getTime() > now);
+
+  if (liveOffers.length === 0 && !message) {
+    return null;
+  }
+
+  return (
+    <div className="mb-6 space-y-3">
+      {message && (
+        <div className={`p-3 rounded-md text-sm ${message.type === 'success' ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`}>
+          {message.text}
+        </div>
+      )}
+
+      {liveOffers.map(offer => {
+        const secondsLeft = Math.max(0, Math.round((new Date(offer.expiresAt).getTime() - now) / 1000));
+
+        return (
+          <div key={offer.id} className="border-2 border-blue-300 bg-blue-50 rounded-lg p-4">
+            <div className="flex items-start justify-between">
+              <div>
+                <h3 className="font-semibold text-gray-900">New delivery offer · Order #{offer.orderId}</h3>
+                <p className="text-sm text-gray-700 mt-1">
+                  Pickup: {offer.storeName || 'Store'}{offer.pickupAddress ? `, ${offer.pickupAddress}` : ''}
+                  {offer.distanceKm !== null && <span className="text-gray-500"> ({offer.distanceKm} km away)</span>}
+                </p>
+                {offer.joinsBatch && (
+                  <span className="inline-block mt-1 px-2 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-800">
+                    Adds to your current route
+                  </span>
+                )}
+                {offer.deliveryAddress && (
+                  <p className="text-sm text-gray-700">Drop-off: {offer.deliveryAddress}</p>
+                )}
+                <p className="text-sm text-gray-500 mt-1">
+                  {offer.itemCount} item{offer.itemCount === 1 ? '' : 's'} · ${offer.total.toFixed(2)}
+                </p>
+              </div>
+              <span className={`text-lg font-bold ${secondsLeft <= 10 ? 'text-red-600' : 'text-blue-700'}`}>
+                {secondsLeft}s
+              </span>
+            </div>
+            {declining === offer.id ? (
+              <div className="mt-3 space-y-2">
+                <select
+                  value={declineReason}
+                  onChange={(e) => setDeclineReason(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">Why are you declining?</option>
+                  {DECLINE_REASONS.map(reason => (
+                    <option key={reason.value} value={reason.value}>{reason.label}</option>
+                  ))}
+                </select>
+                <textarea
+                  value={declineNote}
+                  onChange={(e) => setDeclineNote(e.target.value)}
+                  maxLength={500}
+                  rows={2}
+                  placeholder={declineReason === 'other' ? 'Tell us more (required)' : 'Anything else? (optional)'}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <div className="flex space-x-3">
+                  <button
+                    onClick={() => respond(offer, 'decline')}
+                    disabled={responding === offer.id || !declineReason || (declineReason === 'other' && !declineNote.trim())}
+                    className="px-4 py-2 bg-red-600 text-white rounded-md text-sm hover:bg-red-700 disabled:opacity-50"
+                  >
+                    Decline offer
+                  </button>
+                  <button
+                    onClick={() => setDeclining(null)}
+                    className="px-4 py-2 border border-gray-300 bg-white text-gray-700 rounded-md text-sm hover:bg-gray-50"
+                  >
+                    Back
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <div className="flex space-x-3 mt-3">
+                <button
+                  onClick={() => respond(offer, 'accept')}
+                  disabled={responding === offer.id}
+                  className="px-4 py-2 bg-green-600 text-white rounded-md text-sm hover:bg-green-700 disabled:opacity-50"
+                >
+                  Accept
+                </button>
+                <button
+                  onClick={() => startDecline(offer)}
+                  disabled={responding === offer.id}
+                  className="px-4 py-2 border border-gray-300 bg-white text-gray-700 rounded-md text-sm hover:bg-gray-50 disabled:opacity-50"
+                >
+                  Decline
+                </button>
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default DriverOffers;
@@ -1,5 +1,7 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import axios from '../../utils/axios';
+import DriverOffers from './DriverOffers';
+import DeliveryProofModal from './DeliveryProofModal';
 
 
 interface Order {
@@ -13,6 +15,8 @@ interface Order {
   items: OrderItem[];
   assignedAt: string;
   estimatedDelivery: string;
+  requiresPin: boolean;
+  proofCount: number;
 }
 
 interface OrderItem {
@@ -22,6 +26,28 @@ interface OrderItem {
   price: number;
 }
 
+interface RouteStop {
+  id: number;
+  sequence: number;
+  type: 'pickup' | 'dropoff';
+  status: 'pending' | 'completed';
+  orderId: number;
+  orderNumber: string;
+  orderStatus: string;
+  requiresPin: boolean;
+  name: string | null;
+  phone: string | null;
+  address: string | null;
+  completedAt: string | null;
+}
+
+interface DeliveryBatch {
+  id: number;
+  orderCount: number;
+  nextStopId: number | null;
+  stops: RouteStop[];
+}
+
 interface Driver {
   id: number;
   driverId: string;
@@ -41,6 +67,17 @@ const DriverOrders: React.FC<DriverOrdersProps> = ({ driver }) => {
   const [selectedOrder, setSelectedOrder] = useState<Order | null>(null);
   const [statusFilter, setStatusFilter] = useState<string>('all');
   const [updating, setUpdating] = useState<number | null>(null);
+  const [batch, setBatch] = useState<DeliveryBatch | null>(null);
+  const [deliveringOrder, setDeliveringOrder] = useState<{ id: number, orderNumber: string, requiresPin: boolean } | null>(null);
+
+  const fetchRoute = useCallback(async () => {
+    try {
+      const response = await axios.get('/drivers/route');
+      setBatch(response.data.data.batch);
+    } catch (err: any) {
+      console.error('Error fetching driver route:', err);
+    }
+  }, []);
 
   const fetchOrders = useCallback(async () => {
     try {
@@ -81,6 +118,15 @@ const DriverOrders: React.FC<DriverOrdersProps> = ({ driver }) => {
     fetchOrders();
   }, [fetchOrders]);
 
+  useEffect(() => {
+    fetchRoute();
+  }, [fetchRoute]);
+
+  const refresh = () => {
+    fetchOrders();
+    fetchRoute();
+  };
+
   const updateOrderStatus = async (orderId: number, newStatus: string) => {
     try {
       setUpdating(orderId);
@@ -103,6 +149,8 @@ const DriverOrders: React.FC<DriverOrdersProps> = ({ driver }) => {
         if (selectedOrder && selectedOrder.id === orderId) {
           setSelectedOrder({ ...selectedOrder, status: newStatus as any });
         }
+
+        fetchRoute();
       } else {
         setError(response.data.message || 'Failed to update order status');
       }
@@ -122,6 +170,15 @@ const DriverOrders: React.FC<DriverOrdersProps> = ({ driver }) => {
     }
   };
 
+  // Delivering goes through the proof of delivery step; other moves are a single click
+  const advanceOrder = (order: { id: number, orderNumber: string, requiresPin: boolean }, newStatus: string) => {
+    if (newStatus === 'delivered') {
+      setDeliveringOrder(order);
+    } else {
+      updateOrderStatus(order.id, newStatus);
+    }
+  };
+
   const getStatusColor = (status: string) => {
     switch (status) {
       case 'assigned':
@@ -152,6 +209,17 @@ const DriverOrders: React.FC<DriverOrdersProps> = ({ driver }) => {
     }
   };
 
+  // A pickup stop moves the order to picked up; its drop-off stop covers the rest
+  const getStopAction = (stop: RouteStop) => {
+    if (stop.status !== 'pending') {
+      return null;
+    }
+    if (stop.type === 'pickup') {
+      return stop.orderStatus === 'assigned' ? getNextStatusAction(stop.orderStatus) : null;
+    }
+    return stop.orderStatus === 'assigned' ? null : getNextStatusAction(stop.orderStatus);
+  };
+
   const statusOptions = [
     { value: 'all', label: 'All Orders' },
     { value: 'assigned', label: 'Assigned' },
@@ -188,7 +256,7 @@ const DriverOrders: React.FC<DriverOrdersProps> = ({ driver }) => {
             ))}
           </select>
           <button
-            onClick={fetchOrders}
+            onClick={refresh}
             className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
           >
             Refresh
@@ -196,6 +264,61 @@ const DriverOrders: React.FC<DriverOrdersProps> = ({ driver }) => {
         </div>
       </div>
 
+      <DriverOffers onAccepted={refresh} />
+
+      {batch && (
+        <div className="mb-6 bg-white border border-gray-200 rounded-lg p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-medium text-gray-900">Current Route</h3>
+            <span className="text-sm text-gray-500">
+              {batch.orderCount} order{batch.orderCount !== 1 ? 's' : ''} · {batch.stops.filter(stop => stop.status === 'pending').length} stops left
+            </span>
+          </div>
+
+          <ol className="space-y-3">
+            {batch.stops.map((stop, index) => {
+              const action = getStopAction(stop);
+              const isNext = stop.id === batch.nextStopId;
+
+              return (
+                <li
+                  key={stop.id}
+                  className={`flex items-start justify-between p-3 rounded-md border ${
+                    isNext ? 'border-blue-300 bg-blue-50' : 'border-gray-200'
+                  } ${stop.status === 'completed' ? 'opacity-60' : ''}`}
+                >
+                  <div className="flex items-start space-x-3">
+                    <span className={`flex-shrink-0 w-7 h-7 rounded-full flex items-center justify-center text-sm font-medium ${
+                      stop.status === 'completed' ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+                    }`}>
+                      {stop.status === 'completed' ? '✓' : index + 1}
+                    </span>
+                    <div className="text-sm">
+                      <p className="font-medium text-gray-900">
+                        {stop.type === 'pickup' ? 'Pick up' : 'Drop off'} · {stop.name || (stop.type === 'pickup' ? 'Store' : 'Customer')}
+                        <span className="ml-2 text-gray-500 font-normal">Order #{stop.orderNumber}</span>
+                      </p>
+                      {stop.address && <p className="text-gray-600">{stop.address}</p>}
+                      {stop.phone && <p className="text-gray-600">{stop.phone}</p>}
+                    </div>
+                  </div>
+
+                  {action && (
+                    <button
+                      onClick={() => advanceOrder({ id: stop.orderId, orderNumber: stop.orderNumber, requiresPin: stop.requiresPin }, action.status)}
+                      disabled={updating === stop.orderId}
+                      className={`ml-4 px-3 py-1 text-sm text-white rounded-md transition-colors disabled:opacity-50 ${action.color}`}
+                    >
+                      {updating === stop.orderId ? 'Updating...' : action.label}
+                    </button>
+                  )}
+                </li>
+              );
+            })}
+          </ol>
+        </div>
+      )}
+
       {error && (
         <div className="mb-4 bg-red-50 border border-red-200 rounded-md p-3">
           <p className="text-sm text-red-600">{error}</p>
@@ -261,7 +384,7 @@ const DriverOrders: React.FC<DriverOrdersProps> = ({ driver }) => {
                     
                     {nextAction && (
                       <button
-                        onClick={() => updateOrderStatus(order.id, nextAction.status)}
+                        onClick={() => advanceOrder(order, nextAction.status)}
                         disabled={updating === order.id}
                         className={`px-4 py-2 text-sm text-white rounded-md transition-colors disabled:opacity-50 ${nextAction.color}`}
                       >
@@ -334,6 +457,8 @@ const DriverOrders: React.FC<DriverOrdersProps> = ({ driver }) => {
                     </p>
                     <p><strong>Assigned At:</strong> {new Date(selectedOrder.assignedAt).toLocaleString()}</p>
                     <p><strong>Estimated Delivery:</strong> {new Date(selectedOrder.estimatedDelivery).toLocaleString()}</p>
+                    {selectedOrder.requiresPin && <p><strong>Delivery PIN:</strong> required from the customer at handover</p>}
+                    {selectedOrder.proofCount > 0 && <p><strong>Proof of delivery:</strong> {selectedOrder.proofCount} file{selectedOrder.proofCount !== 1 ? 's' : ''} attached</p>}
                   </div>
                 </div>
 
@@ -343,7 +468,7 @@ const DriverOrders: React.FC<DriverOrdersProps> = ({ driver }) => {
                       onClick={() => {
                         const nextAction = getNextStatusAction(selectedOrder.status);
                         if (nextAction) {
-                          updateOrderStatus(selectedOrder.id, nextAction.status);
+                          advanceOrder(selectedOrder, nextAction.status);
                         }
                       }}
                       disabled={updating === selectedOrder.id}
@@ -358,8 +483,20 @@ const DriverOrders: React.FC<DriverOrdersProps> = ({ driver }) => {
           </div>
         </div>
       )}
+
+      {deliveringOrder && (
+        <DeliveryProofModal
+          order={deliveringOrder}
+          onClose={() => setDeliveringOrder(null)}
+          onDelivered={() => {
+            setDeliveringOrder(null);
+            setSelectedOrder(null);
+            refresh();
+          }}
+        />
+      )}
     </div>
   );
 };
 
-export default DriverOrders;
\ No newline at end of file
+export default DriverOrders;
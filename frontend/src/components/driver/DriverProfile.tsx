@@ -13,6 +13,8 @@ interface Driver {
   vehiclePlate: string;
   status: 'online' | 'offline' | 'busy' | 'inactive';
   isVerified: boolean;
+  verificationStatus?: 'pending' | 'approved' | 'rejected';
+  rejectionReason?: string | null;
   rating: number;
   totalDeliveries: number;
   currentLocation?: {
@@ -76,7 +78,7 @@ const DriverProfile: React.FC<DriverProfileProps> = ({ driver, onUpdate }) => {
       setError(errorMessage);
       
       // If it's a token-related error, clear stored auth data
-      if (err.response?.status === 401 || err.response?.status === 403) {
+      if (err.response?.status === 401) {
         console.log('Driver authentication error, clearing stored data:', errorMessage);
         localStorage.removeItem('afrozy-driver-data');
         // Reload the page to trigger re-authentication
@@ -110,7 +112,7 @@ const DriverProfile: React.FC<DriverProfileProps> = ({ driver, onUpdate }) => {
       setError(errorMessage);
       
       // If it's a token-related error, clear stored auth data
-      if (err.response?.status === 401 || err.response?.status === 403) {
+      if (err.response?.status === 401) {
         console.log('Driver authentication error, clearing stored data:', errorMessage);
         localStorage.removeItem('afrozy-driver-data');
         // Reload the page to trigger re-authentication
@@ -191,6 +193,12 @@ const DriverProfile: React.FC<DriverProfileProps> = ({ driver, onUpdate }) => {
           ✓ Verified
         </span>
       );
+    } else if (driver.verificationStatus === 'rejected') {
+      return (
+        <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800 border border-red-200">
+          ✕ Verification Unsuccessful
+        </span>
+      );
     } else {
       return (
         <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800 border border-yellow-200">
@@ -243,7 +251,8 @@ const DriverProfile: React.FC<DriverProfileProps> = ({ driver, onUpdate }) => {
                   <div className="flex space-x-2">
                     <button
                       onClick={() => handleStatusUpdate('online')}
-                      disabled={loading || driver.status === 'online'}
+                      disabled={loading || driver.status === 'online' || !driver.isVerified}
+                      title={driver.isVerified ? undefined : 'Your account must be verified before you can go online'}
                       className="px-3 py-1 text-sm bg-green-600 text-white rounded hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed"
                     >
                       Go Online
@@ -8,6 +8,8 @@ interface Stats {
   completedThisWeek: number;
   completedThisMonth: number;
   averageRating: number;
+  ratingCount: number;
+  ratingWindow: number;
   totalEarnings: number;
   earningsToday: number;
   earningsThisWeek: number;
@@ -23,8 +25,15 @@ interface Stats {
     orderNumber: string;
     customerName: string;
     total: number;
+    earnings?: number;
     deliveredAt: string;
-    rating?: number;
+    rating?: number | null;
+  }>;
+  recentFeedback: Array<{
+    id: number;
+    rating: number;
+    feedback: string;
+    createdAt: string;
   }>;
 }
 
@@ -51,7 +60,7 @@ const DriverStats: React.FC<DriverStatsProps> = ({ driver }) => {
       setLoading(true);
       
       const response = await axios.get(
-        `/drivers/stats?range=${timeRange}`,
+        '/drivers/stats',
 {}
       );
 
@@ -80,6 +89,8 @@ const DriverStats: React.FC<DriverStatsProps> = ({ driver }) => {
         completedThisWeek: 12,
         completedThisMonth: 45,
         averageRating: driver.rating,
+        ratingCount: 2,
+        ratingWindow: 50,
         totalEarnings: 2340.50,
         earningsToday: 45.20,
         earningsThisWeek: 180.75,
@@ -107,12 +118,13 @@ const DriverStats: React.FC<DriverStatsProps> = ({ driver }) => {
             deliveredAt: new Date(Date.now() - 3600000).toISOString(),
             rating: 4
           }
-        ]
+        ],
+        recentFeedback: []
       });
     } finally {
       setLoading(false);
     }
-  }, [timeRange, driver.totalDeliveries, driver.rating]);
+  }, [driver.totalDeliveries, driver.rating]);
 
   useEffect(() => {
     fetchStats();
@@ -252,6 +264,11 @@ const DriverStats: React.FC<DriverStatsProps> = ({ driver }) => {
           <div className="flex justify-center mt-1">
             {renderStarRating(Math.round(stats.averageRating))}
           </div>
+          <div className="text-xs text-gray-400 mt-1">
+            {stats.ratingCount === 0
+              ? 'No ratings yet'
+              : `From your last ${Math.min(stats.ratingCount, stats.ratingWindow)} of ${stats.ratingCount} rating${stats.ratingCount === 1 ? '' : 's'}`}
+          </div>
         </div>
         
         <div className="bg-white border border-gray-200 rounded-lg p-6 text-center">
@@ -316,6 +333,9 @@ const DriverStats: React.FC<DriverStatsProps> = ({ driver }) => {
                   </div>
                   <div className="text-right">
                     <p className="font-medium text-gray-900">${delivery.total.toFixed(2)}</p>
+                    {delivery.earnings !== undefined && (
+                      <p className="text-xs text-green-600">You earned ${delivery.earnings.toFixed(2)}</p>
+                    )}
                     {delivery.rating && (
                       <div className="flex items-center space-x-1">
                         {renderStarRating(delivery.rating)}
@@ -332,6 +352,24 @@ const DriverStats: React.FC<DriverStatsProps> = ({ driver }) => {
         </div>
       </div>
 
+      {/* Customer Feedback */}
+      {stats.recentFeedback.length > 0 && (
+        <div className="mt-8 bg-white border border-gray-200 rounded-lg p-6">
+          <h3 className="text-lg font-medium text-gray-900 mb-4">Customer Feedback</h3>
+          <div className="space-y-4">
+            {stats.recentFeedback.map((feedback) => (
+              <div key={feedback.id} className="py-3 border-b border-gray-100 last:border-b-0">
+                <div className="flex items-center justify-between">
+                  <div>{renderStarRating(feedback.rating)}</div>
+                  <span className="text-xs text-gray-500">{new Date(feedback.createdAt).toLocaleDateString()}</span>
+                </div>
+                <p className="text-sm text-gray-700 mt-1">{feedback.feedback}</p>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Performance Insights */}
       <div className="mt-8 bg-white border border-gray-200 rounded-lg p-6">
         <h3 className="text-lg font-medium text-gray-900 mb-4">Performance Insights</h3>
@@ -0,0 +1,214 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from '../../utils/axios';
+
+interface Driver {
+  id: number;
+  fullName: string;
+  status: 'online' | 'offline' | 'busy' | 'inactive';
+  isVerified: boolean;
+  verificationStatus?: 'pending' | 'approved' | 'rejected';
+  rejectionReason?: string | null;
+}
+
+interface DriverDocument {
+  id: number;
+  document_type: string;
+  original_name: string;
+  content_type: string;
+  uploaded_at: string;
+}
+
+interface Notification {
+  id: number;
+  title: string;
+  message: string;
+  createdAt: string;
+}
+
+interface DriverVerificationProps {
+  driver: Driver;
+}
+
+const DOCUMENT_TYPES = [
+  { value: 'drivers_license', label: "Driver's License" },
+  { value: 'vehicle_registration', label: 'Vehicle Registration' },
+  { value: 'insurance', label: 'Insurance' },
+  { value: 'identity', label: 'Identity Document' }
+];
+
+const DriverVerification: React.FC<DriverVerificationProps> = ({ driver }) => {
+  const [documents, setDocuments] = useState<DriverDocument[]>([]);
+  const [notifications, setNotifications] = useState<Notification[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [uploading, setUploading] = useState(false);
+  const [documentType, setDocumentType] = useState('drivers_license');
+  const [file, setFile] = useState<File | null>(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const fetchData = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [documentsResponse, notificationsResponse] = await Promise.all([
+        axios.get('/drivers/documents'),
+        axios.get('/notifications', { params: { type: 'account' } })
+      ]);
+      setDocuments(documentsResponse.data.data || []);
+      setNotifications((notificationsResponse.data.data || []).slice(0, 5));
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to load verification details');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const handleUpload = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!file) return;
+
+    setUploading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const formData = new FormData();
+      formData.append('documentType', documentType);
+      formData.append('document', file);
+
+      await axios.post('/drivers/documents', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+
+      setSuccess('Document uploaded. We will review it shortly.');
+      setFile(null);
+      (e.target as HTMLFormElement).reset();
+      await fetchData();
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to upload document');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const verificationStatus = driver.verificationStatus || (driver.isVerified ? 'approved' : 'pending');
+
+  const statusPanel = {
+    approved: {
+      className: 'bg-green-50 border-green-200 text-green-800',
+      title: '✓ Your account is verified',
+      text: 'You can go online from your profile and receive delivery assignments.'
+    },
+    rejected: {
+      className: 'bg-red-50 border-red-200 text-red-800',
+      title: '✕ Verification unsuccessful',
+      text: 'Upload updated documents below and your account will go back into review.'
+    },
+    pending: {
+      className: 'bg-yellow-50 border-yellow-200 text-yellow-800',
+      title: '⏳ Verification pending',
+      text: "Upload your driver's license and vehicle documents. You can go online once an admin approves your account."
+    }
+  }[verificationStatus];
+
+  return (
+    <div className="p-6 space-y-6">
+      <h2 className="text-xl font-semibold text-gray-900">Account Verification</h2>
+
+      <div className={`p-4 border rounded-lg ${statusPanel.className}`}>
+        <p className="font-medium">{statusPanel.title}</p>
+        <p className="text-sm mt-1">{statusPanel.text}</p>
+        {verificationStatus === 'rejected' && driver.rejectionReason && (
+          <p className="text-sm mt-2"><strong>Reason:</strong> {driver.rejectionReason}</p>
+        )}
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded text-sm text-red-700">{error}</div>
+      )}
+      {success && (
+        <div className="p-3 bg-green-50 border border-green-200 rounded text-sm text-green-700">{success}</div>
+      )}
+
+      {/* Upload */}
+      <form onSubmit={handleUpload} className="bg-gray-50 rounded-lg p-4 space-y-4">
+        <h3 className="font-medium text-gray-900">Upload a Document</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Document Type</label>
+            <select
+              value={documentType}
+              onChange={(e) => setDocumentType(e.target.value)}
+              className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {DOCUMENT_TYPES.map(type => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">File (JPEG, PNG, WebP or PDF, max 5MB)</label>
+            <input
+              type="file"
+              accept="image/jpeg,image/png,image/webp,application/pdf"
+              onChange={(e) => setFile(e.target.files?.[0] || null)}
+              className="w-full text-sm text-gray-700"
+            />
+          </div>
+        </div>
+        <button
+          type="submit"
+          disabled={!file || uploading}
+          className="px-4 py-2 bg-blue-600 text-white rounded-md text-sm hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {uploading ? 'Uploading...' : 'Upload Document'}
+        </button>
+      </form>
+
+      {/* Documents */}
+      <div>
+        <h3 className="font-medium text-gray-900 mb-2">Your Documents</h3>
+        {loading ? (
+          <div className="flex justify-center py-6">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          </div>
+        ) : documents.length === 0 ? (
+          <p className="text-sm text-gray-500">No documents uploaded yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200 text-sm">
+            {documents.map(document => (
+              <li key={document.id} className="py-2 flex justify-between">
+                <span className="text-gray-900">
+                  {DOCUMENT_TYPES.find(type => type.value === document.document_type)?.label || document.document_type}
+                  <span className="text-gray-500"> · {document.original_name}</span>
+                </span>
+                <span className="text-gray-500">{new Date(document.uploaded_at).toLocaleDateString()}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {/* Review updates */}
+      {notifications.length > 0 && (
+        <div>
+          <h3 className="font-medium text-gray-900 mb-2">Updates</h3>
+          <ul className="divide-y divide-gray-200 text-sm">
+            {notifications.map(notification => (
+              <li key={notification.id} className="py-2">
+                <p className="font-medium text-gray-900">{notification.title}</p>
+                <p className="text-gray-600">{notification.message}</p>
+                <p className="text-xs text-gray-400">{new Date(notification.createdAt).toLocaleString()}</p>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DriverVerification;
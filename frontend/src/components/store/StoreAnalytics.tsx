@@ -0,0 +1,282 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from '../../utils/axios';
+
+type Bucket = 'day' | 'week' | 'month';
+
+interface StoreSummary {
+  totalOrders: number;
+  unitsSold: number;
+  revenue: number;
+  commission: number;
+  earnings: number;
+  averageOrderValue: number;
+  refundedOrders: number;
+  refundedAmount: number;
+  refundRate: number;
+  views: number;
+  uniqueViewers: number;
+  conversionRate: number;
+  customers: number;
+  repeatBuyers: number;
+  repeatBuyerRate: number;
+}
+
+interface SeriesPoint {
+  period: string;
+  revenue: number;
+  earnings: number;
+  orders: number;
+  unitsSold: number;
+}
+
+interface ProductStats {
+  id: number;
+  name: string;
+  imageUrl: string;
+  unitsSold: number;
+  revenue: number;
+  orders: number;
+  views: number;
+  uniqueViewers: number;
+  conversionRate: number;
+}
+
+interface StoreAnalyticsData {
+  timeRange: string;
+  bucket: Bucket;
+  summary: StoreSummary;
+  changes: { [key: string]: number | null };
+  series: SeriesPoint[];
+  products: ProductStats[];
+}
+
+const formatCurrency = (amount: number) =>
+  `$${amount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatPeriod = (period: string, bucket: Bucket) => {
+  const date = new Date(period);
+  if (bucket === 'month') {
+    return date.toLocaleDateString(undefined, { month: 'short', year: '2-digit' });
+  }
+  return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+};
+
+const ChangeLabel: React.FC<{ change: number | null | undefined, invert?: boolean }> = ({ change, invert = false }) => {
+  if (change === null || change === undefined) {
+    return <p className="text-xs text-gray-400">No previous data</p>;
+  }
+  // For metrics like refund rate, going up is bad
+  const good = invert ? change <= 0 : change >= 0;
+  return (
+    <p className={`text-xs ${good ? 'text-green-600' : 'text-red-600'}`}>
+      {change >= 0 ? '+' : ''}{change}% vs previous period
+    </p>
+  );
+};
+
+const StoreAnalytics: React.FC = () => {
+  const [data, setData] = useState<StoreAnalyticsData | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [timeRange, setTimeRange] = useState('30days');
+  const [bucket, setBucket] = useState<Bucket | ''>('');
+  const [metric, setMetric] = useState<'revenue' | 'earnings' | 'orders'>('revenue');
+
+  const fetchAnalytics = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await axios.get('/store/analytics', {
+        params: { timeRange, bucket: bucket || undefined }
+      });
+      setData(response.data.data);
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to load analytics');
+    } finally {
+      setLoading(false);
+    }
+  }, [timeRange, bucket]);
+
+  useEffect(() => {
+    fetchAnalytics();
+  }, [fetchAnalytics]);
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-purple-600"></div>
+      </div>
+    );
+  }
+
+  if (error || !data) {
+    return (
+      <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+        <p className="text-sm text-red-700">{error || 'Failed to load analytics'}</p>
+      </div>
+    );
+  }
+
+  const { summary, changes } = data;
+  const pointValue = (point: SeriesPoint) => point[metric];
+  const maxValue = Math.max(...data.series.map(pointValue), 1);
+  const formatValue = (value: number) => (metric === 'orders' ? value.toLocaleString() : formatCurrency(value));
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div>
+          <h2 className="text-lg sm:text-xl font-semibold text-gray-900">Store Analytics</h2>
+          <p className="text-sm text-gray-600">Earnings are shown after the platform commission</p>
+        </div>
+        <select
+          value={timeRange}
+          onChange={(e) => setTimeRange(e.target.value)}
+          className="border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+        >
+          <option value="7days">Last 7 Days</option>
+          <option value="30days">Last 30 Days</option>
+          <option value="90days">Last 3 Months</option>
+          <option value="1year">Last Year</option>
+        </select>
+      </div>
+
+      {/* KPI Cards */}
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-3 sm:gap-6">
+        <div className="bg-white rounded-lg shadow p-4 sm:p-6">
+          <p className="text-sm font-medium text-gray-600">Revenue</p>
+          <p className="text-xl sm:text-2xl font-bold text-green-600">{formatCurrency(summary.revenue)}</p>
+          <ChangeLabel change={changes.revenue} />
+        </div>
+
+        <div className="bg-white rounded-lg shadow p-4 sm:p-6">
+          <p className="text-sm font-medium text-gray-600">Your Earnings</p>
+          <p className="text-xl sm:text-2xl font-bold text-purple-600">{formatCurrency(summary.earnings)}</p>
+          <p className="text-xs text-gray-500">{formatCurrency(summary.commission)} commission</p>
+          <ChangeLabel change={changes.earnings} />
+        </div>
+
+        <div className="bg-white rounded-lg shadow p-4 sm:p-6">
+          <p className="text-sm font-medium text-gray-600">Orders</p>
+          <p className="text-xl sm:text-2xl font-bold text-blue-600">{summary.totalOrders.toLocaleString()}</p>
+          <p className="text-xs text-gray-500">
+            {summary.unitsSold.toLocaleString()} units · {formatCurrency(summary.averageOrderValue)} avg
+          </p>
+          <ChangeLabel change={changes.totalOrders} />
+        </div>
+
+        <div className="bg-white rounded-lg shadow p-4 sm:p-6">
+          <p className="text-sm font-medium text-gray-600">Conversion</p>
+          <p className="text-xl sm:text-2xl font-bold text-indigo-600">{summary.conversionRate}%</p>
+          <p className="text-xs text-gray-500">
+            {summary.uniqueViewers.toLocaleString()} visitors · {summary.views.toLocaleString()} views
+          </p>
+          <ChangeLabel change={changes.conversionRate} />
+        </div>
+
+        <div className="bg-white rounded-lg shadow p-4 sm:p-6">
+          <p className="text-sm font-medium text-gray-600">Repeat Buyers</p>
+          <p className="text-xl sm:text-2xl font-bold text-teal-600">{summary.repeatBuyerRate}%</p>
+          <p className="text-xs text-gray-500">
+            {summary.repeatBuyers} of {summary.customers} customers
+          </p>
+        </div>
+
+        <div className="bg-white rounded-lg shadow p-4 sm:p-6">
+          <p className="text-sm font-medium text-gray-600">Refunds</p>
+          <p className="text-xl sm:text-2xl font-bold text-orange-600">{summary.refundRate}%</p>
+          <p className="text-xs text-gray-500">
+            {summary.refundedOrders} orders, {formatCurrency(summary.refundedAmount)} refunded
+          </p>
+          <ChangeLabel change={changes.refundRate} invert />
+        </div>
+      </div>
+
+      {/* Time Series */}
+      <div className="bg-white rounded-lg shadow p-4 sm:p-6">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Over Time</h3>
+          <div className="flex space-x-2">
+            <select
+              value={metric}
+              onChange={(e) => setMetric(e.target.value as 'revenue' | 'earnings' | 'orders')}
+              className="border border-gray-300 rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+            >
+              <option value="revenue">Revenue</option>
+              <option value="earnings">Earnings</option>
+              <option value="orders">Orders</option>
+            </select>
+            <select
+              value={bucket}
+              onChange={(e) => setBucket(e.target.value as Bucket | '')}
+              className="border border-gray-300 rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+            >
+              <option value="">Auto</option>
+              <option value="day">Daily</option>
+              <option value="week">Weekly</option>
+              <option value="month">Monthly</option>
+            </select>
+          </div>
+        </div>
+        <div className="h-64 flex items-end space-x-1 overflow-x-auto">
+          {data.series.map(point => (
+            <div key={point.period} className="flex flex-col items-center flex-1 min-w-[1.5rem]">
+              <div
+                className="bg-purple-500 rounded-t w-full transition-all duration-500 hover:bg-purple-600"
+                style={{ height: `${(pointValue(point) / maxValue) * 200}px` }}
+                title={`${formatPeriod(point.period, data.bucket)}: ${formatValue(pointValue(point))} (${point.orders} orders, ${point.unitsSold} units)`}
+              ></div>
+              {data.series.length <= 16 && (
+                <span className="text-xs text-gray-600 mt-2 whitespace-nowrap">
+                  {formatPeriod(point.period, data.bucket)}
+                </span>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Products */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="px-4 sm:px-6 py-4 border-b border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-900">Products</h3>
+        </div>
+        {data.products.length === 0 ? (
+          <p className="p-6 text-sm text-gray-500">Add products to see how they perform.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 sm:px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Product</th>
+                  <th className="px-4 sm:px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Units Sold</th>
+                  <th className="px-4 sm:px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Revenue</th>
+                  <th className="px-4 sm:px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Views</th>
+                  <th className="px-4 sm:px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Conversion</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {data.products.map(product => (
+                  <tr key={product.id} className="hover:bg-gray-50">
+                    <td className="px-4 sm:px-6 py-4">
+                      <div className="flex items-center space-x-3">
+                        <img src={product.imageUrl} alt={product.name} className="h-10 w-10 rounded object-cover" />
+                        <span className="text-sm font-medium text-gray-900">{product.name}</span>
+                      </div>
+                    </td>
+                    <td className="px-4 sm:px-6 py-4 text-right text-sm text-gray-900">{product.unitsSold.toLocaleString()}</td>
+                    <td className="px-4 sm:px-6 py-4 text-right text-sm text-gray-900">{formatCurrency(product.revenue)}</td>
+                    <td className="px-4 sm:px-6 py-4 text-right text-sm text-gray-500">{product.views.toLocaleString()}</td>
+                    <td className="px-4 sm:px-6 py-4 text-right text-sm text-gray-500">{product.conversionRate}%</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StoreAnalytics;
@@ -0,0 +1,182 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from '../../utils/axios';
+import StarRating from '../StarRating';
+
+interface Review {
+  id: number;
+  product_id: number;
+  product_name: string;
+  reviewer_name: string;
+  rating: number;
+  title?: string;
+  body: string;
+  store_reply?: string;
+  store_replied_at?: string;
+  created_at: string;
+}
+
+const StoreReviews: React.FC = () => {
+  const [reviews, setReviews] = useState<Review[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [successMessage, setSuccessMessage] = useState<string | null>(null);
+  const [unansweredOnly, setUnansweredOnly] = useState(false);
+  const [replyingTo, setReplyingTo] = useState<number | null>(null);
+  const [replyText, setReplyText] = useState('');
+  const [savingReply, setSavingReply] = useState(false);
+
+  const fetchReviews = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const params = unansweredOnly ? { unanswered: 'true' } : {};
+      const response = await axios.get('/reviews/store', { params });
+      setReviews(response.data.data);
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to fetch reviews');
+    } finally {
+      setLoading(false);
+    }
+  }, [unansweredOnly]);
+
+  useEffect(() => {
+    fetchReviews();
+  }, [fetchReviews]);
+
+  const startReply = (review: Review) => {
+    setReplyingTo(review.id);
+    setReplyText(review.store_reply || '');
+  };
+
+  const cancelReply = () => {
+    setReplyingTo(null);
+    setReplyText('');
+  };
+
+  const handleSaveReply = async (reviewId: number) => {
+    setSavingReply(true);
+    setError(null);
+    try {
+      const response = await axios.put(`/reviews/${reviewId}/reply`, { reply: replyText.trim() });
+      setSuccessMessage(response.data.message);
+      cancelReply();
+      fetchReviews();
+      setTimeout(() => setSuccessMessage(null), 5000);
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to save reply');
+    } finally {
+      setSavingReply(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Customer Reviews</h2>
+          <p className="text-gray-600 mt-1">Read and respond to reviews of your products</p>
+        </div>
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={unansweredOnly}
+            onChange={(e) => setUnansweredOnly(e.target.checked)}
+            className="rounded border-gray-300 text-purple-600 focus:ring-purple-500"
+          />
+          <span>Only show reviews without a reply</span>
+        </label>
+      </div>
+
+      {successMessage && (
+        <div className="bg-green-50 border border-green-200 text-green-800 px-4 py-3 rounded-lg">
+          {successMessage}
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-800 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-purple-600"></div>
+        </div>
+      ) : reviews.length === 0 ? (
+        <div className="bg-white rounded-lg shadow p-8 text-center text-gray-500">
+          {unansweredOnly ? 'All reviews have a reply.' : 'No reviews yet.'}
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {reviews.map(review => (
+            <div key={review.id} className="bg-white rounded-lg shadow p-4 sm:p-6">
+              <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-2">
+                <div>
+                  <p className="text-sm font-medium text-purple-600">{review.product_name}</p>
+                  <div className="flex items-center space-x-2 mt-1">
+                    <StarRating rating={review.rating} size="sm" />
+                    {review.title && <span className="font-semibold text-gray-900">{review.title}</span>}
+                  </div>
+                </div>
+                <p className="text-xs text-gray-500">
+                  {review.reviewer_name} · {new Date(review.created_at).toLocaleDateString()}
+                </p>
+              </div>
+              <p className="mt-3 text-gray-700 whitespace-pre-line">{review.body}</p>
+
+              {replyingTo === review.id ? (
+                <div className="mt-4 space-y-2">
+                  <textarea
+                    value={replyText}
+                    onChange={(e) => setReplyText(e.target.value)}
+                    rows={3}
+                    maxLength={2000}
+                    placeholder="Write a public reply..."
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500"
+                  />
+                  <div className="flex space-x-2">
+                    <button
+                      onClick={() => handleSaveReply(review.id)}
+                      disabled={savingReply}
+                      className="bg-purple-600 text-white px-4 py-2 rounded-lg hover:bg-purple-700 disabled:opacity-50 text-sm"
+                    >
+                      {savingReply ? 'Saving...' : 'Save Reply'}
+                    </button>
+                    <button
+                      onClick={cancelReply}
+                      className="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-200 text-sm"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              ) : review.store_reply ? (
+                <div className="mt-4 bg-gray-50 border-l-4 border-purple-400 p-3 rounded">
+                  <p className="text-xs font-medium text-gray-500 mb-1">Your reply</p>
+                  <p className="text-sm text-gray-700 whitespace-pre-line">{review.store_reply}</p>
+                  <button
+                    onClick={() => startReply(review)}
+                    className="mt-2 text-sm text-purple-600 hover:text-purple-800"
+                  >
+                    Edit reply
+                  </button>
+                </div>
+              ) : (
+                <button
+                  onClick={() => startReply(review)}
+                  className="mt-4 text-sm text-purple-600 hover:text-purple-800 font-medium"
+                >
+                  Reply
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StoreReviews;
@@ -0,0 +1,437 @@
+import React, { useState, useEffect } from 'react';
+import axios from '../../utils/axios';
+import ImageUpload from '../ImageUpload';
+import { useCurrency } from '../../context/CurrencyContext';
+
+type Hours = { open: string; close: string } | null;
+
+interface HolidayClosure {
+  start_date: string;
+  end_date: string;
+  note: string | null;
+}
+
+interface DeliveryZone {
+  type: 'zip' | 'city';
+  value: string;
+}
+
+interface Settings {
+  logo_url: string | null;
+  banner_url: string | null;
+  timezone: string;
+  business_hours: Record<string, Hours> | null;
+  holiday_closures: HolidayClosure[];
+  return_policy: string | null;
+  delivery_zones: DeliveryZone[];
+  min_order_amount: string;
+  prices_include_tax: boolean;
+  base_currency: string;
+  availability?: { isOpen: boolean; reason: string | null };
+}
+
+interface StoreSettingsProps {
+  storeId?: number;
+}
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const DEFAULT_HOURS: Record<string, Hours> = WEEKDAYS.reduce((hours, day) => ({
+  ...hours,
+  [day]: day === 'sunday' ? null : { open: '09:00', close: '17:00' }
+}), {});
+
+const inputClass = 'border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-purple-500';
+
+const StoreSettings: React.FC<StoreSettingsProps> = ({ storeId }) => {
+  const { currencies } = useCurrency();
+  const [settings, setSettings] = useState<Settings | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [successMessage, setSuccessMessage] = useState<string | null>(null);
+  const [newZone, setNewZone] = useState<DeliveryZone>({ type: 'zip', value: '' });
+  const [newClosure, setNewClosure] = useState<HolidayClosure>({ start_date: '', end_date: '', note: '' });
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const response = await axios.get('/store/settings');
+        setSettings(response.data.data);
+      } catch (err: any) {
+        setError(err.response?.data?.message || 'Failed to load store settings');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchSettings();
+  }, []);
+
+  const update = (changes: Partial<Settings>) => {
+    setSettings(previous => (previous ? { ...previous, ...changes } : previous));
+  };
+
+  const updateHours = (day: string, hours: Hours) => {
+    if (!settings?.business_hours) return;
+    update({ business_hours: { ...settings.business_hours, [day]: hours } });
+  };
+
+  const addZone = () => {
+    if (!settings || !newZone.value.trim()) return;
+    update({ delivery_zones: [...settings.delivery_zones, { type: newZone.type, value: newZone.value.trim() }] });
+    setNewZone({ ...newZone, value: '' });
+  };
+
+  const addClosure = () => {
+    if (!settings || !newClosure.start_date) return;
+    update({
+      holiday_closures: [
+        ...settings.holiday_closures,
+        { ...newClosure, end_date: newClosure.end_date || newClosure.start_date, note: newClosure.note || null }
+      ]
+    });
+    setNewClosure({ start_date: '', end_date: '', note: '' });
+  };
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!settings) return;
+
+    setSaving(true);
+    setError(null);
+    setSuccessMessage(null);
+    try {
+      const response = await axios.put('/store/settings', settings);
+      setSettings(response.data.data);
+      setSuccessMessage(response.data.message);
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to save store settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-purple-600"></div>
+      </div>
+    );
+  }
+
+  if (!settings) {
+    return (
+      <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+        <p className="text-sm text-red-700">{error || 'Failed to load store settings'}</p>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSave} className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div>
+          <h2 className="text-lg sm:text-xl font-semibold text-gray-900">Store Settings</h2>
+          {settings.availability && (
+            <p className={`text-sm ${settings.availability.isOpen ? 'text-green-600' : 'text-gray-500'}`}>
+              {settings.availability.isOpen ? 'Open and taking orders' : `Not taking orders: ${settings.availability.reason}`}
+            </p>
+          )}
+        </div>
+        <button
+          type="submit"
+          disabled={saving}
+          className="bg-purple-600 text-white px-6 py-2 rounded-md hover:bg-purple-700 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save Settings'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+      {successMessage && (
+        <div className="p-3 bg-green-50 border border-green-200 rounded-lg">
+          <p className="text-sm text-green-700">{successMessage}</p>
+        </div>
+      )}
+
+      {/* Branding */}
+      <div className="bg-white rounded-lg shadow p-4 sm:p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Branding</h3>
+        <div className="grid md:grid-cols-2 gap-6">
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">Logo</p>
+            {settings.logo_url && (
+              <div className="flex items-center space-x-3 mb-2">
+                <img src={settings.logo_url} alt="Store logo" className="w-20 h-20 rounded-full object-cover border" />
+                <button type="button" onClick={() => update({ logo_url: null })} className="text-sm text-red-600 hover:text-red-800">
+                  Remove
+                </button>
+              </div>
+            )}
+            <ImageUpload
+              uploadType="store-logo"
+              storeId={storeId?.toString()}
+              buttonText="Upload Logo"
+              showPreview={false}
+              onImageUpload={(imageData) => update({ logo_url: imageData.imageUrl })}
+              onUploadError={setError}
+            />
+          </div>
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">Banner</p>
+            {settings.banner_url && (
+              <div className="mb-2">
+                <img src={settings.banner_url} alt="Store banner" className="w-full h-24 rounded object-cover border" />
+                <button type="button" onClick={() => update({ banner_url: null })} className="text-sm text-red-600 hover:text-red-800">
+                  Remove
+                </button>
+              </div>
+            )}
+            <ImageUpload
+              uploadType="store-banner"
+              storeId={storeId?.toString()}
+              buttonText="Upload Banner"
+              showPreview={false}
+              onImageUpload={(imageData) => update({ banner_url: imageData.imageUrl })}
+              onUploadError={setError}
+            />
+          </div>
+        </div>
+      </div>
+
+      {/* Opening Hours */}
+      <div className="bg-white rounded-lg shadow p-4 sm:p-6">
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Opening Hours</h3>
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={settings.business_hours === null}
+              onChange={(e) => update({ business_hours: e.target.checked ? null : DEFAULT_HOURS })}
+            />
+            <span>Take orders 24/7</span>
+          </label>
+        </div>
+
+        <div className="mb-4">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Timezone</label>
+          <input
+            type="text"
+            value={settings.timezone}
+            onChange={(e) => update({ timezone: e.target.value })}
+            placeholder="America/New_York"
+            className={`${inputClass} w-full sm:w-72`}
+          />
+        </div>
+
+        {settings.business_hours && (
+          <div className="space-y-2">
+            {WEEKDAYS.map(day => {
+              const hours = settings.business_hours?.[day] || null;
+              return (
+                <div key={day} className="flex flex-wrap items-center gap-3">
+                  <span className="w-28 text-sm capitalize text-gray-700">{day}</span>
+                  <label className="flex items-center space-x-1 text-sm text-gray-600">
+                    <input
+                      type="checkbox"
+                      checked={hours !== null}
+                      onChange={(e) => updateHours(day, e.target.checked ? { open: '09:00', close: '17:00' } : null)}
+                    />
+                    <span>Open</span>
+                  </label>
+                  {hours && (
+                    <>
+                      <input
+                        type="time"
+                        value={hours.open}
+                        onChange={(e) => updateHours(day, { ...hours, open: e.target.value })}
+                        className={inputClass}
+                      />
+                      <span className="text-sm text-gray-500">to</span>
+                      <input
+                        type="time"
+                        value={hours.close}
+                        onChange={(e) => updateHours(day, { ...hours, close: e.target.value })}
+                        className={inputClass}
+                      />
+                    </>
+                  )}
+                </div>
+              );
+            })}
+            <p className="text-xs text-gray-500">A closing time earlier than the opening time runs past midnight.</p>
+          </div>
+        )}
+
+        <div className="mt-6">
+          <p className="text-sm font-medium text-gray-700 mb-2">Holiday Closures</p>
+          {settings.holiday_closures.length > 0 && (
+            <ul className="mb-3 divide-y divide-gray-200 text-sm">
+              {settings.holiday_closures.map((closure, index) => (
+                <li key={`${closure.start_date}-${index}`} className="py-2 flex items-center justify-between">
+                  <span>
+                    {closure.start_date === closure.end_date ? closure.start_date : `${closure.start_date} – ${closure.end_date}`}
+                    {closure.note && <span className="text-gray-500"> ({closure.note})</span>}
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => update({ holiday_closures: settings.holiday_closures.filter((_, i) => i !== index) })}
+                    className="text-red-600 hover:text-red-800"
+                  >
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="flex flex-wrap items-center gap-2">
+            <input
+              type="date"
+              value={newClosure.start_date}
+              onChange={(e) => setNewClosure({ ...newClosure, start_date: e.target.value })}
+              className={inputClass}
+            />
+            <span className="text-sm text-gray-500">to</span>
+            <input
+              type="date"
+              value={newClosure.end_date}
+              min={newClosure.start_date}
+              onChange={(e) => setNewClosure({ ...newClosure, end_date: e.target.value })}
+              className={inputClass}
+            />
+            <input
+              type="text"
+              value={newClosure.note || ''}
+              onChange={(e) => setNewClosure({ ...newClosure, note: e.target.value })}
+              placeholder="Reason (optional)"
+              className={inputClass}
+            />
+            <button
+              type="button"
+              onClick={addClosure}
+              className="bg-gray-100 text-gray-800 px-3 py-2 rounded-md text-sm hover:bg-gray-200"
+            >
+              Add Closure
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Delivery and Orders */}
+      <div className="bg-white rounded-lg shadow p-4 sm:p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Delivery and Orders</h3>
+
+        <div className="mb-6">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Base Currency</label>
+          <select
+            value={settings.base_currency}
+            onChange={(e) => update({ base_currency: e.target.value })}
+            className={`${inputClass} w-40`}
+          >
+            {Array.from(new Set([settings.base_currency, ...currencies])).map(currency => (
+              <option key={currency} value={currency}>{currency}</option>
+            ))}
+          </select>
+          <p className="text-xs text-gray-500 mt-1">
+            Your product prices and minimum order value are in this currency. Shoppers see them converted
+            into their own currency. Changing it doesn't convert prices you've already set.
+          </p>
+        </div>
+
+        <div className="mb-6">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Minimum Order Value ({settings.base_currency})</label>
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={settings.min_order_amount}
+            onChange={(e) => update({ min_order_amount: e.target.value })}
+            className={`${inputClass} w-40`}
+          />
+          <p className="text-xs text-gray-500 mt-1">Applies to the items from your store in each order. Use 0 for no minimum.</p>
+        </div>
+
+        <div className="mb-6 flex items-start">
+          <input
+            id="prices_include_tax"
+            type="checkbox"
+            checked={!!settings.prices_include_tax}
+            onChange={(e) => update({ prices_include_tax: e.target.checked })}
+            className="mt-1 h-4 w-4 text-purple-600 border-gray-300 rounded focus:ring-purple-500"
+          />
+          <label htmlFor="prices_include_tax" className="ml-2 text-sm text-gray-700">
+            <span className="font-medium">My prices include tax</span>
+            <span className="block text-xs text-gray-500">
+              Tax is taken out of your prices instead of added at checkout. The platform collects and remits
+              the tax, so it isn't part of your earnings.
+            </span>
+          </label>
+        </div>
+
+        <p className="text-sm font-medium text-gray-700 mb-2">Delivery Zones</p>
+        <p className="text-xs text-gray-500 mb-2">
+          Leave empty to deliver everywhere. ZIP zones match by prefix, so "100" covers 10001 and 10010.
+        </p>
+        {settings.delivery_zones.length > 0 && (
+          <div className="flex flex-wrap gap-2 mb-3">
+            {settings.delivery_zones.map((zone, index) => (
+              <span key={`${zone.type}-${zone.value}`} className="inline-flex items-center bg-purple-100 text-purple-800 text-sm px-3 py-1 rounded-full">
+                {zone.type === 'zip' ? `ZIP ${zone.value}*` : zone.value}
+                <button
+                  type="button"
+                  onClick={() => update({ delivery_zones: settings.delivery_zones.filter((_, i) => i !== index) })}
+                  className="ml-2 text-purple-600 hover:text-purple-900"
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={newZone.type}
+            onChange={(e) => setNewZone({ ...newZone, type: e.target.value as 'zip' | 'city' })}
+            className={inputClass}
+          >
+            <option value="zip">ZIP prefix</option>
+            <option value="city">City</option>
+          </select>
+          <input
+            type="text"
+            value={newZone.value}
+            onChange={(e) => setNewZone({ ...newZone, value: e.target.value })}
+            placeholder={newZone.type === 'zip' ? 'e.g. 100' : 'e.g. Boston'}
+            className={inputClass}
+          />
+          <button
+            type="button"
+            onClick={addZone}
+            className="bg-gray-100 text-gray-800 px-3 py-2 rounded-md text-sm hover:bg-gray-200"
+          >
+            Add Zone
+          </button>
+        </div>
+      </div>
+
+      {/* Policies */}
+      <div className="bg-white rounded-lg shadow p-4 sm:p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Return Policy</h3>
+        <textarea
+          value={settings.return_policy || ''}
+          onChange={(e) => update({ return_policy: e.target.value })}
+          rows={5}
+          maxLength={5000}
+          placeholder="Explain how and when customers can return items"
+          className={`${inputClass} w-full`}
+        />
+      </div>
+    </form>
+  );
+};
+
+export default StoreSettings;
@@ -1,5 +1,17 @@
 import React, { createContext, useContext, useReducer, useEffect, useCallback } from 'react';
 import axios from '../utils/axios';
+import { useCurrency, PLATFORM_CURRENCY } from './CurrencyContext';
+
+export interface ProductVariant {
+  id: number;
+  sku: string;
+  options: Record<string, string>;
+  price: number | string | null;
+  stock_quantity: number;
+  available_quantity?: number;
+  image_url?: string | null;
+  is_active?: boolean;
+}
 
 interface Product {
   id: number;
@@ -7,13 +19,19 @@ interface Product {
   name: string;
   description: string;
   price: number;
+  currency?: string;
   category: string;
   image_url: string;
   stock_quantity: number;
+  variant_count?: number;
+  variants?: ProductVariant[];
 }
 
 interface CartItem extends Product {
   quantity: number;
+  variant_id?: number | null;
+  sku?: string | null;
+  variant_options?: Record<string, string> | null;
 }
 
 interface CartState {
@@ -35,9 +53,9 @@ interface User {
 }
 
 type CartAction =
-  | { type: 'ADD_TO_CART'; payload: Product }
-  | { type: 'REMOVE_FROM_CART'; payload: number }
-  | { type: 'UPDATE_QUANTITY'; payload: { id: number; quantity: number } }
+  | { type: 'ADD_TO_CART'; payload: CartItem }
+  | { type: 'REMOVE_FROM_CART'; payload: { id: number; variantId?: number | null } }
+  | { type: 'UPDATE_QUANTITY'; payload: { id: number; variantId?: number | null; quantity: number } }
   | { type: 'CLEAR_CART' }
   | { type: 'TOGGLE_CART' }
   | { type: 'OPEN_CART' }
@@ -48,9 +66,9 @@ type CartAction =
 
 interface CartContextType {
   state: CartState;
-  addToCart: (product: Product) => Promise<void>;
-  removeFromCart: (productId: number) => Promise<void>;
-  updateQuantity: (productId: number, quantity: number) => Promise<void>;
+  addToCart: (product: Product, variant?: ProductVariant | null) => Promise<void>;
+  removeFromCart: (productId: number, variantId?: number | null) => Promise<void>;
+  updateQuantity: (productId: number, quantity: number, variantId?: number | null) => Promise<void>;
   clearCart: () => Promise<void>;
   toggleCart: () => void;
   openCart: () => void;
@@ -65,16 +83,24 @@ interface CartContextType {
 
 const CartContext = createContext<CartContextType | undefined>(undefined);
 
+// A cart line is identified by its product and (optional) variant
+const isSameLine = (item: CartItem, id: number, variantId?: number | null) =>
+  item.id === id && (item.variant_id ?? null) === (variantId ?? null);
+
+// Human-readable label for a variant's options, e.g. "M / Blue"
+export const formatVariantOptions = (options?: Record<string, string> | null) =>
+  options ? Object.values(options).join(' / ') : '';
+
 const cartReducer = (state: CartState, action: CartAction): CartState => {
   switch (action.type) {
     case 'ADD_TO_CART': {
-      const existingItem = state.items.find(item => item.id === action.payload.id);
+      const existingItem = state.items.find(item => isSameLine(item, action.payload.id, action.payload.variant_id));
       
       if (existingItem) {
         return {
           ...state,
           items: state.items.map(item =>
-            item.id === action.payload.id
+            isSameLine(item, action.payload.id, action.payload.variant_id)
               ? { ...item, quantity: Math.min(item.quantity + 1, item.stock_quantity) }
               : item
           )
@@ -90,23 +116,23 @@ const cartReducer = (state: CartState, action: CartAction): CartState => {
     case 'REMOVE_FROM_CART':
       return {
         ...state,
-        items: state.items.filter(item => item.id !== action.payload)
+        items: state.items.filter(item => !isSameLine(item, action.payload.id, action.payload.variantId))
       };
     
     case 'UPDATE_QUANTITY': {
-      const { id, quantity } = action.payload;
+      const { id, variantId, quantity } = action.payload;
       
       if (quantity <= 0) {
         return {
           ...state,
-          items: state.items.filter(item => item.id !== id)
+          items: state.items.filter(item => !isSameLine(item, id, variantId))
         };
       }
       
       return {
         ...state,
         items: state.items.map(item =>
-          item.id === id
+          isSameLine(item, id, variantId)
             ? { ...item, quantity: Math.min(quantity, item.stock_quantity) }
             : item
         )
@@ -183,6 +209,7 @@ const getSessionId = (): string => {
 export const CartProvider: React.FC<{ children: React.ReactNode }> = ({ children }) => {
   const [state, dispatch] = useReducer(cartReducer, initialState);
   const [user, setUser] = React.useState<User | null>(null);
+  const { convert } = useCurrency();
   const userRef = React.useRef<User | null>(null);
 
   // Keep userRef in sync with user state
@@ -211,10 +238,14 @@ export const CartProvider: React.FC<{ children: React.ReactNode }> = ({ children
           name: item.name,
           description: '', // Backend doesn't return this, could be fetched separately
           price: parseFloat(item.price),
+          currency: item.currency,
           category: '', // Backend doesn't return this
           image_url: item.image_url,
           stock_quantity: item.stock_quantity,
-          quantity: item.quantity
+          quantity: item.quantity,
+          variant_id: item.variant_id,
+          sku: item.sku,
+          variant_options: item.variant_options
         }));
 
         dispatch({ type: 'LOAD_CART', payload: cartItems });
@@ -277,7 +308,7 @@ export const CartProvider: React.FC<{ children: React.ReactNode }> = ({ children
     return { 'X-Session-Id': getSessionId() };
   };
 
-  const addToCart = async (product: Product) => {
+  const addToCart = async (product: Product, variant?: ProductVariant | null) => {
     try {
       dispatch({ type: 'SET_LOADING', payload: true });
       dispatch({ type: 'SET_ERROR', payload: null });
@@ -286,6 +317,7 @@ export const CartProvider: React.FC<{ children: React.ReactNode }> = ({ children
 
       const response = await axios.post('/cart/add', {
         productId: product.id,
+        variantId: variant?.id ?? null,
         quantity: 1
       }, {
         headers
@@ -302,54 +334,68 @@ export const CartProvider: React.FC<{ children: React.ReactNode }> = ({ children
       }
       dispatch({ type: 'SET_ERROR', payload: 'Failed to add item to cart' });
       // Fallback to local state
-      dispatch({ type: 'ADD_TO_CART', payload: product });
+      dispatch({
+        type: 'ADD_TO_CART',
+        payload: variant ? {
+          ...product,
+          price: variant.price !== null ? Number(variant.price) : product.price,
+          stock_quantity: variant.available_quantity ?? variant.stock_quantity,
+          image_url: variant.image_url || product.image_url,
+          variant_id: variant.id,
+          sku: variant.sku,
+          variant_options: variant.options,
+          quantity: 1
+        } : { ...product, quantity: 1 }
+      });
     } finally {
       dispatch({ type: 'SET_LOADING', payload: false });
     }
   };
 
-  const removeFromCart = async (productId: number) => {
+  const removeFromCart = async (productId: number, variantId: number | null = null) => {
     try {
       dispatch({ type: 'SET_LOADING', payload: true });
       dispatch({ type: 'SET_ERROR', payload: null });
 
       const response = await axios.delete(`/cart/remove/${productId}`, {
-        headers: getAuthHeaders()
+        headers: getAuthHeaders(),
+        params: variantId ? { variantId } : undefined
       });
 
       if (response.data.success) {
-        dispatch({ type: 'REMOVE_FROM_CART', payload: productId });
+        dispatch({ type: 'REMOVE_FROM_CART', payload: { id: productId, variantId } });
       }
     } catch (error: any) {
       console.error('Error removing from cart:', error);
       dispatch({ type: 'SET_ERROR', payload: 'Failed to remove item from cart' });
       // Fallback to local state
-      dispatch({ type: 'REMOVE_FROM_CART', payload: productId });
+      dispatch({ type: 'REMOVE_FROM_CART', payload: { id: productId, variantId } });
     } finally {
       dispatch({ type: 'SET_LOADING', payload: false });
     }
   };
 
-  const updateQuantity = async (productId: number, quantity: number) => {
+  const updateQuantity = async (productId: number, quantity: number, variantId: number | null = null) => {
     try {
       dispatch({ type: 'SET_LOADING', payload: true });
       dispatch({ type: 'SET_ERROR', payload: null });
 
       const response = await axios.put('/cart/update', {
         productId,
+        variantId,
         quantity
       }, {
         headers: getAuthHeaders()
       });
 
       if (response.data.success) {
-        dispatch({ type: 'UPDATE_QUANTITY', payload: { id: productId, quantity } });
+        dispatch({ type: 'UPDATE_QUANTITY', payload: { id: productId, variantId, quantity } });
       }
     } catch (error: any) {
       console.error('Error updating quantity:', error);
       dispatch({ type: 'SET_ERROR', payload: 'Failed to update quantity' });
       // Fallback to local state
-      dispatch({ type: 'UPDATE_QUANTITY', payload: { id: productId, quantity } });
+      dispatch({ type: 'UPDATE_QUANTITY', payload: { id: productId, variantId, quantity } });
     } finally {
       dispatch({ type: 'SET_LOADING', payload: false });
     }
@@ -426,8 +472,13 @@ export const CartProvider: React.FC<{ children: React.ReactNode }> = ({ children
     return state.items.reduce((total, item) => total + item.quantity, 0);
   };
 
+  // In the platform currency; items are priced in their store's currency
   const getTotalPrice = () => {
-    return state.items.reduce((total, item) => total + (parseFloat(item.price.toString()) * item.quantity), 0);
+    return state.items.reduce((total, item) => total + convert(
+      parseFloat(item.price.toString()) * item.quantity,
+      item.currency || PLATFORM_CURRENCY,
+      PLATFORM_CURRENCY
+    ), 0);
   };
 
   const handleSetUser = useCallback((newUser: User | null) => {
@@ -0,0 +1,103 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import axios from '../utils/axios';
+
+// Order totals, fees and platform products are priced in this currency
+export const PLATFORM_CURRENCY = 'USD';
+
+const DISPLAY_CURRENCY_KEY = 'afrozy-display-currency';
+
+// Charged in whole units
+const ZERO_DECIMAL_CURRENCIES = ['UGX', 'RWF', 'XOF', 'XAF'];
+
+// Major units of an amount Stripe takes in the currency's smallest unit (cents, or whole units)
+export const fromMinorUnits = (amount: number, currency: string = PLATFORM_CURRENCY) =>
+  ZERO_DECIMAL_CURRENCIES.includes(currency) ? amount : amount / 100;
+
+interface CurrencyContextType {
+  displayCurrency: string;
+  setDisplayCurrency: (currency: string) => void;
+  currencies: string[];
+  convert: (amount: number, from?: string, to?: string) => number;
+  formatMoney: (amount: number, currency?: string) => string;
+  formatPrice: (amount: number | string, from?: string) => string;
+}
+
+const CurrencyContext = createContext<CurrencyContextType | undefined>(undefined);
+
+export const CurrencyProvider: React.FC<{ children: React.ReactNode }> = ({ children }) => {
+  const [displayCurrency, setDisplayCurrencyState] = useState<string>(
+    () => localStorage.getItem(DISPLAY_CURRENCY_KEY) || PLATFORM_CURRENCY
+  );
+  const [currencies, setCurrencies] = useState<string[]>([PLATFORM_CURRENCY]);
+  const [rates, setRates] = useState<Record<string, number>>({ [PLATFORM_CURRENCY]: 1 });
+
+  useEffect(() => {
+    const loadRates = async () => {
+      try {
+        const response = await axios.get('/currency/rates');
+        if (response.data.success) {
+          setCurrencies(response.data.data.currencies);
+          setRates(response.data.data.rates);
+        }
+      } catch (error) {
+        // Prices stay in their own currency until rates are available
+        console.error('Error loading exchange rates:', error);
+      }
+    };
+
+    loadRates();
+  }, []);
+
+  const setDisplayCurrency = (currency: string) => {
+    localStorage.setItem(DISPLAY_CURRENCY_KEY, currency);
+    setDisplayCurrencyState(currency);
+  };
+
+  // Convert between currencies; without a rate for either one the amount is returned unchanged
+  const convert = useCallback((amount: number, from: string = PLATFORM_CURRENCY, to: string = displayCurrency) => {
+    if (from === to || !rates[from] || !rates[to]) {
+      return amount;
+    }
+    return amount * rates[to] / rates[from];
+  }, [rates, displayCurrency]);
+
+  const formatMoney = useCallback((amount: number, currency: string = PLATFORM_CURRENCY) => {
+    const decimals = ZERO_DECIMAL_CURRENCIES.includes(currency) ? 0 : 2;
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals
+    }).format(amount);
+  }, []);
+
+  // Show an amount priced in `from` in the customer's display currency, or as-is when it can't be converted
+  const formatPrice = useCallback((amount: number | string, from: string = PLATFORM_CURRENCY) => {
+    const value = typeof amount === 'string' ? parseFloat(amount) : amount;
+    const currency = rates[from] && rates[displayCurrency] ? displayCurrency : from;
+    return formatMoney(convert(value, from, currency), currency);
+  }, [rates, displayCurrency, convert, formatMoney]);
+
+  const value: CurrencyContextType = {
+    displayCurrency,
+    setDisplayCurrency,
+    currencies,
+    convert,
+    formatMoney,
+    formatPrice
+  };
+
+  return (
+    <CurrencyContext.Provider value={value}>
+      {children}
+    </CurrencyContext.Provider>
+  );
+};
+
+export const useCurrency = () => {
+  const context = useContext(CurrencyContext);
+  if (context === undefined) {
+    throw new Error('useCurrency must be used within a CurrencyProvider');
+  }
+  return context;
+};
@@ -0,0 +1,95 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import axios from '../utils/axios';
+import { useCart } from './CartContext';
+
+interface WishlistContextType {
+  isWishlisted: (productId: number) => boolean;
+  toggleWishlist: (productId: number, variantId?: number | null) => Promise<void>;
+  saveForLater: (productId: number, variantId?: number | null) => Promise<void>;
+  loadWishlist: () => Promise<void>;
+  canUseWishlist: boolean;
+}
+
+const WishlistContext = createContext<WishlistContextType | undefined>(undefined);
+
+export const WishlistProvider: React.FC<{ children: React.ReactNode }> = ({ children }) => {
+  const { user, loadCart } = useCart();
+  const [productIds, setProductIds] = useState<Set<number>>(new Set());
+
+  // Wishlists belong to customer accounts
+  const canUseWishlist = !!user && user.user_type === 'customer';
+
+  const loadWishlist = useCallback(async () => {
+    if (!canUseWishlist) {
+      setProductIds(new Set());
+      return;
+    }
+
+    try {
+      const response = await axios.get('/wishlist/product-ids');
+      if (response.data.success) {
+        setProductIds(new Set<number>(response.data.data));
+      }
+    } catch (error) {
+      console.error('Error loading wishlist:', error);
+    }
+  }, [canUseWishlist]);
+
+  useEffect(() => {
+    loadWishlist();
+  }, [loadWishlist]);
+
+  const isWishlisted = (productId: number) => productIds.has(productId);
+
+  const toggleWishlist = async (productId: number, variantId?: number | null) => {
+    if (!canUseWishlist) {
+      alert('Please log in to save items to your wishlist.');
+      return;
+    }
+
+    const response = await axios.post('/wishlist/toggle', { productId, variantId: variantId ?? null });
+    if (response.data.success) {
+      setProductIds(previous => {
+        const next = new Set(previous);
+        if (response.data.data.wishlisted) {
+          next.add(productId);
+        } else {
+          next.delete(productId);
+        }
+        return next;
+      });
+    }
+  };
+
+  const saveForLater = async (productId: number, variantId?: number | null) => {
+    if (!canUseWishlist) {
+      alert('Please log in to save items for later.');
+      return;
+    }
+
+    await axios.post('/wishlist/save-for-later', { productId, variantId: variantId ?? null });
+    await loadCart();
+  };
+
+  const value: WishlistContextType = {
+    isWishlisted,
+    toggleWishlist,
+    saveForLater,
+    loadWishlist,
+    canUseWishlist
+  };
+
+  return (
+    <WishlistContext.Provider value={value}>
+      {children}
+    </WishlistContext.Provider>
+  );
+};
+
+export const useWishlist = () => {
+  const context = useContext(WishlistContext);
+  if (context === undefined) {
+    throw new Error('useWishlist must be used within a WishlistProvider');
+  }
+  return context;
+};
@@ -4,10 +4,16 @@ import Dashboard from '../components/admin/Dashboard';
 import ProductManagement from '../components/admin/ProductManagement';
 import StoreManagement from '../components/admin/StoreManagement';
 import UserManagement from '../components/admin/UserManagement';
+import DriverVerification from '../components/admin/DriverVerification';
 import OrderManagement from '../components/admin/OrderManagement';
 import Analytics from '../components/admin/Analytics';
 import Settings from '../components/admin/Settings';
 import RefundManagement from '../components/admin/RefundManagement';
+import ReviewModeration from '../components/admin/ReviewModeration';
+import PromotionManager from '../components/PromotionManager';
+import FailedTransfers from '../components/admin/FailedTransfers';
+import DriverPayouts from '../components/admin/DriverPayouts';
+import DriverRatings from '../components/admin/DriverRatings';
 
 interface AdminPageProps {
   onLogout?: () => void;
@@ -54,8 +60,27 @@ const AdminPage: React.FC<AdminPageProps> = ({ onLogout }) => {
         return <OrderManagement />;
       case 'users':
         return <UserManagement />;
+      case 'drivers':
+        return <DriverVerification />;
+      case 'driver-ratings':
+        return <DriverRatings />;
       case 'refunds':
         return <RefundManagement />;
+      case 'reviews':
+        return <ReviewModeration />;
+      case 'transfers':
+        return <FailedTransfers />;
+      case 'payouts':
+        return <DriverPayouts />;
+      case 'promotions':
+        return (
+          <PromotionManager
+            endpoint="/promotions/admin"
+            title="Promotions"
+            subtitle="Platform-funded promo codes that apply to the whole cart"
+            theme="blue"
+          />
+        );
       case 'analytics':
         return <Analytics />;
       case 'settings':
@@ -3,6 +3,8 @@ import DriverLogin from '../components/driver/DriverLogin';
 import DriverOrders from '../components/driver/DriverOrders';
 import DriverProfile from '../components/driver/DriverProfile';
 import DriverStats from '../components/driver/DriverStats';
+import DriverEarnings from '../components/driver/DriverEarnings';
+import DriverVerification from '../components/driver/DriverVerification';
 
 interface Driver {
   id: number;
@@ -15,6 +17,8 @@ interface Driver {
   vehiclePlate: string;
   status: 'online' | 'offline' | 'busy' | 'inactive';
   isVerified: boolean;
+  verificationStatus?: 'pending' | 'approved' | 'rejected';
+  rejectionReason?: string | null;
   rating: number;
   totalDeliveries: number;
   currentLocation?: {
@@ -31,7 +35,10 @@ interface DriverDashboardProps {
 const DriverDashboard: React.FC<DriverDashboardProps> = ({ onNavigateHome }) => {
   const [driver, setDriver] = useState<Driver | null>(null);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
-  const [activeSection, setActiveSection] = useState<'orders' | 'stats' | 'profile'>('orders');
+  const [activeSection, setActiveSection] = useState<'orders' | 'stats' | 'earnings' | 'profile' | 'verification'>(
+    // Stripe onboarding returns drivers to /driver?tab=earnings
+    new URLSearchParams(window.location.search).get('tab') === 'earnings' ? 'earnings' : 'orders'
+  );
   const [loading, setLoading] = useState(true);
 
   // Check for existing authentication on component mount
@@ -51,9 +58,15 @@ const DriverDashboard: React.FC<DriverDashboardProps> = ({ onNavigateHome }) =>
             });
             
             if (response.ok) {
-              // Session is valid
-              setDriver(parsedDriver);
+              // Session is valid; pick up any verification decisions made since the last login
+              const profile = await response.json();
+              const freshDriver = { ...parsedDriver, ...profile.data?.driver };
+              setDriver(freshDriver);
               setIsAuthenticated(true);
+              localStorage.setItem('afrozy-driver-data', JSON.stringify(freshDriver));
+              if (!freshDriver.isVerified) {
+                setActiveSection('verification');
+              }
             } else {
               // Session is invalid, clear stored data
               console.log('Driver session validation failed:', response.status);
@@ -81,6 +94,9 @@ const DriverDashboard: React.FC<DriverDashboardProps> = ({ onNavigateHome }) =>
   const handleLogin = (driverData: Driver, token: string) => {
     setDriver(driverData);
     setIsAuthenticated(true);
+    if (!driverData.isVerified) {
+      setActiveSection('verification');
+    }
     
     // Store only driver data (session cookies are handled automatically)
     localStorage.setItem('afrozy-driver-data', JSON.stringify(driverData));
@@ -163,11 +179,23 @@ const DriverDashboard: React.FC<DriverDashboardProps> = ({ onNavigateHome }) =>
       icon: '📊',
       description: 'View your performance'
     },
+    {
+      id: 'earnings' as const,
+      label: 'Earnings',
+      icon: '💰',
+      description: 'Payouts and statements'
+    },
     {
       id: 'profile' as const,
       label: 'Profile',
       icon: '👤',
       description: 'Manage your account'
+    },
+    {
+      id: 'verification' as const,
+      label: 'Verification',
+      icon: driver?.isVerified ? '✅' : '📄',
+      description: driver?.isVerified ? 'Your documents' : 'Upload your documents'
     }
   ];
 
@@ -177,8 +205,12 @@ const DriverDashboard: React.FC<DriverDashboardProps> = ({ onNavigateHome }) =>
         return <DriverOrders driver={driver!} />;
       case 'stats':
         return <DriverStats driver={driver!} />;
+      case 'earnings':
+        return <DriverEarnings />;
       case 'profile':
         return <DriverProfile driver={driver!} onUpdate={setDriver} />;
+      case 'verification':
+        return <DriverVerification driver={driver!} />;
       default:
         return <DriverOrders driver={driver!} />;
     }
@@ -1,5 +1,10 @@
 import React, { useState, useEffect } from 'react';
-import { useCart } from '../context/CartContext';
+import { useCart, ProductVariant } from '../context/CartContext';
+import ProductReviews from '../components/ProductReviews';
+import StarRating from '../components/StarRating';
+import WishlistButton from '../components/WishlistButton';
+import CurrencySelector from '../components/CurrencySelector';
+import { useCurrency } from '../context/CurrencyContext';
 
 interface Product {
   id: number;
@@ -7,9 +12,14 @@ interface Product {
   name: string;
   description: string;
   price: number;
+  currency?: string;
   category: string;
   image_url: string;
   stock_quantity: number;
+  available_quantity?: number;
+  variants?: ProductVariant[];
+  average_rating?: number | string;
+  review_count?: number;
   store_name?: string;
   store_description?: string;
   store_address?: string;
@@ -27,7 +37,9 @@ const ProductDetail: React.FC<ProductDetailProps> = ({ productId, user, onLogout
   const [error, setError] = useState<string | null>(null);
   const [isAdding, setIsAdding] = useState(false);
   const [imageError, setImageError] = useState(false);
+  const [selectedOptions, setSelectedOptions] = useState<Record<string, string>>({});
   const { addToCart, state } = useCart();
+  const { formatPrice } = useCurrency();
 
   useEffect(() => {
     const fetchProduct = async () => {
@@ -64,11 +76,12 @@ const ProductDetail: React.FC<ProductDetailProps> = ({ productId, user, onLogout
   };
 
   const getImageUrl = () => {
-    if (!product?.image_url || imageError) {
+    const baseImageUrl = selectedVariant?.image_url || product?.image_url;
+    if (!baseImageUrl || imageError) {
       return '/api/placeholder/800/600';
     }
 
-    let imageUrl = product.image_url;
+    let imageUrl = baseImageUrl;
 
     if (imageUrl.includes('/api/images/proxy/')) {
       const proxyMatch = imageUrl.match(/\/api\/images\/proxy\/(.+)$/);
@@ -92,12 +105,32 @@ const ProductDetail: React.FC<ProductDetailProps> = ({ productId, user, onLogout
     return imageUrl;
   };
 
+  const variants = product?.variants || [];
+  const hasVariants = variants.length > 0;
+
+  // Option types in display order and the values offered for each
+  const optionTypes = ['size', 'color', 'material'].filter(type =>
+    variants.some(variant => variant.options[type])
+  );
+  const optionValues = (type: string) =>
+    Array.from(new Set(variants.map(variant => variant.options[type]).filter(Boolean)));
+
+  const selectedVariant = hasVariants && optionTypes.every(type => selectedOptions[type])
+    ? variants.find(variant => optionTypes.every(type => variant.options[type] === selectedOptions[type])) || null
+    : null;
+
+  const handleSelectOption = (type: string, value: string) => {
+    setSelectedOptions(prev => ({ ...prev, [type]: value }));
+    setImageError(false);
+  };
+
   const handleAddToCart = async () => {
     if (!product) return;
+    if (hasVariants && !selectedVariant) return;
 
     setIsAdding(true);
     try {
-      await addToCart(product);
+      await addToCart(product, selectedVariant);
     } catch (error) {
       console.error('Failed to add product to cart:', error);
     } finally {
@@ -148,10 +181,20 @@ const ProductDetail: React.FC<ProductDetailProps> = ({ productId, user, onLogout
     );
   }
 
-  const cartItem = state.items.find(item => item.id === product.id);
+  const cartItem = state.items.find(item =>
+    item.id === product.id && (item.variant_id ?? null) === (selectedVariant?.id ?? null)
+  );
   const isInCart = !!cartItem;
   const cartQuantity = cartItem?.quantity || 0;
 
+  // Price and stock follow the selected variant; until one is chosen, show the base price and total stock.
+  // Stock held by other shoppers' pending checkouts isn't available.
+  const displayPrice = selectedVariant && selectedVariant.price !== null ? selectedVariant.price : product.price;
+  const stockQuantity = selectedVariant
+    ? selectedVariant.available_quantity ?? selectedVariant.stock_quantity
+    : product.available_quantity ?? product.stock_quantity;
+  const needsSelection = hasVariants && !selectedVariant;
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-purple-50 via-white to-blue-50">
       {/* Header */}
@@ -168,19 +211,20 @@ const ProductDetail: React.FC<ProductDetailProps> = ({ productId, user, onLogout
               <span className="font-medium">Back to Products</span>
             </button>
 
-            {user && (
-              <div className="flex items-center space-x-4">
+            <div className="flex items-center space-x-4">
+              <CurrencySelector />
+              {user && (
                 <span className="text-sm text-gray-600">Welcome, {user.full_name}!</span>
-                {onLogout && (
-                  <button
-                    onClick={onLogout}
-                    className="text-sm bg-gray-600 text-white px-4 py-2 rounded hover:bg-gray-700 transition-colors"
-                  >
-                    Logout
-                  </button>
-                )}
-              </div>
-            )}
+              )}
+              {user && onLogout && (
+                <button
+                  onClick={onLogout}
+                  className="text-sm bg-gray-600 text-white px-4 py-2 rounded hover:bg-gray-700 transition-colors"
+                >
+                  Logout
+                </button>
+              )}
+            </div>
           </div>
         </div>
       </header>
@@ -206,25 +250,78 @@ const ProductDetail: React.FC<ProductDetailProps> = ({ productId, user, onLogout
             {/* Product Information */}
             <div className="p-8 lg:p-12 flex flex-col justify-between">
               <div>
-                <h1 className="text-4xl font-bold text-gray-900 mb-4">
-                  {product.name}
-                </h1>
+                <div className="flex items-start justify-between mb-4">
+                  <h1 className="text-4xl font-bold text-gray-900">
+                    {product.name}
+                  </h1>
+                  <WishlistButton productId={product.id} variantId={selectedVariant?.id} className="ml-4 flex-shrink-0" />
+                </div>
+
+                {(product.review_count || 0) > 0 && (
+                  <div className="flex items-center space-x-2 mb-4">
+                    <StarRating rating={Number(product.average_rating)} />
+                    <span className="text-sm text-gray-600">
+                      {Number(product.average_rating).toFixed(1)} ({product.review_count} reviews)
+                    </span>
+                  </div>
+                )}
 
                 <div className="flex items-center space-x-4 mb-6">
                   <span className="text-5xl font-bold text-green-600">
-                    ${product.price}
+                    {formatPrice(displayPrice, product.currency)}
                   </span>
                   <div className="flex items-center space-x-2">
                     <div className={`w-3 h-3 rounded-full ${
-                      product.stock_quantity > 20 ? 'bg-green-500' :
-                      product.stock_quantity > 5 ? 'bg-yellow-500' : 'bg-red-500'
+                      stockQuantity > 20 ? 'bg-green-500' :
+                      stockQuantity > 5 ? 'bg-yellow-500' : 'bg-red-500'
                     }`}></div>
                     <span className="text-sm text-gray-600 font-medium">
-                      {product.stock_quantity > 0 ? `${product.stock_quantity} in stock` : 'Out of stock'}
+                      {stockQuantity > 0 ? `${stockQuantity} in stock` : 'Out of stock'}
                     </span>
                   </div>
                 </div>
 
+                {/* Variant Options */}
+                {hasVariants && (
+                  <div className="mb-6 space-y-4">
+                    {optionTypes.map(type => (
+                      <div key={type}>
+                        <p className="text-sm font-bold text-gray-800 mb-2 capitalize">
+                          {type}{selectedOptions[type] ? `: ${selectedOptions[type]}` : ''}
+                        </p>
+                        <div className="flex flex-wrap gap-2">
+                          {optionValues(type).map(value => {
+                            const available = variants.some(variant =>
+                              variant.options[type] === value && (variant.available_quantity ?? variant.stock_quantity) > 0
+                            );
+                            return (
+                              <button
+                                key={value}
+                                onClick={() => handleSelectOption(type, value)}
+                                className={`px-4 py-2 rounded-lg border text-sm font-medium transition-colors ${
+                                  selectedOptions[type] === value
+                                    ? 'border-blue-600 bg-blue-50 text-blue-700'
+                                    : available
+                                    ? 'border-gray-300 text-gray-700 hover:border-blue-400'
+                                    : 'border-gray-200 text-gray-400 line-through'
+                                }`}
+                              >
+                                {value}
+                              </button>
+                            );
+                          })}
+                        </div>
+                      </div>
+                    ))}
+                    {optionTypes.every(type => selectedOptions[type]) && !selectedVariant && (
+                      <p className="text-sm text-red-600">This combination is not available.</p>
+                    )}
+                    {selectedVariant && (
+                      <p className="text-xs text-gray-500">SKU: {selectedVariant.sku}</p>
+                    )}
+                  </div>
+                )}
+
                 {/* Store Information */}
                 {product.store_id && product.store_name && (
                   <div className="mb-6">
@@ -272,15 +369,15 @@ const ProductDetail: React.FC<ProductDetailProps> = ({ productId, user, onLogout
                 <button
                   onClick={handleAddToCart}
                   className={`w-full py-4 px-6 rounded-xl font-bold text-lg transition-all duration-200 flex items-center justify-center space-x-3 ${
-                    product.stock_quantity === 0
+                    stockQuantity === 0 || needsSelection
                       ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
-                      : cartQuantity >= product.stock_quantity
+                      : cartQuantity >= stockQuantity
                       ? 'bg-orange-500 text-white hover:bg-orange-600 shadow-lg hover:shadow-xl'
                       : isAdding
                       ? 'bg-green-500 text-white shadow-lg'
                       : 'bg-blue-600 text-white hover:bg-blue-700 shadow-lg hover:shadow-xl transform hover:scale-105'
                   }`}
-                  disabled={product.stock_quantity === 0 || isAdding}
+                  disabled={stockQuantity === 0 || needsSelection || isAdding}
                 >
                   {isAdding ? (
                     <>
@@ -290,9 +387,11 @@ const ProductDetail: React.FC<ProductDetailProps> = ({ productId, user, onLogout
                       </svg>
                       <span>Adding to Cart...</span>
                     </>
-                  ) : product.stock_quantity === 0 ? (
+                  ) : needsSelection ? (
+                    <span>Select Options</span>
+                  ) : stockQuantity === 0 ? (
                     <span>Out of Stock</span>
-                  ) : cartQuantity >= product.stock_quantity ? (
+                  ) : cartQuantity >= stockQuantity ? (
                     <span>Maximum Quantity Reached</span>
                   ) : (
                     <>
@@ -304,7 +403,7 @@ const ProductDetail: React.FC<ProductDetailProps> = ({ productId, user, onLogout
                   )}
                 </button>
 
-                {product.stock_quantity > 0 && cartQuantity < product.stock_quantity && (
+                {stockQuantity > 0 && cartQuantity < stockQuantity && (
                   <p className="text-center text-sm text-gray-500 mt-3">
                     Free shipping on orders over $50
                   </p>
@@ -313,6 +412,8 @@ const ProductDetail: React.FC<ProductDetailProps> = ({ productId, user, onLogout
             </div>
           </div>
         </div>
+
+        <ProductReviews productId={productId} user={user} />
       </div>
     </div>
   );
@@ -1,8 +1,10 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import axios from '../utils/axios';
 import ProductCard from '../components/ProductCard';
 import CartDrawer from '../components/CartDrawer';
 import { useCart } from '../context/CartContext';
+import { useCurrency } from '../context/CurrencyContext';
+import CurrencySelector from '../components/CurrencySelector';
 
 interface Product {
   id: number;
@@ -33,26 +35,107 @@ interface ProductsProps {
   onNavigate?: (path: string) => void;
 }
 
+interface Pagination {
+  page: number;
+  limit: number;
+  total: number;
+  pages: number;
+  hasNextPage: boolean;
+  hasPreviousPage: boolean;
+}
+
+interface ProductFilters {
+  q: string;
+  category: string;
+  storeId: string;
+  minPrice: string;
+  maxPrice: string;
+  inStock: boolean;
+  sort: string;
+  page: number;
+}
+
+const sortOptions = [
+  { value: 'newest', label: 'Newest' },
+  { value: 'relevance', label: 'Best Match' },
+  { value: 'rating', label: 'Top Rated' },
+  { value: 'price_asc', label: 'Price: Low to High' },
+  { value: 'price_desc', label: 'Price: High to Low' },
+  { value: 'name_asc', label: 'Name: A to Z' },
+  { value: 'name_desc', label: 'Name: Z to A' }
+];
+
+// Read the current filters from the URL query string
+const readFiltersFromUrl = (): ProductFilters => {
+  const params = new URLSearchParams(window.location.search);
+  return {
+    q: params.get('q') || '',
+    category: params.get('category') || 'all',
+    storeId: params.get('storeId') || '',
+    minPrice: params.get('minPrice') || '',
+    maxPrice: params.get('maxPrice') || '',
+    inStock: params.get('inStock') === 'true',
+    sort: params.get('sort') || '',
+    page: parseInt(params.get('page') || '1') || 1
+  };
+};
+
+// Convert filters to query parameters, dropping defaults so URLs stay short
+const filtersToParams = (filters: ProductFilters): Record<string, string> => {
+  const params: Record<string, string> = {};
+  if (filters.q) params.q = filters.q;
+  if (filters.category && filters.category !== 'all') params.category = filters.category;
+  if (filters.storeId) params.storeId = filters.storeId;
+  if (filters.minPrice) params.minPrice = filters.minPrice;
+  if (filters.maxPrice) params.maxPrice = filters.maxPrice;
+  if (filters.inStock) params.inStock = 'true';
+  if (filters.sort) params.sort = filters.sort;
+  if (filters.page > 1) params.page = filters.page.toString();
+  return params;
+};
+
 const Products: React.FC<ProductsProps> = ({ user, onLogout, onNavigate }) => {
   const [products, setProducts] = useState<Product[]>([]);
+  const [pagination, setPagination] = useState<Pagination | null>(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
-  const [selectedCategory, setSelectedCategory] = useState<string>('all');
+  const [filters, setFilters] = useState<ProductFilters>(readFiltersFromUrl);
+  const [searchInput, setSearchInput] = useState(filters.q);
+  const [minPriceInput, setMinPriceInput] = useState(filters.minPrice);
+  const [maxPriceInput, setMaxPriceInput] = useState(filters.maxPrice);
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   const { toggleCart, getTotalItems } = useCart();
+  const { displayCurrency } = useCurrency();
 
   const categories = ['all', 'Electronics', 'Clothing', 'Home & Kitchen', 'Fitness', 'Accessories', 'Home & Garden'];
 
+  // Keep filters in sync with browser back/forward navigation
   useEffect(() => {
-    fetchProducts();
+    const handlePopState = () => {
+      const urlFilters = readFiltersFromUrl();
+      setFilters(urlFilters);
+      setSearchInput(urlFilters.q);
+      setMinPriceInput(urlFilters.minPrice);
+      setMaxPriceInput(urlFilters.maxPrice);
+    };
+
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
   }, []);
 
-  const fetchProducts = async () => {
+  const fetchProducts = useCallback(async () => {
     try {
       setLoading(true);
-      const response = await axios.get('/products');
+      setError(null);
+      const params = filtersToParams(filters);
+      // Price bounds are typed in the display currency
+      if (params.minPrice || params.maxPrice) {
+        params.currency = displayCurrency;
+      }
+      const response = await axios.get('/products', { params });
       if (response.data.success) {
         setProducts(response.data.data);
+        setPagination(response.data.pagination || null);
       } else {
         setError('Failed to fetch products');
       }
@@ -62,13 +145,40 @@ const Products: React.FC<ProductsProps> = ({ user, onLogout, onNavigate }) => {
     } finally {
       setLoading(false);
     }
+  }, [filters, displayCurrency]);
+
+  useEffect(() => {
+    fetchProducts();
+  }, [fetchProducts]);
+
+  // Apply a filter change, resetting to the first page unless the page itself changed
+  const updateFilters = (changes: Partial<ProductFilters>) => {
+    const nextFilters = { ...filters, page: 1, ...changes };
+    const queryString = new URLSearchParams(filtersToParams(nextFilters)).toString();
+    window.history.pushState(null, '', queryString ? `/?${queryString}` : '/');
+    setFilters(nextFilters);
   };
 
-  const filteredProducts = selectedCategory === 'all' 
-    ? products 
-    : products.filter(product => product.category === selectedCategory);
+  const handleSearchSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    updateFilters({
+      q: searchInput.trim(),
+      minPrice: minPriceInput,
+      maxPrice: maxPriceInput
+    });
+  };
+
+  const clearFilters = () => {
+    setSearchInput('');
+    setMinPriceInput('');
+    setMaxPriceInput('');
+    updateFilters({ q: '', category: 'all', storeId: '', minPrice: '', maxPrice: '', inStock: false, sort: '' });
+  };
 
-  if (loading) {
+  const hasActiveFilters = !!(filters.q || filters.category !== 'all' || filters.storeId ||
+    filters.minPrice || filters.maxPrice || filters.inStock);
+
+  if (loading && products.length === 0 && !pagination) {
     return (
       <div className="min-h-screen bg-gray-100 flex items-center justify-center">
         <div className="text-center">
@@ -112,6 +222,8 @@ const Products: React.FC<ProductsProps> = ({ user, onLogout, onNavigate }) => {
           </div>
           
           <div className="flex items-center space-x-2">
+            <CurrencySelector />
+
             {/* Mobile Menu Button */}
             <div className="relative sm:hidden">
               <button
@@ -238,15 +350,52 @@ const Products: React.FC<ProductsProps> = ({ user, onLogout, onNavigate }) => {
       <main className="container mx-auto px-4 py-8">
         <div className="mb-8">
           <h2 className="text-3xl font-bold text-gray-800 mb-4">Our Products</h2>
+
+          {/* Search and Price Filter */}
+          <form onSubmit={handleSearchSubmit} className="flex flex-col md:flex-row gap-3 mb-4">
+            <input
+              type="text"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              placeholder="Search products..."
+              className="flex-1 px-4 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <div className="flex gap-2">
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={minPriceInput}
+                onChange={(e) => setMinPriceInput(e.target.value)}
+                placeholder={`Min ${displayCurrency}`}
+                className="w-28 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={maxPriceInput}
+                onChange={(e) => setMaxPriceInput(e.target.value)}
+                placeholder={`Max ${displayCurrency}`}
+                className="w-28 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <button
+                type="submit"
+                className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 transition-colors"
+              >
+                Search
+              </button>
+            </div>
+          </form>
           
           {/* Category Filter */}
-          <div className="flex flex-wrap gap-2 mb-6">
+          <div className="flex flex-wrap gap-2 mb-4">
             {categories.map(category => (
               <button
                 key={category}
-                onClick={() => setSelectedCategory(category)}
+                onClick={() => updateFilters({ category })}
                 className={`px-4 py-2 rounded-full text-sm font-medium transition-colors duration-200 ${
-                  selectedCategory === category
+                  filters.category === category
                     ? 'bg-blue-600 text-white'
                     : 'bg-white text-gray-700 hover:bg-blue-50 border border-gray-300'
                 }`}
@@ -255,18 +404,84 @@ const Products: React.FC<ProductsProps> = ({ user, onLogout, onNavigate }) => {
               </button>
             ))}
           </div>
+
+          {/* Stock, Sort and Result Count */}
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <div className="flex items-center gap-4">
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={filters.inStock}
+                  onChange={(e) => updateFilters({ inStock: e.target.checked })}
+                  className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                />
+                <span>In stock only</span>
+              </label>
+              {hasActiveFilters && (
+                <button
+                  onClick={clearFilters}
+                  className="text-sm text-blue-600 hover:text-blue-800"
+                >
+                  Clear filters
+                </button>
+              )}
+            </div>
+            <div className="flex items-center gap-3">
+              {pagination && (
+                <span className="text-sm text-gray-600">
+                  {pagination.total} {pagination.total === 1 ? 'product' : 'products'}
+                </span>
+              )}
+              <select
+                value={filters.sort || (filters.q ? 'relevance' : 'newest')}
+                onChange={(e) => updateFilters({ sort: e.target.value })}
+                className="px-3 py-2 border border-gray-300 rounded-md text-sm bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {sortOptions
+                  .filter(option => option.value !== 'relevance' || filters.q)
+                  .map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+              </select>
+            </div>
+          </div>
         </div>
 
         {/* Products Grid */}
-        {filteredProducts.length > 0 ? (
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
-            {filteredProducts.map(product => (
+        {products.length > 0 ? (
+          <div className={`grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6 ${loading ? 'opacity-50' : ''}`}>
+            {products.map(product => (
               <ProductCard key={product.id} product={product} />
             ))}
           </div>
         ) : (
           <div className="text-center py-12">
-            <p className="text-gray-600 text-lg">No products found in this category.</p>
+            <p className="text-gray-600 text-lg">
+              {loading ? 'Loading products...' : 'No products match your filters.'}
+            </p>
+          </div>
+        )}
+
+        {/* Pagination */}
+        {pagination && pagination.pages > 1 && (
+          <div className="flex items-center justify-center space-x-4 mt-8">
+            <button
+              onClick={() => updateFilters({ page: pagination.page - 1 })}
+              disabled={!pagination.hasPreviousPage || loading}
+              className="px-4 py-2 bg-white border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-gray-600">
+              Page {pagination.page} of {pagination.pages}
+            </span>
+            <button
+              onClick={() => updateFilters({ page: pagination.page + 1 })}
+              disabled={!pagination.hasNextPage || loading}
+              className="px-4 py-2 bg-white border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Next
+            </button>
           </div>
         )}
       </main>
@@ -3,6 +3,11 @@ import axios from '../utils/axios';
 import ImageUpload from '../components/ImageUpload';
 import StripeConnect from '../components/store/StripeConnect';
 import StoreRefunds from '../components/store/StoreRefunds';
+import StoreReviews from '../components/store/StoreReviews';
+import StoreAnalytics from '../components/store/StoreAnalytics';
+import StoreSettings from '../components/store/StoreSettings';
+import PromotionManager from '../components/PromotionManager';
+import { useCurrency, PLATFORM_CURRENCY } from '../context/CurrencyContext';
 
 
 interface Store {
@@ -14,6 +19,7 @@ interface Store {
   business_license?: string;
   categories: string[];
   status: 'pending' | 'approved' | 'suspended';
+  base_currency?: string;
   created_at: string;
 }
 
@@ -26,6 +32,15 @@ interface StoreOwner {
   store?: Store;
 }
 
+interface ProductVariant {
+  id: number;
+  sku: string;
+  options: { size?: string; color?: string; material?: string };
+  price: number | string | null;
+  stock_quantity: number;
+  image_url?: string | null;
+}
+
 interface Product {
   id: number;
   name: string;
@@ -34,8 +49,33 @@ interface Product {
   category: string;
   image_url: string;
   stock_quantity: number;
+  weight_kg?: string | null;
+  currency?: string;
+  variants?: ProductVariant[];
+}
+
+// Editable row in the product form's variant table
+interface VariantFormRow {
+  id?: number;
+  sku: string;
+  size: string;
+  color: string;
+  material: string;
+  price: string;
+  stock_quantity: string;
+  image_url: string;
 }
 
+const emptyVariantRow: VariantFormRow = {
+  sku: '',
+  size: '',
+  color: '',
+  material: '',
+  price: '',
+  stock_quantity: '',
+  image_url: ''
+};
+
 interface Sale {
   id: number;
   product_name: string;
@@ -54,7 +94,10 @@ interface StoreDashboardProps {
 
 const StoreDashboard: React.FC<StoreDashboardProps> = ({ storeOwner: initialStoreOwner, onLogout }) => {
   const [storeOwner, setStoreOwner] = useState<StoreOwner>(initialStoreOwner);
-  const [activeTab, setActiveTab] = useState<'overview' | 'products' | 'sales' | 'refunds' | 'analytics' | 'payments' | 'settings'>('overview');
+  const { formatMoney } = useCurrency();
+  // Products are priced in the store's base currency
+  const storeCurrency = storeOwner.store?.base_currency || PLATFORM_CURRENCY;
+  const [activeTab, setActiveTab] = useState<'overview' | 'products' | 'sales' | 'refunds' | 'reviews' | 'promotions' | 'analytics' | 'payments' | 'settings'>('overview');
   const [products, setProducts] = useState<Product[]>([]);
   const [sales, setSales] = useState<Sale[]>([]);
   const [loading, setLoading] = useState(false);
@@ -70,9 +113,11 @@ const StoreDashboard: React.FC<StoreDashboardProps> = ({ storeOwner: initialStor
     price: '',
     category: '',
     image_url: '',
-    stock_quantity: ''
+    stock_quantity: '',
+    weight_kg: ''
   });
   const [editingProduct, setEditingProduct] = useState<Product | null>(null);
+  const [variantRows, setVariantRows] = useState<VariantFormRow[]>([]);
 
   // Sales filter state
   const [salesFilter, setSalesFilter] = useState<string>('all');
@@ -185,10 +230,19 @@ const StoreDashboard: React.FC<StoreDashboardProps> = ({ storeOwner: initialStor
 
     try {
       const token = localStorage.getItem('afrozy-market-token');
+      // With variants, product stock is the sum of variant stock (the server keeps it in sync)
       const productData = {
         ...productForm,
         price: parseFloat(productForm.price),
-        stock_quantity: parseInt(productForm.stock_quantity)
+        stock_quantity: variantRows.length > 0 ? variantStockTotal : parseInt(productForm.stock_quantity),
+        variants: variantRows.map(row => ({
+          id: row.id,
+          sku: row.sku,
+          options: { size: row.size, color: row.color, material: row.material },
+          price: row.price === '' ? null : parseFloat(row.price),
+          stock_quantity: parseInt(row.stock_quantity) || 0,
+          image_url: row.image_url || null
+        }))
       };
 
       let response;
@@ -207,7 +261,12 @@ const StoreDashboard: React.FC<StoreDashboardProps> = ({ storeOwner: initialStor
         resetProductForm();
       }
     } catch (err: any) {
-      setError(editingProduct ? 'Failed to update product' : 'Failed to add product');
+      const variantErrors = err.response?.data?.errors;
+      setError(
+        variantErrors ? variantErrors.join('; ') :
+        err.response?.status === 409 ? err.response.data.message :
+        editingProduct ? 'Failed to update product' : 'Failed to add product'
+      );
       console.error('Error saving product:', err);
     } finally {
       setLoading(false);
@@ -221,9 +280,11 @@ const StoreDashboard: React.FC<StoreDashboardProps> = ({ storeOwner: initialStor
       price: '',
       category: '',
       image_url: '',
-      stock_quantity: ''
+      stock_quantity: '',
+      weight_kg: ''
     });
     setEditingProduct(null);
+    setVariantRows([]);
     setUploadError(null);
     setUploadSuccess(null);
   };
@@ -254,11 +315,36 @@ const StoreDashboard: React.FC<StoreDashboardProps> = ({ storeOwner: initialStor
       price: product.price.toString(),
       category: product.category,
       image_url: product.image_url,
-      stock_quantity: product.stock_quantity.toString()
+      stock_quantity: product.stock_quantity.toString(),
+      weight_kg: product.weight_kg ? String(parseFloat(product.weight_kg)) : ''
     });
+    setVariantRows((product.variants || []).map(variant => ({
+      id: variant.id,
+      sku: variant.sku,
+      size: variant.options.size || '',
+      color: variant.options.color || '',
+      material: variant.options.material || '',
+      price: variant.price !== null ? variant.price.toString() : '',
+      stock_quantity: variant.stock_quantity.toString(),
+      image_url: variant.image_url || ''
+    })));
     setEditingProduct(product);
   };
 
+  const addVariantRow = () => {
+    setVariantRows([...variantRows, { ...emptyVariantRow }]);
+  };
+
+  const updateVariantRow = (index: number, field: keyof VariantFormRow, value: string) => {
+    setVariantRows(variantRows.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const removeVariantRow = (index: number) => {
+    setVariantRows(variantRows.filter((_, i) => i !== index));
+  };
+
+  const variantStockTotal = variantRows.reduce((total, row) => total + (parseInt(row.stock_quantity) || 0), 0);
+
   const handleDeleteProduct = async (productId: number) => {
     if (!window.confirm('Are you sure you want to delete this product?')) return;
 
@@ -634,7 +720,7 @@ const StoreDashboard: React.FC<StoreDashboardProps> = ({ storeOwner: initialStor
               </select>
             </div>
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">Price ($)</label>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Price ({storeCurrency})</label>
               <input
                 type="number"
                 step="0.01"
@@ -648,11 +734,27 @@ const StoreDashboard: React.FC<StoreDashboardProps> = ({ storeOwner: initialStor
               <label className="block text-sm font-medium text-gray-700 mb-2">Stock Quantity</label>
               <input
                 type="number"
-                value={productForm.stock_quantity}
+                value={variantRows.length > 0 ? variantStockTotal.toString() : productForm.stock_quantity}
                 onChange={(e) => setProductForm({...productForm, stock_quantity: e.target.value})}
-                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 disabled:bg-gray-100"
+                disabled={variantRows.length > 0}
                 required
               />
+              {variantRows.length > 0 && (
+                <p className="mt-1 text-xs text-gray-500">Calculated from variant stock</p>
+              )}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Weight (kg)</label>
+              <input
+                type="number"
+                step="0.001"
+                min="0"
+                value={productForm.weight_kg}
+                onChange={(e) => setProductForm({...productForm, weight_kg: e.target.value})}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500"
+              />
+              <p className="mt-1 text-xs text-gray-500">Optional; used for weight-based delivery fees</p>
             </div>
           </div>
           <div>
@@ -665,6 +767,89 @@ const StoreDashboard: React.FC<StoreDashboardProps> = ({ storeOwner: initialStor
               required
             />
           </div>
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <label className="block text-sm font-medium text-gray-700">Variants (optional)</label>
+              <button
+                type="button"
+                onClick={addVariantRow}
+                className="text-sm text-purple-600 hover:text-purple-800 font-medium"
+              >
+                + Add Variant
+              </button>
+            </div>
+            {variantRows.length === 0 ? (
+              <p className="text-sm text-gray-500">
+                Add variants to sell this product in different sizes, colors or materials.
+              </p>
+            ) : (
+              <div className="space-y-3">
+                {variantRows.map((row, index) => (
+                  <div key={row.id ?? `new-${index}`} className="grid grid-cols-2 sm:grid-cols-7 gap-2 p-3 bg-gray-50 rounded-lg">
+                    <input
+                      type="text"
+                      placeholder="SKU"
+                      value={row.sku}
+                      onChange={(e) => updateVariantRow(index, 'sku', e.target.value)}
+                      className="px-2 py-1.5 border border-gray-300 rounded text-sm"
+                      required
+                    />
+                    <input
+                      type="text"
+                      placeholder="Size"
+                      value={row.size}
+                      onChange={(e) => updateVariantRow(index, 'size', e.target.value)}
+                      className="px-2 py-1.5 border border-gray-300 rounded text-sm"
+                    />
+                    <input
+                      type="text"
+                      placeholder="Color"
+                      value={row.color}
+                      onChange={(e) => updateVariantRow(index, 'color', e.target.value)}
+                      className="px-2 py-1.5 border border-gray-300 rounded text-sm"
+                    />
+                    <input
+                      type="text"
+                      placeholder="Material"
+                      value={row.material}
+                      onChange={(e) => updateVariantRow(index, 'material', e.target.value)}
+                      className="px-2 py-1.5 border border-gray-300 rounded text-sm"
+                    />
+                    <input
+                      type="number"
+                      step="0.01"
+                      placeholder="Price override"
+                      value={row.price}
+                      onChange={(e) => updateVariantRow(index, 'price', e.target.value)}
+                      className="px-2 py-1.5 border border-gray-300 rounded text-sm"
+                    />
+                    <input
+                      type="number"
+                      placeholder="Stock"
+                      value={row.stock_quantity}
+                      onChange={(e) => updateVariantRow(index, 'stock_quantity', e.target.value)}
+                      className="px-2 py-1.5 border border-gray-300 rounded text-sm"
+                      required
+                    />
+                    <button
+                      type="button"
+                      onClick={() => removeVariantRow(index)}
+                      className="text-red-600 hover:text-red-800 text-sm"
+                    >
+                      Remove
+                    </button>
+                    <input
+                      type="url"
+                      placeholder="Variant image URL (optional)"
+                      value={row.image_url}
+                      onChange={(e) => updateVariantRow(index, 'image_url', e.target.value)}
+                      className="col-span-2 sm:col-span-7 px-2 py-1.5 border border-gray-300 rounded text-sm"
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">Product Image</label>
             <ImageUpload
@@ -752,11 +937,14 @@ const StoreDashboard: React.FC<StoreDashboardProps> = ({ storeOwner: initialStor
                     <div>
                       <h4 className="font-medium">{product.name}</h4>
                       <p className="text-sm text-gray-500">{product.category}</p>
-                      <p className="text-sm text-gray-500">Stock: {product.stock_quantity}</p>
+                      <p className="text-sm text-gray-500">
+                        Stock: {product.stock_quantity}
+                        {product.variants && product.variants.length > 0 && ` · ${product.variants.length} variants`}
+                      </p>
                     </div>
                   </div>
                   <div className="flex items-center space-x-4">
-                    <span className="font-medium">${product.price}</span>
+                    <span className="font-medium">{formatMoney(Number(product.price), product.currency || storeCurrency)}</span>
                     <button
                       onClick={() => handleEditProduct(product)}
                       className="text-blue-600 hover:text-blue-800"
@@ -783,8 +971,11 @@ const StoreDashboard: React.FC<StoreDashboardProps> = ({ storeOwner: initialStor
                     <div className="flex-1 min-w-0">
                       <h4 className="font-medium text-gray-900 truncate">{product.name}</h4>
                       <p className="text-sm text-gray-500">{product.category}</p>
-                      <p className="text-sm text-gray-500">Stock: {product.stock_quantity}</p>
-                      <p className="text-lg font-bold text-purple-600 mt-1">${product.price}</p>
+                      <p className="text-sm text-gray-500">
+                        Stock: {product.stock_quantity}
+                        {product.variants && product.variants.length > 0 && ` · ${product.variants.length} variants`}
+                      </p>
+                      <p className="text-lg font-bold text-purple-600 mt-1">{formatMoney(Number(product.price), product.currency || storeCurrency)}</p>
                     </div>
                   </div>
                   <div className="flex space-x-2">
@@ -855,6 +1046,8 @@ const StoreDashboard: React.FC<StoreDashboardProps> = ({ storeOwner: initialStor
               { key: 'products', label: 'Products' },
               { key: 'sales', label: 'Sales' },
               { key: 'refunds', label: 'Refunds' },
+              { key: 'reviews', label: 'Reviews' },
+              { key: 'promotions', label: 'Promotions' },
               { key: 'analytics', label: 'Analytics' },
               { key: 'payments', label: 'Payments' },
               { key: 'settings', label: 'Settings' }
@@ -884,6 +1077,8 @@ const StoreDashboard: React.FC<StoreDashboardProps> = ({ storeOwner: initialStor
               { key: 'products', label: 'Products', icon: '📦' },
               { key: 'sales', label: 'Sales', icon: '💰' },
               { key: 'refunds', label: 'Refunds', icon: '↩️' },
+              { key: 'reviews', label: 'Reviews', icon: '⭐' },
+              { key: 'promotions', label: 'Promotions', icon: '🏷️' },
               { key: 'analytics', label: 'Analytics', icon: '📈' },
               { key: 'payments', label: 'Payments', icon: '💳' },
               { key: 'settings', label: 'Settings', icon: '⚙️' }
@@ -920,17 +1115,18 @@ const StoreDashboard: React.FC<StoreDashboardProps> = ({ storeOwner: initialStor
         {activeTab === 'products' && renderProducts()}
         {activeTab === 'sales' && renderSales()}
         {activeTab === 'refunds' && <StoreRefunds />}
-        {activeTab === 'analytics' && (
-          <div className="text-center py-12">
-            <p className="text-gray-500">Analytics dashboard coming soon...</p>
-          </div>
+        {activeTab === 'reviews' && <StoreReviews />}
+        {activeTab === 'promotions' && (
+          <PromotionManager
+            endpoint="/promotions/store"
+            title="Promo Codes"
+            subtitle="Discount codes for your products. Discounts come out of your store's earnings."
+            theme="purple"
+          />
         )}
+        {activeTab === 'analytics' && <StoreAnalytics />}
         {activeTab === 'payments' && <StripeConnect />}
-        {activeTab === 'settings' && (
-          <div className="text-center py-12">
-            <p className="text-gray-500">Store settings coming soon...</p>
-          </div>
-        )}
+        {activeTab === 'settings' && <StoreSettings storeId={storeOwner.store?.id} />}
       </main>
     </div>
   );
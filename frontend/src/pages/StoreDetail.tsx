@@ -1,6 +1,8 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import axios from '../utils/axios';
 import ProductCard from '../components/ProductCard';
+import CurrencySelector from '../components/CurrencySelector';
+import { useCurrency } from '../context/CurrencyContext';
 import CartSidebar from '../components/CartSidebar';
 import { useCart } from '../context/CartContext';
 
@@ -19,14 +21,27 @@ interface Store {
   owner_name: string;
   owner_email: string;
   owner_phone: string;
+  logo_url: string | null;
+  banner_url: string | null;
+  timezone: string;
+  business_hours: Record<string, { open: string; close: string } | null> | null;
+  holiday_closures: { start_date: string; end_date: string; note: string | null }[];
+  return_policy: string | null;
+  delivery_zones: { type: 'zip' | 'city'; value: string }[];
+  min_order_amount: string;
+  base_currency: string;
+  availability: { isOpen: boolean; reason: string | null };
 }
 
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
 interface Product {
   id: number;
   store_id: number;
   name: string;
   description: string;
   price: number;
+  currency?: string;
   category: string;
   image_url: string;
   stock_quantity: number;
@@ -69,7 +84,8 @@ interface StoreDetailProps {
 }
 
 const StoreDetail: React.FC<StoreDetailProps> = ({ storeId, user, onLogout }) => {
-  const { state } = useCart();
+  const { state, getTotalPrice } = useCart();
+  const { formatPrice } = useCurrency();
   
   const [store, setStore] = useState<Store | null>(null);
   const [storeData, setStoreData] = useState<StoreDetailData | null>(null);
@@ -246,6 +262,8 @@ const StoreDetail: React.FC<StoreDetailProps> = ({ storeId, user, onLogout }) =>
           </div>
           
           <div className="flex items-center space-x-4">
+            <CurrencySelector />
+
             {/* Cart Button */}
             <button
               onClick={() => setIsCartOpen(true)}
@@ -260,7 +278,7 @@ const StoreDetail: React.FC<StoreDetailProps> = ({ storeId, user, onLogout }) =>
                     {state.items.reduce((total, item) => total + item.quantity, 0)} items
                   </span>
                   <span className="text-white">
-                    ${state.items.reduce((total, item) => total + (item.quantity * item.price), 0).toFixed(2)}
+                    {formatPrice(getTotalPrice())}
                   </span>
                 </>
               ) : (
@@ -302,11 +320,22 @@ const StoreDetail: React.FC<StoreDetailProps> = ({ storeId, user, onLogout }) =>
       <main className="container mx-auto px-4 py-8">
         {/* Store Info */}
         {store && (
-          <div className="bg-white rounded-lg shadow-md p-6 mb-8">
-            <div className="flex flex-col md:flex-row md:items-start md:justify-between">
+          <div className="bg-white rounded-lg shadow-md mb-8 overflow-hidden">
+            {store.banner_url && (
+              <img src={store.banner_url} alt={`${store.store_name} banner`} className="w-full h-40 md:h-56 object-cover" />
+            )}
+            <div className="p-6 flex flex-col md:flex-row md:items-start md:justify-between">
               <div className="flex-1">
-                <div className="flex items-center space-x-4 mb-4">
+                <div className="flex flex-wrap items-center gap-4 mb-4">
+                  {store.logo_url && (
+                    <img src={store.logo_url} alt={`${store.store_name} logo`} className="w-16 h-16 rounded-full object-cover border border-gray-200" />
+                  )}
                   <h2 className="text-3xl font-bold text-gray-900">{store.store_name}</h2>
+                  <span className={`px-3 py-1 rounded-full text-sm font-semibold ${
+                    store.availability.isOpen ? 'bg-green-100 text-green-800' : 'bg-gray-200 text-gray-700'
+                  }`}>
+                    {store.availability.isOpen ? 'Open now' : `Currently ${store.availability.reason}`}
+                  </span>
                   <span className={`px-3 py-1 rounded-full text-sm font-semibold ${
                     store.status === 'approved' 
                       ? 'bg-green-100 text-green-800'
@@ -355,6 +384,66 @@ const StoreDetail: React.FC<StoreDetailProps> = ({ storeId, user, onLogout }) =>
                     ))}
                   </div>
                 </div>
+
+                <div className="mt-6 grid md:grid-cols-2 gap-6">
+                  <div>
+                    <p className="text-sm font-medium text-gray-700 mb-2">Opening Hours:</p>
+                    {store.business_hours ? (
+                      <table className="text-sm text-gray-600">
+                        <tbody>
+                          {WEEKDAYS.map(day => {
+                            const hours = store.business_hours?.[day];
+                            return (
+                              <tr key={day}>
+                                <td className="pr-4 capitalize">{day}</td>
+                                <td>{hours ? `${hours.open} – ${hours.close}` : 'Closed'}</td>
+                              </tr>
+                            );
+                          })}
+                        </tbody>
+                      </table>
+                    ) : (
+                      <p className="text-sm text-gray-600">Open 24/7</p>
+                    )}
+                    <p className="text-xs text-gray-500 mt-1">Times shown in {store.timezone}</p>
+                    {store.holiday_closures.length > 0 && (
+                      <div className="mt-3">
+                        <p className="text-sm font-medium text-gray-700 mb-1">Holiday Closures:</p>
+                        <ul className="text-sm text-gray-600">
+                          {store.holiday_closures.map(closure => (
+                            <li key={closure.start_date}>
+                              {closure.start_date === closure.end_date ? closure.start_date : `${closure.start_date} – ${closure.end_date}`}
+                              {closure.note && ` (${closure.note})`}
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
+                  </div>
+
+                  <div className="space-y-3">
+                    {parseFloat(store.min_order_amount) > 0 && (
+                      <div>
+                        <p className="text-sm font-medium text-gray-700 mb-1">Minimum Order:</p>
+                        <p className="text-sm text-gray-600">{formatPrice(store.min_order_amount, store.base_currency)}</p>
+                      </div>
+                    )}
+                    <div>
+                      <p className="text-sm font-medium text-gray-700 mb-1">Delivers To:</p>
+                      <p className="text-sm text-gray-600">
+                        {store.delivery_zones.length > 0
+                          ? store.delivery_zones.map(zone => (zone.type === 'zip' ? `ZIP ${zone.value}*` : zone.value)).join(', ')
+                          : 'All areas'}
+                      </p>
+                    </div>
+                    {store.return_policy && (
+                      <div>
+                        <p className="text-sm font-medium text-gray-700 mb-1">Return Policy:</p>
+                        <p className="text-sm text-gray-600 whitespace-pre-line">{store.return_policy}</p>
+                      </div>
+                    )}
+                  </div>
+                </div>
               </div>
             </div>
           </div>
@@ -420,7 +509,7 @@ const StoreDetail: React.FC<StoreDetailProps> = ({ storeId, user, onLogout }) =>
                   <div key={item.id} className="flex justify-between items-center">
                     <span className="text-green-700">{item.name}</span>
                     <span className="text-green-600 font-medium">
-                      {item.quantity} × ${item.price} = ${(item.quantity * item.price).toFixed(2)}
+                      {item.quantity} × {formatPrice(item.price, item.currency)} = {formatPrice(item.quantity * item.price, item.currency)}
                     </span>
                   </div>
                 ))
@@ -429,11 +518,12 @@ const StoreDetail: React.FC<StoreDetailProps> = ({ storeId, user, onLogout }) =>
                 <div className="flex justify-between items-center font-bold text-green-800">
                   <span>Store Total:</span>
                   <span>
-                    ${state.items
-                      .filter(item => item.store_id === parseInt(storeId))
-                      .reduce((total, item) => total + (item.quantity * item.price), 0)
-                      .toFixed(2)
-                    }
+                    {formatPrice(
+                      state.items
+                        .filter(item => item.store_id === parseInt(storeId))
+                        .reduce((total, item) => total + (item.quantity * item.price), 0),
+                      store?.base_currency
+                    )}
                   </span>
                 </div>
               </div>
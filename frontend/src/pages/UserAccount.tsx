@@ -3,6 +3,7 @@ import { useCart } from '../context/CartContext';
 import Notifications from '../components/account/Notifications';
 import Orders from '../components/account/Orders';
 import Settings from '../components/account/Settings';
+import Wishlist from '../components/account/Wishlist';
 
 interface UserAccountProps {
   onLogout: () => void;
@@ -11,7 +12,7 @@ interface UserAccountProps {
 
 const UserAccount: React.FC<UserAccountProps> = ({ onLogout, onNavigateHome }) => {
   const { user } = useCart();
-  const [activeSection, setActiveSection] = useState<'notifications' | 'orders' | 'settings'>('notifications');
+  const [activeSection, setActiveSection] = useState<'notifications' | 'orders' | 'wishlist' | 'settings'>('notifications');
 
   if (!user) {
     return (
@@ -49,6 +50,15 @@ const UserAccount: React.FC<UserAccountProps> = ({ onLogout, onNavigateHome }) =
         </svg>
       )
     },
+    {
+      id: 'wishlist' as const,
+      label: 'Wishlists',
+      icon: (
+        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z" />
+        </svg>
+      )
+    },
     {
       id: 'settings' as const,
       label: 'Settings',
@@ -67,6 +77,8 @@ const UserAccount: React.FC<UserAccountProps> = ({ onLogout, onNavigateHome }) =
         return <Notifications user={user} />;
       case 'orders':
         return <Orders user={user} />;
+      case 'wishlist':
+        return <Wishlist />;
       case 'settings':
         return <Settings user={user} onLogout={onLogout} />;
       default: